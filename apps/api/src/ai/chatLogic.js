@@ -3,6 +3,8 @@ import { messageUtils } from '../../../../src/shared/utils/helpers/helpers/Messa
 import { createLocalDB } from '../core/localDB.js';
 import { Persuader } from './persuader.js';
 import analyticsService from '../services/AnalyticsService.js';
+import { conversationHandoffService } from '../../../../src/services/conversations/ConversationHandoffService.js';
+import { knowledgeBaseService } from '../../../../src/services/knowledge/KnowledgeBaseService.js';
 
 const db = createLocalDB();
 
@@ -41,6 +43,14 @@ export class ChatLogic {
       // Normalizar número de teléfono
       const normalizedPhone = db.normalizePhone(phone);
 
+      // Conversación atendida por un agente: el bot queda en pausa
+      if (await conversationHandoffService.isBotPaused(normalizedPhone)) {
+        return {
+          success: true,
+          action: 'bot_paused',
+        };
+      }
+
       // Obtener o crear contexto del usuario
       const userContext = await this.getUserContext(
         normalizedPhone,
@@ -478,12 +488,39 @@ export class ChatLogic {
     }
   }
 
+  /**
+   * Respuesta basada en la base de conocimiento (null si no hay fragmentos relacionados)
+   */
+  async answerFromKnowledgeBase(message) {
+    try {
+      const result = await knowledgeBaseService.answer(message);
+      if (!result.answer) {
+        return null;
+      }
+
+      return {
+        success: true,
+        response: result.answer,
+        citations: result.citations,
+      };
+    } catch (error) {
+      console.error('❌ Error consultando la base de conocimiento:', error);
+      return null;
+    }
+  }
+
   /**
    * Genera una respuesta informativa cuando no hay intención de compra
    */
   async generateInformativeResponse(message, context) {
     const text = message.toLowerCase();
 
+    // Responder con la base de conocimiento si tiene información relacionada
+    const respuestaConocimiento = await this.answerFromKnowledgeBase(message);
+    if (respuestaConocimiento) {
+      return respuestaConocimiento;
+    }
+
     // Verificar si es una pregunta frecuente que el persuader puede manejar
     const respuestaFrecuente =
       this.persuader.responderPreguntaFrecuente(message);
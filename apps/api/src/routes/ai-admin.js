@@ -5,6 +5,7 @@
 
 import express from 'express';
 import { lmStudioConfig } from '../services/LMStudioConfig.js';
+import { llmService } from '../../../../src/services/ai/providers/LLMService.js';
 import { intelligentAI } from '../services/IntelligentAIService.js';
 import { templateService } from '../services/TemplateService.js';
 import { contextManager } from '../services/ContextManager.js';
@@ -172,6 +173,7 @@ router.get('/statistics', async (req, res) => {
       clientes: await unifiedWebhookService.getStatistics(),
       templates: await templateService.obtenerEstadisticasTemplate(),
       lmStudio: await lmStudioConfig.obtenerEstadisticas(),
+      llm: llmService.getStatus(),
       sistema: {
         uptime: process.uptime(),
         memoria: process.memoryUsage(),
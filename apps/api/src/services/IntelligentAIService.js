@@ -1,17 +1,18 @@
 /**
- * Servicio de IA Inteligente para LM Studio
+ * Servicio de IA Inteligente (LM Studio, Ollama o llama.cpp vía LLMService)
  * Análisis de mensajes, detección de intención de compra y generación de respuestas empáticas
  */
 
 import axios from 'axios';
 import { log } from '../core/logger.js';
 import { contextManager } from './ContextManager.js';
+import { llmService } from '../../../../src/services/ai/providers/LLMService.js';
+import { LLM_TASKS } from '../../../../src/services/ai/providers/llmConfig.js';
 
 export class IntelligentAIService {
   constructor() {
     this.lmStudioEndpoint =
       process.env.AI_ENDPOINT || 'http://localhost:1234/v1/chat/completions';
-    this.model = process.env.AI_MODEL || 'local-model';
     this.maxTokens = 500;
     this.temperature = 0.7;
 
@@ -45,12 +46,64 @@ export class IntelligentAIService {
       'stop',
       'basta',
     ];
+
+    // Palabras de frustración o enojo (sentimiento negativo)
+    this.frustrationKeywords = [
+      'pesimo',
+      'terrible',
+      'horrible',
+      'molesto',
+      'molesta',
+      'enojado',
+      'enojada',
+      'furioso',
+      'furiosa',
+      'harto',
+      'harta',
+      'estafa',
+      'fraude',
+      'robo',
+      'queja',
+      'reclamo',
+      'inaceptable',
+      'no sirve',
+      'no funciona',
+      'nadie responde',
+      'mal servicio',
+      'verguenza',
+      'denuncia',
+    ];
+
+    // Palabras de satisfacción (sentimiento positivo)
+    this.satisfactionKeywords = [
+      'genial',
+      'perfecto',
+      'excelente',
+      'gracias',
+      'buenisimo',
+      'me encanta',
+      'increible',
+    ];
+
+    // Frases con las que la IA admite que no sabe responder
+    this.uncertaintyPhrases = [
+      'no estoy seguro',
+      'no estoy segura',
+      'no tengo informacion',
+      'no tengo esa informacion',
+      'no puedo ayudarte',
+      'no se',
+      'no sabria',
+      'un asesor',
+    ];
   }
 
   /**
    * Analiza un mensaje y determina la respuesta apropiada
+   * @param {Object} [opciones]
+   * @param {string} [opciones.conocimiento] - Información de referencia de la base de conocimiento
    */
-  async analizarMensaje(phone, mensaje, contexto = null) {
+  async analizarMensaje(phone, mensaje, contexto = null, { conocimiento = null } = {}) {
     try {
       // Cargar contexto si no se proporciona
       if (!contexto) {
@@ -63,18 +116,29 @@ export class IntelligentAIService {
       // Detectar rechazo
       const esRechazo = this.detectarRechazo(mensaje);
 
+      // Detectar sentimiento (frustración del cliente)
+      const sentimiento = this.detectarSentimiento(mensaje);
+
       // Generar respuesta empática basada en contexto
-      const respuesta = await this.generarRespuestaEmpatica(
+      const { texto: respuesta, origen } = await this.generarRespuesta(
         mensaje,
         contexto,
         intencionCompra,
-        esRechazo
+        esRechazo,
+        conocimiento
       );
+      const usoFallback = origen === 'fallback';
 
       return {
         intencionCompra,
         esRechazo,
+        sentimiento,
         respuesta,
+        usoFallback,
+        confianzaRespuesta: this.estimarConfianzaRespuesta(
+          respuesta,
+          usoFallback
+        ),
         contextoActualizado: contexto,
       };
     } catch (error) {
@@ -82,13 +146,73 @@ export class IntelligentAIService {
       return {
         intencionCompra: { detectada: false, confianza: 0 },
         esRechazo: false,
+        sentimiento: { etiqueta: 'neutral', puntuacion: 0 },
         respuesta:
           'Disculpa, hubo un error procesando tu mensaje. ¿Podrías repetirlo?',
+        usoFallback: true,
+        confianzaRespuesta: 0,
         contextoActualizado: contexto,
       };
     }
   }
 
+  /**
+   * Normaliza texto para comparar palabras clave (minúsculas, sin tildes)
+   */
+  normalizarTexto(texto) {
+    return ` ${String(texto || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9ñ\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()} `;
+  }
+
+  /**
+   * Detecta el sentimiento del mensaje con una puntuación de -1 a 1
+   */
+  detectarSentimiento(mensaje) {
+    const texto = this.normalizarTexto(mensaje);
+    const contiene = palabra => texto.includes(` ${palabra} `);
+
+    let puntuacion = 0;
+    puntuacion -= this.frustrationKeywords.filter(contiene).length * 0.35;
+    puntuacion += this.satisfactionKeywords.filter(contiene).length * 0.2;
+
+    // Mayúsculas sostenidas o exclamaciones repetidas indican enojo
+    const letras = String(mensaje || '').replace(/[^A-Za-zÁÉÍÓÚÑáéíóúñ]/g, '');
+    if (letras.length >= 8 && letras === letras.toUpperCase()) {
+      puntuacion -= 0.2;
+    }
+    if (/[!?]{3,}/.test(mensaje || '')) {
+      puntuacion -= 0.15;
+    }
+
+    puntuacion = Math.max(-1, Math.min(1, Math.round(puntuacion * 100) / 100));
+
+    let etiqueta = 'neutral';
+    if (puntuacion <= -0.3) etiqueta = 'negativo';
+    else if (puntuacion >= 0.3) etiqueta = 'positivo';
+
+    return { etiqueta, puntuacion };
+  }
+
+  /**
+   * Estima la confianza (0 a 1) de una respuesta generada
+   */
+  estimarConfianzaRespuesta(respuesta, usoFallback) {
+    if (usoFallback) {
+      return 0.3;
+    }
+
+    const texto = this.normalizarTexto(respuesta);
+    const dudosa = this.uncertaintyPhrases.some(frase =>
+      texto.includes(` ${frase} `)
+    );
+    return dudosa ? 0.4 : 0.85;
+  }
+
   /**
    * Detecta intención de compra en el mensaje
    */
@@ -155,66 +279,134 @@ export class IntelligentAIService {
     intencionCompra,
     esRechazo
   ) {
+    const { texto } = await this.generarRespuesta(
+      mensaje,
+      contexto,
+      intencionCompra,
+      esRechazo
+    );
+    return texto;
+  }
+
+  /**
+   * Genera la respuesta indicando su origen ('ia' o 'fallback')
+   */
+  async generarRespuesta(
+    mensaje,
+    contexto,
+    intencionCompra,
+    esRechazo,
+    conocimiento = null
+  ) {
+    const fallback = () => ({
+      texto: this.generarRespuestaFallback(
+        contexto,
+        intencionCompra,
+        esRechazo
+      ),
+      origen: 'fallback',
+    });
+
     try {
       const prompt = this.construirPrompt(
         mensaje,
         contexto,
         intencionCompra,
-        esRechazo
+        esRechazo,
+        conocimiento
       );
-
-      const response = await axios.post(
-        this.lmStudioEndpoint,
-        {
-          model: this.model,
-          messages: [
-            {
-              role: 'system',
-              content: this.getSystemPrompt(),
-            },
-            {
-              role: 'user',
-              content: prompt,
-            },
-          ],
-          max_tokens: this.maxTokens,
-          temperature: this.temperature,
-          stream: false,
-        },
-        {
-          timeout: 30000,
-          headers: {
-            'Content-Type': 'application/json',
-          },
-        }
+      const respuestaIA = await this.completarChat(
+        this.getSystemPrompt(),
+        prompt
       );
 
-      if (response.data && response.data.choices && response.data.choices[0]) {
-        const respuestaIA = response.data.choices[0].message.content.trim();
+      if (respuestaIA) {
         log(`🤖 Respuesta generada por IA para contexto: ${contexto.estado}`);
-        return respuestaIA;
+        return { texto: respuestaIA, origen: 'ia' };
       }
 
       // Fallback si la IA no responde
-      return this.generarRespuestaFallback(
-        contexto,
-        intencionCompra,
-        esRechazo
-      );
+      return fallback();
     } catch (error) {
-      log(`❌ Error conectando con LM Studio: ${error.message}`);
-      return this.generarRespuestaFallback(
-        contexto,
-        intencionCompra,
-        esRechazo
-      );
+      log(`❌ Error generando respuesta con IA: ${error.message}`);
+      return fallback();
+    }
+  }
+
+  /**
+   * Resume una conversación para un agente (traspasos y resumen bajo demanda)
+   * @param {Array<{direction: string, content: string}>} mensajes - En orden cronológico
+   * @returns {Promise<string|null>} Resumen o null si la IA no está disponible
+   */
+  async resumirConversacion(mensajes) {
+    const transcripcion = mensajes
+      .filter(msg => msg.content)
+      .map(
+        msg =>
+          `${msg.direction === 'inbound' ? 'Cliente' : 'Bot'}: ${msg.content}`
+      )
+      .join('\n');
+
+    if (!transcripcion) {
+      return null;
+    }
+
+    return this.completarChat(
+      'Resume en 2-3 frases, para un agente humano que toma la conversación, qué quiere el cliente, qué se le respondió y qué queda pendiente. Responde solo con el resumen.',
+      transcripcion,
+      { maxTokens: 200, temperature: 0.3, timeout: 15000 }
+    );
+  }
+
+  /**
+   * Petición simple al modelo (prompt de sistema + prompt de usuario)
+   * El proveedor y el modelo dependen de la tarea (ver LLMService)
+   * @returns {Promise<string|null>} Texto generado o null si la IA no está disponible
+   */
+  async completarChat(
+    systemPrompt,
+    userPrompt,
+    {
+      maxTokens = this.maxTokens,
+      temperature = this.temperature,
+      timeout = 30000,
+      tarea = LLM_TASKS.GENERATION,
+    } = {}
+  ) {
+    try {
+      const { text } = await llmService.complete({
+        task: tarea,
+        messages: [
+          {
+            role: 'system',
+            content: systemPrompt,
+          },
+          {
+            role: 'user',
+            content: userPrompt,
+          },
+        ],
+        maxTokens,
+        temperature,
+        timeout,
+      });
+      return text || null;
+    } catch (error) {
+      log(`❌ Error conectando con el proveedor de IA: ${error.message}`);
+      return null;
     }
   }
 
   /**
    * Construye el prompt para la IA basado en el contexto
    */
-  construirPrompt(mensaje, contexto, intencionCompra, esRechazo) {
+  construirPrompt(
+    mensaje,
+    contexto,
+    intencionCompra,
+    esRechazo,
+    conocimiento = null
+  ) {
     let prompt = `Mensaje del cliente: "${mensaje}"\n\n`;
 
     prompt += 'Contexto del cliente:\n';
@@ -235,6 +427,10 @@ export class IntelligentAIService {
     prompt += `- Intención de compra detectada: ${intencionCompra.detectada ? 'Sí' : 'No'} (${Math.round(intencionCompra.confianza * 100)}%)\n`;
     prompt += `- Es rechazo: ${esRechazo ? 'Sí' : 'No'}\n`;
 
+    if (conocimiento) {
+      prompt += `\nInformación de referencia (única fuente válida para precios, productos, plazos y políticas):\n${conocimiento}\n`;
+    }
+
     prompt += '\nGenera una respuesta empática y persuasiva que:';
 
     if (esRechazo) {
@@ -252,6 +448,11 @@ export class IntelligentAIService {
       prompt += '\n- Invite sutilmente a conocer más';
     }
 
+    if (conocimiento) {
+      prompt +=
+        '\n- Use solo la información de referencia y, si no alcanza, lo diga y ofrezca un asesor';
+    }
+
     return prompt;
   }
 
@@ -1,5 +1,6 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { suppressionService, suppressionKey } from '../../../../src/services/whatsapp/SuppressionService.js';
 
 class BulkMessagingService {
   constructor(dataDir, whatsappService, tagManager) {
@@ -82,6 +83,7 @@ class BulkMessagingService {
         deliveredCount: 0,
         readCount: 0,
         failedCount: 0,
+        suppressedCount: 0,
         clickCount: 0,
       },
       createdAt: new Date().toISOString(),
@@ -276,9 +278,19 @@ class BulkMessagingService {
     const rateLimit = campaign.options.rateLimitPerMinute || 30;
     const delayBetweenMessages = (60 * 1000) / rateLimit; // ms entre mensajes
 
+    // Excluir contactos dados de baja (lista de supresión)
+    const suppressedPhones = await suppressionService.getSuppressedSet(
+      contacts.map(contact => contact.phone)
+    );
+
     for (let i = 0; i < contacts.length; i++) {
       const contact = contacts[i];
 
+      if (suppressedPhones.has(suppressionKey(contact.phone))) {
+        campaign.stats.suppressedCount = (campaign.stats.suppressedCount || 0) + 1;
+        continue;
+      }
+
       try {
         // Personalizar mensaje si está habilitado
         let messageContent = campaign.message.content;
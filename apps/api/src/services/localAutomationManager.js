@@ -1,11 +1,23 @@
 import fs from 'fs-extra';
 import path from 'path';
 
+// Pasos propios de este gestor que el motor durable no ejecuta por sí mismo
+const RUNTIME_DELEGATED_STEPS = ['send_template', 'webhook'];
+
 class LocalAutomationManager {
-  constructor(dataDir, contactManager, messagingService) {
+  /**
+   * @param {string} dataDir
+   * @param {Object} contactManager
+   * @param {Object} messagingService
+   * @param {Object} [flowRuntime] - Motor durable (FlowRuntimeService). Si se
+   *   indica, las ejecuciones se persisten y las esperas de respuesta y sus
+   *   timeouts sobreviven a reinicios; si no, se ejecutan en memoria.
+   */
+  constructor(dataDir, contactManager, messagingService, flowRuntime = null) {
     this.dataDir = dataDir;
     this.contactManager = contactManager;
     this.messagingService = messagingService;
+    this.flowRuntime = flowRuntime;
     this.flowsFile = path.join(dataDir, 'automation_flows.json');
     this.triggersFile = path.join(dataDir, 'automation_triggers.json');
     this.executionsFile = path.join(dataDir, 'automation_executions.json');
@@ -15,6 +27,15 @@ class LocalAutomationManager {
     this.executions = [];
     this.activeFlows = new Map(); // phone -> { flowId, currentStep, startedAt }
 
+    if (this.flowRuntime) {
+      this.flowRuntime.setFlowResolver(flowId => this.getFlow(flowId));
+      for (const type of RUNTIME_DELEGATED_STEPS) {
+        this.flowRuntime.registerStepHandler(type, (step, run) =>
+          this.executeStep(step, { phone: run.phone, context: run.context })
+        );
+      }
+    }
+
     this.init();
   }
 
@@ -155,6 +176,10 @@ class LocalAutomationManager {
       return false;
     }
 
+    if (this.flowRuntime) {
+      return this.executeDurableFlow(flow, phone, context);
+    }
+
     const execution = {
       id: Date.now().toString(),
       flowId,
@@ -191,6 +216,26 @@ class LocalAutomationManager {
     }
   }
 
+  async executeDurableFlow(flow, phone, context) {
+    try {
+      await this.flowRuntime.startRun({
+        flowId: flow.id,
+        flowName: flow.name,
+        steps: flow.steps,
+        phone,
+        context,
+      });
+      flow.stats.totalExecutions++;
+      this.saveFlows();
+      return true;
+    } catch (error) {
+      console.log(`❌ Error ejecutando flujo ${flow.id}:`, error.message);
+      flow.stats.failedExecutions++;
+      this.saveFlows();
+      return false;
+    }
+  }
+
   async executeNextStep(execution) {
     const flow = this.getFlow(execution.flowId);
     if (!flow || execution.currentStep >= flow.steps.length) {
@@ -431,6 +476,14 @@ class LocalAutomationManager {
 
   // ===== MANEJO DE RESPUESTAS =====
   async handleUserResponse(phone, message) {
+    if (this.flowRuntime) {
+      const result = await this.flowRuntime.handleInboundMessage(phone, {
+        kind: 'text',
+        text: message,
+      });
+      return !!result;
+    }
+
     const activeFlow = this.activeFlows.get(phone);
     if (!activeFlow || !activeFlow.waitingForResponse) {
       return false;
@@ -11,6 +11,8 @@ class CampaignsManager {
         this.editingCampaign = null;
         this.tags = [];
         this.customFields = [];
+        this.segments = [];
+        this.channels = [];
         this.recipientsPreview = {
             total: 0,
             contacts: []
@@ -47,6 +49,8 @@ class CampaignsManager {
         this.bindEvents();
         await this.loadTags();
         await this.loadCustomFields();
+        await this.loadSegments();
+        await this.loadChannels();
         await this.loadCampaigns();
         await this.loadStats();
     }
@@ -95,8 +99,11 @@ class CampaignsManager {
             messageCategory: document.getElementById('messageCategory'),
             messageLanguage: document.getElementById('messageLanguage'),
             scheduledAt: document.getElementById('scheduledAt'),
+            campaignChannel: document.getElementById('campaignChannel'),
+            campaignChannelGroup: document.getElementById('campaignChannelGroup'),
             
             // Recipients filters
+            filterSegment: document.getElementById('filterSegment'),
             filterSearch: document.getElementById('filterSearch'),
             filterStatus: document.getElementById('filterStatus'),
             filterTag: document.getElementById('filterTag'),
@@ -599,6 +606,91 @@ class CampaignsManager {
         }
     }
 
+    /**
+     * Cargar segmentos guardados
+     */
+    async loadSegments() {
+        try {
+            const response = await fetch('/api/segments');
+            const data = await response.json();
+            
+            if (data.success) {
+                this.segments = data.data || [];
+                this.updateSegmentsFilter();
+            }
+        } catch (error) {
+        }
+    }
+
+    /**
+     * Cargar números de WhatsApp activos (el selector solo aparece con más de uno)
+     */
+    async loadChannels() {
+        try {
+            const response = await fetch('/api/channels?active=true');
+            const data = await response.json();
+            
+            if (data.success) {
+                this.channels = data.data || [];
+                this.updateChannelSelector();
+            }
+        } catch (error) {
+        }
+    }
+
+    /**
+     * Actualizar selector de número de WhatsApp de la campaña
+     */
+    updateChannelSelector() {
+        if (!this.elements.campaignChannel) return;
+
+        const options = this.channels.map(channel => `
+            <option value="${channel.id}">${channel.name} (+${channel.phoneNumber})${channel.isDefault ? ' — predeterminado' : ''}</option>
+        `).join('');
+
+        this.elements.campaignChannel.innerHTML = `
+            <option value="">Número de cada conversación o el predeterminado</option>
+            ${options}
+        `;
+        if (this.elements.campaignChannelGroup) {
+            this.elements.campaignChannelGroup.style.display = this.channels.length > 1 ? '' : 'none';
+        }
+    }
+
+    /**
+     * Actualizar selector de segmentos
+     */
+    updateSegmentsFilter() {
+        if (!this.elements.filterSegment) return;
+
+        const options = this.segments.map(segment => `
+            <option value="${segment.id}">${segment.name} (${segment.contactCount})</option>
+        `).join('');
+        
+        this.elements.filterSegment.innerHTML = `
+            <option value="">Sin segmento (usar filtros)</option>
+            ${options}
+        `;
+    }
+
+    /**
+     * Filtros de destinatarios del formulario: un segmento guardado (que se
+     * recalcula al enviar) o los filtros simples
+     */
+    getRecipientFilters() {
+        const segmentId = this.elements.filterSegment?.value;
+        if (segmentId) {
+            return { segment_id: parseInt(segmentId, 10) };
+        }
+
+        return {
+            search: this.elements.filterSearch.value || '',
+            status: this.elements.filterStatus.value || 'active',
+            tag: this.elements.filterTag.value || '',
+            custom_field: this.elements.filterCustomField.value || ''
+        };
+    }
+
     /**
      * Actualizar filtro de etiquetas
      */
@@ -993,6 +1085,9 @@ class CampaignsManager {
                 this.elements.scheduledAt.value = data.data.scheduled_at 
                     ? new Date(data.data.scheduled_at).toISOString().slice(0, 16)
                     : '';
+                if (this.elements.campaignChannel) {
+                    this.elements.campaignChannel.value = data.data.channel_id || '';
+                }
                 
                 // Restaurar selección de plantilla si existe
                 if (data.data.template_id) {
@@ -1008,6 +1103,9 @@ class CampaignsManager {
                 
                 // Aplicar filtros
                 if (data.data.filters) {
+                    if (this.elements.filterSegment) {
+                        this.elements.filterSegment.value = data.data.filters.segment_id || '';
+                    }
                     this.elements.filterSearch.value = data.data.filters.search || '';
                     this.elements.filterStatus.value = data.data.filters.status || '';
                     this.elements.filterTag.value = data.data.filters.tag || '';
@@ -1061,12 +1159,7 @@ class CampaignsManager {
                 templateId = await this.createAndApproveTemplate(name, message);
             }
             
-            const filters = {
-                search: this.elements.filterSearch.value || '',
-                status: this.elements.filterStatus.value || 'active',
-                tag: this.elements.filterTag.value || '',
-                custom_field: this.elements.filterCustomField.value || ''
-            };
+            const filters = this.getRecipientFilters();
             
             const campaignData = {
                 name,
@@ -1078,6 +1171,7 @@ class CampaignsManager {
                 template_id: templateId,
                 filters,
                 scheduled_at: this.elements.scheduledAt.value || null,
+                channel_id: this.elements.campaignChannel?.value ? parseInt(this.elements.campaignChannel.value, 10) : null,
                 variable_mapping: this.currentVariableMapping ? JSON.stringify(this.currentVariableMapping) : '{}'
             };
             
@@ -1434,12 +1528,7 @@ class CampaignsManager {
         this.showLoading();
         
         try {
-            const filters = {
-                search: this.elements.filterSearch.value || '',
-                status: this.elements.filterStatus.value || 'active',
-                tag: this.elements.filterTag.value || '',
-                custom_field: this.elements.filterCustomField.value || ''
-            };
+            const filters = this.getRecipientFilters();
             
             const response = await fetch('/api/campaigns/preview-recipients', {
                 method: 'POST',
@@ -1500,6 +1589,12 @@ class CampaignsManager {
         this.elements.messageCategory.value = '';
         this.elements.messageLanguage.value = '';
         this.elements.scheduledAt.value = '';
+        if (this.elements.campaignChannel) {
+            this.elements.campaignChannel.value = '';
+        }
+        if (this.elements.filterSegment) {
+            this.elements.filterSegment.value = '';
+        }
         this.elements.filterSearch.value = '';
         this.elements.filterStatus.value = 'active';
         this.elements.filterTag.value = '';
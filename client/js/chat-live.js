@@ -24,6 +24,28 @@ class ChatLiveManager {
 
         // Cache para contact IDs
         this.contactIdCache = new Map();
+
+        // Filtro de asignación (all | mine | unassigned); el agente lo determina la sesión
+        this.assigneeFilter = 'all';
+        this.statusFilter = 'all';
+
+        // Números de WhatsApp registrados y filtro por número (all | <channelId>)
+        this.channels = [];
+        this.channelFilter = 'all';
+
+        // Cola de traspasos del bot a agentes
+        this.handoffs = [];
+
+        // Sugerencias de la IA mostradas y borrador en edición ({ id, index })
+        this.suggestions = null;
+        this.activeSuggestion = null;
+
+        // Respuestas predefinidas cargadas y la elegida para el próximo envío ({ id })
+        this.cannedResponses = null;
+        this.activeCannedResponse = null;
+
+        // Mensaje al que se responde con el próximo envío ({ messageId, preview })
+        this.replyTo = null;
     }
 
     init() {
@@ -31,6 +53,8 @@ class ChatLiveManager {
         this.initializeSocket();
         this.bindEvents();
         this.loadConversations();
+        this.loadHandoffQueue();
+        this.loadChannels();
         window.chatLiveManager = this;
         window.chatManager = this; // Alias para compatibilidad
         
@@ -53,6 +77,18 @@ class ChatLiveManager {
             messageInput: document.getElementById('messageInput'),
             sendButton: document.getElementById('sendButton'),
             refreshButton: document.getElementById('refreshConversations'),
+            assigneeFilter: document.getElementById('assigneeFilter'),
+            statusFilter: document.getElementById('statusFilter'),
+            channelFilter: document.getElementById('channelFilter'),
+            channelSelect: document.getElementById('channelSelect'),
+            handoffQueue: document.getElementById('handoffQueue'),
+            handoffQueueList: document.getElementById('handoffQueueList'),
+            handoffQueueCount: document.getElementById('handoffQueueCount'),
+            aiAssistPanel: document.getElementById('aiAssistPanel'),
+            suggestRepliesBtn: document.getElementById('suggestRepliesBtn'),
+            cannedRepliesBtn: document.getElementById('cannedRepliesBtn'),
+            windowClosedBanner: document.getElementById('windowClosedBanner'),
+            replyBanner: document.getElementById('replyBanner'),
             statusDot: document.getElementById('statusDot'),
             statusText: document.getElementById('statusText'),
             typingIndicator: document.getElementById('typingIndicator'),
@@ -98,6 +134,40 @@ class ChatLiveManager {
             this.socket.on('conversation_update', () => {
                 this.loadConversations();
             });
+
+            this.socket.on('conversation_assigned', () => {
+                this.loadConversations();
+            });
+
+            // Reacciones de los clientes a un mensaje
+            this.socket.on('message_reaction', (payload) => {
+                this.handleMessageReaction(payload);
+            });
+
+            this.socket.on('message_window_updated', (payload) => {
+                if (this.currentConversation && this.currentConversation.phone === payload.phone) {
+                    this.updateWindowState(payload);
+                }
+            });
+
+            this.socket.on('handoff_updated', () => {
+                this.loadHandoffQueue();
+            });
+
+            this.socket.on('conversation_status_updated', (payload) => {
+                this.setConversationStatus(payload);
+            });
+
+            this.socket.on('conversation_bot_mode_updated', (payload) => {
+                this.setConversationBotMode(payload.conversationId, payload.botMode);
+            });
+
+            this.socket.on('flow_run_updated', (run) => {
+                const currentPhone = String(this.currentConversation?.phone || '').replace(/\D/g, '');
+                if (currentPhone && currentPhone === run.phone) {
+                    this.loadContactFlowState();
+                }
+            });
         } catch (error) {
             console.error('❌ Error inicializando Socket.IO:', error);
             this.updateStatusIndicator('offline');
@@ -119,9 +189,32 @@ class ChatLiveManager {
             }
         });
 
+        // "/atajo" + Tab o Enter expande la respuesta predefinida
+        this.elements.messageInput?.addEventListener('keydown', (event) => {
+            if ((event.key === 'Tab' || event.key === 'Enter') && this.expandShortcut()) {
+                event.preventDefault();
+            }
+        });
+
         // Indicador de escritura
         this.elements.messageInput?.addEventListener('input', () => this.handleTyping());
+        this.elements.messageInput?.addEventListener('input', () => this.handleShortcutInput());
+        this.elements.cannedRepliesBtn?.addEventListener('click', () => this.showCannedResponses());
         this.elements.refreshButton?.addEventListener('click', () => this.loadConversations());
+        this.elements.suggestRepliesBtn?.addEventListener('click', () => this.requestSuggestions());
+        document.getElementById('windowTemplateBtn')?.addEventListener('click', () => this.openTemplatesModal());
+        this.elements.assigneeFilter?.addEventListener('change', (e) => {
+            this.assigneeFilter = e.target.value;
+            this.loadConversations();
+        });
+        this.elements.statusFilter?.addEventListener('change', (e) => {
+            this.statusFilter = e.target.value;
+            this.loadConversations();
+        });
+        this.elements.channelFilter?.addEventListener('change', (e) => {
+            this.channelFilter = e.target.value;
+            this.loadConversations();
+        });
 
         // Botón de cerrar panel de información del cliente
         document.getElementById('closeClientInfoBtn')?.addEventListener('click', () => this.hideClientInfo());
@@ -260,6 +353,16 @@ class ChatLiveManager {
             case 'emojis':
                 this.openEmojisModal();
                 break;
+            case 'library':
+                this.showMediaLibrary();
+                break;
+            case 'buttons':
+            case 'list':
+            case 'location':
+            case 'location_request':
+            case 'contacts':
+                this.showComposerForm(action);
+                break;
         }
     }
 
@@ -275,17 +378,19 @@ class ChatLiveManager {
     }
 
     /**
-     * Carga las plantillas disponibles (solo aprobadas/activas)
+     * Carga las plantillas aprobadas de 360Dialog
      */
     async loadTemplates() {
+        const templatesList = document.getElementById('templatesList');
+        if (!templatesList) return;
+
         try {
-            // Filtrar solo plantillas activas/aprobadas
-            const response = await fetch('/api/templates?is_active=1');
+            const response = await fetch('/api/360dialog/templates');
             const data = await response.json();
-            const templates = data.templates || [];
-
-            const templatesList = document.getElementById('templatesList');
-            if (!templatesList) return;
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            const templates = (data.templates || []).filter(template => (template.status || '').toUpperCase() === 'APPROVED');
 
             if (templates.length === 0) {
                 templatesList.innerHTML = `
@@ -297,62 +402,98 @@ class ChatLiveManager {
                 return;
             }
 
-            templatesList.innerHTML = templates.map(template => `
-                <div class="template-item" data-id="${template.id}">
+            templatesList.innerHTML = templates.map((template, index) => `
+                <div class="template-item" data-index="${index}">
                     <div class="template-item-icon">📝</div>
-                    <p class="template-item-name">${template.name}</p>
+                    <p class="template-item-name">${this.escapeHtml(template.name)}</p>
+                    <small>${this.escapeHtml(template.language)}</small>
                 </div>
             `).join('');
 
-            // Agregar eventos a los items de plantillas
-            document.querySelectorAll('.template-item').forEach(item => {
+            // Al elegir una plantilla se piden los valores de sus variables
+            templatesList.querySelectorAll('.template-item').forEach(item => {
                 item.addEventListener('click', () => {
-                    const templateId = item.dataset.id;
-                    const template = templates.find(t => t.id === templateId);
-                    if (template) {
-                        this.sendTemplate(template);
-                    }
+                    this.showTemplateForm(templates[item.dataset.index]);
                 });
             });
         } catch (error) {
             console.error('Error cargando plantillas:', error);
-            const templatesList = document.getElementById('templatesList');
-            if (templatesList) {
-                templatesList.innerHTML = `
-                    <div class="loading">
-                        <i class="fas fa-exclamation-circle"></i>
-                        <p>Error al cargar plantillas</p>
-                    </div>
-                `;
-            }
+            templatesList.innerHTML = `
+                <div class="loading">
+                    <i class="fas fa-exclamation-circle"></i>
+                    <p>Error al cargar plantillas</p>
+                </div>
+            `;
         }
     }
 
     /**
-     * Envía una plantilla
+     * Formulario con las variables {{n}} del encabezado y del cuerpo de la plantilla
      */
-    async sendTemplate(template) {
-        if (!this.currentConversation) return;
+    showTemplateForm(template) {
+        const templatesList = document.getElementById('templatesList');
+        if (!templatesList) return;
+
+        const components = template.components || [];
+        const bodyText = components.find(component => component.type === 'BODY')?.text || '';
+        const header = components.find(component => component.type === 'HEADER' && component.format === 'TEXT');
+        const countVariables = text => new Set((text || '').match(/\{\{\d+\}\}/g) || []).size;
+        const headerCount = countVariables(header?.text);
+        const bodyCount = countVariables(bodyText);
+
+        const form = document.createElement('form');
+        form.className = 'canned-form template-form';
+        form.innerHTML = `
+            <strong>${this.escapeHtml(template.name)} (${this.escapeHtml(template.language)})</strong>
+            <p class="ai-assist-text template-preview"></p>
+            ${Array.from({ length: headerCount }, (_, i) => `<input name="header${i}" placeholder="Encabezado {{${i + 1}}}" required>`).join('')}
+            ${Array.from({ length: bodyCount }, (_, i) => `<input name="body${i}" placeholder="Variable {{${i + 1}}}" required>`).join('')}
+            <div class="canned-form-row">
+                <button type="button" class="btn btn-secondary template-back">Volver</button>
+                <button type="submit" class="btn btn-primary"><i class="fas fa-paper-plane"></i> Enviar plantilla</button>
+            </div>
+        `;
 
-        try {
-            const response = await fetch(`/api/chat-live/conversations/${encodeURIComponent(this.currentConversation.id)}/messages`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    text: template.content,
-                    sender: 'agent',
-                    type: 'text'
-                })
+        const fields = form.elements;
+        const valuesOf = (prefix, count) => Array.from({ length: count }, (_, i) => fields[`${prefix}${i}`].value.trim());
+        const preview = form.querySelector('.template-preview');
+        const updatePreview = () => {
+            const values = valuesOf('body', bodyCount);
+            preview.textContent = bodyText.replace(/\{\{(\d+)\}\}/g, (match, n) => values[n - 1] || match);
+        };
+        form.addEventListener('input', updatePreview);
+        updatePreview();
+
+        form.querySelector('.template-back').addEventListener('click', () => this.loadTemplates());
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.sendTemplate({
+                name: template.name,
+                language: template.language,
+                headerParameters: valuesOf('header', headerCount),
+                bodyParameters: valuesOf('body', bodyCount),
+                bodyText
             });
+        });
+
+        templatesList.innerHTML = '';
+        templatesList.appendChild(form);
+        form.querySelector('input')?.focus();
+    }
 
-            if (response.ok) {
+    /**
+     * Envía una plantilla con sus variables
+     */
+    async sendTemplate(template) {
+        try {
+            const sent = await this.postOutboundMessage({ type: 'template', template });
+            if (sent) {
                 document.getElementById('templatesModal').style.display = 'none';
                 this.showNotification('Plantilla enviada', 'La plantilla se envió correctamente');
-                await this.loadConversations();
             }
         } catch (error) {
             console.error('Error enviando plantilla:', error);
-            this.showNotification('Error', 'No se pudo enviar la plantilla');
+            this.showNotification('Error', `No se pudo enviar la plantilla: ${error.message}`);
         }
     }
 
@@ -418,19 +559,14 @@ class ChatLiveManager {
         formData.append('type', 'image');
 
         try {
-            const response = await fetch(`/api/chat-live/conversations/${encodeURIComponent(this.currentConversation.id)}/messages`, {
-                method: 'POST',
-                body: formData
-            });
-
-            if (response.ok) {
+            const sent = await this.postOutboundMessage(formData);
+            if (sent) {
                 document.getElementById('imagesModal').style.display = 'none';
                 this.showNotification('Imagen enviada', 'La imagen se envió correctamente');
-                await this.loadConversations();
             }
         } catch (error) {
             console.error('Error enviando imagen:', error);
-            this.showNotification('Error', 'No se pudo enviar la imagen');
+            this.showNotification('Error', `No se pudo enviar la imagen: ${error.message}`);
         }
     }
 
@@ -493,19 +629,14 @@ class ChatLiveManager {
         formData.append('type', 'video');
 
         try {
-            const response = await fetch(`/api/chat-live/conversations/${encodeURIComponent(this.currentConversation.id)}/messages`, {
-                method: 'POST',
-                body: formData
-            });
-
-            if (response.ok) {
+            const sent = await this.postOutboundMessage(formData);
+            if (sent) {
                 document.getElementById('videosModal').style.display = 'none';
                 this.showNotification('Video enviado', 'El video se envió correctamente');
-                await this.loadConversations();
             }
         } catch (error) {
             console.error('Error enviando video:', error);
-            this.showNotification('Error', 'No se pudo enviar el video');
+            this.showNotification('Error', `No se pudo enviar el video: ${error.message}`);
         }
     }
 
@@ -582,19 +713,14 @@ class ChatLiveManager {
         formData.append('type', 'document');
 
         try {
-            const response = await fetch(`/api/chat-live/conversations/${encodeURIComponent(this.currentConversation.id)}/messages`, {
-                method: 'POST',
-                body: formData
-            });
-
-            if (response.ok) {
+            const sent = await this.postOutboundMessage(formData);
+            if (sent) {
                 document.getElementById('documentsModal').style.display = 'none';
                 this.showNotification('Documento enviado', 'El documento se envió correctamente');
-                await this.loadConversations();
             }
         } catch (error) {
             console.error('Error enviando documento:', error);
-            this.showNotification('Error', 'No se pudo enviar el documento');
+            this.showNotification('Error', `No se pudo enviar el documento: ${error.message}`);
         }
     }
 
@@ -661,7 +787,14 @@ class ChatLiveManager {
      */
     async loadConversations() {
         try {
-            const response = await fetch('/api/chat-live/conversations?limit=50&page=1');
+            const params = new URLSearchParams({
+                limit: 50,
+                page: 1,
+                assignee: this.assigneeFilter,
+                status: this.statusFilter,
+                channelId: this.channelFilter
+            });
+            const response = await fetch(`/api/chat-live/conversations?${params}`);
 
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}`);
@@ -693,12 +826,61 @@ class ChatLiveManager {
             lastMessage: raw.lastMessage || raw.last_message || raw.last_message_content || 'Sin mensajes',
             lastMessageTime: raw.lastMessageTime || raw.last_message_at || raw.timestamp || null,
             unreadCount: typeof raw.unreadCount === 'number' ? raw.unreadCount : (raw.unread ? 1 : 0),
-            status: raw.status || 'active',
+            status: raw.status || 'open',
+            snoozedUntil: raw.snoozedUntil || null,
+            resolutionReason: raw.resolutionReason || null,
             channel: raw.channel || 'whatsapp',
-            priority: raw.priority || 'medium'
+            channelId: raw.channelId || null,
+            channelName: raw.channelName || null,
+            priority: raw.priority || 'medium',
+            assignedAgentId: raw.assignedAgentId || null,
+            assignedAgentName: raw.assignedAgentName || null,
+            botMode: raw.botMode || 'bot',
+            windowOpen: raw.windowOpen !== false,
+            windowExpiresAt: raw.windowExpiresAt || null
         };
     }
 
+    /**
+     * Carga los números de WhatsApp activos; el filtro y el selector de número
+     * solo se muestran cuando hay más de uno
+     */
+    async loadChannels() {
+        try {
+            const response = await fetch('/api/channels?active=true');
+            const result = await response.json();
+            this.channels = response.ok && Array.isArray(result.data) ? result.data : [];
+        } catch (error) {
+            console.warn('⚠️ No se pudieron cargar los números de WhatsApp:', error);
+            this.channels = [];
+        }
+
+        const multiple = this.channels.length > 1;
+        const options = this.channels.map(channel =>
+            `<option value="${channel.id}">${this.escapeHtml(channel.name)} (+${channel.phoneNumber})</option>`
+        ).join('');
+
+        if (this.elements.channelFilter) {
+            this.elements.channelFilter.innerHTML = `<option value="all">Todos los números</option>${options}`;
+            this.elements.channelFilter.style.display = multiple ? '' : 'none';
+        }
+        if (this.elements.channelSelect) {
+            this.elements.channelSelect.innerHTML = `<option value="">Número de la conversación</option>${options}`;
+            this.elements.channelSelect.style.display = multiple ? '' : 'none';
+        }
+        if (multiple) {
+            this.renderConversations();
+        }
+    }
+
+    /**
+     * Número elegido en el selector para el próximo envío (null = el de la conversación)
+     */
+    getSelectedChannelId() {
+        const value = this.elements.channelSelect?.value;
+        return value ? parseInt(value, 10) : null;
+    }
+
     /**
      * Renderiza la lista de conversaciones
      */
@@ -803,6 +985,17 @@ class ChatLiveManager {
                             <p>${lastMessagePreview}</p>
                             ${unreadCount > 0 ? `<span class="unread-badge-count">${unreadCount}</span>` : ''}
                         </div>
+                        <div class="conversation-assignee">
+                            <i class="fas fa-user-tag"></i>
+                            ${conversation.assignedAgentName || 'Sin asignar'}
+                            ${conversation.botMode === 'human'
+                                ? '<span class="bot-mode-badge human"><i class="fas fa-headset"></i> Agente</span>'
+                                : '<span class="bot-mode-badge"><i class="fas fa-robot"></i> Bot</span>'}
+                            ${conversation.status !== 'open' ? this.renderStatusBadge(conversation) : ''}
+                            ${this.channels.length > 1 && conversation.channelName
+                                ? `<span class="channel-badge" title="Número de WhatsApp de la conversación"><i class="fab fa-whatsapp"></i> ${this.escapeHtml(conversation.channelName)}</span>`
+                                : ''}
+                        </div>
                     </div>
                 </div>
             `;
@@ -848,6 +1041,12 @@ class ChatLiveManager {
 
         // Guardar la referencia a la conversación actual
         this.currentConversation = conversation;
+        this.clearAiAssist();
+
+        // Cada conversación responde por defecto desde su propio número
+        if (this.elements.channelSelect) {
+            this.elements.channelSelect.value = '';
+        }
         
         // Seleccionar visualmente la nueva conversación
         const conversationItems = document.querySelectorAll('.conversation-item');
@@ -903,9 +1102,59 @@ class ChatLiveManager {
         this.updateChatHeader();
         await this.loadMessages(true); // forceReload = true para cargar todos los mensajes
         this.showChatInput();
+        await this.loadWindowState();
         // No mostrar automáticamente el panel de información del cliente
     }
 
+    /**
+     * Consulta el estado de la ventana de 24h de la conversación actual
+     */
+    async loadWindowState() {
+        const conversation = this.currentConversation;
+        if (!conversation) return;
+
+        if (conversation.isNew || String(conversation.id).startsWith('new_')) {
+            this.updateWindowState({ isOpen: conversation.windowOpen, expiresAt: conversation.windowExpiresAt });
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/chat-live/conversations/${encodeURIComponent(conversation.id)}/window`);
+            if (!response.ok) return;
+
+            const result = await response.json();
+            if (result.success && result.data) {
+                this.updateWindowState(result.data);
+            }
+        } catch (error) {
+            console.error('❌ Error consultando ventana de 24h:', error);
+        }
+    }
+
+    /**
+     * Habilita el texto libre o fuerza el uso de plantillas según la ventana de 24h
+     */
+    updateWindowState(state) {
+        if (!this.currentConversation) return;
+
+        const isOpen = state.isOpen !== false;
+        this.currentConversation.windowOpen = isOpen;
+        this.currentConversation.windowExpiresAt = state.expiresAt || null;
+
+        if (this.elements.windowClosedBanner) {
+            this.elements.windowClosedBanner.style.display = isOpen ? 'none' : 'flex';
+        }
+        if (this.elements.messageInput) {
+            this.elements.messageInput.disabled = !isOpen;
+            this.elements.messageInput.placeholder = isOpen
+                ? 'Escribe tu mensaje...'
+                : 'Ventana de 24h cerrada: envía una plantilla';
+        }
+        if (this.elements.sendButton) {
+            this.elements.sendButton.disabled = !isOpen;
+        }
+    }
+
     /**
      * Actualiza el header del chat
      */
@@ -913,14 +1162,15 @@ class ChatLiveManager {
         const header = this.elements.chatHeader;
         if (!header || !this.currentConversation) return;
 
-        const { name, phone } = this.currentConversation;
+        const { id, name, phone, botMode, status } = this.currentConversation;
+        const hasConversationId = id && !String(id).startsWith('new_');
         const isClientInfoVisible = this.elements.clientInfoPanel && this.elements.clientInfoPanel.style.display !== 'none';
 
         header.innerHTML = `
             <div class="chat-info clickable" id="chatInfoToggle">
                 <div class="client-avatar"><i class="fas fa-user"></i></div>
                 <div class="client-details">
-                    <h4>${name}</h4>
+                    <h4>${name} ${hasConversationId ? this.renderStatusBadge(this.currentConversation) : ''}</h4>
                     <p>${phone || 'Sin teléfono'}</p>
                 </div>
                 <div class="info-toggle-icon">
@@ -928,6 +1178,28 @@ class ChatLiveManager {
                 </div>
             </div>
             <div class="chat-actions">
+                ${hasConversationId && status !== 'resolved' ? `<button class="btn btn-sm btn-outline" id="resolveBtn" title="Marcar como resuelta">
+                    <i class="fas fa-check"></i> Resolver
+                </button>
+                <button class="btn btn-sm btn-outline" id="snoozeBtn" title="Posponer hasta más tarde">
+                    <i class="fas fa-clock"></i>
+                </button>` : ''}
+                ${hasConversationId && (status === 'open' || status === 'snoozed') ? `<button class="btn btn-sm btn-outline" id="pendingBtn" title="Esperando respuesta del cliente">
+                    <i class="fas fa-hourglass-half"></i>
+                </button>` : ''}
+                ${hasConversationId && status !== 'open' ? `<button class="btn btn-sm btn-outline" id="reopenBtn" title="Reabrir la conversación">
+                    <i class="fas fa-folder-open"></i> Reabrir
+                </button>` : ''}
+                ${hasConversationId ? (botMode === 'human'
+                    ? `<button class="btn btn-sm btn-outline" id="returnToBotBtn" title="Reanudar las respuestas del bot">
+                        <i class="fas fa-robot"></i> Devolver al bot
+                    </button>`
+                    : `<button class="btn btn-sm btn-outline" id="takeOverBtn" title="Pausar el bot y atender la conversación">
+                        <i class="fas fa-headset"></i> Tomar conversación
+                    </button>`) : ''}
+                ${hasConversationId ? `<button class="btn btn-sm btn-outline" id="summaryBtn" title="Resumir la conversación con IA">
+                    <i class="fas fa-align-left"></i>
+                </button>` : ''}
                 <button class="btn btn-sm btn-outline" id="deleteContactBtn" title="Eliminar contacto">
                     <i class="fas fa-trash"></i>
                 </button>
@@ -944,6 +1216,95 @@ class ChatLiveManager {
         if (deleteContactBtn) {
             deleteContactBtn.addEventListener('click', () => this.handleDeleteContact());
         }
+
+        document.getElementById('takeOverBtn')?.addEventListener('click', () => this.takeOverConversation());
+        document.getElementById('summaryBtn')?.addEventListener('click', () => this.showConversationSummary());
+        document.getElementById('returnToBotBtn')?.addEventListener('click', () => this.returnConversationToBot());
+        document.getElementById('resolveBtn')?.addEventListener('click', () => this.resolveConversation());
+        document.getElementById('snoozeBtn')?.addEventListener('click', () => this.snoozeConversation());
+        document.getElementById('pendingBtn')?.addEventListener('click', () => this.changeConversationStatus('pending'));
+        document.getElementById('reopenBtn')?.addEventListener('click', () => this.changeConversationStatus('reopen'));
+    }
+
+    /**
+     * Etiqueta del estado de la conversación (pendiente, pospuesta hasta, resuelta)
+     */
+    renderStatusBadge(conversation) {
+        const labels = {
+            open: 'Abierta',
+            pending: 'Pendiente',
+            snoozed: 'Pospuesta',
+            resolved: 'Resuelta'
+        };
+        const status = conversation.status || 'open';
+        const until = status === 'snoozed' && conversation.snoozedUntil
+            ? ` hasta ${new Date(conversation.snoozedUntil).toLocaleString('es-ES', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' })}`
+            : '';
+        return `<span class="conversation-status-badge ${status}">${labels[status] || status}${until}</span>`;
+    }
+
+    /**
+     * Resuelve la conversación actual pidiendo el motivo
+     */
+    async resolveConversation() {
+        const reasons = {
+            1: 'solved',
+            2: 'no_response',
+            3: 'duplicate',
+            4: 'spam',
+            5: 'other'
+        };
+        const choice = prompt('Motivo de resolución:\n1. Resuelta\n2. Sin respuesta del cliente\n3. Duplicada\n4. Spam\n5. Otro', '1');
+        if (choice === null) return;
+
+        const reason = reasons[choice.trim()];
+        if (!reason) {
+            alert('Motivo no válido');
+            return;
+        }
+
+        await this.changeConversationStatus('resolve', { reason });
+    }
+
+    /**
+     * Pospone la conversación actual; se reabre sola al vencer o si el cliente escribe
+     */
+    async snoozeConversation() {
+        const hours = prompt('¿Cuántas horas posponer la conversación?', '4');
+        if (hours === null) return;
+
+        const minutes = Math.round(parseFloat(hours) * 60);
+        if (!(minutes > 0)) {
+            alert('Indica un número de horas mayor que cero');
+            return;
+        }
+
+        await this.changeConversationStatus('snooze', { minutes });
+    }
+
+    /**
+     * Aplica una acción del ciclo de vida (resolve, snooze, pending, reopen) a la conversación actual
+     */
+    async changeConversationStatus(action, body = {}) {
+        const conversationId = this.currentConversation?.id;
+        if (!conversationId) return;
+
+        try {
+            const response = await fetch(`/api/chat-live/conversations/${encodeURIComponent(conversationId)}/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            this.setConversationStatus(result.data);
+        } catch (error) {
+            console.error('❌ Error cambiando el estado de la conversación:', error);
+            alert('No se pudo cambiar el estado de la conversación: ' + (error.message || 'error desconocido'));
+        }
     }
 
     async handleDeleteContact() {
@@ -1075,10 +1436,14 @@ class ChatLiveManager {
             mediaUrl: raw.mediaUrl || raw.media_url || null,
             mediaType: raw.mediaType || raw.media_type || null,
             messageId: raw.messageId || raw.message_id || null, // ID de WhatsApp para marcar como leído
-            latitude: raw.latitude || null,
-            longitude: raw.longitude || null,
-            locationName: raw.locationName || raw.location_name || null,
-            locationAddress: raw.locationAddress || raw.location_address || null
+            metadata: raw.metadata || null,
+            replyTo: raw.replyTo || raw.metadata?.replyTo || null, // WA.ID del mensaje citado
+            contacts: raw.contacts || raw.metadata?.contacts || null,
+            reactions: raw.reactions || [],
+            latitude: raw.latitude || raw.metadata?.location?.latitude || null,
+            longitude: raw.longitude || raw.metadata?.location?.longitude || null,
+            locationName: raw.locationName || raw.location_name || raw.metadata?.location?.name || null,
+            locationAddress: raw.locationAddress || raw.location_address || raw.metadata?.location?.address || null
         };
 
         // Handle interactive messages (like flow responses)
@@ -1244,7 +1609,9 @@ class ChatLiveManager {
             return `
                 <div class="message ${isAgent ? 'sent' : 'received'}" data-message-id="${message.id}">
                     <div class="message-content">
+                        ${this.renderReplyQuote(message)}
                         ${mediaHtml}
+                        ${this.renderReactions(message)}
                         <div class="message-meta">
                             <span class="message-time">${timeLabel}</span>
                             ${isAgent && statusIcon ? `<span class="message-status ${message.status} ${message.status === 'failed' ? 'clickable' : ''}" ${message.status === 'failed' ? `onclick="chatManager.retryMessage('${message.id}')"` : ''} title="${message.status === 'failed' ? 'Click para reenviar' : ''}">${statusIcon}</span>` : ''}
@@ -1266,6 +1633,11 @@ class ChatLiveManager {
         const mediaUrl = message.mediaUrl || message.media_url;
         const mediaType = (message.mediaType || message.media_type || '').toLowerCase();
 
+        const outboundHtml = this.renderOutboundContent(message);
+        if (outboundHtml) {
+            return outboundHtml;
+        }
+
         // Debug log
         if (type === 'image') {
         }
@@ -1348,6 +1720,10 @@ class ChatLiveManager {
             `;
         }
 
+        if (type === 'contacts' && message.contacts?.length) {
+            return this.renderContactCards(message, { canSave: true });
+        }
+
         if (type === 'location') {
             // Obtener datos de ubicación desde los campos del mensaje
             const latitude = message.latitude;
@@ -1730,7 +2106,8 @@ class ChatLiveManager {
             status: 'sending',
             content: text,
             timestamp: new Date().toISOString(),
-            messageId: null
+            messageId: null,
+            replyTo: this.replyTo?.messageId || null
         };
 
         // Agregar mensaje temporal a la lista local inmediatamente
@@ -1745,11 +2122,35 @@ class ChatLiveManager {
                 sender: 'agent', 
                 type: 'text'
             };
+
+            // Respuesta a un mensaje concreto: WhatsApp lo muestra citado
+            if (this.replyTo) {
+                body.replyTo = this.replyTo.messageId;
+            }
             
             // Si es conversación nueva (iniciada por nosotros), incluir el teléfono
             if (this.currentConversation.isNew) {
                 body.phone = this.currentConversation.phone;
             }
+
+            // Número elegido para enviar (si no, el de la conversación)
+            const channelId = this.getSelectedChannelId();
+            if (channelId) {
+                body.channelId = channelId;
+            }
+
+            // Borrador sugerido por la IA: el servidor mide cuánto se editó
+            if (this.activeSuggestion) {
+                body.suggestionId = this.activeSuggestion.id;
+                body.suggestionIndex = this.activeSuggestion.index;
+                this.activeSuggestion = null;
+            }
+
+            // Respuesta predefinida: el servidor envía su adjunto y cuenta el uso
+            if (this.activeCannedResponse) {
+                body.cannedResponseId = this.activeCannedResponse.id;
+                this.activeCannedResponse = null;
+            }
             
             const response = await fetch(`/api/chat-live/conversations/${encodeURIComponent(this.currentConversation.id)}/messages`, {
                 method: 'POST',
@@ -1757,6 +2158,18 @@ class ChatLiveManager {
                 body: JSON.stringify(body)
             });
 
+            if (response.status === 422) {
+                const closed = await response.json();
+                if (closed.error === 'window_closed') {
+                    // Quitar el mensaje temporal y forzar el selector de plantillas
+                    this.messages = this.messages.filter(msg => msg.id !== tempMessage.id);
+                    this.renderMessages();
+                    this.updateWindowState({ isOpen: false, expiresAt: closed.expiresAt });
+                    this.openTemplatesModal();
+                    return;
+                }
+            }
+
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}`);
             }
@@ -1776,10 +2189,12 @@ class ChatLiveManager {
                         status: sentMessage.status || 'sent',
                         content: sentMessage.text || sentMessage.content || text,
                         timestamp: sentMessage.timestamp || sentMessage.sentAt || sentMessage.created_at || tempMessage.timestamp,
-                        messageId: sentMessage.messageId || sentMessage.id
+                        messageId: sentMessage.messageId || sentMessage.id,
+                        replyTo: tempMessage.replyTo
                     };
                     this.renderMessages();
                 }
+                this.clearReplyTo();
             } else {
                 throw new Error(result.error || 'Error desconocido');
             }
@@ -1805,7 +2220,12 @@ class ChatLiveManager {
                 sendButton.innerHTML = originalText;
             }
             input.disabled = false;
-            input.focus();
+
+            if (this.currentConversation?.windowOpen === false) {
+                this.updateWindowState({ isOpen: false, expiresAt: this.currentConversation.windowExpiresAt });
+            } else {
+                input.focus();
+            }
         }
     }
 
@@ -2081,6 +2501,12 @@ class ChatLiveManager {
         const contextMenu = document.createElement('div');
         contextMenu.className = 'message-context-menu';
         contextMenu.innerHTML = `
+            ${message.messageId ? `
+                <div class="context-menu-item reply-message">
+                    <i class="fas fa-reply"></i>
+                    <span>Responder</span>
+                </div>
+            ` : ''}
             <div class="context-menu-item delete-message" data-message-id="${messageId}">
                 <i class="fas fa-trash"></i>
                 <span>Eliminar mensaje</span>
@@ -2109,6 +2535,11 @@ class ChatLiveManager {
         // Add to DOM
         document.body.appendChild(contextMenu);
 
+        contextMenu.querySelector('.reply-message')?.addEventListener('click', () => {
+            this.setReplyTo(message);
+            this.hideMessageContextMenu();
+        });
+
         // Add click handler for delete
         contextMenu.querySelector('.delete-message').addEventListener('click', () => {
             this.deleteMessage(messageId);
@@ -2331,6 +2762,9 @@ class ChatLiveManager {
             <!-- Sección de Automatizaciones -->
             <div class="client-info-section">
                 <h3 class="section-title">Automatizaciones</h3>
+                <div id="contactFlowState" class="contact-flow-state">
+                    <!-- El flujo actual del contacto se cargará aquí -->
+                </div>
                 <div class="automation-controls">
                     <button id="toggleAutomation" class="btn btn-sm btn-outline">
                         <i class="fas fa-pause"></i> Pausar automatizaciones
@@ -2373,27 +2807,1255 @@ class ChatLiveManager {
     }
 
     /**
-     * Inicializa los eventos del panel de información del cliente
+     * Carga el flujo y el paso en el que está el contacto
      */
-    initClientInfoEvents() {
-        if (!this.elements.clientDetails) return;
+    async loadContactFlowState() {
+        const phone = this.currentConversation?.phone;
+        if (!phone || !document.getElementById('contactFlowState')) return;
 
-        // Añadir eventos a los botones de edición de campos
-        const editButtons = this.elements.clientDetails.querySelectorAll('.edit-field-btn');
-        editButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                const field = e.currentTarget.dataset.field;
-                this.showFieldEditForm(field);
+        try {
+            const response = await fetch(`/api/chat-live/contacts/${encodeURIComponent(phone)}/flow`);
+            if (!response.ok) return;
+
+            const result = await response.json();
+            if (result.success) {
+                this.renderContactFlowState(result.data.active);
+            }
+        } catch (error) {
+            console.error('❌ Error cargando flujo del contacto:', error);
+        }
+    }
+
+    /**
+     * Muestra el flujo activo: nombre, paso, respuesta esperada y vencimiento
+     */
+    renderContactFlowState(run) {
+        const container = document.getElementById('contactFlowState');
+        if (!container) return;
+
+        if (!run) {
+            container.innerHTML = '<div class="client-info-item"><span>Sin flujo activo</span></div>';
+            return;
+        }
+
+        const statusLabels = {
+            running: 'En ejecución',
+            waiting: 'Esperando respuesta',
+            delayed: 'En pausa programada'
+        };
+        const rows = [
+            ['Flujo', run.flowName || run.flowId || `#${run.id}`],
+            ['Paso', `${run.currentStep + 1} de ${run.totalSteps}${run.stepName ? ` · ${run.stepName}` : ''}`],
+            ['Estado', statusLabels[run.status] || run.status]
+        ];
+        if (run.expectedType && run.expectedType !== 'any') {
+            rows.push(['Respuesta esperada', run.expectedType]);
+        }
+        if (run.attempts > 0) {
+            rows.push(['Intentos inválidos', String(run.attempts)]);
+        }
+        if (run.timeoutAt || run.resumeAt) {
+            // formatTime es relativo al pasado; el vencimiento es una fecha futura
+            const dueAt = new Date(run.timeoutAt || run.resumeAt).toLocaleString('es-ES', {
+                day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'
             });
+            rows.push([run.timeoutAt ? 'Vence' : 'Continúa', dueAt]);
+        }
+
+        container.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const item = document.createElement('div');
+            item.className = 'client-info-item';
+            const labelEl = document.createElement('label');
+            labelEl.textContent = `${label}:`;
+            const valueEl = document.createElement('span');
+            valueEl.textContent = value;
+            item.append(labelEl, valueEl);
+            container.appendChild(item);
         });
 
-        // Cargar etiquetas del contacto
-        this.loadContactTags();
+        const cancelButton = document.createElement('button');
+        cancelButton.className = 'btn btn-sm btn-outline';
+        cancelButton.innerHTML = '<i class="fas fa-stop"></i> Sacar del flujo';
+        cancelButton.addEventListener('click', () => this.cancelContactFlow());
+        container.appendChild(cancelButton);
+    }
 
-        // Cargar campos personalizados
-        this.loadCustomFields();
+    /**
+     * Saca al contacto del flujo en curso
+     */
+    async cancelContactFlow() {
+        const phone = this.currentConversation?.phone;
+        if (!phone || !confirm('¿Sacar al contacto del flujo en curso?')) return;
+
+        try {
+            const response = await fetch(`/api/chat-live/contacts/${encodeURIComponent(phone)}/flow/cancel`, {
+                method: 'POST'
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            await this.loadContactFlowState();
+        } catch (error) {
+            console.error('❌ Error cancelando flujo del contacto:', error);
+        }
+    }
+
+    /**
+     * Carga la cola de conversaciones que el bot pasó a un agente
+     */
+    async loadHandoffQueue() {
+        if (!this.elements.handoffQueueList) return;
+
+        try {
+            const response = await fetch('/api/chat-live/handoffs');
+            if (!response.ok) return;
+
+            const result = await response.json();
+            this.handoffs = result.success && Array.isArray(result.data) ? result.data : [];
+            this.renderHandoffQueue();
+        } catch (error) {
+            console.error('❌ Error cargando cola de traspasos:', error);
+        }
+    }
+
+    /**
+     * Muestra la cola de traspasos con el motivo y el resumen de la IA
+     */
+    renderHandoffQueue() {
+        const { handoffQueue, handoffQueueList, handoffQueueCount } = this.elements;
+        if (!handoffQueue || !handoffQueueList) return;
+
+        handoffQueue.style.display = this.handoffs.length > 0 ? 'block' : 'none';
+        if (handoffQueueCount) {
+            handoffQueueCount.textContent = String(this.handoffs.length);
+        }
+
+        const reasonLabels = {
+            agent_request: 'Pidió un agente',
+            negative_sentiment: 'Cliente molesto',
+            low_confidence: 'Respuesta poco fiable',
+            repeated_fallback: 'El bot no supo responder',
+            flow: 'Desde un flujo',
+            manual: 'Manual'
+        };
+
+        handoffQueueList.innerHTML = '';
+        this.handoffs.forEach((handoff) => {
+            const item = document.createElement('div');
+            item.className = 'handoff-item';
+
+            const header = document.createElement('div');
+            header.className = 'handoff-item-header';
+            const name = document.createElement('strong');
+            name.textContent = handoff.contactName || handoff.phone || `#${handoff.conversationId}`;
+            const reason = document.createElement('span');
+            reason.className = `handoff-reason ${handoff.reason}`;
+            reason.textContent = reasonLabels[handoff.reason] || handoff.reason;
+            header.append(name, reason);
+
+            const summary = document.createElement('p');
+            summary.className = 'handoff-summary';
+            summary.textContent = handoff.summary || '';
+
+            const acceptButton = document.createElement('button');
+            acceptButton.className = 'btn btn-sm btn-primary';
+            acceptButton.innerHTML = '<i class="fas fa-headset"></i> Atender';
+            acceptButton.addEventListener('click', () => this.acceptHandoff(handoff));
+
+            item.append(header, summary, acceptButton);
+            handoffQueueList.appendChild(item);
+        });
+    }
+
+    /**
+     * Acepta un traspaso de la cola y abre la conversación
+     */
+    async acceptHandoff(handoff) {
+        try {
+            const response = await fetch(`/api/chat-live/handoffs/${handoff.id}/accept`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' }
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            await this.loadHandoffQueue();
+            await this.loadConversations();
+            await this.selectConversation(handoff.phone || handoff.conversationId);
+        } catch (error) {
+            console.error('❌ Error aceptando traspaso:', error);
+            alert('No se pudo atender la conversación: ' + (error.message || 'error desconocido'));
+        }
+    }
+
+    /**
+     * Pausa el bot y asigna la conversación actual al agente
+     */
+    async takeOverConversation() {
+        const conversationId = this.currentConversation?.id;
+        if (!conversationId) return;
+
+        await this.changeBotMode(`/api/chat-live/conversations/${conversationId}/handoff`, 'human');
+    }
+
+    /**
+     * Devuelve la conversación actual al bot
+     */
+    async returnConversationToBot() {
+        const conversationId = this.currentConversation?.id;
+        if (!conversationId || !confirm('¿Devolver la conversación al bot? Volverá a responder automáticamente.')) return;
+
+        await this.changeBotMode(`/api/chat-live/conversations/${conversationId}/return-to-bot`, 'bot');
+    }
+
+    async changeBotMode(url, botMode) {
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' }
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            this.setConversationBotMode(this.currentConversation.id, botMode);
+        } catch (error) {
+            console.error('❌ Error cambiando el modo del bot:', error);
+            alert('No se pudo cambiar el modo de la conversación: ' + (error.message || 'error desconocido'));
+        }
+    }
+
+    /**
+     * Pide a la IA borradores de respuesta para la conversación actual
+     */
+    async requestSuggestions() {
+        const conversationId = this.currentConversation?.id;
+        const panel = this.elements.aiAssistPanel;
+        if (!conversationId || String(conversationId).startsWith('new_') || !panel) return;
+
+        panel.style.display = 'block';
+        panel.innerHTML = '<div class="ai-assist-loading"><i class="fas fa-spinner fa-spin"></i> Generando sugerencias...</div>';
+
+        try {
+            const response = await fetch(`/api/chat-live/conversations/${encodeURIComponent(conversationId)}/suggestions`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' }
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            // La respuesta llega tarde si el agente cambió de conversación
+            if (this.currentConversation?.id !== conversationId) return;
+
+            this.suggestions = result.data;
+            this.renderSuggestions();
+        } catch (error) {
+            console.error('❌ Error obteniendo sugerencias:', error);
+            this.renderAiAssistMessage('Sugerencias', error.message || 'No se pudieron generar sugerencias');
+        }
+    }
+
+    /**
+     * Muestra los borradores; al elegir uno se copia al input para editarlo
+     */
+    renderSuggestions() {
+        const panel = this.elements.aiAssistPanel;
+        if (!panel || !this.suggestions) return;
+
+        panel.innerHTML = '';
+        panel.appendChild(this.createAiAssistHeader('Sugerencias de la IA', () => this.dismissSuggestions()));
+
+        this.suggestions.suggestions.forEach((suggestion, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'ai-suggestion';
+            button.textContent = suggestion.text;
+            button.addEventListener('click', () => this.useSuggestion(index));
+            panel.appendChild(button);
+        });
+    }
+
+    useSuggestion(index) {
+        const input = this.elements.messageInput;
+        if (!input || !this.suggestions) return;
+
+        input.value = this.suggestions.suggestions[index].text;
+        this.activeSuggestion = { id: this.suggestions.id, index };
+        this.suggestions = null;
+        this.hideAiAssist();
+        input.focus();
+    }
+
+    /**
+     * Cierra las sugerencias sin usarlas (cuenta como descartadas)
+     */
+    async dismissSuggestions() {
+        const suggestionId = this.suggestions?.id;
+        this.suggestions = null;
+        this.hideAiAssist();
+        if (!suggestionId) return;
+
+        try {
+            await fetch(`/api/chat-live/suggestions/${suggestionId}/dismiss`, {
+                method: 'POST'
+            });
+        } catch (error) {
+            console.error('❌ Error descartando sugerencias:', error);
+        }
+    }
+
+    /**
+     * Muestra el resumen de la conversación generado por la IA
+     */
+    async showConversationSummary() {
+        const conversationId = this.currentConversation?.id;
+        const panel = this.elements.aiAssistPanel;
+        if (!conversationId || !panel) return;
+
+        panel.style.display = 'block';
+        panel.innerHTML = '<div class="ai-assist-loading"><i class="fas fa-spinner fa-spin"></i> Resumiendo conversación...</div>';
+
+        try {
+            const response = await fetch(`/api/chat-live/conversations/${encodeURIComponent(conversationId)}/summary`);
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+            if (this.currentConversation?.id !== conversationId) return;
+
+            const title = result.data.source === 'ia' ? 'Resumen de la IA' : 'Últimos mensajes (IA no disponible)';
+            this.renderAiAssistMessage(title, result.data.summary);
+        } catch (error) {
+            console.error('❌ Error obteniendo resumen:', error);
+            this.renderAiAssistMessage('Resumen', error.message || 'No se pudo resumir la conversación');
+        }
+    }
+
+    renderAiAssistMessage(title, text) {
+        const panel = this.elements.aiAssistPanel;
+        if (!panel) return;
+
+        panel.innerHTML = '';
+        panel.appendChild(this.createAiAssistHeader(title, () => this.hideAiAssist()));
+        const body = document.createElement('p');
+        body.className = 'ai-assist-text';
+        body.textContent = text;
+        panel.appendChild(body);
+    }
+
+    createAiAssistHeader(title, onClose, icon = 'fa-magic') {
+        const header = document.createElement('div');
+        header.className = 'ai-assist-header';
+        const titleEl = document.createElement('span');
+        titleEl.innerHTML = `<i class="fas ${icon}"></i> `;
+        titleEl.append(title);
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'ai-assist-close';
+        closeButton.title = 'Cerrar';
+        closeButton.innerHTML = '&times;';
+        closeButton.addEventListener('click', onClose);
+        header.append(titleEl, closeButton);
+        return header;
+    }
+
+    hideAiAssist() {
+        if (this.elements.aiAssistPanel) {
+            this.elements.aiAssistPanel.style.display = 'none';
+            this.elements.aiAssistPanel.innerHTML = '';
+            delete this.elements.aiAssistPanel.dataset.mode;
+        }
+    }
+
+    /**
+     * Al cambiar de conversación se descartan sugerencias y borradores pendientes
+     */
+    clearAiAssist() {
+        if (this.suggestions) {
+            this.dismissSuggestions();
+        }
+        this.activeSuggestion = null;
+        this.activeCannedResponse = null;
+        this.hideAiAssist();
+    }
+
+    /**
+     * Carga (una vez) las respuestas predefinidas de equipo y personales
+     */
+    async loadCannedResponses(force = false) {
+        if (this.cannedResponses && !force) return this.cannedResponses;
+
+        const response = await fetch('/api/canned-responses');
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        this.cannedResponses = result.data;
+        return this.cannedResponses;
+    }
+
+    /**
+     * Muestra la biblioteca de respuestas predefinidas agrupada por carpeta
+     * @param {string} query - Filtro por atajo, título o texto
+     */
+    async showCannedResponses(query = '') {
+        const panel = this.elements.aiAssistPanel;
+        if (!panel) return;
+
+        try {
+            await this.loadCannedResponses();
+        } catch (error) {
+            console.error('❌ Error cargando respuestas predefinidas:', error);
+            this.renderAiAssistMessage('Respuestas rápidas', error.message || 'No se pudieron cargar las respuestas');
+            return;
+        }
+
+        panel.style.display = 'block';
+        panel.dataset.mode = 'canned';
+        panel.innerHTML = '';
+        panel.appendChild(this.createAiAssistHeader('Respuestas rápidas', () => this.hideAiAssist(), 'fa-bolt'));
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'canned-toolbar';
+        const search = document.createElement('input');
+        search.type = 'search';
+        search.className = 'canned-search';
+        search.placeholder = 'Buscar por atajo o texto...';
+        search.value = query;
+        search.addEventListener('input', () => this.renderCannedList(list, search.value));
+        const newButton = document.createElement('button');
+        newButton.type = 'button';
+        newButton.className = 'canned-new';
+        newButton.innerHTML = '<i class="fas fa-plus"></i> Nueva';
+        newButton.addEventListener('click', () => this.showCannedResponseForm());
+        toolbar.append(search, newButton);
+
+        const list = document.createElement('div');
+        list.className = 'canned-list';
+        panel.append(toolbar, list);
+        this.renderCannedList(list, query);
+    }
+
+    filterCannedResponses(query) {
+        const text = String(query || '').trim().toLowerCase().replace(/^\//, '');
+        if (!text) return this.cannedResponses || [];
+
+        return (this.cannedResponses || []).filter(item =>
+            (item.shortcut || '').startsWith(text) ||
+            item.title.toLowerCase().includes(text) ||
+            item.body.toLowerCase().includes(text)
+        );
+    }
+
+    renderCannedList(list, query) {
+        const items = this.filterCannedResponses(query);
+        list.innerHTML = '';
+
+        if (items.length === 0) {
+            list.innerHTML = '<p class="ai-assist-text">No hay respuestas que coincidan</p>';
+            return;
+        }
+
+        let currentFolder;
+        items.forEach(item => {
+            if (item.folder !== currentFolder) {
+                currentFolder = item.folder;
+                const folder = document.createElement('div');
+                folder.className = 'canned-folder';
+                folder.innerHTML = '<i class="fas fa-folder"></i> ';
+                folder.append(item.folder || 'Sin carpeta');
+                list.appendChild(folder);
+            }
+
+            const row = document.createElement('div');
+            row.className = 'canned-item';
+
+            const useButton = document.createElement('button');
+            useButton.type = 'button';
+            useButton.className = 'ai-suggestion';
+            const title = document.createElement('strong');
+            title.textContent = item.shortcut ? `/${item.shortcut} · ${item.title}` : item.title;
+            const preview = document.createElement('span');
+            preview.className = 'canned-preview';
+            preview.textContent = item.body;
+            useButton.append(title, preview);
+            if (item.media) {
+                useButton.insertAdjacentHTML('beforeend', ' <i class="fas fa-paperclip" title="Incluye adjunto"></i>');
+            }
+            useButton.addEventListener('click', () => this.useCannedResponse(item));
+
+            const scope = document.createElement('span');
+            scope.className = `canned-scope canned-scope-${item.scope}`;
+            scope.textContent = item.scope === 'team' ? 'Equipo' : 'Personal';
+
+            const editButton = document.createElement('button');
+            editButton.type = 'button';
+            editButton.className = 'canned-action';
+            editButton.title = 'Editar';
+            editButton.innerHTML = '<i class="fas fa-pen"></i>';
+            editButton.addEventListener('click', () => this.showCannedResponseForm(item));
+
+            const deleteButton = document.createElement('button');
+            deleteButton.type = 'button';
+            deleteButton.className = 'canned-action';
+            deleteButton.title = 'Eliminar';
+            deleteButton.innerHTML = '<i class="fas fa-trash"></i>';
+            deleteButton.addEventListener('click', () => this.deleteCannedResponse(item));
+
+            row.append(useButton, scope, editButton, deleteButton);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Mientras se escribe "/atajo" se muestran las respuestas que coinciden
+     */
+    handleShortcutInput() {
+        const value = this.elements.messageInput?.value || '';
+        const panel = this.elements.aiAssistPanel;
+
+        if (/^\/[\w-]*$/.test(value)) {
+            this.showCannedResponses(value);
+        } else if (panel?.dataset.mode === 'canned' && value.startsWith('/')) {
+            this.hideAiAssist();
+        }
+    }
+
+    /**
+     * Expande el "/atajo" escrito en el input
+     * @returns {boolean} true si había una respuesta con ese atajo
+     */
+    expandShortcut() {
+        const value = (this.elements.messageInput?.value || '').trim().toLowerCase();
+        if (!/^\/[\w-]+$/.test(value) || !this.cannedResponses) return false;
+
+        const shortcut = value.slice(1);
+        const exact = this.cannedResponses.find(item => item.shortcut === shortcut);
+        const matches = this.cannedResponses.filter(item => (item.shortcut || '').startsWith(shortcut));
+        const item = exact || (matches.length === 1 ? matches[0] : null);
+        if (!item) return false;
+
+        this.useCannedResponse(item);
+        return true;
+    }
+
+    /**
+     * Copia la respuesta al input con las variables del contacto ya resueltas
+     */
+    async useCannedResponse(item) {
+        const input = this.elements.messageInput;
+        if (!input) return;
+
+        const conversationId = this.currentConversation?.id;
+        let rendered = { text: item.body, missing: item.variables || [], media: item.media };
+
+        if (conversationId && !String(conversationId).startsWith('new_')) {
+            try {
+                const response = await fetch(`/api/canned-responses/${item.id}/render`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ conversationId })
+                });
+                const result = await response.json();
+                if (!response.ok || !result.success) {
+                    throw new Error(result.error || `HTTP ${response.status}`);
+                }
+                rendered = result.data;
+            } catch (error) {
+                console.error('❌ Error preparando respuesta predefinida:', error);
+            }
+        }
+        if (this.currentConversation?.id !== conversationId) return;
+
+        input.value = rendered.text;
+        this.activeCannedResponse = { id: item.id };
+        this.activeSuggestion = null;
+
+        const notes = [];
+        if (rendered.missing?.length) {
+            notes.push(`Completa a mano: ${rendered.missing.map(key => `{{${key}}}`).join(', ')}`);
+        }
+        if (rendered.media) {
+            notes.push(`Se enviará también el adjunto (${rendered.media.type})`);
+        }
+        if (notes.length > 0) {
+            this.renderAiAssistMessage(item.title, notes.join('\n'));
+        } else {
+            this.hideAiAssist();
+        }
+        input.focus();
+    }
+
+    /**
+     * Formulario para crear o editar una respuesta predefinida
+     */
+    showCannedResponseForm(item = null) {
+        const panel = this.elements.aiAssistPanel;
+        if (!panel) return;
+
+        panel.style.display = 'block';
+        panel.dataset.mode = 'canned-form';
+        panel.innerHTML = '';
+        panel.appendChild(this.createAiAssistHeader(item ? 'Editar respuesta' : 'Nueva respuesta', () => this.showCannedResponses(), 'fa-bolt'));
+
+        const form = document.createElement('form');
+        form.className = 'canned-form';
+        form.innerHTML = `
+            <input name="title" placeholder="Título" maxlength="100" required>
+            <div class="canned-form-row">
+                <input name="shortcut" placeholder="Atajo (sin /)" maxlength="32">
+                <input name="folder" placeholder="Carpeta" maxlength="50">
+                <select name="scope">
+                    <option value="personal">Personal</option>
+                    <option value="team">Equipo</option>
+                </select>
+            </div>
+            <textarea name="body" rows="4" placeholder="Hola {{name}}, ... Variables: {{name}} {{last_name}} {{phone}} {{email}} {{custom_field:id}} y {{name|cliente}}" required></textarea>
+            <div class="canned-form-row">
+                <select name="mediaType">
+                    <option value="">Sin adjunto</option>
+                    <option value="image">Imagen</option>
+                    <option value="video">Video</option>
+                    <option value="audio">Audio</option>
+                    <option value="document">Documento</option>
+                </select>
+                <input name="mediaUrl" type="url" placeholder="URL del adjunto">
+                <input name="mediaFilename" placeholder="Nombre del archivo">
+            </div>
+            <button type="submit" class="btn btn-primary">Guardar</button>
+        `;
+
+        const fields = form.elements;
+        if (item) {
+            fields.title.value = item.title;
+            fields.shortcut.value = item.shortcut || '';
+            fields.folder.value = item.folder || '';
+            fields.scope.value = item.scope;
+            fields.body.value = item.body;
+            fields.mediaType.value = item.media?.type || '';
+            fields.mediaUrl.value = item.media?.url || '';
+            fields.mediaFilename.value = item.media?.filename || '';
+        }
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveCannedResponse(form, item);
+        });
+        panel.appendChild(form);
+        fields.title.focus();
+    }
+
+    async saveCannedResponse(form, item) {
+        const fields = form.elements;
+        const payload = {
+            title: fields.title.value,
+            shortcut: fields.shortcut.value || null,
+            folder: fields.folder.value,
+            scope: fields.scope.value,
+            body: fields.body.value,
+            media: fields.mediaType.value
+                ? { type: fields.mediaType.value, url: fields.mediaUrl.value, filename: fields.mediaFilename.value || null }
+                : null
+        };
+
+        try {
+            const response = await fetch(item ? `/api/canned-responses/${item.id}` : '/api/canned-responses', {
+                method: item ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            await this.loadCannedResponses(true);
+            this.showCannedResponses();
+        } catch (error) {
+            console.error('❌ Error guardando respuesta predefinida:', error);
+            alert('No se pudo guardar la respuesta: ' + (error.message || 'error desconocido'));
+        }
+    }
+
+    async deleteCannedResponse(item) {
+        if (!confirm(`¿Eliminar la respuesta "${item.title}"?`)) return;
+
+        try {
+            const response = await fetch(`/api/canned-responses/${item.id}`, {
+                method: 'DELETE'
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            await this.loadCannedResponses(true);
+            this.showCannedResponses();
+        } catch (error) {
+            console.error('❌ Error eliminando respuesta predefinida:', error);
+            alert('No se pudo eliminar la respuesta: ' + (error.message || 'error desconocido'));
+        }
+    }
+
+    /**
+     * Envía un mensaje de cualquier tipo (texto, multimedia, botones, lista,
+     * plantilla, ubicación o contacto) y lo agrega al timeline
+     * @param {Object|FormData} body - Mensaje en JSON o FormData con el archivo
+     * @returns {Promise<Object|null>} Mensaje enviado o null si la ventana de 24h está cerrada
+     */
+    async postOutboundMessage(body) {
+        if (!this.currentConversation) return null;
+
+        const isForm = body instanceof FormData;
+        const fields = { sender: 'agent' };
+        if (this.replyTo) {
+            fields.replyTo = this.replyTo.messageId;
+        }
+        if (this.currentConversation.isNew) {
+            fields.phone = this.currentConversation.phone;
+        }
+        const channelId = this.getSelectedChannelId();
+        if (channelId) {
+            fields.channelId = channelId;
+        }
+        Object.entries(fields).forEach(([key, value]) => {
+            if (isForm) body.append(key, value);
+            else body[key] = value;
+        });
+
+        const response = await fetch(`/api/chat-live/conversations/${encodeURIComponent(this.currentConversation.id)}/messages`, {
+            method: 'POST',
+            headers: isForm ? {} : { 'Content-Type': 'application/json' },
+            body: isForm ? body : JSON.stringify(body)
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (response.status === 422 && result.error === 'window_closed') {
+            this.updateWindowState({ isOpen: false, expiresAt: result.expiresAt });
+            this.openTemplatesModal();
+            return null;
+        }
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+
+        this.clearReplyTo();
+        this.messages.push(ChatLiveManager.normalizeMessage({
+            ...result.data,
+            direction: 'outbound',
+            messageId: result.data.id
+        }));
+        this.renderMessages();
+        await this.loadConversations();
+        return result.data;
+    }
+
+    /**
+     * Escapa texto para insertarlo en el HTML del timeline
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    /**
+     * Texto corto de un mensaje para citas y la barra de respuesta
+     */
+    getMessagePreview(message) {
+        const labels = { image: '🖼️ Imagen', video: '🎥 Video', audio: '🎤 Audio', document: '📄 Documento', location: '📍 Ubicación' };
+        const text = message.content && message.content !== 'Mensaje multimedia' ? message.content : labels[message.type] || 'Mensaje';
+        return text.length > 80 ? `${text.substring(0, 80)}...` : text;
+    }
+
+    /**
+     * Cita del mensaje al que responde (context.message_id de WhatsApp)
+     */
+    renderReplyQuote(message) {
+        if (!message.replyTo) return '';
+
+        const quoted = this.messages.find(m => m.messageId === message.replyTo);
+        const preview = quoted ? this.getMessagePreview(quoted) : 'Mensaje anterior';
+        return `
+            <div class="message-reply-quote" onclick="chatManager.scrollToMessage('${this.escapeHtml(message.replyTo)}')" title="Ir al mensaje citado">
+                <i class="fas fa-reply"></i> ${this.escapeHtml(preview)}
+            </div>
+        `;
+    }
+
+    /**
+     * Lleva el timeline al mensaje citado y lo resalta un momento
+     */
+    scrollToMessage(whatsappMessageId) {
+        const quoted = this.messages.find(m => m.messageId === whatsappMessageId);
+        const element = quoted && this.elements.chatMessages?.querySelector(`[data-message-id="${CSS.escape(String(quoted.id))}"]`);
+        if (!element) return;
+
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('message-highlight');
+        setTimeout(() => element.classList.remove('message-highlight'), 1500);
+    }
+
+    /**
+     * Reacciones del mensaje agrupadas por emoji
+     */
+    renderReactions(message) {
+        if (!message.reactions?.length) return '';
+
+        const counts = message.reactions.reduce((acc, reaction) => {
+            acc[reaction.emoji] = (acc[reaction.emoji] || 0) + 1;
+            return acc;
+        }, {});
+        return `
+            <div class="message-reactions">
+                ${Object.entries(counts).map(([emoji, count]) => `<span class="message-reaction">${this.escapeHtml(emoji)}${count > 1 ? ` ${count}` : ''}</span>`).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Aplica la reacción recibida por Socket.IO al mensaje (por WA.ID)
+     */
+    handleMessageReaction(payload) {
+        if (!payload?.messageId || !this.currentConversation) return;
+        if (String(this.currentConversation.phone).replace(/\D/g, '') !== String(payload.phone).replace(/\D/g, '')) return;
+
+        const message = this.messages.find(m => m.messageId === payload.messageId);
+        if (!message) return;
+
+        const reactions = (message.reactions || []).filter(reaction => reaction.reactor !== payload.from);
+        if (!payload.removed) {
+            reactions.push({ emoji: payload.emoji, reactor: payload.from, direction: 'inbound', updatedAt: payload.timestamp });
+        }
+        message.reactions = reactions;
+        this.renderMessages();
+    }
+
+    /**
+     * Tarjetas de contacto (vCard); las recibidas se pueden guardar como contacto
+     */
+    renderContactCards(message, { canSave = false } = {}) {
+        return (message.contacts || []).map((contact, index) => `
+            <div class="contact-card">
+                <i class="fas fa-address-card"></i>
+                <div>
+                    <strong>${this.escapeHtml(contact.name)}</strong>
+                    <small>${this.escapeHtml([contact.phone, contact.email, contact.organization].filter(Boolean).join(' · '))}</small>
+                </div>
+                ${canSave && contact.phone ? `
+                    <button type="button" class="contact-card-save" onclick="chatManager.createContactFromCard('${this.escapeHtml(message.id)}', ${index})" title="Crear contacto">
+                        <i class="fas fa-user-plus"></i>
+                    </button>
+                ` : ''}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Crea un contacto con los datos de una tarjeta recibida
+     */
+    async createContactFromCard(messageId, index) {
+        const message = this.messages.find(m => String(m.id) === String(messageId));
+        const contact = message?.contacts?.[index];
+        if (!contact) return;
+
+        try {
+            const response = await fetch('/api/contacts', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    name: contact.name,
+                    phone: contact.phone,
+                    email: contact.email,
+                    metadata: {
+                        source: 'vcard',
+                        ...(contact.organization && { organization: contact.organization }),
+                        sharedBy: this.currentConversation?.phone || null
+                    }
+                })
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.details || result.error || `HTTP ${response.status}`);
+            }
+            this.showNotification('Contacto creado', `${contact.name} se agregó a tus contactos`);
+        } catch (error) {
+            console.error('❌ Error creando contacto desde la tarjeta:', error);
+            alert('No se pudo crear el contacto: ' + error.message);
+        }
+    }
+
+    /**
+     * Mensajes salientes guardados con metadata.kind: botones, lista,
+     * solicitud de ubicación, plantilla y tarjeta de contacto
+     * @returns {string|null} HTML o null si lo renderiza el caso general
+     */
+    renderOutboundContent(message) {
+        const meta = message.metadata;
+        if (!meta || !meta.kind || message.direction === 'inbound') return null;
+
+        const body = `<p class="message-text">${this.formatTextWithLinks(this.escapeHtml(message.content))}</p>`;
+        const header = meta.header ? `<strong class="outbound-header">${this.escapeHtml(meta.header)}</strong>` : '';
+        const footer = meta.footer ? `<small class="outbound-footer">${this.escapeHtml(meta.footer)}</small>` : '';
+
+        switch (meta.kind) {
+            case 'buttons':
+                return `
+                    <div class="outbound-interactive">
+                        ${header}${body}${footer}
+                        <div class="outbound-buttons">
+                            ${(meta.buttons || []).map(button => `<span class="outbound-button">${this.escapeHtml(button.title)}</span>`).join('')}
+                        </div>
+                    </div>
+                `;
+            case 'list':
+                return `
+                    <div class="outbound-interactive">
+                        ${header}${body}${footer}
+                        <div class="outbound-buttons"><span class="outbound-button"><i class="fas fa-list"></i> ${this.escapeHtml(meta.list?.button)}</span></div>
+                        <ul class="outbound-list">
+                            ${(meta.list?.sections || []).flatMap(section => section.rows).map(row => `
+                                <li>${this.escapeHtml(row.title)}${row.description ? ` <small>${this.escapeHtml(row.description)}</small>` : ''}</li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                `;
+            case 'location_request':
+                return `
+                    <div class="outbound-interactive">
+                        ${body}
+                        <div class="outbound-buttons"><span class="outbound-button"><i class="fas fa-map-marker-alt"></i> Enviar ubicación</span></div>
+                    </div>
+                `;
+            case 'template':
+                return `
+                    <div class="outbound-interactive">
+                        <small class="outbound-footer"><i class="fas fa-file-alt"></i> Plantilla ${this.escapeHtml(meta.template?.name)}</small>
+                        ${body}
+                    </div>
+                `;
+            case 'contacts':
+                return this.renderContactCards({ ...message, contacts: meta.contacts || [] });
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Responder a un mensaje concreto (se cita en WhatsApp)
+     */
+    setReplyTo(message) {
+        if (!message?.messageId) return;
+
+        this.replyTo = { messageId: message.messageId, preview: this.getMessagePreview(message) };
+        const banner = this.elements.replyBanner;
+        if (banner) {
+            banner.innerHTML = '';
+            const label = document.createElement('span');
+            label.innerHTML = '<i class="fas fa-reply"></i> ';
+            label.append(`Respondiendo a: ${this.replyTo.preview}`);
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.className = 'ai-assist-close';
+            close.title = 'Cancelar respuesta';
+            close.innerHTML = '&times;';
+            close.addEventListener('click', () => this.clearReplyTo());
+            banner.append(label, close);
+            banner.style.display = 'flex';
+        }
+        this.elements.messageInput?.focus();
+    }
+
+    clearReplyTo() {
+        this.replyTo = null;
+        if (this.elements.replyBanner) {
+            this.elements.replyBanner.style.display = 'none';
+            this.elements.replyBanner.innerHTML = '';
+        }
+    }
+
+    /**
+     * Formulario del compositor para botones, lista, ubicación o contacto
+     * @param {string} kind - buttons | list | location | location_request | contacts
+     */
+    showComposerForm(kind) {
+        const panel = this.elements.aiAssistPanel;
+        if (!panel || !this.currentConversation) return;
+
+        const forms = {
+            buttons: {
+                title: 'Mensaje con botones',
+                icon: 'fa-th-large',
+                html: `
+                    <input name="header" placeholder="Encabezado (opcional)" maxlength="60">
+                    <textarea name="text" rows="3" placeholder="Texto del mensaje" maxlength="1024" required></textarea>
+                    <div class="canned-form-row">
+                        <input name="button1" placeholder="Botón 1" maxlength="20" required>
+                        <input name="button2" placeholder="Botón 2" maxlength="20">
+                        <input name="button3" placeholder="Botón 3" maxlength="20">
+                    </div>
+                    <input name="footer" placeholder="Pie (opcional)" maxlength="60">
+                `,
+                build: fields => ({
+                    type: 'buttons',
+                    header: fields.header.value,
+                    text: fields.text.value,
+                    footer: fields.footer.value,
+                    buttons: [fields.button1.value, fields.button2.value, fields.button3.value]
+                        .map(title => title.trim())
+                        .filter(Boolean)
+                        .map(title => ({ title }))
+                })
+            },
+            list: {
+                title: 'Mensaje con lista',
+                icon: 'fa-list',
+                html: `
+                    <input name="header" placeholder="Encabezado (opcional)" maxlength="60">
+                    <textarea name="text" rows="2" placeholder="Texto del mensaje" maxlength="1024" required></textarea>
+                    <input name="button" placeholder="Texto del botón (ej. Ver opciones)" maxlength="20" required>
+                    <textarea name="rows" rows="4" placeholder="Una opción por línea: Título | Descripción (máx. 10)" required></textarea>
+                    <input name="footer" placeholder="Pie (opcional)" maxlength="60">
+                `,
+                build: fields => ({
+                    type: 'list',
+                    header: fields.header.value,
+                    text: fields.text.value,
+                    footer: fields.footer.value,
+                    list: {
+                        button: fields.button.value,
+                        sections: [{
+                            rows: fields.rows.value.split('\n')
+                                .map(line => line.trim())
+                                .filter(Boolean)
+                                .map(line => {
+                                    const [title, description] = line.split('|').map(part => part.trim());
+                                    return { title, description };
+                                })
+                        }]
+                    }
+                })
+            },
+            location: {
+                title: 'Enviar ubicación',
+                icon: 'fa-map-marker-alt',
+                html: `
+                    <input name="name" placeholder="Nombre del lugar (opcional)">
+                    <input name="address" placeholder="Dirección (opcional)">
+                    <div class="canned-form-row">
+                        <input name="latitude" type="number" step="any" placeholder="Latitud" required>
+                        <input name="longitude" type="number" step="any" placeholder="Longitud" required>
+                    </div>
+                `,
+                build: fields => ({
+                    type: 'location',
+                    location: {
+                        latitude: fields.latitude.value,
+                        longitude: fields.longitude.value,
+                        name: fields.name.value,
+                        address: fields.address.value
+                    }
+                })
+            },
+            location_request: {
+                title: 'Pedir ubicación',
+                icon: 'fa-location-arrow',
+                html: '<textarea name="text" rows="2" placeholder="Comparte tu ubicación" maxlength="1024"></textarea>',
+                build: fields => ({ type: 'location_request', text: fields.text.value })
+            },
+            contacts: {
+                title: 'Tarjeta de contacto',
+                icon: 'fa-address-card',
+                html: `
+                    <input name="name" placeholder="Nombre" required>
+                    <div class="canned-form-row">
+                        <input name="phone" placeholder="Teléfono" required>
+                        <input name="email" type="email" placeholder="Correo (opcional)">
+                    </div>
+                    <input name="organization" placeholder="Empresa (opcional)">
+                `,
+                build: fields => ({
+                    type: 'contacts',
+                    contacts: [{
+                        name: fields.name.value,
+                        phone: fields.phone.value,
+                        email: fields.email.value,
+                        organization: fields.organization.value
+                    }]
+                })
+            }
+        };
+
+        const config = forms[kind];
+        if (!config) return;
+
+        panel.style.display = 'block';
+        panel.dataset.mode = 'composer';
+        panel.innerHTML = '';
+        panel.appendChild(this.createAiAssistHeader(config.title, () => this.hideAiAssist(), config.icon));
+
+        const form = document.createElement('form');
+        form.className = 'canned-form';
+        form.innerHTML = `${config.html}<button type="submit" class="btn btn-primary"><i class="fas fa-paper-plane"></i> Enviar</button>`;
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const submit = form.querySelector('button[type="submit"]');
+            submit.disabled = true;
+            try {
+                const sent = await this.postOutboundMessage(config.build(form.elements));
+                if (sent) this.hideAiAssist();
+            } catch (error) {
+                console.error('❌ Error enviando mensaje:', error);
+                alert('Error enviando mensaje: ' + error.message);
+            } finally {
+                submit.disabled = false;
+            }
+        });
+        panel.appendChild(form);
+        form.elements[0]?.focus();
+    }
+
+    /**
+     * Biblioteca de archivos ya enviados: al elegir uno se reenvía sin volver a subirlo
+     */
+    async showMediaLibrary() {
+        const panel = this.elements.aiAssistPanel;
+        if (!panel || !this.currentConversation) return;
+
+        panel.style.display = 'block';
+        panel.dataset.mode = 'media-library';
+        panel.innerHTML = '';
+        panel.appendChild(this.createAiAssistHeader('Biblioteca de archivos', () => this.hideAiAssist(), 'fa-photo-video'));
+
+        const list = document.createElement('div');
+        list.className = 'canned-list';
+        list.innerHTML = '<p class="ai-assist-text ai-assist-loading"><i class="fas fa-spinner fa-spin"></i> Cargando...</p>';
+        panel.appendChild(list);
+
+        try {
+            const response = await fetch('/api/chat-live/media-library');
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+
+            list.innerHTML = '';
+            if (result.data.length === 0) {
+                list.innerHTML = '<p class="ai-assist-text">Todavía no se ha enviado ningún archivo</p>';
+                return;
+            }
+
+            const icons = { image: 'fa-image', video: 'fa-video', audio: 'fa-microphone', document: 'fa-file' };
+            result.data.forEach(file => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'ai-suggestion';
+                button.innerHTML = `<i class="fas ${icons[file.type] || 'fa-file'}"></i> `;
+                button.append(file.filename);
+                button.addEventListener('click', async () => {
+                    const caption = this.elements.messageInput?.value.trim() || '';
+                    try {
+                        const sent = await this.postOutboundMessage({
+                            type: file.type,
+                            media: { path: file.path, filename: file.filename },
+                            caption
+                        });
+                        if (sent) {
+                            if (caption) this.elements.messageInput.value = '';
+                            this.hideAiAssist();
+                        }
+                    } catch (error) {
+                        console.error('❌ Error enviando archivo de la biblioteca:', error);
+                        alert('Error enviando archivo: ' + error.message);
+                    }
+                });
+                list.appendChild(button);
+            });
+        } catch (error) {
+            console.error('❌ Error cargando biblioteca de archivos:', error);
+            list.innerHTML = '';
+            list.append(error.message || 'No se pudo cargar la biblioteca');
+        }
+    }
+
+    /**
+     * Actualiza el estado del ciclo de vida de una conversación en la lista y el header
+     */
+    setConversationStatus(state) {
+        if (!state?.conversationId) return;
+
+        const apply = (conversation) => {
+            conversation.status = state.status;
+            conversation.snoozedUntil = state.snoozedUntil || null;
+            conversation.resolutionReason = state.resolutionReason || null;
+        };
+
+        const conversation = this.conversations?.find(conv => String(conv.id) === String(state.conversationId));
+        if (conversation) {
+            apply(conversation);
+            // Con filtro de estado, la conversación puede dejar de pertenecer a la lista
+            if (this.statusFilter !== 'all' && this.statusFilter !== state.status) {
+                this.loadConversations();
+            } else {
+                this.renderConversations();
+            }
+        } else if (this.statusFilter === 'all' || this.statusFilter === state.status) {
+            this.loadConversations();
+        }
+
+        if (this.currentConversation && String(this.currentConversation.id) === String(state.conversationId)) {
+            apply(this.currentConversation);
+            this.updateChatHeader();
+        }
+    }
+
+    /**
+     * Actualiza el modo bot/agente de una conversación en la lista y el header
+     */
+    setConversationBotMode(conversationId, botMode) {
+        const conversation = this.conversations?.find(conv => String(conv.id) === String(conversationId));
+        if (conversation) {
+            conversation.botMode = botMode;
+            this.renderConversations();
+        }
+
+        if (this.currentConversation && String(this.currentConversation.id) === String(conversationId)) {
+            this.currentConversation.botMode = botMode;
+            this.updateChatHeader();
+        }
+    }
+
+    /**
+     * Inicializa los eventos del panel de información del cliente
+     */
+    initClientInfoEvents() {
+        if (!this.elements.clientDetails) return;
+
+        // Añadir eventos a los botones de edición de campos
+        const editButtons = this.elements.clientDetails.querySelectorAll('.edit-field-btn');
+        editButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                const field = e.currentTarget.dataset.field;
+                this.showFieldEditForm(field);
+            });
+        });
+
+        // Cargar etiquetas del contacto
+        this.loadContactTags();
+
+        // Cargar campos personalizados
+        this.loadCustomFields();
+
+        // Cargar el flujo en el que está el contacto
+        this.loadContactFlowState();
 
         // Añadir evento al botón de añadir campo personalizado
         const addCustomFieldBtn = document.getElementById('addCustomFieldBtn');
@@ -2713,11 +4375,21 @@ class ChatLiveManager {
 
         const normalized = ChatLiveManager.normalizeMessage({
             id: payload.id,
+            messageId: payload.id,
             direction: payload.direction || 'inbound',
             type: payload.type,
             status: payload.status || 'received',
             content: payload.message || payload.text || payload.content,
-            timestamp: payload.timestamp
+            timestamp: payload.timestamp,
+            mediaUrl: payload.mediaUrl,
+            mediaType: payload.mediaType,
+            latitude: payload.latitude,
+            longitude: payload.longitude,
+            locationName: payload.locationName,
+            locationAddress: payload.locationAddress,
+            replyTo: payload.replyTo,
+            contacts: payload.contacts,
+            metadata: payload.metadata
         });
 
         const conversation = this.conversations.find((conv) => conv.phone === phone);
@@ -0,0 +1,48 @@
+/**
+ * Inicio de sesión del panel
+ * Envía las credenciales a /api/auth/login (la sesión queda en una cookie)
+ * y vuelve a la página desde la que se redirigió
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+  const form = document.getElementById('loginForm');
+  const errorBox = document.getElementById('loginError');
+  const submit = document.getElementById('loginSubmit');
+
+  form.addEventListener('submit', async function(e) {
+    e.preventDefault();
+    errorBox.textContent = '';
+    submit.disabled = true;
+
+    try {
+      const response = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          username: document.getElementById('loginUsername').value.trim(),
+          password: document.getElementById('loginPassword').value
+        })
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        errorBox.textContent = result.error || 'No se pudo iniciar sesión';
+        return;
+      }
+
+      window.location.href = getReturnPath();
+    } catch (error) {
+      errorBox.textContent = 'Error de conexión con el servidor';
+    } finally {
+      submit.disabled = false;
+    }
+  });
+});
+
+/**
+ * Ruta a la que volver tras iniciar sesión (solo rutas locales)
+ */
+function getReturnPath() {
+  const next = new URLSearchParams(window.location.search).get('next');
+  return next && next.startsWith('/') && !next.startsWith('//') ? next : '/dashboard';
+}
@@ -0,0 +1,36 @@
+/**
+ * Sesión del panel
+ * Redirige al inicio de sesión cuando la API responde 401 y expone el cierre
+ * de sesión (la sesión viaja en una cookie httpOnly)
+ */
+
+(function() {
+  const originalFetch = window.fetch.bind(window);
+
+  function redirectToLogin() {
+    const next = window.location.pathname + window.location.search;
+    window.location.href = '/login?next=' + encodeURIComponent(next);
+  }
+
+  window.fetch = async function(input, init) {
+    const response = await originalFetch(input, init);
+    const url = typeof input === 'string' ? input : (input && input.url) || '';
+    const path = new URL(url, window.location.origin).pathname;
+
+    if (response.status === 401 && path.startsWith('/api/') && !path.startsWith('/api/auth/')) {
+      redirectToLogin();
+    }
+    return response;
+  };
+
+  /**
+   * Cerrar sesión y volver al inicio de sesión
+   */
+  window.logout = async function() {
+    try {
+      await originalFetch('/api/auth/logout', { method: 'POST' });
+    } finally {
+      window.location.href = '/login';
+    }
+  };
+})();
@@ -11,6 +11,8 @@ class TemplateApprovalsManager {
         this.stats = {};
         this.currentAction = null;
         this.currentActionTemplate = null;
+        this.templateEvents = [];
+        this.socket = null;
 
         this.init();
     }
@@ -18,8 +20,10 @@ class TemplateApprovalsManager {
     async init() {
         this.cacheElements();
         this.bindEvents();
+        this.initializeSocket();
         await this.loadStats();
         await this.loadTemplates('pending');
+        await this.loadTemplateEvents();
     }
 
     /**
@@ -44,6 +48,9 @@ class TemplateApprovalsManager {
             approvedBadge: document.getElementById('approvedBadge'),
             rejectedBadge: document.getElementById('rejectedBadge'),
             
+            // Avisos de Meta
+            templateEventsList: document.getElementById('templateEventsList'),
+            
             // Modals
             approvalModal: document.getElementById('approvalModal'),
             approvalModalOverlay: document.getElementById('approvalModalOverlay'),
@@ -135,6 +142,82 @@ class TemplateApprovalsManager {
         }
     }
 
+    /**
+     * Escuchar en tiempo real los cambios de plantillas notificados por Meta
+     */
+    initializeSocket() {
+        if (typeof io === 'undefined') {
+            return;
+        }
+
+        this.socket = io({ transports: ['websocket', 'polling'] });
+        this.socket.on('template_status_updated', (event) => this.handleTemplateEvent(event));
+    }
+
+    /**
+     * Aplicar un cambio de estado, categoría o calidad recibido por Socket.IO
+     */
+    async handleTemplateEvent(event) {
+        this.templateEvents = [event, ...this.templateEvents].slice(0, 20);
+        this.renderTemplateEvents();
+
+        const activeTab = document.querySelector('.approval-tab.active');
+        await this.loadStats();
+        await this.loadTemplates(activeTab?.dataset.tab || 'pending');
+    }
+
+    /**
+     * Cargar los últimos avisos de Meta
+     */
+    async loadTemplateEvents() {
+        try {
+            const response = await fetch('/api/template-approvals/lifecycle-events?limit=20');
+            const data = await response.json();
+
+            if (data.success) {
+                this.templateEvents = data.events || [];
+                this.renderTemplateEvents();
+            }
+        } catch (error) {
+            console.error('Error cargando avisos de plantillas:', error);
+        }
+    }
+
+    /**
+     * Renderizar avisos de Meta
+     */
+    renderTemplateEvents() {
+        const list = this.elements.templateEventsList;
+        if (!list) return;
+
+        if (this.templateEvents.length === 0) {
+            list.innerHTML = '<li>Sin cambios recientes</li>';
+            return;
+        }
+
+        const typeLabels = { status: 'Estado', category: 'Categoría', quality: 'Calidad' };
+        const blockingStatuses = ['PAUSED', 'DISABLED', 'REJECTED'];
+
+        list.innerHTML = this.templateEvents.map(event => {
+            const isBlocking = event.type === 'status' && blockingStatuses.includes(event.newValue);
+            const change = event.previousValue
+                ? `${ChatHelpers.escapeHtml(event.previousValue)} → ${ChatHelpers.escapeHtml(event.newValue)}`
+                : ChatHelpers.escapeHtml(event.newValue);
+            const reason = event.reason ? ` (${ChatHelpers.escapeHtml(event.reason)})` : '';
+            const paused = event.pausedCampaigns?.length
+                ? ` · ${event.pausedCampaigns.length} campaña(s) pausada(s)`
+                : '';
+
+            return `
+                <li class="${isBlocking ? 'blocking' : ''}">
+                    <strong>${ChatHelpers.escapeHtml(event.templateName || event.templateId || '')}</strong>
+                    ${typeLabels[event.type] || event.type}: ${change}${reason}${paused}
+                    <small>${new Date(event.createdAt).toLocaleString('es-ES')}</small>
+                </li>
+            `;
+        }).join('');
+    }
+
     /**
      * Cargar estadísticas
      */
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+
+/**
+ * Simulador local de 360Dialog para desarrollo
+ *
+ * Uso:
+ *   SIMULATOR_PORT=4360 node scripts/dialog360-simulator.js
+ *   # y en el .env de la aplicación: D360_SIMULATOR_URL=http://127.0.0.1:4360
+ *
+ * Los webhooks (statuses, mensajes entrantes, plantillas) se envían a
+ * SIMULATOR_WEBHOOK_URL (por defecto http://localhost:$PORT/webhooks).
+ * API de control: http://127.0.0.1:4360/__simulator/health
+ */
+
+import dotenv from 'dotenv';
+import { Dialog360Simulator } from '../src/integrations/360dialog/simulator/Dialog360Simulator.js';
+
+dotenv.config();
+
+const port = Number(process.env.SIMULATOR_PORT || 4360);
+const webhookUrl = process.env.SIMULATOR_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/webhooks`;
+
+const simulator = new Dialog360Simulator({
+  webhookUrl,
+  latencyMs: Number(process.env.SIMULATOR_LATENCY_MS || 500)
+});
+
+try {
+  const url = await simulator.start(port);
+  console.log(`🧪 Simulador de 360Dialog en ${url}`);
+  console.log(`📨 Webhooks hacia ${webhookUrl}`);
+  console.log(`👉 Configura D360_SIMULATOR_URL=${url} en la aplicación`);
+} catch (error) {
+  console.error('❌ No se pudo iniciar el simulador:', error.message);
+  process.exit(1);
+}
+
+const shutdown = async () => {
+  await simulator.stop();
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -6,6 +6,7 @@
 
 import express from 'express';
 import { createLogger } from '../../services/core/core/logger.js';
+import { resolveDialog360Url, DEFAULT_HUB_API_BASE } from '../../integrations/360dialog/dialog360Endpoints.js';
 
 const router = express.Router();
 const logger = createLogger('360DIALOG_ROUTES');
@@ -19,7 +20,7 @@ router.get('/status', (req, res) => {
 
     const apiKey = process.env.D360_API_KEY;
     const phoneNumberId = process.env.D360_PHONE_NUMBER_ID;
-    const baseUrl = process.env.D360_API_BASE || 'https://waba.360dialog.io';
+    const baseUrl = resolveDialog360Url(process.env.D360_API_BASE || 'https://waba.360dialog.io');
     const webhookUrl = process.env.D360_WEBHOOK_URL || `${req.protocol}://${req.get('host')}/api/webhooks/360dialog`;
     const verifyToken = process.env.WEBHOOK_VERIFY_TOKEN;
 
@@ -69,7 +70,7 @@ router.get('/templates', async (req, res) => {
     logger.info('Endpoint /api/360dialog/templates llamado - obteniendo plantillas reales de 360Dialog');
     
     const DIALOG360_API_KEY = process.env.D360_API_KEY;
-    const WABA_API_BASE = process.env.D360_API_BASE || 'https://waba-v2.360dialog.io';
+    const WABA_API_BASE = resolveDialog360Url(process.env.D360_API_BASE || 'https://waba-v2.360dialog.io');
     
     if (!DIALOG360_API_KEY) {
       return res.status(500).json({
@@ -246,7 +247,7 @@ router.post('/configure-webhook', async (req, res) => {
     const dialog360 = new Dialog360Integration({
       apiKey: D360_API_KEY,
       phoneNumberId: process.env.D360_PHONE_NUMBER_ID,
-      baseUrl: process.env.D360_API_BASE || 'https://waba-v2.360dialog.io',
+      baseUrl: resolveDialog360Url(process.env.D360_API_BASE || 'https://waba-v2.360dialog.io'),
       webhookUrl: url,
       webhookVerifyToken: verify_token || process.env.WEBHOOK_VERIFY_TOKEN
     });
@@ -294,7 +295,7 @@ router.get('/flows', async (req, res) => {
     logger.info('Endpoint /api/360dialog/flows llamado - obteniendo flows de 360Dialog');
     
     const DIALOG360_API_KEY = process.env.D360_API_KEY;
-    const HUB_API_BASE = process.env.D360_HUB_API_BASE || 'https://hub.360dialog.io';
+    const HUB_API_BASE = resolveDialog360Url(process.env.D360_HUB_API_BASE || DEFAULT_HUB_API_BASE);
     const PARTNER_ID = process.env.D360_PARTNER_ID;
     const WABA_ACCOUNT_ID = process.env.D360_WABA_ACCOUNT_ID;
     
@@ -7,8 +7,11 @@
 
 import express from 'express';
 import db from '../../config/database.js';
+import { messageWindowService } from '../../services/whatsapp/MessageWindowService.js';
+import { createLogger } from '../../services/core/core/logger.js';
 
 const router = express.Router();
+const logger = createLogger('ADVANCED_CAMPAIGNS');
 
 // ========================================
 // #12: APROBACIÓN DE CAMPAÑAS
@@ -138,93 +141,9 @@ router.post('/campaigns/:id/reject', async (req, res) => {
 // #13: SEGMENTOS GUARDADOS
 // ========================================
 
-/**
- * Crear segmento
- */
-router.post('/segments', async (req, res) => {
-  try {
-    const { name, description, filters, contact_count } = req.body;
-    const userId = req.user?.id || 1;
-    
-    if (!name || !filters) {
-      return res.status(400).json({ success: false, error: 'Nombre y filtros son requeridos' });
-    }
-    
-    const result = await db.run(
-      `INSERT INTO segments (name, description, filters, contact_count, created_by, last_calculated)
-       VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-      [name, description, JSON.stringify(filters), contact_count || 0, userId]
-    );
-    
-    res.json({
-      success: true,
-      message: 'Segmento creado',
-      segment_id: result.lastID
-    });
-  } catch (error) {
-    logger.error('Error creando segmento:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-/**
- * Listar segmentos
- */
-router.get('/segments', async (req, res) => {
-  try {
-    const segments = await db.all('SELECT * FROM segments ORDER BY created_at DESC');
-    
-    res.json({
-      success: true,
-      segments: segments.map(s => ({
-        ...s,
-        filters: JSON.parse(s.filters)
-      }))
-    });
-  } catch (error) {
-    logger.error('Error listando segmentos:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-/**
- * Preview de segmento (contar contactos)
- */
-router.post('/segments/preview', async (req, res) => {
-  try {
-    const { query } = req.body;
-    
-    // Ejecutar query seguro
-    const result = await db.get(`SELECT COUNT(*) as count FROM (${query})`);
-    
-    res.json({
-      success: true,
-      count: result.count
-    });
-  } catch (error) {
-    logger.error('Error en preview:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-/**
- * Preview de contactos del segmento
- */
-router.post('/segments/preview-contacts', async (req, res) => {
-  try {
-    const { query, limit = 50 } = req.body;
-    
-    const contacts = await db.all(`${query} LIMIT ?`, [limit]);
-    
-    res.json({
-      success: true,
-      contacts
-    });
-  } catch (error) {
-    logger.error('Error en preview de contactos:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+// Los segmentos (crear, listar, contar y previsualizar contactos) viven en
+// /api/segments (segments.js): sus filtros son el lenguaje JSON de
+// services/contacts/segmentQuery.js compilado a SQL parametrizado.
 
 // ========================================
 // #14: QUEUE SYSTEM CON PRIORIDADES
@@ -402,27 +321,14 @@ router.post('/rate-limit/increment/:type', async (req, res) => {
  */
 router.get('/message-window/:contactId', async (req, res) => {
   try {
-    const { contactId } = req.params;
-    const now = new Date().toISOString();
-    
-    const window = await db.get(`
-      SELECT * FROM message_windows 
-      WHERE contact_id = ? 
-        AND is_active = 1 
-        AND window_expires_at > ?
-      ORDER BY created_at DESC
-      LIMIT 1
-    `, [contactId, now]);
-    
-    const isOpen = !!window;
-    const requiresTemplate = !isOpen;
+    const state = await messageWindowService.getWindowState(req.params.contactId);
     
     res.json({
       success: true,
-      is_open: isOpen,
-      requires_template: requiresTemplate,
-      window: window || null,
-      expires_at: window?.window_expires_at
+      is_open: state.isOpen,
+      requires_template: state.requiresTemplate,
+      window: state,
+      expires_at: state.expiresAt
     });
   } catch (error) {
     logger.error('Error verificando ventana:', error);
@@ -435,27 +341,12 @@ router.get('/message-window/:contactId', async (req, res) => {
  */
 router.post('/message-window/:contactId/open', async (req, res) => {
   try {
-    const { contactId } = req.params;
-    const now = new Date();
-    const expiresAt = new Date(now.getTime() + 24 * 60 * 60 * 1000); // +24h
-    
-    // Desactivar ventanas anteriores
-    await db.run(
-      'UPDATE message_windows SET is_active = 0 WHERE contact_id = ?',
-      [contactId]
-    );
-    
-    // Crear nueva ventana
-    await db.run(
-      `INSERT INTO message_windows (contact_id, last_user_message_at, window_expires_at, is_active)
-       VALUES (?, ?, ?, 1)`,
-      [contactId, now.toISOString(), expiresAt.toISOString()]
-    );
+    const state = await messageWindowService.recordInboundMessage(req.params.contactId);
     
     res.json({
       success: true,
       message: 'Ventana de 24h abierta',
-      expires_at: expiresAt.toISOString()
+      expires_at: state.expiresAt
     });
   } catch (error) {
     logger.error('Error abriendo ventana:', error);
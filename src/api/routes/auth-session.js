@@ -0,0 +1,110 @@
+/**
+ * Rutas de Sesión
+ * Inicio y cierre de sesión del panel y datos del usuario autenticado
+ */
+
+import express from 'express';
+import { userAuthService } from '../../services/auth/UserAuthService.js';
+import { accessControlService } from '../../services/auth/AccessControlService.js';
+import {
+    SESSION_COOKIE,
+    signSessionToken,
+    getSessionTtl
+} from '../../services/auth/sessionTokens.js';
+import { sendAuthError } from '../../middleware/apiAuth.middleware.js';
+import { authRateLimit } from '../../middleware/rateLimiting.middleware.js';
+import { createLogger } from '../../services/core/core/logger.js';
+
+const router = express.Router();
+const logger = createLogger('AUTH_SESSION_ROUTES');
+
+const cookieOptions = () => ({
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/'
+});
+
+/**
+ * POST /api/auth/login
+ * Body: { username | email, password }
+ */
+router.post('/login', authRateLimit, async (req, res) => {
+    try {
+        const { username, email, password } = req.body || {};
+        const user = await userAuthService.verifyCredentials(username || email, password);
+
+        if (!user) {
+            return sendAuthError(res, 401, 'INVALID_CREDENTIALS', 'Usuario o contraseña incorrectos');
+        }
+
+        const token = signSessionToken(user);
+        res.cookie(SESSION_COOKIE, token, cookieOptions());
+        logger.info(`🔐 Sesión iniciada: ${user.username} (${user.role})`);
+
+        res.json({
+            success: true,
+            data: {
+                token,
+                expiresIn: getSessionTtl(),
+                user,
+                permissions: accessControlService.permissionsFor(user.role)
+            }
+        });
+    } catch (error) {
+        logger.error('Error al iniciar sesión:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ */
+router.post('/logout', (req, res) => {
+    res.clearCookie(SESSION_COOKIE, cookieOptions());
+    res.json({ success: true });
+});
+
+/**
+ * GET /api/auth/me
+ * Usuario autenticado y sus permisos
+ */
+router.get('/me', async (req, res) => {
+    try {
+        let user = req.user;
+
+        // Las sesiones de usuarios se revalidan: la cuenta pudo desactivarse
+        if (req.user.authMethod === 'session') {
+            user = await userAuthService.getActiveUser(req.user.id);
+            if (!user) {
+                res.clearCookie(SESSION_COOKIE, cookieOptions());
+                return sendAuthError(res, 401, 'ACCOUNT_DISABLED', 'La cuenta no existe o está desactivada');
+            }
+        }
+
+        res.json({
+            success: true,
+            data: {
+                user: {
+                    id: user.id,
+                    username: user.username,
+                    email: user.email ?? null,
+                    role: user.role
+                },
+                authMethod: req.user.authMethod,
+                permissions: accessControlService.permissionsFor(user.role)
+            }
+        });
+    } catch (error) {
+        logger.error('Error al obtener la sesión:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+export default router;
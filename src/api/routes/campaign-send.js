@@ -102,9 +102,10 @@ router.post('/send', async (req, res) => {
         res.json(result);
     } catch (error) {
         logger.error('Error enviando campaña:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
-            error: error.message
+            error: error.message,
+            ...(error.code && { code: error.code })
         });
     }
 });
@@ -8,6 +8,14 @@ import sqlite3 from 'sqlite3';
 import path from 'path';
 import fs from 'fs/promises';
 import { campaignMessagingService } from '../../services/campaigns/CampaignMessagingService.js';
+import { campaignJobService } from '../../services/campaigns/CampaignJobService.js';
+import { campaignAbTestService } from '../../services/campaigns/CampaignAbTestService.js';
+import { buildIdempotencyKey } from '../../services/campaigns/campaignJobStates.js';
+import { segmentService } from '../../services/contacts/SegmentService.js';
+import { isSegmentQuery } from '../../services/contacts/segmentQuery.js';
+import { templateLifecycleService } from '../../services/whatsapp/TemplateLifecycleService.js';
+import { whatsAppChannelService, ChannelError } from '../../services/whatsapp/WhatsAppChannelService.js';
+import { migrateCampaignStatusChecks } from '../../database/campaignStatusChecks.js';
 
 const router = express.Router();
 const logger = createLogger('CAMPAIGNS_ROUTES');
@@ -28,10 +36,19 @@ async function initCampaignsTables() {
         });
     });
     
+    const queryAll = (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+        });
+    });
+    
     try {
         const migrationPath = path.join(process.cwd(), 'migrations', 'create_campaigns_table.sql');
         const sql = await fs.readFile(migrationPath, 'utf8');
         await queryRun(sql);
+        // Bases existentes: ampliar los CHECK de estado (pausa, cancelación, supresión)
+        await migrateCampaignStatusChecks({ all: queryAll, exec: queryRun });
         logger.info('✅ Tablas de campañas inicializadas');
     } catch (error) {
         logger.error('❌ Error inicializando tablas:', error);
@@ -91,7 +108,7 @@ router.get('/', async (req, res) => {
             SELECT id, name, description, message, media_url, media_type,
                    filters, total_recipients, sent_count, delivered_count, 
                    read_count, failed_count, status, scheduled_at, 
-                   started_at, completed_at, created_by, created_at, updated_at
+                   started_at, completed_at, created_by, created_at, updated_at, channel_id
             FROM campaigns
             ${whereClause}
             ORDER BY created_at DESC
@@ -167,6 +184,7 @@ router.get('/:id', async (req, res) => {
         
         // Procesar filtros
         campaign.filters = campaign.filters ? JSON.parse(campaign.filters) : {};
+        campaign.ab_test = await campaignAbTestService.get(campaign.id);
         
         res.json({
             success: true,
@@ -197,10 +215,12 @@ router.post('/', async (req, res) => {
             filters = {},
             scheduled_at,
             template_id,
-            variable_mapping = '{}'
+            variable_mapping = '{}',
+            channel_id,
+            ab_test
         } = req.body;
         
-        logger.info(`📝 POST /campaigns - name: ${name}, template_id: ${template_id}`);
+        logger.info(`📝 POST /campaigns - name: ${name}, template_id: ${template_id}${ab_test ? ' (prueba A/B)' : ''}`);
         
         // Solo requiere nombre (mensaje es opcional si hay template_id)
         if (!name) {
@@ -210,8 +230,8 @@ router.post('/', async (req, res) => {
             });
         }
         
-        // Si no hay template_id, requiere mensaje
-        if (!template_id && !message) {
+        // Si no hay template_id (ni variantes A/B), requiere mensaje
+        if (!template_id && !message && !ab_test) {
             return res.status(400).json({
                 success: false,
                 error: 'El mensaje es requerido cuando no se usa una plantilla existente'
@@ -235,6 +255,21 @@ router.post('/', async (req, res) => {
             });
         });
         
+        // Un segmento, canal o prueba A/B inválidos son un error del cliente, no "0 destinatarios"
+        let channelId = null;
+        let abTest = null;
+        try {
+            await validateCampaignTarget(filters);
+            channelId = await validateCampaignChannel(channel_id);
+            abTest = ab_test ? campaignAbTestService.validate(ab_test) : null;
+        } catch (error) {
+            if (CAMPAIGN_INPUT_ERRORS.includes(error.name)) {
+                db.close();
+                return sendCampaignInputError(res, error);
+            }
+            throw error;
+        }
+        
         // Calcular destinatarios basado en filtros
         const totalRecipients = await calculateRecipients(filters);
         
@@ -244,8 +279,8 @@ router.post('/', async (req, res) => {
         await queryRun(
             `INSERT INTO campaigns (
                 name, description, message, media_url, media_type,
-                filters, total_recipients, status, scheduled_at, template_id, variable_mapping
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                filters, total_recipients, status, scheduled_at, template_id, variable_mapping, channel_id
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [
                 name,
                 description,
@@ -256,8 +291,10 @@ router.post('/', async (req, res) => {
                 totalRecipients,
                 status,
                 scheduled_at,
-                template_id,
-                typeof variable_mapping === 'string' ? variable_mapping : JSON.stringify(variable_mapping)
+                // Con prueba A/B la plantilla de la campaña es la de la primera variante
+                template_id || (abTest ? abTest.variants[0].template_id : null),
+                typeof variable_mapping === 'string' ? variable_mapping : JSON.stringify(variable_mapping),
+                channelId
             ]
         );
         
@@ -272,13 +309,16 @@ router.post('/', async (req, res) => {
         const campaignId = campaign ? campaign.id : null;
         logger.info(`✅ Campaña creada con ID (UUID): ${campaignId}`);
         
+        const savedAbTest = abTest && campaignId ? await campaignAbTestService.save(campaignId, abTest) : null;
+        
         res.json({
             success: true,
             data: {
                 id: campaignId,
                 name,
                 status,
-                total_recipients: totalRecipients
+                total_recipients: totalRecipients,
+                ab_test: savedAbTest
             },
             message: 'Campaña creada correctamente'
         });
@@ -308,11 +348,32 @@ router.put('/:id', async (req, res) => {
             media_type,
             filters,
             scheduled_at,
-            variable_mapping
+            variable_mapping,
+            channel_id,
+            ab_test
         } = req.body;
         
         logger.info(`📝 PUT /campaigns/${id}`);
         
+        let channelId = null;
+        let abTest = null;
+        try {
+            if (filters) {
+                await validateCampaignTarget(filters);
+            }
+            channelId = await validateCampaignChannel(channel_id);
+            if (ab_test !== undefined) {
+                // Solo se puede cambiar o quitar antes de enviar la campaña
+                await campaignAbTestService.assertEditable(parseInt(id, 10));
+                abTest = ab_test ? campaignAbTestService.validate(ab_test) : null;
+            }
+        } catch (error) {
+            if (CAMPAIGN_INPUT_ERRORS.includes(error.name)) {
+                return sendCampaignInputError(res, error);
+            }
+            throw error;
+        }
+        
         const dbPath = path.join(process.cwd(), 'data', 'database.sqlite');
         const db = new sqlite3.Database(dbPath);
         
@@ -348,6 +409,8 @@ router.put('/:id', async (req, res) => {
             updates.push('variable_mapping = ?'); 
             params.push(typeof variable_mapping === 'string' ? variable_mapping : JSON.stringify(variable_mapping));
         }
+        if (channel_id !== undefined) { updates.push('channel_id = ?'); params.push(channelId); }
+        if (abTest) { updates.push('template_id = ?'); params.push(abTest.variants[0].template_id); }
         
         updates.push('updated_at = CURRENT_TIMESTAMP');
         params.push(id);
@@ -366,6 +429,14 @@ router.put('/:id', async (req, res) => {
             });
         }
         
+        if (ab_test !== undefined) {
+            if (abTest) {
+                await campaignAbTestService.save(parseInt(id, 10), abTest);
+            } else {
+                await campaignAbTestService.remove(parseInt(id, 10));
+            }
+        }
+        
         logger.info(`✅ Campaña ${id} actualizada`);
         
         res.json({
@@ -476,6 +547,29 @@ router.post('/:id/send', async (req, res) => {
             });
         }
         
+        // Una campaña programada pausada por su plantilla no tiene job: se envía de nuevo con /send
+        if (campaign.status === 'paused' && await campaignJobService.getActiveJob(campaign.id)) {
+            db.close();
+            return res.status(400).json({
+                success: false,
+                error: 'La campaña está pausada; usa /resume para continuar el envío'
+            });
+        }
+        
+        try {
+            await templateLifecycleService.assertCampaignSendable(campaign.id);
+        } catch (error) {
+            db.close();
+            if (error.name === 'TemplateLifecycleError') {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message,
+                    code: error.code
+                });
+            }
+            throw error;
+        }
+        
         console.log(`🔍 [DEBUG] Antes de actualizar estado a sending:`, { id, currentStatus: campaign.status });
         logger.info(`🔍 Antes de actualizar estado a sending:`, { id, currentStatus: campaign.status });
         
@@ -543,33 +637,33 @@ router.post('/:id/send', async (req, res) => {
             console.log(`🔍 [DEBUG] Destinatarios obtenidos: ${recipients.total}`);
             logger.info(`👥 ${recipients.total} destinatarios para campaña ${id}`);
             
-            // Crear registros de mensajes pendientes
+            // Los segmentos se recalculan al enviar: guardar el total real
+            await queryRun2('UPDATE campaigns SET total_recipients = ? WHERE id = ?', [recipients.total, id]);
+            
+            // Crear registros de mensajes pendientes (la clave de idempotencia
+            // evita duplicar destinatarios si el envío se solicita de nuevo)
             for (const contact of recipients.contacts) {
                 await queryRun2(
-                    `INSERT INTO campaign_messages (campaign_id, contact_id, phone, status)
-                     VALUES (?, ?, ?, ?)`,
-                    [id, contact.id, contact.phone || contact.phone_number, 'pending']
+                    `INSERT OR IGNORE INTO campaign_messages (campaign_id, contact_id, phone, status, idempotency_key)
+                     VALUES (?, ?, ?, ?, ?)`,
+                    [id, contact.id, contact.phone || contact.phone_number, 'pending', buildIdempotencyKey(id, contact)]
                 );
             }
             
             db2.close();
             
+            // Prueba A/B: repartir entre variantes (grupo de prueba) y resto de la audiencia
+            await campaignAbTestService.assignAudience(parseInt(id, 10));
+            
             console.log(`🔍 [DEBUG] ${recipients.total} mensajes creados para campaña ${id}`);
             logger.info(`✅ ${recipients.total} mensajes creados para campaña ${id}`);
             
             console.log(`🔍 [DEBUG] Llamando a sendCampaign con mapeo:`, variableMapping);
             logger.info(`🔍 Llamando a sendCampaign con mapeo:`, variableMapping);
             
-            // ENVIAR MENSAJES DIRECTAMENTE CON EL MAPEO
-            campaignMessagingService.sendCampaign(id, variableMapping)
-                .then(result => {
-                    console.log(`🔍 [DEBUG] Campaña ${id} completada:`, result.stats);
-                    logger.info(`✅ Campaña ${id} completada:`, result.stats);
-                })
-                .catch(error => {
-                    console.log(`🔍 [DEBUG] Error enviando campaña ${id}:`, error.message);
-                    logger.error(`❌ Error enviando campaña ${id}:`, error);
-                });
+            // Encolar job persistente: sobrevive a reinicios y se puede pausar/reanudar/cancelar
+            const job = await campaignJobService.enqueue(parseInt(id, 10), { variableMapping });
+            logger.info(`📥 Campaña ${id} encolada en job ${job.id}`);
             
         } catch (error) {
             console.log(`🔍 [DEBUG] Error preparando campaña ${id}:`, error.message);
@@ -643,7 +737,8 @@ router.get('/:id/stats', async (req, res) => {
                 SUM(CASE WHEN status = 'delivered' THEN 1 ELSE 0 END) as delivered,
                 SUM(CASE WHEN status = 'read' THEN 1 ELSE 0 END) as read,
                 SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed,
-                SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending
+                SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
+                SUM(CASE WHEN status = 'suppressed' THEN 1 ELSE 0 END) as suppressed
             FROM campaign_messages
             WHERE campaign_id = ?
         `, [id]);
@@ -660,6 +755,9 @@ router.get('/:id/stats', async (req, res) => {
         
         db.close();
         
+        // Métricas por variante de la prueba A/B (null si la campaña no tiene)
+        const abTestStats = await campaignAbTestService.getStats(campaign.id);
+        
         res.json({
             success: true,
             data: {
@@ -678,6 +776,7 @@ router.get('/:id/stats', async (req, res) => {
                     read: messagesStats.read || 0,
                     failed: messagesStats.failed || 0,
                     pending: messagesStats.pending || 0,
+                    suppressed: messagesStats.suppressed || 0,
                     success_rate: messagesStats.total > 0 
                         ? ((messagesStats.delivered || 0) / messagesStats.total * 100).toFixed(2) 
                         : 0,
@@ -685,7 +784,8 @@ router.get('/:id/stats', async (req, res) => {
                         ? ((messagesStats.read || 0) / messagesStats.delivered * 100).toFixed(2) 
                         : 0
                 },
-                recent_messages: recentMessages
+                recent_messages: recentMessages,
+                ab_test: abTestStats
             }
         });
         
@@ -698,6 +798,99 @@ router.get('/:id/stats', async (req, res) => {
     }
 });
 
+/**
+ * Responder errores de jobs de campaña
+ */
+function sendJobError(res, error, action) {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            code: error.code
+        });
+    }
+    
+    logger.error(`❌ Error al ${action} campaña:`, error);
+    return res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor'
+    });
+}
+
+/**
+ * GET /campaigns/:id/job
+ * Estado del job de envío y progreso de mensajes
+ */
+router.get('/:id/job', async (req, res) => {
+    try {
+        const job = await campaignJobService.getJob(parseInt(req.params.id, 10));
+        
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'La campaña no tiene envíos registrados'
+            });
+        }
+        
+        res.json({ success: true, data: job });
+    } catch (error) {
+        sendJobError(res, error, 'consultar');
+    }
+});
+
+/**
+ * POST /campaigns/:id/pause
+ * Pausar envío en curso
+ */
+router.post('/:id/pause', async (req, res) => {
+    try {
+        const job = await campaignJobService.pause(parseInt(req.params.id, 10));
+        res.json({ success: true, data: job });
+    } catch (error) {
+        sendJobError(res, error, 'pausar');
+    }
+});
+
+/**
+ * POST /campaigns/:id/resume
+ * Reanudar envío pausado
+ */
+router.post('/:id/resume', async (req, res) => {
+    try {
+        await templateLifecycleService.assertCampaignSendable(parseInt(req.params.id, 10));
+        const job = await campaignJobService.resume(parseInt(req.params.id, 10));
+        res.json({ success: true, data: job });
+    } catch (error) {
+        sendJobError(res, error, 'reanudar');
+    }
+});
+
+/**
+ * POST /campaigns/:id/cancel
+ * Cancelar envío: los mensajes pendientes no se envían
+ */
+router.post('/:id/cancel', async (req, res) => {
+    try {
+        const job = await campaignJobService.cancel(parseInt(req.params.id, 10));
+        res.json({ success: true, data: job });
+    } catch (error) {
+        sendJobError(res, error, 'cancelar');
+    }
+});
+
+/**
+ * POST /campaigns/:id/ab-test/winner
+ * Elegir ya la variante ganadora (sin esperar el tiempo de evaluación) y enviarla al resto
+ */
+router.post('/:id/ab-test/winner', async (req, res) => {
+    try {
+        const abTest = await campaignAbTestService.selectWinner(parseInt(req.params.id, 10));
+        res.json({ success: true, data: abTest });
+    } catch (error) {
+        sendJobError(res, error, 'evaluar la prueba A/B de la');
+    }
+});
+
 /**
  * POST /campaigns/preview-recipients
  * Previsualizar destinatarios según filtros
@@ -719,6 +912,9 @@ router.post('/preview-recipients', async (req, res) => {
         });
         
     } catch (error) {
+        if (error.name === 'SegmentError') {
+            return sendCampaignInputError(res, error);
+        }
         logger.error('❌ Error previsualizando destinatarios:', error);
         res.status(500).json({
             success: false,
@@ -727,6 +923,50 @@ router.post('/preview-recipients', async (req, res) => {
     }
 });
 
+// Errores de datos de la campaña que se devuelven al cliente con su código
+const CAMPAIGN_INPUT_ERRORS = ['SegmentError', 'ChannelError', 'CampaignAbTestError'];
+
+/**
+ * Responder un error de segmento (filtros inválidos o segmento inexistente), de canal o de prueba A/B
+ */
+function sendCampaignInputError(res, error) {
+    return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        ...(error.details && { details: error.details })
+    });
+}
+
+/**
+ * Comprobar que el segmento de la campaña existe o que sus filtros son válidos
+ * filters: { segment_id } (segmento guardado), { operator, conditions } (lenguaje
+ * de segmentos) o los filtros simples { search, tag, status, custom_field }
+ */
+async function validateCampaignTarget(filters = {}) {
+    if (filters.segment_id) {
+        await segmentService.get(filters.segment_id);
+    } else if (isSegmentQuery(filters)) {
+        await segmentService.compile(filters);
+    }
+}
+
+/**
+ * Comprobar el número de WhatsApp (canal) elegido para la campaña
+ * @returns {Promise<number|null>} ID del canal o null (canal predeterminado)
+ */
+async function validateCampaignChannel(channelId) {
+    if (channelId === undefined || channelId === null || channelId === '') {
+        return null;
+    }
+
+    const channel = await whatsAppChannelService.get(channelId);
+    if (!channel.isActive) {
+        throw new ChannelError(`El canal ${channel.name} está desactivado`, 'CHANNEL_INACTIVE', 409);
+    }
+    return channel.id;
+}
+
 /**
  * Calcular número de destinatarios según filtros
  */
@@ -752,6 +992,18 @@ async function getRecipientsByFilters(filters, limit = null) {
             await db.initialize();
         }
         
+        // Segmento guardado o lenguaje de segmentos: se resuelve en cada llamada,
+        // así el envío usa los contactos que cumplen el segmento en ese momento
+        if (filters.segment_id || isSegmentQuery(filters)) {
+            const contacts = await segmentService.resolveContacts(
+                filters.segment_id ? { segmentId: filters.segment_id } : { filters }
+            );
+            return {
+                total: contacts.length,
+                contacts: limit ? contacts.slice(0, limit) : contacts
+            };
+        }
+        
         const whereConditions = [];
         const params = [];
         
@@ -854,9 +1106,9 @@ async function processCampaignSending(campaignId, campaign, variableMapping = {}
         
         for (const contact of recipients.contacts) {
             await queryRun(
-                `INSERT INTO campaign_messages (campaign_id, contact_id, phone, status)
-                 VALUES (?, ?, ?, ?)`,
-                [campaignId, contact.id, contact.phone || contact.phone_number, 'pending']
+                `INSERT OR IGNORE INTO campaign_messages (campaign_id, contact_id, phone, status, idempotency_key)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [campaignId, contact.id, contact.phone || contact.phone_number, 'pending', buildIdempotencyKey(campaignId, contact)]
             );
         }
         
@@ -876,16 +1128,9 @@ async function processCampaignSending(campaignId, campaign, variableMapping = {}
             hasMapping: Object.keys(variableMapping).length > 0
         });
         
-        // ENVIAR MENSAJES USANDO EL SERVICIO DE CAMPAÑA
-        // Se ejecuta en segundo plano con throttling automático
-        console.log(`🔍 [DEBUG] Llamando a sendCampaign con variableMapping:`, variableMapping);
-        campaignMessagingService.sendCampaign(campaignId, variableMapping)
-            .then(result => {
-                logger.info(`✅ Campaña ${campaignId} completada:`, result.stats);
-            })
-            .catch(error => {
-                logger.error(`❌ Error enviando campaña ${campaignId}:`, error);
-            });
+        // ENVIAR MENSAJES USANDO UN JOB PERSISTENTE
+        // Se ejecuta en segundo plano con throttling automático y se retoma tras reinicios
+        await campaignJobService.enqueue(parseInt(campaignId, 10), { variableMapping });
         
     } catch (error) {
         logger.error(`❌ Error procesando campaña ${campaignId}:`, error);
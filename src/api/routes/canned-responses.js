@@ -0,0 +1,179 @@
+/**
+ * Rutas de Respuestas Predefinidas (respuestas rápidas) del chat en vivo
+ * Biblioteca por carpetas, de equipo o personales, con atajos y variables
+ */
+
+import express from 'express';
+import { cannedResponseService } from '../../services/conversations/CannedResponseService.js';
+import { accessControlService } from '../../services/auth/AccessControlService.js';
+import { PERMISSIONS } from '../../services/auth/permissions.js';
+import { createLogger } from '../../services/core/core/logger.js';
+
+const router = express.Router();
+const logger = createLogger('CANNED_RESPONSES_ROUTES');
+
+/**
+ * Agente que hace la petición y si puede gestionar las respuestas de equipo
+ */
+function getActor(req) {
+    const userId = parseInt(req.user?.id, 10);
+    return {
+        userId: Number.isNaN(userId) ? null : userId,
+        canManageTeam: accessControlService.can(req.user?.role, PERMISSIONS.CANNED_RESPONSES_MANAGE)
+    };
+}
+
+/**
+ * Responder errores de respuestas predefinidas (4xx) o error interno
+ */
+function sendCannedError(res, error, action) {
+    if (error.name === 'CannedResponseError') {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            code: error.code
+        });
+    }
+
+    logger.error(`Error al ${action}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: error.message
+    });
+}
+
+/**
+ * GET /api/canned-responses
+ * Respuestas de equipo y personales del agente
+ * Query: folder, scope (team|personal), search
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { folder, scope, search } = req.query;
+        const data = await cannedResponseService.list({ userId: getActor(req).userId, folder, scope, search });
+        res.json({ success: true, data });
+    } catch (error) {
+        sendCannedError(res, error, 'listar respuestas predefinidas');
+    }
+});
+
+/**
+ * POST /api/canned-responses
+ * Crear una respuesta
+ * Body: { title, body, shortcut?, folder?, scope?, media?: { type, url, filename? } }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const data = await cannedResponseService.create(req.body || {}, getActor(req));
+        res.status(201).json({ success: true, data });
+    } catch (error) {
+        sendCannedError(res, error, 'crear respuesta predefinida');
+    }
+});
+
+/**
+ * GET /api/canned-responses/folders
+ * Carpetas con su número de respuestas
+ */
+router.get('/folders', async (req, res) => {
+    try {
+        const data = await cannedResponseService.listFolders({ userId: getActor(req).userId });
+        res.json({ success: true, data });
+    } catch (error) {
+        sendCannedError(res, error, 'listar carpetas');
+    }
+});
+
+/**
+ * GET /api/canned-responses/stats
+ * Uso de cada respuesta en el periodo
+ * Query: days (30 por defecto), agentId
+ */
+router.get('/stats', async (req, res) => {
+    try {
+        const data = await cannedResponseService.getStats({
+            days: req.query.days,
+            agentId: req.query.agentId ? parseInt(req.query.agentId, 10) : null
+        });
+        res.json({ success: true, data });
+    } catch (error) {
+        sendCannedError(res, error, 'obtener estadísticas de respuestas predefinidas');
+    }
+});
+
+/**
+ * GET /api/canned-responses/shortcut/:shortcut
+ * Respuesta de un atajo (la personal tiene prioridad sobre la de equipo)
+ */
+router.get('/shortcut/:shortcut', async (req, res) => {
+    try {
+        const data = await cannedResponseService.findByShortcut(req.params.shortcut, { userId: getActor(req).userId });
+
+        if (!data) {
+            return res.status(404).json({
+                success: false,
+                error: `No hay ninguna respuesta con el atajo /${req.params.shortcut}`
+            });
+        }
+
+        res.json({ success: true, data });
+    } catch (error) {
+        sendCannedError(res, error, 'buscar atajo');
+    }
+});
+
+/**
+ * GET /api/canned-responses/:id
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const data = await cannedResponseService.get(parseInt(req.params.id, 10), { userId: getActor(req).userId });
+        res.json({ success: true, data });
+    } catch (error) {
+        sendCannedError(res, error, 'obtener respuesta predefinida');
+    }
+});
+
+/**
+ * PUT /api/canned-responses/:id
+ * Editar una respuesta (solo los campos enviados)
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const data = await cannedResponseService.update(parseInt(req.params.id, 10), req.body || {}, getActor(req));
+        res.json({ success: true, data });
+    } catch (error) {
+        sendCannedError(res, error, 'actualizar respuesta predefinida');
+    }
+});
+
+/**
+ * DELETE /api/canned-responses/:id
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const data = await cannedResponseService.remove(parseInt(req.params.id, 10), getActor(req));
+        res.json({ success: true, data });
+    } catch (error) {
+        sendCannedError(res, error, 'eliminar respuesta predefinida');
+    }
+});
+
+/**
+ * POST /api/canned-responses/:id/render
+ * Texto con las variables del contacto de la conversación
+ * Body: { conversationId }
+ */
+router.post('/:id/render', async (req, res) => {
+    try {
+        const data = await cannedResponseService.render(parseInt(req.params.id, 10), {
+            conversationId: req.body?.conversationId ? parseInt(req.body.conversationId, 10) : null,
+            userId: getActor(req).userId
+        });
+        res.json({ success: true, data });
+    } catch (error) {
+        sendCannedError(res, error, 'preparar respuesta predefinida');
+    }
+});
+
+export default router;
@@ -0,0 +1,126 @@
+/**
+ * Rutas de Canales de WhatsApp
+ * Números de WhatsApp (de una o varias WABA) conectados por 360Dialog: alta,
+ * edición, número predeterminado, desactivación y estadísticas por número
+ */
+
+import express from 'express';
+import { whatsAppChannelService } from '../../services/whatsapp/WhatsAppChannelService.js';
+import { createLogger } from '../../services/core/core/logger.js';
+
+const router = express.Router();
+const logger = createLogger('CHANNELS_ROUTES');
+
+/**
+ * Responder errores de canales (4xx, o 500 si falta la clave de cifrado) o error interno
+ */
+function sendChannelError(res, error, action) {
+    if (error.name === 'ChannelError') {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+            ...(error.details && { details: error.details })
+        });
+    }
+
+    logger.error(`Error al ${action}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: error.message
+    });
+}
+
+/**
+ * GET /api/channels?active=true
+ * Canales registrados (API keys enmascaradas)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const data = await whatsAppChannelService.list({ activeOnly: req.query.active === 'true' });
+        res.json({ success: true, data });
+    } catch (error) {
+        sendChannelError(res, error, 'listar canales');
+    }
+});
+
+/**
+ * POST /api/channels
+ * Registrar un número
+ * Body: { name, phoneNumber, phoneNumberId, wabaId?, apiKey, baseUrl?, isDefault? }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const data = await whatsAppChannelService.create(req.body || {});
+        res.status(201).json({ success: true, data });
+    } catch (error) {
+        sendChannelError(res, error, 'registrar canal');
+    }
+});
+
+/**
+ * GET /api/channels/stats?days=30
+ * Mensajes entrantes y salientes, conversaciones y envíos de campañas por número
+ */
+router.get('/stats', async (req, res) => {
+    try {
+        const data = await whatsAppChannelService.getStats({ days: req.query.days });
+        res.json({ success: true, data });
+    } catch (error) {
+        sendChannelError(res, error, 'obtener estadísticas de canales');
+    }
+});
+
+/**
+ * GET /api/channels/:id
+ * Detalle de un canal
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const data = await whatsAppChannelService.get(req.params.id);
+        res.json({ success: true, data });
+    } catch (error) {
+        sendChannelError(res, error, 'obtener canal');
+    }
+});
+
+/**
+ * PUT /api/channels/:id
+ * Actualizar datos del canal (la API key solo si se envía)
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const data = await whatsAppChannelService.update(req.params.id, req.body || {});
+        res.json({ success: true, data });
+    } catch (error) {
+        sendChannelError(res, error, 'actualizar canal');
+    }
+});
+
+/**
+ * DELETE /api/channels/:id
+ * Desactivar un canal (su historial de mensajes se conserva)
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const data = await whatsAppChannelService.deactivate(req.params.id);
+        res.json({ success: true, data, message: 'Canal desactivado' });
+    } catch (error) {
+        sendChannelError(res, error, 'desactivar canal');
+    }
+});
+
+/**
+ * POST /api/channels/:id/default
+ * Marcar el canal como predeterminado para envíos sin conversación previa
+ */
+router.post('/:id/default', async (req, res) => {
+    try {
+        const data = await whatsAppChannelService.setDefault(req.params.id);
+        res.json({ success: true, data });
+    } catch (error) {
+        sendChannelError(res, error, 'marcar canal predeterminado');
+    }
+});
+
+export default router;
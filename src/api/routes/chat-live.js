@@ -4,11 +4,51 @@
  */
 
 import express from 'express';
+import multer from 'multer';
 import axios from 'axios';
 import path from 'path';
 import { getDatabaseService } from '../../services/DatabaseService.js';
 import { createLogger } from '../../services/core/core/logger.js';
 import Dialog360Integration from '../../integrations/360dialog/Dialog360Integration.js';
+import {
+    conversationAssignmentService,
+    ConversationAssignmentError
+} from '../../services/conversations/ConversationAssignmentService.js';
+import {
+    messageWindowService,
+    MessageWindowClosedError,
+    computeWindowState
+} from '../../services/whatsapp/MessageWindowService.js';
+import { saveContactCustomField } from '../services/persistence/customFieldsPersistenceSQL.js';
+import { CUSTOM_FIELD_PREFIX } from '../../services/contacts/contactImportMapping.js';
+import { flowRuntimeService } from '../../services/flows/FlowRuntimeService.js';
+import {
+    conversationHandoffService,
+    ConversationHandoffError
+} from '../../services/conversations/ConversationHandoffService.js';
+import {
+    replySuggestionService,
+    ReplySuggestionError
+} from '../../services/conversations/ReplySuggestionService.js';
+import { cannedResponseService } from '../../services/conversations/CannedResponseService.js';
+import { buildMediaMessage } from '../../services/conversations/cannedResponses.js';
+import {
+    outboundMessageService,
+    OutboundMessageError
+} from '../../services/conversations/OutboundMessageService.js';
+import { parseOutboundBody, validateOutboundMessage } from '../../services/conversations/outboundMessages.js';
+import { messageReactionService } from '../../services/conversations/MessageReactionService.js';
+import {
+    conversationLifecycleService,
+    ConversationLifecycleError
+} from '../../services/conversations/ConversationLifecycleService.js';
+import {
+    LIFECYCLE_ACTIONS,
+    actionForStatus,
+    normalizeConversationStatus
+} from '../../services/conversations/conversationLifecycle.js';
+import { ChannelError } from '../../services/whatsapp/WhatsAppChannelService.js';
+import { resolveDialog360Url, isDialog360MediaUrl } from '../../integrations/360dialog/dialog360Endpoints.js';
 
 const router = express.Router();
 const logger = createLogger('CHAT_LIVE');
@@ -231,6 +271,15 @@ async function getRealConversations() {
                         COALESCE(c.message_count, COUNT(m.id)) as message_count,
                         COALESCE(c.created_at, MIN(m.created_at)) as created_at,
                         COALESCE(c.updated_at, MAX(m.created_at)) as updated_at,
+                        c.assigned_agent_id as assigned_agent_id,
+                        c.assigned_at as assigned_at,
+                        (SELECT u.username FROM users u WHERE u.id = c.assigned_agent_id) as assigned_agent_name,
+                        COALESCE(c.bot_mode, 'bot') as bot_mode,
+                        c.snoozed_until as snoozed_until,
+                        c.resolution_reason as resolution_reason,
+                        c.channel_id as channel_id,
+                        (SELECT wc.name FROM whatsapp_channels wc WHERE wc.id = c.channel_id) as channel_name,
+                        (SELECT w.last_user_message_at FROM message_windows w WHERE w.contact_id = ct.id AND w.is_active = 1 ORDER BY datetime(w.last_user_message_at) DESC LIMIT 1) as last_user_message_at,
                         (SELECT m2.content FROM messages m2 WHERE m2.contact_id = ct.id ORDER BY m2.created_at DESC LIMIT 1) as last_message_content
                     FROM contacts ct
                     LEFT JOIN conversations c ON c.contact_id = ct.id
@@ -404,6 +453,8 @@ async function getRealConversations() {
                     unreadCount = 0;
                 }
                 
+                const windowState = computeWindowState(conv.last_user_message_at);
+
                 return {
                     id: conv.id,
                     phone: conv.contact_phone || 'Desconocido',
@@ -413,9 +464,19 @@ async function getRealConversations() {
                     lastMessageTime: conv.last_message_at || conv.created_at,
                     unreadCount: unreadCount,
                     messageCount: conv.message_count || 0,
-                    status: conv.status || 'active',
+                    status: normalizeConversationStatus(conv.status),
+                    snoozedUntil: conv.snoozed_until || null,
+                    resolutionReason: conv.resolution_reason || null,
                     channel: conv.channel || 'whatsapp',
-                    priority: conv.priority || 'medium'
+                    channelId: conv.channel_id || null,
+                    channelName: conv.channel_name || null,
+                    priority: conv.priority || 'medium',
+                    assignedAgentId: conv.assigned_agent_id || null,
+                    assignedAgentName: conv.assigned_agent_name || null,
+                    assignedAt: conv.assigned_at || null,
+                    botMode: conv.bot_mode || 'bot',
+                    windowOpen: windowState.isOpen,
+                    windowExpiresAt: windowState.expiresAt
                 };
             }));
             
@@ -511,6 +572,80 @@ async function getConversationMessages(conversationId, limit = 50, offset = 0) {
     }
 }
 
+/**
+ * Obtener el ID del agente que realiza la petición
+ * Solo a partir de la sesión autenticada: el cliente no puede elegir el agente
+ */
+function getRequestAgentId(req) {
+    const agentId = req.user?.id;
+    if (agentId === undefined || agentId === null || agentId === '') {
+        return null;
+    }
+    const numericId = parseInt(agentId, 10);
+    return Number.isNaN(numericId) ? null : numericId;
+}
+
+/**
+ * Datos guardados en messages.metadata que necesita el timeline:
+ * tipo de mensaje saliente, mensaje citado, ubicación y tarjetas de contacto
+ */
+function parseStoredMetadata(raw) {
+    let metadata = null;
+    try {
+        metadata = raw ? JSON.parse(raw) : null;
+    } catch (_) {
+        metadata = null;
+    }
+
+    const location = metadata?.location || null;
+    return {
+        metadata,
+        replyTo: metadata?.replyTo || null,
+        contacts: metadata?.contacts || null,
+        latitude: location?.latitude ?? null,
+        longitude: location?.longitude ?? null,
+        locationName: location?.name || null,
+        locationAddress: location?.address || null
+    };
+}
+
+/**
+ * Agregar a cada mensaje las reacciones recibidas (por su WA.ID)
+ */
+async function attachReactions(messages) {
+    try {
+        const reactions = await messageReactionService.listForMessages(messages.map(msg => msg.messageId));
+        messages.forEach((msg) => {
+            msg.reactions = reactions[msg.messageId] || [];
+        });
+    } catch (error) {
+        logger.warn('⚠️ No se pudieron cargar las reacciones:', error.message);
+    }
+    return messages;
+}
+
+/**
+ * Responder errores de asignación, traspaso, sugerencias o estado con su código HTTP
+ */
+function sendAssignmentError(res, error, action) {
+    if (error instanceof ConversationAssignmentError
+        || error instanceof ConversationHandoffError
+        || error instanceof ReplySuggestionError
+        || error instanceof ConversationLifecycleError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            code: error.code
+        });
+    }
+
+    logger.error(`[CHAT-LIVE] Error en ${action} de conversación:`, error);
+    return res.status(500).json({
+        success: false,
+        error: 'Error interno del servidor'
+    });
+}
+
 // Datos hardcodeados eliminados - ahora solo se usan datos reales de SQLite
 
 // Middleware para logging
@@ -530,7 +665,7 @@ router.use((req, res, next) => {
 router.get('/conversations', async (req, res) => {
     try {
         logger.debug('🔍 [DEBUG] Ruta /conversations llamada');
-        const { status, search, page = 1, limit = 10 } = req.query;
+        const { status, search, assignee, channelId, page = 1, limit = 10 } = req.query;
         
         logger.debug('🔍 [DEBUG] Iniciando getRealConversations...');
         // Obtener conversaciones reales
@@ -548,9 +683,31 @@ router.get('/conversations', async (req, res) => {
         
         // Filtrar por estado
         if (status && status !== 'all') {
-            filteredConversations = filteredConversations.filter(conv => conv.status === status);
+            const lifecycleStatus = normalizeConversationStatus(status);
+            filteredConversations = filteredConversations.filter(conv => conv.status === lifecycleStatus);
         }
         
+        // Filtrar por agente asignado: mine | unassigned | <agentId>
+        if (assignee && assignee !== 'all') {
+            if (assignee === 'unassigned') {
+                filteredConversations = filteredConversations.filter(conv => !conv.assignedAgentId);
+            } else {
+                const agentId = assignee === 'mine' ? getRequestAgentId(req) : parseInt(assignee, 10);
+                if (!agentId) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'No se pudo determinar el agente para el filtro de asignación'
+                    });
+                }
+                filteredConversations = filteredConversations.filter(conv => Number(conv.assignedAgentId) === agentId);
+            }
+        }
+
+        // Filtrar por número de WhatsApp (canal)
+        if (channelId && channelId !== 'all') {
+            filteredConversations = filteredConversations.filter(conv => String(conv.channelId) === String(channelId));
+        }
+
         // Filtrar por búsqueda
         if (search) {
             const searchLower = search.toLowerCase();
@@ -576,9 +733,19 @@ router.get('/conversations', async (req, res) => {
             lastMessageTime: conv.lastMessageTime || (conv.timestamp ? (typeof conv.timestamp === 'string' ? conv.timestamp : conv.timestamp.toISOString().slice(0, 19).replace('T', ' ')) : null),
             unreadCount: conv.unreadCount || 0,
             messageCount: conv.messageCount || 0,
-            status: conv.status || 'active',
+            status: conv.status,
+            snoozedUntil: conv.snoozedUntil || null,
+            resolutionReason: conv.resolutionReason || null,
             channel: conv.channel || 'whatsapp',
-            priority: conv.priority || 'medium'
+            channelId: conv.channelId,
+            channelName: conv.channelName,
+            priority: conv.priority || 'medium',
+            assignedAgentId: conv.assignedAgentId || null,
+            assignedAgentName: conv.assignedAgentName || null,
+            assignedAt: conv.assignedAt || null,
+            botMode: conv.botMode || 'bot',
+            windowOpen: conv.windowOpen,
+            windowExpiresAt: conv.windowExpiresAt
         }));
         
         logger.debug('🔍 [DEBUG] Conversaciones transformadas:', transformedConversations.length);
@@ -653,6 +820,9 @@ router.get('/messages/by-phone/:phone', async (req, res) => {
                 m.status,
                 m.content,
                 m.media_url,
+                m.media_type,
+                m.message_id,
+                m.metadata,
                 m.created_at,
                 c.name as contact_name,
                 c.phone_number as contact_phone
@@ -688,15 +858,17 @@ router.get('/messages/by-phone/:phone', async (req, res) => {
                 status: msg.status,
                 content,
                 mediaUrl: msg.media_url || null,
-                mediaType: null,
+                mediaType: msg.media_type || null,
                 timestamp: msg.created_at,
                 contactName: msg.contact_name || msg.contact_phone,
                 contactPhone: msg.contact_phone,
-                messageId: msg.message_id || null // ID de WhatsApp para marcar como leído
+                messageId: msg.message_id || null, // ID de WhatsApp para marcar como leído
+                ...parseStoredMetadata(msg.metadata)
             };
         });
 
         db.close();
+        await attachReactions(messages);
 
         return res.json({
             success: true,
@@ -758,39 +930,34 @@ router.get('/conversations/:id', async (req, res) => {
 
 /**
  * PUT /api/chat-live/conversations/:id
- * Actualiza una conversación
+ * Cambia el estado de una conversación
+ * Body: { status: open|pending|snoozed|resolved, reason?, note?, snoozeUntil? }
  */
 router.put('/conversations/:id', async (req, res) => {
     try {
-        const { id } = req.params;
-        const updates = req.body;
-        
-        const conversationIndex = conversations.findIndex(conv => conv.id === id);
-        
-        if (conversationIndex === -1) {
-            return res.status(404).json({
+        const { status, reason, note, snoozeUntil } = req.body || {};
+        const action = actionForStatus(status);
+
+        if (!action) {
+            return res.status(400).json({
                 success: false,
-                error: 'Conversación no encontrada'
+                error: 'status debe ser uno de: open, pending, snoozed, resolved'
             });
         }
-        
-        // Actualizar conversación
-        conversations[conversationIndex] = {
-            ...conversations[conversationIndex],
-            ...updates,
-            timestamp: new Date()
-        };
-        
+
+        const state = await conversationLifecycleService.transition(req.params.id, action, {
+            reason,
+            note,
+            snoozeUntil,
+            performedBy: getRequestAgentId(req)
+        });
+
         res.json({
             success: true,
-            data: conversations[conversationIndex]
+            data: state
         });
     } catch (error) {
-        logger.error('[CHAT-LIVE] Error al actualizar conversación:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Error interno del servidor'
-        });
+        return sendAssignmentError(res, error, 'actualización');
     }
 });
 
@@ -847,6 +1014,8 @@ router.get('/conversations/:id/messages', async (req, res) => {
                 m.content,
                 m.media_url,
                 m.media_type,
+                m.message_id,
+                m.metadata,
                 m.timestamp as sent_at,
                 m.created_at as delivered_at,
                 m.updated_at as read_at,
@@ -894,11 +1063,13 @@ router.get('/conversations/:id/messages', async (req, res) => {
                 timestamp: msg.created_at,
                 contactName: msg.contact_name || msg.contact_phone,
                 contactPhone: msg.contact_phone,
-                messageId: msg.message_id || null
+                messageId: msg.message_id || null,
+                ...parseStoredMetadata(msg.metadata)
             };
         });
 
         db.close();
+        await attachReactions(messages);
 
         const response = {
             success: true,
@@ -931,21 +1102,68 @@ router.get('/conversations/:id/messages', async (req, res) => {
     }
 });
 
+// Archivos adjuntos del compositor: se suben a 360Dialog desde memoria
+const attachmentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: (parseInt(process.env.CHAT_UPLOAD_MAX_FILE_MB, 10) || 16) * 1024 * 1024
+    }
+});
+
+/**
+ * Archivo opcional del mensaje: los errores de multer se responden como 4xx
+ */
+function uploadAttachment(req, res, next) {
+    attachmentUpload.single('file')(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+
+        const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+        return res.status(tooLarge ? 413 : 400).json({
+            success: false,
+            error: tooLarge ? 'El archivo supera el tamaño máximo permitido' : error.message,
+            code: error.code
+        });
+    });
+}
+
 /**
  * POST /api/chat-live/conversations/:id/messages
  * Envía un nuevo mensaje a través de WhatsApp
+ * Body: { type, text, replyTo, ... } según el tipo:
+ *   text: { text }
+ *   image | video | audio | document: archivo en multipart (file) o media { id | url | path, filename }, caption
+ *   buttons: { text, buttons: [{ id?, title }], header?, footer? }
+ *   list: { text, list: { button, sections: [{ title?, rows: [{ id?, title, description? }] }] }, header?, footer? }
+ *   template: { template: { name, language, headerParameters?, bodyParameters?, bodyText? } }
+ *   location: { location: { latitude, longitude, name?, address? } }
+ *   location_request: { text? }
+ *   contacts: { contacts: [{ name, phone, email?, organization? }] }
+ * replyTo: WA.ID del mensaje al que se responde (cita en WhatsApp)
  */
-router.post('/conversations/:id/messages', async (req, res) => {
+router.post('/conversations/:id/messages', uploadAttachment, async (req, res) => {
     try {
         const { id } = req.params;
-        const { text, sender = 'agent', type = 'text', phone } = req.body;
+        const { sender = 'agent', phone, suggestionId, suggestionIndex, cannedResponseId, channelId } = req.body;
 
         logger.info(`📨 POST /conversations/${id}/messages - phone: ${phone}, isNew: ${id.startsWith('new_')}`);
 
-        if (!text || text.trim().length === 0) {
+        let body;
+        try {
+            body = parseOutboundBody(req.body);
+        } catch (parseError) {
+            return res.status(400).json({
+                success: false,
+                error: `JSON inválido en el mensaje: ${parseError.message}`
+            });
+        }
+
+        const { value: outbound, errors } = validateOutboundMessage(body, { hasFile: Boolean(req.file) });
+        if (errors.length > 0) {
             return res.status(400).json({
                 success: false,
-                error: 'El texto del mensaje es requerido'
+                error: errors.join('; ')
             });
         }
 
@@ -1013,20 +1231,41 @@ router.post('/conversations/:id/messages', async (req, res) => {
 
         // Importar el servicio de 360Dialog
         const { default: Unified360DialogService } = await import('../../services/core/core/Unified360DialogService.js');
-        const dialog360Service = new Unified360DialogService();
         
         let sentMessage = null;
+        let stored = null;
+        let dialog360Service;
         
         // Intentar enviar a WhatsApp usando 360Dialog (sin cola)
-        logger.info(`📤 Enviando mensaje desde chat en vivo a ${conversation.phone_number}: ${text.trim()}`);
+        logger.info(`📤 Enviando mensaje ${outbound.type || 'multimedia'} desde chat en vivo a ${conversation.phone_number}`);
         try {
-            sentMessage = await dialog360Service.sendTextMessage(
-                conversation.phone_number, 
-                text.trim(),
-                { useQueue: false }  // ✅ Enviar directamente sin cola
-            );
+            // Número elegido en el chat o, si no, el de la conversación / el predeterminado
+            dialog360Service = await new Unified360DialogService().forChannel({
+                channelId: channelId ? parseInt(channelId, 10) : null,
+                phone: conversation.phone_number
+            });
+
+            ({ sentMessage, stored } = await outboundMessageService.send(
+                dialog360Service,
+                conversation.phone_number,
+                outbound,
+                req.file
+            ));
             logger.info(`✅ Mensaje enviado a WhatsApp: ${sentMessage?.messageId}`);
         } catch (sendError) {
+            if (sendError instanceof MessageWindowClosedError) {
+                logger.warn(`⏰ Ventana de 24h cerrada para ${conversation.phone_number}, se requiere plantilla`);
+                return res.status(sendError.statusCode).json(sendError.toJSON());
+            }
+
+            if (sendError instanceof OutboundMessageError || sendError instanceof ChannelError) {
+                return res.status(sendError.statusCode).json({
+                    success: false,
+                    error: sendError.message,
+                    code: sendError.code
+                });
+            }
+
             logger.error(`❌ Error enviando mensaje a WhatsApp: ${sendError.message}`);
             logger.warn(`⚠️ No se pudo enviar a WhatsApp, no guardando mensaje`);
             
@@ -1048,12 +1287,14 @@ router.post('/conversations/:id/messages', async (req, res) => {
             // Guardar mensaje en SQLite con el WA.ID de 360Dialog
             await saveMessageToSQLite({
                 contact_id: contactId,
-                type: type || 'text',
+                type: stored.type,
                 direction: 'outbound',
-                content: text.trim(),
-                media_url: null,
+                content: stored.content,
+                media_url: stored.mediaUrl,
                 status: 'sent',
-                message_id: sentMessage.messageId  // ✅ WA.ID de 360Dialog
+                message_id: sentMessage.messageId,  // ✅ WA.ID de 360Dialog
+                metadata: stored.metadata,
+                channel_id: sentMessage.channelId
             });
             
             logger.info(`💾 Mensaje guardado en SQLite con WA.ID: ${sentMessage.messageId}`);
@@ -1066,19 +1307,52 @@ router.post('/conversations/:id/messages', async (req, res) => {
         const newMessage = {
             id: sentMessage.messageId,  // ✅ WA.ID de 360Dialog
             conversationId: id,
-            text: text.trim(),
+            text: stored.content,
+            type: stored.type,
+            mediaUrl: stored.mediaUrl,
+            mediaType: stored.mediaType,
             sender,
             timestamp: new Date().toISOString(),
             status: 'sent',  // ✅ Enviado a WhatsApp
             metadata: {
-                type,
-                agentId: sender === 'agent' ? 'agent_1' : null,
+                ...stored.metadata,
+                type: stored.type,
+                agentId: sender === 'agent' ? getRequestAgentId(req) : null,
                 whatsappMessageId: sentMessage.messageId  // ✅ WA.ID
             }
         };
 
         logger.info(`✅ Mensaje enviado exitosamente desde chat en vivo a ${conversation.phone_number}`);
 
+        // El agente que responde toma la conversación y el bot queda en pausa
+        if (sender === 'agent') {
+            await conversationHandoffService.pauseForAgentReply(conversation.phone_number, getRequestAgentId(req));
+        }
+
+        // Respuesta predefinida: enviar su adjunto y contar el uso
+        if (cannedResponseId) {
+            newMessage.metadata.cannedResponseId = cannedResponseId;
+            newMessage.metadata.media = await sendCannedResponseExtras(req, dialog360Service, conversation, {
+                cannedResponseId,
+                conversationId: id.startsWith('new_') ? null : parseInt(id, 10),
+                messageId: sentMessage.messageId || null
+            });
+        }
+
+        // Mensaje redactado a partir de una sugerencia de la IA: medir cuánto se editó
+        if (suggestionId) {
+            try {
+                await replySuggestionService.recordUsage(suggestionId, {
+                    index: parseInt(suggestionIndex, 10) || 0,
+                    sentText: stored.content,
+                    agentId: getRequestAgentId(req),
+                    messageId: sentMessage.messageId || null
+                });
+            } catch (feedbackError) {
+                logger.warn(`⚠️ No se pudo registrar el uso de la sugerencia ${suggestionId}: ${feedbackError.message}`);
+            }
+        }
+
         res.status(201).json({
             success: true,
             data: newMessage,
@@ -1094,6 +1368,473 @@ router.post('/conversations/:id/messages', async (req, res) => {
     }
 });
 
+/**
+ * Enviar el adjunto de una respuesta predefinida tras su texto y registrar su uso
+ * @returns {Promise<Object|null>} Adjunto enviado (con su WA.ID) o null
+ */
+async function sendCannedResponseExtras(req, dialog360Service, conversation, { cannedResponseId, conversationId, messageId }) {
+    const agentId = getRequestAgentId(req);
+    let media = null;
+
+    try {
+        const response = await cannedResponseService.get(parseInt(cannedResponseId, 10), { userId: agentId });
+
+        if (response.media) {
+            const to = dialog360Service.normalizePhoneNumber(conversation.phone_number);
+            const sentMedia = await dialog360Service.sendMessage(buildMediaMessage(to, response.media), { useQueue: false });
+
+            const { saveMessageToSQLite, createOrUpdateContact } = await import('../../services/core/core/SQLiteMessageHelper.js');
+            const contactId = await createOrUpdateContact(conversation.phone_number, conversation.name);
+            await saveMessageToSQLite({
+                contact_id: contactId,
+                type: response.media.type,
+                direction: 'outbound',
+                content: response.media.filename || '',
+                media_url: response.media.url,
+                status: 'sent',
+                message_id: sentMedia.messageId
+            });
+
+            media = { ...response.media, whatsappMessageId: sentMedia.messageId };
+            logger.info(`📎 Adjunto de la respuesta predefinida ${response.id} enviado: ${sentMedia.messageId}`);
+        }
+
+        await cannedResponseService.recordUsage(response.id, { agentId, conversationId, messageId });
+    } catch (error) {
+        logger.warn(`⚠️ No se pudo completar la respuesta predefinida ${cannedResponseId}: ${error.message}`);
+    }
+
+    return media;
+}
+
+/**
+ * GET /api/chat-live/media-library
+ * Archivos ya enviados por los agentes, para reutilizarlos en el compositor
+ * Query: type (image|video|audio|document), limit
+ */
+router.get('/media-library', async (req, res) => {
+    try {
+        const data = await outboundMessageService.listLibrary({
+            type: req.query.type || null,
+            limit: req.query.limit
+        });
+        res.json({ success: true, data });
+    } catch (error) {
+        if (error instanceof OutboundMessageError) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+                code: error.code
+            });
+        }
+
+        logger.error('Error listando biblioteca de archivos:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+/**
+ * GET /api/chat-live/conversations/:id/window
+ * Obtiene el estado de la ventana de atención de 24h de la conversación
+ */
+router.get('/conversations/:id/window', async (req, res) => {
+    try {
+        const state = await messageWindowService.getWindowStateByConversation(req.params.id);
+
+        if (!state) {
+            return res.status(404).json({
+                success: false,
+                error: 'Conversación no encontrada'
+            });
+        }
+
+        res.json({ success: true, data: state });
+    } catch (error) {
+        logger.error('[CHAT-LIVE] Error obteniendo ventana de 24h:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+/**
+ * GET /api/chat-live/agents
+ * Obtiene los agentes enrutables con su carga de conversaciones abiertas
+ */
+router.get('/agents', async (req, res) => {
+    try {
+        const agents = await conversationAssignmentService.getAgentWorkloads();
+
+        res.json({
+            success: true,
+            data: agents.map(agent => ({
+                id: agent.id,
+                username: agent.username,
+                email: agent.email,
+                role: agent.role,
+                openConversations: agent.open_conversations || 0,
+                lastAssignedAt: agent.last_assigned_at || null
+            })),
+            strategy: conversationAssignmentService.strategy
+        });
+    } catch (error) {
+        logger.error('[CHAT-LIVE] Error obteniendo agentes:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+/**
+ * GET /api/chat-live/conversations/:id/assignment
+ * Obtiene la asignación actual y el historial de una conversación
+ */
+router.get('/conversations/:id/assignment', async (req, res) => {
+    try {
+        const conversation = await conversationAssignmentService.requireConversation(req.params.id);
+        const history = await conversationAssignmentService.getHistory(conversation.id);
+
+        res.json({
+            success: true,
+            data: {
+                conversationId: conversation.id,
+                assignedAgentId: conversation.assigned_agent_id || null,
+                assignedAt: conversation.assigned_at || null,
+                history
+            }
+        });
+    } catch (error) {
+        return sendAssignmentError(res, error, 'consulta de asignación');
+    }
+});
+
+/**
+ * POST /api/chat-live/conversations/:id/assign
+ * Asigna la conversación a un agente (por defecto, al agente que hace la petición)
+ */
+router.post('/conversations/:id/assign', async (req, res) => {
+    try {
+        const performedBy = getRequestAgentId(req);
+        const agentId = req.body.agentId ?? performedBy;
+
+        if (!agentId) {
+            return res.status(400).json({
+                success: false,
+                error: 'agentId es requerido'
+            });
+        }
+
+        const assignment = await conversationAssignmentService.assign(req.params.id, agentId, {
+            performedBy,
+            note: req.body.note || null
+        });
+
+        res.json({ success: true, data: assignment });
+    } catch (error) {
+        return sendAssignmentError(res, error, 'asignación');
+    }
+});
+
+/**
+ * POST /api/chat-live/conversations/:id/unassign
+ * Libera la conversación para que vuelva a la bandeja sin asignar
+ */
+router.post('/conversations/:id/unassign', async (req, res) => {
+    try {
+        const assignment = await conversationAssignmentService.unassign(req.params.id, {
+            performedBy: getRequestAgentId(req),
+            note: req.body?.note || null
+        });
+
+        res.json({ success: true, data: assignment });
+    } catch (error) {
+        return sendAssignmentError(res, error, 'liberación');
+    }
+});
+
+/**
+ * POST /api/chat-live/conversations/:id/transfer
+ * Transfiere la conversación a otro agente
+ */
+router.post('/conversations/:id/transfer', async (req, res) => {
+    try {
+        const { agentId, note } = req.body;
+
+        if (!agentId) {
+            return res.status(400).json({
+                success: false,
+                error: 'agentId es requerido'
+            });
+        }
+
+        const assignment = await conversationAssignmentService.transfer(req.params.id, agentId, {
+            performedBy: getRequestAgentId(req),
+            note: note || null
+        });
+
+        res.json({ success: true, data: assignment });
+    } catch (error) {
+        return sendAssignmentError(res, error, 'transferencia');
+    }
+});
+
+/**
+ * GET /api/chat-live/handoffs
+ * Cola de traspasos del bot a agentes (status: queued | accepted | open)
+ */
+router.get('/handoffs', async (req, res) => {
+    try {
+        const handoffs = await conversationHandoffService.listQueue({
+            status: req.query.status || 'queued',
+            limit: req.query.limit
+        });
+
+        res.json({ success: true, data: handoffs });
+    } catch (error) {
+        return sendAssignmentError(res, error, 'consulta de traspasos');
+    }
+});
+
+/**
+ * POST /api/chat-live/handoffs/:id/accept
+ * Acepta un traspaso de la cola (por defecto, para el agente que hace la petición)
+ */
+router.post('/handoffs/:id/accept', async (req, res) => {
+    try {
+        const performedBy = getRequestAgentId(req);
+        const agentId = req.body?.agentId ?? performedBy;
+
+        if (!agentId) {
+            return res.status(400).json({
+                success: false,
+                error: 'agentId es requerido'
+            });
+        }
+
+        const handoff = await conversationHandoffService.acceptHandoff(req.params.id, agentId, { performedBy });
+        res.json({ success: true, data: handoff });
+    } catch (error) {
+        return sendAssignmentError(res, error, 'aceptación de traspaso');
+    }
+});
+
+/**
+ * GET /api/chat-live/conversations/:id/bot-mode
+ * Modo de la conversación (bot o humano) y su traspaso abierto
+ */
+router.get('/conversations/:id/bot-mode', async (req, res) => {
+    try {
+        const mode = await conversationHandoffService.getConversationMode(req.params.id);
+        res.json({ success: true, data: mode });
+    } catch (error) {
+        return sendAssignmentError(res, error, 'consulta de modo');
+    }
+});
+
+/**
+ * POST /api/chat-live/conversations/:id/handoff
+ * El agente toma la conversación y pausa el bot
+ */
+router.post('/conversations/:id/handoff', async (req, res) => {
+    try {
+        const agentId = getRequestAgentId(req);
+
+        if (!agentId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Se requiere un agente autenticado'
+            });
+        }
+
+        const handoff = await conversationHandoffService.takeOver(req.params.id, agentId);
+        res.json({ success: true, data: handoff });
+    } catch (error) {
+        return sendAssignmentError(res, error, 'traspaso');
+    }
+});
+
+/**
+ * POST /api/chat-live/conversations/:id/return-to-bot
+ * Devuelve la conversación al bot (reanuda las respuestas de la IA)
+ */
+router.post('/conversations/:id/return-to-bot', async (req, res) => {
+    try {
+        const mode = await conversationHandoffService.returnToBot(req.params.id, {
+            performedBy: getRequestAgentId(req)
+        });
+        res.json({ success: true, data: mode });
+    } catch (error) {
+        return sendAssignmentError(res, error, 'devolución al bot');
+    }
+});
+
+/**
+ * POST /api/chat-live/conversations/:id/suggestions
+ * Genera 2-3 borradores de respuesta ordenados con la IA
+ */
+router.post('/conversations/:id/suggestions', async (req, res) => {
+    try {
+        const suggestions = await replySuggestionService.generateSuggestions(req.params.id, {
+            agentId: getRequestAgentId(req),
+            count: req.body?.count
+        });
+        res.json({ success: true, data: suggestions });
+    } catch (error) {
+        return sendAssignmentError(res, error, 'sugerencia de respuestas');
+    }
+});
+
+/**
+ * GET /api/chat-live/conversations/:id/summary
+ * Resumen de la conversación generado por la IA
+ */
+router.get('/conversations/:id/summary', async (req, res) => {
+    try {
+        const summary = await replySuggestionService.summarizeConversation(req.params.id);
+        res.json({ success: true, data: summary });
+    } catch (error) {
+        return sendAssignmentError(res, error, 'resumen');
+    }
+});
+
+/**
+ * POST /api/chat-live/conversations/:id/resolve
+ * Resuelve la conversación
+ * Body: { reason?: solved|no_response|duplicate|spam|other, note? }
+ */
+router.post('/conversations/:id/resolve', async (req, res) => {
+    try {
+        const { reason, note } = req.body || {};
+        const state = await conversationLifecycleService.transition(req.params.id, LIFECYCLE_ACTIONS.RESOLVE, {
+            reason,
+            note,
+            performedBy: getRequestAgentId(req)
+        });
+        res.json({ success: true, data: state });
+    } catch (error) {
+        return sendAssignmentError(res, error, 'resolución');
+    }
+});
+
+/**
+ * POST /api/chat-live/conversations/:id/snooze
+ * Pospone la conversación hasta una fecha; se reabre sola al vencer o si el cliente escribe
+ * Body: { until: ISO } | { minutes: number }, note?
+ */
+router.post('/conversations/:id/snooze', async (req, res) => {
+    try {
+        const { until, minutes, note } = req.body || {};
+        const snoozeUntil = until
+            || (Number(minutes) > 0 ? new Date(Date.now() + Number(minutes) * 60 * 1000).toISOString() : null);
+
+        const state = await conversationLifecycleService.transition(req.params.id, LIFECYCLE_ACTIONS.SNOOZE, {
+            snoozeUntil,
+            note,
+            performedBy: getRequestAgentId(req)
+        });
+        res.json({ success: true, data: state });
+    } catch (error) {
+        return sendAssignmentError(res, error, 'pospuesto');
+    }
+});
+
+/**
+ * POST /api/chat-live/conversations/:id/pending
+ * Marca la conversación como pendiente de respuesta del cliente
+ */
+router.post('/conversations/:id/pending', async (req, res) => {
+    try {
+        const state = await conversationLifecycleService.transition(req.params.id, LIFECYCLE_ACTIONS.MARK_PENDING, {
+            note: req.body?.note,
+            performedBy: getRequestAgentId(req)
+        });
+        res.json({ success: true, data: state });
+    } catch (error) {
+        return sendAssignmentError(res, error, 'marcado como pendiente');
+    }
+});
+
+/**
+ * POST /api/chat-live/conversations/:id/reopen
+ * Reabre una conversación pendiente, pospuesta o resuelta
+ */
+router.post('/conversations/:id/reopen', async (req, res) => {
+    try {
+        const state = await conversationLifecycleService.transition(req.params.id, LIFECYCLE_ACTIONS.REOPEN, {
+            note: req.body?.note,
+            performedBy: getRequestAgentId(req)
+        });
+        res.json({ success: true, data: state });
+    } catch (error) {
+        return sendAssignmentError(res, error, 'reapertura');
+    }
+});
+
+/**
+ * GET /api/chat-live/conversations/:id/status-history
+ * Historial de cambios de estado de la conversación
+ */
+router.get('/conversations/:id/status-history', async (req, res) => {
+    try {
+        const history = await conversationLifecycleService.getHistory(req.params.id);
+        res.json({ success: true, data: history });
+    } catch (error) {
+        return sendAssignmentError(res, error, 'consulta de historial de estado');
+    }
+});
+
+/**
+ * GET /api/chat-live/lifecycle/stats?days=30&agentId=
+ * Tiempos de resolución, motivos y conversaciones por estado
+ */
+router.get('/lifecycle/stats', async (req, res) => {
+    try {
+        const stats = await conversationLifecycleService.getResolutionStats({
+            days: req.query.days,
+            agentId: req.query.agentId ? parseInt(req.query.agentId, 10) || null : null
+        });
+        res.json({ success: true, data: stats });
+    } catch (error) {
+        return sendAssignmentError(res, error, 'estadísticas de resolución');
+    }
+});
+
+/**
+ * POST /api/chat-live/suggestions/:id/dismiss
+ * Registra que el agente descartó las sugerencias
+ */
+router.post('/suggestions/:id/dismiss', async (req, res) => {
+    try {
+        const feedback = await replySuggestionService.recordDismissal(req.params.id, {
+            agentId: getRequestAgentId(req)
+        });
+        res.json({ success: true, data: feedback });
+    } catch (error) {
+        return sendAssignmentError(res, error, 'descarte de sugerencias');
+    }
+});
+
+/**
+ * GET /api/chat-live/suggestions/stats
+ * Uso de las sugerencias y distancia de edición media
+ */
+router.get('/suggestions/stats', async (req, res) => {
+    try {
+        const stats = await replySuggestionService.getStats({
+            days: req.query.days,
+            agentId: req.query.agentId ? parseInt(req.query.agentId, 10) : null
+        });
+        res.json({ success: true, data: stats });
+    } catch (error) {
+        return sendAssignmentError(res, error, 'estadísticas de sugerencias');
+    }
+});
+
 /**
  * GET /api/chat-live/stats
  * Obtiene estadísticas del chat en vivo
@@ -1216,6 +1957,40 @@ router.get('/contacts/:phone', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/chat-live/contacts/:phone/flow
+ * Flujo y paso actual del contacto, con sus ejecuciones recientes
+ */
+router.get('/contacts/:phone/flow', async (req, res) => {
+    try {
+        const state = await flowRuntimeService.getContactFlowState(req.params.phone);
+        res.json({ success: true, data: state });
+    } catch (error) {
+        logger.error('[CHAT-LIVE] Error obteniendo flujo del contacto:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
+/**
+ * POST /api/chat-live/contacts/:phone/flow/cancel
+ * Saca al contacto del flujo en curso (el agente toma la conversación)
+ */
+router.post('/contacts/:phone/flow/cancel', async (req, res) => {
+    try {
+        const cancelled = await flowRuntimeService.cancelActiveRuns(req.params.phone, { reason: 'agent' });
+        res.json({ success: true, data: { cancelled } });
+    } catch (error) {
+        logger.error('[CHAT-LIVE] Error cancelando flujo del contacto:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor'
+        });
+    }
+});
+
 /**
  * POST /api/chat-live/conversations
  * Crea una nueva conversación
@@ -1296,8 +2071,8 @@ router.get('/media-proxy', async (req, res) => {
         // Decodificar la URL
         const decodedUrl = decodeURIComponent(mediaUrl);
         
-        // Verificar que sea una URL de 360Dialog
-        if (!decodedUrl.includes('waba-v2.360dialog.io')) {
+        // Verificar que sea una URL de 360Dialog (o del simulador local)
+        if (!isDialog360MediaUrl(decodedUrl)) {
             return res.status(403).json({ error: 'URL no autorizada' });
         }
         
@@ -1419,7 +2194,7 @@ async function markWhatsAppMessagesAsRead(messageIds) {
     }
     
     const apiKey = process.env.DIALOG360_API_KEY || process.env.D360_API_KEY;
-    const baseUrl = process.env.WABA_API_BASE || 'https://waba-v2.360dialog.io';
+    const baseUrl = resolveDialog360Url(process.env.WABA_API_BASE || 'https://waba-v2.360dialog.io');
     
     if (!apiKey) {
         throw new Error('API key no configurada');
@@ -1552,6 +2327,27 @@ router.post('/update-contact', async (req, res) => {
         } else if (field === 'email') {
             updateField = 'email';
             updateValue = value.trim() || null;
+        } else if (field.startsWith(CUSTOM_FIELD_PREFIX)) {
+            // Campo personalizado ("custom:<id>"): se valida y convierte según su tipo
+            db.close();
+            try {
+                const saved = await saveContactCustomField(contact.id, field.slice(CUSTOM_FIELD_PREFIX.length), value);
+                logger.info(`✅ Contacto ${contact.id} actualizado: ${field} = ${saved}`);
+                return res.json({
+                    success: true,
+                    value: saved,
+                    message: 'Contacto actualizado correctamente'
+                });
+            } catch (error) {
+                if (error.name === 'CustomFieldValidationError') {
+                    return res.status(error.statusCode).json({
+                        success: false,
+                        error: error.message,
+                        code: error.code
+                    });
+                }
+                throw error;
+            }
         }
 
         // Ejecutar actualización
@@ -1594,7 +2390,7 @@ router.post('/mark-messages-read', async (req, res) => {
         }
         
         const apiKey = process.env.DIALOG360_API_KEY || process.env.D360_API_KEY;
-        const baseUrl = process.env.WABA_API_BASE || 'https://waba-v2.360dialog.io';
+        const baseUrl = resolveDialog360Url(process.env.WABA_API_BASE || 'https://waba-v2.360dialog.io');
         
         if (!apiKey) {
             return res.status(500).json({
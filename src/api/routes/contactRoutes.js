@@ -7,17 +7,24 @@ import { createLogger } from '../../services/core/core/logger.js';
 import sqlite3 from 'sqlite3';
 import path from 'path';
 import multer from 'multer';
-import * as XLSX from 'xlsx';
+import { contactImportService, ContactImportError, IMPORT_STATUS } from '../../services/contacts/ContactImportService.js';
+import { buildContactWhere } from '../../services/contacts/contactFilters.js';
+import { parseFieldDefinition } from '../../services/contacts/customFieldTypes.js';
+import { contactExportService } from '../../services/contacts/ContactExportService.js';
+import { contactMergeService } from '../../services/contacts/ContactMergeService.js';
 
 const router = express.Router();
 const logger = createLogger('CONTACT_ROUTES');
 
 // Configurar multer para subida de archivos
-const storage = multer.memoryStorage(); // Usar memory storage para procesar archivos en memoria
+// Los archivos se guardan en disco y se leen en streaming durante la importación
+const storage = multer.diskStorage({
+  destination: contactImportService.uploadDir
+});
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB límite
+    fileSize: (parseInt(process.env.CONTACT_IMPORT_MAX_FILE_MB, 10) || 50) * 1024 * 1024
   },
   fileFilter: (req, file, cb) => {
     // Aceptar solo archivos Excel y CSV
@@ -57,6 +64,7 @@ router.get('/', async (req, res) => {
      tags,
      tag,
      custom_field,
+     cf, // Filtros tipados de campos personalizados: cf[campo][operador]=valor
      is_blocked,
      group,
      status,
@@ -93,110 +101,25 @@ router.get('/', async (req, res) => {
     
     const offset = isUnlimited ? 0 : (page - 1) * actualLimit;
 
-    // Construir query dinámicamente
-    const whereConditions = [];
-    const params = [];
-
-    if (search) {
-      whereConditions.push('(name LIKE ? OR phone_number LIKE ? OR email LIKE ?)');
-      const searchTerm = `%${search}%`;
-      params.push(searchTerm, searchTerm, searchTerm);
-    }
-
-    if (tags) {
-      // Buscar etiqueta exacta dentro del JSON array
-      whereConditions.push(`tags LIKE ? OR tags LIKE ? OR tags LIKE ? OR tags LIKE ?`);
-      params.push(`%"${tags}"%`, `%'${tags}'%`, `[${tags},`, `,"${tags}"]`);
-    }
-
-    // Filtro por etiqueta individual
-    if (tag) {
-      // Buscar etiqueta exacta dentro del JSON array
-      whereConditions.push(`tags LIKE ? OR tags LIKE ? OR tags LIKE ? OR tags LIKE ?`);
-      params.push(`%"${tag}"%`, `%'${tag}'%`, `[${tag},`, `,"${tag}"]`);
-    }
-
-    if (is_blocked !== undefined) {
-      whereConditions.push('status = ?');
-      params.push(is_blocked === 'true' ? 'blocked' : 'active');
-    }
-
-    // Filtro por status (alternativa a is_blocked)
-    if (status) {
-      whereConditions.push('status = ?');
-      params.push(status === 'blocked' ? 'blocked' : 'active');
-    }
-
-    // Filtro por grupo (pendiente de implementar en DB)
-    // if (group) {
-    //   whereConditions.push('group_id = ?');
-    //   params.push(group);
-    // }
-
-    // Filtros de tiempo
-    if (timeRange) {
-      const now = new Date();
-      let startDate;
-
-      switch (timeRange) {
-        case '1h':
-          startDate = new Date(now - 1 * 60 * 60 * 1000);
-          break;
-        case '24h':
-          startDate = new Date(now - 24 * 60 * 60 * 1000);
-          break;
-        case '7d':
-          startDate = new Date(now - 7 * 24 * 60 * 60 * 1000);
-          break;
-        case '30d':
-          startDate = new Date(now - 30 * 24 * 60 * 60 * 1000);
-          break;
-        case '90d':
-          startDate = new Date(now - 90 * 24 * 60 * 60 * 1000);
-          break;
-        case '1y':
-          startDate = new Date(now - 365 * 24 * 60 * 60 * 1000);
-          break;
-        default:
-          // Rango de tiempo inválido, ignorar
-          break;
-      }
+    // Construir query dinámicamente (mismos filtros que la exportación)
+    const customFields = cf
+      ? (await queryAll('SELECT * FROM custom_field_definitions WHERE is_active = 1')).map(parseFieldDefinition)
+      : [];
 
-      if (startDate) {
-        whereConditions.push('created_at >= ?');
-        params.push(startDate.toISOString());
-      }
-    }
-
-    // Filtros de fecha personalizados
-    if (date_from) {
-      try {
-        const fromDate = new Date(date_from);
-        if (!isNaN(fromDate.getTime())) {
-          whereConditions.push('created_at >= ?');
-          params.push(fromDate.toISOString().split('T')[0] + ' 00:00:00');
-        }
-      } catch (error) {
-        logger.warn('Fecha desde inválida:', date_from);
-      }
-    }
-
-    if (date_to) {
-      try {
-        const toDate = new Date(date_to);
-        if (!isNaN(toDate.getTime())) {
-          whereConditions.push('created_at <= ?');
-          params.push(toDate.toISOString().split('T')[0] + ' 23:59:59');
-        }
-      } catch (error) {
-        logger.warn('Fecha hasta inválida:', date_to);
+    let whereClause;
+    let params;
+    try {
+      ({ where: whereClause, params } = buildContactWhere({
+        search, tags, tag, is_blocked, status, timeRange, date_from, date_to, cf
+      }, { customFields }));
+    } catch (error) {
+      db.close();
+      if (error.name === 'CustomFieldValidationError') {
+        return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
       }
+      throw error;
     }
 
-    const whereClause = whereConditions.length > 0
-      ? `WHERE ${whereConditions.join(' AND ')}`
-      : '';
-
     // Query para contar total
     const countQuery = `SELECT COUNT(*) as total FROM contacts ${whereClause}`;
     const totalResult = await queryGet(countQuery, params);
@@ -326,6 +249,172 @@ router.get('/groups', async (req, res) => {
   }
 });
 
+/**
+ * GET /contacts/export
+ * (declarada antes de /:id para que no la capture esa ruta)
+ * Exportar contactos en CSV (por defecto), XLSX o NDJSON
+ * Query: format, delimiter, tag_delimiter, segment y los filtros de la lista
+ * (search, tag, status, is_blocked, timeRange, date_from, date_to, cf)
+ */
+router.get('/export', async (req, res) => {
+  let plan;
+  try {
+    plan = await contactExportService.prepare(req.query);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('❌ Error preparando exportación de contactos:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Error interno del servidor'
+    });
+  }
+
+  logger.info(`📤 Exportando contactos (${plan.format})`);
+  res.setHeader('Content-Type', plan.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${plan.fileName}"`);
+
+  try {
+    await contactExportService.writeTo(res, plan);
+  } catch (error) {
+    // Las cabeceras ya se enviaron: solo se puede cortar la descarga
+    logger.error('❌ Error exportando contactos:', error);
+    res.destroy(error);
+  }
+});
+
+/**
+ * Responder errores de duplicados/combinación
+ */
+function sendMergeError(res, error, action) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  logger.error(`❌ Error al ${action}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: 'Error interno del servidor',
+    message: error.message
+  });
+}
+
+/**
+ * GET /contacts/duplicates
+ * Cola de revisión de posibles duplicados (declarada antes de /:id)
+ * Query: status (pending|dismissed|merged), limit, offset
+ */
+router.get('/duplicates', async (req, res) => {
+  try {
+    const { status = 'pending', limit = 50, offset = 0 } = req.query;
+    const result = await contactMergeService.listCandidates({
+      status,
+      limit: Math.min(parseInt(limit, 10) || 50, 200),
+      offset: parseInt(offset, 10) || 0
+    });
+    res.json({ success: true, data: result.candidates, total: result.total });
+  } catch (error) {
+    sendMergeError(res, error, 'listar duplicados');
+  }
+});
+
+/**
+ * POST /contacts/duplicates/scan
+ * Buscar duplicados por teléfono normalizado, email y nombre similar
+ */
+router.post('/duplicates/scan', async (req, res) => {
+  try {
+    const result = await contactMergeService.scan();
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendMergeError(res, error, 'buscar duplicados');
+  }
+});
+
+/**
+ * POST /contacts/duplicates/:candidateId/merge
+ * Combinar un par de la cola. Body: { survivorId } (por defecto el sugerido)
+ */
+router.post('/duplicates/:candidateId/merge', async (req, res) => {
+  try {
+    const merge = await contactMergeService.mergeCandidate(req.params.candidateId, {
+      survivorId: req.body?.survivorId ?? null,
+      performedBy: req.user?.id || null
+    });
+    res.json({ success: true, data: merge, message: 'Contactos combinados correctamente' });
+  } catch (error) {
+    sendMergeError(res, error, 'combinar contactos');
+  }
+});
+
+/**
+ * POST /contacts/duplicates/:candidateId/dismiss
+ * Marcar un par como contactos distintos
+ */
+router.post('/duplicates/:candidateId/dismiss', async (req, res) => {
+  try {
+    const candidate = await contactMergeService.dismiss(req.params.candidateId, { performedBy: req.user?.id || null });
+    res.json({ success: true, data: candidate });
+  } catch (error) {
+    sendMergeError(res, error, 'descartar duplicado');
+  }
+});
+
+/**
+ * POST /contacts/merge
+ * Combinar dos contactos elegidos manualmente. Body: { survivorId, duplicateId }
+ */
+router.post('/merge', async (req, res) => {
+  try {
+    const { survivorId, duplicateId } = req.body || {};
+    const merge = await contactMergeService.merge(survivorId, duplicateId, { performedBy: req.user?.id || null });
+    res.json({ success: true, data: merge, message: 'Contactos combinados correctamente' });
+  } catch (error) {
+    sendMergeError(res, error, 'combinar contactos');
+  }
+});
+
+/**
+ * GET /contacts/merges
+ * Historial de combinaciones. Query: contactId, limit, offset
+ */
+router.get('/merges', async (req, res) => {
+  try {
+    const { contactId, limit = 50, offset = 0 } = req.query;
+    const merges = await contactMergeService.listMerges({
+      contactId: contactId ? parseInt(contactId, 10) : null,
+      limit: Math.min(parseInt(limit, 10) || 50, 200),
+      offset: parseInt(offset, 10) || 0
+    });
+    res.json({ success: true, data: merges });
+  } catch (error) {
+    sendMergeError(res, error, 'listar combinaciones');
+  }
+});
+
+/**
+ * POST /contacts/merges/:mergeId/undo
+ * Deshacer una combinación dentro de la ventana permitida
+ */
+router.post('/merges/:mergeId/undo', async (req, res) => {
+  try {
+    const merge = await contactMergeService.undo(req.params.mergeId, { performedBy: req.user?.id || null });
+    res.json({ success: true, data: merge, message: 'Combinación deshecha correctamente' });
+  } catch (error) {
+    sendMergeError(res, error, 'deshacer combinación');
+  }
+});
+
 /**
  * GET /contacts/:id
  * Obtener un contacto específico
@@ -682,54 +771,6 @@ router.get('/tags/folders', async (req, res) => {
   }
 });
 
-/**
- * GET /contacts/export
- * Exportar contactos
- */
-router.get('/export', async (req, res) => {
-  try {
-    logger.info('📤 Exportando contactos');
-    
-    const dbPath = path.join(process.cwd(), 'data', 'database.sqlite');
-    const db = new sqlite3.Database(dbPath);
-
-    const queryAll = (sql, params = []) => new Promise((resolve, reject) => {
-      db.all(sql, params, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows || []);
-      });
-    });
-
-    const contacts = await queryAll('SELECT id, phone_number as phone, name, email, tags, status, created_at, updated_at FROM contacts ORDER BY created_at DESC');
-    
-    db.close();
-    
-    // Procesar para exportación
-    const exportData = contacts.map(contact => ({
-      ...contact,
-      phone_number: contact.phone,
-      tags: contact.tags ? JSON.parse(contact.tags) : [],
-      is_blocked: contact.status === 'blocked'
-    }));
-          
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Content-Disposition', `attachment; filename="contacts-export-${new Date().toISOString().split('T')[0]}.json"`);
-          
-    res.json({
-      export_date: new Date().toISOString(),
-      total_contacts: exportData.length,
-      contacts: exportData
-    });
-          
-  } catch (error) {
-    logger.error('❌ Error exportando contactos:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error interno del servidor'
-    });
-  }
-});
-
 /**
  * DELETE /contacts/:id
  * Eliminar un contacto y todos sus datos relacionados
@@ -844,14 +885,52 @@ router.delete('/:id', async (req, res) => {
 });
 
 /**
- * POST /contacts/import
- * Importar contactos desde archivo CSV/Excel
+ * Responder errores de importación (ContactImportError trae statusCode)
  */
-router.post('/import', upload.single('file'), async (req, res) => {
-  try {
-    logger.info('📤 Iniciando importación de contactos');
+function sendImportError(res, error, action) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      ...(error.details ? { details: error.details } : {})
+    });
+  }
+
+  logger.error(`❌ Error al ${action} importación:`, error);
+  return res.status(500).json({
+    success: false,
+    error: 'Error interno del servidor',
+    message: error.message
+  });
+}
+
+/**
+ * Opciones de importación desde el body (multipart envía el mapeo como texto JSON)
+ */
+function parseImportOptions(body = {}) {
+  let mapping = body.mapping;
+  if (typeof mapping === 'string') {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch (error) {
+      throw new ContactImportError('El mapeo de columnas no es JSON válido', 'INVALID_MAPPING', 400);
+    }
+  }
+
+  return {
+    mapping: mapping || undefined,
+    defaultCountry: body.defaultCountry || undefined,
+    duplicateStrategy: body.duplicateStrategy || undefined
+  };
+}
 
-    // Check if file was uploaded
+/**
+ * POST /contacts/import/upload
+ * Paso 1: subir archivo CSV/Excel y obtener previsualización con mapeo sugerido
+ */
+router.post('/import/upload', upload.single('file'), async (req, res) => {
+  try {
     if (!req.file) {
       return res.status(400).json({
         success: false,
@@ -859,156 +938,120 @@ router.post('/import', upload.single('file'), async (req, res) => {
       });
     }
 
-    const file = req.file;
-    const fileName = file.originalname.toLowerCase();
-
-    logger.info(`📁 Procesando archivo: ${fileName} (${file.size} bytes)`);
-
-    let contactsData = [];
-
-    // Parse Excel file
-    if (fileName.endsWith('.xlsx') || fileName.endsWith('.xls')) {
-      const workbook = XLSX.read(file.buffer, { type: 'buffer' });
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      contactsData = XLSX.utils.sheet_to_json(worksheet);
-    } else if (fileName.endsWith('.csv')) {
-      // Parse CSV
-      const csvText = file.buffer.toString('utf8');
-      const lines = csvText.split('\n').filter(line => line.trim());
-      if (lines.length < 2) {
-        return res.status(400).json({
-          success: false,
-          error: 'El archivo CSV no contiene datos suficientes'
-        });
-      }
+    const preview = await contactImportService.createUpload(req.file, { createdBy: req.user?.id || null });
 
-      const headers = lines[0].split(',').map(h => h.trim());
-      contactsData = lines.slice(1).map(line => {
-        const values = line.split(',');
-        const contact = {};
-        headers.forEach((header, index) => {
-          contact[headers[index]] = values[index]?.trim() || '';
-        });
-        return contact;
-      });
-    }
+    res.status(201).json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    sendImportError(res, error, 'subir');
+  }
+});
 
-    logger.info(`📊 Procesando ${contactsData.length} filas del archivo`);
+/**
+ * POST /contacts/import/:importId/dry-run
+ * Paso 2: simular la importación y obtener los errores por fila
+ * Body: { mapping, defaultCountry, duplicateStrategy }
+ */
+router.post('/import/:importId/dry-run', async (req, res) => {
+  try {
+    const report = await contactImportService.dryRun(parseInt(req.params.importId, 10), parseImportOptions(req.body));
 
-    if (contactsData.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'No se encontraron datos en el archivo'
-      });
-    }
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    sendImportError(res, error, 'simular');
+  }
+});
 
-    // Process contacts
-    let imported = 0;
-    let errors = 0;
-    const dbPath = path.join(process.cwd(), 'data', 'database.sqlite');
-    const db = new sqlite3.Database(dbPath);
+/**
+ * POST /contacts/import/:importId/commit
+ * Paso 3: confirmar la importación; el progreso se emite por Socket.IO
+ * (evento contact_import_progress)
+ */
+router.post('/import/:importId/commit', async (req, res) => {
+  try {
+    const job = await contactImportService.commit(parseInt(req.params.importId, 10), parseImportOptions(req.body));
 
-    const queryRun = (sql, params = []) => new Promise((resolve, reject) => {
-      db.run(sql, params, function(err) {
-        if (err) reject(err);
-        else resolve({ lastID: this.lastID, changes: this.changes });
-      });
+    res.status(202).json({
+      success: true,
+      data: job
     });
+  } catch (error) {
+    sendImportError(res, error, 'confirmar');
+  }
+});
 
-    const queryGet = (sql, params = []) => new Promise((resolve, reject) => {
-      db.get(sql, params, (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
+/**
+ * GET /contacts/import/:importId
+ * Estado y progreso de una importación
+ */
+router.get('/import/:importId', async (req, res) => {
+  try {
+    const job = await contactImportService.getImport(parseInt(req.params.importId, 10));
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Importación no encontrada'
       });
-    });
+    }
 
-    for (const row of contactsData) {
-      try {
-        // Extract data from row
-        let phone = row['Telefono '] || row['Telefono'] || row['telefono'] || row['phone'] || '';
-        let firstName = row['Nombre'] || row['nombre'] || row['name'] || '';
-        let lastName = row['Apellido'] || row['apellido'] || row['lastname'] || '';
-
-        // Skip empty rows
-        if (!phone && !firstName) continue;
-
-        // Format phone number
-        if (phone) {
-          // Convert to string and clean
-          phone = phone.toString().replace(/[^0-9]/g, '');
-
-          // Handle Colombian numbers (add 57 if not present, remove + if present)
-          if (phone.length === 10 && phone.startsWith('3')) {
-            phone = '57' + phone;
-          } else if (phone.length === 12 && phone.startsWith('573')) {
-            // Already has 57 prefix, keep as is
-          } else if (phone.length === 13 && phone.startsWith('573')) {
-            // Remove + if present, keep 57 prefix
-            phone = phone;
-          } else if (phone.length < 10) {
-            // Skip invalid phone numbers
-            logger.warn(`⚠️ Teléfono inválido omitido: ${phone}`);
-            errors++;
-            continue;
-          }
-
-          // Ensure it starts with 57 and has no +
-          if (!phone.startsWith('57')) {
-            phone = '57' + phone.replace(/^57/, '');
-          }
-        }
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    sendImportError(res, error, 'consultar');
+  }
+});
 
-        // Create full name
-        let name = '';
-        if (firstName) name += firstName;
-        if (lastName) name += (name ? ' ' : '') + lastName;
-        if (!name) name = phone || 'Sin nombre';
-
-        // Check if contact already exists
-        const existing = await queryGet('SELECT id FROM contacts WHERE phone_number = ?', [phone]);
-        if (existing) {
-          logger.info(`⚠️ Contacto ya existe, omitiendo: ${phone}`);
-          continue;
-        }
+/**
+ * POST /contacts/import
+ * Importar contactos desde archivo CSV/Excel en un solo paso
+ * (subida + confirmación con el mapeo enviado o el sugerido)
+ */
+router.post('/import', upload.single('file'), async (req, res) => {
+  try {
+    logger.info('📤 Iniciando importación de contactos');
 
-        // Insert contact
-        const result = await queryRun(`
-          INSERT INTO contacts (user_id, phone_number, name, status, created_at, updated_at)
-          VALUES (?, ?, ?, 'active', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-        `, [1, phone, name]);
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No se encontró el archivo'
+      });
+    }
 
-        if (result.lastID) {
-          imported++;
-          logger.info(`✅ Contacto importado: ${name} (${phone})`);
-        } else {
-          errors++;
-        }
+    const options = parseImportOptions(req.body);
+    const preview = await contactImportService.createUpload(req.file, { createdBy: req.user?.id || null });
+    const job = await contactImportService.commit(preview.import.id, options, { wait: true });
 
-      } catch (rowError) {
-        logger.error(`❌ Error procesando fila:`, rowError);
-        errors++;
-      }
+    if (job.status !== IMPORT_STATUS.COMPLETED) {
+      return res.status(422).json({
+        success: false,
+        error: job.errorMessage || 'La importación no pudo completarse',
+        importId: job.id
+      });
     }
 
-    db.close();
-
-    logger.info(`📊 Importación completada: ${imported} importados, ${errors} errores`);
+    logger.info(`📊 Importación completada: ${job.created} importados, ${job.updated} actualizados, ${job.failed} errores`);
 
     res.json({
       success: true,
-      imported: imported,
-      errors: errors,
-      message: `Se importaron ${imported} contactos correctamente${errors > 0 ? ` (${errors} errores)` : ''}`
+      importId: job.id,
+      imported: job.created,
+      updated: job.updated,
+      skipped: job.skipped,
+      errors: job.failed,
+      rowErrors: job.errors,
+      message: `Se importaron ${job.created} contactos correctamente${job.failed > 0 ? ` (${job.failed} errores)` : ''}`
     });
 
   } catch (error) {
-    logger.error('❌ Error importando contactos:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error interno del servidor',
-      message: error.message
-    });
+    sendImportError(res, error, 'importar');
   }
 });
 
@@ -13,10 +13,39 @@ import {
     deleteContactCustomField,
     getContactCustomFieldsAsObject
 } from '../services/persistence/customFieldsPersistenceSQL.js';
+import { FIELD_OPERATORS, FIELD_TYPES } from '../../services/contacts/customFieldTypes.js';
 
 const logger = createLogger('CUSTOM_FIELDS_ROUTES');
 const router = express.Router();
 
+/**
+ * Responder errores de validación (400/404/409) o error interno
+ */
+function sendCustomFieldError(res, error, fallbackMessage) {
+    if (error.name === 'CustomFieldValidationError') {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+            details: error.details || undefined
+        });
+    }
+    return res.status(500).json({ success: false, error: fallbackMessage });
+}
+
+/**
+ * Tomar del body solo los atributos de tipado enviados
+ */
+function pickTypingAttributes(body) {
+    const data = {};
+    if (body.type !== undefined) data.type = body.type;
+    if (body.options !== undefined) data.options = body.options;
+    if (body.is_required !== undefined) data.is_required = !!body.is_required;
+    if (body.is_unique !== undefined) data.is_unique = !!body.is_unique;
+    if (body.validation !== undefined) data.validation = body.validation;
+    return data;
+}
+
 // Inicializar datos
 async function initCustomFields() {
     try {
@@ -49,6 +78,17 @@ router.get('/custom-fields', async (req, res) => {
     }
 });
 
+/**
+ * GET /custom-fields/types
+ * Tipos soportados y operadores de filtrado de cada uno
+ */
+router.get('/custom-fields/types', (req, res) => {
+    res.json({
+        success: true,
+        data: Object.values(FIELD_TYPES).map(type => ({ type, operators: FIELD_OPERATORS[type] }))
+    });
+});
+
 /**
  * GET / (raíz del router)
  * Alias para /custom-fields
@@ -69,11 +109,12 @@ router.get('/', async (req, res) => {
 
 /**
  * POST /custom-fields
- * Crea un nuevo campo personalizado
+ * Crea un nuevo campo personalizado.
+ * Body: { name, type, description, options, is_required, is_unique, validation: { pattern, min, max } }
  */
 router.post('/custom-fields', async (req, res) => {
     try {
-        const { name, type = 'text', description = '' } = req.body;
+        const { name, description = '' } = req.body;
 
         if (!name) {
             return res.status(400).json({
@@ -84,23 +125,22 @@ router.post('/custom-fields', async (req, res) => {
 
         const fieldId = name.toLowerCase().replace(/\s+/g, '_');
         
-        await saveCustomField(fieldId, {
+        const fieldData = {
+            type: 'text',
+            ...pickTypingAttributes(req.body),
             name,
-            type,
             description
-        });
+        };
+        await saveCustomField(fieldId, fieldData);
 
         res.json({
             success: true,
-            data: { id: fieldId, name, type, description },
+            data: { id: fieldId, ...fieldData },
             message: 'Campo personalizado creado correctamente'
         });
     } catch (error) {
         logger.error('Error creando campo personalizado:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Error creando campo personalizado'
-        });
+        sendCustomFieldError(res, error, 'Error creando campo personalizado');
     }
 });
 
@@ -113,7 +153,7 @@ router.patch('/custom-fields/:id', async (req, res) => {
         const { id } = req.params;
         const { name, description } = req.body;
 
-        const updateData = {};
+        const updateData = pickTypingAttributes(req.body);
         if (name) updateData.name = name;
         if (description !== undefined) updateData.description = description;
 
@@ -126,10 +166,7 @@ router.patch('/custom-fields/:id', async (req, res) => {
         });
     } catch (error) {
         logger.error('Error actualizando campo:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Error actualizando campo'
-        });
+        sendCustomFieldError(res, error, 'Error actualizando campo');
     }
 });
 
@@ -198,19 +235,17 @@ router.post('/contacts/:contactId/custom-fields', async (req, res) => {
             });
         }
 
-        await saveContactCustomField(contactId, field_id, value);
+        // El valor se guarda convertido según el tipo del campo
+        const saved = await saveContactCustomField(contactId, field_id, value);
         
         res.json({ 
             success: true, 
-            data: { field_id, value }, 
+            data: { field_id, value: saved }, 
             message: 'Campo añadido correctamente' 
         });
     } catch (error) {
         logger.error('Error añadiendo campo al contacto:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: 'Error añadiendo campo al contacto' 
-        });
+        sendCustomFieldError(res, error, 'Error añadiendo campo al contacto');
     }
 });
 
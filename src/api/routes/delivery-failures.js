@@ -0,0 +1,66 @@
+/**
+ * Rutas de Análisis de Fallos de Entrega
+ * Códigos de error de WhatsApp agrupados por código, plantilla y campaña
+ */
+
+import express from 'express';
+import { deliveryFailureService } from '../../services/whatsapp/DeliveryFailureService.js';
+import {
+    DELIVERY_ERROR_CATALOG,
+    describeDeliveryError
+} from '../../services/whatsapp/deliveryErrorCatalog.js';
+import { createLogger } from '../../services/core/core/logger.js';
+
+const router = express.Router();
+const logger = createLogger('DELIVERY_FAILURES_ROUTES');
+
+/**
+ * GET /api/delivery-failures/analytics
+ * Fallos agrupados por código, plantilla y campaña
+ * Query: from, to (ISO 8601, por defecto últimos 30 días), campaignId
+ */
+router.get('/analytics', async (req, res) => {
+    try {
+        const { from, to, campaignId } = req.query;
+
+        const data = await deliveryFailureService.getFailureAnalytics({
+            from,
+            to,
+            campaignId: campaignId ? parseInt(campaignId, 10) : null
+        });
+
+        res.json({ success: true, data });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        logger.error('Error obteniendo análisis de fallos de entrega:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/delivery-failures/catalog
+ * Catálogo completo de códigos de error
+ */
+router.get('/catalog', (req, res) => {
+    const data = Object.keys(DELIVERY_ERROR_CATALOG).map(code => describeDeliveryError(code));
+    res.json({ success: true, data });
+});
+
+/**
+ * GET /api/delivery-failures/catalog/:code
+ * Explicación y acción recomendada para un código
+ */
+router.get('/catalog/:code', (req, res) => {
+    res.json({ success: true, data: describeDeliveryError(req.params.code) });
+});
+
+export default router;
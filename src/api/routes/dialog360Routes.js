@@ -5,17 +5,40 @@
 
 import express from 'express';
 import { createLogger } from '../../services/core/core/logger.js';
+import { messageWindowService, MessageWindowClosedError } from '../../services/whatsapp/MessageWindowService.js';
+import { resolveDialog360Url, DEFAULT_HUB_API_BASE } from '../../integrations/360dialog/dialog360Endpoints.js';
 
 const router = express.Router();
 const logger = createLogger('360DIALOG_ROUTES');
 
 const DIALOG360_API_KEY = process.env.DIALOG360_API_KEY;
 const DIALOG360_PARTNER_API_KEY = process.env.DIALOG360_PARTNER_API_KEY || process.env.DIALOG360_API_KEY;
-const WABA_API_BASE = process.env.WABA_API_BASE || 'https://waba-v2.360dialog.io';
-const HUB_API_BASE = 'https://hub.360dialog.io';
+const WABA_API_BASE = resolveDialog360Url(process.env.WABA_API_BASE || 'https://waba-v2.360dialog.io');
+const HUB_API_BASE = resolveDialog360Url(DEFAULT_HUB_API_BASE);
 const PARTNER_ID = process.env.DIALOG360_PARTNER_ID;
 const WABA_ACCOUNT_ID = process.env.DIALOG360_WABA_ACCOUNT_ID;
 
+/**
+ * Verificar la ventana de 24h antes de cualquier envío libre (/send-*).
+ * Las plantillas (/send-template) se pueden enviar con la ventana cerrada.
+ */
+router.use(async (req, res, next) => {
+    if (req.method !== 'POST' || !req.path.startsWith('/send-') || req.path === '/send-template' || !req.body?.to) {
+        return next();
+    }
+
+    try {
+        await messageWindowService.assertWindowOpen(req.body.to);
+        next();
+    } catch (error) {
+        if (error instanceof MessageWindowClosedError) {
+            logger.warn(`⏰ Envío bloqueado a ${req.body.to}: ventana de 24h cerrada`);
+            return res.status(error.statusCode).json(error.toJSON());
+        }
+        next(error);
+    }
+});
+
 /**
  * GET /api/360dialog/templates
  * Obtener todas las plantillas aprobadas
@@ -1594,7 +1617,7 @@ router.post('/create-flow', async (req, res) => {
         }
 
         const response = await fetch(
-            'https://hub.360dialog.io/api/v2/partners/srMmoqPA/waba_accounts/FFCPLwWA/flows',
+            `${HUB_API_BASE}/api/v2/partners/srMmoqPA/waba_accounts/FFCPLwWA/flows`,
             {
                 method: 'POST',
                 headers: {
@@ -1661,7 +1684,7 @@ router.post('/update-flow-assets/:flowId', async (req, res) => {
         });
 
         const response = await fetch(
-            `https://hub.360dialog.io/api/v2/partners/srMmoqPA/waba_accounts/FFCPLwWA/flows/${flowId}/assets`,
+            `${HUB_API_BASE}/api/v2/partners/srMmoqPA/waba_accounts/FFCPLwWA/flows/${flowId}/assets`,
             {
                 method: 'POST',
                 headers: {
@@ -1705,7 +1728,7 @@ router.get('/flow-preview/:flowId', async (req, res) => {
         const { flowId } = req.params;
         const { invalidate } = req.query;
 
-        const url = new URL(`https://hub.360dialog.io/api/v2/partners/srMmoqPA/waba_accounts/FFCPLwWA/flows/${flowId}/preview`);
+        const url = new URL(`${HUB_API_BASE}/api/v2/partners/srMmoqPA/waba_accounts/FFCPLwWA/flows/${flowId}/preview`);
         if (invalidate === 'true') {
             url.searchParams.append('invalidate', 'true');
         }
@@ -1753,7 +1776,7 @@ router.delete('/delete-flow/:flowId', async (req, res) => {
         const { flowId } = req.params;
 
         const response = await fetch(
-            `https://hub.360dialog.io/api/v2/partners/srMmoqPA/waba_accounts/FFCPLwWA/flows/${flowId}`,
+            `${HUB_API_BASE}/api/v2/partners/srMmoqPA/waba_accounts/FFCPLwWA/flows/${flowId}`,
             {
                 method: 'DELETE',
                 headers: {
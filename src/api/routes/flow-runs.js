@@ -0,0 +1,124 @@
+/**
+ * Rutas de Ejecuciones de Flujos
+ * Iniciar, consultar y cancelar flujos conversacionales por contacto
+ */
+
+import express from 'express';
+import { flowRuntimeService } from '../../services/flows/FlowRuntimeService.js';
+import { RUN_STATUS } from '../../services/flows/flowRunStates.js';
+import { createLogger } from '../../services/core/core/logger.js';
+
+const router = express.Router();
+const logger = createLogger('FLOW_RUN_ROUTES');
+
+/**
+ * Responder errores del motor de flujos (4xx) o error interno
+ */
+function sendFlowRunError(res, error, action) {
+    if (error.name === 'FlowRuntimeError') {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+            details: error.details || undefined
+        });
+    }
+
+    logger.error(`Error al ${action}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: error.message
+    });
+}
+
+function getRequestUserId(req) {
+    const userId = parseInt(req.user?.id, 10);
+    return Number.isNaN(userId) ? null : userId;
+}
+
+/**
+ * GET /api/flow-runs
+ * Listar ejecuciones
+ * Query: status, contactId, phone, flowId, limit, offset
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { status, contactId, phone, flowId } = req.query;
+
+        if (status && !Object.values(RUN_STATUS).includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `status debe ser uno de: ${Object.values(RUN_STATUS).join(', ')}`
+            });
+        }
+
+        const data = await flowRuntimeService.listRuns({
+            status: status || null,
+            contactId: contactId ? parseInt(contactId, 10) : null,
+            phone: phone || null,
+            flowId: flowId || null,
+            limit: Math.min(parseInt(req.query.limit, 10) || 50, 500),
+            offset: parseInt(req.query.offset, 10) || 0
+        });
+
+        res.json({ success: true, data });
+    } catch (error) {
+        sendFlowRunError(res, error, 'listar ejecuciones de flujos');
+    }
+});
+
+/**
+ * POST /api/flow-runs
+ * Iniciar un flujo para un contacto
+ * Body: { phone | contactId, flowId, flowName, steps, context }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { phone, contactId, flowId, flowName, steps, context } = req.body;
+
+        const run = await flowRuntimeService.startRun({
+            phone: phone || null,
+            contactId: contactId || null,
+            flowId: flowId || null,
+            flowName: flowName || null,
+            steps: steps || null,
+            context: context || {},
+            startedBy: getRequestUserId(req)
+        });
+
+        res.status(201).json({ success: true, data: run });
+    } catch (error) {
+        sendFlowRunError(res, error, 'iniciar flujo');
+    }
+});
+
+/**
+ * GET /api/flow-runs/:id
+ * Ejecución con su historial de pasos
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const run = await flowRuntimeService.getRun(req.params.id);
+        res.json({ success: true, data: run });
+    } catch (error) {
+        sendFlowRunError(res, error, 'consultar ejecución de flujo');
+    }
+});
+
+/**
+ * POST /api/flow-runs/:id/cancel
+ * Sacar al contacto del flujo
+ */
+router.post('/:id/cancel', async (req, res) => {
+    try {
+        const run = await flowRuntimeService.cancelRun(req.params.id, {
+            reason: req.body?.reason || 'manual',
+            performedBy: getRequestUserId(req)
+        });
+        res.json({ success: true, data: run });
+    } catch (error) {
+        sendFlowRunError(res, error, 'cancelar ejecución de flujo');
+    }
+});
+
+export default router;
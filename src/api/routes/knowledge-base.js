@@ -0,0 +1,164 @@
+/**
+ * Rutas de la Base de Conocimiento del bot
+ * Subir documentos (Markdown, texto, PDF, FAQ en CSV) y probar preguntas
+ */
+
+import express from 'express';
+import multer from 'multer';
+import { knowledgeBaseService } from '../../services/knowledge/KnowledgeBaseService.js';
+import { SOURCE_EXTENSIONS } from '../../services/knowledge/knowledgeIndex.js';
+import { createLogger } from '../../services/core/core/logger.js';
+
+const router = express.Router();
+const logger = createLogger('KNOWLEDGE_BASE_ROUTES');
+
+// Los documentos se indexan al subirlos, no hace falta guardarlos en disco
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: (parseInt(process.env.KB_UPLOAD_MAX_FILE_MB, 10) || 10) * 1024 * 1024
+    },
+    fileFilter: (req, file, cb) => {
+        const extension = (file.originalname.toLowerCase().match(/\.[a-z]+$/) || [''])[0];
+        if (SOURCE_EXTENSIONS[extension]) {
+            cb(null, true);
+        } else {
+            cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+        }
+    }
+});
+
+/**
+ * Subida opcional del archivo: los errores de multer se responden como 4xx
+ */
+function uploadDocument(req, res, next) {
+    upload.single('file')(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+
+        const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+        return res.status(tooLarge ? 413 : 400).json({
+            success: false,
+            error: tooLarge
+                ? 'El archivo supera el tamaño máximo permitido'
+                : `Tipo de archivo no soportado. Use ${Object.keys(SOURCE_EXTENSIONS).join(', ')}`,
+            code: error.code
+        });
+    });
+}
+
+/**
+ * Responder errores de la base de conocimiento (4xx) o error interno
+ */
+function sendKnowledgeError(res, error, action) {
+    if (error.name === 'KnowledgeBaseError') {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            code: error.code
+        });
+    }
+
+    logger.error(`Error al ${action}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: error.message
+    });
+}
+
+/**
+ * GET /api/knowledge-base
+ * Listar documentos indexados
+ */
+router.get('/', async (req, res) => {
+    try {
+        const data = await knowledgeBaseService.listDocuments();
+        res.json({ success: true, data });
+    } catch (error) {
+        sendKnowledgeError(res, error, 'listar documentos');
+    }
+});
+
+/**
+ * POST /api/knowledge-base/documents
+ * Indexar un documento
+ * Multipart: file (.md, .markdown, .txt, .pdf, .csv), title, sourceType
+ * JSON: { title, content, sourceType }
+ */
+router.post('/documents', uploadDocument, async (req, res) => {
+    try {
+        const { title, sourceType, content } = req.body;
+
+        if (!req.file && !content) {
+            return res.status(400).json({
+                success: false,
+                error: 'Sube un archivo (file) o envía el texto en content'
+            });
+        }
+
+        const document = await knowledgeBaseService.ingestDocument({
+            title: title || req.file?.originalname,
+            sourceType: sourceType || undefined,
+            filename: req.file?.originalname || null,
+            buffer: req.file?.buffer || null,
+            content: req.file ? null : content,
+            createdBy: req.user?.id || null
+        });
+
+        res.status(201).json({ success: true, data: document });
+    } catch (error) {
+        sendKnowledgeError(res, error, 'indexar documento');
+    }
+});
+
+/**
+ * GET /api/knowledge-base/documents/:id
+ * Documento con sus fragmentos
+ */
+router.get('/documents/:id', async (req, res) => {
+    try {
+        const data = await knowledgeBaseService.getDocument(parseInt(req.params.id, 10));
+        res.json({ success: true, data });
+    } catch (error) {
+        sendKnowledgeError(res, error, 'obtener documento');
+    }
+});
+
+/**
+ * DELETE /api/knowledge-base/documents/:id
+ * Eliminar un documento y sus fragmentos del índice
+ */
+router.delete('/documents/:id', async (req, res) => {
+    try {
+        const data = await knowledgeBaseService.deleteDocument(parseInt(req.params.id, 10));
+        res.json({ success: true, data });
+    } catch (error) {
+        sendKnowledgeError(res, error, 'eliminar documento');
+    }
+});
+
+/**
+ * POST /api/knowledge-base/test
+ * Probar una pregunta: respuesta, fragmentos usados con su puntuación y productos
+ * Body: { question }
+ */
+router.post('/test', async (req, res) => {
+    try {
+        const question = String(req.body?.question || '').trim();
+
+        if (!question) {
+            return res.status(400).json({
+                success: false,
+                error: 'question es requerido'
+            });
+        }
+
+        const data = await knowledgeBaseService.answer(question);
+        res.json({ success: true, data });
+    } catch (error) {
+        sendKnowledgeError(res, error, 'probar pregunta');
+    }
+});
+
+export default router;
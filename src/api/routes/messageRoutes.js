@@ -6,6 +6,7 @@
 
 import express from 'express';
 import { unified360DialogService } from '../../services/core/core/Unified360DialogService.js';
+import { MessageWindowClosedError } from '../../services/whatsapp/MessageWindowService.js';
 import logger from '../../services/core/core/logger.js';
 
 const router = express.Router();
@@ -60,6 +61,10 @@ router.post('/send', validateMessageRequest, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof MessageWindowClosedError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+
     logger.error('Error enviando mensaje WhatsApp:', error);
     res.status(500).json({
       success: false,
@@ -93,6 +98,10 @@ router.post('/', validateMessageRequest, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof MessageWindowClosedError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+
     logger.error('Error enviando mensaje vía API v1:', error);
     res.status(500).json({
       success: false,
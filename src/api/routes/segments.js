@@ -0,0 +1,158 @@
+/**
+ * Rutas de Segmentos de Contactos
+ * Segmentos definidos con el lenguaje de filtros JSON (grupos AND/OR), con
+ * conteo y muestra de contactos antes de guardarlos o de usarlos en campañas
+ */
+
+import express from 'express';
+import { segmentService } from '../../services/contacts/SegmentService.js';
+import { createLogger } from '../../services/core/core/logger.js';
+
+const router = express.Router();
+const logger = createLogger('SEGMENTS_ROUTES');
+
+/**
+ * Responder errores de segmentos (4xx) o error interno
+ */
+function sendSegmentError(res, error, action) {
+    if (error.name === 'SegmentError') {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+            ...(error.details && { details: error.details })
+        });
+    }
+
+    logger.error(`Error al ${action}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: error.message
+    });
+}
+
+/**
+ * GET /api/segments
+ * Segmentos guardados
+ */
+router.get('/', async (req, res) => {
+    try {
+        const data = await segmentService.list();
+        res.json({ success: true, data });
+    } catch (error) {
+        sendSegmentError(res, error, 'listar segmentos');
+    }
+});
+
+/**
+ * POST /api/segments
+ * Crear un segmento
+ * Body: { name, description?, filters: { operator, conditions: [...] } }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const userId = parseInt(req.user?.id, 10);
+        const data = await segmentService.create(req.body || {}, Number.isNaN(userId) ? null : userId);
+        res.status(201).json({ success: true, data });
+    } catch (error) {
+        sendSegmentError(res, error, 'crear segmento');
+    }
+});
+
+/**
+ * GET /api/segments/schema
+ * Campos, operadores y campos personalizados que admite el lenguaje de segmentos
+ */
+router.get('/schema', async (req, res) => {
+    try {
+        const data = await segmentService.getSchema();
+        res.json({ success: true, data });
+    } catch (error) {
+        sendSegmentError(res, error, 'obtener el esquema de segmentos');
+    }
+});
+
+/**
+ * POST /api/segments/preview
+ * Contar los contactos que cumplen unos filtros
+ * Body: { filters }
+ */
+router.post('/preview', async (req, res) => {
+    try {
+        const { count } = await segmentService.preview(req.body?.filters, { limit: 0 });
+        res.json({ success: true, data: { count } });
+    } catch (error) {
+        sendSegmentError(res, error, 'previsualizar segmento');
+    }
+});
+
+/**
+ * POST /api/segments/preview-contacts
+ * Conteo y muestra de contactos que cumplen unos filtros
+ * Body: { filters, limit? (máx. 200) }
+ */
+router.post('/preview-contacts', async (req, res) => {
+    try {
+        const { filters, limit } = req.body || {};
+        const data = await segmentService.preview(filters, { limit });
+        res.json({ success: true, data });
+    } catch (error) {
+        sendSegmentError(res, error, 'previsualizar contactos del segmento');
+    }
+});
+
+/**
+ * GET /api/segments/:id
+ * Detalle de un segmento
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const data = await segmentService.get(req.params.id);
+        res.json({ success: true, data });
+    } catch (error) {
+        sendSegmentError(res, error, 'obtener segmento');
+    }
+});
+
+/**
+ * PUT /api/segments/:id
+ * Actualizar nombre, descripción o filtros
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const data = await segmentService.update(req.params.id, req.body || {});
+        res.json({ success: true, data });
+    } catch (error) {
+        sendSegmentError(res, error, 'actualizar segmento');
+    }
+});
+
+/**
+ * DELETE /api/segments/:id
+ * Eliminar un segmento
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        await segmentService.remove(req.params.id);
+        res.json({ success: true, message: 'Segmento eliminado' });
+    } catch (error) {
+        sendSegmentError(res, error, 'eliminar segmento');
+    }
+});
+
+/**
+ * GET /api/segments/:id/contacts?limit=20
+ * Recalcular el segmento guardado y devolver conteo y muestra
+ */
+router.get('/:id/contacts', async (req, res) => {
+    try {
+        const segment = await segmentService.get(req.params.id);
+        const data = await segmentService.preview(segment.filters, { limit: req.query.limit });
+        await segmentService.storeCount(segment.id, data.count);
+        res.json({ success: true, data });
+    } catch (error) {
+        sendSegmentError(res, error, 'obtener contactos del segmento');
+    }
+});
+
+export default router;
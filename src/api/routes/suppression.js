@@ -0,0 +1,120 @@
+/**
+ * Rutas de Lista de Supresión (opt-out)
+ * Consulta y gestión manual de contactos dados de baja
+ */
+
+import express from 'express';
+import { suppressionService, SUPPRESSION_SOURCES } from '../../services/whatsapp/SuppressionService.js';
+import { createLogger } from '../../services/core/core/logger.js';
+
+const router = express.Router();
+const logger = createLogger('SUPPRESSION_ROUTES');
+
+/**
+ * GET /api/suppression
+ * Listar contactos suprimidos
+ * Query: includeInactive, limit, offset
+ */
+router.get('/', async (req, res) => {
+    try {
+        const data = await suppressionService.list({
+            includeInactive: req.query.includeInactive === 'true',
+            limit: Math.min(parseInt(req.query.limit, 10) || 50, 500),
+            offset: parseInt(req.query.offset, 10) || 0
+        });
+
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Error listando supresiones:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/suppression/:phone
+ * Consultar si un teléfono está suprimido
+ */
+router.get('/:phone', async (req, res) => {
+    try {
+        const entry = await suppressionService.getEntry(req.params.phone);
+
+        res.json({
+            success: true,
+            data: {
+                phone: req.params.phone,
+                suppressed: !!entry?.is_active,
+                entry: entry || null
+            }
+        });
+    } catch (error) {
+        logger.error('Error consultando supresión:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/suppression
+ * Dar de baja manualmente
+ * Body: { phone, reason, contactId }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { phone, reason, contactId } = req.body;
+
+        if (!phone) {
+            return res.status(400).json({
+                success: false,
+                error: 'phone es requerido'
+            });
+        }
+
+        const entry = await suppressionService.suppress(phone, {
+            contactId: contactId || null,
+            reason: reason || null,
+            source: SUPPRESSION_SOURCES.MANUAL
+        });
+
+        res.status(201).json({ success: true, data: entry });
+    } catch (error) {
+        logger.error('Error agregando supresión:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/suppression/:phone
+ * Re-suscribir un contacto
+ */
+router.delete('/:phone', async (req, res) => {
+    try {
+        const resubscribed = await suppressionService.resubscribe(req.params.phone, {
+            source: SUPPRESSION_SOURCES.MANUAL
+        });
+
+        if (!resubscribed) {
+            return res.status(404).json({
+                success: false,
+                error: 'El teléfono no está en la lista de supresión'
+            });
+        }
+
+        res.json({ success: true, data: await suppressionService.getEntry(req.params.phone) });
+    } catch (error) {
+        logger.error('Error re-suscribiendo contacto:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+export default router;
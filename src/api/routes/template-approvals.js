@@ -8,6 +8,7 @@ import sqlite3 from 'sqlite3';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import Dialog360Service from '../../services/Dialog360Service.js';
+import { templateLifecycleService } from '../../services/whatsapp/TemplateLifecycleService.js';
 import { createLogger } from '../../services/core/core/logger.js';
 
 const router = express.Router();
@@ -312,6 +313,30 @@ router.post('/validate', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/template-approvals/lifecycle-events?template=nombre&limit=50
+ * Historial de cambios de estado, categoría y calidad notificados por Meta
+ */
+router.get('/lifecycle-events', async (req, res) => {
+    try {
+        const events = await templateLifecycleService.getHistory({
+            templateName: req.query.template || null,
+            limit: req.query.limit
+        });
+
+        res.json({
+            success: true,
+            events
+        });
+    } catch (error) {
+        logger.error('Error obteniendo eventos de plantillas:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /api/template-approvals/:id
  * Obtener detalles de una plantilla
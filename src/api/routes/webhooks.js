@@ -21,12 +21,12 @@ import { enhancedWebhookService } from '../../../apps/api/src/services/EnhancedW
 import { intelligentAI } from '../../../apps/api/src/services/IntelligentAIService.js';
 import cacheService from '../../services/core/core/CacheService.js';
 import { interactiveMessageHandler } from '../../services/InteractiveMessageHandler.js';
+import { verifyWebhookSignature } from '../../middleware/webhookSignature.middleware.js';
+import { webhookSignatureVerifier } from '../../services/whatsapp/WebhookSignatureVerifier.js';
 
 const logger = createLogger('WEBHOOKS');
 const router = express.Router();
 
-// Webhook validation removed - no longer needed
-
 // Función principal para procesar webhooks
 const processWebhook = async (req, res) => {
   const startTime = Date.now();
@@ -85,12 +85,8 @@ const processWebhook = async (req, res) => {
       logger.info('✅ Database configurada en UnifiedWebhookService para deduplicación persistente');
     }
     
-    // Usar el servicio unificado de webhooks
-    const signature = req.headers['x-360dialog-signature'];
-    const result = await unifiedWebhookService.processWebhook(
-      req.body,
-      signature
-    );
+    // Usar el servicio unificado de webhooks (la firma ya fue verificada por verifyWebhookSignature)
+    const result = await unifiedWebhookService.processWebhook(req.body);
 
     // Responder inmediatamente con el resultado
     if (result.success) {
@@ -121,9 +117,9 @@ const processWebhook = async (req, res) => {
   }
 };
 
-// Rutas de webhook - sin validación
-router.post('/', processWebhook); // Ruta principal para /webhooks
-router.post('/360dialog', processWebhook); // Ruta específica para /webhooks/360dialog
+// Rutas de webhook - con verificación de firma HMAC sobre el cuerpo crudo
+router.post('/', verifyWebhookSignature, processWebhook); // Ruta principal para /webhooks
+router.post('/360dialog', verifyWebhookSignature, processWebhook); // Ruta específica para /webhooks/360dialog
 
 // Función de verificación de webhook
 const verifyWebhook = (req, res) => {
@@ -502,6 +498,7 @@ router.get('/stats', async (req, res) => {
       templatesResponses: await getWebhookStats('template_responses'),
       flowResponses: await getWebhookStats('flow_responses'),
       deliveryStatuses: await getWebhookStats('delivery_statuses'),
+      signatures: webhookSignatureVerifier.getMetrics(),
     };
 
     res.json(stats);
@@ -5,9 +5,42 @@
 
 import { getDatabaseService } from '../../../services/DatabaseService.js';
 import { createLogger } from '../../../services/core/core/logger.js';
+import {
+    CustomFieldValidationError,
+    coerceFieldValue,
+    normalizeFieldType,
+    parseFieldDefinition,
+    parseStoredValue,
+    validateFieldDefinition
+} from '../../../services/contacts/customFieldTypes.js';
 
 const logger = createLogger('CUSTOM_FIELDS_PERSISTENCE');
 
+let schemaReady = null;
+
+/**
+ * Agregar las columnas de tipado (opciones, requerido, único, validación)
+ * a bases de datos creadas antes de que existieran
+ */
+export function ensureCustomFieldSchema() {
+    if (!schemaReady) {
+        schemaReady = (async () => {
+            const db = getDatabaseService();
+            if (!db.isInitialized) {
+                await db.initialize();
+            }
+            await db.addColumnIfMissing('custom_field_definitions', 'options', 'TEXT');
+            await db.addColumnIfMissing('custom_field_definitions', 'is_required', 'BOOLEAN DEFAULT 0');
+            await db.addColumnIfMissing('custom_field_definitions', 'is_unique', 'BOOLEAN DEFAULT 0');
+            await db.addColumnIfMissing('custom_field_definitions', 'validation', 'TEXT');
+        })().catch(error => {
+            schemaReady = null;
+            throw error;
+        });
+    }
+    return schemaReady;
+}
+
 /**
  * Cargar todas las definiciones de campos personalizados
  */
@@ -16,19 +49,18 @@ export async function loadCustomFields() {
         const db = getDatabaseService();
         
         // Inicializar si no está inicializado
-        if (!db.isInitialized) {
-            await db.initialize();
-        }
+        await ensureCustomFieldSchema();
         
         const fields = await db.findAll('custom_field_definitions', { is_active: 1 });
         
         // Si no hay campos, crear los predeterminados
         if (!fields || fields.length === 0) {
             await createDefaultFields();
-            return await db.findAll('custom_field_definitions', { is_active: 1 });
+            const created = await db.findAll('custom_field_definitions', { is_active: 1 });
+            return created.map(parseFieldDefinition);
         }
         
-        return fields;
+        return fields.map(parseFieldDefinition);
     } catch (error) {
         logger.error('Error cargando campos personalizados:', error);
         return [];
@@ -50,24 +82,59 @@ async function createDefaultFields() {
 }
 
 /**
- * Guardar/actualizar definición de campo personalizado
+ * Obtener la definición tipada de un campo (null si no existe)
+ */
+export async function getCustomFieldDefinition(fieldId) {
+    await ensureCustomFieldSchema();
+    const db = getDatabaseService();
+    return parseFieldDefinition(await db.findById('custom_field_definitions', fieldId));
+}
+
+/**
+ * Guardar/actualizar definición de campo personalizado.
+ * Valida tipo, opciones y reglas; el tipo no puede cambiar si ya hay valores guardados.
  */
 export async function saveCustomField(fieldId, fieldData) {
     try {
         const db = getDatabaseService();
         
         // Verificar si existe
-        const exists = await db.findById('custom_field_definitions', fieldId);
+        const exists = await getCustomFieldDefinition(fieldId);
+        const definition = { ...(exists || {}), ...fieldData };
+        definition.type = normalizeFieldType(definition.type) || definition.type;
+
+        const errors = validateFieldDefinition(definition);
+        if (errors.length > 0) {
+            throw new CustomFieldValidationError(errors.join('; '), 'INVALID_DEFINITION', 400, errors);
+        }
+
+        if (exists && fieldData.type !== undefined && definition.type !== exists.type) {
+            const used = await db.get('SELECT COUNT(*) AS total FROM custom_field_values WHERE field_id = ?', [fieldId]);
+            if (used?.total > 0) {
+                throw new CustomFieldValidationError(
+                    `No se puede cambiar el tipo de "${exists.name}": ${used.total} contactos ya tienen valores`,
+                    'TYPE_CHANGE_WITH_VALUES',
+                    409
+                );
+            }
+        }
+
+        const data = { ...fieldData };
+        if (fieldData.type !== undefined) data.type = definition.type;
+        if (fieldData.options !== undefined) data.options = JSON.stringify(fieldData.options || []);
+        if (fieldData.validation !== undefined) data.validation = JSON.stringify(fieldData.validation || {});
+        if (fieldData.is_required !== undefined) data.is_required = fieldData.is_required ? 1 : 0;
+        if (fieldData.is_unique !== undefined) data.is_unique = fieldData.is_unique ? 1 : 0;
         
         if (exists) {
             await db.update('custom_field_definitions', fieldId, {
-                ...fieldData,
+                ...data,
                 updated_at: new Date().toISOString()
             });
         } else {
             await db.insert('custom_field_definitions', {
                 id: fieldId,
-                ...fieldData,
+                ...data,
                 is_active: 1
             });
         }
@@ -109,11 +176,14 @@ export async function loadContactCustomFields(contactId) {
         const enriched = [];
         for (const value of values) {
             const fieldDef = await db.findById('custom_field_definitions', value.field_id);
+            const definition = parseFieldDefinition(fieldDef);
             enriched.push({
                 ...value,
                 name: fieldDef?.name || value.field_id,
-                type: fieldDef?.type || 'text',
-                description: fieldDef?.description || ''
+                type: definition?.type || 'text',
+                description: fieldDef?.description || '',
+                options: definition?.options || [],
+                typedValue: parseStoredValue(definition, value.value)
             });
         }
         
@@ -125,11 +195,62 @@ export async function loadContactCustomFields(contactId) {
 }
 
 /**
- * Guardar valor de campo personalizado para un contacto
+ * Buscar otro contacto que ya tenga el mismo valor en un campo único
+ */
+export async function findUniqueConflict(fieldId, value, contactId = null) {
+    const db = getDatabaseService();
+    return await db.get(
+        `SELECT contact_id FROM custom_field_values
+         WHERE field_id = ? AND LOWER(value) = LOWER(?) AND contact_id != ?
+         LIMIT 1`,
+        [fieldId, value, contactId ? parseInt(contactId) : -1]
+    );
+}
+
+/**
+ * Convertir y validar un valor según la definición del campo
+ * @returns {Promise<{definition: Object, value: string|null}>} Valor canónico (null = vaciar)
+ */
+export async function prepareContactCustomFieldValue(contactId, fieldId, value) {
+    const definition = await getCustomFieldDefinition(fieldId);
+    if (!definition || !definition.is_active) {
+        throw new CustomFieldValidationError(`Campo personalizado no encontrado: ${fieldId}`, 'FIELD_NOT_FOUND', 404);
+    }
+
+    const result = coerceFieldValue(definition, value);
+    if (!result.ok) {
+        throw new CustomFieldValidationError(result.message, result.code);
+    }
+
+    if (definition.is_unique && result.value !== null) {
+        const conflict = await findUniqueConflict(fieldId, result.value, contactId);
+        if (conflict) {
+            throw new CustomFieldValidationError(
+                `${definition.name}: el valor "${result.value}" ya está asignado a otro contacto`,
+                'DUPLICATE_VALUE',
+                409,
+                { contactId: conflict.contact_id }
+            );
+        }
+    }
+
+    return { definition, value: result.value };
+}
+
+/**
+ * Guardar valor de campo personalizado para un contacto.
+ * El valor se convierte a su forma canónica; un valor vacío elimina el campo.
+ * @returns {Promise<string|null>} Valor guardado
  */
 export async function saveContactCustomField(contactId, fieldId, value) {
     try {
         const db = getDatabaseService();
+        const prepared = await prepareContactCustomFieldValue(contactId, fieldId, value);
+
+        if (prepared.value === null) {
+            await deleteContactCustomField(contactId, fieldId);
+            return null;
+        }
         
         // Verificar si existe
         const exists = await db.findAll('custom_field_values', { 
@@ -140,7 +261,7 @@ export async function saveContactCustomField(contactId, fieldId, value) {
         if (exists && exists.length > 0) {
             // Actualizar
             await db.update('custom_field_values', exists[0].id, {
-                value,
+                value: prepared.value,
                 updated_at: new Date().toISOString()
             });
         } else {
@@ -148,11 +269,11 @@ export async function saveContactCustomField(contactId, fieldId, value) {
             await db.insert('custom_field_values', {
                 contact_id: parseInt(contactId),
                 field_id: fieldId,
-                value
+                value: prepared.value
             });
         }
         
-        return true;
+        return prepared.value;
     } catch (error) {
         logger.error('Error guardando valor de campo:', error);
         throw error;
@@ -206,10 +327,14 @@ export async function getContactCustomFieldsAsObject(contactId) {
 }
 
 export default {
+    ensureCustomFieldSchema,
     loadCustomFields,
+    getCustomFieldDefinition,
     saveCustomField,
     deleteCustomField,
     loadContactCustomFields,
+    findUniqueConflict,
+    prepareContactCustomFieldValue,
     saveContactCustomField,
     deleteContactCustomField,
     getContactCustomFieldsAsObject
@@ -14,6 +14,7 @@ import { getContactService } from '../../contacts/services/ContactService.js';
 import { getDatabase, generateId } from '../../../../services/core/core/database.js';
 import { Op } from '../../../../adapters/SequelizeAdapter.js';
 import config from '../../../../config/environments/index.js';
+import { suppressionService } from '../../../../services/whatsapp/SuppressionService.js';
 
 const logger = createLogger('MESSAGE_SERVICE');
 
@@ -838,6 +839,7 @@ export class MessageService {
         processed: 0,
         sent: 0,
         failed: 0,
+        suppressed: 0,
         errors: []
       };
       
@@ -848,6 +850,16 @@ export class MessageService {
           if (message.shouldBeSentNow()) {
             results.processed++;
             
+            // No enviar mensajes programados a contactos dados de baja
+            if (await suppressionService.isSuppressed(message.getContactPhone())) {
+              message.markAsFailed('RECIPIENT_SUPPRESSED', 'Contacto en la lista de supresión');
+              await this.db.models.Message.update(message.toJSON(), {
+                where: { id: message.id }
+              });
+              results.suppressed++;
+              continue;
+            }
+            
             try {
               await this.sendMessage(message);
               results.sent++;
@@ -870,7 +882,8 @@ export class MessageService {
       logger.info('Procesamiento de mensajes programados completado', {
         processed: results.processed,
         sent: results.sent,
-        failed: results.failed
+        failed: results.failed,
+        suppressed: results.suppressed
       });
       
       return results;
@@ -14,11 +14,12 @@ import { listTemplates as listWabaTemplates, sendTemplate } from './wabaHelpers.
 
 // TODO: Mover la lógica de axios a un cliente de API dedicado.
 import axios from 'axios';
+import { resolveDialog360Url } from '../../../integrations/360dialog/dialog360Endpoints.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
 const CONFIG = {
-  WABA_API_BASE: process.env.WABA_API_BASE || 'https://waba-v2.360dialog.io',
+  WABA_API_BASE: resolveDialog360Url(process.env.WABA_API_BASE || 'https://waba-v2.360dialog.io'),
   D360_API_KEY: process.env.D360_API_KEY
 };
 
@@ -6,13 +6,14 @@
  * Estas funciones estaban originalmente en server.js.
  */
 import axios from 'axios';
+import { resolveDialog360Url } from '../../../integrations/360dialog/dialog360Endpoints.js';
 import dotenv from 'dotenv';
 import logger from '../../../apps/api/src/utils/helpers/helpers/logger.js';
 
 dotenv.config();
 
 const CONFIG = {
-  WABA_API_BASE: process.env.WABA_API_BASE || 'https://waba-v2.360dialog.io',
+  WABA_API_BASE: resolveDialog360Url(process.env.WABA_API_BASE || 'https://waba-v2.360dialog.io'),
   D360_API_KEY: process.env.D360_API_KEY
 };
 
@@ -0,0 +1,93 @@
+/**
+ * Migración de los CHECK de estado de campañas
+ *
+ * Los envíos durables (pausar, reanudar y cancelar) y la lista de supresión
+ * usan estados que los CHECK originales de `campaigns` y `campaign_messages`
+ * no admiten. SQLite no permite modificar un CHECK, así que la tabla se
+ * reconstruye con la misma definición (incluidas las columnas agregadas con
+ * ALTER TABLE) y el CHECK ampliado, conservando filas e índices.
+ */
+
+import { createLogger } from '../services/core/core/logger.js';
+
+const logger = createLogger('DB_MIGRATIONS');
+
+// Estados que cada tabla debe admitir además de los que ya tenga su CHECK
+export const REQUIRED_STATUSES = Object.freeze({
+  campaigns: ['draft', 'scheduled', 'sending', 'paused', 'stopped', 'sent', 'completed', 'failed'],
+  campaign_messages: ['pending', 'sent', 'delivered', 'read', 'failed', 'cancelled', 'suppressed']
+});
+
+const STATUS_CHECK = /CHECK\s*\(\s*status\s+IN\s*\(([^)]*)\)\s*\)/i;
+const TABLE_NAME = /^(\s*CREATE\s+TABLE\s+)(IF\s+NOT\s+EXISTS\s+)?("?)(\w+)\3/i;
+
+/**
+ * Definición de la tabla con el CHECK de estado ampliado
+ * @param {string} createSql - `sql` de sqlite_master
+ * @param {string[]} requiredStatuses
+ * @returns {string|null} Nueva definición o null si no hay CHECK o ya admite todo
+ */
+export function widenStatusCheck(createSql, requiredStatuses) {
+  const match = STATUS_CHECK.exec(createSql || '');
+  if (!match) {
+    return null;
+  }
+
+  const current = match[1].split(',').map(value => value.trim().replace(/^'|'$/g, '')).filter(Boolean);
+  const missing = requiredStatuses.filter(status => !current.includes(status));
+  if (missing.length === 0) {
+    return null;
+  }
+
+  const statuses = [...current, ...missing].map(status => `'${status}'`).join(', ');
+  return createSql.replace(match[0], `CHECK (status IN (${statuses}))`);
+}
+
+/**
+ * Reconstruir las tablas de campañas cuyo CHECK de estado esté desactualizado
+ * @param {Object} db - { all(sql, params), exec(sql) } sobre la misma conexión
+ * @returns {Promise<string[]>} Tablas migradas
+ */
+export async function migrateCampaignStatusChecks(db) {
+  const migrated = [];
+
+  for (const [table, statuses] of Object.entries(REQUIRED_STATUSES)) {
+    const [definition] = await db.all("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+    const widened = widenStatusCheck(definition?.sql, statuses);
+    if (!widened) {
+      continue;
+    }
+
+    const tempTable = `${table}_status_migration`;
+    const dependents = await db.all(
+      "SELECT sql FROM sqlite_master WHERE tbl_name = ? AND type IN ('index', 'trigger') AND sql IS NOT NULL",
+      [table]
+    );
+    const [{ foreign_keys: foreignKeys }] = await db.all('PRAGMA foreign_keys');
+
+    // Con las claves foráneas activas, DROP TABLE borraría en cascada los mensajes y jobs
+    await db.exec('PRAGMA foreign_keys = OFF');
+    try {
+      await db.exec(`
+        BEGIN;
+        ${widened.replace(TABLE_NAME, `$1${tempTable}`)};
+        INSERT INTO ${tempTable} SELECT * FROM ${table};
+        DROP TABLE ${table};
+        ALTER TABLE ${tempTable} RENAME TO ${table};
+        ${dependents.map(item => `${item.sql};`).join('\n')}
+        COMMIT;
+      `);
+      migrated.push(table);
+      logger.info(`✅ CHECK de estado de ${table} ampliado`);
+    } catch (error) {
+      await db.exec('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      await db.exec(`PRAGMA foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
+    }
+  }
+
+  return migrated;
+}
+
+export default migrateCampaignStatusChecks;
@@ -226,6 +226,10 @@ export async function initializeDatabase() {
             type VARCHAR(20) NOT NULL,
             description TEXT,
             folder VARCHAR(50),
+            options TEXT,
+            is_required BOOLEAN DEFAULT 0,
+            is_unique BOOLEAN DEFAULT 0,
+            validation TEXT,
             is_active BOOLEAN DEFAULT 1,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
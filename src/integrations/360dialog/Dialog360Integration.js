@@ -12,6 +12,7 @@
 
 import axios from 'axios';
 import { createLogger } from '../../services/core/core/logger.js';
+import { resolveDialog360Url, DEFAULT_HUB_API_BASE } from './dialog360Endpoints.js';
 
 const logger = createLogger('DIALOG360_INTEGRATION');
 
@@ -19,7 +20,7 @@ class Dialog360Integration {
   constructor(config = {}) {
     this.apiKey = config.apiKey || process.env.D360_API_KEY;
     this.phoneNumberId = config.phoneNumberId || process.env.D360_PHONE_NUMBER_ID;
-    this.baseUrl = config.baseUrl || process.env.D360_API_BASE || 'https://waba-v2.360dialog.io';
+    this.baseUrl = resolveDialog360Url(config.baseUrl || process.env.D360_API_BASE || 'https://waba-v2.360dialog.io');
     this.webhookUrl = config.webhookUrl;
     this.webhookVerifyToken = config.webhookVerifyToken || process.env.WEBHOOK_VERIFY_TOKEN || 'webhook_token';
     
@@ -171,7 +172,7 @@ class Dialog360Integration {
    */
   async getFlows() {
     try {
-      const hubApiBase = process.env.D360_HUB_API_BASE || 'https://hub.360dialog.io';
+      const hubApiBase = resolveDialog360Url(process.env.D360_HUB_API_BASE || DEFAULT_HUB_API_BASE);
       const partnerId = process.env.D360_PARTNER_ID;
       const wabaAccountId = process.env.D360_WABA_ACCOUNT_ID;
       const hubApiKey = process.env.D360_API_KEY;
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview URLs de la API de 360Dialog
+ *
+ * Con D360_SIMULATOR_URL definida, todas las llamadas a la WABA API
+ * (mensajes, media, plantillas) y a la Hub API (flows) se dirigen al
+ * simulador local (`src/integrations/360dialog/simulator`) en lugar de a
+ * 360Dialog. Sirve para desarrollo y pruebas de extremo a extremo sin cuenta.
+ */
+
+export const DEFAULT_WABA_API_BASE = 'https://waba-v2.360dialog.io';
+export const DEFAULT_HUB_API_BASE = 'https://hub.360dialog.io';
+
+/**
+ * URL del simulador, o null si se usa 360Dialog
+ */
+export function getSimulatorUrl() {
+  const url = process.env.D360_SIMULATOR_URL;
+  return url && url.trim() ? url.trim().replace(/\/+$/, '') : null;
+}
+
+export function isSimulatorEnabled() {
+  return getSimulatorUrl() !== null;
+}
+
+/**
+ * URL base efectiva: la del simulador si está activo, si no la configurada
+ * @param {string} [configuredUrl] - URL que usaría la llamada contra 360Dialog
+ */
+export function resolveDialog360Url(configuredUrl = DEFAULT_WABA_API_BASE) {
+  return getSimulatorUrl() || configuredUrl;
+}
+
+/**
+ * Saber si una URL de media pertenece a 360Dialog (o al simulador)
+ */
+export function isDialog360MediaUrl(url) {
+  const simulatorUrl = getSimulatorUrl();
+  return String(url).includes('waba-v2.360dialog.io')
+    || (simulatorUrl !== null && String(url).startsWith(`${simulatorUrl}/`));
+}
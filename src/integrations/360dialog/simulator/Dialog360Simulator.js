@@ -0,0 +1,693 @@
+/**
+ * @fileoverview Simulador local de 360Dialog / WhatsApp Cloud API
+ *
+ * Servidor Express que implementa los endpoints de 360Dialog que usa la
+ * aplicación (mensajes, media, plantillas, configuración de webhook y flows de
+ * la Hub API) y devuelve a `/webhooks` lo que enviaría WhatsApp:
+ * - `statuses` sent/delivered/read/failed de cada envío, con latencia y
+ *   códigos de error configurables por número
+ * - mensajes entrantes guionizados (texto, botones, media, ubicaciones...)
+ * - cambios de estado de plantillas (aprobación, pausa, desactivación)
+ *
+ * Los webhooks salen firmados con D360_WEBHOOK_SECRET (cabecera
+ * x-hub-signature-256), igual que en producción. La aplicación se apunta al
+ * simulador con D360_SIMULATOR_URL (ver dialog360Endpoints.js).
+ *
+ * Uso: `node scripts/dialog360-simulator.js` en desarrollo, o
+ * `useDialog360Simulator()` (jestHelper.js) en los tests.
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import axios from 'axios';
+import express from 'express';
+import multer from 'multer';
+import { createLogger } from '../../../services/core/core/logger.js';
+import {
+  createMessageId,
+  buildApiErrorResponse,
+  buildSendResponse,
+  validateOutboundPayload,
+  planStatusSequence,
+  buildStatusWebhook,
+  buildInboundWebhook,
+  buildTemplateStatusWebhook
+} from './simulatorPayloads.js';
+
+const logger = createLogger('DIALOG360_SIMULATOR');
+
+const FLOWS_PATH = '/api/v2/partners/:partnerId/waba_accounts/:wabaAccountId/flows';
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// Errores síncronos según el estado de la plantilla usada en un envío
+const TEMPLATE_STATUS_ERRORS = {
+  PAUSED: 132015,
+  DISABLED: 132016
+};
+
+export const DEFAULT_SIMULATOR_TEMPLATES = Object.freeze([
+  {
+    name: 'hello_world',
+    language: 'en_US',
+    category: 'UTILITY',
+    status: 'APPROVED',
+    components: [{ type: 'BODY', text: 'Hello World' }]
+  },
+  {
+    name: 'bienvenida',
+    language: 'es',
+    category: 'MARKETING',
+    status: 'APPROVED',
+    components: [
+      { type: 'BODY', text: 'Hola {{1}}, gracias por escribirnos.' },
+      { type: 'BUTTONS', buttons: [{ type: 'QUICK_REPLY', text: 'Sí' }, { type: 'QUICK_REPLY', text: 'No' }] }
+    ]
+  }
+]);
+
+const digitsOnly = value => String(value || '').replace(/\D/g, '');
+const numericId = () => String(crypto.randomInt(100000000, 999999999));
+
+export class Dialog360Simulator extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.webhookUrl] - URL de /webhooks de la aplicación
+   * @param {string[]} [options.apiKeys] - API keys aceptadas (por defecto cualquiera no vacía)
+   * @param {string} [options.webhookSecret] - Secreto para firmar webhooks (por defecto D360_WEBHOOK_SECRET)
+   * @param {string} [options.phoneNumberId] - metadata.phone_number_id de los webhooks
+   * @param {string} [options.displayPhoneNumber] - metadata.display_phone_number
+   * @param {number} [options.latencyMs] - Espera entre estados (por defecto 50 ms)
+   * @param {string[]} [options.statuses] - Estados por defecto de cada envío
+   * @param {string} [options.templateReview] - Resultado de la revisión de plantillas nuevas
+   * @param {Object[]} [options.templates] - Plantillas iniciales
+   */
+  constructor(options = {}) {
+    super();
+    this.webhookUrl = options.webhookUrl || null;
+    this.apiKeys = options.apiKeys || null;
+    this.webhookSecret = options.webhookSecret !== undefined
+      ? options.webhookSecret
+      : (process.env.D360_WEBHOOK_SECRET || null);
+    this.account = {
+      phoneNumberId: options.phoneNumberId || process.env.D360_PHONE_NUMBER_ID || '100000000000001',
+      displayPhoneNumber: digitsOnly(options.displayPhoneNumber) || '15550000001',
+      wabaId: options.wabaId || '200000000000001'
+    };
+    this.defaults = { latencyMs: options.latencyMs, statuses: options.statuses };
+    this.templateReview = options.templateReview || 'APPROVED';
+    this.initialTemplates = options.templates || DEFAULT_SIMULATOR_TEMPLATES;
+
+    this.server = null;
+    this.url = null;
+    this.timers = new Set();
+    this.upload = multer({ storage: multer.memoryStorage() });
+    this.app = this.createApp();
+    this.reset();
+  }
+
+  // ===== Ciclo de vida =====
+
+  /**
+   * Iniciar el servidor
+   * @param {number} [port] - 0 para un puerto libre
+   * @returns {Promise<string>} URL base del simulador
+   */
+  start(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, host, () => {
+        this.url = `http://${host}:${this.server.address().port}`;
+        logger.info(`🧪 Simulador de 360Dialog escuchando en ${this.url}`);
+        resolve(this.url);
+      });
+      this.server.once('error', reject);
+    });
+  }
+
+  /**
+   * Detener el servidor y cancelar los webhooks pendientes
+   */
+  async stop() {
+    this.clearTimers();
+    if (!this.server) {
+      return;
+    }
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections?.();
+    await new Promise(resolve => server.close(() => resolve()));
+    logger.info('🛑 Simulador de 360Dialog detenido');
+  }
+
+  /**
+   * Volver al estado inicial (mensajes, webhooks, escenarios y plantillas)
+   */
+  reset() {
+    this.clearTimers();
+    this.sentMessages = [];
+    this.readReceipts = [];
+    this.deliveries = [];
+    this.outcomes = new Map();
+    this.media = new Map();
+    this.flows = new Map();
+    this.templates = new Map();
+    this.initialTemplates.forEach(template => this.addTemplate(template));
+  }
+
+  clearTimers() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  schedule(delayMs, task) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      Promise.resolve()
+        .then(task)
+        .catch(error => logger.error('❌ Error en tarea programada del simulador:', error));
+    }, Math.max(0, delayMs));
+    timer.unref?.();
+    this.timers.add(timer);
+  }
+
+  // ===== Escenarios =====
+
+  /**
+   * Definir qué ocurre con los envíos a un número ('*' = todos los demás)
+   * @param {string} phone
+   * @param {Object} outcome
+   * @param {string[]} [outcome.statuses] - Estados a notificar
+   * @param {{code: number, details?: string}} [outcome.error] - Termina en failed con ese código
+   * @param {{code: number, httpStatus?: number}} [outcome.reject] - Rechazar el envío en la misma petición
+   * @param {number} [outcome.latencyMs] - Espera entre estados
+   * @param {{text?: string, message?: Object, delayMs?: number}} [outcome.reply] - Respuesta del cliente tras el último estado
+   */
+  setOutcome(phone, outcome) {
+    this.outcomes.set(phone === '*' ? '*' : digitsOnly(phone), outcome || {});
+  }
+
+  getOutcome(phone) {
+    return this.outcomes.get(digitsOnly(phone)) || this.outcomes.get('*') || {};
+  }
+
+  // ===== Webhooks hacia la aplicación =====
+
+  /**
+   * Entregar un webhook firmado a la aplicación
+   * @returns {Promise<Object>} Registro de la entrega
+   */
+  async deliverWebhook(payload) {
+    const delivery = { payload, statusCode: null, error: null, at: new Date().toISOString() };
+    this.deliveries.push(delivery);
+
+    if (!this.webhookUrl) {
+      delivery.error = 'webhook_url_not_configured';
+      this.emit('webhook', delivery);
+      return delivery;
+    }
+
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.webhookSecret) {
+      const signature = crypto.createHmac('sha256', this.webhookSecret).update(body).digest('hex');
+      headers['x-hub-signature-256'] = `sha256=${signature}`;
+    }
+
+    try {
+      const response = await axios.post(this.webhookUrl, body, {
+        headers,
+        timeout: WEBHOOK_TIMEOUT_MS,
+        validateStatus: () => true
+      });
+      delivery.statusCode = response.status;
+    } catch (error) {
+      delivery.error = error.message;
+      logger.warn(`⚠️ No se pudo entregar webhook a ${this.webhookUrl}: ${error.message}`);
+    }
+
+    this.emit('webhook', delivery);
+    return delivery;
+  }
+
+  /**
+   * Enviar a la aplicación un mensaje entrante
+   * @param {Object} spec - { from, text?, message?, profileName?, delayMs? }
+   */
+  sendInbound(spec) {
+    if (!spec || !digitsOnly(spec.from)) {
+      throw new Error('sendInbound requiere el número del remitente (from)');
+    }
+    const payload = buildInboundWebhook(this.account, spec);
+    if (spec.delayMs) {
+      return new Promise(resolve => this.schedule(spec.delayMs, () => this.deliverWebhook(payload).then(resolve)));
+    }
+    return this.deliverWebhook(payload);
+  }
+
+  /**
+   * Notificar un estado de un mensaje enviado
+   */
+  sendStatus(messageId, status, errors = null) {
+    const message = this.sentMessages.find(item => item.id === messageId);
+    if (message) {
+      message.status = status;
+    }
+    return this.deliverWebhook(buildStatusWebhook(this.account, {
+      messageId,
+      recipient: message ? message.to : '',
+      status,
+      errors
+    }));
+  }
+
+  /**
+   * Ejecutar un guion de pasos en orden: { inbound } | { status } | { templateStatus } | { waitMs }
+   */
+  async runScript(steps = []) {
+    for (const step of steps) {
+      if (step.waitMs) {
+        await new Promise(resolve => this.schedule(step.waitMs, resolve));
+      }
+      if (step.inbound) {
+        await this.sendInbound(step.inbound);
+      }
+      if (step.status) {
+        await this.sendStatus(step.status.messageId, step.status.status, step.status.errors || null);
+      }
+      if (step.templateStatus) {
+        await this.setTemplateStatus(step.templateStatus.name, step.templateStatus.status, step.templateStatus.reason);
+      }
+    }
+  }
+
+  /**
+   * Esperar hasta que una condición sobre el simulador se cumpla
+   * @param {Function} predicate - Recibe el simulador
+   */
+  waitFor(predicate, { timeoutMs = 3000, intervalMs = 20 } = {}) {
+    const startedAt = Date.now();
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const result = predicate(this);
+        if (result) {
+          resolve(result);
+        } else if (Date.now() - startedAt >= timeoutMs) {
+          reject(new Error(`waitFor: la condición no se cumplió en ${timeoutMs} ms`));
+        } else {
+          setTimeout(check, intervalMs);
+        }
+      };
+      check();
+    });
+  }
+
+  scheduleStatuses(message, outcome) {
+    const plan = planStatusSequence(outcome, this.defaults);
+
+    plan.forEach(step => this.schedule(step.delayMs, () => this.sendStatus(message.id, step.status, step.errors || null)));
+
+    if (outcome.reply && !outcome.error) {
+      const lastDelay = plan.length > 0 ? plan[plan.length - 1].delayMs : 0;
+      const reply = typeof outcome.reply === 'string' ? { text: outcome.reply } : outcome.reply;
+      this.schedule(lastDelay + (reply.delayMs || 0), () => this.sendInbound({
+        from: message.to,
+        profileName: reply.profileName,
+        message: {
+          ...(reply.message || { type: 'text', text: { body: String(reply.text ?? '') } }),
+          context: { from: this.account.displayPhoneNumber, id: message.id }
+        }
+      }));
+    }
+  }
+
+  // ===== Plantillas =====
+
+  templateKey(name, language) {
+    return `${name}:${language}`;
+  }
+
+  addTemplate(template) {
+    const stored = {
+      id: template.id || numericId(),
+      name: template.name,
+      language: template.language || 'es',
+      category: template.category || 'MARKETING',
+      status: template.status || 'APPROVED',
+      components: template.components || [],
+      quality_score: template.quality_score || { score: 'UNKNOWN' },
+      rejected_reason: template.rejected_reason || 'NONE',
+      namespace: 'simulator'
+    };
+    this.templates.set(this.templateKey(stored.name, stored.language), stored);
+    return stored;
+  }
+
+  findTemplate(name, language = null) {
+    const matches = [...this.templates.values()].filter(template => template.name === name);
+    return matches.find(template => !language || template.language === language) || null;
+  }
+
+  /**
+   * Cambiar el estado de una plantilla y notificarlo por webhook (APPROVED, REJECTED, PAUSED, DISABLED...)
+   */
+  setTemplateStatus(name, status, reason = null) {
+    const template = this.findTemplate(name);
+    if (!template) {
+      throw new Error(`Plantilla no encontrada en el simulador: ${name}`);
+    }
+    template.status = status;
+    if (status === 'REJECTED') {
+      template.rejected_reason = reason || 'INVALID_FORMAT';
+    }
+    return this.deliverWebhook(buildTemplateStatusWebhook(this.account, template, status, reason));
+  }
+
+  // ===== Servidor HTTP =====
+
+  createApp() {
+    const app = express();
+    app.use(express.json({ limit: '10mb' }));
+
+    app.use('/__simulator', this.createControlRouter());
+    app.use(FLOWS_PATH, this.requireHubKey.bind(this), this.createFlowsRouter());
+    app.use(this.requireApiKey.bind(this), this.createWabaRouter());
+
+    app.use((req, res) => {
+      res.status(404).json(buildApiErrorResponse(100, `Ruta no soportada por el simulador: ${req.method} ${req.path}`));
+    });
+
+    return app;
+  }
+
+  isValidKey(key) {
+    return Boolean(key) && (!this.apiKeys || this.apiKeys.includes(key));
+  }
+
+  requireApiKey(req, res, next) {
+    if (!this.isValidKey(req.get('D360-API-KEY'))) {
+      return res.status(401).json({ meta: { success: false, http_code: 401, developer_message: 'Invalid api key' } });
+    }
+    next();
+  }
+
+  requireHubKey(req, res, next) {
+    if (!this.isValidKey(req.get('x-api-key'))) {
+      return res.status(401).json({ detail: 'Invalid api key' });
+    }
+    next();
+  }
+
+  createWabaRouter() {
+    const router = express.Router();
+
+    const sendMessage = (req, res) => this.handleSendMessage(req, res);
+    router.post('/messages', sendMessage);
+    router.post('/v1/messages', sendMessage);
+
+    router.get('/health_status', (req, res) => {
+      res.json({ health_status: { can_send_message: 'AVAILABLE', entities: [{ entity_type: 'PHONE_NUMBER', id: this.account.phoneNumberId, can_send_message: 'AVAILABLE' }] } });
+    });
+
+    router.get('/v1/configs/webhook', (req, res) => res.json({ url: this.webhookUrl }));
+    router.post('/v1/configs/webhook', (req, res) => {
+      if (!req.body?.url) {
+        return res.status(400).json(buildApiErrorResponse(100, 'url es requerida'));
+      }
+      this.webhookUrl = req.body.url;
+      res.json({ url: this.webhookUrl });
+    });
+
+    const listTemplates = (req, res) => {
+      const templates = [...this.templates.values()];
+      res.json({ count: templates.length, filters: {}, limit: 1000, offset: 0, sort: ['id'], total: templates.length, waba_templates: templates });
+    };
+    router.get('/v1/configs/templates', listTemplates);
+    router.get('/v1/message_templates', listTemplates);
+    router.post('/v1/configs/templates', (req, res) => this.handleCreateTemplate(req, res));
+    router.delete('/v1/configs/templates/:name', (req, res) => {
+      const keys = [...this.templates.entries()]
+        .filter(([, template]) => template.name === req.params.name)
+        .map(([key]) => key);
+      if (keys.length === 0) {
+        return res.status(404).json(buildApiErrorResponse(132001, `Plantilla ${req.params.name} no encontrada`));
+      }
+      keys.forEach(key => this.templates.delete(key));
+      res.json({ meta: { success: true, http_code: 200 } });
+    });
+
+    const uploadMedia = this.upload.single('file');
+    router.post('/media', uploadMedia, (req, res) => this.handleUploadMedia(req, res));
+    router.post('/v1/media', uploadMedia, (req, res) => this.handleUploadMedia(req, res));
+
+    router.get('/__media/:mediaId', (req, res) => {
+      const media = this.media.get(req.params.mediaId);
+      if (!media) {
+        return res.status(404).json(buildApiErrorResponse(100, 'Media no encontrada'));
+      }
+      res.set('Content-Type', media.mimeType).send(media.buffer);
+    });
+
+    router.get('/:mediaId', (req, res) => {
+      const media = this.media.get(req.params.mediaId);
+      if (!media) {
+        return res.status(404).json(buildApiErrorResponse(100, `Media ${req.params.mediaId} no encontrada`));
+      }
+      res.json({
+        messaging_product: 'whatsapp',
+        url: `${this.url}/__media/${media.id}`,
+        mime_type: media.mimeType,
+        sha256: media.sha256,
+        file_size: media.buffer.length,
+        id: media.id
+      });
+    });
+
+    return router;
+  }
+
+  handleSendMessage(req, res) {
+    const payload = req.body || {};
+
+    // Marcar como leído: { messaging_product, status: 'read', message_id }
+    if (payload.status === 'read' && payload.message_id) {
+      this.readReceipts.push({ messageId: payload.message_id, at: new Date().toISOString() });
+      return res.json({ success: true });
+    }
+
+    const errors = validateOutboundPayload(payload);
+    if (errors.length > 0) {
+      return res.status(400).json(buildApiErrorResponse(100, errors.join('; ')));
+    }
+
+    const to = digitsOnly(payload.to);
+    const outcome = this.getOutcome(to);
+
+    if (payload.type === 'template') {
+      const template = this.findTemplate(payload.template.name, payload.template.language?.code);
+      if (!template || template.status !== 'APPROVED') {
+        const code = (template && TEMPLATE_STATUS_ERRORS[template.status]) || 132001;
+        return res.status(400).json(buildApiErrorResponse(code, `Plantilla ${payload.template.name}: ${template ? template.status : 'no existe'}`));
+      }
+    }
+
+    if (outcome.reject) {
+      return res.status(outcome.reject.httpStatus || 400)
+        .json(buildApiErrorResponse(outcome.reject.code, outcome.reject.details));
+    }
+
+    const message = {
+      id: createMessageId(),
+      to,
+      type: payload.type,
+      payload,
+      status: 'accepted',
+      at: new Date().toISOString()
+    };
+    this.sentMessages.push(message);
+    this.emit('message', message);
+
+    res.json(buildSendResponse(payload.to, message.id, payload.type));
+    this.scheduleStatuses(message, outcome);
+  }
+
+  handleCreateTemplate(req, res) {
+    const { name, language, category, components } = req.body || {};
+    if (!name || !language || !category) {
+      return res.status(400).json(buildApiErrorResponse(100, 'name, language y category son requeridos'));
+    }
+    if (!/^[a-z0-9_]+$/.test(name)) {
+      return res.status(400).json(buildApiErrorResponse(100, 'name solo admite minúsculas, números y guion bajo'));
+    }
+    if (this.templates.has(this.templateKey(name, language))) {
+      return res.status(400).json(buildApiErrorResponse(100, `Ya existe la plantilla ${name} (${language})`));
+    }
+
+    const template = this.addTemplate({ name, language, category, components, status: 'PENDING' });
+    res.json({ id: template.id, status: template.status, category: template.category });
+
+    this.schedule(this.defaults.latencyMs ?? 50, () => this.setTemplateStatus(name, this.templateReview));
+  }
+
+  /**
+   * Registrar un archivo de media (también usable desde los tests para mensajes entrantes)
+   * @returns {string} ID del media
+   */
+  addMedia(buffer, mimeType = 'application/octet-stream') {
+    const id = numericId();
+    this.media.set(id, {
+      id,
+      buffer,
+      mimeType,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+    });
+    return id;
+  }
+
+  handleUploadMedia(req, res) {
+    if (!req.file) {
+      return res.status(400).json(buildApiErrorResponse(131053, 'Falta el archivo (campo file)'));
+    }
+    res.json({ id: this.addMedia(req.file.buffer, req.body?.type || req.file.mimetype) });
+  }
+
+  createFlowsRouter() {
+    const router = express.Router({ mergeParams: true });
+    const findFlow = (req, res) => {
+      const flow = this.flows.get(req.params.flowId);
+      if (!flow) {
+        res.status(404).json({ detail: `Flow ${req.params.flowId} no encontrado` });
+      }
+      return flow;
+    };
+
+    // 360dialog.js lee `flows` y dialog360Routes.js lee `data`: se devuelven ambos
+    router.get('/', (req, res) => {
+      const flows = [...this.flows.values()];
+      res.json({ count: flows.length, total: flows.length, flows, data: flows });
+    });
+
+    router.post('/', (req, res) => {
+      if (!req.body?.name) {
+        return res.status(400).json({ detail: 'name es requerido' });
+      }
+      const flow = {
+        id: numericId(),
+        name: req.body.name,
+        categories: req.body.categories || ['OTHER'],
+        status: 'DRAFT',
+        validation_errors: [],
+        json_version: null,
+        assets: []
+      };
+      this.flows.set(flow.id, flow);
+      res.json(flow);
+    });
+
+    router.get('/:flowId', (req, res) => {
+      const flow = findFlow(req, res);
+      if (flow) {
+        res.json(flow);
+      }
+    });
+
+    router.post('/:flowId/assets', this.upload.single('file'), (req, res) => {
+      const flow = findFlow(req, res);
+      if (!flow) {
+        return;
+      }
+      if (!req.file) {
+        return res.status(400).json({ detail: 'Falta el archivo flow.json (campo file)' });
+      }
+      try {
+        flow.json_version = JSON.parse(req.file.buffer.toString('utf8')).version || null;
+      } catch (error) {
+        return res.json({ success: false, validation_errors: [{ error: 'INVALID_JSON', message: error.message }] });
+      }
+      flow.assets = [{ name: 'flow.json', asset_type: 'FLOW_JSON' }];
+      res.json({ success: true, validation_errors: [] });
+    });
+
+    router.get('/:flowId/preview', (req, res) => {
+      const flow = findFlow(req, res);
+      if (flow) {
+        res.json({
+          id: flow.id,
+          preview: {
+            preview_url: `${this.url}/__simulator/flows/${flow.id}/preview`,
+            expires_at: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
+          }
+        });
+      }
+    });
+
+    router.post('/:flowId/publish', (req, res) => {
+      const flow = findFlow(req, res);
+      if (flow) {
+        flow.status = 'PUBLISHED';
+        res.json({ success: true });
+      }
+    });
+
+    router.delete('/:flowId', (req, res) => {
+      if (findFlow(req, res)) {
+        this.flows.delete(req.params.flowId);
+        res.json({ success: true });
+      }
+    });
+
+    return router;
+  }
+
+  /**
+   * API de control para manejar el simulador sin código (curl, Postman)
+   */
+  createControlRouter() {
+    const router = express.Router();
+
+    router.get('/health', (req, res) => {
+      res.json({ status: 'ok', webhookUrl: this.webhookUrl, account: this.account });
+    });
+    router.get('/messages', (req, res) => res.json({ messages: this.sentMessages }));
+    router.get('/webhooks', (req, res) => res.json({ deliveries: this.deliveries }));
+    router.get('/templates', (req, res) => res.json({ templates: [...this.templates.values()] }));
+
+    router.post('/inbound', async (req, res) => {
+      try {
+        const delivery = await this.sendInbound(req.body);
+        res.json({ success: true, delivery });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    router.post('/script', (req, res) => {
+      if (!Array.isArray(req.body?.steps)) {
+        return res.status(400).json({ success: false, error: 'steps debe ser un arreglo' });
+      }
+      this.runScript(req.body.steps).catch(error => logger.error('❌ Error ejecutando guion del simulador:', error));
+      res.status(202).json({ success: true, steps: req.body.steps.length });
+    });
+
+    router.put('/outcomes/:phone', (req, res) => {
+      this.setOutcome(req.params.phone, req.body);
+      res.json({ success: true, phone: req.params.phone, outcome: req.body });
+    });
+
+    router.post('/templates/:name/status', async (req, res) => {
+      try {
+        await this.setTemplateStatus(req.params.name, req.body?.status, req.body?.reason);
+        res.json({ success: true });
+      } catch (error) {
+        res.status(404).json({ success: false, error: error.message });
+      }
+    });
+
+    router.post('/reset', (req, res) => {
+      this.reset();
+      res.json({ success: true });
+    });
+
+    return router;
+  }
+}
+
+export default Dialog360Simulator;
@@ -0,0 +1,151 @@
+/**
+ * Tests para el simulador local de 360Dialog
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+import express from 'express';
+import { useDialog360Simulator } from '../jestHelper.js';
+import { resolveDialog360Url, isDialog360MediaUrl } from '../../dialog360Endpoints.js';
+
+const SECRET = 'secreto-de-prueba';
+const API_KEY = 'clave-simulador-123';
+const CUSTOMER = '573001112233';
+
+const received = [];
+let receiver;
+let receiverUrl;
+
+beforeAll(async () => {
+  const app = express();
+  app.post('/webhooks', express.raw({ type: '*/*' }), (req, res) => {
+    received.push({ body: JSON.parse(req.body.toString('utf8')), raw: req.body, signature: req.get('x-hub-signature-256') });
+    res.sendStatus(200);
+  });
+  await new Promise(resolve => {
+    receiver = app.listen(0, '127.0.0.1', resolve);
+  });
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/webhooks`;
+});
+
+afterAll(async () => {
+  receiver.closeAllConnections?.();
+  await new Promise(resolve => receiver.close(resolve));
+});
+
+const sim = useDialog360Simulator({ apiKeys: [API_KEY], webhookSecret: SECRET, latencyMs: 5 });
+
+beforeEach(() => {
+  received.length = 0;
+  sim.simulator.webhookUrl = receiverUrl;
+});
+
+const client = () => axios.create({
+  baseURL: resolveDialog360Url('https://waba-v2.360dialog.io'),
+  headers: { 'D360-API-KEY': API_KEY },
+  validateStatus: () => true
+});
+
+const statusesOf = messageId => received
+  .map(item => item.body.entry[0].changes[0].value.statuses?.[0])
+  .filter(status => status && status.id === messageId);
+
+describe('Dialog360Simulator', () => {
+  test('debería atender las llamadas de la aplicación cuando D360_SIMULATOR_URL está definida', async () => {
+    expect(resolveDialog360Url('https://waba-v2.360dialog.io')).toBe(sim.url);
+
+    const unauthorized = await axios.post(`${sim.url}/messages`, {}, { validateStatus: () => true });
+    expect(unauthorized.status).toBe(401);
+
+    const response = await client().post('/messages', {
+      messaging_product: 'whatsapp',
+      to: CUSTOMER,
+      type: 'text',
+      text: { body: 'Hola' }
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.data.contacts).toEqual([{ input: CUSTOMER, wa_id: CUSTOMER }]);
+    expect(response.data.messages[0].id).toMatch(/^wamid\./);
+    expect(sim.simulator.sentMessages[0]).toMatchObject({ to: CUSTOMER, type: 'text' });
+  });
+
+  test('debería notificar sent, delivered y read con webhooks firmados', async () => {
+    const { data } = await client().post('/messages', { to: CUSTOMER, type: 'text', text: { body: 'Hola' } });
+    const messageId = data.messages[0].id;
+
+    await sim.simulator.waitFor(() => statusesOf(messageId).length === 3);
+
+    expect(statusesOf(messageId).map(status => status.status)).toEqual(['sent', 'delivered', 'read']);
+    const first = received[0];
+    const expected = crypto.createHmac('sha256', SECRET).update(first.raw).digest('hex');
+    expect(first.signature).toBe(`sha256=${expected}`);
+    expect(first.body.entry[0].changes[0].value.metadata.phone_number_id).toBe(sim.simulator.account.phoneNumberId);
+  });
+
+  test('debería terminar en failed con el código de error configurado o rechazar el envío', async () => {
+    sim.simulator.setOutcome(CUSTOMER, { statuses: ['sent'], error: { code: 131026 } });
+    const { data } = await client().post('/messages', { to: CUSTOMER, type: 'text', text: { body: 'Hola' } });
+
+    await sim.simulator.waitFor(() => statusesOf(data.messages[0].id).length === 2);
+    const failed = statusesOf(data.messages[0].id)[1];
+    expect(failed.status).toBe('failed');
+    expect(failed.errors[0]).toMatchObject({ code: 131026, title: 'Message undeliverable' });
+
+    sim.simulator.setOutcome('*', { reject: { code: 131047 } });
+    const rejected = await client().post('/messages', { to: '573009998877', type: 'text', text: { body: 'Hola' } });
+    expect(rejected.status).toBe(400);
+    expect(rejected.data.error.code).toBe(131047);
+  });
+
+  test('debería enviar mensajes entrantes y la respuesta guionizada del cliente', async () => {
+    await sim.simulator.sendInbound({ from: CUSTOMER, text: 'Quiero información', profileName: 'Ana' });
+    const inbound = received[0].body.entry[0].changes[0].value;
+    expect(inbound.contacts[0]).toEqual({ profile: { name: 'Ana' }, wa_id: CUSTOMER });
+    expect(inbound.messages[0]).toMatchObject({ from: CUSTOMER, type: 'text', text: { body: 'Quiero información' } });
+
+    sim.simulator.setOutcome(CUSTOMER, { reply: { text: 'Sí' } });
+    const { data } = await client().post('/messages', {
+      to: CUSTOMER,
+      type: 'template',
+      template: { name: 'bienvenida', language: { code: 'es' } }
+    });
+    expect(data.messages[0].message_status).toBe('accepted');
+
+    const reply = await sim.simulator.waitFor(() => received
+      .map(item => item.body.entry[0].changes[0].value.messages?.[0])
+      .find(message => message && message.context));
+    expect(reply).toMatchObject({ text: { body: 'Sí' }, context: { id: data.messages[0].id } });
+  });
+
+  test('debería gestionar plantillas y media como la WABA API', async () => {
+    const list = await client().get('/v1/configs/templates');
+    expect(list.data.waba_templates.map(template => template.name)).toEqual(['hello_world', 'bienvenida']);
+
+    const created = await client().post('/v1/configs/templates', {
+      name: 'promo_octubre',
+      language: 'es',
+      category: 'MARKETING',
+      components: [{ type: 'BODY', text: 'Promo' }]
+    });
+    expect(created.data.status).toBe('PENDING');
+    await sim.simulator.waitFor(s => s.findTemplate('promo_octubre').status === 'APPROVED');
+    expect(received[0].body.entry[0].changes[0]).toMatchObject({
+      field: 'message_template_status_update',
+      value: { event: 'APPROVED', message_template_name: 'promo_octubre' }
+    });
+
+    await sim.simulator.setTemplateStatus('promo_octubre', 'PAUSED');
+    const paused = await client().post('/messages', {
+      to: CUSTOMER,
+      type: 'template',
+      template: { name: 'promo_octubre', language: { code: 'es' } }
+    });
+    expect(paused.data.error.code).toBe(132015);
+
+    const mediaId = sim.simulator.addMedia(Buffer.from('imagen'), 'image/jpeg');
+    const media = await client().get(`/${mediaId}`);
+    expect(media.data).toMatchObject({ id: mediaId, mime_type: 'image/jpeg', file_size: 6 });
+    expect(isDialog360MediaUrl(media.data.url)).toBe(true);
+  });
+});
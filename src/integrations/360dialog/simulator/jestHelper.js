@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Helper de Jest para el simulador de 360Dialog
+ *
+ * Levanta el simulador en un puerto libre antes de la suite, apunta la
+ * aplicación a él (D360_SIMULATOR_URL) y lo detiene al terminar. Entre tests
+ * se reinicia su estado para que cada escenario empiece limpio.
+ *
+ * @example
+ * const sim = useDialog360Simulator({ webhookUrl: 'http://127.0.0.1:3000/webhooks' });
+ *
+ * test('debería marcar el mensaje como fallido', async () => {
+ *   sim.simulator.setOutcome('573001112233', { error: { code: 131026 } });
+ *   // ... enviar con la aplicación ...
+ *   await sim.simulator.waitFor(s => s.deliveries.find(d => d.payload.entry[0].changes[0].value.statuses?.[0]?.status === 'failed'));
+ * });
+ */
+
+import { Dialog360Simulator } from './Dialog360Simulator.js';
+
+/**
+ * Registrar el simulador en la suite actual
+ * @param {Object} [options] - Opciones de Dialog360Simulator
+ * @param {boolean} [options.resetBetweenTests] - Reiniciar el estado antes de cada test (por defecto true)
+ * @returns {{simulator: Dialog360Simulator, url: string|null}} Se completa en beforeAll
+ */
+export function useDialog360Simulator(options = {}) {
+  const { resetBetweenTests = true, ...simulatorOptions } = options;
+  const handle = { simulator: new Dialog360Simulator(simulatorOptions), url: null };
+  let previousUrl;
+
+  beforeAll(async () => {
+    previousUrl = process.env.D360_SIMULATOR_URL;
+    handle.url = await handle.simulator.start(0);
+    process.env.D360_SIMULATOR_URL = handle.url;
+  });
+
+  if (resetBetweenTests) {
+    beforeEach(() => handle.simulator.reset());
+  }
+
+  afterAll(async () => {
+    await handle.simulator.stop();
+    if (previousUrl === undefined) {
+      delete process.env.D360_SIMULATOR_URL;
+    } else {
+      process.env.D360_SIMULATOR_URL = previousUrl;
+    }
+  });
+
+  return handle;
+}
+
+export { Dialog360Simulator };
@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Payloads del Simulador de 360Dialog
+ *
+ * Construye las respuestas y los webhooks con el mismo formato que la WhatsApp
+ * Cloud API detrás de 360Dialog: respuesta de /messages, `statuses` (sent,
+ * delivered, read, failed con `errors[]`), mensajes entrantes y cambios de
+ * estado de plantillas. También planifica la secuencia de estados de cada
+ * envío según el escenario configurado (latencia, error final, respuesta).
+ */
+
+import crypto from 'crypto';
+
+export const SIMULATED_STATUSES = Object.freeze(['sent', 'delivered', 'read']);
+
+export const SUPPORTED_MESSAGE_TYPES = Object.freeze([
+  'text', 'image', 'video', 'audio', 'document', 'sticker', 'location',
+  'contacts', 'interactive', 'template', 'reaction'
+]);
+
+// Títulos con los que Meta describe los errores más habituales
+const ERROR_TITLES = {
+  100: 'Invalid parameter',
+  130429: 'Rate limit hit',
+  131026: 'Message undeliverable',
+  131047: 'Re-engagement message',
+  131049: 'This message was not delivered to maintain healthy ecosystem engagement.',
+  131051: 'Unsupported message type',
+  131053: 'Media upload error',
+  132001: 'Template name does not exist in the translation',
+  132015: 'Template is Paused',
+  132016: 'Template is Disabled'
+};
+
+const DEFAULT_LATENCY_MS = 50;
+
+const unixTimestamp = (date = new Date()) => String(Math.floor(date.getTime() / 1000));
+
+/**
+ * ID de mensaje con el formato de WhatsApp (wamid.)
+ */
+export function createMessageId() {
+  return `wamid.SIM${crypto.randomBytes(12).toString('hex').toUpperCase()}`;
+}
+
+/**
+ * Objeto de error de WhatsApp para un código
+ */
+export function buildWhatsAppError(code, details = null) {
+  const numericCode = Number(code);
+  const title = ERROR_TITLES[numericCode] || `Simulated error ${numericCode}`;
+  return {
+    code: numericCode,
+    title,
+    message: title,
+    error_data: { details: details || `Error simulado ${numericCode}` }
+  };
+}
+
+/**
+ * Respuesta de error de la API (envío rechazado en la misma petición)
+ */
+export function buildApiErrorResponse(code, details = null) {
+  const error = buildWhatsAppError(code, details);
+  return {
+    error: {
+      message: `(#${error.code}) ${error.title}`,
+      type: 'OAuthException',
+      code: error.code,
+      error_data: { messaging_product: 'whatsapp', details: error.error_data.details },
+      fbtrace_id: `SIM${crypto.randomBytes(6).toString('hex')}`
+    }
+  };
+}
+
+/**
+ * Respuesta de POST /messages
+ */
+export function buildSendResponse(to, messageId, type) {
+  return {
+    messaging_product: 'whatsapp',
+    contacts: [{ input: to, wa_id: String(to).replace(/\D/g, '') }],
+    messages: [{ id: messageId, ...(type === 'template' && { message_status: 'accepted' }) }]
+  };
+}
+
+/**
+ * Errores de validación de un mensaje saliente (cuerpo de POST /messages)
+ * @returns {string[]}
+ */
+export function validateOutboundPayload(payload) {
+  const errors = [];
+  if (!payload || typeof payload !== 'object') {
+    return ['El cuerpo debe ser un objeto JSON'];
+  }
+  if (!payload.to || !/^\+?\d{8,15}$/.test(String(payload.to))) {
+    errors.push('to debe ser un número de 8 a 15 dígitos');
+  }
+  if (!SUPPORTED_MESSAGE_TYPES.includes(payload.type)) {
+    errors.push(`type no soportado: ${payload.type}`);
+  } else if (!payload[payload.type]) {
+    errors.push(`Falta el objeto ${payload.type} del mensaje`);
+  }
+  return errors;
+}
+
+/**
+ * Secuencia de estados de un envío según su escenario
+ * @param {Object} [outcome]
+ * @param {string[]} [outcome.statuses] - Estados a notificar (por defecto sent, delivered, read)
+ * @param {{code: number, details?: string}} [outcome.error] - Error final (estado failed)
+ * @param {number} [outcome.latencyMs] - Espera entre un estado y el siguiente
+ * @returns {Array<{status: string, delayMs: number, errors?: Object[]}>}
+ */
+export function planStatusSequence(outcome = {}, defaults = {}) {
+  const latencyMs = Number.isFinite(outcome.latencyMs)
+    ? outcome.latencyMs
+    : (Number.isFinite(defaults.latencyMs) ? defaults.latencyMs : DEFAULT_LATENCY_MS);
+  const statuses = (outcome.statuses || defaults.statuses || SIMULATED_STATUSES)
+    .filter(status => SIMULATED_STATUSES.includes(status));
+
+  const plan = statuses.map((status, index) => ({ status, delayMs: latencyMs * (index + 1) }));
+  if (outcome.error) {
+    plan.push({
+      status: 'failed',
+      delayMs: latencyMs * (plan.length + 1),
+      errors: [buildWhatsAppError(outcome.error.code, outcome.error.details)]
+    });
+  }
+  return plan;
+}
+
+/**
+ * Sobre común de los webhooks de la Cloud API
+ */
+export function buildWebhookEnvelope(account, field, value) {
+  return {
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: account.wabaId,
+      changes: [{ field, value }]
+    }]
+  };
+}
+
+const messagesValue = (account, extra) => ({
+  messaging_product: 'whatsapp',
+  metadata: {
+    display_phone_number: account.displayPhoneNumber,
+    phone_number_id: account.phoneNumberId
+  },
+  ...extra
+});
+
+/**
+ * Webhook `statuses` de un mensaje enviado
+ */
+export function buildStatusWebhook(account, { messageId, recipient, status, errors = null, at = new Date() }) {
+  return buildWebhookEnvelope(account, 'messages', messagesValue(account, {
+    statuses: [{
+      id: messageId,
+      status,
+      timestamp: unixTimestamp(at),
+      recipient_id: String(recipient).replace(/\D/g, ''),
+      ...(status !== 'failed' && {
+        conversation: { id: `SIMCONV${String(recipient).replace(/\D/g, '')}`, origin: { type: 'service' } },
+        pricing: { billable: true, pricing_model: 'CBP', category: 'service' }
+      }),
+      ...(errors && { errors })
+    }]
+  }));
+}
+
+/**
+ * Mensaje entrante a partir de un guion corto
+ * @param {Object} spec - { from, text?, profileName?, message? } (`message` = objeto de mensaje completo)
+ */
+export function buildInboundMessage(spec, at = new Date()) {
+  const base = {
+    from: String(spec.from).replace(/\D/g, ''),
+    id: spec.id || createMessageId(),
+    timestamp: unixTimestamp(at)
+  };
+
+  if (spec.message) {
+    return { ...base, ...spec.message };
+  }
+  return { ...base, type: 'text', text: { body: String(spec.text ?? '') } };
+}
+
+/**
+ * Webhook de mensaje entrante
+ */
+export function buildInboundWebhook(account, spec, at = new Date()) {
+  const message = buildInboundMessage(spec, at);
+  return buildWebhookEnvelope(account, 'messages', messagesValue(account, {
+    contacts: [{ profile: { name: spec.profileName || `Cliente ${message.from.slice(-4)}` }, wa_id: message.from }],
+    messages: [message]
+  }));
+}
+
+/**
+ * Webhook de cambio de estado de una plantilla
+ */
+export function buildTemplateStatusWebhook(account, template, event, reason = null) {
+  return buildWebhookEnvelope(account, 'message_template_status_update', {
+    event,
+    message_template_id: template.id,
+    message_template_name: template.name,
+    message_template_language: template.language,
+    reason: reason || 'NONE'
+  });
+}
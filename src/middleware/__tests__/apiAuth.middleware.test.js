@@ -0,0 +1,240 @@
+/**
+ * Tests de integración de autenticación y permisos de la API
+ *
+ * Monta la autenticación y la guardia de permisos reales delante de routers
+ * con las mismas rutas que los de src/api/routes, y comprueba el permiso que
+ * exige cada ruta para cada rol.
+ */
+
+import fs from 'fs';
+import jwt from 'jsonwebtoken';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import request from 'supertest';
+import {
+  createApiAuthMiddleware,
+  createPermissionGuard
+} from '../apiAuth.middleware.js';
+import {
+  API_ROUTE_PERMISSIONS,
+  ROLES,
+  resolveRoutePermission
+} from '../../services/auth/permissions.js';
+import { accessControlService } from '../../services/auth/AccessControlService.js';
+import {
+  SESSION_COOKIE,
+  signSessionToken,
+  parseIntegrationKeys
+} from '../../services/auth/sessionTokens.js';
+
+const SECRET = 'secreto-de-pruebas';
+
+// Archivo de cada router montado en SecureServer
+const ROUTER_FILES = {
+  '/api/360dialog': '360dialog.js',
+  '/api/chat-live': 'chat-live.js',
+  '/api/contacts': 'contactRoutes.js',
+  '/api/tags': 'tags.js',
+  '/api/campaigns': 'campaignsRoutes.js',
+  '/api/whatsapp': 'messageRoutes.js',
+  '/api/v1/messages': 'messageRoutes.js',
+  '/api': 'customFieldsRoutes.js',
+  '/api/template-approvals': 'template-approvals.js',
+  '/api/campaign-templates': 'campaign-templates.js',
+  '/api/campaign-send': 'campaign-send.js',
+  '/api/delivery-failures': 'delivery-failures.js',
+  '/api/suppression': 'suppression.js',
+  '/api/flow-runs': 'flow-runs.js',
+  '/api/knowledge-base': 'knowledge-base.js',
+  '/api/canned-responses': 'canned-responses.js',
+  '/api/segments': 'segments.js',
+  '/api/channels': 'channels.js'
+};
+
+const readRouterRoutes = (file) => {
+  const source = fs.readFileSync(new URL(`../../api/routes/${file}`, import.meta.url), 'utf8');
+  return [...source.matchAll(/router\.(get|post|put|patch|delete)\(\s*'([^']+)'/g)]
+    .map(([, method, path]) => [method.toUpperCase(), path]);
+};
+
+const samplePath = (mount, pattern) => `${mount}${pattern.replace(/:\w+/g, '42')}`.replace(/(.)\/$/, '$1');
+
+const tokenFor = (role, id = 7) => signSessionToken({ id, username: `usuario-${role}`, role }, { secret: SECRET });
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api', createApiAuthMiddleware({
+    secret: SECRET,
+    integrationKeys: parseIntegrationKeys('crm:clave-del-crm'),
+    findUserByApiKey: async apiKey => (
+      apiKey === 'clave-personal' ? { id: 3, username: 'ana', role: 'agent' } : null
+    )
+  }));
+  app.post('/api/webhooks', (req, res) => res.json({ success: true }));
+
+  // Mismo orden de montaje que SecureServer
+  for (const [mount, routes] of Object.entries(API_ROUTE_PERMISSIONS)) {
+    const router = express.Router();
+    for (const [method, pattern] of routes) {
+      router[method.toLowerCase()](pattern, (req, res) => {
+        res.json({ success: true, user: req.user, permission: req.permission });
+      });
+    }
+    app.use(mount, createPermissionGuard(mount, { passUnlisted: mount === '/api' }), router);
+  }
+  return app;
+};
+
+const app = buildApp();
+
+const ROUTES = Object.entries(API_ROUTE_PERMISSIONS).flatMap(([mount, routes]) =>
+  routes.map(([method, pattern, permission]) => [method, samplePath(mount, pattern), permission])
+);
+
+describe('apiAuth.middleware', () => {
+  describe('matriz de rutas', () => {
+    test.each(Object.entries(ROUTER_FILES))('debería declarar el permiso de cada ruta de %s', (mount, file) => {
+      const declared = API_ROUTE_PERMISSIONS[mount].map(([method, pattern]) => `${method} ${pattern}`).sort();
+      const implemented = readRouterRoutes(file).map(([method, pattern]) => `${method} ${pattern}`).sort();
+
+      expect(declared).toEqual(implemented);
+    });
+
+    test('debería resolver primero las rutas literales antes que los parámetros', () => {
+      expect(resolveRoutePermission('/api/contacts', 'GET', '/export').permission).toBe('contacts:export');
+      expect(resolveRoutePermission('/api/contacts', 'GET', '/tags/folders').permission).toBe('tags:read');
+      expect(resolveRoutePermission('/api/contacts', 'GET', '/15').permission).toBe('contacts:read');
+      expect(resolveRoutePermission('/api/contacts', 'PATCH', '/15')).toEqual({ permission: '*', route: null });
+    });
+  });
+
+  describe('autenticación', () => {
+    test('debería responder 401 sin credenciales', async () => {
+      const response = await request(app).get('/api/contacts');
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({
+        success: false,
+        error: 'Autenticación requerida',
+        code: 'AUTH_REQUIRED'
+      });
+    });
+
+    test('debería rechazar tokens falsificados o expirados', async () => {
+      const forged = signSessionToken({ id: 1, username: 'x', role: 'admin' }, { secret: 'otro-secreto' });
+      const expired = signSessionToken({ id: 1, username: 'x', role: 'admin' }, { secret: SECRET, expiresIn: -10 });
+
+      const forgedResponse = await request(app).get('/api/contacts').set('Authorization', `Bearer ${forged}`);
+      const expiredResponse = await request(app).get('/api/contacts').set('Authorization', `Bearer ${expired}`);
+
+      expect(forgedResponse.status).toBe(401);
+      expect(forgedResponse.body.code).toBe('INVALID_TOKEN');
+      expect(expiredResponse.status).toBe(401);
+      expect(expiredResponse.body.code).toBe('SESSION_EXPIRED');
+    });
+
+    test('debería rechazar tokens sin el emisor de la API', async () => {
+      const foreign = jwt.sign({ role: 'admin' }, SECRET, { subject: '1' });
+      const response = await request(app).get('/api/contacts').set('Authorization', `Bearer ${foreign}`);
+
+      expect(response.body.code).toBe('INVALID_TOKEN');
+    });
+
+    test('debería aceptar la sesión por cookie', async () => {
+      const response = await request(app)
+        .get('/api/contacts')
+        .set('Cookie', `${SESSION_COOKIE}=${tokenFor('viewer')}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.user).toMatchObject({ id: 7, role: 'viewer', authMethod: 'session' });
+    });
+
+    test('debería aceptar claves de integración y claves personales', async () => {
+      const integration = await request(app).post('/api/whatsapp/send').set('X-API-Key', 'clave-del-crm');
+      const personal = await request(app).get('/api/chat-live/conversations').set('X-API-Key', 'clave-personal');
+      const invalid = await request(app).get('/api/contacts').set('X-API-Key', 'clave-falsa');
+
+      expect(integration.status).toBe(200);
+      expect(integration.body.user).toEqual({
+        id: 'integration:crm', username: 'crm', role: 'integration', authMethod: 'api_key'
+      });
+      expect(personal.status).toBe(200);
+      expect(personal.body.user.role).toBe('agent');
+      expect(invalid.status).toBe(401);
+      expect(invalid.body).toEqual({ success: false, error: 'Clave de API inválida', code: 'INVALID_API_KEY' });
+    });
+
+    test('debería dejar pasar los webhooks sin sesión', async () => {
+      const response = await request(app).post('/api/webhooks').send({});
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe('permisos por rol', () => {
+    const roles = Object.values(ROLES);
+
+    test.each(ROUTES)('%s %s exige %s', async (method, path, permission) => {
+      for (const role of roles) {
+        const response = await request(app)[method.toLowerCase()](path)
+          .set('Authorization', `Bearer ${tokenFor(role)}`);
+
+        if (accessControlService.can(role, permission)) {
+          expect({ role, status: response.status }).toEqual({ role, status: 200 });
+          expect(response.body.permission).toBe(permission);
+        } else {
+          expect({ role, status: response.status }).toEqual({ role, status: 403 });
+          expect(response.body).toEqual({
+            success: false,
+            error: 'No tienes permiso para realizar esta acción',
+            code: 'FORBIDDEN',
+            permission,
+            role
+          });
+        }
+      }
+    });
+
+    test('debería impedir a los agentes borrar contactos o lanzar campañas', async () => {
+      const agent = `Bearer ${tokenFor('agent')}`;
+
+      expect((await request(app).delete('/api/contacts/42').set('Authorization', agent)).status).toBe(403);
+      expect((await request(app).post('/api/campaigns/42/send').set('Authorization', agent)).status).toBe(403);
+      expect((await request(app).post('/api/campaign-send/send').set('Authorization', agent)).status).toBe(403);
+      expect((await request(app).post('/api/chat-live/conversations/42/messages').set('Authorization', agent)).status).toBe(200);
+    });
+
+    test('debería separar lectura, integración y administración', async () => {
+      const viewer = `Bearer ${tokenFor('viewer')}`;
+      const supervisor = `Bearer ${tokenFor('supervisor')}`;
+
+      expect((await request(app).post('/api/chat-live/conversations/42/messages').set('Authorization', viewer)).status).toBe(403);
+      expect((await request(app).get('/api/chat-live/conversations').set('X-API-Key', 'clave-del-crm')).status).toBe(403);
+      expect((await request(app).post('/api/360dialog/configure-webhook').set('Authorization', supervisor)).status).toBe(403);
+      expect((await request(app).post('/api/campaigns/42/send').set('Authorization', supervisor)).status).toBe(200);
+    });
+
+    test('debería tratar los roles heredados y rechazar los desconocidos', async () => {
+      const legacyUser = await request(app).get('/api/chat-live/conversations')
+        .set('Authorization', `Bearer ${tokenFor('user')}`);
+      const unknown = await request(app).get('/api/contacts')
+        .set('Authorization', `Bearer ${tokenFor('invitado')}`);
+
+      expect(legacyUser.status).toBe(200);
+      expect(unknown.status).toBe(403);
+    });
+
+    test('debería reservar al administrador las rutas no declaradas', async () => {
+      const adminResponse = await request(app).patch('/api/contacts/42')
+        .set('Authorization', `Bearer ${tokenFor('admin')}`);
+      const supervisorResponse = await request(app).patch('/api/contacts/42')
+        .set('Authorization', `Bearer ${tokenFor('supervisor')}`);
+
+      // Sin ruta en el router, el administrador llega al 404 de Express
+      expect(adminResponse.status).toBe(404);
+      expect(supervisorResponse.status).toBe(403);
+      expect(supervisorResponse.body.permission).toBe('*');
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Tests de autenticación de Socket.IO y salas por rol y agente
+ */
+
+import jwt from 'jsonwebtoken';
+import { createSocketAuthMiddleware, joinUserRooms } from '../socketAuth.middleware.js';
+import { emitToPermission, isReservedRoom, rolesWithPermission } from '../../services/auth/socketRooms.js';
+import { PERMISSIONS, ROLES } from '../../services/auth/permissions.js';
+import { SESSION_COOKIE, signSessionToken } from '../../services/auth/sessionTokens.js';
+
+const SECRET = 'secreto-de-pruebas';
+
+const createSocket = ({ auth = {}, headers = {} } = {}) => {
+  const rooms = [];
+  return {
+    handshake: { auth, headers },
+    request: { headers },
+    data: {},
+    rooms,
+    join: room => rooms.push(room)
+  };
+};
+
+const authenticate = (socket) => {
+  let result;
+  createSocketAuthMiddleware({ secret: SECRET })(socket, error => {
+    result = error || null;
+  });
+  return result;
+};
+
+describe('createSocketAuthMiddleware', () => {
+  const token = signSessionToken({ id: 7, username: 'ana', role: 'user' }, { secret: SECRET });
+
+  test('debería aceptar el token del handshake, la cabecera Bearer o la cookie de sesión', () => {
+    const sockets = [
+      createSocket({ auth: { token } }),
+      createSocket({ headers: { authorization: `Bearer ${token}` } }),
+      createSocket({ headers: { cookie: `otra=1; ${SESSION_COOKIE}=${token}` } })
+    ];
+
+    for (const socket of sockets) {
+      expect(authenticate(socket)).toBeNull();
+      expect(socket.data.user).toEqual({ id: 7, username: 'ana', role: 'user' });
+    }
+  });
+
+  test('debería rechazar el handshake sin sesión válida', () => {
+    const expired = jwt.sign({ role: 'agent' }, SECRET, { subject: '7', issuer: 'chatbot-api', expiresIn: -10 });
+
+    expect(authenticate(createSocket()).data.code).toBe('AUTH_REQUIRED');
+    expect(authenticate(createSocket({ auth: { token: 'no-es-un-jwt' } })).data.code).toBe('INVALID_TOKEN');
+    expect(authenticate(createSocket({ auth: { token: expired } })).data.code).toBe('SESSION_EXPIRED');
+  });
+
+  test('debería unir el socket a las salas de su rol y de su usuario', () => {
+    const socket = createSocket({ auth: { token } });
+    authenticate(socket);
+    joinUserRooms(socket);
+
+    expect(socket.rooms).toEqual(['role:agent', 'agent:7']);
+  });
+});
+
+describe('socketRooms', () => {
+  test('debería reservar las salas de rol y de agente', () => {
+    expect(isReservedRoom('role:admin')).toBe(true);
+    expect(isReservedRoom('agent:3')).toBe(true);
+    expect(isReservedRoom('conversation_573001112233')).toBe(false);
+  });
+
+  test('debería emitir solo a los roles con el permiso y a los agentes indicados', () => {
+    const emitted = [];
+    const io = { to: rooms => ({ emit: (event, payload) => emitted.push({ rooms, event, payload }) }) };
+
+    emitToPermission(io, PERMISSIONS.CONVERSATIONS_READ, 'conversation_assigned', { conversationId: 1 }, {
+      agentIds: [5, null]
+    });
+
+    expect(rolesWithPermission(PERMISSIONS.CONVERSATIONS_READ)).not.toContain(ROLES.INTEGRATION);
+    expect(emitted).toEqual([{
+      rooms: ['role:admin', 'role:supervisor', 'role:agent', 'role:viewer', 'agent:5'],
+      event: 'conversation_assigned',
+      payload: { conversationId: 1 }
+    }]);
+    expect(() => emitToPermission(null, PERMISSIONS.FLOWS_READ, 'flow_run_updated', {})).not.toThrow();
+  });
+});
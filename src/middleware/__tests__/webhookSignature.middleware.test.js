@@ -0,0 +1,159 @@
+/**
+ * Tests para el middleware de firma de webhooks
+ *
+ * Reproduce entregas capturadas de 360Dialog con firmas válidas y falsificadas
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import express from 'express';
+import request from 'supertest';
+import {
+  captureRawBody,
+  createWebhookSignatureMiddleware
+} from '../webhookSignature.middleware.js';
+import {
+  WebhookSignatureVerifier,
+  parseChannelModes
+} from '../../services/whatsapp/WebhookSignatureVerifier.js';
+
+const fixtures = JSON.parse(
+  fs.readFileSync(new URL('./fixtures/360dialog-webhooks.json', import.meta.url), 'utf8')
+);
+
+const SECRET = 'secreto-actual';
+const PREVIOUS_SECRET = 'secreto-anterior';
+const PRIMARY_CHANNEL = '109876543210987';
+const SECONDARY_CHANNEL = '209876543210988';
+
+const sign = (rawBody, secret = SECRET) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+
+const buildApp = (verifier) => {
+  const app = express();
+  app.use(express.json({ verify: captureRawBody }));
+  app.post('/webhooks', createWebhookSignatureMiddleware(verifier), (req, res) => {
+    res.json({ success: true, signature: req.webhookSignature });
+  });
+  return app;
+};
+
+const deliver = (app, rawBody, headers = {}) => request(app)
+  .post('/webhooks')
+  .set('Content-Type', 'application/json')
+  .set(headers)
+  .send(rawBody);
+
+describe('Webhook Signature Middleware', () => {
+  let verifier;
+  let app;
+
+  beforeEach(() => {
+    verifier = new WebhookSignatureVerifier({
+      secrets: [SECRET, PREVIOUS_SECRET],
+      defaultMode: 'strict',
+      channelModes: {}
+    });
+    app = buildApp(verifier);
+  });
+
+  test('debería aceptar entregas capturadas con firma válida', async () => {
+    for (const rawBody of [fixtures.textMessage, fixtures.statusUpdate]) {
+      const response = await deliver(app, rawBody, { 'X-Hub-Signature-256': sign(rawBody) });
+
+      expect(response.status).toBe(200);
+      expect(response.body.signature.valid).toBe(true);
+    }
+    expect(verifier.getMetrics().verified).toBe(2);
+  });
+
+  test('debería verificar sobre el cuerpo crudo y no sobre el JSON re-serializado', async () => {
+    const rawBody = fixtures.prettyPrinted;
+    expect(JSON.stringify(JSON.parse(rawBody))).not.toBe(rawBody);
+
+    const response = await deliver(app, rawBody, { 'X-Hub-Signature-256': sign(rawBody) });
+
+    expect(response.status).toBe(200);
+  });
+
+  test('debería aceptar la cabecera x-360dialog-signature sin prefijo', async () => {
+    const rawBody = fixtures.textMessage;
+    const signature = sign(rawBody).replace('sha256=', '');
+
+    const response = await deliver(app, rawBody, { 'X-360Dialog-Signature': signature });
+
+    expect(response.status).toBe(200);
+  });
+
+  test('debería rechazar con 401 un payload alterado', async () => {
+    const signature = sign(fixtures.textMessage);
+    const forged = fixtures.textMessage.replace('Medellín', 'Bogotá');
+
+    const response = await deliver(app, forged, { 'X-Hub-Signature-256': signature });
+
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({
+      success: false,
+      error: 'Firma del webhook inválida',
+      reason: 'invalid_signature'
+    });
+  });
+
+  test('debería rechazar firmas ausentes, malformadas o con otro secreto', async () => {
+    const rawBody = fixtures.statusUpdate;
+
+    const missing = await deliver(app, rawBody);
+    const malformed = await deliver(app, rawBody, { 'X-Hub-Signature-256': 'sha256=abc' });
+    const wrongSecret = await deliver(app, rawBody, { 'X-Hub-Signature-256': sign(rawBody, 'otro-secreto') });
+
+    expect(missing.body.reason).toBe('missing_signature');
+    expect(malformed.body.reason).toBe('malformed_signature');
+    expect(wrongSecret.body.reason).toBe('invalid_signature');
+
+    const metrics = verifier.getMetrics();
+    expect(metrics.rejected).toBe(3);
+    expect(metrics.byReason).toEqual({ missing_signature: 1, malformed_signature: 1, invalid_signature: 1 });
+    expect(metrics.byChannel[PRIMARY_CHANNEL].rejected).toBe(3);
+    expect(metrics.lastRejectedAt).not.toBeNull();
+  });
+
+  test('debería aceptar el secreto anterior durante la rotación', async () => {
+    const rawBody = fixtures.textMessage;
+
+    const response = await deliver(app, rawBody, { 'X-Hub-Signature-256': sign(rawBody, PREVIOUS_SECRET) });
+
+    expect(response.status).toBe(200);
+    expect(response.body.signature.secretIndex).toBe(1);
+  });
+
+  test('debería aplicar el modo permisivo solo al canal configurado', async () => {
+    verifier = new WebhookSignatureVerifier({
+      secrets: [SECRET],
+      defaultMode: 'strict',
+      channelModes: parseChannelModes(`${SECONDARY_CHANNEL}:permissive`)
+    });
+    app = buildApp(verifier);
+
+    const permissive = await deliver(app, fixtures.prettyPrinted, { 'X-Hub-Signature-256': sign('otro cuerpo') });
+    const strict = await deliver(app, fixtures.textMessage, { 'X-Hub-Signature-256': sign('otro cuerpo') });
+
+    expect(permissive.status).toBe(200);
+    expect(permissive.body.signature.mode).toBe('permissive');
+    expect(strict.status).toBe(401);
+
+    const metrics = verifier.getMetrics();
+    expect(metrics.acceptedUnverified).toBe(1);
+    expect(metrics.rejected).toBe(1);
+    expect(metrics.byChannel[SECONDARY_CHANNEL].acceptedUnverified).toBe(1);
+  });
+
+  test('debería rechazar todo en modo estricto si no hay secreto configurado', async () => {
+    verifier = new WebhookSignatureVerifier({ secrets: [], defaultMode: 'strict', channelModes: {} });
+    app = buildApp(verifier);
+
+    const response = await deliver(app, fixtures.textMessage, { 'X-Hub-Signature-256': sign(fixtures.textMessage) });
+
+    expect(response.status).toBe(401);
+    expect(response.body.reason).toBe('no_secret_configured');
+  });
+});
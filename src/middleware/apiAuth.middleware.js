@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Middleware de Autenticación y Permisos de la API
+ *
+ * Identifica al usuario de cada petición a /api (sesión JWT por cabecera
+ * Bearer o cookie, o clave de API de integración) y comprueba el permiso que
+ * la matriz de permissions.js exige a cada ruta de cada router montado.
+ * Todas las respuestas 401/403 comparten el formato { success, error, code }.
+ */
+
+import { accessControlService } from '../services/auth/AccessControlService.js';
+import { resolveRoutePermission, isDeclaredByOtherMount } from '../services/auth/permissions.js';
+import {
+  SESSION_COOKIE,
+  verifySessionToken,
+  parseIntegrationKeys,
+  findIntegrationKey
+} from '../services/auth/sessionTokens.js';
+
+// Rutas bajo /api accesibles sin sesión (los webhooks se verifican por firma)
+export const PUBLIC_API_PATHS = ['/auth/login', '/auth/logout', '/webhooks'];
+
+/**
+ * Responder un error de autenticación o autorización
+ */
+export const sendAuthError = (res, status, code, message, extra = {}) => res.status(status).json({
+  success: false,
+  error: message,
+  code,
+  ...extra
+});
+
+const isPublicPath = (path, publicPaths) =>
+  publicPaths.some(publicPath => path === publicPath || path.startsWith(`${publicPath}/`));
+
+const readBearerToken = (req) => {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+};
+
+/**
+ * Crear middleware de autenticación
+ * @param {Object} options
+ * @param {string[]} options.publicPaths - Rutas (relativas al montaje) sin autenticación
+ * @param {Array} options.integrationKeys - Claves de integración ya parseadas
+ * @param {Function} options.findUserByApiKey - Búsqueda de usuarios por su clave de API
+ * @param {string} options.secret - Secreto de firma (por defecto JWT_SECRET)
+ */
+export const createApiAuthMiddleware = ({
+  publicPaths = PUBLIC_API_PATHS,
+  integrationKeys = parseIntegrationKeys(),
+  findUserByApiKey = async () => null,
+  secret
+} = {}) => async (req, res, next) => {
+  if (isPublicPath(req.path, publicPaths)) {
+    return next();
+  }
+
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    try {
+      const principal = findIntegrationKey(apiKey, integrationKeys) || await findUserByApiKey(apiKey);
+      if (!principal) {
+        return sendAuthError(res, 401, 'INVALID_API_KEY', 'Clave de API inválida');
+      }
+      req.user = { ...principal, authMethod: 'api_key' };
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  const token = readBearerToken(req) || req.cookies?.[SESSION_COOKIE];
+  if (!token) {
+    return sendAuthError(res, 401, 'AUTH_REQUIRED', 'Autenticación requerida');
+  }
+
+  try {
+    req.user = { ...verifySessionToken(token, secret ? { secret } : {}), authMethod: 'session' };
+  } catch (error) {
+    return error.name === 'TokenExpiredError'
+      ? sendAuthError(res, 401, 'SESSION_EXPIRED', 'La sesión expiró, inicia sesión de nuevo')
+      : sendAuthError(res, 401, 'INVALID_TOKEN', 'Token de sesión inválido');
+  }
+
+  next();
+};
+
+/**
+ * Crear guardia de permisos para un punto de montaje de API_ROUTE_PERMISSIONS
+ * @param {string} mount - Punto de montaje ('/api/contacts')
+ * @param {Object} options
+ * @param {boolean} options.passUnlisted - Dejar pasar rutas no declaradas (routers montados en /api)
+ */
+export const createPermissionGuard = (mount, {
+  accessControl = accessControlService,
+  passUnlisted = false
+} = {}) => (req, res, next) => {
+  const { permission, route } = resolveRoutePermission(mount, req.method, req.path);
+
+  // Rutas que atiende otro router montado después: su guardia decide
+  if (!route && (passUnlisted || isDeclaredByOtherMount(mount, req.method, req.baseUrl + req.path))) {
+    return next();
+  }
+
+  if (!req.user) {
+    return sendAuthError(res, 401, 'AUTH_REQUIRED', 'Autenticación requerida');
+  }
+
+  if (!accessControl.can(req.user.role, permission)) {
+    return sendAuthError(res, 403, 'FORBIDDEN', 'No tienes permiso para realizar esta acción', {
+      permission,
+      role: req.user.role ?? null
+    });
+  }
+
+  req.permission = permission;
+  next();
+};
+
+export default createApiAuthMiddleware;
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Autenticación de Socket.IO
+ *
+ * Las conexiones usan la misma sesión que la API: token en handshake.auth,
+ * cabecera Bearer o cookie de sesión. Sin sesión válida se rechaza el
+ * handshake con el mismo código que devolvería la API (AUTH_REQUIRED,
+ * SESSION_EXPIRED o INVALID_TOKEN).
+ */
+
+import cookieParser from 'cookie-parser';
+import { normalizeRole } from '../services/auth/permissions.js';
+import { SESSION_COOKIE, verifySessionToken } from '../services/auth/sessionTokens.js';
+import { roleRoom, agentRoom } from '../services/auth/socketRooms.js';
+
+const parseCookies = cookieParser();
+
+const socketAuthError = (code, message) => {
+  const error = new Error(message);
+  error.data = { success: false, error: message, code };
+  return error;
+};
+
+const readHandshakeToken = (socket) => {
+  const { auth, headers } = socket.handshake;
+  if (auth?.token) {
+    return auth.token;
+  }
+
+  const match = (headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  if (match) {
+    return match[1];
+  }
+
+  const request = socket.request;
+  if (!request.cookies) {
+    parseCookies(request, {}, () => {});
+  }
+  return request.cookies?.[SESSION_COOKIE] || null;
+};
+
+/**
+ * Crear middleware de autenticación para io.use
+ * @param {Object} options
+ * @param {string} options.secret - Secreto de firma (por defecto JWT_SECRET)
+ */
+export const createSocketAuthMiddleware = ({ secret } = {}) => (socket, next) => {
+  const token = readHandshakeToken(socket);
+  if (!token) {
+    return next(socketAuthError('AUTH_REQUIRED', 'Autenticación requerida'));
+  }
+
+  try {
+    socket.data.user = verifySessionToken(token, secret ? { secret } : {});
+  } catch (error) {
+    return error.name === 'TokenExpiredError'
+      ? next(socketAuthError('SESSION_EXPIRED', 'La sesión expiró, inicia sesión de nuevo'))
+      : next(socketAuthError('INVALID_TOKEN', 'Token de sesión inválido'));
+  }
+
+  next();
+};
+
+/**
+ * Unir el socket a las salas de su rol y de su usuario
+ */
+export const joinUserRooms = (socket) => {
+  const { id, role } = socket.data.user || {};
+  const resolvedRole = normalizeRole(role);
+
+  if (resolvedRole) {
+    socket.join(roleRoom(resolvedRole));
+  }
+  if (id !== undefined && id !== null) {
+    socket.join(agentRoom(id));
+  }
+};
+
+export default createSocketAuthMiddleware;
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Middleware de Verificación de Firma de Webhooks
+ *
+ * Rechaza con 401 las entregas de 360Dialog cuya firma HMAC no coincide con el
+ * cuerpo crudo recibido (salvo que el canal esté en modo permisivo).
+ * Requiere que express.json guarde el cuerpo original en req.rawBody.
+ */
+
+import {
+  webhookSignatureVerifier,
+  extractChannelId,
+  SIGNATURE_HEADERS
+} from '../services/whatsapp/WebhookSignatureVerifier.js';
+
+/**
+ * Función `verify` para express.json que conserva el cuerpo crudo
+ */
+export const captureRawBody = (req, res, buf) => {
+  req.rawBody = Buffer.from(buf);
+};
+
+/**
+ * Obtener la firma de la primera cabecera soportada presente
+ */
+export const getSignatureHeader = (req) => {
+  for (const header of SIGNATURE_HEADERS) {
+    const value = req.get(header);
+    if (value) {
+      return value;
+    }
+  }
+  return null;
+};
+
+/**
+ * Crear middleware de verificación con un verificador concreto
+ */
+export const createWebhookSignatureMiddleware = (verifier = webhookSignatureVerifier) => (req, res, next) => {
+  const result = verifier.evaluate({
+    rawBody: req.rawBody,
+    signature: getSignatureHeader(req),
+    channelId: extractChannelId(req.body)
+  });
+
+  req.webhookSignature = result;
+
+  if (!result.accepted) {
+    return res.status(401).json({
+      success: false,
+      error: 'Firma del webhook inválida',
+      reason: result.reason
+    });
+  }
+
+  next();
+};
+
+export const verifyWebhookSignature = createWebhookSignatureMiddleware();
+
+export default verifyWebhookSignature;
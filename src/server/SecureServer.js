@@ -8,9 +8,13 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import helmet from 'helmet';
 import cors from 'cors';
+import cookieParser from 'cookie-parser';
 import { Server as SocketIOServer } from 'socket.io';
 import { createLogger } from '../services/core/core/logger.js';
 import SecurityManager from '../services/core/core/auth/SecurityManager.js';
+import { captureRawBody } from '../middleware/webhookSignature.middleware.js';
+import { createApiAuthMiddleware, createPermissionGuard } from '../middleware/apiAuth.middleware.js';
+import { createSocketAuthMiddleware, joinUserRooms } from '../middleware/socketAuth.middleware.js';
 
 // Importar rutas de API
 import chatLiveRoutes from '../api/routes/chat-live.js';
@@ -22,6 +26,35 @@ import customFieldsRouter, { initializeCustomFields } from '../api/routes/custom
 import templateApprovalsRouter from '../api/routes/template-approvals.js';
 import campaignTemplatesRouter from '../api/routes/campaign-templates.js';
 import campaignSendRouter from '../api/routes/campaign-send.js';
+import deliveryFailuresRouter from '../api/routes/delivery-failures.js';
+import suppressionRouter from '../api/routes/suppression.js';
+import flowRunsRouter from '../api/routes/flow-runs.js';
+import knowledgeBaseRouter from '../api/routes/knowledge-base.js';
+import cannedResponsesRouter from '../api/routes/canned-responses.js';
+import segmentsRouter from '../api/routes/segments.js';
+import channelsRouter from '../api/routes/channels.js';
+import authSessionRouter from '../api/routes/auth-session.js';
+import { conversationAssignmentService } from '../services/conversations/ConversationAssignmentService.js';
+import { messageWindowService } from '../services/whatsapp/MessageWindowService.js';
+import { deliveryFailureService } from '../services/whatsapp/DeliveryFailureService.js';
+import { campaignJobService } from '../services/campaigns/CampaignJobService.js';
+import { campaignAbTestService } from '../services/campaigns/CampaignAbTestService.js';
+import { suppressionService } from '../services/whatsapp/SuppressionService.js';
+import { contactImportService } from '../services/contacts/ContactImportService.js';
+import { contactMergeService } from '../services/contacts/ContactMergeService.js';
+import { flowRuntimeService } from '../services/flows/FlowRuntimeService.js';
+import { conversationHandoffService } from '../services/conversations/ConversationHandoffService.js';
+import { replySuggestionService } from '../services/conversations/ReplySuggestionService.js';
+import { knowledgeBaseService } from '../services/knowledge/KnowledgeBaseService.js';
+import { cannedResponseService } from '../services/conversations/CannedResponseService.js';
+import { segmentService } from '../services/contacts/SegmentService.js';
+import { messageReactionService } from '../services/conversations/MessageReactionService.js';
+import { conversationLifecycleService } from '../services/conversations/ConversationLifecycleService.js';
+import { templateLifecycleService } from '../services/whatsapp/TemplateLifecycleService.js';
+import { whatsAppChannelService } from '../services/whatsapp/WhatsAppChannelService.js';
+import { getSimulatorUrl } from '../integrations/360dialog/dialog360Endpoints.js';
+import { userAuthService } from '../services/auth/UserAuthService.js';
+import { isReservedRoom } from '../services/auth/socketRooms.js';
 
 const logger = createLogger('SECURE_SERVER');
 const __filename = fileURLToPath(import.meta.url);
@@ -79,8 +112,17 @@ class SecureServer {
   }
 
   setupMiddleware() {
-    this.app.use(express.json({ limit: '10mb' }));
+    this.app.use(express.json({
+      limit: '10mb',
+      // Los webhooks de 360Dialog se firman sobre el cuerpo original
+      verify: (req, res, buf) => {
+        if (/^\/(api\/)?webhooks(\/|$)/.test(req.originalUrl || req.url)) {
+          captureRawBody(req, res, buf);
+        }
+      }
+    }));
     this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+    this.app.use(cookieParser());
   }
 
   setupSocketIO() {
@@ -95,9 +137,13 @@ class SecureServer {
       // Hacer Socket.IO disponible en app.locals para servicios
       this.app.locals.io = this.io;
 
+      // Solo sesiones válidas (misma sesión que la API)
+      this.io.use(createSocketAuthMiddleware());
+
       // Configurar eventos básicos de Socket.IO
       this.io.on('connection', (socket) => {
-        logger.info(`🔌 Cliente conectado: ${socket.id}`);
+        logger.info(`🔌 Cliente conectado: ${socket.id} (usuario ${socket.data.user.id})`);
+        joinUserRooms(socket);
 
         socket.on('disconnect', () => {
           logger.info(`🔌 Cliente desconectado: ${socket.id}`);
@@ -105,11 +151,18 @@ class SecureServer {
 
         // Eventos básicos
         socket.on('join-room', (room) => {
+          // Las salas de rol y de agente las asigna el servidor
+          if (isReservedRoom(room)) {
+            return;
+          }
           socket.join(room);
           logger.debug(`Cliente ${socket.id} se unió a la sala: ${room}`);
         });
 
         socket.on('leave-room', (room) => {
+          if (isReservedRoom(room)) {
+            return;
+          }
           socket.leave(room);
           logger.debug(`Cliente ${socket.id} salió de la sala: ${room}`);
         });
@@ -133,9 +186,71 @@ class SecureServer {
     try {
       logger.info('📍 Registrando rutas de API...');
       
+      // Inicializar usuarios (inicio de sesión y claves de API)
+      await userAuthService.initialize();
+
       // Inicializar campos personalizados
       await initializeCustomFields();
-      
+
+      // Inicializar asignación de conversaciones a agentes
+      await conversationAssignmentService.initialize(this.io);
+
+      // Inicializar ventana de atención de 24h de WhatsApp
+      await messageWindowService.initialize();
+
+      // Inicializar columnas de códigos de error de entrega
+      await deliveryFailureService.initialize();
+
+      // Inicializar lista de supresión (opt-out)
+      await suppressionService.initialize();
+
+      // Inicializar importaciones de contactos (progreso vía Socket.IO)
+      await contactImportService.initialize(this.io);
+
+      // Inicializar cola de duplicados y combinaciones de contactos
+      await contactMergeService.initialize(this.io);
+
+      // Inicializar traspasos bot → agente (antes de los flujos: registra el paso human_handoff)
+      await conversationHandoffService.initialize(this.io);
+
+      // Inicializar sugerencias de respuesta de la IA para agentes
+      await replySuggestionService.initialize();
+
+      // Inicializar base de conocimiento del bot
+      await knowledgeBaseService.initialize();
+
+      // Inicializar respuestas predefinidas del chat en vivo
+      await cannedResponseService.initialize();
+
+      // Inicializar segmentos de contactos
+      await segmentService.initialize();
+
+      // Inicializar reacciones de los clientes a los mensajes
+      await messageReactionService.initialize();
+
+      // Inicializar historial de estado, categoría y calidad de plantillas (avisos vía Socket.IO)
+      await templateLifecycleService.initialize(this.io);
+
+      // Inicializar registro de números de WhatsApp (canales por número y WABA)
+      await whatsAppChannelService.initialize();
+
+      if (getSimulatorUrl()) {
+        logger.warn(`🧪 D360_SIMULATOR_URL activa: las llamadas a 360Dialog van al simulador ${getSimulatorUrl()}`);
+      }
+
+      // Reabrir pospuestos vencidos y resolver conversaciones inactivas
+      await conversationLifecycleService.start(this.io);
+
+      // Retomar flujos conversacionales y vigilar sus timeouts
+      await flowRuntimeService.start(this.io);
+
+      // Pruebas A/B de campañas: evaluar variantes y enviar la ganadora al resto
+      // (antes de los jobs, que leen las variantes al retomar envíos)
+      await campaignAbTestService.start();
+
+      // Retomar envíos de campañas interrumpidos por un reinicio
+      await campaignJobService.start();
+
       // Importar rutas de forma dinámica
       const dialog360Module = await import('../api/routes/360dialog.js');
       const dialog360Routes = dialog360Module.default;
@@ -143,8 +258,15 @@ class SecureServer {
       const webhooksModule = await import('../api/routes/webhooks.js');
       const webhookRoutes = webhooksModule.default;
       
-      // Registrar rutas de API
-      this.app.use('/api/360dialog', dialog360Routes);
+      // Autenticación de toda la API (salvo inicio de sesión y webhooks)
+      this.app.use('/api', createApiAuthMiddleware({
+        findUserByApiKey: apiKey => userAuthService.findByApiKey(apiKey)
+      }));
+      this.app.use('/api/auth', authSessionRouter);
+      logger.info('✅ Autenticación de API y rutas /api/auth registradas');
+      
+      // Registrar rutas de API (cada router con el permiso que exige cada ruta)
+      this.app.use('/api/360dialog', createPermissionGuard('/api/360dialog'), dialog360Routes);
       logger.info('✅ Rutas /api/360dialog registradas');
       
       this.app.use('/webhooks', webhookRoutes);
@@ -154,38 +276,67 @@ class SecureServer {
       logger.info('✅ Rutas /api/webhooks registradas');
       
       // Registrar rutas adicionales de API
-      this.app.use('/api/chat-live', chatLiveRoutes);
+      this.app.use('/api/chat-live', createPermissionGuard('/api/chat-live'), chatLiveRoutes);
       logger.info('✅ Rutas /api/chat-live registradas');
       
-      this.app.use('/api/contacts', contactRoutes);
+      this.app.use('/api/contacts', createPermissionGuard('/api/contacts'), contactRoutes);
       logger.info('✅ Rutas /api/contacts registradas');
       
-      this.app.use('/api/tags', tagsRoutes);
+      this.app.use('/api/tags', createPermissionGuard('/api/tags'), tagsRoutes);
       logger.info('✅ Rutas /api/tags registradas');
       
-      this.app.use('/api/campaigns', campaignsRouter);
+      this.app.use('/api/campaigns', createPermissionGuard('/api/campaigns'), campaignsRouter);
       logger.info('✅ Rutas /api/campaigns registradas');
       
-      this.app.use('/api/whatsapp', messageRoutes);
-      this.app.use('/api/v1/messages', messageRoutes);
+      this.app.use('/api/whatsapp', createPermissionGuard('/api/whatsapp'), messageRoutes);
+      this.app.use('/api/v1/messages', createPermissionGuard('/api/v1/messages'), messageRoutes);
       logger.info('✅ Rutas /api/whatsapp y /api/v1/messages registradas');
       
-      // Registrar rutas de campos personalizados
-      this.app.use('/api', customFieldsRouter);
+      // Registrar rutas de campos personalizados (montado en /api: solo se
+      // controlan sus propias rutas, el resto sigue hacia los demás routers)
+      this.app.use('/api', createPermissionGuard('/api', { passUnlisted: true }), customFieldsRouter);
       logger.info('✅ Rutas /api/custom-fields registradas');
       
       // Registrar rutas de aprobación de plantillas
-      this.app.use('/api/template-approvals', templateApprovalsRouter);
+      this.app.use('/api/template-approvals', createPermissionGuard('/api/template-approvals'), templateApprovalsRouter);
       logger.info('✅ Rutas /api/template-approvals registradas');
       
       // Registrar rutas de plantillas de campañas
-      this.app.use('/api/campaign-templates', campaignTemplatesRouter);
+      this.app.use('/api/campaign-templates', createPermissionGuard('/api/campaign-templates'), campaignTemplatesRouter);
       logger.info('✅ Rutas /api/campaign-templates registradas');
       
       // Registrar rutas de envío de campañas
-      this.app.use('/api/campaign-send', campaignSendRouter);
+      this.app.use('/api/campaign-send', createPermissionGuard('/api/campaign-send'), campaignSendRouter);
       logger.info('✅ Rutas /api/campaign-send registradas');
       
+      // Registrar rutas de análisis de fallos de entrega
+      this.app.use('/api/delivery-failures', createPermissionGuard('/api/delivery-failures'), deliveryFailuresRouter);
+      logger.info('✅ Rutas /api/delivery-failures registradas');
+      
+      // Registrar rutas de lista de supresión
+      this.app.use('/api/suppression', createPermissionGuard('/api/suppression'), suppressionRouter);
+      logger.info('✅ Rutas /api/suppression registradas');
+      
+      // Registrar rutas de ejecuciones de flujos
+      this.app.use('/api/flow-runs', createPermissionGuard('/api/flow-runs'), flowRunsRouter);
+      logger.info('✅ Rutas /api/flow-runs registradas');
+      
+      // Registrar rutas de la base de conocimiento del bot
+      this.app.use('/api/knowledge-base', createPermissionGuard('/api/knowledge-base'), knowledgeBaseRouter);
+      logger.info('✅ Rutas /api/knowledge-base registradas');
+      
+      // Registrar rutas de respuestas predefinidas
+      this.app.use('/api/canned-responses', createPermissionGuard('/api/canned-responses'), cannedResponsesRouter);
+      logger.info('✅ Rutas /api/canned-responses registradas');
+      
+      // Registrar rutas de segmentos de contactos
+      this.app.use('/api/segments', createPermissionGuard('/api/segments'), segmentsRouter);
+      logger.info('✅ Rutas /api/segments registradas');
+      
+      // Registrar rutas de canales (números de WhatsApp)
+      this.app.use('/api/channels', createPermissionGuard('/api/channels'), channelsRouter);
+      logger.info('✅ Rutas /api/channels registradas');
+      
       logger.info('✅ Todas las rutas de API configuradas correctamente');
     } catch (error) {
       logger.error('❌ Error configurando rutas de API:', error.message);
@@ -200,6 +351,10 @@ class SecureServer {
     });
     
     // Rutas específicas para páginas HTML
+    this.app.get('/login', (req, res) => {
+      res.sendFile(path.join(this.config.clientPath, 'login.html'));
+    });
+    
     this.app.get('/dashboard', (req, res) => {
       res.sendFile(path.join(this.config.clientPath, 'dashboard.html'));
     });
@@ -329,6 +484,8 @@ class SecureServer {
         logger.warn('⚠️ SecureServer no está en ejecución');
         return;
       }
+      campaignJobService.stop();
+      campaignAbTestService.stop();
       return new Promise((resolve, reject) => {
         this.httpServer.close((err) => {
           if (err) {
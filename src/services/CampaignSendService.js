@@ -7,6 +7,8 @@ import sqlite3 from 'sqlite3';
 import path from 'path';
 import { createLogger } from './core/core/logger.js';
 import Dialog360Service from './Dialog360Service.js';
+import { suppressionService, suppressionKey } from './whatsapp/SuppressionService.js';
+import { campaignAbTestService, CampaignAbTestError } from './campaigns/CampaignAbTestService.js';
 
 const logger = createLogger('CAMPAIGN_SEND_SERVICE');
 const DB_PATH = path.join(process.cwd(), 'data', 'database.sqlite');
@@ -122,6 +124,16 @@ class CampaignSendService {
         try {
             logger.info(`🚀 Iniciando envío de campaña ${campaignId} a ${recipients.length} destinatarios`);
 
+            // Este envío es directo y no reparte la audiencia entre variantes:
+            // las pruebas A/B solo se envían por /api/campaigns/:id/send
+            if (await campaignAbTestService.get(campaignId)) {
+                throw new CampaignAbTestError(
+                    'La campaña tiene una prueba A/B; envíela desde /api/campaigns/:id/send',
+                    'AB_TEST_UNSUPPORTED',
+                    409
+                );
+            }
+
             // Preparar campaña
             const prepared = await this.prepareCampaignForSend(campaignId, templateId, recipients);
 
@@ -129,11 +141,25 @@ class CampaignSendService {
                 total: recipients.length,
                 sent: 0,
                 failed: 0,
+                suppressed: 0,
                 messages: []
             };
 
+            // Excluir contactos dados de baja
+            const suppressedPhones = await suppressionService.getSuppressedSet(recipients.map(r => r.phone));
+
             // Enviar a cada destinatario
             for (const recipient of recipients) {
+                if (suppressedPhones.has(suppressionKey(recipient.phone))) {
+                    results.suppressed++;
+                    results.messages.push({
+                        recipient: recipient.phone,
+                        status: 'suppressed'
+                    });
+                    await this.logCampaignMessage(campaignId, recipient.id, 'suppressed', 'Contacto en la lista de supresión');
+                    continue;
+                }
+
                 try {
                     // Reemplazar variables si existen
                     const recipientVariables = this.replaceVariables(variables, recipient);
@@ -178,7 +204,7 @@ class CampaignSendService {
                 WHERE id = ?
             `, [results.sent, results.failed, campaignId]);
 
-            logger.info(`✅ Campaña completada: ${results.sent} enviados, ${results.failed} fallidos`);
+            logger.info(`✅ Campaña completada: ${results.sent} enviados, ${results.failed} fallidos, ${results.suppressed} suprimidos`);
 
             return {
                 success: true,
@@ -295,7 +321,8 @@ class CampaignSendService {
                     SUM(CASE WHEN status = 'sent' THEN 1 ELSE 0 END) as sent,
                     SUM(CASE WHEN status = 'delivered' THEN 1 ELSE 0 END) as delivered,
                     SUM(CASE WHEN status = 'read' THEN 1 ELSE 0 END) as read,
-                    SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed
+                    SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed,
+                    SUM(CASE WHEN status = 'suppressed' THEN 1 ELSE 0 END) as suppressed
                 FROM campaign_messages
                 WHERE campaign_id = ?
             `, [campaignId]);
@@ -307,7 +334,8 @@ class CampaignSendService {
                     sent: stats?.sent || 0,
                     delivered: stats?.delivered || 0,
                     read: stats?.read || 0,
-                    failed: stats?.failed || 0
+                    failed: stats?.failed || 0,
+                    suppressed: stats?.suppressed || 0
                 }
             };
         } catch (error) {
@@ -206,6 +206,22 @@ class DatabaseService {
     return count > 0;
   }
 
+  /**
+   * Agregar columna si no existe (migración idempotente)
+   */
+  async addColumnIfMissing(table, column, definition) {
+    try {
+      await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      this.logger.info(`✅ Columna ${column} agregada a ${table}`);
+      return true;
+    } catch (error) {
+      if (error.message.includes('duplicate column name')) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
   /**
    * Obtener estadísticas de la base de datos
    */
@@ -9,6 +9,7 @@ import path from 'path';
 import axios from 'axios';
 import sqlite3 from 'sqlite3';
 import { createLogger } from './core/core/logger.js';
+import { resolveDialog360Url } from '../integrations/360dialog/dialog360Endpoints.js';
 
 const logger = createLogger('MEDIA_MANAGER');
 
@@ -18,7 +19,7 @@ const UPLOADS_DIR = path.join(process.cwd(), 'public', 'uploads');
 class MediaManager {
   constructor() {
     this.dialog360ApiKey = process.env.D360_API_KEY;
-    this.dialog360BaseUrl = process.env.D360_API_BASE || 'https://waba-v2.360dialog.io';
+    this.dialog360BaseUrl = resolveDialog360Url(process.env.D360_API_BASE || 'https://waba-v2.360dialog.io');
     this.initialized = false;
   }
 
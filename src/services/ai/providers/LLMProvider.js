@@ -0,0 +1,261 @@
+/**
+ * LLMProvider - Base de los proveedores de modelos de lenguaje
+ *
+ * Cada proveedor solo define cómo armar la petición y leer la respuesta de su
+ * API; aquí se resuelven el timeout, los reintentos, el circuit breaker, el
+ * streaming de tokens y el consumo de tokens de forma común.
+ */
+
+import axios from 'axios';
+import { CircuitBreaker } from '../circuit-breaker/CircuitBreaker.js';
+import { normalizeUsage } from './llmConfig.js';
+
+export class LLMProviderError extends Error {
+  constructor(message, code = 'LLM_PROVIDER_ERROR', statusCode = 502) {
+    super(message);
+    this.name = 'LLMProviderError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Leer un stream de bytes línea por línea
+ */
+export async function* readLines(stream) {
+  let buffer = '';
+  for await (const chunk of stream) {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      yield buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+    }
+  }
+  if (buffer) {
+    yield buffer;
+  }
+}
+
+export class LLMProvider {
+  /**
+   * @param {Object} config - Entrada de parseLLMConfig().providers
+   * @param {Object} [options]
+   * @param {Object} [options.http] - Cliente HTTP (axios por defecto)
+   */
+  constructor(config = {}, { http = axios } = {}) {
+    this.type = config.type;
+    this.baseURL = config.baseURL;
+    this.apiKey = config.apiKey || null;
+    this.timeout = config.timeout ?? 30000;
+    this.retries = config.retries ?? 1;
+    this.retryDelay = config.retryDelay ?? 1000;
+    this.http = http;
+    this.circuitBreaker = new CircuitBreaker({
+      failureThreshold: config.failureThreshold,
+      recoveryTimeout: config.recoveryTimeout
+    });
+  }
+
+  /**
+   * Completar un chat
+   * @param {Object} request
+   * @param {Array<{role: string, content: string}>} request.messages
+   * @param {string} request.model
+   * @param {number} [request.maxTokens]
+   * @param {number} [request.temperature]
+   * @param {number} [request.timeout] - Sobrescribe el timeout del proveedor
+   * @returns {Promise<{text: string, model: string, provider: string, usage: Object}>}
+   */
+  async complete(request) {
+    this.assertAvailable();
+
+    try {
+      const result = await this.withRetries(() => this.send(request));
+      this.circuitBreaker.recordSuccess();
+      return {
+        text: result.text,
+        model: result.model || request.model,
+        provider: this.type,
+        usage: normalizeUsage(result.usage, { messages: request.messages, text: result.text })
+      };
+    } catch (error) {
+      this.circuitBreaker.recordFailure();
+      throw error;
+    }
+  }
+
+  /**
+   * Completar un chat token a token
+   *
+   * Emite { type: 'token', token } por cada fragmento y al final
+   * { type: 'done', text, model, provider, usage }. Solo se reintenta la
+   * conexión: una vez emitidos tokens un fallo corta el stream.
+   */
+  async *stream(request) {
+    this.assertAvailable();
+
+    let text = '';
+    let usage = {};
+    let model = request.model;
+    try {
+      const events = await this.withRetries(() => this.openStream(request));
+      for await (const event of events) {
+        if (event.usage) usage = event.usage;
+        if (event.model) model = event.model;
+        if (event.token) {
+          text += event.token;
+          yield { type: 'token', token: event.token };
+        }
+      }
+      this.circuitBreaker.recordSuccess();
+    } catch (error) {
+      this.circuitBreaker.recordFailure();
+      throw error;
+    }
+
+    yield {
+      type: 'done',
+      text,
+      model,
+      provider: this.type,
+      usage: normalizeUsage(usage, { messages: request.messages, text })
+    };
+  }
+
+  /**
+   * Petición sin streaming
+   * @returns {Promise<{text: string, model?: string, usage?: Object}>}
+   */
+  async send(request) {
+    const { url, body } = this.buildRequest(request, { stream: false });
+    try {
+      const response = await this.http.post(url, body, this.requestOptions(request));
+      const result = this.parseResponse(response.data);
+      if (typeof result?.text !== 'string') {
+        throw new LLMProviderError(`Respuesta inválida de ${this.type}`, 'INVALID_RESPONSE', 502);
+      }
+      return { ...result, text: result.text.trim() };
+    } catch (error) {
+      throw this.toProviderError(error);
+    }
+  }
+
+  /**
+   * Abrir la petición en streaming
+   * @returns {Promise<AsyncIterable<{token?: string, usage?: Object, model?: string}>>}
+   */
+  async openStream(request) {
+    const { url, body } = this.buildRequest(request, { stream: true });
+    let response;
+    try {
+      response = await this.http.post(url, body, { ...this.requestOptions(request), responseType: 'stream' });
+    } catch (error) {
+      throw this.toProviderError(error);
+    }
+
+    const provider = this;
+    return (async function* () {
+      for await (const line of readLines(response.data)) {
+        const event = provider.parseStreamLine(line);
+        if (event) {
+          yield event;
+          if (event.done) return;
+        }
+      }
+    })();
+  }
+
+  requestOptions(request) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return { timeout: request.timeout || this.timeout, headers };
+  }
+
+  async withRetries(operation) {
+    let attempt = 0;
+    for (;;) {
+      try {
+        return await operation();
+      } catch (error) {
+        if (attempt >= this.retries || !error.retryable) {
+          throw error;
+        }
+        attempt++;
+        await sleep(this.retryDelay * attempt);
+      }
+    }
+  }
+
+  assertAvailable() {
+    if (!this.circuitBreaker.canExecute()) {
+      throw new LLMProviderError(`El proveedor ${this.type} está suspendido tras fallos repetidos`, 'CIRCUIT_OPEN', 503);
+    }
+  }
+
+  /**
+   * Convertir errores de red/HTTP en LLMProviderError (marcando los reintentables)
+   */
+  toProviderError(error) {
+    if (error instanceof LLMProviderError) {
+      return error;
+    }
+
+    let providerError;
+    const status = error.response?.status;
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      providerError = new LLMProviderError(`Timeout esperando a ${this.type}`, 'TIMEOUT', 504);
+      providerError.retryable = true;
+    } else if (status) {
+      providerError = new LLMProviderError(`${this.type} respondió HTTP ${status}`, 'HTTP_ERROR', 502);
+      providerError.retryable = RETRYABLE_STATUS.has(status);
+      providerError.providerStatus = status;
+    } else {
+      providerError = new LLMProviderError(`${this.type} no disponible: ${error.message}`, 'UNAVAILABLE', 503);
+      providerError.retryable = true;
+    }
+    return providerError;
+  }
+
+  getStatus() {
+    return {
+      type: this.type,
+      baseURL: this.baseURL,
+      timeout: this.timeout,
+      retries: this.retries,
+      circuitBreaker: this.circuitBreaker.getState()
+    };
+  }
+
+  /**
+   * @abstract
+   * @returns {{url: string, body: Object}}
+   */
+  buildRequest() {
+    throw new Error(`${this.constructor.name} debe implementar buildRequest()`);
+  }
+
+  /**
+   * @abstract
+   * @returns {{text: string, model?: string, usage?: {promptTokens?: number, completionTokens?: number}}}
+   */
+  parseResponse() {
+    throw new Error(`${this.constructor.name} debe implementar parseResponse()`);
+  }
+
+  /**
+   * @abstract
+   * @returns {{token?: string, done?: boolean, model?: string, usage?: Object}|null}
+   */
+  parseStreamLine() {
+    throw new Error(`${this.constructor.name} debe implementar parseStreamLine()`);
+  }
+}
+
+export default LLMProvider;
@@ -0,0 +1,184 @@
+/**
+ * LLMService - Punto de entrada único a los modelos de lenguaje
+ *
+ * Enruta cada petición según su tarea (generación o clasificación) al
+ * proveedor y modelo configurados, crea los proveedores bajo demanda y lleva
+ * la cuenta de tokens consumidos por tarea, proveedor y modelo.
+ */
+
+import { createLogger } from '../../core/core/logger.js';
+import { LLM_TASKS, PROVIDER_TYPES, parseLLMConfig } from './llmConfig.js';
+import { LLMProviderError } from './LLMProvider.js';
+import { OpenAICompatibleProvider } from './OpenAICompatibleProvider.js';
+import { OllamaProvider } from './OllamaProvider.js';
+import { LlamaCppProvider } from './LlamaCppProvider.js';
+import { MockLLMProvider } from './MockLLMProvider.js';
+
+const logger = createLogger('LLM_SERVICE');
+
+const PROVIDER_CLASSES = {
+  [PROVIDER_TYPES.OPENAI]: OpenAICompatibleProvider,
+  [PROVIDER_TYPES.OLLAMA]: OllamaProvider,
+  [PROVIDER_TYPES.LLAMA_CPP]: LlamaCppProvider,
+  [PROVIDER_TYPES.MOCK]: MockLLMProvider
+};
+
+const emptyCounters = () => ({
+  requests: 0,
+  errors: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0,
+  estimatedRequests: 0
+});
+
+export class LLMService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.config] - Resultado de parseLLMConfig (por defecto el del entorno)
+   * @param {Object} [options.http] - Cliente HTTP para los proveedores (axios por defecto)
+   */
+  constructor({ config = parseLLMConfig(process.env), http } = {}) {
+    this.config = config;
+    this.http = http;
+    this.providers = new Map();
+    this.usage = new Map();
+  }
+
+  /**
+   * Proveedor por tipo (se crea la primera vez que se usa)
+   */
+  getProvider(type) {
+    if (!this.providers.has(type)) {
+      const ProviderClass = PROVIDER_CLASSES[type];
+      if (!ProviderClass) {
+        throw new LLMProviderError(`Proveedor LLM desconocido: ${type}`, 'UNKNOWN_PROVIDER', 500);
+      }
+      this.providers.set(type, new ProviderClass(this.config.providers[type], this.http ? { http: this.http } : undefined));
+    }
+    return this.providers.get(type);
+  }
+
+  /**
+   * Reemplazar un proveedor (p. ej. un MockLLMProvider con respuestas fijas en tests)
+   */
+  registerProvider(type, provider) {
+    this.providers.set(type, provider);
+    return provider;
+  }
+
+  /**
+   * Proveedor y modelo de una tarea; la petición puede forzar cualquiera de los dos
+   * @returns {{task: string, provider: string, model: string}}
+   */
+  resolveRoute(task = LLM_TASKS.GENERATION, { provider = null, model = null } = {}) {
+    const route = this.config.routes[task];
+    if (!route) {
+      throw new LLMProviderError(`Tarea LLM desconocida: ${task}`, 'UNKNOWN_TASK', 400);
+    }
+    return {
+      task,
+      provider: provider || route.provider,
+      model: model || route.model
+    };
+  }
+
+  /**
+   * Completar un chat con el proveedor de la tarea
+   * @param {Object} request
+   * @param {string} [request.task] - generation | classification
+   * @param {Array<{role: string, content: string}>} request.messages
+   * @param {number} [request.maxTokens]
+   * @param {number} [request.temperature]
+   * @param {number} [request.timeout]
+   * @param {string} [request.provider] - Forzar proveedor
+   * @param {string} [request.model] - Forzar modelo
+   * @returns {Promise<{text: string, task: string, provider: string, model: string, usage: Object, latencyMs: number}>}
+   */
+  async complete({ task, provider, model, ...request }) {
+    const route = this.resolveRoute(task, { provider, model });
+    const startedAt = Date.now();
+
+    try {
+      const result = await this.getProvider(route.provider).complete({ ...request, model: route.model });
+      this.recordUsage(route, result.usage);
+      return { ...result, task: route.task, latencyMs: Date.now() - startedAt };
+    } catch (error) {
+      this.recordError(route);
+      logger.warn(`⚠️ Fallo del proveedor ${route.provider} (${route.task}): ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Completar un chat en streaming (ver LLMProvider.stream)
+   */
+  async *stream({ task, provider, model, ...request }) {
+    const route = this.resolveRoute(task, { provider, model });
+
+    try {
+      for await (const event of this.getProvider(route.provider).stream({ ...request, model: route.model })) {
+        if (event.type === 'done') {
+          this.recordUsage(route, event.usage);
+          yield { ...event, task: route.task };
+        } else {
+          yield event;
+        }
+      }
+    } catch (error) {
+      this.recordError(route);
+      logger.warn(`⚠️ Fallo del stream de ${route.provider} (${route.task}): ${error.message}`);
+      throw error;
+    }
+  }
+
+  countersFor({ task, provider, model }) {
+    const key = `${task}|${provider}|${model}`;
+    if (!this.usage.has(key)) {
+      this.usage.set(key, { task, provider, model, ...emptyCounters() });
+    }
+    return this.usage.get(key);
+  }
+
+  recordUsage(route, usage) {
+    const counters = this.countersFor(route);
+    counters.requests++;
+    counters.promptTokens += usage.promptTokens;
+    counters.completionTokens += usage.completionTokens;
+    counters.totalTokens += usage.totalTokens;
+    if (usage.estimated) counters.estimatedRequests++;
+  }
+
+  recordError(route) {
+    this.countersFor(route).errors++;
+  }
+
+  /**
+   * Tokens consumidos desde el arranque, en total y por tarea/proveedor/modelo
+   */
+  getUsage() {
+    const routes = [...this.usage.values()].map(counters => ({ ...counters }));
+    const total = emptyCounters();
+    for (const counters of routes) {
+      for (const key of Object.keys(total)) {
+        total[key] += counters[key];
+      }
+    }
+    return { total, routes };
+  }
+
+  resetUsage() {
+    this.usage.clear();
+  }
+
+  getStatus() {
+    return {
+      routes: this.config.routes,
+      providers: [...this.providers.values()].map(provider => provider.getStatus()),
+      usage: this.getUsage()
+    };
+  }
+}
+
+export const llmService = new LLMService();
+export default LLMService;
@@ -0,0 +1,50 @@
+/**
+ * LlamaCppProvider - API nativa del servidor de llama.cpp (/completion)
+ *
+ * El endpoint de completado recibe un prompt plano: los mensajes se envían
+ * en formato ChatML, que es la plantilla de la mayoría de modelos instruct.
+ */
+
+import { LLMProvider } from './LLMProvider.js';
+import { parseSseLine, toChatMLPrompt } from './llmConfig.js';
+
+const CHATML_STOP = ['<|im_end|>', '<|im_start|>'];
+
+const usageOf = data => ({
+  promptTokens: data?.tokens_evaluated ?? data?.timings?.prompt_n,
+  completionTokens: data?.tokens_predicted ?? data?.timings?.predicted_n
+});
+
+export class LlamaCppProvider extends LLMProvider {
+  buildRequest({ messages, maxTokens, temperature }, { stream }) {
+    const body = {
+      prompt: toChatMLPrompt(messages),
+      stop: CHATML_STOP,
+      stream,
+      cache_prompt: true
+    };
+    if (maxTokens !== undefined) body.n_predict = maxTokens;
+    if (temperature !== undefined) body.temperature = temperature;
+
+    return { url: `${this.baseURL}/completion`, body };
+  }
+
+  parseResponse(data) {
+    return {
+      text: data?.content,
+      model: data?.model,
+      usage: usageOf(data)
+    };
+  }
+
+  parseStreamLine(line) {
+    const data = parseSseLine(line);
+    if (!data || data === '[DONE]') return data ? { done: true } : null;
+
+    return data.stop
+      ? { token: data.content || '', done: true, model: data.model, usage: usageOf(data) }
+      : { token: data.content || '' };
+  }
+}
+
+export default LlamaCppProvider;
@@ -0,0 +1,98 @@
+/**
+ * MockLLMProvider - Proveedor determinista para tests y desarrollo sin modelo
+ *
+ * Responde siempre lo mismo ante la misma petición y no hace llamadas de red.
+ * Las respuestas se configuran por texto contenido en el último mensaje del
+ * usuario o con una función; sin configuración devuelve un eco del mensaje.
+ */
+
+import { LLMProvider, LLMProviderError } from './LLMProvider.js';
+import { PROVIDER_TYPES } from './llmConfig.js';
+
+const countWords = text => String(text ?? '').split(/\s+/).filter(Boolean).length;
+
+export class MockLLMProvider extends LLMProvider {
+  /**
+   * @param {Object} [config] - Entrada de parseLLMConfig().providers
+   * @param {Object} [options]
+   * @param {Object<string, string>|Function} [options.responses] - { 'texto buscado': 'respuesta' } o (request) => respuesta
+   * @param {string} [options.defaultResponse] - Respuesta si nada coincide (por defecto un eco)
+   */
+  constructor(config = {}, { responses = {}, defaultResponse = null } = {}) {
+    super({ retries: 0, retryDelay: 0, ...config, type: PROVIDER_TYPES.MOCK });
+    this.responses = responses;
+    this.defaultResponse = defaultResponse;
+    this.calls = [];
+    this.pendingFailures = [];
+  }
+
+  /**
+   * Hacer fallar las próximas peticiones (para probar reintentos y circuit breaker)
+   */
+  failNext(count = 1, { code = 'UNAVAILABLE', retryable = true } = {}) {
+    for (let i = 0; i < count; i++) {
+      this.pendingFailures.push({ code, retryable });
+    }
+    return this;
+  }
+
+  respond(request) {
+    const lastUser = [...(request.messages || [])].reverse().find(message => message.role === 'user');
+    const prompt = lastUser?.content || '';
+
+    if (typeof this.responses === 'function') {
+      return String(this.responses(request));
+    }
+    const key = Object.keys(this.responses).find(candidate => prompt.includes(candidate));
+    if (key !== undefined) {
+      return this.responses[key];
+    }
+    return this.defaultResponse ?? `[mock:${request.model}] ${prompt}`;
+  }
+
+  takeFailure() {
+    const failure = this.pendingFailures.shift();
+    if (failure) {
+      const error = new LLMProviderError('Fallo simulado del proveedor mock', failure.code, 503);
+      error.retryable = failure.retryable;
+      throw error;
+    }
+  }
+
+  async send(request) {
+    this.calls.push({ ...request, stream: false });
+    this.takeFailure();
+
+    const text = this.respond(request);
+    return {
+      text,
+      model: request.model,
+      usage: {
+        promptTokens: (request.messages || []).reduce((total, message) => total + countWords(message.content), 0),
+        completionTokens: countWords(text)
+      }
+    };
+  }
+
+  async openStream(request) {
+    const { text, model, usage } = await this.send(request);
+    this.calls[this.calls.length - 1].stream = true;
+
+    // Un token por palabra, conservando los espacios
+    const tokens = text.match(/\S+\s*|\s+/g) || [];
+    return (async function* () {
+      for (const token of tokens) {
+        yield { token };
+      }
+      yield { done: true, model, usage };
+    })();
+  }
+
+  reset() {
+    this.calls = [];
+    this.pendingFailures = [];
+    this.circuitBreaker.reset();
+  }
+}
+
+export default MockLLMProvider;
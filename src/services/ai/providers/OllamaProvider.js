@@ -0,0 +1,50 @@
+/**
+ * OllamaProvider - API nativa de Ollama (/api/chat)
+ *
+ * El streaming llega como NDJSON y el consumo de tokens en el último
+ * mensaje (prompt_eval_count / eval_count).
+ */
+
+import { LLMProvider, LLMProviderError } from './LLMProvider.js';
+import { parseJsonLine } from './llmConfig.js';
+
+const usageOf = data => ({
+  promptTokens: data?.prompt_eval_count,
+  completionTokens: data?.eval_count
+});
+
+export class OllamaProvider extends LLMProvider {
+  buildRequest({ messages, model, maxTokens, temperature }, { stream }) {
+    const options = {};
+    if (maxTokens !== undefined) options.num_predict = maxTokens;
+    if (temperature !== undefined) options.temperature = temperature;
+
+    return {
+      url: `${this.baseURL}/api/chat`,
+      body: { model, messages, stream, options }
+    };
+  }
+
+  parseResponse(data) {
+    return {
+      text: data?.message?.content,
+      model: data?.model,
+      usage: usageOf(data)
+    };
+  }
+
+  parseStreamLine(line) {
+    const data = parseJsonLine(line);
+    if (!data) return null;
+
+    if (data.error) {
+      throw new LLMProviderError(`ollama: ${data.error}`, 'PROVIDER_ERROR', 502);
+    }
+
+    return data.done
+      ? { token: data.message?.content || '', done: true, model: data.model, usage: usageOf(data) }
+      : { token: data.message?.content || '', model: data.model };
+  }
+}
+
+export default OllamaProvider;
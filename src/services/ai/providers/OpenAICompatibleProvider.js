@@ -0,0 +1,52 @@
+/**
+ * OpenAICompatibleProvider - API /v1/chat/completions
+ *
+ * Sirve para LM Studio, vLLM, el modo OpenAI de llama.cpp y cualquier
+ * servidor compatible con OpenAI.
+ */
+
+import { LLMProvider } from './LLMProvider.js';
+import { parseSseLine } from './llmConfig.js';
+
+export class OpenAICompatibleProvider extends LLMProvider {
+  buildRequest({ messages, model, maxTokens, temperature }, { stream }) {
+    const body = {
+      model,
+      messages,
+      stream
+    };
+    if (maxTokens !== undefined) body.max_tokens = maxTokens;
+    if (temperature !== undefined) body.temperature = temperature;
+    if (stream) body.stream_options = { include_usage: true };
+
+    return { url: `${this.baseURL}/v1/chat/completions`, body };
+  }
+
+  parseResponse(data) {
+    return {
+      text: data?.choices?.[0]?.message?.content,
+      model: data?.model,
+      usage: {
+        promptTokens: data?.usage?.prompt_tokens,
+        completionTokens: data?.usage?.completion_tokens
+      }
+    };
+  }
+
+  parseStreamLine(line) {
+    const data = parseSseLine(line);
+    if (!data) return null;
+    if (data === '[DONE]') return { done: true };
+
+    const event = { token: data.choices?.[0]?.delta?.content || '', model: data.model };
+    if (data.usage) {
+      event.usage = {
+        promptTokens: data.usage.prompt_tokens,
+        completionTokens: data.usage.completion_tokens
+      };
+    }
+    return event;
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,243 @@
+/**
+ * Tests para la capa de proveedores LLM
+ */
+
+import { Readable } from 'stream';
+import { PROVIDER_TYPES, LLM_TASKS, parseLLMConfig, normalizeUsage, toChatMLPrompt } from '../llmConfig.js';
+import { OpenAICompatibleProvider } from '../OpenAICompatibleProvider.js';
+import { OllamaProvider } from '../OllamaProvider.js';
+import { LlamaCppProvider } from '../LlamaCppProvider.js';
+import { MockLLMProvider } from '../MockLLMProvider.js';
+import { LLMService } from '../LLMService.js';
+
+const messages = [
+  { role: 'system', content: 'Eres un asistente' },
+  { role: 'user', content: 'Hola mundo' }
+];
+
+// Cliente HTTP falso: guarda la petición y devuelve la respuesta indicada
+const fakeHttp = (reply) => {
+  const http = {
+    requests: [],
+    async post(url, body, options) {
+      http.requests.push({ url, body, options });
+      return reply(url, body, options);
+    }
+  };
+  return http;
+};
+
+const collect = async (iterable) => {
+  const events = [];
+  for await (const event of iterable) {
+    events.push(event);
+  }
+  return events;
+};
+
+const providerConfig = (type, overrides = {}) => ({ ...parseLLMConfig({}).providers[type], retryDelay: 0, ...overrides });
+
+describe('llmProviders', () => {
+  describe('parseLLMConfig', () => {
+    test('debería mantener la configuración existente de LM Studio', () => {
+      const config = parseLLMConfig({
+        AI_ENDPOINT: 'http://ia.local:1234/v1/chat/completions',
+        AI_MODEL: 'qwen2.5',
+        AI_API_KEY: 'clave'
+      });
+
+      expect(config.providers.openai).toMatchObject({ baseURL: 'http://ia.local:1234', apiKey: 'clave', timeout: 30000 });
+      expect(config.routes).toEqual({
+        generation: { provider: 'openai', model: 'qwen2.5' },
+        classification: { provider: 'openai', model: 'qwen2.5' }
+      });
+    });
+
+    test('debería enrutar cada tarea a su proveedor y modelo', () => {
+      const config = parseLLMConfig({
+        LLM_PROVIDER: 'ollama',
+        LLM_MODEL: 'llama3.1:8b',
+        LLM_CLASSIFICATION_PROVIDER: 'llamacpp',
+        LLM_CLASSIFICATION_MODEL: 'phi3-mini',
+        LLM_TIMEOUT_MS: '20000',
+        LLM_OLLAMA_TIMEOUT_MS: '60000'
+      });
+
+      expect(config.routes[LLM_TASKS.GENERATION]).toEqual({ provider: 'ollama', model: 'llama3.1:8b' });
+      expect(config.routes[LLM_TASKS.CLASSIFICATION]).toEqual({ provider: 'llamacpp', model: 'phi3-mini' });
+      expect(config.providers.ollama.timeout).toBe(60000);
+      expect(config.providers.llamacpp.timeout).toBe(20000);
+    });
+  });
+
+  describe('normalizeUsage', () => {
+    test('debería estimar los tokens que el proveedor no informa', () => {
+      expect(normalizeUsage({ promptTokens: 10 }, { text: '12345678' })).toEqual({
+        promptTokens: 10,
+        completionTokens: 2,
+        totalTokens: 12,
+        estimated: true
+      });
+    });
+  });
+
+  describe('OpenAICompatibleProvider', () => {
+    test('debería completar con /v1/chat/completions y leer el consumo', async () => {
+      const http = fakeHttp(() => ({
+        data: { model: 'local', choices: [{ message: { content: ' Hola ' } }], usage: { prompt_tokens: 7, completion_tokens: 1 } }
+      }));
+      const provider = new OpenAICompatibleProvider(providerConfig('openai', { apiKey: 'k' }), { http });
+
+      const result = await provider.complete({ messages, model: 'local', maxTokens: 50 });
+
+      expect(http.requests[0].url).toBe('http://localhost:1234/v1/chat/completions');
+      expect(http.requests[0].body).toMatchObject({ model: 'local', messages, max_tokens: 50, stream: false });
+      expect(http.requests[0].options.headers.Authorization).toBe('Bearer k');
+      expect(result).toEqual({
+        text: 'Hola',
+        model: 'local',
+        provider: PROVIDER_TYPES.OPENAI,
+        usage: { promptTokens: 7, completionTokens: 1, totalTokens: 8, estimated: false }
+      });
+    });
+
+    test('debería emitir los tokens del stream SSE', async () => {
+      const sse = [
+        'data: {"choices":[{"delta":{"content":"Ho"}}]}\n\n',
+        'data: {"choices":[{"delta":{"content":"la"}}]}\n\ndata: {"choices":[],"usage":{"prompt_tokens":5,"completion_tokens":2}}\n\n',
+        'data: [DONE]\n\n'
+      ];
+      const http = fakeHttp(() => ({ data: Readable.from(sse) }));
+      const provider = new OpenAICompatibleProvider(providerConfig('openai'), { http });
+
+      const events = await collect(provider.stream({ messages, model: 'local' }));
+
+      expect(http.requests[0].options.responseType).toBe('stream');
+      expect(events.filter(event => event.type === 'token').map(event => event.token)).toEqual(['Ho', 'la']);
+      expect(events.at(-1)).toMatchObject({ type: 'done', text: 'Hola', usage: { promptTokens: 5, completionTokens: 2 } });
+    });
+
+    test('debería reintentar errores transitorios y no los de cliente', async () => {
+      let calls = 0;
+      const http = fakeHttp(() => {
+        calls++;
+        if (calls === 1) throw Object.assign(new Error('reset'), { code: 'ECONNRESET' });
+        if (calls === 2) throw Object.assign(new Error('bad'), { response: { status: 400 } });
+        return { data: { choices: [{ message: { content: 'ok' } }] } };
+      });
+      const provider = new OpenAICompatibleProvider(providerConfig('openai', { retries: 3 }), { http });
+
+      await expect(provider.complete({ messages, model: 'local' })).rejects.toMatchObject({ code: 'HTTP_ERROR' });
+      expect(calls).toBe(2);
+    });
+  });
+
+  describe('OllamaProvider', () => {
+    test('debería usar /api/chat y leer el stream NDJSON', async () => {
+      const ndjson = [
+        '{"model":"llama3","message":{"content":"Buen"},"done":false}\n',
+        '{"model":"llama3","message":{"content":"os días"},"done":false}\n{"model":"llama3","message":{"content":""},"done":true,"prompt_eval_count":9,"eval_count":3}\n'
+      ];
+      const http = fakeHttp(() => ({ data: Readable.from(ndjson) }));
+      const provider = new OllamaProvider(providerConfig('ollama'), { http });
+
+      const events = await collect(provider.stream({ messages, model: 'llama3', maxTokens: 20, temperature: 0.2 }));
+
+      expect(http.requests[0].url).toBe('http://localhost:11434/api/chat');
+      expect(http.requests[0].body).toEqual({ model: 'llama3', messages, stream: true, options: { num_predict: 20, temperature: 0.2 } });
+      expect(events.at(-1)).toMatchObject({
+        type: 'done',
+        text: 'Buenos días',
+        usage: { promptTokens: 9, completionTokens: 3, totalTokens: 12, estimated: false }
+      });
+    });
+  });
+
+  describe('LlamaCppProvider', () => {
+    test('debería enviar el chat en ChatML a /completion', async () => {
+      const http = fakeHttp(() => ({ data: { content: 'Listo', tokens_evaluated: 12, tokens_predicted: 2 } }));
+      const provider = new LlamaCppProvider(providerConfig('llamacpp'), { http });
+
+      const result = await provider.complete({ messages, model: 'ignorado', maxTokens: 30 });
+
+      expect(http.requests[0].url).toBe('http://localhost:8080/completion');
+      expect(http.requests[0].body).toMatchObject({ prompt: toChatMLPrompt(messages), n_predict: 30, stream: false });
+      expect(toChatMLPrompt(messages)).toBe(
+        '<|im_start|>system\nEres un asistente<|im_end|>\n<|im_start|>user\nHola mundo<|im_end|>\n<|im_start|>assistant\n'
+      );
+      expect(result.usage).toMatchObject({ promptTokens: 12, completionTokens: 2 });
+    });
+  });
+
+  describe('MockLLMProvider', () => {
+    test('debería responder de forma determinista', async () => {
+      const provider = new MockLLMProvider({}, { responses: { mundo: 'Respuesta fija' } });
+
+      const first = await provider.complete({ messages, model: 'mock' });
+      const second = await provider.complete({ messages, model: 'mock' });
+      const echo = await provider.complete({ messages: [{ role: 'user', content: 'otra cosa' }], model: 'mock' });
+
+      expect(first).toEqual(second);
+      expect(first.text).toBe('Respuesta fija');
+      expect(first.usage).toEqual({ promptTokens: 5, completionTokens: 2, totalTokens: 7, estimated: false });
+      expect(echo.text).toBe('[mock:mock] otra cosa');
+      expect(provider.calls).toHaveLength(3);
+    });
+
+    test('debería abrir el circuit breaker tras fallos repetidos', async () => {
+      const provider = new MockLLMProvider({ failureThreshold: 2, recoveryTimeout: 60000 });
+      provider.failNext(2);
+
+      await expect(provider.complete({ messages, model: 'mock' })).rejects.toMatchObject({ code: 'UNAVAILABLE' });
+      await expect(provider.complete({ messages, model: 'mock' })).rejects.toMatchObject({ code: 'UNAVAILABLE' });
+      await expect(provider.complete({ messages, model: 'mock' })).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+      expect(provider.calls).toHaveLength(2);
+    });
+  });
+
+  describe('LLMService', () => {
+    const config = parseLLMConfig({
+      LLM_PROVIDER: 'mock',
+      LLM_MODEL: 'grande',
+      LLM_CLASSIFICATION_MODEL: 'pequeño'
+    });
+
+    test('debería enrutar por tarea y contar los tokens', async () => {
+      const service = new LLMService({ config });
+      const mock = service.registerProvider(PROVIDER_TYPES.MOCK, new MockLLMProvider({}, { defaultResponse: 'positivo' }));
+
+      const classification = await service.complete({ task: LLM_TASKS.CLASSIFICATION, messages });
+      await service.complete({ messages });
+
+      expect(classification).toMatchObject({ text: 'positivo', task: 'classification', model: 'pequeño', provider: 'mock' });
+      expect(mock.calls.map(call => call.model)).toEqual(['pequeño', 'grande']);
+      expect(service.getUsage().total).toEqual({
+        requests: 2,
+        errors: 0,
+        promptTokens: 10,
+        completionTokens: 2,
+        totalTokens: 12,
+        estimatedRequests: 0
+      });
+      expect(service.getUsage().routes.map(route => route.model)).toEqual(['pequeño', 'grande']);
+    });
+
+    test('debería contar el consumo del stream y los errores', async () => {
+      const service = new LLMService({ config });
+      const mock = service.registerProvider(PROVIDER_TYPES.MOCK, new MockLLMProvider({}, { defaultResponse: 'uno dos tres' }));
+
+      const events = await collect(service.stream({ messages }));
+      mock.failNext(1, { retryable: false });
+      await expect(service.complete({ messages })).rejects.toMatchObject({ code: 'UNAVAILABLE' });
+
+      expect(events.filter(event => event.type === 'token').map(event => event.token)).toEqual(['uno ', 'dos ', 'tres']);
+      expect(events.at(-1)).toMatchObject({ type: 'done', task: 'generation', text: 'uno dos tres' });
+      expect(service.getUsage().total).toMatchObject({ requests: 1, errors: 1, completionTokens: 3 });
+    });
+
+    test('debería rechazar tareas desconocidas', () => {
+      const service = new LLMService({ config });
+      expect(() => service.resolveRoute('traduccion')).toThrow('Tarea LLM desconocida: traduccion');
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Configuración de la capa de proveedores LLM
+ *
+ * Lógica pura compartida por los proveedores y LLMService: tipos de proveedor,
+ * tareas con su propio modelo, lectura de la configuración del entorno
+ * (compatible con AI_ENDPOINT / AI_MODEL / LM_STUDIO_URL), normalización del
+ * consumo de tokens y lectura de las líneas de una respuesta en streaming.
+ */
+
+export const PROVIDER_TYPES = Object.freeze({
+  OPENAI: 'openai',
+  OLLAMA: 'ollama',
+  LLAMA_CPP: 'llamacpp',
+  MOCK: 'mock'
+});
+
+// Cada tarea puede ir a un proveedor y modelo distintos
+export const LLM_TASKS = Object.freeze({
+  GENERATION: 'generation',
+  CLASSIFICATION: 'classification'
+});
+
+const DEFAULT_BASE_URLS = {
+  [PROVIDER_TYPES.OPENAI]: 'http://localhost:1234',
+  [PROVIDER_TYPES.OLLAMA]: 'http://localhost:11434',
+  [PROVIDER_TYPES.LLAMA_CPP]: 'http://localhost:8080',
+  [PROVIDER_TYPES.MOCK]: null
+};
+
+const ENV_PREFIXES = {
+  [PROVIDER_TYPES.OPENAI]: 'LLM_OPENAI',
+  [PROVIDER_TYPES.OLLAMA]: 'LLM_OLLAMA',
+  [PROVIDER_TYPES.LLAMA_CPP]: 'LLM_LLAMACPP',
+  [PROVIDER_TYPES.MOCK]: 'LLM_MOCK'
+};
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const trimSlash = value => String(value).replace(/\/+$/, '');
+
+/**
+ * URL base del servidor compatible con OpenAI (AI_ENDPOINT apunta a /v1/chat/completions)
+ */
+function openAIBaseURL(env) {
+  if (env.LLM_OPENAI_BASE_URL) return trimSlash(env.LLM_OPENAI_BASE_URL);
+  if (env.AI_ENDPOINT) return trimSlash(env.AI_ENDPOINT).replace(/\/v1\/chat\/completions$/, '');
+  if (env.LM_STUDIO_URL) return trimSlash(env.LM_STUDIO_URL);
+  return DEFAULT_BASE_URLS[PROVIDER_TYPES.OPENAI];
+}
+
+/**
+ * Leer la configuración de los proveedores y del enrutado por tarea
+ *
+ * - LLM_PROVIDER / LLM_MODEL: proveedor y modelo por defecto
+ * - LLM_<TAREA>_PROVIDER / LLM_<TAREA>_MODEL: enrutado de cada tarea
+ * - LLM_<PROVEEDOR>_BASE_URL / _API_KEY: conexión de cada proveedor
+ * - LLM_TIMEOUT_MS, LLM_RETRIES, LLM_RETRY_DELAY_MS, LLM_FAILURE_THRESHOLD,
+ *   LLM_RECOVERY_TIMEOUT_MS: valores comunes, sobrescribibles por proveedor
+ *   (LLM_OLLAMA_TIMEOUT_MS, ...)
+ * @returns {{providers: Object<string, Object>, routes: Object<string, {provider: string, model: string}>}}
+ */
+export function parseLLMConfig(env = {}) {
+  const defaultProvider = Object.values(PROVIDER_TYPES).includes(env.LLM_PROVIDER) ? env.LLM_PROVIDER : PROVIDER_TYPES.OPENAI;
+  const defaultModel = env.LLM_MODEL || env.AI_MODEL || 'local-model';
+
+  const shared = {
+    timeout: toInt(env.LLM_TIMEOUT_MS, 30000),
+    retries: Math.max(toInt(env.LLM_RETRIES, 1), 0),
+    retryDelay: Math.max(toInt(env.LLM_RETRY_DELAY_MS, 1000), 0),
+    failureThreshold: Math.max(toInt(env.LLM_FAILURE_THRESHOLD, 5), 1),
+    recoveryTimeout: Math.max(toInt(env.LLM_RECOVERY_TIMEOUT_MS, 60000), 0)
+  };
+
+  const providers = {};
+  for (const type of Object.values(PROVIDER_TYPES)) {
+    const prefix = ENV_PREFIXES[type];
+    providers[type] = {
+      type,
+      baseURL: type === PROVIDER_TYPES.OPENAI
+        ? openAIBaseURL(env)
+        : (env[`${prefix}_BASE_URL`] ? trimSlash(env[`${prefix}_BASE_URL`]) : DEFAULT_BASE_URLS[type]),
+      apiKey: env[`${prefix}_API_KEY`] || (type === PROVIDER_TYPES.OPENAI ? env.AI_API_KEY || env.LM_STUDIO_API_KEY || null : null),
+      timeout: toInt(env[`${prefix}_TIMEOUT_MS`], shared.timeout),
+      retries: Math.max(toInt(env[`${prefix}_RETRIES`], shared.retries), 0),
+      retryDelay: shared.retryDelay,
+      failureThreshold: shared.failureThreshold,
+      recoveryTimeout: shared.recoveryTimeout
+    };
+  }
+
+  const routes = {};
+  routes[LLM_TASKS.GENERATION] = {
+    provider: Object.values(PROVIDER_TYPES).includes(env.LLM_GENERATION_PROVIDER) ? env.LLM_GENERATION_PROVIDER : defaultProvider,
+    model: env.LLM_GENERATION_MODEL || defaultModel
+  };
+  // La clasificación usa el modelo de generación salvo que se configure uno más ligero
+  routes[LLM_TASKS.CLASSIFICATION] = {
+    provider: Object.values(PROVIDER_TYPES).includes(env.LLM_CLASSIFICATION_PROVIDER)
+      ? env.LLM_CLASSIFICATION_PROVIDER
+      : routes[LLM_TASKS.GENERATION].provider,
+    model: env.LLM_CLASSIFICATION_MODEL || routes[LLM_TASKS.GENERATION].model
+  };
+
+  return { providers, routes };
+}
+
+/**
+ * Estimación de tokens cuando el proveedor no informa el consumo (~4 caracteres por token)
+ */
+export function estimateTokens(text) {
+  const length = String(text ?? '').length;
+  return length === 0 ? 0 : Math.ceil(length / 4);
+}
+
+/**
+ * Consumo de tokens en un formato común
+ * @param {{promptTokens?: number, completionTokens?: number}} reported - Lo que informó el proveedor
+ * @param {{messages: Array<{content: string}>, text: string}} fallback - Para estimar lo que falte
+ * @returns {{promptTokens: number, completionTokens: number, totalTokens: number, estimated: boolean}}
+ */
+export function normalizeUsage(reported = {}, { messages = [], text = '' } = {}) {
+  const hasPrompt = Number.isFinite(reported.promptTokens);
+  const hasCompletion = Number.isFinite(reported.completionTokens);
+  const promptTokens = hasPrompt ? reported.promptTokens : estimateTokens(messages.map(message => message.content).join('\n'));
+  const completionTokens = hasCompletion ? reported.completionTokens : estimateTokens(text);
+
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    estimated: !hasPrompt || !hasCompletion
+  };
+}
+
+/**
+ * Línea de un stream SSE ("data: {...}")
+ * @returns {Object|'[DONE]'|null} null si la línea no trae datos
+ */
+export function parseSseLine(line) {
+  const match = String(line).match(/^data:\s?(.*)$/);
+  if (!match) return null;
+
+  const payload = match[1].trim();
+  if (payload === '[DONE]') return payload;
+  if (!payload) return null;
+
+  try {
+    return JSON.parse(payload);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Línea de un stream NDJSON (Ollama)
+ * @returns {Object|null}
+ */
+export function parseJsonLine(line) {
+  const payload = String(line).trim();
+  if (!payload) return null;
+
+  try {
+    return JSON.parse(payload);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Prompt en formato ChatML para endpoints de completado sin plantilla de chat (llama.cpp /completion)
+ */
+export function toChatMLPrompt(messages = []) {
+  const turns = messages.map(message => `<|im_start|>${message.role}\n${message.content}<|im_end|>`);
+  return `${turns.join('\n')}\n<|im_start|>assistant\n`;
+}
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Control de acceso por roles de la API
+ *
+ * Carga la matriz de permissions.js en el AuthorizationManager del núcleo
+ * (roles, comodines 'contacts:*', caché y registro de accesos) y responde si un
+ * rol puede ejecutar un permiso.
+ */
+
+import AuthorizationManager from '../core/core/auth/AuthorizationManager.js';
+import { ROLES, ROLE_PERMISSIONS, normalizeRole } from './permissions.js';
+
+// Los permisos se asignan a un principal por rol, no por usuario
+const rolePrincipal = role => `role:${role}`;
+
+export class AccessControlService {
+  constructor(rolePermissions = ROLE_PERMISSIONS) {
+    this.rolePermissions = rolePermissions;
+    this.manager = new AuthorizationManager({ audit: { enabled: false } });
+    // El temporizador de limpieza no debe mantener vivo el proceso
+    this.manager.cleanupTimer?.unref?.();
+
+    for (const [role, permissions] of Object.entries(rolePermissions)) {
+      if (role === ROLES.ADMIN) {
+        // El rol admin ya existe y hereda '*' de superadmin
+        this.manager.assignRole(rolePrincipal(role), 'admin');
+        continue;
+      }
+      this.manager.createRole({ name: role, description: `Rol de API: ${role}`, permissions });
+      this.manager.assignRole(rolePrincipal(role), role);
+    }
+  }
+
+  /**
+   * ¿Puede el rol ejecutar el permiso?
+   * @param {string} role - Rol del usuario (admite alias heredados como 'user')
+   * @param {string} permission - Permiso 'recurso:acción' o '*'
+   */
+  can(role, permission) {
+    const resolved = normalizeRole(role);
+    if (!resolved || !permission) {
+      return false;
+    }
+    return this.manager.hasPermission(rolePrincipal(resolved), permission).granted === true;
+  }
+
+  /**
+   * Permisos declarados para un rol (para la sesión del cliente)
+   */
+  permissionsFor(role) {
+    const resolved = normalizeRole(role);
+    return resolved ? [...this.rolePermissions[resolved]] : [];
+  }
+}
+
+export const accessControlService = new AccessControlService();
+export default AccessControlService;
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Servicio de Credenciales de Usuarios
+ *
+ * Valida usuario/contraseña contra la tabla users y resuelve las claves de
+ * API personales (users.api_key) para el middleware de autenticación.
+ */
+
+import bcrypt from 'bcrypt';
+import { getDatabaseService } from '../DatabaseService.js';
+import { createLogger } from '../core/core/logger.js';
+import { normalizeRole } from './permissions.js';
+
+const logger = createLogger('USER_AUTH');
+
+class UserAuthService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.isInitialized = false;
+  }
+
+  /**
+   * Asegurar la tabla de usuarios
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return this;
+    }
+
+    try {
+      await this.db.initialize();
+
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username VARCHAR(50) UNIQUE NOT NULL,
+          email VARCHAR(100) UNIQUE NOT NULL,
+          password_hash TEXT NOT NULL,
+          role VARCHAR(20) DEFAULT 'user',
+          api_key TEXT UNIQUE,
+          is_active BOOLEAN DEFAULT 1,
+          last_login DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      this.isInitialized = true;
+      logger.info('✅ UserAuthService inicializado');
+      return this;
+    } catch (error) {
+      logger.error('❌ Error inicializando UserAuthService:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Datos públicos de un usuario con su rol efectivo
+   */
+  toSessionUser(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      role: normalizeRole(user.role)
+    };
+  }
+
+  /**
+   * Validar credenciales por nombre de usuario o email
+   * @returns {Object|null} Usuario de sesión, o null si no son válidas
+   */
+  async verifyCredentials(login, password) {
+    await this.initialize();
+
+    if (!login || !password) {
+      return null;
+    }
+
+    const user = await this.db.get(
+      'SELECT * FROM users WHERE (username = ? OR email = ?) AND is_active = 1',
+      [login, login]
+    );
+    if (!user || !user.password_hash || !normalizeRole(user.role)) {
+      return null;
+    }
+
+    // Los scripts de creación de administrador guardan el hash de contraseña + salt
+    const candidate = user.salt ? `${password}${user.salt}` : password;
+    const valid = await bcrypt.compare(candidate, user.password_hash);
+    if (!valid) {
+      return null;
+    }
+
+    await this.db.run('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+    return this.toSessionUser(user);
+  }
+
+  /**
+   * Resolver la clave de API personal de un usuario activo
+   */
+  async findByApiKey(apiKey) {
+    await this.initialize();
+
+    const user = await this.db.get(
+      'SELECT id, username, email, role FROM users WHERE api_key = ? AND is_active = 1',
+      [apiKey]
+    );
+    return user && normalizeRole(user.role) ? this.toSessionUser(user) : null;
+  }
+
+  /**
+   * Usuario activo por ID (sesión actual)
+   */
+  async getActiveUser(userId) {
+    await this.initialize();
+
+    const user = await this.db.get(
+      'SELECT id, username, email, role FROM users WHERE id = ? AND is_active = 1',
+      [userId]
+    );
+    return user ? this.toSessionUser(user) : null;
+  }
+}
+
+export const userAuthService = new UserAuthService();
+export default UserAuthService;
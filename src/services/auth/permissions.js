@@ -0,0 +1,384 @@
+/**
+ * @fileoverview Matriz de permisos de la API
+ *
+ * Lógica pura compartida por el control de acceso, el middleware y los tests:
+ * catálogo de permisos, permisos de cada rol y permiso requerido por cada ruta
+ * de los routers montados en SecureServer.
+ */
+
+export const PERMISSIONS = Object.freeze({
+  CONVERSATIONS_READ: 'conversations:read',
+  CONVERSATIONS_REPLY: 'conversations:reply',
+  CONVERSATIONS_ASSIGN: 'conversations:assign',
+  CONTACTS_READ: 'contacts:read',
+  CONTACTS_WRITE: 'contacts:write',
+  CONTACTS_DELETE: 'contacts:delete',
+  CONTACTS_IMPORT: 'contacts:import',
+  CONTACTS_EXPORT: 'contacts:export',
+  CONTACTS_MERGE: 'contacts:merge',
+  TAGS_READ: 'tags:read',
+  TAGS_ASSIGN: 'tags:assign',
+  TAGS_MANAGE: 'tags:manage',
+  CUSTOM_FIELDS_READ: 'custom_fields:read',
+  CUSTOM_FIELDS_MANAGE: 'custom_fields:manage',
+  CAMPAIGNS_READ: 'campaigns:read',
+  CAMPAIGNS_WRITE: 'campaigns:write',
+  CAMPAIGNS_SEND: 'campaigns:send',
+  TEMPLATES_READ: 'templates:read',
+  TEMPLATES_WRITE: 'templates:write',
+  TEMPLATES_APPROVE: 'templates:approve',
+  MESSAGES_SEND: 'messages:send',
+  SUPPRESSION_READ: 'suppression:read',
+  SUPPRESSION_WRITE: 'suppression:write',
+  FLOWS_READ: 'flows:read',
+  FLOWS_RUN: 'flows:run',
+  KNOWLEDGE_READ: 'knowledge:read',
+  KNOWLEDGE_MANAGE: 'knowledge:manage',
+  CANNED_RESPONSES_READ: 'canned_responses:read',
+  CANNED_RESPONSES_WRITE: 'canned_responses:write',
+  CANNED_RESPONSES_MANAGE: 'canned_responses:manage',
+  ANALYTICS_READ: 'analytics:read',
+  WHATSAPP_READ: 'whatsapp:read',
+  WHATSAPP_CONFIGURE: 'whatsapp:configure'
+});
+
+export const ROLES = Object.freeze({
+  ADMIN: 'admin',
+  SUPERVISOR: 'supervisor',
+  AGENT: 'agent',
+  VIEWER: 'viewer',
+  INTEGRATION: 'integration'
+});
+
+// Roles que ya existen en la tabla users (valor por defecto 'user')
+const ROLE_ALIASES = {
+  superadmin: ROLES.ADMIN,
+  user: ROLES.AGENT
+};
+
+// Rutas no declaradas en la matriz: solo el administrador
+export const UNLISTED_ROUTE_PERMISSION = '*';
+
+const P = PERMISSIONS;
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+export const ROLE_PERMISSIONS = Object.freeze({
+  [ROLES.ADMIN]: ['*'],
+  [ROLES.SUPERVISOR]: ALL_PERMISSIONS.filter(permission => permission !== P.WHATSAPP_CONFIGURE),
+  [ROLES.AGENT]: [
+    P.CONVERSATIONS_READ, P.CONVERSATIONS_REPLY, P.CONVERSATIONS_ASSIGN,
+    P.CONTACTS_READ, P.CONTACTS_WRITE,
+    P.TAGS_READ, P.TAGS_ASSIGN,
+    P.CUSTOM_FIELDS_READ,
+    P.CAMPAIGNS_READ,
+    P.TEMPLATES_READ,
+    P.MESSAGES_SEND,
+    P.SUPPRESSION_READ,
+    P.FLOWS_READ, P.FLOWS_RUN,
+    P.KNOWLEDGE_READ,
+    P.CANNED_RESPONSES_READ, P.CANNED_RESPONSES_WRITE,
+    P.WHATSAPP_READ
+  ],
+  [ROLES.VIEWER]: ALL_PERMISSIONS.filter(permission => permission.endsWith(':read')),
+  [ROLES.INTEGRATION]: [
+    P.CONTACTS_READ, P.CONTACTS_WRITE, P.CONTACTS_IMPORT,
+    P.TAGS_READ, P.TAGS_ASSIGN,
+    P.CUSTOM_FIELDS_READ,
+    P.CAMPAIGNS_READ, P.CAMPAIGNS_SEND,
+    P.TEMPLATES_READ,
+    P.MESSAGES_SEND,
+    P.SUPPRESSION_READ, P.SUPPRESSION_WRITE,
+    P.FLOWS_READ, P.FLOWS_RUN
+  ]
+});
+
+/**
+ * Rol efectivo de un usuario (null si no es un rol conocido)
+ */
+export function normalizeRole(role) {
+  const value = String(role || '').trim().toLowerCase();
+  const resolved = ROLE_ALIASES[value] || value;
+  return Object.values(ROLES).includes(resolved) ? resolved : null;
+}
+
+const messageRoutes = [
+  ['POST', '/send', P.MESSAGES_SEND],
+  ['POST', '/', P.MESSAGES_SEND],
+  ['GET', '/status/:messageId', P.MESSAGES_SEND],
+  ['GET', '/test', P.WHATSAPP_READ]
+];
+
+/**
+ * Permiso requerido por cada ruta, agrupado por punto de montaje.
+ * Las rutas se resuelven por método y por el patrón más específico.
+ */
+export const API_ROUTE_PERMISSIONS = Object.freeze({
+  '/api/360dialog': [
+    ['GET', '/status', P.WHATSAPP_READ],
+    ['GET', '/templates', P.WHATSAPP_READ],
+    ['GET', '/webhook-status', P.WHATSAPP_READ],
+    ['GET', '/flows', P.WHATSAPP_READ],
+    ['GET', '/health', P.WHATSAPP_READ],
+    ['POST', '/configure-webhook', P.WHATSAPP_CONFIGURE]
+  ],
+  '/api/chat-live': [
+    ['GET', '/conversations', P.CONVERSATIONS_READ],
+    ['POST', '/conversations', P.CONVERSATIONS_REPLY],
+    ['GET', '/conversations/:id', P.CONVERSATIONS_READ],
+    ['PUT', '/conversations/:id', P.CONVERSATIONS_REPLY],
+    ['GET', '/conversations/:id/messages', P.CONVERSATIONS_READ],
+    ['POST', '/conversations/:id/messages', P.CONVERSATIONS_REPLY],
+    ['GET', '/conversations/:id/window', P.CONVERSATIONS_READ],
+    ['GET', '/media-library', P.CONVERSATIONS_READ],
+    ['GET', '/conversations/:id/assignment', P.CONVERSATIONS_READ],
+    ['POST', '/conversations/:id/assign', P.CONVERSATIONS_ASSIGN],
+    ['POST', '/conversations/:id/unassign', P.CONVERSATIONS_ASSIGN],
+    ['POST', '/conversations/:id/transfer', P.CONVERSATIONS_ASSIGN],
+    ['GET', '/handoffs', P.CONVERSATIONS_READ],
+    ['POST', '/handoffs/:id/accept', P.CONVERSATIONS_ASSIGN],
+    ['GET', '/conversations/:id/bot-mode', P.CONVERSATIONS_READ],
+    ['POST', '/conversations/:id/handoff', P.CONVERSATIONS_REPLY],
+    ['POST', '/conversations/:id/return-to-bot', P.CONVERSATIONS_REPLY],
+    ['POST', '/conversations/:id/suggestions', P.CONVERSATIONS_REPLY],
+    ['GET', '/conversations/:id/summary', P.CONVERSATIONS_READ],
+    ['POST', '/conversations/:id/resolve', P.CONVERSATIONS_REPLY],
+    ['POST', '/conversations/:id/snooze', P.CONVERSATIONS_REPLY],
+    ['POST', '/conversations/:id/pending', P.CONVERSATIONS_REPLY],
+    ['POST', '/conversations/:id/reopen', P.CONVERSATIONS_REPLY],
+    ['GET', '/conversations/:id/status-history', P.CONVERSATIONS_READ],
+    ['GET', '/lifecycle/stats', P.ANALYTICS_READ],
+    ['POST', '/suggestions/:id/dismiss', P.CONVERSATIONS_REPLY],
+    ['GET', '/suggestions/stats', P.ANALYTICS_READ],
+    ['GET', '/messages/by-phone/:phone', P.CONVERSATIONS_READ],
+    ['GET', '/agents', P.CONVERSATIONS_READ],
+    ['GET', '/stats', P.CONVERSATIONS_READ],
+    ['POST', '/typing', P.CONVERSATIONS_REPLY],
+    ['GET', '/contacts/:phone', P.CONTACTS_READ],
+    ['GET', '/contacts/:phone/flow', P.FLOWS_READ],
+    ['POST', '/contacts/:phone/flow/cancel', P.FLOWS_RUN],
+    ['GET', '/media-proxy', P.CONVERSATIONS_READ],
+    ['POST', '/mark-conversation-read', P.CONVERSATIONS_READ],
+    ['POST', '/mark-messages-read', P.CONVERSATIONS_READ],
+    ['POST', '/update-contact', P.CONTACTS_WRITE]
+  ],
+  '/api/contacts': [
+    ['GET', '/', P.CONTACTS_READ],
+    ['POST', '/', P.CONTACTS_WRITE],
+    ['GET', '/groups', P.CONTACTS_READ],
+    ['GET', '/export', P.CONTACTS_EXPORT],
+    ['GET', '/duplicates', P.CONTACTS_READ],
+    ['POST', '/duplicates/scan', P.CONTACTS_MERGE],
+    ['POST', '/duplicates/:candidateId/merge', P.CONTACTS_MERGE],
+    ['POST', '/duplicates/:candidateId/dismiss', P.CONTACTS_MERGE],
+    ['POST', '/merge', P.CONTACTS_MERGE],
+    ['GET', '/merges', P.CONTACTS_READ],
+    ['POST', '/merges/:mergeId/undo', P.CONTACTS_MERGE],
+    ['GET', '/tags', P.TAGS_READ],
+    ['POST', '/tags', P.TAGS_MANAGE],
+    ['GET', '/tags/folders', P.TAGS_READ],
+    ['GET', '/tags/contact/:contactId', P.TAGS_READ],
+    ['POST', '/import', P.CONTACTS_IMPORT],
+    ['POST', '/import/upload', P.CONTACTS_IMPORT],
+    ['GET', '/import/:importId', P.CONTACTS_IMPORT],
+    ['POST', '/import/:importId/dry-run', P.CONTACTS_IMPORT],
+    ['POST', '/import/:importId/commit', P.CONTACTS_IMPORT],
+    ['GET', '/:id', P.CONTACTS_READ],
+    ['PUT', '/:id', P.CONTACTS_WRITE],
+    ['DELETE', '/:id', P.CONTACTS_DELETE],
+    ['GET', '/:id/custom-fields', P.CONTACTS_READ]
+  ],
+  '/api/tags': [
+    ['GET', '/', P.TAGS_READ],
+    ['POST', '/', P.TAGS_MANAGE],
+    ['GET', '/folders', P.TAGS_READ],
+    ['DELETE', '/:tagId', P.TAGS_MANAGE],
+    ['GET', '/contact/:contactId', P.TAGS_READ],
+    ['POST', '/contact/:contactId', P.TAGS_ASSIGN],
+    ['DELETE', '/contact/:contactId/:tagId', P.TAGS_ASSIGN]
+  ],
+  '/api/campaigns': [
+    ['GET', '/', P.CAMPAIGNS_READ],
+    ['POST', '/', P.CAMPAIGNS_WRITE],
+    ['POST', '/preview-recipients', P.CAMPAIGNS_READ],
+    ['GET', '/template/:templateId/variables', P.TEMPLATES_READ],
+    ['POST', '/template/:templateId/validate-variables', P.TEMPLATES_READ],
+    ['GET', '/templates/:templateId', P.TEMPLATES_READ],
+    ['GET', '/:id', P.CAMPAIGNS_READ],
+    ['PUT', '/:id', P.CAMPAIGNS_WRITE],
+    ['DELETE', '/:id', P.CAMPAIGNS_WRITE],
+    ['GET', '/:id/stats', P.CAMPAIGNS_READ],
+    ['GET', '/:id/job', P.CAMPAIGNS_READ],
+    ['POST', '/:id/send', P.CAMPAIGNS_SEND],
+    ['POST', '/:id/pause', P.CAMPAIGNS_SEND],
+    ['POST', '/:id/resume', P.CAMPAIGNS_SEND],
+    ['POST', '/:id/cancel', P.CAMPAIGNS_SEND],
+    ['POST', '/:id/ab-test/winner', P.CAMPAIGNS_SEND]
+  ],
+  '/api/whatsapp': messageRoutes,
+  '/api/v1/messages': messageRoutes,
+  // Router de campos personalizados montado en /api: comparte prefijo con el resto
+  '/api': [
+    ['GET', '/', P.CUSTOM_FIELDS_READ],
+    ['GET', '/custom-fields', P.CUSTOM_FIELDS_READ],
+    ['GET', '/custom-fields/types', P.CUSTOM_FIELDS_READ],
+    ['POST', '/custom-fields', P.CUSTOM_FIELDS_MANAGE],
+    ['PATCH', '/custom-fields/:id', P.CUSTOM_FIELDS_MANAGE],
+    ['DELETE', '/custom-fields/:id', P.CUSTOM_FIELDS_MANAGE],
+    ['GET', '/contacts/:contactId/custom-fields', P.CONTACTS_READ],
+    ['POST', '/contacts/:contactId/custom-fields', P.CONTACTS_WRITE],
+    ['DELETE', '/contacts/:contactId/custom-fields/:fieldId', P.CONTACTS_WRITE]
+  ],
+  '/api/template-approvals': [
+    ['GET', '/pending', P.TEMPLATES_READ],
+    ['GET', '/approved', P.TEMPLATES_READ],
+    ['GET', '/rejected', P.TEMPLATES_READ],
+    ['GET', '/stats', P.TEMPLATES_READ],
+    ['GET', '/list-360dialog', P.TEMPLATES_READ],
+    ['GET', '/sync-360dialog', P.TEMPLATES_WRITE],
+    ['GET', '/validate-api-key', P.WHATSAPP_READ],
+    ['POST', '/request', P.TEMPLATES_WRITE],
+    ['POST', '/validate', P.TEMPLATES_WRITE],
+    ['POST', '/approve/:id', P.TEMPLATES_APPROVE],
+    ['POST', '/reject/:id', P.TEMPLATES_APPROVE],
+    ['POST', '/send-to-360dialog/:id', P.TEMPLATES_APPROVE],
+    ['GET', '/lifecycle-events', P.TEMPLATES_READ],
+    ['GET', '/:id', P.TEMPLATES_READ]
+  ],
+  '/api/campaign-templates': [
+    ['POST', '/create-and-send', P.CAMPAIGNS_SEND],
+    ['GET', '/:id', P.TEMPLATES_READ],
+    ['GET', '/:id/validate', P.TEMPLATES_READ],
+    ['POST', '/:id/sync', P.TEMPLATES_WRITE]
+  ],
+  '/api/campaign-send': [
+    ['POST', '/prepare', P.CAMPAIGNS_WRITE],
+    ['POST', '/validate-recipients', P.CAMPAIGNS_READ],
+    ['POST', '/send', P.CAMPAIGNS_SEND],
+    ['POST', '/:campaignId/send-to-recipient', P.CAMPAIGNS_SEND],
+    ['GET', '/:campaignId/stats', P.CAMPAIGNS_READ]
+  ],
+  '/api/delivery-failures': [
+    ['GET', '/analytics', P.ANALYTICS_READ],
+    ['GET', '/catalog', P.ANALYTICS_READ],
+    ['GET', '/catalog/:code', P.ANALYTICS_READ]
+  ],
+  '/api/suppression': [
+    ['GET', '/', P.SUPPRESSION_READ],
+    ['POST', '/', P.SUPPRESSION_WRITE],
+    ['GET', '/:phone', P.SUPPRESSION_READ],
+    ['DELETE', '/:phone', P.SUPPRESSION_WRITE]
+  ],
+  '/api/flow-runs': [
+    ['GET', '/', P.FLOWS_READ],
+    ['POST', '/', P.FLOWS_RUN],
+    ['GET', '/:id', P.FLOWS_READ],
+    ['POST', '/:id/cancel', P.FLOWS_RUN]
+  ],
+  '/api/knowledge-base': [
+    ['GET', '/', P.KNOWLEDGE_READ],
+    ['POST', '/documents', P.KNOWLEDGE_MANAGE],
+    ['GET', '/documents/:id', P.KNOWLEDGE_READ],
+    ['DELETE', '/documents/:id', P.KNOWLEDGE_MANAGE],
+    ['POST', '/test', P.KNOWLEDGE_MANAGE]
+  ],
+  // Las de equipo exigen además CANNED_RESPONSES_MANAGE (se comprueba en el router)
+  '/api/canned-responses': [
+    ['GET', '/', P.CANNED_RESPONSES_READ],
+    ['POST', '/', P.CANNED_RESPONSES_WRITE],
+    ['GET', '/folders', P.CANNED_RESPONSES_READ],
+    ['GET', '/stats', P.ANALYTICS_READ],
+    ['GET', '/shortcut/:shortcut', P.CANNED_RESPONSES_READ],
+    ['GET', '/:id', P.CANNED_RESPONSES_READ],
+    ['PUT', '/:id', P.CANNED_RESPONSES_WRITE],
+    ['DELETE', '/:id', P.CANNED_RESPONSES_WRITE],
+    ['POST', '/:id/render', P.CONVERSATIONS_READ]
+  ],
+  '/api/segments': [
+    ['GET', '/', P.CONTACTS_READ],
+    ['POST', '/', P.CAMPAIGNS_WRITE],
+    ['GET', '/schema', P.CONTACTS_READ],
+    ['POST', '/preview', P.CONTACTS_READ],
+    ['POST', '/preview-contacts', P.CONTACTS_READ],
+    ['GET', '/:id', P.CONTACTS_READ],
+    ['PUT', '/:id', P.CAMPAIGNS_WRITE],
+    ['DELETE', '/:id', P.CAMPAIGNS_WRITE],
+    ['GET', '/:id/contacts', P.CONTACTS_READ]
+  ],
+  // Las API keys de los números solo las gestiona quien configura WhatsApp
+  '/api/channels': [
+    ['GET', '/', P.WHATSAPP_READ],
+    ['POST', '/', P.WHATSAPP_CONFIGURE],
+    ['GET', '/stats', P.WHATSAPP_READ],
+    ['GET', '/:id', P.WHATSAPP_READ],
+    ['PUT', '/:id', P.WHATSAPP_CONFIGURE],
+    ['DELETE', '/:id', P.WHATSAPP_CONFIGURE],
+    ['POST', '/:id/default', P.WHATSAPP_CONFIGURE]
+  ]
+});
+
+const splitPath = path => String(path || '/').split('?')[0].split('/').filter(Boolean);
+
+/**
+ * Coincidencia de una ruta con un patrón estilo Express (':param')
+ * @returns {number|null} Segmentos literales coincidentes, o null si no coincide
+ */
+function matchPattern(pattern, segments) {
+  const parts = splitPath(pattern);
+  if (parts.length !== segments.length) return null;
+
+  let literals = 0;
+  for (let i = 0; i < parts.length; i++) {
+    if (parts[i].startsWith(':')) continue;
+    if (parts[i] !== segments[i]) return null;
+    literals++;
+  }
+  return literals;
+}
+
+/**
+ * Permiso requerido por una petición dentro de un punto de montaje
+ * @param {string} mount - Punto de montaje ('/api/contacts')
+ * @param {string} method - Método HTTP
+ * @param {string} path - Ruta relativa al montaje (req.path)
+ * @returns {{permission: string, route: string|null}}
+ */
+export function resolveRoutePermission(mount, method, path) {
+  const routes = API_ROUTE_PERMISSIONS[mount] || [];
+  const verb = String(method || 'GET').toUpperCase() === 'HEAD' ? 'GET' : String(method || 'GET').toUpperCase();
+  const segments = splitPath(path).map(segment => {
+    try {
+      return decodeURIComponent(segment);
+    } catch {
+      return segment;
+    }
+  });
+
+  let best = null;
+  for (const [routeMethod, pattern, permission] of routes) {
+    if (routeMethod !== verb) continue;
+    const score = matchPattern(pattern, segments);
+    // Gana el patrón con más segmentos literales ('/export' antes que '/:id')
+    if (score !== null && (!best || score > best.score)) {
+      best = { score, permission, route: pattern };
+    }
+  }
+
+  return best
+    ? { permission: best.permission, route: best.route }
+    : { permission: UNLISTED_ROUTE_PERMISSION, route: null };
+}
+
+/**
+ * ¿Declara otro punto de montaje esta ruta? (p. ej. '/api/contacts/5/custom-fields'
+ * llega primero al router de contactos pero la atiende el de campos personalizados)
+ * @param {string} mount - Montaje que está evaluando la petición
+ * @param {string} method - Método HTTP
+ * @param {string} fullPath - Ruta completa de la petición
+ */
+export function isDeclaredByOtherMount(mount, method, fullPath) {
+  return Object.keys(API_ROUTE_PERMISSIONS).some(other => (
+    other !== mount &&
+    (fullPath === other || fullPath.startsWith(`${other}/`)) &&
+    resolveRoutePermission(other, method, fullPath.slice(other.length)).route !== null
+  ));
+}
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Tokens de sesión (JWT) y claves de API de integración
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { createLogger } from '../core/core/logger.js';
+import { ROLES } from './permissions.js';
+
+const logger = createLogger('SESSION_TOKENS');
+
+export const SESSION_COOKIE = 'chat_session';
+export const DEFAULT_SESSION_TTL = '12h';
+const TOKEN_ISSUER = 'chatbot-api';
+
+let fallbackSecret = null;
+
+/**
+ * Secreto de firma de sesiones. Sin JWT_SECRET se usa uno aleatorio por
+ * proceso: las sesiones se pierden al reiniciar, pero nunca se firma con un
+ * valor conocido.
+ */
+export function getSessionSecret() {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  if (!fallbackSecret) {
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+    logger.warn('⚠️ JWT_SECRET no configurado: usando un secreto temporal, las sesiones no sobreviven a un reinicio');
+  }
+  return fallbackSecret;
+}
+
+export function getSessionTtl() {
+  return process.env.JWT_EXPIRES_IN || DEFAULT_SESSION_TTL;
+}
+
+/**
+ * Firmar el token de sesión de un usuario
+ */
+export function signSessionToken(user, { secret = getSessionSecret(), expiresIn = getSessionTtl() } = {}) {
+  return jwt.sign(
+    { username: user.username, role: user.role },
+    secret,
+    { subject: String(user.id), expiresIn, issuer: TOKEN_ISSUER }
+  );
+}
+
+/**
+ * Verificar un token de sesión
+ * @returns {{id: number, username: string, role: string}} Usuario del token
+ * @throws {jwt.JsonWebTokenError} Si el token es inválido o expiró
+ */
+export function verifySessionToken(token, { secret = getSessionSecret() } = {}) {
+  const payload = jwt.verify(token, secret, { issuer: TOKEN_ISSUER });
+  const id = parseInt(payload.sub, 10);
+  return {
+    id: Number.isNaN(id) ? payload.sub : id,
+    username: payload.username,
+    role: payload.role
+  };
+}
+
+const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+
+/**
+ * Parsear INTEGRATION_API_KEYS: "nombre:clave,otra:clave2" (el nombre es opcional)
+ */
+export function parseIntegrationKeys(value = process.env.INTEGRATION_API_KEYS) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+      const separator = entry.indexOf(':');
+      const name = separator > 0 ? entry.slice(0, separator) : `integration-${index + 1}`;
+      const key = separator > 0 ? entry.slice(separator + 1) : entry;
+      return { name, key };
+    })
+    .filter(entry => entry.key.length > 0)
+    .map(({ name, key }) => ({ name, digest: digest(key) }));
+}
+
+/**
+ * Buscar una clave de integración comparando en tiempo constante
+ * @returns {{id: string, username: string, role: string}|null}
+ */
+export function findIntegrationKey(apiKey, keys) {
+  if (!apiKey) return null;
+
+  const candidate = digest(apiKey);
+  const match = keys.find(entry => crypto.timingSafeEqual(entry.digest, candidate));
+  return match
+    ? { id: `integration:${match.name}`, username: match.name, role: ROLES.INTEGRATION }
+    : null;
+}
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Salas de Socket.IO por rol y por agente
+ *
+ * Cada socket autenticado entra en la sala de su rol y en la de su usuario.
+ * Los servicios emiten a las salas de los roles que tienen el permiso de
+ * lectura correspondiente (y, si aplica, a agentes concretos) en lugar de a
+ * todos los clientes conectados.
+ */
+
+import { accessControlService } from './AccessControlService.js';
+import { ROLES } from './permissions.js';
+
+export const roleRoom = role => `role:${role}`;
+export const agentRoom = agentId => `agent:${agentId}`;
+
+/**
+ * Salas que asigna el servidor y que un cliente no puede unirse por su cuenta
+ */
+export const isReservedRoom = room => /^(role|agent):/.test(String(room));
+
+/**
+ * Roles que tienen un permiso
+ */
+export function rolesWithPermission(permission, accessControl = accessControlService) {
+  return Object.values(ROLES).filter(role => accessControl.can(role, permission));
+}
+
+/**
+ * Emitir un evento a los roles con el permiso indicado y a los agentes indicados
+ * @param {Object} io - Servidor de Socket.IO (sin él no se emite nada)
+ * @param {string} permission - Permiso necesario para recibir el evento
+ * @param {string} event
+ * @param {Object} payload
+ * @param {Object} options
+ * @param {Array} options.agentIds - Usuarios que también deben recibirlo
+ */
+export function emitToPermission(io, permission, event, payload, { agentIds = [] } = {}) {
+  if (!io) {
+    return;
+  }
+
+  const rooms = [
+    ...rolesWithPermission(permission).map(roleRoom),
+    ...agentIds.filter(agentId => agentId !== null && agentId !== undefined).map(agentRoom)
+  ];
+  io.to([...new Set(rooms)]).emit(event, payload);
+}
+
+export default emitToPermission;
@@ -0,0 +1,508 @@
+/**
+ * Campaign A/B Test Service
+ * Pruebas A/B de campañas: entre 2 y 5 variantes (plantilla, media de cabecera
+ * o mapeo de variables) se envían a un porcentaje de la audiencia; pasado el
+ * tiempo de evaluación se elige la ganadora según la métrica configurada
+ * (lectura, clic en botón, respuesta o conversión en CommerceService) y se
+ * envía al resto con un nuevo job de campaña.
+ */
+
+import { getDatabaseService } from '../DatabaseService.js';
+import { campaignJobService } from './CampaignJobService.js';
+import { campaignMessagingService } from './CampaignMessagingService.js';
+import { createLogger } from '../core/core/logger.js';
+import CommerceService from '../../../apps/api/src/services/CommerceService.js';
+import {
+    AB_TEST_STATUS,
+    AB_GROUPS,
+    validateAbTestConfig,
+    assignAudience,
+    attributeConversions,
+    buildVariantStats,
+    pickWinner
+} from './campaignAbTest.js';
+
+const logger = createLogger('CAMPAIGN_AB_TESTS');
+
+/**
+ * Error de configuración o estado de una prueba A/B
+ */
+export class CampaignAbTestError extends Error {
+    constructor(message, code, statusCode = 400, details = null) {
+        super(message);
+        this.name = 'CampaignAbTestError';
+        this.code = code;
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+const parseVariants = (value) => {
+    try {
+        return JSON.parse(value) || [];
+    } catch (error) {
+        return [];
+    }
+};
+
+const toAbTest = row => ({
+    campaign_id: row.campaign_id,
+    status: row.status,
+    variants: parseVariants(row.variants),
+    test_percentage: row.test_percentage,
+    winner_metric: row.winner_metric,
+    evaluation_delay_minutes: row.evaluation_delay_minutes,
+    test_completed_at: row.test_completed_at || null,
+    evaluate_at: row.evaluate_at || null,
+    winner_variant: row.winner_variant || null,
+    winner_reason: row.winner_reason || null,
+    winner_value: row.winner_value ?? null,
+    decided_at: row.decided_at || null
+});
+
+class CampaignAbTestService {
+    constructor() {
+        this.db = getDatabaseService();
+        this.isInitialized = false;
+        this.pollTimer = null;
+        this.isPolling = false;
+        this.pollMs = parseInt(process.env.CAMPAIGN_AB_TEST_POLL_MS, 10) || 60000;
+        // Días tras el envío en los que una respuesta se atribuye a la campaña
+        this.attributionDays = parseInt(process.env.CAMPAIGN_AB_ATTRIBUTION_DAYS, 10) || 7;
+        this.commerce = null;
+        this.onPhaseCompleted = () => this.poll();
+    }
+
+    /**
+     * Crear tabla de pruebas A/B y columnas de variante en campaign_messages
+     */
+    async initialize() {
+        if (this.isInitialized) {
+            return this;
+        }
+
+        try {
+            await this.db.initialize();
+
+            await this.db.run(`
+                CREATE TABLE IF NOT EXISTS campaign_ab_tests (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    campaign_id INTEGER NOT NULL UNIQUE,
+                    variants TEXT NOT NULL,
+                    test_percentage INTEGER NOT NULL,
+                    winner_metric VARCHAR(20) NOT NULL,
+                    evaluation_delay_minutes INTEGER NOT NULL DEFAULT 0,
+                    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                    test_completed_at DATETIME,
+                    evaluate_at DATETIME,
+                    winner_variant VARCHAR(2),
+                    winner_reason VARCHAR(20),
+                    winner_value REAL,
+                    decided_at DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE
+                )
+            `);
+            await this.db.run('CREATE INDEX IF NOT EXISTS idx_campaign_ab_tests_status ON campaign_ab_tests(status, evaluate_at)');
+
+            await this.db.addColumnIfMissing('campaign_messages', 'variant_key', 'VARCHAR(2)');
+            await this.db.addColumnIfMissing('campaign_messages', 'ab_group', 'VARCHAR(10)');
+            await this.db.addColumnIfMissing('campaign_messages', 'replied_at', 'DATETIME');
+            await this.db.addColumnIfMissing('campaign_messages', 'clicked_at', 'DATETIME');
+            await this.db.run('CREATE INDEX IF NOT EXISTS idx_campaign_messages_ab ON campaign_messages(campaign_id, ab_group, variant_key)');
+            await this.db.run('CREATE INDEX IF NOT EXISTS idx_campaign_messages_phone ON campaign_messages(phone)');
+
+            this.isInitialized = true;
+            logger.info('✅ CampaignAbTestService inicializado');
+            return this;
+        } catch (error) {
+            logger.error('❌ Error inicializando CampaignAbTestService:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Arrancar la revisión periódica de pruebas (fin de la fase de prueba y evaluación)
+     */
+    async start() {
+        await this.initialize();
+        await this.poll();
+
+        // Revisar en cuanto termina el envío al grupo de prueba
+        campaignMessagingService.off('campaign:ab-test-phase-completed', this.onPhaseCompleted);
+        campaignMessagingService.on('campaign:ab-test-phase-completed', this.onPhaseCompleted);
+
+        if (!this.pollTimer) {
+            this.pollTimer = setInterval(() => this.poll(), this.pollMs);
+            this.pollTimer.unref?.();
+        }
+    }
+
+    stop() {
+        campaignMessagingService.off('campaign:ab-test-phase-completed', this.onPhaseCompleted);
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    /**
+     * Validar una configuración A/B (lanza CampaignAbTestError con los errores)
+     */
+    validate(input) {
+        const { value, errors } = validateAbTestConfig(input);
+        if (errors.length > 0) {
+            throw new CampaignAbTestError('Configuración de prueba A/B inválida', 'INVALID_AB_TEST', 400, errors);
+        }
+        return value;
+    }
+
+    /**
+     * Prueba A/B de una campaña o null si no tiene
+     */
+    async get(campaignId) {
+        await this.initialize();
+        const row = await this.db.get('SELECT * FROM campaign_ab_tests WHERE campaign_id = ?', [campaignId]);
+        return row ? toAbTest(row) : null;
+    }
+
+    /**
+     * Crear o reemplazar la prueba A/B (solo antes de enviar la campaña)
+     */
+    async save(campaignId, input) {
+        const config = this.validate(input);
+        await this.assertEditable(campaignId);
+
+        const now = new Date().toISOString();
+        await this.db.run(
+            `INSERT INTO campaign_ab_tests
+                (campaign_id, variants, test_percentage, winner_metric, evaluation_delay_minutes, status, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT(campaign_id) DO UPDATE SET
+                variants = excluded.variants,
+                test_percentage = excluded.test_percentage,
+                winner_metric = excluded.winner_metric,
+                evaluation_delay_minutes = excluded.evaluation_delay_minutes,
+                updated_at = excluded.updated_at`,
+            [
+                campaignId, JSON.stringify(config.variants), config.test_percentage, config.winner_metric,
+                config.evaluation_delay_minutes, AB_TEST_STATUS.PENDING, now, now
+            ]
+        );
+
+        logger.info(`🧪 Prueba A/B guardada para campaña ${campaignId} (${config.variants.length} variantes, ${config.test_percentage}% de prueba)`);
+        return await this.get(campaignId);
+    }
+
+    /**
+     * Quitar la prueba A/B (solo antes de enviar la campaña)
+     */
+    async remove(campaignId) {
+        await this.assertEditable(campaignId);
+        await this.db.run('DELETE FROM campaign_ab_tests WHERE campaign_id = ?', [campaignId]);
+    }
+
+    async assertEditable(campaignId) {
+        const existing = await this.get(campaignId);
+        if (existing && existing.status !== AB_TEST_STATUS.PENDING) {
+            throw new CampaignAbTestError(
+                'La prueba A/B ya comenzó y no se puede modificar',
+                'AB_TEST_LOCKED',
+                409
+            );
+        }
+    }
+
+    /**
+     * Repartir los mensajes pendientes de la campaña entre variantes y resto de la audiencia
+     * Se llama al enviar, después de crear los campaign_messages
+     * @returns {Promise<Object|null>} Prueba A/B o null si la campaña no tiene
+     */
+    async assignAudience(campaignId) {
+        const abTest = await this.get(campaignId);
+        if (!abTest || ![AB_TEST_STATUS.PENDING, AB_TEST_STATUS.TESTING].includes(abTest.status)) {
+            return abTest;
+        }
+
+        const recipients = await this.db.all(
+            `SELECT id FROM campaign_messages
+             WHERE campaign_id = ? AND status = 'pending' AND ab_group IS NULL`,
+            [campaignId]
+        );
+        const assignments = assignAudience(
+            recipients,
+            abTest.variants.map(variant => variant.key),
+            abTest.test_percentage,
+            `campaign:${campaignId}`
+        );
+
+        await this.db.transaction(async () => {
+            for (const assignment of assignments) {
+                await this.db.run(
+                    'UPDATE campaign_messages SET ab_group = ?, variant_key = ? WHERE id = ?',
+                    [assignment.group, assignment.variantKey, assignment.id]
+                );
+            }
+            await this.db.run(
+                'UPDATE campaign_ab_tests SET status = ?, updated_at = ? WHERE campaign_id = ?',
+                [AB_TEST_STATUS.TESTING, new Date().toISOString(), campaignId]
+            );
+        });
+
+        const testSize = assignments.filter(assignment => assignment.group === AB_GROUPS.TEST).length;
+        logger.info(`🧪 Campaña ${campaignId}: ${testSize} destinatarios en prueba, ${assignments.length - testSize} esperan a la ganadora`);
+        return await this.get(campaignId);
+    }
+
+    /**
+     * Atribuir un mensaje entrante a la campaña A/B que lo originó
+     * Un botón de la plantilla cuenta como clic (y respuesta) del mensaje citado;
+     * cualquier otro mensaje, como respuesta al último envío A/B a ese número.
+     */
+    async recordInboundResponse(message) {
+        if (!message?.from) {
+            return null;
+        }
+        await this.initialize();
+
+        const now = new Date().toISOString();
+        const contextId = message.context?.id || null;
+        const isButton = message.type === 'button'
+            || (message.type === 'interactive' && message.interactive?.type === 'button_reply');
+
+        if (isButton && contextId) {
+            const clicked = await this.db.run(
+                `UPDATE campaign_messages
+                 SET clicked_at = COALESCE(clicked_at, ?), replied_at = COALESCE(replied_at, ?)
+                 WHERE message_id = ? AND ab_group IS NOT NULL`,
+                [now, now, contextId]
+            );
+            if (clicked.changes > 0) {
+                return { messageId: contextId, clicked: true };
+            }
+        }
+
+        const replied = await this.db.run(
+            `UPDATE campaign_messages SET replied_at = ?
+             WHERE id = (
+                SELECT id FROM campaign_messages
+                WHERE REPLACE(phone, '+', '') = ? AND ab_group IS NOT NULL AND sent_at IS NOT NULL
+                  AND replied_at IS NULL AND datetime(sent_at) >= datetime('now', ?)
+                ORDER BY sent_at DESC LIMIT 1
+             )`,
+            [now, String(message.from).replace(/\D/g, ''), `-${this.attributionDays} days`]
+        );
+        return replied.changes > 0 ? { replied: true } : null;
+    }
+
+    /**
+     * Estadísticas por variante del grupo de prueba y del envío de la ganadora
+     */
+    async getStats(campaignId) {
+        const abTest = await this.get(campaignId);
+        if (!abTest) {
+            return null;
+        }
+
+        const rows = await this.db.all(`
+            SELECT variant_key, ab_group,
+                COUNT(*) AS total,
+                SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) AS pending,
+                SUM(CASE WHEN status IN ('sent', 'delivered', 'read') THEN 1 ELSE 0 END) AS sent,
+                SUM(CASE WHEN status IN ('delivered', 'read') THEN 1 ELSE 0 END) AS delivered,
+                SUM(CASE WHEN status = 'read' THEN 1 ELSE 0 END) AS read,
+                SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) AS failed,
+                SUM(CASE WHEN replied_at IS NOT NULL THEN 1 ELSE 0 END) AS replied,
+                SUM(CASE WHEN clicked_at IS NOT NULL THEN 1 ELSE 0 END) AS clicked
+            FROM campaign_messages
+            WHERE campaign_id = ? AND ab_group IS NOT NULL
+            GROUP BY variant_key, ab_group
+        `, [campaignId]);
+
+        const conversions = await this.countConversions(campaignId);
+        const countsFor = (variantKey, group) => {
+            const row = rows.find(item => item.variant_key === variantKey && item.ab_group === group) || {};
+            return { ...row, converted: conversions.get(`${group}:${variantKey}`) || 0 };
+        };
+
+        const variants = abTest.variants.map(variant => ({
+            ...buildVariantStats(variant, countsFor(variant.key, AB_GROUPS.TEST)),
+            winner: abTest.winner_variant === variant.key
+        }));
+        const winner = abTest.variants.find(variant => variant.key === abTest.winner_variant);
+        const awaiting = rows.find(row => row.ab_group === AB_GROUPS.HOLDOUT && row.variant_key === null);
+
+        return {
+            ...abTest,
+            awaiting_winner: awaiting ? awaiting.total : 0,
+            variants,
+            rollout: winner ? buildVariantStats(winner, countsFor(winner.key, AB_GROUPS.HOLDOUT)) : null
+        };
+    }
+
+    /**
+     * Conversiones por grupo y variante (pedidos de CommerceService posteriores al envío)
+     * @returns {Promise<Map<string, number>>} "grupo:variante" -> conversiones
+     */
+    async countConversions(campaignId) {
+        const counts = new Map();
+        const orders = await this.getOrders();
+        if (orders.length === 0) {
+            return counts;
+        }
+
+        const messages = await this.db.all(
+            `SELECT id, variant_key, ab_group, contact_id, phone, sent_at FROM campaign_messages
+             WHERE campaign_id = ? AND variant_key IS NOT NULL AND sent_at IS NOT NULL`,
+            [campaignId]
+        );
+        const converted = attributeConversions(messages, orders);
+
+        for (const message of messages.filter(item => converted.has(item.id))) {
+            const key = `${message.ab_group}:${message.variant_key}`;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+        return counts;
+    }
+
+    async getOrders() {
+        try {
+            if (!this.commerce) {
+                this.commerce = new CommerceService();
+            }
+            return await this.commerce.getOrders();
+        } catch (error) {
+            logger.warn(`⚠️ No se pudieron consultar los pedidos: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Revisar pruebas: cerrar la fase de prueba, evaluar las vencidas y completar envíos
+     */
+    async poll() {
+        if (this.isPolling) {
+            return;
+        }
+        this.isPolling = true;
+
+        try {
+            await this.initialize();
+            const now = new Date();
+
+            const testing = await this.db.all('SELECT * FROM campaign_ab_tests WHERE status = ?', [AB_TEST_STATUS.TESTING]);
+            for (const row of testing) {
+                await this.closeTestPhase(row, now);
+            }
+
+            const due = await this.db.all(
+                'SELECT campaign_id FROM campaign_ab_tests WHERE status = ? AND evaluate_at <= ?',
+                [AB_TEST_STATUS.EVALUATING, now.toISOString()]
+            );
+            for (const row of due) {
+                await this.selectWinner(row.campaign_id);
+            }
+
+            const rollingOut = await this.db.all('SELECT campaign_id FROM campaign_ab_tests WHERE status = ?', [AB_TEST_STATUS.WINNER_SELECTED]);
+            for (const row of rollingOut) {
+                const pending = await this.db.get(
+                    `SELECT COUNT(*) AS total FROM campaign_messages
+                     WHERE campaign_id = ? AND ab_group = ? AND status = 'pending'`,
+                    [row.campaign_id, AB_GROUPS.HOLDOUT]
+                );
+                if (pending.total === 0) {
+                    await this.setStatus(row.campaign_id, AB_TEST_STATUS.COMPLETED);
+                    logger.info(`✅ Prueba A/B de la campaña ${row.campaign_id} completada`);
+                }
+            }
+        } catch (error) {
+            logger.error('❌ Error revisando pruebas A/B:', error.message);
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    /**
+     * Sin mensajes de prueba pendientes empieza a correr el tiempo de evaluación
+     */
+    async closeTestPhase(row, now = new Date()) {
+        const pending = await this.db.get(
+            `SELECT COUNT(*) AS total FROM campaign_messages
+             WHERE campaign_id = ? AND ab_group = ? AND status = 'pending'`,
+            [row.campaign_id, AB_GROUPS.TEST]
+        );
+        if (pending.total > 0) {
+            return;
+        }
+
+        const evaluateAt = new Date(now.getTime() + row.evaluation_delay_minutes * 60 * 1000);
+        await this.db.run(
+            `UPDATE campaign_ab_tests SET status = ?, test_completed_at = ?, evaluate_at = ?, updated_at = ?
+             WHERE campaign_id = ? AND status = ?`,
+            [AB_TEST_STATUS.EVALUATING, now.toISOString(), evaluateAt.toISOString(), now.toISOString(), row.campaign_id, AB_TEST_STATUS.TESTING]
+        );
+        logger.info(`⏳ Campaña ${row.campaign_id}: fase de prueba terminada, ganadora el ${evaluateAt.toISOString()}`);
+    }
+
+    /**
+     * Elegir la variante ganadora y enviarla al resto de la audiencia
+     * (automático al vencer el tiempo de evaluación, o manual para adelantarlo)
+     */
+    async selectWinner(campaignId) {
+        const abTest = await this.get(campaignId);
+        if (!abTest) {
+            throw new CampaignAbTestError('La campaña no tiene prueba A/B', 'AB_TEST_NOT_FOUND', 404);
+        }
+        if (abTest.status !== AB_TEST_STATUS.EVALUATING) {
+            throw new CampaignAbTestError(
+                `No se puede elegir ganadora de una prueba en estado ${abTest.status}`,
+                'INVALID_AB_TEST_STATE',
+                409
+            );
+        }
+
+        const stats = await this.getStats(campaignId);
+        const winner = pickWinner(stats.variants, abTest.winner_metric);
+        const now = new Date().toISOString();
+
+        const rollout = await this.db.run(
+            `UPDATE campaign_messages SET variant_key = ?
+             WHERE campaign_id = ? AND ab_group = ? AND status = 'pending' AND variant_key IS NULL`,
+            [winner.variantKey, campaignId, AB_GROUPS.HOLDOUT]
+        );
+        const status = rollout.changes > 0 ? AB_TEST_STATUS.WINNER_SELECTED : AB_TEST_STATUS.COMPLETED;
+
+        await this.db.run(
+            `UPDATE campaign_ab_tests
+             SET status = ?, winner_variant = ?, winner_reason = ?, winner_value = ?, decided_at = ?, updated_at = ?
+             WHERE campaign_id = ?`,
+            [status, winner.variantKey, winner.reason, winner.value, now, now, campaignId]
+        );
+
+        logger.info(`🏆 Campaña ${campaignId}: gana la variante ${winner.variantKey} (${abTest.winner_metric} ${winner.value}%, ${winner.reason})`);
+
+        if (rollout.changes > 0) {
+            const campaign = await this.db.get('SELECT status FROM campaigns WHERE id = ?', [campaignId]);
+            if (campaign && campaign.status === 'sending') {
+                const job = await campaignJobService.enqueue(campaignId);
+                logger.info(`📥 Variante ganadora encolada para ${rollout.changes} destinatarios (job ${job.id})`);
+            } else {
+                logger.warn(`⚠️ Campaña ${campaignId} en estado ${campaign?.status}: la ganadora se enviará al reanudar con /send`);
+            }
+        }
+
+        return await this.get(campaignId);
+    }
+
+    async setStatus(campaignId, status) {
+        await this.db.run(
+            'UPDATE campaign_ab_tests SET status = ?, updated_at = ? WHERE campaign_id = ?',
+            [status, new Date().toISOString(), campaignId]
+        );
+    }
+}
+
+// Exportar instancia singleton
+export const campaignAbTestService = new CampaignAbTestService();
+export default CampaignAbTestService;
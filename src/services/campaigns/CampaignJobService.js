@@ -0,0 +1,409 @@
+/**
+ * Campaign Job Service
+ * Envío de campañas durable: cada envío es un job persistido en SQLite con
+ * lease, de modo que sobrevive a reinicios del servidor (se retoman los
+ * `campaign_messages` pendientes al arrancar) y pausa/reanudación/cancelación
+ * funcionan aunque el proceso cambie.
+ */
+
+import os from 'os';
+import crypto from 'crypto';
+import { getDatabaseService } from '../DatabaseService.js';
+import { campaignMessagingService } from './CampaignMessagingService.js';
+import { createLogger } from '../core/core/logger.js';
+import {
+    JOB_STATUS,
+    ACTIVE_JOB_STATUSES,
+    canTransition,
+    isClaimable
+} from './campaignJobStates.js';
+
+const logger = createLogger('CAMPAIGN_JOBS');
+
+/**
+ * Error de operaciones sobre jobs de campaña
+ */
+export class CampaignJobError extends Error {
+    constructor(message, code, statusCode = 400) {
+        super(message);
+        this.name = 'CampaignJobError';
+        this.code = code;
+        this.statusCode = statusCode;
+    }
+}
+
+class CampaignJobService {
+    constructor() {
+        this.db = getDatabaseService();
+        this.isInitialized = false;
+        this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+        this.leaseMs = parseInt(process.env.CAMPAIGN_JOB_LEASE_MS, 10) || 60000;
+        this.pollMs = parseInt(process.env.CAMPAIGN_JOB_POLL_MS, 10) || 15000;
+        this.runningJobs = new Set();
+        this.pollTimer = null;
+    }
+
+    /**
+     * Crear tabla de jobs y columnas de idempotencia
+     */
+    async initialize() {
+        if (this.isInitialized) {
+            return this;
+        }
+
+        try {
+            await this.db.initialize();
+
+            await this.db.run(`
+                CREATE TABLE IF NOT EXISTS campaign_jobs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    campaign_id INTEGER NOT NULL,
+                    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+                    variable_mapping TEXT,
+                    lease_owner TEXT,
+                    lease_expires_at DATETIME,
+                    attempts INTEGER DEFAULT 0,
+                    last_error TEXT,
+                    started_at DATETIME,
+                    completed_at DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE CASCADE
+                )
+            `);
+            await this.db.run('CREATE INDEX IF NOT EXISTS idx_campaign_jobs_status ON campaign_jobs(status, lease_expires_at)');
+            await this.db.run('CREATE INDEX IF NOT EXISTS idx_campaign_jobs_campaign ON campaign_jobs(campaign_id)');
+
+            await this.db.addColumnIfMissing('campaign_messages', 'idempotency_key', 'TEXT');
+            await this.db.addColumnIfMissing('campaign_messages', 'attempt_started_at', 'DATETIME');
+            await this.db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_campaign_messages_idempotency ON campaign_messages(idempotency_key)');
+
+            this.isInitialized = true;
+            logger.info(`✅ CampaignJobService inicializado (worker ${this.workerId})`);
+            return this;
+        } catch (error) {
+            logger.error('❌ Error inicializando CampaignJobService:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Arrancar el procesador: adoptar campañas huérfanas y retomar jobs
+     */
+    async start() {
+        await this.initialize();
+        await this.adoptOrphanCampaigns();
+        await this.poll();
+
+        if (!this.pollTimer) {
+            this.pollTimer = setInterval(() => this.poll(), this.pollMs);
+            this.pollTimer.unref?.();
+        }
+    }
+
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    /**
+     * Encolar el envío de una campaña (idempotente: devuelve el job activo si existe)
+     * La inserción es condicional en una sola sentencia, así dos /send seguidos
+     * (o /send y la elección de ganadora A/B) no crean dos jobs activos.
+     */
+    async enqueue(campaignId, { variableMapping = {} } = {}) {
+        await this.initialize();
+
+        const now = new Date().toISOString();
+        const placeholders = ACTIVE_JOB_STATUSES.map(() => '?').join(', ');
+        const result = await this.db.run(
+            `INSERT INTO campaign_jobs (campaign_id, status, variable_mapping, created_at, updated_at)
+             SELECT ?, ?, ?, ?, ?
+             WHERE NOT EXISTS (
+                 SELECT 1 FROM campaign_jobs WHERE campaign_id = ? AND status IN (${placeholders})
+             )`,
+            [
+                campaignId, JOB_STATUS.QUEUED, JSON.stringify(variableMapping || {}), now, now,
+                campaignId, ...ACTIVE_JOB_STATUSES
+            ]
+        );
+
+        if (result.changes === 0) {
+            const existing = await this.getActiveJob(campaignId);
+            logger.warn(`⚠️ La campaña ${campaignId} ya tiene un job activo (${existing?.id}, ${existing?.status})`);
+            return existing;
+        }
+
+        logger.info(`📥 Job ${result.lastID} encolado para campaña ${campaignId}`);
+        this.poll();
+
+        return await this.db.get('SELECT * FROM campaign_jobs WHERE id = ?', [result.lastID]);
+    }
+
+    /**
+     * Buscar jobs reclamables y ejecutarlos
+     */
+    async poll() {
+        try {
+            const jobs = await this.db.all(
+                'SELECT * FROM campaign_jobs WHERE status IN (?, ?) ORDER BY created_at ASC',
+                [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING]
+            );
+
+            for (const job of jobs) {
+                if (!this.runningJobs.has(job.id) && isClaimable(job) && await this.claim(job)) {
+                    this.run(job);
+                }
+            }
+        } catch (error) {
+            logger.error('❌ Error revisando jobs de campañas:', error.message);
+        }
+    }
+
+    /**
+     * Reclamar un job con lease (solo gana un proceso)
+     */
+    async claim(job) {
+        const now = new Date();
+        const result = await this.db.run(
+            `UPDATE campaign_jobs
+             SET status = ?, lease_owner = ?, lease_expires_at = ?, attempts = attempts + 1,
+                 started_at = COALESCE(started_at, ?), updated_at = ?
+             WHERE id = ?
+               AND (status = ? OR (status = ? AND (lease_expires_at IS NULL OR lease_expires_at <= ?)))`,
+            [
+                JOB_STATUS.RUNNING, this.workerId, this.leaseExpiry(now), now.toISOString(), now.toISOString(),
+                job.id, JOB_STATUS.QUEUED, JOB_STATUS.RUNNING, now.toISOString()
+            ]
+        );
+
+        return result.changes === 1;
+    }
+
+    /**
+     * Renovar el lease; devuelve false si el job fue pausado, cancelado o reclamado por otro proceso
+     */
+    async renewLease(jobId) {
+        const now = new Date();
+        const result = await this.db.run(
+            `UPDATE campaign_jobs SET lease_expires_at = ?, updated_at = ?
+             WHERE id = ? AND status = ? AND lease_owner = ?`,
+            [this.leaseExpiry(now), now.toISOString(), jobId, JOB_STATUS.RUNNING, this.workerId]
+        );
+
+        return result.changes === 1;
+    }
+
+    /**
+     * Ejecutar un job reclamado
+     */
+    async run(job) {
+        this.runningJobs.add(job.id);
+
+        try {
+            // Mensajes que quedaron a medio enviar en un proceso anterior: no se
+            // reintentan porque 360Dialog pudo haberlos aceptado
+            const interrupted = await this.db.run(
+                `UPDATE campaign_messages
+                 SET status = 'failed', error_message = 'Envío interrumpido por reinicio; no se reintenta para evitar duplicados'
+                 WHERE campaign_id = ? AND status = 'pending' AND attempt_started_at IS NOT NULL`,
+                [job.campaign_id]
+            );
+            if (interrupted.changes > 0) {
+                logger.warn(`⚠️ ${interrupted.changes} mensajes de la campaña ${job.campaign_id} marcados como interrumpidos`);
+            }
+
+            logger.info(`▶️ Ejecutando job ${job.id} (campaña ${job.campaign_id}, intento ${(job.attempts || 0) + 1})`);
+
+            const result = await campaignMessagingService.sendCampaign(
+                job.campaign_id,
+                this.parseMapping(job.variable_mapping),
+                { checkpoint: () => this.renewLease(job.id) }
+            );
+
+            if (result.interrupted) {
+                // Pausado o cancelado: liberar el lease sin tocar el estado
+                await this.db.run(
+                    `UPDATE campaign_jobs SET lease_owner = NULL, lease_expires_at = NULL, updated_at = ?
+                     WHERE id = ? AND lease_owner = ?`,
+                    [new Date().toISOString(), job.id, this.workerId]
+                );
+                logger.info(`⏸️ Job ${job.id} detenido antes de terminar`);
+                return;
+            }
+
+            await this.finish(job.id, JOB_STATUS.COMPLETED);
+            logger.info(`✅ Job ${job.id} completado`);
+        } catch (error) {
+            logger.error(`❌ Job ${job.id} fallido:`, error.message);
+            await this.finish(job.id, JOB_STATUS.FAILED, error.message).catch(() => {});
+        } finally {
+            this.runningJobs.delete(job.id);
+        }
+    }
+
+    async finish(jobId, status, lastError = null) {
+        const now = new Date().toISOString();
+        await this.db.run(
+            `UPDATE campaign_jobs
+             SET status = ?, last_error = ?, lease_owner = NULL, lease_expires_at = NULL,
+                 completed_at = ?, updated_at = ?
+             WHERE id = ? AND lease_owner = ?`,
+            [status, lastError, now, now, jobId, this.workerId]
+        );
+    }
+
+    /**
+     * Pausar envío (persistente entre reinicios)
+     */
+    async pause(campaignId) {
+        const job = await this.requireTransition(campaignId, 'pause');
+        const now = new Date().toISOString();
+
+        await this.db.run(
+            `UPDATE campaign_jobs SET status = ?, lease_owner = NULL, lease_expires_at = NULL, updated_at = ?
+             WHERE id = ?`,
+            [JOB_STATUS.PAUSED, now, job.id]
+        );
+        await this.db.run('UPDATE campaigns SET status = ? WHERE id = ?', ['paused', campaignId]);
+
+        logger.info(`⏸️ Campaña ${campaignId} pausada`);
+        return await this.getJob(campaignId);
+    }
+
+    /**
+     * Reanudar envío pausado
+     */
+    async resume(campaignId) {
+        const job = await this.requireTransition(campaignId, 'resume');
+
+        await this.db.run(
+            'UPDATE campaign_jobs SET status = ?, updated_at = ? WHERE id = ?',
+            [JOB_STATUS.QUEUED, new Date().toISOString(), job.id]
+        );
+        await this.db.run('UPDATE campaigns SET status = ? WHERE id = ?', ['sending', campaignId]);
+
+        logger.info(`▶️ Campaña ${campaignId} reanudada`);
+        this.poll();
+        return await this.getJob(campaignId);
+    }
+
+    /**
+     * Cancelar envío: los mensajes pendientes no se enviarán
+     */
+    async cancel(campaignId) {
+        const job = await this.requireTransition(campaignId, 'cancel');
+        const now = new Date().toISOString();
+
+        await this.db.run(
+            `UPDATE campaign_jobs
+             SET status = ?, lease_owner = NULL, lease_expires_at = NULL, completed_at = ?, updated_at = ?
+             WHERE id = ?`,
+            [JOB_STATUS.CANCELLED, now, now, job.id]
+        );
+        await this.db.run(
+            'UPDATE campaigns SET status = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?',
+            ['stopped', campaignId]
+        );
+        const cancelled = await this.db.run(
+            `UPDATE campaign_messages SET status = 'cancelled'
+             WHERE campaign_id = ? AND status = 'pending'`,
+            [campaignId]
+        );
+
+        logger.info(`🛑 Campaña ${campaignId} cancelada (${cancelled.changes} mensajes pendientes cancelados)`);
+        return await this.getJob(campaignId);
+    }
+
+    /**
+     * Último job de una campaña con el progreso de sus mensajes
+     */
+    async getJob(campaignId) {
+        await this.initialize();
+
+        const job = await this.db.get(
+            'SELECT * FROM campaign_jobs WHERE campaign_id = ? ORDER BY id DESC LIMIT 1',
+            [campaignId]
+        );
+        if (!job) {
+            return null;
+        }
+
+        const rows = await this.db.all(
+            'SELECT status, COUNT(*) AS total FROM campaign_messages WHERE campaign_id = ? GROUP BY status',
+            [campaignId]
+        );
+
+        return {
+            ...job,
+            variable_mapping: this.parseMapping(job.variable_mapping),
+            messages: Object.fromEntries(rows.map(row => [row.status, row.total]))
+        };
+    }
+
+    async getActiveJob(campaignId) {
+        const placeholders = ACTIVE_JOB_STATUSES.map(() => '?').join(', ');
+        return await this.db.get(
+            `SELECT * FROM campaign_jobs WHERE campaign_id = ? AND status IN (${placeholders})
+             ORDER BY id DESC LIMIT 1`,
+            [campaignId, ...ACTIVE_JOB_STATUSES]
+        );
+    }
+
+    async requireTransition(campaignId, action) {
+        await this.initialize();
+
+        const job = await this.getActiveJob(campaignId);
+        if (!job) {
+            throw new CampaignJobError('La campaña no tiene un envío activo', 'JOB_NOT_FOUND', 404);
+        }
+        if (!canTransition(job.status, action)) {
+            throw new CampaignJobError(
+                `No se puede ${action === 'pause' ? 'pausar' : action === 'resume' ? 'reanudar' : 'cancelar'} un envío en estado ${job.status}`,
+                'INVALID_JOB_STATE',
+                409
+            );
+        }
+        return job;
+    }
+
+    /**
+     * Campañas que quedaron en `sending` antes de existir los jobs
+     */
+    async adoptOrphanCampaigns() {
+        const placeholders = ACTIVE_JOB_STATUSES.map(() => '?').join(', ');
+        const orphans = await this.db.all(
+            `SELECT c.id, c.variable_mapping FROM campaigns c
+             WHERE c.status = 'sending'
+               AND EXISTS (SELECT 1 FROM campaign_messages cm WHERE cm.campaign_id = c.id AND cm.status = 'pending')
+               AND NOT EXISTS (SELECT 1 FROM campaign_jobs j WHERE j.campaign_id = c.id AND j.status IN (${placeholders}))`,
+            ACTIVE_JOB_STATUSES
+        );
+
+        for (const campaign of orphans) {
+            logger.info(`♻️ Retomando campaña ${campaign.id} interrumpida`);
+            await this.enqueue(campaign.id, { variableMapping: this.parseMapping(campaign.variable_mapping) });
+        }
+    }
+
+    leaseExpiry(now = new Date()) {
+        return new Date(now.getTime() + this.leaseMs).toISOString();
+    }
+
+    parseMapping(value) {
+        if (!value) {
+            return {};
+        }
+        try {
+            return typeof value === 'string' ? JSON.parse(value) : value;
+        } catch (error) {
+            return {};
+        }
+    }
+}
+
+// Exportar instancia singleton
+export const campaignJobService = new CampaignJobService();
+export default CampaignJobService;
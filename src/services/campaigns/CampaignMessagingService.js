@@ -6,6 +6,8 @@
 
 import { unified360DialogService } from '../core/core/Unified360DialogService.js';
 import { createLogger } from '../core/core/logger.js';
+import { suppressionService } from '../whatsapp/SuppressionService.js';
+import { AB_GROUPS, resolveVariantContent } from './campaignAbTest.js';
 import sqlite3 from 'sqlite3';
 import path from 'path';
 import EventEmitter from 'events';
@@ -81,9 +83,12 @@ class CampaignMessagingService extends EventEmitter {
     
     /**
      * Enviar campaña completa
+     * @param {Object} options.checkpoint - Función async llamada antes de cada lote;
+     *   si devuelve false el envío se detiene (pausa, cancelación o lease perdido)
      */
-    async sendCampaign(campaignId, variableMapping = {}) {
+    async sendCampaign(campaignId, variableMapping = {}, options = {}) {
         const db = this.getDbConnection();
+        const { checkpoint = null } = options;
         
         try {
             console.log(`🔍 [DEBUG sendCampaign] campaignId: ${campaignId}`);
@@ -151,12 +156,17 @@ class CampaignMessagingService extends EventEmitter {
                 );
             }
             
+            // Variantes de la prueba A/B (si la campaña tiene una)
+            campaign.ab_variants = await this.getAbVariants(db, campaignId);
+            
             // Obtener mensajes pendientes CON DATOS DEL CONTACTO
+            // (el resto de la audiencia de una prueba A/B espera a que se elija la variante ganadora)
             const messages = await this.dbAll(db,
                 `SELECT cm.*, c.name, c.last_name, c.email, c.phone_number as contact_phone
                  FROM campaign_messages cm
                  LEFT JOIN contacts c ON cm.contact_id = c.id
-                 WHERE cm.campaign_id = ? AND cm.status = ?`,
+                 WHERE cm.campaign_id = ? AND cm.status = ?
+                   AND (cm.ab_group IS NULL OR cm.variant_key IS NOT NULL)`,
                 [campaignId, 'pending']
             );
             
@@ -173,11 +183,43 @@ class CampaignMessagingService extends EventEmitter {
             });
             
             // Procesar mensajes en lotes con throttling
-            await this.processMessagesWithThrottling(campaign, messages, db, variableMapping);
+            const completed = await this.processMessagesWithThrottling(campaign, messages, db, variableMapping, checkpoint);
+            
+            if (!completed) {
+                this.activeCampaigns.delete(campaignId);
+                logger.info(`⏸️ Campaign ${campaignId} interrupted before completion`);
+                
+                return {
+                    success: true,
+                    interrupted: true,
+                    stats: await this.calculateCampaignStats(campaignId, db)
+                };
+            }
             
             // Actualizar campaña como completada
             const finalStats = await this.calculateCampaignStats(campaignId, db);
             
+            // Prueba A/B: terminó el grupo de prueba pero falta enviar la ganadora al resto
+            const awaitingWinner = await this.countAwaitingWinner(db, campaignId);
+            if (awaitingWinner > 0) {
+                await this.dbRun(db,
+                    `UPDATE campaigns 
+                     SET sent_count = ?, delivered_count = ?, read_count = ?, failed_count = ?
+                     WHERE id = ?`,
+                    [finalStats.sent, finalStats.delivered, finalStats.read, finalStats.failed, campaignId]
+                );
+                this.activeCampaigns.delete(campaignId);
+                
+                logger.info(`🧪 Campaign ${campaignId}: test group sent, ${awaitingWinner} recipients awaiting the winning variant`);
+                this.emit('campaign:ab-test-phase-completed', { campaignId, stats: finalStats, awaitingWinner });
+                
+                return {
+                    success: true,
+                    awaitingWinner,
+                    stats: finalStats
+                };
+            }
+            
             await this.dbRun(db,
                 `UPDATE campaigns 
                  SET status = ?, completed_at = CURRENT_TIMESTAMP,
@@ -223,7 +265,7 @@ class CampaignMessagingService extends EventEmitter {
     /**
      * Procesar mensajes con throttling (control de velocidad)
      */
-    async processMessagesWithThrottling(campaign, messages, db, variableMapping = {}) {
+    async processMessagesWithThrottling(campaign, messages, db, variableMapping = {}, checkpoint = null) {
         const { messagesPerSecond, delayBetweenMessages, batchSize } = this.throttleConfig;
         
         console.error(`🔍🔍🔍 [CRITICAL] processMessagesWithThrottling - Campaign ${campaign.id} - variableMapping:`, JSON.stringify(variableMapping));
@@ -234,6 +276,12 @@ class CampaignMessagingService extends EventEmitter {
         logger.info(`📦 Processing ${batches.length} batches of ${batchSize} messages`);
         
         for (let i = 0; i < batches.length; i++) {
+            // Verificar que el envío sigue activo (pausa/cancelación persistidas)
+            if (checkpoint && !(await checkpoint())) {
+                logger.info(`⏸️ Campaign ${campaign.id} stopped at batch ${i + 1}/${batches.length}`);
+                return false;
+            }
+            
             const batch = batches[i];
             const batchStartTime = Date.now();
             
@@ -248,6 +296,13 @@ class CampaignMessagingService extends EventEmitter {
             const campaignState = this.activeCampaigns.get(campaign.id);
             if (campaignState) {
                 batchResults.forEach(result => {
+                    if (result.status === 'fulfilled' && result.value?.suppressed) {
+                        campaignState.suppressed = (campaignState.suppressed || 0) + 1;
+                        return;
+                    }
+                    if (result.status === 'fulfilled' && result.value?.skipped) {
+                        return;
+                    }
                     if (result.status === 'fulfilled') {
                         campaignState.sent++;
                     } else {
@@ -276,16 +331,60 @@ class CampaignMessagingService extends EventEmitter {
                 await this.sleep(waitTime);
             }
         }
+        
+        return true;
     }
     
     /**
      * Enviar un solo mensaje de campaña
      */
     async sendSingleMessage(campaign, messageRecord, db, retryCount = 0, variableMapping = {}) {
+        // Reclamar el mensaje (solo en el primer intento: si ya no está pendiente,
+        // enviado, cancelado o tomado por otro proceso, no se envía de nuevo) y
+        // comprobar la lista de supresión en cada intento, antes de enviar.
+        // Un error aquí no se reintenta: el mensaje queda como fallido
+        try {
+            if (retryCount === 0) {
+                const claim = await this.dbRun(db,
+                    `UPDATE campaign_messages 
+                     SET attempt_started_at = CURRENT_TIMESTAMP
+                     WHERE id = ? AND status = 'pending' AND attempt_started_at IS NULL`,
+                    [messageRecord.id]
+                );
+                
+                if (claim.changes === 0) {
+                    logger.info(`⏭️ Message ${messageRecord.id} is no longer pending, skipping`);
+                    return { success: true, skipped: true, phone: messageRecord.phone };
+                }
+            }
+            
+            // No enviar a contactos dados de baja
+            if (await suppressionService.isSuppressed(messageRecord.phone, { contactId: messageRecord.contact_id })) {
+                await this.dbRun(db,
+                    `UPDATE campaign_messages 
+                     SET status = 'suppressed', error_message = 'Contacto en la lista de supresión'
+                     WHERE id = ?`,
+                    [messageRecord.id]
+                );
+                logger.info(`🚫 Skipping suppressed recipient ${messageRecord.phone}`);
+                return { success: true, skipped: true, suppressed: true, phone: messageRecord.phone };
+            }
+        } catch (error) {
+            logger.error(`❌ Could not claim or check suppression for ${messageRecord.phone}:`, error.message);
+            await this.markMessageFailed(db, messageRecord.id, error.message);
+            throw error;
+        }
+        
         try {
+            // Variante A/B del destinatario: su plantilla, media de cabecera y mapeo
+            const content = resolveVariantContent(campaign, campaign.ab_variants, messageRecord.variant_key);
+            const templateId = content.templateId;
+            
             // SOLUCIÓN DEFINITIVA: Cargar el mapeo DIRECTAMENTE desde la BD
             // Esto elimina la dependencia del parámetro que se está perdiendo
-            if (campaign.variable_mapping) {
+            if (messageRecord.variant_key && campaign.ab_variants) {
+                variableMapping = content.variableMapping;
+            } else if (campaign.variable_mapping) {
                 try {
                     variableMapping = JSON.parse(campaign.variable_mapping);
                     console.error(`🔍🔍🔍 [CRITICAL] sendSingleMessage - Campaign ${campaign.id} - variableMapping cargado desde BD:`, JSON.stringify(variableMapping));
@@ -302,15 +401,20 @@ class CampaignMessagingService extends EventEmitter {
             
             let result;
             
+            // Número de WhatsApp de la campaña; sin canal, el de la conversación o el predeterminado
+            const sender = campaign.channel_id
+                ? await unified360DialogService.forChannel({ channelId: campaign.channel_id })
+                : await unified360DialogService.forChannel({ phone: messageRecord.phone });
+            
             // Si hay template_id, enviar como plantilla
-            if (campaign.template_id) {
-                logger.info(`📋 Enviando plantilla ${campaign.template_id} a ${messageRecord.phone}`);
+            if (templateId) {
+                logger.info(`📋 Enviando plantilla ${templateId}${messageRecord.variant_key ? ` (variante ${messageRecord.variant_key})` : ''} a ${messageRecord.phone}`);
                 
-                // Obtener información de la plantilla de 360Dialog
-                const template360 = await this.getTemplateFrom360Dialog(campaign.template_id);
+                // Obtener información de la plantilla de 360Dialog (cada WABA tiene sus plantillas)
+                const template360 = await this.getTemplateFrom360Dialog(templateId, sender);
                 
                 if (!template360) {
-                    throw new Error(`Plantilla ${campaign.template_id} no encontrada en 360Dialog`);
+                    throw new Error(`Plantilla ${templateId} no encontrada en 360Dialog`);
                 }
                 
                 logger.info(`📋 Detalles de plantilla desde 360Dialog:`, {
@@ -332,7 +436,7 @@ class CampaignMessagingService extends EventEmitter {
                 
                 if (hasVariables && Object.keys(variableMapping).length === 0) {
                     logger.warn(`⚠️ Plantilla tiene variables pero no se proporcionó mapeo`);
-                    throw new Error(`Plantilla ${campaign.template_id} requiere variables`);
+                    throw new Error(`Plantilla ${templateId} requiere variables`);
                 }
                 
                 // Preparar opciones para envío de plantilla
@@ -346,7 +450,7 @@ class CampaignMessagingService extends EventEmitter {
                 logger.info(`🌐 Idioma de plantilla: ${template360.language}`);
                 
                 // Construir TODOS los componentes de la plantilla CON VARIABLES
-                const builtComponents = this.buildTemplateComponents(template360.components, variableMapping, messageRecord);
+                const builtComponents = this.buildTemplateComponents(template360.components, variableMapping, messageRecord, content.headerMediaUrl);
                 
                 if (builtComponents && builtComponents.length > 0) {
                     templateOptions.components = builtComponents;
@@ -360,16 +464,16 @@ class CampaignMessagingService extends EventEmitter {
                 }
                 
                 // El template_id es el nombre de la plantilla en 360Dialog
-                result = await unified360DialogService.sendTemplate(
+                result = await sender.sendTemplate(
                     messageRecord.phone,
-                    campaign.template_id,  // Este es el nombre de la plantilla
+                    templateId,  // Este es el nombre de la plantilla
                     templateOptions
                 );
             } else if (campaign.message) {
                 // Si no hay template, enviar como mensaje de texto
                 logger.info(`💬 Enviando mensaje de texto a ${messageRecord.phone}`);
                 
-                result = await unified360DialogService.sendTextMessage(
+                result = await sender.sendTextMessage(
                     messageRecord.phone,
                     campaign.message,
                     { useQueue: false }
@@ -381,9 +485,9 @@ class CampaignMessagingService extends EventEmitter {
             // Actualizar registro en BD
             await this.dbRun(db,
                 `UPDATE campaign_messages 
-                 SET status = ?, message_id = ?, sent_at = CURRENT_TIMESTAMP
+                 SET status = ?, message_id = ?, channel_id = ?, sent_at = CURRENT_TIMESTAMP
                  WHERE id = ?`,
-                ['sent', result.messageId, messageRecord.id]
+                ['sent', result.messageId, result.channelId ?? null, messageRecord.id]
             );
             
             logger.info(`✅ Message sent to ${messageRecord.phone}: ${result.messageId}`);
@@ -405,17 +509,24 @@ class CampaignMessagingService extends EventEmitter {
             }
             
             // Marcar como fallido
-            await this.dbRun(db,
-                `UPDATE campaign_messages 
-                 SET status = ?, error_message = ?, failed_at = CURRENT_TIMESTAMP
-                 WHERE id = ?`,
-                ['failed', error.message, messageRecord.id]
-            );
+            await this.markMessageFailed(db, messageRecord.id, error.message);
             
             throw error;
         }
     }
     
+    /**
+     * Marcar un mensaje de campaña como fallido
+     */
+    async markMessageFailed(db, messageId, errorMessage) {
+        await this.dbRun(db,
+            `UPDATE campaign_messages 
+             SET status = ?, error_message = ?, failed_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            ['failed', errorMessage, messageId]
+        );
+    }
+    
     /**
      * Calcular estadísticas de campaña
      */
@@ -426,7 +537,8 @@ class CampaignMessagingService extends EventEmitter {
                 SUM(CASE WHEN status = 'sent' OR status = 'delivered' OR status = 'read' THEN 1 ELSE 0 END) as sent,
                 SUM(CASE WHEN status = 'delivered' OR status = 'read' THEN 1 ELSE 0 END) as delivered,
                 SUM(CASE WHEN status = 'read' THEN 1 ELSE 0 END) as read,
-                SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed
+                SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed,
+                SUM(CASE WHEN status = 'suppressed' THEN 1 ELSE 0 END) as suppressed
             FROM campaign_messages
             WHERE campaign_id = ?
         `, [campaignId]);
@@ -436,10 +548,42 @@ class CampaignMessagingService extends EventEmitter {
             sent: stats.sent || 0,
             delivered: stats.delivered || 0,
             read: stats.read || 0,
-            failed: stats.failed || 0
+            failed: stats.failed || 0,
+            suppressed: stats.suppressed || 0
         };
     }
     
+    /**
+     * Variantes de la prueba A/B de la campaña (null si no tiene)
+     */
+    async getAbVariants(db, campaignId) {
+        const abTest = await this.dbGet(db,
+            'SELECT variants FROM campaign_ab_tests WHERE campaign_id = ?',
+            [campaignId]
+        );
+        if (!abTest) {
+            return null;
+        }
+        try {
+            return JSON.parse(abTest.variants);
+        } catch (e) {
+            logger.warn(`Could not parse A/B variants for campaign ${campaignId}`);
+            return null;
+        }
+    }
+    
+    /**
+     * Destinatarios de una prueba A/B que esperan la variante ganadora
+     */
+    async countAwaitingWinner(db, campaignId) {
+        const row = await this.dbGet(db,
+            `SELECT COUNT(*) as total FROM campaign_messages
+             WHERE campaign_id = ? AND status = 'pending' AND ab_group = ? AND variant_key IS NULL`,
+            [campaignId, AB_GROUPS.HOLDOUT]
+        );
+        return row ? row.total : 0;
+    }
+    
     /**
      * Actualizar estado de mensaje desde webhook
      */
@@ -570,8 +714,9 @@ class CampaignMessagingService extends EventEmitter {
     /**
      * Construir componentes para plantillas - Adaptación automática a cualquier tipo
      * Soporta: HEADER (texto/imagen), BODY, FOOTER, BUTTONS (FLOW/URL/QUICK_REPLY)
+     * @param {string|null} headerMediaUrl - Media de cabecera de una variante A/B (reemplaza la del ejemplo)
      */
-    buildTemplateComponents(components, variableMapping = {}, messageRecord = {}) {
+    buildTemplateComponents(components, variableMapping = {}, messageRecord = {}, headerMediaUrl = null) {
         try {
             if (!components || !Array.isArray(components)) {
                 return null;
@@ -619,8 +764,8 @@ class CampaignMessagingService extends EventEmitter {
                         // 3. URL del ejemplo de la plantilla (header_handle)
                         // Para plantillas especiales (Limited-Time Offer), usa media_id
                         
-                        let mediaUrl = null;
-                        if (comp.example && comp.example.header_handle && comp.example.header_handle.length > 0) {
+                        let mediaUrl = headerMediaUrl;
+                        if (!mediaUrl && comp.example && comp.example.header_handle && comp.example.header_handle.length > 0) {
                             mediaUrl = comp.example.header_handle[0];
                         }
                         
@@ -638,7 +783,7 @@ class CampaignMessagingService extends EventEmitter {
                                 ]
                             };
                             builtComponents.push(headerComponent);
-                            logger.info(`✅ HEADER ${comp.format} construido con URL del ejemplo`);
+                            logger.info(`✅ HEADER ${comp.format} construido con URL ${headerMediaUrl ? 'de la variante' : 'del ejemplo'}`);
                         } else {
                             logger.warn(`⚠️ HEADER ${comp.format} no tiene URL en example`);
                         }
@@ -1087,10 +1232,10 @@ class CampaignMessagingService extends EventEmitter {
     /**
      * Obtener plantilla de 360Dialog
      */
-    async getTemplateFrom360Dialog(templateName) {
+    async getTemplateFrom360Dialog(templateName, dialog360Service = unified360DialogService) {
         try {
-            const DIALOG360_API_KEY = process.env.D360_API_KEY;
-            const WABA_API_BASE = process.env.D360_API_BASE || 'https://waba-v2.360dialog.io';
+            const DIALOG360_API_KEY = dialog360Service.apiKey;
+            const WABA_API_BASE = dialog360Service.baseUrl;
             
             if (!DIALOG360_API_KEY) {
                 logger.warn(`⚠️ D360_API_KEY no configurada`);
@@ -0,0 +1,109 @@
+/**
+ * Tests para pruebas A/B de campañas
+ */
+
+import {
+    AB_GROUPS,
+    WINNER_METRICS,
+    validateAbTestConfig,
+    assignAudience,
+    attributeConversions,
+    buildVariantStats,
+    pickWinner,
+    resolveVariantContent
+} from '../campaignAbTest.js';
+
+const config = {
+    variants: [
+        { template_id: 'promo_a', variable_mapping: { 1: 'name' } },
+        { name: 'Con video', template_id: 'promo_a', header_media_url: 'https://cdn.example.com/promo.mp4' }
+    ],
+    test_percentage: 20,
+    winner_metric: WINNER_METRICS.REPLY_RATE,
+    evaluation_delay_minutes: 120
+};
+
+describe('campaignAbTest', () => {
+    test('debería validar y normalizar las variantes', () => {
+        const { value, errors } = validateAbTestConfig(config);
+
+        expect(errors).toEqual([]);
+        expect(value.variants).toEqual([
+            { key: 'A', name: 'Variante A', template_id: 'promo_a', variable_mapping: { 1: 'name' }, header_media_url: null },
+            { key: 'B', name: 'Con video', template_id: 'promo_a', variable_mapping: null, header_media_url: 'https://cdn.example.com/promo.mp4' }
+        ]);
+        expect(value).toMatchObject({ test_percentage: 20, winner_metric: 'reply_rate', evaluation_delay_minutes: 120 });
+    });
+
+    test('debería rechazar configuraciones inválidas', () => {
+        expect(validateAbTestConfig({
+            variants: [{ template_id: 'promo_a' }],
+            test_percentage: 0,
+            winner_metric: 'ctr',
+            evaluation_delay_minutes: -5
+        }).errors).toEqual([
+            'variants debe tener entre 2 y 5 variantes',
+            'test_percentage debe ser un entero entre 1 y 100',
+            'winner_metric debe ser uno de: read_rate, button_click, reply_rate, conversion',
+            'evaluation_delay_minutes debe ser un entero entre 0 y 10080'
+        ]);
+
+        expect(validateAbTestConfig({ ...config, variants: [{ template_id: 'x' }, { template_id: 'x' }] }).errors)
+            .toEqual(['Las variantes deben diferir en plantilla, media de cabecera o mapeo de variables']);
+        expect(validateAbTestConfig({ ...config, variants: [{ template_id: 'x', variable_mapping: '{mal' }, { template_id: '' }] }).errors)
+            .toEqual(['Variante A: variable_mapping debe ser un objeto JSON', 'Variante B: template_id es requerido']);
+    });
+
+    test('debería repartir el grupo de prueba entre variantes de forma estable', () => {
+        const recipients = Array.from({ length: 50 }, (_, index) => ({ id: index + 1 }));
+        const assignments = assignAudience(recipients, ['A', 'B'], 20, 'campaign:7');
+
+        const test = assignments.filter(item => item.group === AB_GROUPS.TEST);
+        expect(test).toHaveLength(10);
+        expect(test.filter(item => item.variantKey === 'A')).toHaveLength(5);
+        expect(assignments.filter(item => item.group === AB_GROUPS.HOLDOUT).every(item => item.variantKey === null)).toBe(true);
+        expect(assignAudience([...recipients].reverse(), ['A', 'B'], 20, 'campaign:7')).toEqual(assignments);
+
+        // Audiencias pequeñas: al menos un destinatario por variante
+        expect(assignAudience([{ id: 1 }, { id: 2 }, { id: 3 }], ['A', 'B'], 10, 'x')
+            .filter(item => item.group === AB_GROUPS.TEST)).toHaveLength(2);
+    });
+
+    test('debería atribuir pedidos posteriores al envío como conversiones', () => {
+        const messages = [
+            { id: 1, contact_id: 10, phone: '+573001112233', sent_at: '2026-10-18 10:00:00' },
+            { id: 2, contact_id: 11, phone: '573004445566', sent_at: '2026-10-18 10:00:00' },
+            { id: 3, contact_id: 12, phone: '573007778899', sent_at: '2026-10-18 10:00:00' }
+        ];
+        const orders = [
+            { userId: '+57 300 111 2233', status: 'pending', createdAt: '2026-10-18T12:00:00.000Z' },
+            { userId: 11, status: 'cancelled', createdAt: '2026-10-18T12:00:00.000Z' },
+            { userId: 12, status: 'delivered', createdAt: '2026-10-18T09:00:00.000Z' }
+        ];
+
+        expect([...attributeConversions(messages, orders)]).toEqual([1]);
+    });
+
+    test('debería elegir la variante con mejor métrica y desempatar por entregas', () => {
+        const a = buildVariantStats({ key: 'A', name: 'A', template_id: 'promo_a' }, { total: 10, delivered: 10, read: 8, replied: 2 });
+        const b = buildVariantStats({ key: 'B', name: 'B', template_id: 'promo_b' }, { total: 10, delivered: 8, read: 4, replied: 4 });
+
+        expect(a).toMatchObject({ read_rate: 80, reply_rate: 20, click_rate: 0 });
+        expect(pickWinner([a, b], WINNER_METRICS.REPLY_RATE)).toEqual({ variantKey: 'B', metric: 'reply_rate', value: 50, reason: 'best_rate' });
+        expect(pickWinner([a, b], WINNER_METRICS.READ_RATE).variantKey).toBe('A');
+        expect(pickWinner([a, b], WINNER_METRICS.BUTTON_CLICK)).toMatchObject({ variantKey: 'A', reason: 'tie_break' });
+        expect(pickWinner([buildVariantStats({ key: 'A' }), buildVariantStats({ key: 'B' })], WINNER_METRICS.CONVERSION))
+            .toMatchObject({ variantKey: 'A', reason: 'no_data' });
+    });
+
+    test('debería resolver el contenido según la variante del destinatario', () => {
+        const campaign = { template_id: 'promo_a', variable_mapping: '{"1":"name"}' };
+        const { value } = validateAbTestConfig({ ...config, variants: [...config.variants, { template_id: 'promo_c' }] });
+
+        expect(resolveVariantContent(campaign, null, null))
+            .toEqual({ templateId: 'promo_a', variableMapping: { 1: 'name' }, headerMediaUrl: null });
+        expect(resolveVariantContent(campaign, value.variants, 'B'))
+            .toEqual({ templateId: 'promo_a', variableMapping: { 1: 'name' }, headerMediaUrl: 'https://cdn.example.com/promo.mp4' });
+        expect(resolveVariantContent(campaign, value.variants, 'C').templateId).toBe('promo_c');
+    });
+});
@@ -0,0 +1,48 @@
+/**
+ * Tests para estados y leases de jobs de campañas
+ */
+
+import {
+    JOB_STATUS,
+    canTransition,
+    isClaimable,
+    buildIdempotencyKey
+} from '../campaignJobStates.js';
+
+describe('campaignJobStates', () => {
+    const now = new Date('2026-10-19T12:00:00.000Z');
+
+    test('debería permitir reclamar jobs en cola', () => {
+        expect(isClaimable({ status: JOB_STATUS.QUEUED }, now)).toBe(true);
+    });
+
+    test('debería permitir reclamar jobs en ejecución solo con lease expirado', () => {
+        const expired = { status: JOB_STATUS.RUNNING, lease_expires_at: '2026-10-19T11:59:00.000Z' };
+        const active = { status: JOB_STATUS.RUNNING, lease_expires_at: '2026-10-19T12:01:00.000Z' };
+
+        expect(isClaimable(expired, now)).toBe(true);
+        expect(isClaimable(active, now)).toBe(false);
+    });
+
+    test('no debería reclamar jobs pausados, cancelados o terminados', () => {
+        for (const status of [JOB_STATUS.PAUSED, JOB_STATUS.CANCELLED, JOB_STATUS.COMPLETED, JOB_STATUS.FAILED]) {
+            expect(isClaimable({ status, lease_expires_at: null }, now)).toBe(false);
+        }
+    });
+
+    test('debería validar transiciones de pausa, reanudación y cancelación', () => {
+        expect(canTransition(JOB_STATUS.RUNNING, 'pause')).toBe(true);
+        expect(canTransition(JOB_STATUS.PAUSED, 'pause')).toBe(false);
+        expect(canTransition(JOB_STATUS.PAUSED, 'resume')).toBe(true);
+        expect(canTransition(JOB_STATUS.RUNNING, 'resume')).toBe(false);
+        expect(canTransition(JOB_STATUS.PAUSED, 'cancel')).toBe(true);
+        expect(canTransition(JOB_STATUS.COMPLETED, 'cancel')).toBe(false);
+    });
+
+    test('debería generar la misma clave de idempotencia para el mismo contacto', () => {
+        expect(buildIdempotencyKey(7, { id: 42 })).toBe('campaign:7:contact:42');
+        expect(buildIdempotencyKey(7, { id: 42 })).toBe(buildIdempotencyKey(7, { id: 42, phone: '+57 300' }));
+        expect(buildIdempotencyKey(7, { phone: '+57 311 222 3344' })).toBe('campaign:7:phone:573112223344');
+        expect(buildIdempotencyKey(8, { id: 42 })).not.toBe(buildIdempotencyKey(7, { id: 42 }));
+    });
+});
@@ -0,0 +1,305 @@
+/**
+ * Pruebas A/B de campañas
+ * Lógica pura compartida por CampaignAbTestService, CampaignMessagingService y
+ * las rutas de campañas: validación de variantes, reparto de la audiencia
+ * entre grupo de prueba y resto, métricas por variante y elección de ganadora.
+ */
+
+import crypto from 'crypto';
+
+export const AB_TEST_STATUS = Object.freeze({
+    PENDING: 'pending',                 // Configurada, la campaña aún no se envió
+    TESTING: 'testing',                 // Enviando las variantes al grupo de prueba
+    EVALUATING: 'evaluating',           // Esperando el tiempo de evaluación
+    WINNER_SELECTED: 'winner_selected', // Enviando la ganadora al resto de la audiencia
+    COMPLETED: 'completed'
+});
+
+export const WINNER_METRICS = Object.freeze({
+    READ_RATE: 'read_rate',
+    BUTTON_CLICK: 'button_click',
+    REPLY_RATE: 'reply_rate',
+    CONVERSION: 'conversion'
+});
+
+// Grupo de cada destinatario en campaign_messages.ab_group
+export const AB_GROUPS = Object.freeze({
+    TEST: 'test',
+    HOLDOUT: 'holdout'
+});
+
+export const MIN_VARIANTS = 2;
+export const MAX_VARIANTS = 5;
+export const MAX_EVALUATION_DELAY_MINUTES = 7 * 24 * 60;
+
+const VARIANT_KEYS = ['A', 'B', 'C', 'D', 'E'];
+
+// Métrica -> contador de la variante que la alimenta
+const METRIC_COUNTERS = {
+    [WINNER_METRICS.READ_RATE]: 'read',
+    [WINNER_METRICS.BUTTON_CLICK]: 'clicked',
+    [WINNER_METRICS.REPLY_RATE]: 'replied',
+    [WINNER_METRICS.CONVERSION]: 'converted'
+};
+
+// Pedidos que no cuentan como conversión
+const NON_CONVERTING_ORDER_STATUSES = ['cancelled', 'refunded'];
+
+const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+
+function parseMapping(value) {
+    if (isBlank(value)) {
+        return null;
+    }
+    if (typeof value === 'object') {
+        return value;
+    }
+    try {
+        const parsed = JSON.parse(value);
+        return parsed && typeof parsed === 'object' ? parsed : undefined;
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Validar y normalizar la configuración A/B de una campaña
+ * @param {Object} input - { variants: [{ name?, template_id, variable_mapping?, header_media_url? }],
+ *   test_percentage, winner_metric, evaluation_delay_minutes }
+ * @returns {{value: Object|null, errors: string[]}}
+ */
+export function validateAbTestConfig(input) {
+    if (!input || typeof input !== 'object') {
+        return { value: null, errors: ['La configuración de la prueba A/B es requerida'] };
+    }
+
+    const errors = [];
+    const variants = Array.isArray(input.variants) ? input.variants : [];
+
+    if (variants.length < MIN_VARIANTS || variants.length > MAX_VARIANTS) {
+        errors.push(`variants debe tener entre ${MIN_VARIANTS} y ${MAX_VARIANTS} variantes`);
+    }
+
+    const normalizedVariants = variants.slice(0, MAX_VARIANTS).map((variant, index) => {
+        const key = VARIANT_KEYS[index];
+        const templateId = String(variant?.template_id || '').trim();
+        const mapping = parseMapping(variant?.variable_mapping);
+        const headerMediaUrl = isBlank(variant?.header_media_url) ? null : String(variant.header_media_url).trim();
+
+        if (!templateId) {
+            errors.push(`Variante ${key}: template_id es requerido`);
+        }
+        if (mapping === undefined) {
+            errors.push(`Variante ${key}: variable_mapping debe ser un objeto JSON`);
+        }
+        if (headerMediaUrl && !/^https?:\/\/[^\s]+$/i.test(headerMediaUrl)) {
+            errors.push(`Variante ${key}: header_media_url debe ser una URL http(s)`);
+        }
+
+        return {
+            key,
+            name: isBlank(variant?.name) ? `Variante ${key}` : String(variant.name).trim(),
+            template_id: templateId,
+            variable_mapping: mapping || null,
+            header_media_url: headerMediaUrl
+        };
+    });
+
+    const signatures = normalizedVariants.map(variant => JSON.stringify([
+        variant.template_id, variant.variable_mapping, variant.header_media_url
+    ]));
+    if (new Set(signatures).size !== signatures.length) {
+        errors.push('Las variantes deben diferir en plantilla, media de cabecera o mapeo de variables');
+    }
+
+    const testPercentage = Number(input.test_percentage);
+    if (!Number.isInteger(testPercentage) || testPercentage < 1 || testPercentage > 100) {
+        errors.push('test_percentage debe ser un entero entre 1 y 100');
+    }
+
+    const winnerMetric = input.winner_metric || WINNER_METRICS.READ_RATE;
+    if (!Object.values(WINNER_METRICS).includes(winnerMetric)) {
+        errors.push(`winner_metric debe ser uno de: ${Object.values(WINNER_METRICS).join(', ')}`);
+    }
+
+    const evaluationDelay = Number(input.evaluation_delay_minutes);
+    if (!Number.isInteger(evaluationDelay) || evaluationDelay < 0 || evaluationDelay > MAX_EVALUATION_DELAY_MINUTES) {
+        errors.push(`evaluation_delay_minutes debe ser un entero entre 0 y ${MAX_EVALUATION_DELAY_MINUTES}`);
+    }
+
+    if (errors.length > 0) {
+        return { value: null, errors };
+    }
+
+    return {
+        value: {
+            variants: normalizedVariants,
+            test_percentage: testPercentage,
+            winner_metric: winnerMetric,
+            evaluation_delay_minutes: evaluationDelay
+        },
+        errors: []
+    };
+}
+
+/**
+ * Repartir la audiencia: el grupo de prueba se divide en partes iguales entre
+ * las variantes y el resto espera a la ganadora. El orden se baraja con un
+ * hash estable por campaña, así un reintento produce el mismo reparto.
+ * @param {Array<{id: number}>} recipients - Filas de campaign_messages
+ * @param {string[]} variantKeys
+ * @param {number} testPercentage
+ * @returns {Array<{id: number, group: string, variantKey: string|null}>}
+ */
+export function assignAudience(recipients, variantKeys, testPercentage, seed = '') {
+    const shuffled = [...recipients].sort((a, b) => {
+        const hashA = crypto.createHash('sha1').update(`${seed}:${a.id}`).digest('hex');
+        const hashB = crypto.createHash('sha1').update(`${seed}:${b.id}`).digest('hex');
+        return hashA < hashB ? -1 : hashA > hashB ? 1 : 0;
+    });
+
+    // Al menos un destinatario por variante mientras la audiencia alcance
+    const testSize = Math.min(
+        shuffled.length,
+        Math.max(Math.ceil(shuffled.length * testPercentage / 100), variantKeys.length)
+    );
+
+    return shuffled.map((recipient, index) => (index < testSize
+        ? { id: recipient.id, group: AB_GROUPS.TEST, variantKey: variantKeys[index % variantKeys.length] }
+        : { id: recipient.id, group: AB_GROUPS.HOLDOUT, variantKey: null }));
+}
+
+/**
+ * Fecha de SQLite (CURRENT_TIMESTAMP, en UTC) o ISO a milisegundos
+ */
+export function parseTimestamp(value) {
+    if (!value) {
+        return null;
+    }
+    const text = String(value);
+    const iso = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text) ? `${text.replace(' ', 'T')}Z` : text;
+    const time = new Date(iso).getTime();
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Mensajes de campaña seguidos de un pedido del mismo contacto (CommerceService)
+ * @param {Array<{id, contact_id, phone, sent_at}>} messages
+ * @param {Array<{userId, status, createdAt, metadata?}>} orders
+ * @returns {Set} IDs de campaign_messages con conversión
+ */
+export function attributeConversions(messages, orders) {
+    const converted = new Set();
+    const validOrders = (orders || [])
+        .filter(order => !NON_CONVERTING_ORDER_STATUSES.includes(order.status))
+        .map(order => ({
+            keys: [order.userId, order.metadata?.phone, order.metadata?.contactId]
+                .filter(value => !isBlank(value))
+                .flatMap(value => [String(value).trim(), String(value).replace(/\D/g, '')])
+                .filter(Boolean),
+            createdAt: parseTimestamp(order.createdAt)
+        }))
+        .filter(order => order.createdAt !== null && order.keys.length > 0);
+
+    for (const message of messages) {
+        const sentAt = parseTimestamp(message.sent_at);
+        if (sentAt === null) {
+            continue;
+        }
+        const keys = [String(message.phone || '').replace(/\D/g, ''), String(message.contact_id ?? '')].filter(Boolean);
+        const hasOrder = validOrders.some(order => order.createdAt >= sentAt && order.keys.some(key => keys.includes(key)));
+        if (hasOrder) {
+            converted.add(message.id);
+        }
+    }
+    return converted;
+}
+
+const rate = (count, base) => (base > 0 ? Number((count / base * 100).toFixed(2)) : 0);
+
+/**
+ * Métricas de una variante; las tasas se calculan sobre los mensajes entregados
+ */
+export function buildVariantStats(variant, counts = {}) {
+    const value = field => Number(counts[field]) || 0;
+    const delivered = value('delivered');
+
+    return {
+        key: variant.key,
+        name: variant.name,
+        template_id: variant.template_id,
+        header_media_url: variant.header_media_url || null,
+        recipients: value('total'),
+        pending: value('pending'),
+        sent: value('sent'),
+        delivered,
+        read: value('read'),
+        failed: value('failed'),
+        replied: value('replied'),
+        clicked: value('clicked'),
+        converted: value('converted'),
+        read_rate: rate(value('read'), delivered),
+        click_rate: rate(value('clicked'), delivered),
+        reply_rate: rate(value('replied'), delivered),
+        conversion_rate: rate(value('converted'), delivered)
+    };
+}
+
+/**
+ * Valor de la métrica ganadora para una variante
+ */
+export function metricValue(stats, metric) {
+    const counter = METRIC_COUNTERS[metric];
+    return counter ? rate(stats[counter], stats.delivered) : 0;
+}
+
+/**
+ * Elegir la variante ganadora del grupo de prueba
+ * Mayor tasa de la métrica; en empate, la que más entregó y después el orden
+ * de las variantes. Sin entregas se queda la primera variante.
+ * @param {Object[]} variantStats - Resultado de buildVariantStats (grupo de prueba)
+ * @returns {{variantKey: string, metric: string, value: number, reason: string}|null}
+ */
+export function pickWinner(variantStats, metric) {
+    if (!variantStats || variantStats.length === 0) {
+        return null;
+    }
+
+    if (variantStats.every(stats => stats.delivered === 0)) {
+        return { variantKey: variantStats[0].key, metric, value: 0, reason: 'no_data' };
+    }
+
+    const ranked = [...variantStats].sort((a, b) =>
+        (metricValue(b, metric) - metricValue(a, metric)) || (b.delivered - a.delivered));
+    const best = ranked[0];
+    const tied = ranked.length > 1 && metricValue(ranked[1], metric) === metricValue(best, metric);
+
+    return {
+        variantKey: best.key,
+        metric,
+        value: metricValue(best, metric),
+        reason: tied ? 'tie_break' : 'best_rate'
+    };
+}
+
+/**
+ * Contenido a enviar a un destinatario según su variante
+ * @param {Object} campaign - Fila de campaigns (template_id, variable_mapping)
+ * @param {Object[]|null} variants - Variantes de la prueba A/B
+ * @param {string|null} variantKey
+ * @returns {{templateId: string, variableMapping: Object, headerMediaUrl: string|null}}
+ */
+export function resolveVariantContent(campaign, variants, variantKey) {
+    const campaignMapping = parseMapping(campaign.variable_mapping) || {};
+    const variant = variantKey && variants ? variants.find(item => item.key === variantKey) : null;
+
+    if (!variant) {
+        return { templateId: campaign.template_id, variableMapping: campaignMapping, headerMediaUrl: null };
+    }
+
+    return {
+        templateId: variant.template_id,
+        variableMapping: variant.variable_mapping || campaignMapping,
+        headerMediaUrl: variant.header_media_url || null
+    };
+}
@@ -0,0 +1,58 @@
+/**
+ * Estados y transiciones de los jobs de envío de campañas
+ * Lógica pura compartida por CampaignJobService y las rutas de campañas
+ */
+
+export const JOB_STATUS = Object.freeze({
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    CANCELLED: 'cancelled',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+});
+
+// Estados en los que el job todavía puede enviar mensajes
+export const ACTIVE_JOB_STATUSES = [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING, JOB_STATUS.PAUSED];
+
+// Acción solicitada -> estados desde los que se permite
+const ALLOWED_TRANSITIONS = {
+    pause: [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING],
+    resume: [JOB_STATUS.PAUSED],
+    cancel: [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING, JOB_STATUS.PAUSED]
+};
+
+/**
+ * Verificar si una acción es válida para el estado actual del job
+ */
+export function canTransition(status, action) {
+    return (ALLOWED_TRANSITIONS[action] || []).includes(status);
+}
+
+/**
+ * Un job es reclamable si está en cola o si su lease expiró
+ * (el proceso que lo ejecutaba se reinició o murió)
+ */
+export function isClaimable(job, now = new Date()) {
+    if (!job) {
+        return false;
+    }
+    if (job.status === JOB_STATUS.QUEUED) {
+        return true;
+    }
+    if (job.status !== JOB_STATUS.RUNNING) {
+        return false;
+    }
+    return !job.lease_expires_at || new Date(job.lease_expires_at).getTime() <= now.getTime();
+}
+
+/**
+ * Clave de idempotencia: un contacto recibe la campaña una sola vez
+ */
+export function buildIdempotencyKey(campaignId, contact) {
+    if (contact.id !== undefined && contact.id !== null) {
+        return `campaign:${campaignId}:contact:${contact.id}`;
+    }
+    const phone = String(contact.phone || contact.phone_number || '').replace(/\D/g, '');
+    return `campaign:${campaignId}:phone:${phone}`;
+}
@@ -0,0 +1,297 @@
+/**
+ * @fileoverview Servicio de Exportación de Contactos
+ *
+ * Exporta contactos en CSV, XLSX o NDJSON con una columna por campo
+ * personalizado y las etiquetas en una sola columna. Los contactos se leen
+ * por lotes (paginación por id) y se escriben al stream de respuesta
+ * respetando la contrapresión, para no cargar exportaciones grandes en memoria.
+ */
+
+import { getDatabaseService } from '../DatabaseService.js';
+import { createLogger } from '../core/core/logger.js';
+import { buildContactFilters } from './contactFilters.js';
+import { segmentService, SegmentError } from './SegmentService.js';
+import { isSegmentQuery } from './segmentQuery.js';
+import { parseFieldDefinition } from './customFieldTypes.js';
+import {
+  EXPORT_FORMATS,
+  buildExportColumns,
+  flattenContact,
+  formatCsvRow,
+  formatNdjsonRow
+} from './contactExportFormat.js';
+
+const logger = createLogger('CONTACT_EXPORT');
+
+// SQLite limita el número de parámetros por consulta (IN de cada lote)
+const BATCH_SIZE = 500;
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+export const EXPORT_CONTENT_TYPES = Object.freeze({
+  [EXPORT_FORMATS.CSV]: 'text/csv; charset=utf-8',
+  [EXPORT_FORMATS.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  [EXPORT_FORMATS.NDJSON]: 'application/x-ndjson; charset=utf-8'
+});
+
+/**
+ * Error de parámetros de exportación
+ */
+export class ContactExportError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'ContactExportError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Esperar a que el stream acepte más datos (o se cierre)
+ */
+function waitForDrain(stream) {
+  return new Promise(resolve => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+}
+
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await waitForDrain(stream);
+  }
+}
+
+class ContactExportService {
+  constructor() {
+    this.db = getDatabaseService();
+  }
+
+  /**
+   * Validar parámetros y preparar columnas y filtros de la exportación
+   * @param {Object} query - Parámetros de la petición (format, filtros de la lista, segment)
+   */
+  async prepare(query = {}) {
+    await this.db.initialize();
+
+    const format = String(query.format || EXPORT_FORMATS.CSV).toLowerCase();
+    if (!Object.values(EXPORT_FORMATS).includes(format)) {
+      throw new ContactExportError(`Formato no soportado: ${format}. Use csv, xlsx o ndjson`, 'INVALID_FORMAT');
+    }
+
+    const delimiter = query.delimiter === 'tab' ? '\t' : (query.delimiter || ',');
+    if (!CSV_DELIMITERS.includes(delimiter)) {
+      throw new ContactExportError('Separador CSV inválido. Use ",", ";" o "tab"', 'INVALID_DELIMITER');
+    }
+
+    const contactTags = await this.hasTable('contact_tags');
+    const customFields = (await this.db.all(
+      'SELECT * FROM custom_field_definitions WHERE is_active = 1 ORDER BY created_at, id'
+    ).catch(() => [])).map(parseFieldDefinition);
+
+    const conditions = [];
+    const params = [];
+    const addFilters = filters => {
+      const built = buildContactFilters(filters, { contactTags, customFields });
+      conditions.push(...built.conditions);
+      params.push(...built.params);
+    };
+
+    if (query.segment) {
+      const segment = await this.getSegmentFilters(query.segment);
+      if (isSegmentQuery(segment)) {
+        // Lenguaje de segmentos: se compila igual que al enviar una campaña
+        const { sql, params: segmentParams } = await segmentService.compile(segment);
+        conditions.push(`(${sql})`);
+        params.push(...segmentParams);
+      } else {
+        addFilters(segment);
+      }
+    }
+    addFilters(query);
+
+    return {
+      format,
+      delimiter,
+      tagDelimiter: query.tag_delimiter || '|',
+      columns: buildExportColumns(customFields),
+      conditions,
+      params,
+      contactTags,
+      contentType: EXPORT_CONTENT_TYPES[format],
+      fileName: `contacts-export-${new Date().toISOString().split('T')[0]}.${format}`
+    };
+  }
+
+  /**
+   * Filtros de un segmento: primero los segmentos de /api/segments (lenguaje de
+   * segmentos); si no existe, los `criteria` de audience_segments, que guardan
+   * los mismos filtros de la lista de contactos
+   */
+  async getSegmentFilters(segmentId) {
+    try {
+      return (await segmentService.get(segmentId)).filters;
+    } catch (error) {
+      if (!(error instanceof SegmentError) || error.code !== 'SEGMENT_NOT_FOUND') {
+        throw error;
+      }
+    }
+
+    const segment = await this.db.get('SELECT criteria FROM audience_segments WHERE id = ?', [segmentId])
+      .catch(() => null);
+    if (!segment) {
+      throw new ContactExportError('Segmento no encontrado', 'SEGMENT_NOT_FOUND', 404);
+    }
+
+    try {
+      const criteria = JSON.parse(segment.criteria || '{}');
+      return criteria && typeof criteria === 'object' ? criteria : {};
+    } catch (error) {
+      throw new ContactExportError('Los criterios del segmento no son válidos', 'INVALID_SEGMENT', 422);
+    }
+  }
+
+  /**
+   * Escribir la exportación en un stream (normalmente la respuesta HTTP)
+   * @returns {Promise<number>} Contactos exportados
+   */
+  async writeTo(stream, plan) {
+    const { format, columns, delimiter } = plan;
+    const tagDelimiter = format === EXPORT_FORMATS.NDJSON ? null : plan.tagDelimiter;
+    let exported = 0;
+
+    let sheet = null;
+    let workbook = null;
+    if (format === EXPORT_FORMATS.XLSX) {
+      const { default: ExcelJS } = await import('exceljs');
+      workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+      sheet = workbook.addWorksheet('Contactos');
+      sheet.columns = columns.map(column => ({ header: column.header, key: column.key }));
+    } else if (format === EXPORT_FORMATS.CSV) {
+      // BOM para que Excel detecte UTF-8
+      await write(stream, `\uFEFF${formatCsvRow(columns.map(column => column.header), delimiter)}`);
+    }
+
+    for await (const contacts of this.iterateBatches(plan)) {
+      if (stream.destroyed) {
+        logger.warn(`⚠️ Exportación cancelada por el cliente tras ${exported} contactos`);
+        return exported;
+      }
+
+      for (const contact of contacts) {
+        const row = flattenContact(contact, columns, { tagDelimiter });
+
+        if (sheet) {
+          sheet.addRow(row).commit();
+        } else if (format === EXPORT_FORMATS.CSV) {
+          await write(stream, formatCsvRow(columns.map(column => row[column.key]), delimiter));
+        } else {
+          await write(stream, formatNdjsonRow(row, columns));
+        }
+      }
+      exported += contacts.length;
+    }
+
+    if (workbook) {
+      sheet.commit();
+      await workbook.commit();
+    } else {
+      stream.end();
+    }
+
+    logger.info(`📤 Exportación ${format} completada: ${exported} contactos`);
+    return exported;
+  }
+
+  /**
+   * Leer contactos por lotes con sus etiquetas y campos personalizados
+   */
+  async* iterateBatches({ conditions, params, contactTags }) {
+    let lastId = 0;
+
+    while (true) {
+      const where = [...conditions, 'contacts.id > ?'].join(' AND ');
+      const contacts = await this.db.all(
+        `SELECT contacts.id, contacts.phone_number, contacts.name, contacts.email, contacts.status,
+                contacts.tags, contacts.created_at, contacts.updated_at
+         FROM contacts
+         WHERE ${where}
+         ORDER BY contacts.id
+         LIMIT ?`,
+        [...params, lastId, BATCH_SIZE]
+      );
+
+      if (contacts.length === 0) {
+        return;
+      }
+      lastId = contacts[contacts.length - 1].id;
+
+      yield await this.enrich(contacts, { contactTags });
+
+      if (contacts.length < BATCH_SIZE) {
+        return;
+      }
+    }
+  }
+
+  async enrich(contacts, { contactTags }) {
+    const ids = contacts.map(contact => contact.id);
+    const placeholders = ids.map(() => '?').join(', ');
+
+    const values = await this.db.all(
+      `SELECT contact_id, field_id, value FROM custom_field_values WHERE contact_id IN (${placeholders})`,
+      ids
+    ).catch(() => []);
+
+    const linkedTags = contactTags
+      ? await this.db.all(
+        `SELECT ct.contact_id, t.name FROM contact_tags ct JOIN tags t ON t.id = ct.tag_id
+         WHERE ct.contact_id IN (${placeholders})`,
+        ids
+      )
+      : [];
+
+    const customByContact = new Map();
+    for (const row of values) {
+      if (!customByContact.has(row.contact_id)) {
+        customByContact.set(row.contact_id, {});
+      }
+      customByContact.get(row.contact_id)[row.field_id] = row.value;
+    }
+
+    const tagsByContact = new Map();
+    for (const row of linkedTags) {
+      if (!tagsByContact.has(row.contact_id)) {
+        tagsByContact.set(row.contact_id, []);
+      }
+      tagsByContact.get(row.contact_id).push(row.name);
+    }
+
+    return contacts.map(contact => {
+      let tags = [];
+      try {
+        tags = contact.tags ? JSON.parse(contact.tags) : [];
+      } catch (error) {
+        tags = [];
+      }
+
+      return {
+        ...contact,
+        tags: [...new Set([...(Array.isArray(tags) ? tags : []), ...(tagsByContact.get(contact.id) || [])])],
+        customFields: customByContact.get(contact.id) || {}
+      };
+    });
+  }
+
+  async hasTable(table) {
+    const row = await this.db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+    return !!row;
+  }
+}
+
+export const contactExportService = new ContactExportService();
+export default ContactExportService;
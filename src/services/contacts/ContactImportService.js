@@ -0,0 +1,739 @@
+/**
+ * @fileoverview Servicio de Importación de Contactos
+ *
+ * Importación en dos pasos: el archivo subido se guarda en disco y se
+ * devuelve una previsualización con el mapeo sugerido de columnas (incluidos
+ * los campos personalizados); luego se puede simular (dry run) y confirmar.
+ * Los archivos CSV y XLSX se leen en streaming fila por fila, y el progreso
+ * de la importación se notifica vía Socket.IO.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getDatabaseService } from '../DatabaseService.js';
+import { createLogger } from '../core/core/logger.js';
+import { PERMISSIONS } from '../auth/permissions.js';
+import { emitToPermission } from '../auth/socketRooms.js';
+import { parseCsvStream } from './csvStreamParser.js';
+import { DEFAULT_IMPORT_COUNTRY, COUNTRY_DIALING_PLANS } from './phoneNormalizer.js';
+import {
+  IMPORT_TARGETS,
+  CUSTOM_FIELD_PREFIX,
+  DUPLICATE_STRATEGIES,
+  IMPORT_ACTIONS,
+  uniqueHeaders,
+  suggestMapping,
+  fromLegacyMapping,
+  validateMapping,
+  mapRecord,
+  validateRecord,
+  planContactWrite
+} from './contactImportMapping.js';
+import { parseFieldDefinition } from './customFieldTypes.js';
+
+const logger = createLogger('CONTACT_IMPORT');
+
+export const IMPORT_STATUS = Object.freeze({
+  UPLOADED: 'uploaded',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  EXPIRED: 'expired'
+});
+
+const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+const PREVIEW_ROWS = 10;
+const PROGRESS_EVERY = 100;
+const MAX_ROW_ERRORS = 500;
+
+/**
+ * Error de operaciones de importación
+ */
+export class ContactImportError extends Error {
+  constructor(message, code, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'ContactImportError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Convertir el valor de una celda de Excel a texto
+ */
+function cellToString(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) {
+      return value.richText.map(part => part.text).join('');
+    }
+    if ('result' in value) {
+      return cellToString(value.result);
+    }
+    if ('text' in value) {
+      return cellToString(value.text);
+    }
+    return '';
+  }
+  return String(value);
+}
+
+class ContactImportService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.io = null;
+    this.isInitialized = false;
+    this.uploadDir = path.join(process.cwd(), 'data', 'imports');
+    this.defaultCountry = (process.env.CONTACT_IMPORT_DEFAULT_COUNTRY || DEFAULT_IMPORT_COUNTRY).toUpperCase();
+    this.retentionHours = parseInt(process.env.CONTACT_IMPORT_RETENTION_HOURS, 10) || 24;
+    this.runningImports = new Set();
+  }
+
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  /**
+   * Crear tabla de importaciones y limpiar las interrumpidas o vencidas
+   */
+  async initialize(io = null) {
+    if (io) {
+      this.setSocketIO(io);
+    }
+
+    if (this.isInitialized) {
+      return this;
+    }
+
+    try {
+      await this.db.initialize();
+      fs.mkdirSync(this.uploadDir, { recursive: true });
+
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS contact_imports (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          file_name TEXT NOT NULL,
+          file_path TEXT,
+          file_type VARCHAR(10) NOT NULL,
+          file_size INTEGER,
+          status VARCHAR(20) NOT NULL DEFAULT 'uploaded',
+          headers TEXT,
+          mapping TEXT,
+          default_country VARCHAR(2),
+          duplicate_strategy VARCHAR(10),
+          total_rows INTEGER,
+          processed_rows INTEGER DEFAULT 0,
+          created_count INTEGER DEFAULT 0,
+          updated_count INTEGER DEFAULT 0,
+          skipped_count INTEGER DEFAULT 0,
+          failed_count INTEGER DEFAULT 0,
+          row_errors TEXT,
+          error_message TEXT,
+          created_by INTEGER,
+          started_at DATETIME,
+          finished_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Una importación en curso no sobrevive a un reinicio: se marca como fallida
+      await this.db.run(
+        `UPDATE contact_imports
+         SET status = ?, error_message = 'Importación interrumpida por un reinicio del servidor',
+             finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE status = ?`,
+        [IMPORT_STATUS.FAILED, IMPORT_STATUS.RUNNING]
+      );
+
+      this.isInitialized = true;
+      await this.purgeExpiredUploads();
+      logger.info('✅ ContactImportService inicializado');
+      return this;
+    } catch (error) {
+      logger.error('❌ Error inicializando ContactImportService:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Paso 1: registrar el archivo subido y devolver la previsualización
+   * @param {Object} file - Archivo de multer (almacenado en disco)
+   */
+  async createUpload(file, { createdBy = null } = {}) {
+    await this.initialize();
+
+    const fileType = path.extname(file.originalname || '').toLowerCase().slice(1);
+    if (!SUPPORTED_EXTENSIONS.includes(`.${fileType}`)) {
+      this.removeFile(file.path);
+      throw new ContactImportError('Tipo de archivo no soportado. Use .xlsx, .xls o .csv', 'UNSUPPORTED_FILE', 415);
+    }
+
+    const rows = [];
+    try {
+      for await (const values of this.readRows(file.path, fileType)) {
+        rows.push(values);
+        if (rows.length > PREVIEW_ROWS) {
+          break;
+        }
+      }
+    } catch (error) {
+      this.removeFile(file.path);
+      throw error instanceof ContactImportError
+        ? error
+        : new ContactImportError(`No se pudo leer el archivo: ${error.message}`, 'FILE_UNREADABLE', 422);
+    }
+
+    if (rows.length === 0) {
+      this.removeFile(file.path);
+      throw new ContactImportError('El archivo está vacío', 'EMPTY_FILE', 422);
+    }
+
+    const headers = uniqueHeaders(rows[0]);
+    const customFields = await this.getCustomFields();
+    const suggestedMapping = suggestMapping(headers, customFields);
+
+    const result = await this.db.run(
+      `INSERT INTO contact_imports (file_name, file_path, file_type, file_size, status, headers, mapping, default_country, duplicate_strategy, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        file.originalname,
+        file.path,
+        fileType,
+        file.size || null,
+        IMPORT_STATUS.UPLOADED,
+        JSON.stringify(headers),
+        JSON.stringify(suggestedMapping),
+        this.defaultCountry,
+        DUPLICATE_STRATEGIES.SKIP,
+        createdBy
+      ]
+    );
+
+    logger.info(`📁 Importación ${result.lastID} registrada: ${file.originalname} (${file.size || 0} bytes)`);
+
+    return {
+      import: await this.getImport(result.lastID),
+      headers,
+      sampleRows: rows.slice(1).map(values =>
+        Object.fromEntries(headers.map((header, index) => [header, values[index] ?? '']))
+      ),
+      suggestedMapping,
+      targets: {
+        standard: Object.values(IMPORT_TARGETS),
+        customFields: customFields.map(field => ({
+          target: `${CUSTOM_FIELD_PREFIX}${field.id}`,
+          id: field.id,
+          name: field.name,
+          type: field.type,
+          options: field.options,
+          required: field.is_required
+        }))
+      },
+      duplicateStrategies: Object.values(DUPLICATE_STRATEGIES),
+      countries: Object.keys(COUNTRY_DIALING_PLANS)
+    };
+  }
+
+  /**
+   * Paso 2: simular la importación sin escribir contactos
+   */
+  async dryRun(importId, options = {}) {
+    const job = await this.requireImport(importId);
+    this.assertNotStarted(job);
+
+    const settings = await this.resolveSettings(job, options);
+    await this.saveSettings(job.id, settings);
+
+    const report = await this.processRows(job, settings, { dryRun: true });
+    await this.db.run(
+      'UPDATE contact_imports SET total_rows = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [report.totalRows, job.id]
+    );
+
+    logger.info(`🧪 Dry run importación ${job.id}: ${report.created} nuevos, ${report.updated} actualizados, ${report.skipped} omitidos, ${report.failed} con errores`);
+    const { mapping, defaultCountry, duplicateStrategy } = settings;
+    return { dryRun: true, importId: job.id, settings: { mapping, defaultCountry, duplicateStrategy }, ...report };
+  }
+
+  /**
+   * Paso 3: confirmar la importación. Se ejecuta en segundo plano salvo que
+   * se pida esperar el resultado.
+   */
+  async commit(importId, options = {}, { wait = false } = {}) {
+    const job = await this.requireImport(importId);
+    this.assertNotStarted(job);
+
+    const settings = await this.resolveSettings(job, options);
+    await this.saveSettings(job.id, settings);
+
+    const claimed = await this.db.run(
+      `UPDATE contact_imports
+       SET status = ?, started_at = CURRENT_TIMESTAMP, processed_rows = 0, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = ?`,
+      [IMPORT_STATUS.RUNNING, job.id, IMPORT_STATUS.UPLOADED]
+    );
+    if (claimed.changes === 0) {
+      throw new ContactImportError('La importación ya fue iniciada', 'IMPORT_ALREADY_STARTED', 409);
+    }
+
+    const execution = this.run(job, settings);
+    if (wait) {
+      await execution;
+    } else {
+      execution.catch(error => logger.error(`❌ Error en importación ${job.id}:`, error));
+    }
+
+    return await this.getImport(job.id);
+  }
+
+  async run(job, settings) {
+    this.runningImports.add(job.id);
+
+    try {
+      // Contar filas primero para poder informar el porcentaje de avance
+      const totalRows = job.total_rows ?? await this.countRows(job);
+      await this.db.run('UPDATE contact_imports SET total_rows = ? WHERE id = ?', [totalRows, job.id]);
+
+      const report = await this.processRows({ ...job, total_rows: totalRows }, settings, { dryRun: false });
+
+      await this.db.run(
+        `UPDATE contact_imports
+         SET status = ?, total_rows = ?, processed_rows = ?, created_count = ?, updated_count = ?,
+             skipped_count = ?, failed_count = ?, row_errors = ?, file_path = NULL,
+             finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [
+          IMPORT_STATUS.COMPLETED,
+          report.totalRows,
+          report.totalRows,
+          report.created,
+          report.updated,
+          report.skipped,
+          report.failed,
+          JSON.stringify(report.errors),
+          job.id
+        ]
+      );
+
+      logger.info(`✅ Importación ${job.id} completada: ${report.created} nuevos, ${report.updated} actualizados, ${report.skipped} omitidos, ${report.failed} con errores`);
+    } catch (error) {
+      logger.error(`❌ Importación ${job.id} fallida:`, error);
+      await this.db.run(
+        `UPDATE contact_imports
+         SET status = ?, error_message = ?, file_path = NULL, finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [IMPORT_STATUS.FAILED, error.message, job.id]
+      );
+    } finally {
+      this.runningImports.delete(job.id);
+      this.removeFile(job.file_path);
+      this.emitProgress(await this.getImport(job.id));
+    }
+  }
+
+  /**
+   * Recorrer el archivo aplicando mapeo, validación y estrategia de duplicados
+   */
+  async processRows(job, settings, { dryRun }) {
+    const headers = JSON.parse(job.headers || '[]');
+    const report = { totalRows: 0, created: 0, updated: 0, skipped: 0, failed: 0, errors: [], errorsTruncated: false };
+    // Estado resultante por teléfono, para resolver duplicados dentro del mismo archivo
+    const seen = new Map();
+    // Valores de campos únicos ya asignados en este archivo → teléfono
+    const claimed = new Map();
+    let rowNumber = 0;
+
+    const addErrors = (row, errors, value = null) => {
+      report.failed++;
+      for (const error of errors) {
+        if (report.errors.length >= MAX_ROW_ERRORS) {
+          report.errorsTruncated = true;
+          return;
+        }
+        report.errors.push({ row, ...error, ...(value !== null ? { value } : {}) });
+      }
+    };
+
+    for await (const values of this.readRows(job.file_path, job.file_type)) {
+      rowNumber++;
+      if (rowNumber === 1 || values.every(value => !String(value ?? '').trim())) {
+        continue;
+      }
+      report.totalRows++;
+
+      const record = mapRecord(values, headers, settings.mapping);
+      const { contact, errors } = validateRecord(record, {
+        defaultCountry: settings.defaultCountry,
+        customFields: settings.customFields
+      });
+
+      if (errors.length > 0) {
+        addErrors(rowNumber, errors, record.phone || null);
+      } else {
+        try {
+          const existing = seen.has(contact.phone) ? seen.get(contact.phone) : await this.findExisting(contact.phone);
+          const plan = planContactWrite(existing, contact, settings.duplicateStrategy);
+          const uniqueErrors = await this.findUniqueViolations(contact.phone, plan.customFields, settings.customFields, claimed);
+
+          if (uniqueErrors.length > 0) {
+            addErrors(rowNumber, uniqueErrors, contact.phone);
+          } else {
+            const state = dryRun ? this.previewState(existing, contact, plan) : await this.applyPlan(existing, contact, plan);
+            seen.set(contact.phone, state);
+
+            if (plan.action === IMPORT_ACTIONS.CREATE) report.created++;
+            else if (plan.action === IMPORT_ACTIONS.UPDATE) report.updated++;
+            else report.skipped++;
+          }
+        } catch (error) {
+          addErrors(rowNumber, [{ field: null, code: 'WRITE_FAILED', message: error.message }], contact.phone);
+        }
+      }
+
+      if (!dryRun && report.totalRows % PROGRESS_EVERY === 0) {
+        await this.reportProgress(job, report);
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Valores de campos únicos que ya tiene otro contacto (en la base o antes en el archivo)
+   */
+  async findUniqueViolations(phone, values, customFields, claimed) {
+    const errors = [];
+
+    for (const definition of customFields.filter(field => field.is_unique)) {
+      const value = values[definition.id];
+      if (value === undefined) {
+        continue;
+      }
+
+      const key = `${definition.id}:${value.toLowerCase()}`;
+      const owner = claimed.get(key);
+      const conflict = owner
+        ? owner !== phone
+        : await this.db.get(
+          `SELECT cfv.contact_id FROM custom_field_values cfv JOIN contacts c ON c.id = cfv.contact_id
+           WHERE cfv.field_id = ? AND LOWER(cfv.value) = LOWER(?) AND c.phone_number != ?
+           LIMIT 1`,
+          [definition.id, value, phone]
+        );
+
+      if (conflict) {
+        errors.push({
+          field: `${CUSTOM_FIELD_PREFIX}${definition.id}`,
+          code: 'DUPLICATE_VALUE',
+          message: `${definition.name}: el valor "${value}" ya está asignado a otro contacto`
+        });
+      } else {
+        claimed.set(key, phone);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Contacto existente con sus campos personalizados
+   */
+  async findExisting(phone) {
+    const contact = await this.db.get('SELECT id, name, email, tags FROM contacts WHERE phone_number = ?', [phone]);
+    if (!contact) {
+      return null;
+    }
+
+    const values = await this.db.all('SELECT field_id, value FROM custom_field_values WHERE contact_id = ?', [contact.id]);
+    let tags = [];
+    try {
+      tags = contact.tags ? JSON.parse(contact.tags) : [];
+    } catch (error) {
+      tags = [];
+    }
+
+    return {
+      id: contact.id,
+      name: contact.name,
+      email: contact.email,
+      tags: Array.isArray(tags) ? tags : [],
+      customFields: Object.fromEntries(values.map(row => [row.field_id, row.value]))
+    };
+  }
+
+  previewState(existing, contact, plan) {
+    if (plan.action === IMPORT_ACTIONS.CREATE) {
+      return { id: null, ...plan.fields, customFields: plan.customFields };
+    }
+    return {
+      ...existing,
+      ...plan.fields,
+      customFields: { ...existing.customFields, ...plan.customFields }
+    };
+  }
+
+  async applyPlan(existing, contact, plan) {
+    if (plan.action === IMPORT_ACTIONS.SKIP) {
+      return existing;
+    }
+
+    let contactId = existing?.id;
+
+    if (plan.action === IMPORT_ACTIONS.CREATE) {
+      const result = await this.db.run(
+        `INSERT INTO contacts (phone_number, name, email, tags, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, 'active', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+        [
+          contact.phone,
+          plan.fields.name || contact.phone,
+          plan.fields.email,
+          plan.fields.tags.length > 0 ? JSON.stringify(plan.fields.tags) : null
+        ]
+      );
+      contactId = result.lastID;
+    } else if (Object.keys(plan.fields).length > 0) {
+      const assignments = Object.keys(plan.fields).map(field => `${field} = ?`);
+      const params = Object.entries(plan.fields).map(([field, value]) =>
+        field === 'tags' ? JSON.stringify(value) : value
+      );
+      await this.db.run(
+        `UPDATE contacts SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...params, contactId]
+      );
+    }
+
+    for (const [fieldId, value] of Object.entries(plan.customFields)) {
+      await this.db.run(
+        `INSERT INTO custom_field_values (contact_id, field_id, value, created_at, updated_at)
+         VALUES (?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+         ON CONFLICT(contact_id, field_id) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+        [contactId, fieldId, value]
+      );
+    }
+
+    return { ...this.previewState(existing, contact, plan), id: contactId };
+  }
+
+  async reportProgress(job, report) {
+    await this.db.run(
+      `UPDATE contact_imports
+       SET processed_rows = ?, created_count = ?, updated_count = ?, skipped_count = ?, failed_count = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [report.totalRows, report.created, report.updated, report.skipped, report.failed, job.id]
+    );
+    this.emitProgress(await this.getImport(job.id));
+  }
+
+  emitProgress(job) {
+    if (!this.io || !job) {
+      return;
+    }
+
+    emitToPermission(this.io, PERMISSIONS.CONTACTS_IMPORT, 'contact_import_progress', {
+      importId: job.id,
+      status: job.status,
+      totalRows: job.totalRows,
+      processedRows: job.processedRows,
+      progress: job.progress,
+      created: job.created,
+      updated: job.updated,
+      skipped: job.skipped,
+      failed: job.failed
+    });
+  }
+
+  /**
+   * Leer las filas del archivo como arreglos de texto (la primera es la cabecera)
+   */
+  async* readRows(filePath, fileType) {
+    if (!filePath || !fs.existsSync(filePath)) {
+      throw new ContactImportError('El archivo de la importación ya no está disponible', 'FILE_MISSING', 410);
+    }
+
+    if (fileType === 'csv') {
+      yield* parseCsvStream(fs.createReadStream(filePath));
+      return;
+    }
+
+    if (fileType === 'xlsx') {
+      const { default: ExcelJS } = await import('exceljs');
+      const workbookReader = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+        sharedStrings: 'cache',
+        hyperlinks: 'ignore',
+        styles: 'ignore',
+        worksheets: 'emit'
+      });
+
+      // Solo se importa la primera hoja
+      for await (const worksheetReader of workbookReader) {
+        for await (const row of worksheetReader) {
+          yield row.values.slice(1).map(cellToString);
+        }
+        return;
+      }
+      return;
+    }
+
+    // El formato .xls binario no admite streaming: se lee completo con la librería xlsx
+    let XLSX;
+    try {
+      const xlsxModule = await import('xlsx');
+      XLSX = xlsxModule.read ? xlsxModule : xlsxModule.default;
+    } catch (error) {
+      throw new ContactImportError('Los archivos .xls no están soportados en este servidor; guárdelo como .xlsx o .csv', 'XLS_UNSUPPORTED', 415);
+    }
+    const workbook = XLSX.read(await fs.promises.readFile(filePath), { type: 'buffer' });
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    yield* XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: false, defval: '' });
+  }
+
+  async countRows(job) {
+    let count = -1;
+    for await (const values of this.readRows(job.file_path, job.file_type)) {
+      if (values.some(value => String(value ?? '').trim())) {
+        count++;
+      }
+    }
+    return Math.max(count, 0);
+  }
+
+  /**
+   * Combinar opciones recibidas con las guardadas y validarlas
+   */
+  async resolveSettings(job, options = {}) {
+    const headers = JSON.parse(job.headers || '[]');
+    const customFields = await this.getCustomFields();
+
+    let mapping = options.mapping ?? JSON.parse(job.mapping || '{}');
+    if (mapping && Object.values(mapping).some(value => typeof value === 'number') &&
+        ['name', 'lastName', 'phone', 'email'].some(key => key in mapping)) {
+      mapping = fromLegacyMapping(mapping, headers);
+    }
+
+    const mappingErrors = validateMapping(mapping, headers, customFields.map(field => field.id));
+    if (mappingErrors.length > 0) {
+      throw new ContactImportError('Mapeo de columnas inválido', 'INVALID_MAPPING', 400, mappingErrors);
+    }
+
+    const defaultCountry = String(options.defaultCountry || job.default_country || this.defaultCountry).toUpperCase();
+    if (!COUNTRY_DIALING_PLANS[defaultCountry]) {
+      throw new ContactImportError(`País no soportado: ${defaultCountry}`, 'INVALID_COUNTRY', 400);
+    }
+
+    const duplicateStrategy = options.duplicateStrategy || job.duplicate_strategy || DUPLICATE_STRATEGIES.SKIP;
+    if (!Object.values(DUPLICATE_STRATEGIES).includes(duplicateStrategy)) {
+      throw new ContactImportError(`Estrategia de duplicados inválida: ${duplicateStrategy}`, 'INVALID_DUPLICATE_STRATEGY', 400);
+    }
+
+    return { mapping, defaultCountry, duplicateStrategy, customFields };
+  }
+
+  async saveSettings(importId, settings) {
+    await this.db.run(
+      `UPDATE contact_imports SET mapping = ?, default_country = ?, duplicate_strategy = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [JSON.stringify(settings.mapping), settings.defaultCountry, settings.duplicateStrategy, importId]
+    );
+  }
+
+  assertNotStarted(job) {
+    if (job.status !== IMPORT_STATUS.UPLOADED) {
+      throw new ContactImportError(`La importación está en estado ${job.status}`, 'IMPORT_ALREADY_STARTED', 409);
+    }
+  }
+
+  async requireImport(importId) {
+    await this.initialize();
+
+    const job = await this.db.get('SELECT * FROM contact_imports WHERE id = ?', [importId]);
+    if (!job) {
+      throw new ContactImportError('Importación no encontrada', 'IMPORT_NOT_FOUND', 404);
+    }
+    return job;
+  }
+
+  /**
+   * Estado público de una importación
+   */
+  async getImport(importId) {
+    await this.initialize();
+
+    const job = await this.db.get('SELECT * FROM contact_imports WHERE id = ?', [importId]);
+    if (!job) {
+      return null;
+    }
+
+    return {
+      id: job.id,
+      fileName: job.file_name,
+      fileType: job.file_type,
+      fileSize: job.file_size,
+      status: job.status,
+      mapping: job.mapping ? JSON.parse(job.mapping) : null,
+      defaultCountry: job.default_country,
+      duplicateStrategy: job.duplicate_strategy,
+      totalRows: job.total_rows,
+      processedRows: job.processed_rows,
+      progress: job.total_rows ? Math.min(100, Math.round((job.processed_rows / job.total_rows) * 100)) : null,
+      created: job.created_count,
+      updated: job.updated_count,
+      skipped: job.skipped_count,
+      failed: job.failed_count,
+      errors: job.row_errors ? JSON.parse(job.row_errors) : [],
+      errorMessage: job.error_message,
+      createdBy: job.created_by,
+      startedAt: job.started_at,
+      finishedAt: job.finished_at,
+      createdAt: job.created_at
+    };
+  }
+
+  async getCustomFields() {
+    try {
+      const rows = await this.db.all('SELECT * FROM custom_field_definitions WHERE is_active = 1 ORDER BY name');
+      return rows.map(parseFieldDefinition);
+    } catch (error) {
+      logger.warn('⚠️ No se pudieron cargar los campos personalizados:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Eliminar archivos de importaciones que nunca se confirmaron
+   */
+  async purgeExpiredUploads() {
+    const cutoff = new Date(Date.now() - this.retentionHours * 60 * 60 * 1000).toISOString();
+    const expired = await this.db.all(
+      'SELECT id, file_path FROM contact_imports WHERE status = ? AND created_at < ?',
+      [IMPORT_STATUS.UPLOADED, cutoff.replace('T', ' ').slice(0, 19)]
+    );
+
+    for (const job of expired) {
+      this.removeFile(job.file_path);
+      await this.db.run(
+        'UPDATE contact_imports SET status = ?, file_path = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [IMPORT_STATUS.EXPIRED, job.id]
+      );
+    }
+
+    if (expired.length > 0) {
+      logger.info(`🧹 ${expired.length} importaciones sin confirmar expiradas`);
+    }
+  }
+
+  removeFile(filePath) {
+    if (filePath) {
+      fs.promises.unlink(filePath).catch(() => {});
+    }
+  }
+}
+
+export const contactImportService = new ContactImportService();
+export default ContactImportService;
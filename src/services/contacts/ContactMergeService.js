@@ -0,0 +1,634 @@
+/**
+ * @fileoverview Servicio de Duplicados y Combinación de Contactos
+ *
+ * Busca contactos duplicados (teléfono normalizado, email o nombre similar)
+ * y los deja en una cola de revisión. Al combinar, los mensajes,
+ * conversaciones, etiquetas, valores de campos personalizados e historial de
+ * campañas del duplicado pasan al contacto sobreviviente y el duplicado se
+ * elimina. Cada combinación guarda lo movido para poder deshacerla durante
+ * una ventana de tiempo, y queda registrada en audit_logs.
+ */
+
+import { getDatabaseService } from '../DatabaseService.js';
+import { createLogger } from '../core/core/logger.js';
+import { PERMISSIONS } from '../auth/permissions.js';
+import { emitToPermission } from '../auth/socketRooms.js';
+import { suppressionService, SUPPRESSION_SOURCES } from '../whatsapp/SuppressionService.js';
+import { DEFAULT_IMPORT_COUNTRY } from './phoneNormalizer.js';
+import {
+  DEFAULT_NAME_THRESHOLD,
+  findDuplicatePairs,
+  planSurvivorUpdate,
+  suggestSurvivor
+} from './contactDuplicates.js';
+
+const logger = createLogger('CONTACT_MERGE');
+
+export const CANDIDATE_STATUS = Object.freeze({
+  PENDING: 'pending',
+  MERGED: 'merged',
+  DISMISSED: 'dismissed'
+});
+
+export const MERGE_STATUS = Object.freeze({
+  IN_PROGRESS: 'in_progress',
+  MERGED: 'merged',
+  UNDONE: 'undone',
+  FAILED: 'failed'
+});
+
+// Tablas cuyas filas pasan del duplicado al sobreviviente (si existen)
+const MOVABLE_TABLES = [
+  'messages',
+  'conversations',
+  'campaign_messages',
+  'campaign_contacts',
+  'message_windows',
+  'suppression_list',
+  'flow_runs'
+];
+const ID_CHUNK_SIZE = 500;
+
+/**
+ * Error de operaciones de duplicados/combinación
+ */
+export class ContactMergeError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'ContactMergeError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+function chunk(ids) {
+  const chunks = [];
+  for (let index = 0; index < ids.length; index += ID_CHUNK_SIZE) {
+    chunks.push(ids.slice(index, index + ID_CHUNK_SIZE));
+  }
+  return chunks;
+}
+
+class ContactMergeService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.io = null;
+    this.isInitialized = false;
+    this.undoHours = parseInt(process.env.CONTACT_MERGE_UNDO_HOURS, 10) || 72;
+    this.nameThreshold = parseFloat(process.env.CONTACT_DUPLICATE_NAME_THRESHOLD) || DEFAULT_NAME_THRESHOLD;
+    this.defaultCountry = (process.env.CONTACT_IMPORT_DEFAULT_COUNTRY || DEFAULT_IMPORT_COUNTRY).toUpperCase();
+  }
+
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  /**
+   * Crear tablas de la cola de revisión y del historial de combinaciones
+   */
+  async initialize(io = null) {
+    if (io) {
+      this.setSocketIO(io);
+    }
+
+    if (this.isInitialized) {
+      return this;
+    }
+
+    try {
+      await this.db.initialize();
+
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS contact_duplicate_candidates (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          contact_a_id INTEGER NOT NULL,
+          contact_b_id INTEGER NOT NULL,
+          reasons TEXT NOT NULL,
+          score REAL NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          reviewed_by INTEGER,
+          reviewed_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(contact_a_id, contact_b_id)
+        )
+      `);
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_duplicate_candidates_status ON contact_duplicate_candidates(status, score)');
+
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS contact_merges (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          survivor_id INTEGER NOT NULL,
+          duplicate_id INTEGER NOT NULL,
+          candidate_id INTEGER,
+          status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+          snapshot TEXT NOT NULL,
+          moved TEXT,
+          performed_by INTEGER,
+          undo_expires_at DATETIME,
+          undone_by INTEGER,
+          undone_at DATETIME,
+          error_message TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_contact_merges_survivor ON contact_merges(survivor_id)');
+
+      this.movableTables = [];
+      for (const table of MOVABLE_TABLES) {
+        if (await this.hasColumn(table, 'contact_id')) {
+          this.movableTables.push(table);
+        }
+      }
+
+      this.isInitialized = true;
+      logger.info(`✅ Servicio de duplicados inicializado (deshacer: ${this.undoHours}h)`);
+      return this;
+    } catch (error) {
+      logger.error('❌ Error inicializando servicio de duplicados:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recalcular la cola de revisión. Los pares descartados o ya combinados no
+   * vuelven a aparecer; los pendientes que dejaron de coincidir se eliminan.
+   */
+  async scan() {
+    await this.initialize();
+
+    const contacts = await this.db.all('SELECT id, phone_number, name, email FROM contacts');
+    const pairs = findDuplicatePairs(contacts, {
+      defaultCountry: this.defaultCountry,
+      nameThreshold: this.nameThreshold
+    });
+
+    const now = new Date().toISOString();
+    for (const pair of pairs) {
+      await this.db.run(
+        `INSERT INTO contact_duplicate_candidates (contact_a_id, contact_b_id, reasons, score, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, 'pending', ?, ?)
+         ON CONFLICT(contact_a_id, contact_b_id) DO UPDATE SET
+           reasons = excluded.reasons,
+           score = excluded.score,
+           updated_at = excluded.updated_at
+         WHERE contact_duplicate_candidates.status = 'pending'`,
+        [pair.contactIds[0], pair.contactIds[1], JSON.stringify(pair.reasons), pair.score, now, now]
+      );
+    }
+
+    const detected = new Set(pairs.map(pair => pair.contactIds.join(':')));
+    const pending = await this.db.all(
+      'SELECT id, contact_a_id, contact_b_id FROM contact_duplicate_candidates WHERE status = ?',
+      [CANDIDATE_STATUS.PENDING]
+    );
+    const stale = pending.filter(row => !detected.has(`${row.contact_a_id}:${row.contact_b_id}`)).map(row => row.id);
+    for (const ids of chunk(stale)) {
+      await this.db.run(
+        `DELETE FROM contact_duplicate_candidates WHERE id IN (${ids.map(() => '?').join(', ')})`,
+        ids
+      );
+    }
+
+    logger.info(`🔍 Búsqueda de duplicados: ${pairs.length} pares en ${contacts.length} contactos (${stale.length} obsoletos eliminados)`);
+    return { contacts: contacts.length, candidates: pairs.length, removed: stale.length };
+  }
+
+  /**
+   * Cola de revisión con los datos de ambos contactos y el sobreviviente sugerido
+   */
+  async listCandidates({ status = CANDIDATE_STATUS.PENDING, limit = 50, offset = 0 } = {}) {
+    await this.initialize();
+
+    const rows = await this.db.all(
+      `SELECT * FROM contact_duplicate_candidates WHERE status = ? ORDER BY score DESC, id LIMIT ? OFFSET ?`,
+      [status, limit, offset]
+    );
+    const total = await this.db.get('SELECT COUNT(*) AS total FROM contact_duplicate_candidates WHERE status = ?', [status]);
+
+    const contacts = await this.loadContacts(rows.flatMap(row => [row.contact_a_id, row.contact_b_id]));
+
+    const candidates = rows
+      .filter(row => status !== CANDIDATE_STATUS.PENDING || (contacts.has(row.contact_a_id) && contacts.has(row.contact_b_id)))
+      .map(row => {
+        const a = contacts.get(row.contact_a_id) || { id: row.contact_a_id };
+        const b = contacts.get(row.contact_b_id) || { id: row.contact_b_id };
+        return {
+          id: row.id,
+          status: row.status,
+          score: row.score,
+          reasons: JSON.parse(row.reasons),
+          contacts: [a, b],
+          suggestedSurvivorId: suggestSurvivor(a, b),
+          reviewedBy: row.reviewed_by,
+          reviewedAt: row.reviewed_at,
+          createdAt: row.created_at
+        };
+      });
+
+    return { candidates, total: total?.total || 0 };
+  }
+
+  /**
+   * Marcar un par como "no son la misma persona"
+   */
+  async dismiss(candidateId, { performedBy = null } = {}) {
+    const candidate = await this.requireCandidate(candidateId);
+    if (candidate.status !== CANDIDATE_STATUS.PENDING) {
+      throw new ContactMergeError(`El par ya está en estado ${candidate.status}`, 'CANDIDATE_ALREADY_REVIEWED', 409);
+    }
+
+    await this.db.run(
+      `UPDATE contact_duplicate_candidates
+       SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [CANDIDATE_STATUS.DISMISSED, performedBy, candidate.id]
+    );
+    await this.audit(performedBy, 'contact.duplicate_dismissed', candidate.contact_a_id, {
+      candidateId: candidate.id,
+      contactIds: [candidate.contact_a_id, candidate.contact_b_id]
+    });
+    return { ...candidate, status: CANDIDATE_STATUS.DISMISSED };
+  }
+
+  /**
+   * Combinar un par de la cola; por defecto sobrevive el contacto sugerido
+   */
+  async mergeCandidate(candidateId, { survivorId = null, performedBy = null } = {}) {
+    const candidate = await this.requireCandidate(candidateId);
+    if (candidate.status !== CANDIDATE_STATUS.PENDING) {
+      throw new ContactMergeError(`El par ya está en estado ${candidate.status}`, 'CANDIDATE_ALREADY_REVIEWED', 409);
+    }
+
+    const pairIds = [candidate.contact_a_id, candidate.contact_b_id];
+    let survivor = survivorId ? parseInt(survivorId, 10) : null;
+    if (survivor === null) {
+      const contacts = await this.loadContacts(pairIds);
+      if (contacts.size < 2) {
+        throw new ContactMergeError('Contacto no encontrado', 'CONTACT_NOT_FOUND', 404);
+      }
+      survivor = suggestSurvivor(contacts.get(pairIds[0]), contacts.get(pairIds[1]));
+    }
+    if (!pairIds.includes(survivor)) {
+      throw new ContactMergeError('El sobreviviente debe ser uno de los contactos del par', 'INVALID_SURVIVOR');
+    }
+
+    const duplicate = pairIds.find(id => id !== survivor);
+    return await this.merge(survivor, duplicate, { performedBy, candidateId: candidate.id });
+  }
+
+  /**
+   * Combinar el contacto duplicado en el sobreviviente
+   * @returns {Promise<Object>} Registro de la combinación
+   */
+  async merge(survivorId, duplicateId, { performedBy = null, candidateId = null } = {}) {
+    await this.initialize();
+
+    survivorId = parseInt(survivorId, 10);
+    duplicateId = parseInt(duplicateId, 10);
+    if (!survivorId || !duplicateId || survivorId === duplicateId) {
+      throw new ContactMergeError('Se requieren dos contactos distintos', 'INVALID_CONTACTS');
+    }
+
+    const survivor = await this.db.get('SELECT * FROM contacts WHERE id = ?', [survivorId]);
+    const duplicate = await this.db.get('SELECT * FROM contacts WHERE id = ?', [duplicateId]);
+    if (!survivor || !duplicate) {
+      throw new ContactMergeError('Contacto no encontrado', 'CONTACT_NOT_FOUND', 404);
+    }
+
+    const survivorChanges = planSurvivorUpdate(survivor, duplicate);
+    const snapshot = {
+      duplicate,
+      survivorBefore: Object.fromEntries(Object.keys(survivorChanges).map(key => [key, survivor[key]])),
+      survivorChanges
+    };
+
+    const record = await this.db.run(
+      `INSERT INTO contact_merges (survivor_id, duplicate_id, candidate_id, status, snapshot, performed_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+      [survivorId, duplicateId, candidateId, MERGE_STATUS.IN_PROGRESS, JSON.stringify(snapshot), performedBy]
+    );
+    const mergeId = record.lastID;
+    const moved = { tables: {}, customFieldValues: [], contactTags: [], deletedCustomFieldValues: [], deletedContactTags: [] };
+
+    try {
+      for (const table of this.movableTables) {
+        const rows = await this.db.all(`SELECT id FROM ${table} WHERE contact_id = ?`, [duplicateId]);
+        moved.tables[table] = rows.map(row => row.id);
+        await this.db.run(`UPDATE ${table} SET contact_id = ? WHERE contact_id = ?`, [survivorId, duplicateId]);
+      }
+
+      // Campos personalizados: el valor del sobreviviente tiene prioridad
+      const values = await this.db.all('SELECT * FROM custom_field_values WHERE contact_id = ?', [duplicateId]);
+      const survivorFields = new Set((await this.db.all(
+        'SELECT field_id FROM custom_field_values WHERE contact_id = ?', [survivorId]
+      )).map(row => row.field_id));
+      for (const value of values) {
+        if (survivorFields.has(value.field_id)) {
+          moved.deletedCustomFieldValues.push(value);
+          await this.db.run('DELETE FROM custom_field_values WHERE id = ?', [value.id]);
+        } else {
+          moved.customFieldValues.push(value.id);
+          await this.db.run('UPDATE custom_field_values SET contact_id = ? WHERE id = ?', [survivorId, value.id]);
+        }
+      }
+
+      if (await this.hasColumn('contact_tags', 'contact_id')) {
+        const tags = await this.db.all('SELECT * FROM contact_tags WHERE contact_id = ?', [duplicateId]);
+        const survivorTags = new Set((await this.db.all(
+          'SELECT tag_id FROM contact_tags WHERE contact_id = ?', [survivorId]
+        )).map(row => row.tag_id));
+        for (const tag of tags) {
+          if (survivorTags.has(tag.tag_id)) {
+            moved.deletedContactTags.push(tag);
+            await this.db.run('DELETE FROM contact_tags WHERE id = ?', [tag.id]);
+          } else {
+            moved.contactTags.push(tag.id);
+            await this.db.run('UPDATE contact_tags SET contact_id = ? WHERE id = ?', [survivorId, tag.id]);
+          }
+        }
+      }
+
+      // Si el duplicado se dio de baja, el sobreviviente tampoco recibe marketing
+      if (await suppressionService.isSuppressed(duplicate.phone_number) &&
+          !(await suppressionService.isSuppressed(survivor.phone_number))) {
+        await suppressionService.suppress(survivor.phone_number, {
+          contactId: survivorId,
+          reason: `Combinado con el contacto ${duplicateId}, que estaba dado de baja`,
+          source: SUPPRESSION_SOURCES.MANUAL
+        });
+        moved.suppressionAdded = true;
+      }
+
+      await this.updateContact(survivorId, survivorChanges);
+      await this.db.run('DELETE FROM contacts WHERE id = ?', [duplicateId]);
+    } catch (error) {
+      logger.error(`❌ Error combinando contacto ${duplicateId} en ${survivorId}, revirtiendo:`, error);
+      await this.restore({ survivor_id: survivorId, duplicate_id: duplicateId }, snapshot, moved);
+      await this.db.run(
+        'UPDATE contact_merges SET status = ?, moved = ?, error_message = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [MERGE_STATUS.FAILED, JSON.stringify(moved), error.message, mergeId]
+      );
+      throw error;
+    }
+
+    const undoExpiresAt = new Date(Date.now() + this.undoHours * 60 * 60 * 1000).toISOString();
+    await this.db.run(
+      'UPDATE contact_merges SET status = ?, moved = ?, undo_expires_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [MERGE_STATUS.MERGED, JSON.stringify(moved), undoExpiresAt, mergeId]
+    );
+
+    await this.resolveCandidates(survivorId, duplicateId, performedBy);
+    await this.audit(performedBy, 'contact.merged', survivorId, {
+      mergeId,
+      duplicateId,
+      duplicatePhone: duplicate.phone_number,
+      survivorChanges,
+      moved: Object.fromEntries(Object.entries(moved.tables).map(([table, ids]) => [table, ids.length]))
+    });
+
+    const merge = await this.getMerge(mergeId);
+    logger.info(`🔗 Contacto ${duplicateId} combinado en ${survivorId} (combinación ${mergeId})`);
+    this.emit('contact_merged', merge);
+    return merge;
+  }
+
+  /**
+   * Deshacer una combinación dentro de la ventana permitida
+   */
+  async undo(mergeId, { performedBy = null } = {}) {
+    await this.initialize();
+
+    const merge = await this.db.get('SELECT * FROM contact_merges WHERE id = ?', [mergeId]);
+    if (!merge) {
+      throw new ContactMergeError('Combinación no encontrada', 'MERGE_NOT_FOUND', 404);
+    }
+    if (merge.status !== MERGE_STATUS.MERGED) {
+      throw new ContactMergeError(`La combinación está en estado ${merge.status}`, 'MERGE_NOT_UNDOABLE', 409);
+    }
+    if (new Date(merge.undo_expires_at) < new Date()) {
+      throw new ContactMergeError('El plazo para deshacer la combinación venció', 'UNDO_WINDOW_EXPIRED', 410);
+    }
+
+    const snapshot = JSON.parse(merge.snapshot);
+    const phoneInUse = await this.db.get('SELECT id FROM contacts WHERE phone_number = ?', [snapshot.duplicate.phone_number]);
+    if (phoneInUse) {
+      throw new ContactMergeError(
+        `El teléfono ${snapshot.duplicate.phone_number} ya pertenece al contacto ${phoneInUse.id}`,
+        'PHONE_IN_USE',
+        409
+      );
+    }
+
+    await this.restore(merge, snapshot, JSON.parse(merge.moved || '{}'));
+    await this.db.run(
+      'UPDATE contact_merges SET status = ?, undone_by = ?, undone_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [MERGE_STATUS.UNDONE, performedBy, merge.id]
+    );
+    if (merge.candidate_id) {
+      await this.db.run(
+        `UPDATE contact_duplicate_candidates
+         SET status = ?, reviewed_by = NULL, reviewed_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [CANDIDATE_STATUS.PENDING, merge.candidate_id]
+      );
+    }
+    await this.audit(performedBy, 'contact.merge_undone', merge.survivor_id, {
+      mergeId: merge.id,
+      duplicateId: merge.duplicate_id
+    });
+
+    const result = await this.getMerge(merge.id);
+    logger.info(`↩️ Combinación ${merge.id} deshecha: contacto ${merge.duplicate_id} restaurado`);
+    this.emit('contact_merge_undone', result);
+    return result;
+  }
+
+  /**
+   * Devolver al duplicado lo que se movió (también usado si la combinación falla a medias)
+   */
+  async restore(merge, snapshot, moved) {
+    const duplicateId = merge.duplicate_id;
+    const survivorId = merge.survivor_id;
+
+    const exists = await this.db.get('SELECT id FROM contacts WHERE id = ?', [duplicateId]);
+    if (!exists) {
+      const columns = Object.keys(snapshot.duplicate);
+      await this.db.run(
+        `INSERT INTO contacts (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => snapshot.duplicate[column])
+      );
+    }
+
+    for (const [table, ids] of Object.entries(moved.tables || {})) {
+      for (const group of chunk(ids)) {
+        await this.db.run(
+          `UPDATE ${table} SET contact_id = ? WHERE id IN (${group.map(() => '?').join(', ')})`,
+          [duplicateId, ...group]
+        );
+      }
+    }
+
+    for (const group of chunk(moved.customFieldValues || [])) {
+      await this.db.run(
+        `UPDATE custom_field_values SET contact_id = ? WHERE id IN (${group.map(() => '?').join(', ')})`,
+        [duplicateId, ...group]
+      );
+    }
+    for (const value of moved.deletedCustomFieldValues || []) {
+      await this.db.run(
+        `INSERT OR IGNORE INTO custom_field_values (id, contact_id, field_id, value, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [value.id, duplicateId, value.field_id, value.value, value.created_at, value.updated_at]
+      );
+    }
+
+    for (const group of chunk(moved.contactTags || [])) {
+      await this.db.run(
+        `UPDATE contact_tags SET contact_id = ? WHERE id IN (${group.map(() => '?').join(', ')})`,
+        [duplicateId, ...group]
+      );
+    }
+    for (const tag of moved.deletedContactTags || []) {
+      const columns = Object.keys(tag);
+      await this.db.run(
+        `INSERT OR IGNORE INTO contact_tags (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => (column === 'contact_id' ? duplicateId : tag[column]))
+      );
+    }
+
+    if (moved.suppressionAdded) {
+      const survivor = await this.db.get('SELECT phone_number FROM contacts WHERE id = ?', [survivorId]);
+      if (survivor) {
+        await suppressionService.resubscribe(survivor.phone_number, { source: SUPPRESSION_SOURCES.MANUAL });
+      }
+    }
+
+    await this.updateContact(survivorId, snapshot.survivorBefore || {});
+  }
+
+  /**
+   * El par combinado queda resuelto; los demás pares pendientes del
+   * duplicado se eliminan (la próxima búsqueda los recalcula)
+   */
+  async resolveCandidates(survivorId, duplicateId, performedBy) {
+    const [first, second] = survivorId < duplicateId ? [survivorId, duplicateId] : [duplicateId, survivorId];
+    await this.db.run(
+      `UPDATE contact_duplicate_candidates
+       SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE contact_a_id = ? AND contact_b_id = ?`,
+      [CANDIDATE_STATUS.MERGED, performedBy, first, second]
+    );
+    await this.db.run(
+      `DELETE FROM contact_duplicate_candidates
+       WHERE status = ? AND (contact_a_id = ? OR contact_b_id = ?)`,
+      [CANDIDATE_STATUS.PENDING, duplicateId, duplicateId]
+    );
+  }
+
+  async listMerges({ contactId = null, limit = 50, offset = 0 } = {}) {
+    await this.initialize();
+
+    const where = contactId ? 'WHERE survivor_id = ? OR duplicate_id = ?' : '';
+    const params = contactId ? [contactId, contactId] : [];
+    const rows = await this.db.all(
+      `SELECT * FROM contact_merges ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return rows.map(row => this.formatMerge(row));
+  }
+
+  async getMerge(mergeId) {
+    const row = await this.db.get('SELECT * FROM contact_merges WHERE id = ?', [mergeId]);
+    return row ? this.formatMerge(row) : null;
+  }
+
+  formatMerge(row) {
+    const snapshot = JSON.parse(row.snapshot || '{}');
+    const moved = JSON.parse(row.moved || '{}');
+    return {
+      id: row.id,
+      survivorId: row.survivor_id,
+      duplicateId: row.duplicate_id,
+      duplicate: snapshot.duplicate
+        ? { id: snapshot.duplicate.id, phone_number: snapshot.duplicate.phone_number, name: snapshot.duplicate.name }
+        : null,
+      status: row.status,
+      survivorChanges: snapshot.survivorChanges || {},
+      moved: {
+        ...Object.fromEntries(Object.entries(moved.tables || {}).map(([table, ids]) => [table, ids.length])),
+        custom_field_values: (moved.customFieldValues || []).length,
+        contact_tags: (moved.contactTags || []).length
+      },
+      canUndo: row.status === MERGE_STATUS.MERGED && new Date(row.undo_expires_at) > new Date(),
+      undoExpiresAt: row.undo_expires_at,
+      performedBy: row.performed_by,
+      undoneBy: row.undone_by,
+      undoneAt: row.undone_at,
+      errorMessage: row.error_message,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Contactos por id, con su actividad (para sugerir el sobreviviente)
+   */
+  async loadContacts(contactIds) {
+    const contacts = new Map();
+    for (const group of chunk([...new Set(contactIds)])) {
+      const found = await this.db.all(
+        `SELECT c.id, c.phone_number, c.name, c.email, c.tags, c.created_at,
+                (SELECT COUNT(*) FROM messages m WHERE m.contact_id = c.id) AS message_count,
+                (SELECT MAX(m.timestamp) FROM messages m WHERE m.contact_id = c.id AND m.direction = 'inbound') AS last_inbound_at
+         FROM contacts c WHERE c.id IN (${group.map(() => '?').join(', ')})`,
+        group
+      );
+      found.forEach(contact => contacts.set(contact.id, contact));
+    }
+    return contacts;
+  }
+
+  async requireCandidate(candidateId) {
+    await this.initialize();
+    const candidate = await this.db.get('SELECT * FROM contact_duplicate_candidates WHERE id = ?', [candidateId]);
+    if (!candidate) {
+      throw new ContactMergeError('Par de duplicados no encontrado', 'CANDIDATE_NOT_FOUND', 404);
+    }
+    return candidate;
+  }
+
+  async updateContact(contactId, changes) {
+    const columns = Object.keys(changes);
+    if (columns.length === 0) {
+      return;
+    }
+    await this.db.run(
+      `UPDATE contacts SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...columns.map(column => changes[column]), contactId]
+    );
+  }
+
+  async audit(userId, action, entityId, changes) {
+    try {
+      await this.db.run(
+        'INSERT INTO audit_logs (user_id, action, entity_type, entity_id, changes) VALUES (?, ?, ?, ?, ?)',
+        [userId, action, 'contact', entityId, JSON.stringify(changes)]
+      );
+    } catch (error) {
+      logger.warn(`⚠️ No se pudo registrar auditoría ${action}:`, error.message);
+    }
+  }
+
+  async hasColumn(table, column) {
+    const columns = await this.db.all(`PRAGMA table_info(${table})`).catch(() => []);
+    return columns.some(info => info.name === column);
+  }
+
+  emit(event, payload) {
+    emitToPermission(this.io, PERMISSIONS.CONTACTS_READ, event, payload);
+  }
+}
+
+export const contactMergeService = new ContactMergeService();
+export default ContactMergeService;
@@ -0,0 +1,265 @@
+/**
+ * @fileoverview Servicio de Segmentos de Contactos
+ *
+ * Guarda segmentos definidos con el lenguaje de segmentos (segmentQuery.js),
+ * los cuenta y previsualiza, y resuelve sus contactos en el momento en que se
+ * necesitan: una campaña que apunta a un segmento se recalcula al enviarse,
+ * no cuando se creó.
+ */
+
+import { getDatabaseService } from '../DatabaseService.js';
+import { createLogger } from '../core/core/logger.js';
+import { parseFieldDefinition } from './customFieldTypes.js';
+import { compileSegmentFilters, describeSegmentSchema } from './segmentQuery.js';
+
+const logger = createLogger('SEGMENTS');
+
+const DEFAULT_SAMPLE = 20;
+const MAX_SAMPLE = 200;
+
+export class SegmentError extends Error {
+  constructor(message, code = 'SEGMENT_ERROR', statusCode = 400, details = null) {
+    super(message);
+    this.name = 'SegmentError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const parseFilters = (raw) => {
+  try {
+    return raw ? JSON.parse(raw) : null;
+  } catch (_) {
+    return null;
+  }
+};
+
+const toSegment = row => ({
+  id: row.id,
+  name: row.name,
+  description: row.description || null,
+  filters: parseFilters(row.filters),
+  contactCount: row.contact_count || 0,
+  lastCalculated: row.last_calculated || null,
+  createdBy: row.created_by || null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+class SegmentService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.isInitialized = false;
+  }
+
+  /**
+   * Inicializar esquema de segmentos
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return this;
+    }
+
+    try {
+      await this.db.initialize();
+
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS segments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name VARCHAR(100) NOT NULL,
+          description TEXT,
+          filters TEXT NOT NULL,
+          contact_count INTEGER DEFAULT 0,
+          created_by INTEGER,
+          last_calculated DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      this.isInitialized = true;
+      logger.info('✅ SegmentService inicializado');
+      return this;
+    } catch (error) {
+      logger.error('❌ Error inicializando SegmentService:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Definiciones de campos personalizados y tablas opcionales que usa el compilador
+   */
+  async getCompileOptions() {
+    await this.initialize();
+
+    const contactTags = !!(await this.db.get(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'contact_tags'"
+    ));
+    const customFields = (await this.db.all(
+      'SELECT * FROM custom_field_definitions WHERE is_active = 1 ORDER BY created_at, id'
+    ).catch(() => [])).map(parseFieldDefinition);
+
+    return { contactTags, customFields };
+  }
+
+  /**
+   * Compilar filtros a SQL o lanzar SegmentError con los errores de validación
+   */
+  async compile(filters) {
+    const { value, errors } = compileSegmentFilters(filters, await this.getCompileOptions());
+    if (errors.length > 0) {
+      throw new SegmentError('Filtros de segmento inválidos', 'INVALID_SEGMENT', 400, errors);
+    }
+    return value;
+  }
+
+  /**
+   * Campos y operadores disponibles para el editor de segmentos
+   */
+  async getSchema() {
+    const { customFields } = await this.getCompileOptions();
+    return describeSegmentSchema(customFields);
+  }
+
+  /**
+   * Contar y previsualizar los contactos que cumplen los filtros
+   * @param {Object} filters - Grupo raíz del segmento
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Contactos de muestra (0 = solo contar)
+   */
+  async preview(filters, { limit = DEFAULT_SAMPLE } = {}) {
+    const { sql, params } = await this.compile(filters);
+    const sample = Math.min(Math.max(parseInt(limit, 10) || 0, 0), MAX_SAMPLE);
+
+    const { total } = await this.db.get(`SELECT COUNT(*) AS total FROM contacts WHERE ${sql}`, params);
+    const contacts = sample > 0
+      ? await this.db.all(
+        `SELECT contacts.id, contacts.phone_number AS phone, contacts.name, contacts.email, contacts.status
+         FROM contacts WHERE ${sql}
+         ORDER BY contacts.id DESC
+         LIMIT ${sample}`,
+        params
+      )
+      : [];
+
+    return { count: total, contacts };
+  }
+
+  /**
+   * Contactos de un segmento (o de unos filtros) para enviar una campaña
+   * @param {Object} target - { segmentId } o { filters }
+   * @param {Object} [options]
+   * @param {boolean} [options.activeOnly] - Excluir contactos bloqueados
+   * @returns {Promise<Array<{id: number, phone: string, name: string, email: string}>>}
+   */
+  async resolveContacts({ segmentId = null, filters = null }, { activeOnly = true } = {}) {
+    let segment = null;
+    if (segmentId) {
+      segment = await this.get(segmentId);
+    }
+
+    const { sql, params } = await this.compile(segment ? segment.filters : filters);
+    const contacts = await this.db.all(
+      `SELECT contacts.id, contacts.phone_number AS phone, contacts.name, contacts.email
+       FROM contacts
+       WHERE ${sql}${activeOnly ? " AND COALESCE(contacts.status, 'active') = 'active'" : ''}
+       ORDER BY contacts.id`,
+      params
+    );
+
+    if (segment) {
+      await this.storeCount(segment.id, contacts.length);
+    }
+    return contacts;
+  }
+
+  async storeCount(segmentId, count) {
+    const now = new Date().toISOString();
+    await this.db.run(
+      'UPDATE segments SET contact_count = ?, last_calculated = ? WHERE id = ?',
+      [count, now, segmentId]
+    );
+  }
+
+  /**
+   * Listar segmentos guardados
+   */
+  async list() {
+    await this.initialize();
+    const rows = await this.db.all('SELECT * FROM segments ORDER BY created_at DESC, id DESC');
+    return rows.map(toSegment);
+  }
+
+  async get(segmentId) {
+    await this.initialize();
+    const row = await this.db.get('SELECT * FROM segments WHERE id = ?', [segmentId]);
+    if (!row) {
+      throw new SegmentError('Segmento no encontrado', 'SEGMENT_NOT_FOUND', 404);
+    }
+    return toSegment(row);
+  }
+
+  /**
+   * Crear un segmento (se valida y se cuenta al guardarlo)
+   */
+  async create({ name, description = null, filters } = {}, userId = null) {
+    const trimmedName = String(name || '').trim();
+    if (!trimmedName) {
+      throw new SegmentError('El nombre del segmento es requerido', 'NAME_REQUIRED');
+    }
+
+    const { count } = await this.preview(filters, { limit: 0 });
+    const now = new Date().toISOString();
+    const result = await this.db.run(
+      `INSERT INTO segments (name, description, filters, contact_count, created_by, last_calculated, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [trimmedName, description, JSON.stringify(filters), count, userId, now, now, now]
+    );
+
+    logger.info(`🎯 Segmento creado: ${trimmedName} (${count} contactos)`);
+    return await this.get(result.lastID);
+  }
+
+  /**
+   * Actualizar nombre, descripción o filtros de un segmento
+   */
+  async update(segmentId, { name, description, filters } = {}) {
+    const segment = await this.get(segmentId);
+
+    const nextName = name !== undefined ? String(name || '').trim() : segment.name;
+    if (!nextName) {
+      throw new SegmentError('El nombre del segmento es requerido', 'NAME_REQUIRED');
+    }
+    const nextFilters = filters !== undefined ? filters : segment.filters;
+    const { count } = await this.preview(nextFilters, { limit: 0 });
+
+    const now = new Date().toISOString();
+    await this.db.run(
+      `UPDATE segments
+       SET name = ?, description = ?, filters = ?, contact_count = ?, last_calculated = ?, updated_at = ?
+       WHERE id = ?`,
+      [
+        nextName,
+        description !== undefined ? description : segment.description,
+        JSON.stringify(nextFilters),
+        count,
+        now,
+        now,
+        segment.id
+      ]
+    );
+
+    return await this.get(segment.id);
+  }
+
+  async remove(segmentId) {
+    const segment = await this.get(segmentId);
+    await this.db.run('DELETE FROM segments WHERE id = ?', [segment.id]);
+    logger.info(`🗑️ Segmento eliminado: ${segment.name}`);
+    return segment;
+  }
+}
+
+export const segmentService = new SegmentService();
+export default SegmentService;
@@ -0,0 +1,69 @@
+/**
+ * Tests para la detección de duplicados y el plan de combinación
+ */
+
+import {
+  phoneMatchKey,
+  normalizeName,
+  nameSimilarity,
+  findDuplicatePairs,
+  planSurvivorUpdate,
+  suggestSurvivor
+} from '../contactDuplicates.js';
+
+describe('contactDuplicates', () => {
+  test('debería unificar los formatos de móviles de México y Argentina', () => {
+    expect(phoneMatchKey('5215512345678')).toBe('525512345678');
+    expect(phoneMatchKey('+52 55 1234 5678')).toBe('525512345678');
+    expect(phoneMatchKey('5491112345678')).toBe(phoneMatchKey('541112345678'));
+  });
+
+  test('debería interpretar números nacionales con el país por defecto', () => {
+    expect(phoneMatchKey('300 123 4567', 'CO')).toBe('573001234567');
+    expect(phoneMatchKey('573001234567', 'CO')).toBe('573001234567');
+    expect(phoneMatchKey('')).toBeNull();
+  });
+
+  test('debería comparar nombres sin acentos ni orden de palabras', () => {
+    expect(normalizeName('Pérez, Ana María')).toBe('ana maria perez');
+    expect(normalizeName('+57 300 123')).toBeNull();
+    expect(nameSimilarity(normalizeName('Ana Pérez'), normalizeName('ana perez'))).toBe(1);
+    expect(nameSimilarity('jonathan gomez', 'jonatan gomez')).toBeGreaterThan(0.92);
+  });
+
+  test('debería encontrar pares por teléfono, email y nombre similar', () => {
+    const pairs = findDuplicatePairs([
+      { id: 1, phone_number: '5215512345678', name: 'Ana Pérez', email: 'ana@mail.com' },
+      { id: 2, phone_number: '525512345678', name: 'ana perez', email: null },
+      { id: 3, phone_number: '573001112233', name: 'Luis', email: 'ANA@mail.com ' },
+      { id: 4, phone_number: '573009998877', name: 'Carlos Ruiz', email: null }
+    ]);
+
+    expect(pairs).toEqual([
+      { contactIds: [1, 2], reasons: ['phone', 'name'], score: 1 },
+      { contactIds: [1, 3], reasons: ['email'], score: 0.9 }
+    ]);
+  });
+
+  test('debería completar solo los datos vacíos del sobreviviente y unir etiquetas', () => {
+    const changes = planSurvivorUpdate(
+      { name: '525512345678', email: 'ana@mail.com', tags: '["vip"]', metadata: '{"origen":"web"}' },
+      { name: 'Ana Pérez', email: 'otra@mail.com', tags: '["vip","cdmx"]', metadata: '{"origen":"import","ciudad":"CDMX"}' }
+    );
+
+    expect(changes).toEqual({
+      name: 'Ana Pérez',
+      tags: '["vip","cdmx"]',
+      metadata: '{"origen":"web","ciudad":"CDMX"}'
+    });
+    expect(planSurvivorUpdate({ name: 'Ana', tags: '["vip"]' }, { name: 'Ana P', tags: '["vip"]' })).toEqual({});
+  });
+
+  test('debería sugerir conservar el contacto con actividad más reciente', () => {
+    expect(suggestSurvivor(
+      { id: 1, last_inbound_at: '2026-01-01 10:00:00' },
+      { id: 2, last_inbound_at: '2026-09-01 10:00:00' }
+    )).toBe(2);
+    expect(suggestSurvivor({ id: 5 }, { id: 3 })).toBe(3);
+  });
+});
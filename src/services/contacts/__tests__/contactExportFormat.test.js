@@ -0,0 +1,81 @@
+/**
+ * Tests para el formato de exportación y los filtros de contactos
+ */
+
+import {
+  buildExportColumns,
+  flattenContact,
+  escapeCsvValue,
+  formatCsvRow,
+  formatNdjsonRow
+} from '../contactExportFormat.js';
+import { buildContactWhere } from '../contactFilters.js';
+
+describe('contactExportFormat', () => {
+  const columns = buildExportColumns([
+    { id: 'ciudad', name: 'Ciudad' },
+    { id: 'email_alt', name: 'email' }
+  ]);
+  const contact = {
+    id: 7,
+    phone_number: '573001234567',
+    name: 'Pérez, Ana',
+    email: 'ana@mail.com',
+    status: 'active',
+    tags: ['vip', 'bogotá'],
+    created_at: '2026-10-01 10:00:00',
+    updated_at: '2026-10-02 10:00:00',
+    customFields: { ciudad: 'Cali' }
+  };
+
+  test('debería agregar una columna por campo personalizado sin repetir cabeceras', () => {
+    expect(columns.map(column => column.header)).toEqual([
+      'id', 'phone', 'name', 'email', 'status', 'tags', 'created_at', 'updated_at', 'Ciudad', 'email (email_alt)'
+    ]);
+  });
+
+  test('debería aplanar etiquetas y campos personalizados', () => {
+    const row = flattenContact(contact, columns, { tagDelimiter: '|' });
+
+    expect(row.tags).toBe('vip|bogotá');
+    expect(row['cf:ciudad']).toBe('Cali');
+    expect(row['cf:email_alt']).toBe('');
+    expect(flattenContact(contact, columns, { tagDelimiter: null }).tags).toEqual(['vip', 'bogotá']);
+  });
+
+  test('debería escapar CSV según RFC 4180 y neutralizar fórmulas', () => {
+    expect(escapeCsvValue('Pérez, Ana')).toBe('"Pérez, Ana"');
+    expect(escapeCsvValue('dijo "hola"')).toBe('"dijo ""hola"""');
+    expect(escapeCsvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(escapeCsvValue('-5')).toBe('-5');
+    expect(escapeCsvValue(null)).toBe('');
+    expect(formatCsvRow(['a;b', 'c'], ';')).toBe('"a;b";c\r\n');
+  });
+
+  test('debería generar NDJSON con las cabeceras como claves', () => {
+    const row = flattenContact(contact, columns, { tagDelimiter: null });
+    const parsed = JSON.parse(formatNdjsonRow(row, columns));
+
+    expect(parsed).toEqual(expect.objectContaining({ phone: '573001234567', Ciudad: 'Cali', tags: ['vip', 'bogotá'] }));
+  });
+});
+
+describe('contactFilters', () => {
+  test('debería combinar filtros con AND y agrupar las alternativas de etiqueta', () => {
+    const { where, params } = buildContactWhere(
+      { tag: 'vip', status: 'active', date_from: '2026-01-01', date_to: '2026-01-31' },
+      { contactTags: true }
+    );
+
+    expect(where).toMatch(/^WHERE \(contacts\.tags LIKE \? OR contacts\.tags LIKE \? OR EXISTS/);
+    expect(where).toContain('AND contacts.status = ? AND contacts.created_at >= ? AND contacts.created_at <= ?');
+    expect(params).toEqual(['%"vip"%', "%'vip'%", 'vip', 'active', '2026-01-01 00:00:00', '2026-01-31 23:59:59']);
+  });
+
+  test('debería aplicar rangos de tiempo relativos y omitir valores inválidos', () => {
+    const now = new Date('2026-10-19T12:00:00.000Z');
+
+    expect(buildContactWhere({ timeRange: '24h' }, { now }).params).toEqual(['2026-10-18T12:00:00.000Z']);
+    expect(buildContactWhere({ timeRange: 'nunca', date_from: 'no-es-fecha' }, { now })).toEqual({ where: '', params: [] });
+  });
+});
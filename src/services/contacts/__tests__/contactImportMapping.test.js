@@ -0,0 +1,105 @@
+/**
+ * Tests para mapeo, normalización de teléfonos y duplicados en la importación
+ */
+
+import { normalizePhoneE164 } from '../phoneNormalizer.js';
+import {
+  DUPLICATE_STRATEGIES,
+  IMPORT_ACTIONS,
+  suggestMapping,
+  fromLegacyMapping,
+  validateMapping,
+  mapRecord,
+  validateRecord,
+  planContactWrite
+} from '../contactImportMapping.js';
+
+describe('normalizePhoneE164', () => {
+  test('debería agregar el código del país por defecto a números nacionales', () => {
+    expect(normalizePhoneE164('300 123 4567', 'CO')).toEqual({ valid: true, digits: '573001234567', e164: '+573001234567' });
+    expect(normalizePhoneE164('573001234567', 'CO').e164).toBe('+573001234567');
+    expect(normalizePhoneE164('0991234567', 'EC').e164).toBe('+593991234567');
+  });
+
+  test('debería respetar números internacionales y rechazar los inválidos', () => {
+    expect(normalizePhoneE164('+52 1 55 1234 5678', 'CO').digits).toBe('5215512345678');
+    expect(normalizePhoneE164('0034 612 345 678', 'CO').digits).toBe('34612345678');
+    expect(normalizePhoneE164('12345', 'CO')).toEqual(expect.objectContaining({ valid: false, error: 'PHONE_INVALID_LENGTH' }));
+    expect(normalizePhoneE164('', 'CO')).toEqual(expect.objectContaining({ valid: false, error: 'PHONE_REQUIRED' }));
+    expect(normalizePhoneE164('3001234567', 'XX')).toEqual(expect.objectContaining({ valid: false, error: 'COUNTRY_UNSUPPORTED' }));
+  });
+});
+
+describe('contactImportMapping', () => {
+  const customFields = [{ id: 'ciudad', name: 'Ciudad' }];
+
+  test('debería sugerir el mapeo incluyendo campos personalizados', () => {
+    const headers = ['Nombre', 'Apellido', 'Teléfono', 'Correo', 'Etiquetas', 'Ciudad', 'Otra'];
+
+    expect(suggestMapping(headers, customFields)).toEqual({
+      Nombre: 'first_name',
+      Apellido: 'last_name',
+      'Teléfono': 'phone',
+      Correo: 'email',
+      Etiquetas: 'tags',
+      Ciudad: 'custom:ciudad',
+      Otra: null
+    });
+  });
+
+  test('debería convertir el mapeo por índices de la pantalla de contactos', () => {
+    expect(fromLegacyMapping({ name: 0, lastName: null, phone: 1, email: null }, ['Cliente', 'Cel'])).toEqual({
+      Cliente: 'name',
+      Cel: 'phone'
+    });
+  });
+
+  test('debería validar que el mapeo tenga teléfono y destinos conocidos', () => {
+    expect(validateMapping({ Nombre: 'name' }, ['Nombre'], [])).toEqual(['Debe mapear una columna al teléfono']);
+    expect(validateMapping({ Tel: 'phone', X: 'custom:nope' }, ['Tel', 'X'], ['ciudad'])).toEqual([
+      'Campo personalizado desconocido: nope'
+    ]);
+  });
+
+  test('debería mapear y validar una fila con errores por campo', () => {
+    const headers = ['Nombre', 'Apellido', 'Tel', 'Email', 'Tags', 'Ciudad'];
+    const mapping = { Nombre: 'first_name', Apellido: 'last_name', Tel: 'phone', Email: 'email', Tags: 'tags', Ciudad: 'custom:ciudad' };
+
+    const record = mapRecord(['Ana', 'Pérez', '300-123-4567', 'ANA@MAIL.COM', 'vip; 2024', 'Cali'], headers, mapping);
+    expect(validateRecord(record, { defaultCountry: 'CO' }).contact).toEqual({
+      phone: '573001234567',
+      e164: '+573001234567',
+      name: 'Ana Pérez',
+      email: 'ana@mail.com',
+      tags: ['vip', '2024'],
+      customFields: { ciudad: 'Cali' }
+    });
+
+    const invalid = validateRecord(mapRecord(['Ana', '', '123', 'no-es-email', '', ''], headers, mapping));
+    expect(invalid.contact).toBeNull();
+    expect(invalid.errors.map(error => error.field)).toEqual(['phone', 'email']);
+  });
+
+  test('debería aplicar las estrategias de duplicados', () => {
+    const existing = { id: 1, name: 'Ana', email: null, tags: ['vip'], customFields: { ciudad: 'Cali' } };
+    const incoming = { phone: '573001234567', name: 'Ana María', email: 'ana@mail.com', tags: ['nuevo'], customFields: { ciudad: 'Bogotá' } };
+
+    expect(planContactWrite(null, incoming).action).toBe(IMPORT_ACTIONS.CREATE);
+    expect(planContactWrite(existing, incoming, DUPLICATE_STRATEGIES.SKIP).action).toBe(IMPORT_ACTIONS.SKIP);
+
+    expect(planContactWrite(existing, incoming, DUPLICATE_STRATEGIES.UPDATE)).toEqual({
+      action: IMPORT_ACTIONS.UPDATE,
+      fields: { name: 'Ana María', email: 'ana@mail.com', tags: ['nuevo'] },
+      customFields: { ciudad: 'Bogotá' }
+    });
+
+    expect(planContactWrite(existing, incoming, DUPLICATE_STRATEGIES.MERGE)).toEqual({
+      action: IMPORT_ACTIONS.UPDATE,
+      fields: { email: 'ana@mail.com', tags: ['vip', 'nuevo'] },
+      customFields: {}
+    });
+
+    expect(planContactWrite(existing, { ...incoming, name: 'Ana', email: null, tags: [], customFields: {} }, DUPLICATE_STRATEGIES.UPDATE))
+      .toEqual(expect.objectContaining({ action: IMPORT_ACTIONS.SKIP, reason: 'unchanged' }));
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Tests para el parser CSV en streaming
+ */
+
+import { Readable } from 'stream';
+import { CsvStreamParser, CsvParseError, detectDelimiter, parseCsvStream } from '../csvStreamParser.js';
+
+const parseInChunks = (text, size, options) => {
+  const parser = new CsvStreamParser(options);
+  const rows = [];
+  for (let i = 0; i < text.length; i += size) {
+    rows.push(...parser.push(Buffer.from(text.slice(i, i + size))));
+  }
+  rows.push(...parser.end());
+  return rows;
+};
+
+describe('CsvStreamParser', () => {
+  test('debería respetar comas, saltos de línea y comillas dentro de campos', () => {
+    const csv = 'nombre,telefono,notas\r\n"Pérez, Ana",3001234567,"Dijo ""hola""\nen dos líneas"\r\nLuis,3019876543,\r\n';
+
+    expect(parseInChunks(csv, 1000)).toEqual([
+      ['nombre', 'telefono', 'notas'],
+      ['Pérez, Ana', '3001234567', 'Dijo "hola"\nen dos líneas'],
+      ['Luis', '3019876543', '']
+    ]);
+  });
+
+  test('debería producir el mismo resultado sin importar el tamaño de los fragmentos', () => {
+    const csv = '\uFEFFa,b\r\n"x,""y""",ñandú\r\n"multi\r\nlínea",z';
+    const expected = parseInChunks(csv, 1000);
+
+    expect(expected).toEqual([['a', 'b'], ['x,"y"', 'ñandú'], ['multi\r\nlínea', 'z']]);
+    for (const size of [1, 2, 3, 7]) {
+      expect(parseInChunks(csv, size)).toEqual(expected);
+    }
+  });
+
+  test('debería detectar punto y coma como separador y omitir líneas vacías', () => {
+    expect(detectDelimiter('nombre;telefono;"a,b"\n')).toBe(';');
+    expect(detectDelimiter('nombre;telefono')).toBeNull();
+    expect(parseInChunks('nombre;telefono\n\nAna;300\n', 4)).toEqual([['nombre', 'telefono'], ['Ana', '300']]);
+  });
+
+  test('debería fallar con comillas sin cerrar', () => {
+    expect(() => parseInChunks('a,b\n"abierto,1\n', 1000)).toThrow(CsvParseError);
+  });
+
+  test('debería leer un stream de forma incremental', async () => {
+    const rows = [];
+    for await (const row of parseCsvStream(Readable.from([Buffer.from('a,b\n1,'), Buffer.from('2\n3,4')]))) {
+      rows.push(row);
+    }
+
+    expect(rows).toEqual([['a', 'b'], ['1', '2'], ['3', '4']]);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Tests para el sistema de tipos de campos personalizados
+ */
+
+import {
+  FIELD_TYPES,
+  CustomFieldValidationError,
+  parseFieldDefinition,
+  validateFieldDefinition,
+  coerceFieldValue,
+  parseStoredValue,
+  buildCustomFieldCondition,
+  upcomingMonthDays
+} from '../customFieldTypes.js';
+import { buildContactWhere } from '../contactFilters.js';
+import { validateRecord } from '../contactImportMapping.js';
+
+const field = (type, extra = {}) => ({ id: `f_${type}`, name: type, type, options: [], validation: {}, ...extra });
+
+describe('customFieldTypes', () => {
+  describe('validateFieldDefinition', () => {
+    test('debería exigir opciones únicas en campos de selección', () => {
+      expect(validateFieldDefinition({ type: 'select' })).toHaveLength(1);
+      expect(validateFieldDefinition({ type: 'multi_select', options: ['A', 'a'] })).toEqual([
+        'Las opciones no pueden repetirse'
+      ]);
+      expect(validateFieldDefinition({ type: 'select', options: ['Oro', 'Plata'] })).toEqual([]);
+    });
+
+    test('debería rechazar tipos, patrones y rangos inválidos', () => {
+      expect(validateFieldDefinition({ type: 'color' })[0]).toMatch('Tipo de campo no soportado');
+      expect(validateFieldDefinition({ type: 'text', validation: { pattern: '(' } })[0]).toMatch('Patrón inválido');
+      expect(validateFieldDefinition({ type: 'number', validation: { min: 10, max: 1 } })).toEqual([
+        'min no puede ser mayor que max'
+      ]);
+      expect(validateFieldDefinition({ type: 'boolean', is_unique: true })).toHaveLength(1);
+    });
+
+    test('debería leer filas guardadas con opciones y validación en JSON', () => {
+      const definition = parseFieldDefinition({
+        id: 'nivel', type: 'Select', options: '["Oro","Plata"]', validation: null, is_required: 1, is_unique: 0
+      });
+      expect(definition).toMatchObject({ type: 'select', options: ['Oro', 'Plata'], validation: {}, is_required: true });
+      expect(parseFieldDefinition({ id: 'x', type: 'raro' }).type).toBe('text');
+    });
+  });
+
+  describe('coerceFieldValue', () => {
+    test('debería convertir números, fechas y booleanos a su forma canónica', () => {
+      expect(coerceFieldValue(field('number'), '1.234,5')).toEqual({ ok: true, value: '1234.5' });
+      expect(coerceFieldValue(field('number'), '12,5')).toEqual({ ok: true, value: '12.5' });
+      expect(coerceFieldValue(field('date'), '07/03/1990')).toEqual({ ok: true, value: '1990-03-07' });
+      expect(coerceFieldValue(field('date'), '2026-02-30').code).toBe('INVALID_DATE');
+      expect(coerceFieldValue(field('boolean'), 'Sí')).toEqual({ ok: true, value: 'true' });
+      expect(coerceFieldValue(field('boolean'), 'tal vez').code).toBe('INVALID_BOOLEAN');
+    });
+
+    test('debería validar opciones de selección respetando su escritura original', () => {
+      const nivel = field('select', { options: ['Oro', 'Plata'] });
+      expect(coerceFieldValue(nivel, 'oro')).toEqual({ ok: true, value: 'Oro' });
+      expect(coerceFieldValue(nivel, 'Bronce').code).toBe('INVALID_OPTION');
+
+      const intereses = field('multi_select', { options: ['Fútbol', 'Cine', 'Música'], validation: { max: 2 } });
+      expect(coerceFieldValue(intereses, 'cine; fútbol; Cine')).toEqual({ ok: true, value: '["Cine","Fútbol"]' });
+      expect(coerceFieldValue(intereses, ['Cine', 'Música', 'Fútbol']).code).toBe('OUT_OF_RANGE');
+    });
+
+    test('debería aplicar requerido, mínimos, máximos y patrón', () => {
+      expect(coerceFieldValue(field('text', { is_required: true }), '  ').code).toBe('REQUIRED');
+      expect(coerceFieldValue(field('text'), '')).toEqual({ ok: true, value: null });
+      expect(coerceFieldValue(field('number', { validation: { min: 0, max: 100 } }), '150').code).toBe('OUT_OF_RANGE');
+      expect(coerceFieldValue(field('text', { validation: { pattern: '^[A-Z]{3}-\\d+$' } }), 'ab-1').code)
+        .toBe('PATTERN_MISMATCH');
+      expect(coerceFieldValue(field('date', { validation: { max: '2026-12-31' } }), '2027-01-01').code)
+        .toBe('OUT_OF_RANGE');
+    });
+
+    test('debería normalizar URLs, emails y teléfonos', () => {
+      expect(coerceFieldValue(field('url'), 'www.ejemplo.com/promo')).toEqual({
+        ok: true, value: 'https://www.ejemplo.com/promo'
+      });
+      expect(coerceFieldValue(field('url'), 'ftp://ejemplo.com').code).toBe('INVALID_URL');
+      expect(coerceFieldValue(field('email'), 'Ana@Mail.COM')).toEqual({ ok: true, value: 'ana@mail.com' });
+      expect(coerceFieldValue(field('phone'), '+57 300 123 4567')).toEqual({ ok: true, value: '+573001234567' });
+    });
+
+    test('debería devolver el valor guardado con su tipo JavaScript', () => {
+      expect(parseStoredValue(field('number'), '12.5')).toBe(12.5);
+      expect(parseStoredValue(field('boolean'), 'false')).toBe(false);
+      expect(parseStoredValue(field('multi_select'), '["Cine"]')).toEqual(['Cine']);
+    });
+  });
+
+  describe('buildCustomFieldCondition', () => {
+    const now = new Date('2026-12-29T15:00:00Z');
+    const score = { id: 'score', type: FIELD_TYPES.NUMBER, options: [], validation: {} };
+    const cumpleanos = { id: 'cumpleanos', type: FIELD_TYPES.DATE, options: [], validation: {} };
+
+    test('debería comparar números numéricamente', () => {
+      const condition = buildCustomFieldCondition(score, 'gt', '50');
+      expect(condition.sql).toContain('CAST(cfv.value AS REAL) > ?');
+      expect(condition.params).toEqual(['score', 50]);
+    });
+
+    test('debería filtrar cumpleaños de los próximos días cruzando el fin de año', () => {
+      const condition = buildCustomFieldCondition(cumpleanos, 'anniversary_in_next_days', '7', { now });
+      expect(condition.sql).toContain('substr(cfv.value, 6, 5) IN');
+      expect(condition.params).toEqual([
+        'cumpleanos', '12-29', '12-30', '12-31', '01-01', '01-02', '01-03', '01-04', '01-05'
+      ]);
+    });
+
+    test('debería incluir el 29 de febrero en años no bisiestos', () => {
+      expect(upcomingMonthDays(1, new Date('2027-02-28T00:00:00Z'))).toEqual(['02-28', '02-29', '03-01']);
+    });
+
+    test('debería rechazar operadores que no corresponden al tipo', () => {
+      expect(() => buildCustomFieldCondition(score, 'contains', '5')).toThrow(CustomFieldValidationError);
+      expect(() => buildCustomFieldCondition(cumpleanos, 'in_next_days', '5000')).toThrow('Número de días inválido');
+    });
+
+    test('debería traducir los filtros cf de la query string', () => {
+      const { where, params } = buildContactWhere(
+        { status: 'active', cf: { score: { gte: '10' }, cumpleanos: { in_last_days: '30' } } },
+        { now, customFields: [score, cumpleanos] }
+      );
+      expect(where.startsWith('WHERE contacts.status = ?')).toBe(true);
+      expect(params).toEqual(['active', 'score', 10, 'cumpleanos', '2026-11-29', '2026-12-29']);
+      expect(() => buildContactWhere({ cf: { otro: { eq: 'x' } } }, { customFields: [score] }))
+        .toThrow('Campo personalizado no encontrado: otro');
+    });
+  });
+
+  describe('importación', () => {
+    test('debería convertir los campos personalizados de cada fila y reportar los inválidos', () => {
+      const customFields = [
+        field('number', { id: 'score' }),
+        field('select', { id: 'nivel', options: ['Oro', 'Plata'] })
+      ];
+      const valid = validateRecord(
+        { phone: '3001234567', name: 'Ana', email: '', tags: [], customFields: { score: '7,5', nivel: 'plata' } },
+        { customFields }
+      );
+      expect(valid.contact.customFields).toEqual({ score: '7.5', nivel: 'Plata' });
+
+      const invalid = validateRecord(
+        { phone: '3001234567', name: 'Ana', email: '', tags: [], customFields: { nivel: 'Bronce' } },
+        { customFields }
+      );
+      expect(invalid.errors).toEqual([expect.objectContaining({ field: 'custom:nivel', code: 'INVALID_OPTION' })]);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests para el lenguaje de consulta de segmentos
+ */
+
+import {
+  SEGMENT_LIMITS,
+  compileSegmentFilters,
+  describeSegmentSchema,
+  isSegmentQuery
+} from '../segmentQuery.js';
+import { parseFieldDefinition } from '../customFieldTypes.js';
+
+describe('segmentQuery', () => {
+  const now = new Date('2026-10-18T12:00:00Z');
+  const customFields = [parseFieldDefinition({ id: 'score', name: 'Puntaje', type: 'number' })];
+  const compile = (filters, options = {}) => compileSegmentFilters(filters, { now, customFields, ...options });
+
+  test('debería compilar grupos AND/OR anidados a SQL parametrizado', () => {
+    const { value, errors } = compile({
+      operator: 'and',
+      conditions: [
+        { field: 'name', operator: 'contains', value: '50%' },
+        {
+          operator: 'or',
+          conditions: [
+            { field: 'status', operator: 'eq', value: 'active' },
+            { field: 'last_inbound_at', operator: 'in_last_days', value: 30 }
+          ]
+        }
+      ]
+    });
+
+    expect(errors).toEqual([]);
+    expect(value.sql).toBe(
+      "(contacts.name LIKE ? ESCAPE '\\' AND (COALESCE(contacts.status, '') IN (?) OR "
+      + "datetime((SELECT MAX(m.created_at) FROM messages m WHERE m.contact_id = contacts.id AND m.direction = 'inbound')) >= datetime(?)))"
+    );
+    expect(value.params).toEqual(['%50\\%%', 'active', '2026-09-18T12:00:00.000Z']);
+    expect(value.conditionCount).toBe(3);
+  });
+
+  test('debería aceptar un grupo raíz vacío como "todos los contactos"', () => {
+    expect(compile({ operator: 'and', conditions: [] }).value).toEqual({ sql: '1 = 1', params: [], conditionCount: 0 });
+  });
+
+  test('debería mantener los contactos sin etiquetas al negar una etiqueta', () => {
+    const { value } = compile({ conditions: [{ field: 'tag', operator: 'has_none', value: ['vip', 'moroso'] }] });
+
+    expect(value.sql).toBe('NOT COALESCE((contacts.tags LIKE ? OR contacts.tags LIKE ?) OR (contacts.tags LIKE ? OR contacts.tags LIKE ?), 0)');
+    expect(value.params).toEqual(['%"vip"%', "%'vip'%", '%"moroso"%', "%'moroso'%"]);
+  });
+
+  test('debería filtrar por campos personalizados con sus operadores tipados', () => {
+    const { value } = compile({ conditions: [{ field: 'custom_field', key: 'score', operator: 'gt', value: '50' }] });
+
+    expect(value.sql).toContain('custom_field_values cfv');
+    expect(value.params).toEqual(['score', 50]);
+  });
+
+  test('debería filtrar por interacción con una campaña concreta', () => {
+    const { value } = compile({ conditions: [{ field: 'campaign', operator: 'not_received', campaignId: 12 }] });
+
+    expect(value.sql).toMatch(/^NOT EXISTS \(/);
+    expect(value.params).toEqual([12, 'sent', 'delivered', 'read']);
+  });
+
+  test('debería reunir todos los errores con la ruta de cada condición', () => {
+    const { value, errors } = compile({
+      operator: 'xor',
+      conditions: []
+    });
+    expect(value).toBeNull();
+    expect(errors).toEqual(['filters: operator del grupo debe ser "and" u "or"']);
+
+    expect(compile({
+      conditions: [
+        { field: 'telefono', operator: 'eq', value: '1' },
+        { field: 'created_at', operator: 'before', value: 'ayer' },
+        { field: 'custom_field', key: 'ciudad', operator: 'eq', value: 'Cali' },
+        { operator: 'or', conditions: [] },
+        { field: 'status', operator: 'eq', value: 'deleted' }
+      ]
+    }).errors).toEqual([
+      'filters.conditions[0] (telefono): Campo no soportado: telefono. Campos: name, phone, email, status, created_at, last_inbound_at, last_outbound_at, tag, custom_field, campaign, suppressed',
+      'filters.conditions[1] (created_at): value debe ser una fecha válida',
+      'filters.conditions[2] (custom_field): Campo personalizado no encontrado: ciudad',
+      'filters.conditions[3]: el grupo no tiene condiciones',
+      'filters.conditions[4] (status): value debe ser uno de: active, blocked'
+    ]);
+  });
+
+  test('debería limitar la profundidad y el número de condiciones', () => {
+    let deep = { field: 'suppressed', operator: 'is_false' };
+    for (let level = 0; level < SEGMENT_LIMITS.MAX_DEPTH; level++) {
+      deep = { operator: 'and', conditions: [deep] };
+    }
+    expect(compile(deep).errors).toEqual([]);
+    expect(compile({ conditions: [deep] }).errors[0]).toMatch(/no pueden anidarse más de 4 niveles/);
+
+    const many = Array.from({ length: SEGMENT_LIMITS.MAX_CONDITIONS + 2 }, () => ({ field: 'email', operator: 'is_not_empty' }));
+    expect(compile({ conditions: many }).errors).toEqual(['Un segmento admite como máximo 50 condiciones']);
+  });
+
+  test('debería distinguir el lenguaje de segmentos de los filtros simples', () => {
+    expect(isSegmentQuery({ conditions: [] })).toBe(true);
+    expect(isSegmentQuery({ tag: 'vip' })).toBe(false);
+    expect(compile({ tag: 'vip' }).errors).toEqual(['filters debe ser un grupo { operator, conditions: [...] }']);
+  });
+
+  test('debería describir campos y operadores para el editor', () => {
+    const schema = describeSegmentSchema(customFields);
+
+    expect(schema.fields.find(field => field.field === 'status')).toEqual({
+      field: 'status',
+      label: 'Estado',
+      type: 'enum',
+      operators: ['eq', 'neq', 'in', 'not_in'],
+      values: ['active', 'blocked']
+    });
+    expect(schema.customFields[0]).toMatchObject({ field: 'custom_field', key: 'score', type: 'number' });
+  });
+});
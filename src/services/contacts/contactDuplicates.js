@@ -0,0 +1,244 @@
+/**
+ * @fileoverview Detección de contactos duplicados y plan de combinación
+ *
+ * Lógica pura (sin base de datos): claves de comparación de teléfono y
+ * email, similitud de nombres, búsqueda de pares candidatos y cálculo de los
+ * datos que conserva el contacto sobreviviente al combinar.
+ */
+
+import { normalizePhoneE164, DEFAULT_IMPORT_COUNTRY } from './phoneNormalizer.js';
+
+export const DUPLICATE_REASONS = Object.freeze({
+  PHONE: 'phone',
+  EMAIL: 'email',
+  NAME: 'name'
+});
+
+// Puntaje de cada coincidencia; el nombre aporta su similitud ponderada
+const REASON_SCORES = {
+  [DUPLICATE_REASONS.PHONE]: 1,
+  [DUPLICATE_REASONS.EMAIL]: 0.9
+};
+const NAME_WEIGHT = 0.6;
+export const DEFAULT_NAME_THRESHOLD = 0.92;
+
+/**
+ * Prefijos móviles que WhatsApp y los usuarios escriben de formas distintas:
+ * México (+52 1 55... vs +52 55...) y Argentina (+54 9 11... vs +54 11...).
+ */
+const MOBILE_PREFIX_RULES = [
+  { pattern: /^521(\d{10})$/, replace: '52$1' },
+  { pattern: /^549(\d{10})$/, replace: '54$1' }
+];
+
+/**
+ * Clave de comparación de un teléfono. Los números guardados con más de 10
+ * dígitos se consideran internacionales; los cortos se interpretan con el
+ * país por defecto.
+ */
+export function phoneMatchKey(phone, defaultCountry = DEFAULT_IMPORT_COUNTRY) {
+  const digits = String(phone ?? '').replace(/\D/g, '');
+  if (!digits) {
+    return null;
+  }
+
+  const normalized = normalizePhoneE164(digits.length > 10 ? `+${digits}` : digits, defaultCountry);
+  const key = normalized.valid ? normalized.digits : digits;
+  const rule = MOBILE_PREFIX_RULES.find(candidate => candidate.pattern.test(key));
+  return rule ? key.replace(rule.pattern, rule.replace) : key;
+}
+
+export function emailMatchKey(email) {
+  const normalized = String(email ?? '').trim().toLowerCase();
+  return normalized.includes('@') ? normalized : null;
+}
+
+/**
+ * Nombre normalizado: minúsculas, sin acentos ni signos y con las palabras
+ * ordenadas ("Pérez Ana" y "ana perez" coinciden). Los nombres que son solo
+ * números (el teléfono usado como nombre) no cuentan.
+ */
+export function normalizeName(name) {
+  const text = String(name ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .trim();
+
+  if (!text || !/[a-z]/.test(text)) {
+    return null;
+  }
+  return text.split(/\s+/).sort().join(' ');
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Similitud entre 0 y 1 de dos nombres ya normalizados
+ */
+export function nameSimilarity(a, b) {
+  if (!a || !b) {
+    return 0;
+  }
+  if (a === b) {
+    return 1;
+  }
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Buscar pares de contactos que probablemente son la misma persona
+ * @param {Array<{id: number, phone_number: string, name: string, email: string}>} contacts
+ * @param {Object} [options]
+ * @param {string} [options.defaultCountry] - País para teléfonos sin prefijo internacional
+ * @param {number} [options.nameThreshold] - Similitud mínima de nombres (0-1)
+ * @returns {Array<{contactIds: number[], reasons: string[], score: number}>} Pares con el id menor primero
+ */
+export function findDuplicatePairs(contacts = [], {
+  defaultCountry = DEFAULT_IMPORT_COUNTRY,
+  nameThreshold = DEFAULT_NAME_THRESHOLD
+} = {}) {
+  const pairs = new Map();
+
+  const addPair = (a, b, reason, score) => {
+    if (a.id === b.id) {
+      return;
+    }
+    const [first, second] = a.id < b.id ? [a.id, b.id] : [b.id, a.id];
+    const key = `${first}:${second}`;
+    const pair = pairs.get(key) || { contactIds: [first, second], reasons: [], score: 0 };
+    if (!pair.reasons.includes(reason)) {
+      pair.reasons.push(reason);
+      // Varias coincidencias suman confianza sin pasar de 1
+      pair.score = Math.min(1, Math.max(pair.score, score) + (pair.score > 0 ? 0.05 : 0));
+    }
+    pairs.set(key, pair);
+  };
+
+  const groupBy = (keyOf, reason) => {
+    const groups = new Map();
+    for (const contact of contacts) {
+      const key = keyOf(contact);
+      if (!key) continue;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(contact);
+    }
+    for (const group of groups.values()) {
+      for (let i = 0; i < group.length; i++) {
+        for (let j = i + 1; j < group.length; j++) {
+          addPair(group[i], group[j], reason, REASON_SCORES[reason]);
+        }
+      }
+    }
+  };
+
+  groupBy(contact => phoneMatchKey(contact.phone_number, defaultCountry), DUPLICATE_REASONS.PHONE);
+  groupBy(contact => emailMatchKey(contact.email), DUPLICATE_REASONS.EMAIL);
+
+  // Nombres: solo se comparan los que empiezan igual, para no comparar todos contra todos
+  const named = contacts
+    .map(contact => ({ contact, name: normalizeName(contact.name) }))
+    .filter(entry => entry.name && entry.name.length >= 5);
+  const blocks = new Map();
+  for (const entry of named) {
+    const block = entry.name.slice(0, 3);
+    if (!blocks.has(block)) blocks.set(block, []);
+    blocks.get(block).push(entry);
+  }
+  for (const block of blocks.values()) {
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const similarity = nameSimilarity(block[i].name, block[j].name);
+        if (similarity >= nameThreshold) {
+          addPair(block[i].contact, block[j].contact, DUPLICATE_REASONS.NAME, similarity * NAME_WEIGHT);
+        }
+      }
+    }
+  }
+
+  return [...pairs.values()]
+    .map(pair => ({ ...pair, score: Math.round(pair.score * 100) / 100 }))
+    .sort((a, b) => b.score - a.score || a.contactIds[0] - b.contactIds[0]);
+}
+
+const isBlank = value => value === null || value === undefined || String(value).trim() === '';
+
+function parseJson(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Calcular los cambios del contacto sobreviviente: conserva sus datos y
+ * completa los vacíos con los del duplicado; las etiquetas se unen.
+ * Un nombre igual al teléfono se considera vacío.
+ * @returns {Object} Columnas de contacts a actualizar (vacío si no hay cambios)
+ */
+export function planSurvivorUpdate(survivor, duplicate) {
+  const changes = {};
+  const placeholderName = name => isBlank(name) || /^[\d\s+().-]+$/.test(String(name));
+
+  if (placeholderName(survivor.name) && !placeholderName(duplicate.name)) {
+    changes.name = duplicate.name;
+  }
+  if (isBlank(survivor.email) && !isBlank(duplicate.email)) {
+    changes.email = duplicate.email;
+  }
+
+  const survivorTags = parseJson(survivor.tags, []);
+  const duplicateTags = parseJson(duplicate.tags, []);
+  if (Array.isArray(survivorTags) && Array.isArray(duplicateTags)) {
+    const tags = [...new Set([...survivorTags, ...duplicateTags])];
+    if (tags.length !== survivorTags.length) {
+      changes.tags = JSON.stringify(tags);
+    }
+  }
+
+  const survivorMetadata = parseJson(survivor.metadata, {});
+  const duplicateMetadata = parseJson(duplicate.metadata, {});
+  if (survivorMetadata && duplicateMetadata && typeof duplicateMetadata === 'object' &&
+      Object.keys(duplicateMetadata).some(key => !(key in survivorMetadata))) {
+    changes.metadata = JSON.stringify({ ...duplicateMetadata, ...survivorMetadata });
+  }
+
+  return changes;
+}
+
+/**
+ * Sugerir cuál contacto conservar: el que escribió por WhatsApp más
+ * recientemente (su número es el que usa hoy) y, si no, el más antiguo.
+ * @param {Object} a - Contacto con last_inbound_at opcional
+ * @param {Object} b
+ * @returns {number} Id del contacto sugerido
+ */
+export function suggestSurvivor(a, b) {
+  const lastA = a.last_inbound_at || '';
+  const lastB = b.last_inbound_at || '';
+  if (lastA !== lastB) {
+    return lastA > lastB ? a.id : b.id;
+  }
+  return Math.min(a.id, b.id);
+}
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Formato de filas para la exportación de contactos
+ *
+ * Columnas fijas + una columna por definición de campo personalizado, y
+ * serialización a CSV (RFC 4180) y NDJSON.
+ */
+
+export const EXPORT_FORMATS = Object.freeze({
+  CSV: 'csv',
+  XLSX: 'xlsx',
+  NDJSON: 'ndjson'
+});
+
+export const BASE_EXPORT_COLUMNS = Object.freeze([
+  { key: 'id', header: 'id' },
+  { key: 'phone', header: 'phone' },
+  { key: 'name', header: 'name' },
+  { key: 'email', header: 'email' },
+  { key: 'status', header: 'status' },
+  { key: 'tags', header: 'tags' },
+  { key: 'created_at', header: 'created_at' },
+  { key: 'updated_at', header: 'updated_at' }
+]);
+
+export const CUSTOM_FIELD_COLUMN_PREFIX = 'cf:';
+
+/**
+ * Columnas de la exportación: las fijas y una por campo personalizado
+ * @param {Array<{id: string, name: string}>} customFields
+ */
+export function buildExportColumns(customFields = []) {
+  const headers = new Set(BASE_EXPORT_COLUMNS.map(column => column.header));
+
+  const customColumns = customFields.map(field => {
+    const base = field.name || field.id;
+    const header = headers.has(base) ? `${base} (${field.id})` : base;
+    headers.add(header);
+    return { key: `${CUSTOM_FIELD_COLUMN_PREFIX}${field.id}`, header, fieldId: field.id };
+  });
+
+  return [...BASE_EXPORT_COLUMNS, ...customColumns];
+}
+
+/**
+ * Aplanar un contacto a un objeto { clave de columna: valor }
+ * @param {Object} contact - Contacto con tags (arreglo) y customFields (objeto)
+ * @param {Object} [options]
+ * @param {string|null} [options.tagDelimiter] - null para dejar las etiquetas como arreglo
+ */
+export function flattenContact(contact, columns, { tagDelimiter = '|' } = {}) {
+  const row = {};
+
+  for (const column of columns) {
+    if (column.fieldId) {
+      row[column.key] = contact.customFields?.[column.fieldId] ?? '';
+    } else if (column.key === 'tags') {
+      // Sin separador (NDJSON) las etiquetas se conservan como arreglo
+      row.tags = tagDelimiter === null ? (contact.tags || []) : (contact.tags || []).join(tagDelimiter);
+    } else if (column.key === 'phone') {
+      row.phone = contact.phone_number ?? contact.phone ?? '';
+    } else {
+      row[column.key] = contact[column.key] ?? '';
+    }
+  }
+
+  return row;
+}
+
+/**
+ * Escapar un valor CSV. Los textos que empiezan con =, +, - o @ (y no son
+ * números) se prefijan con ' para que Excel no los evalúe como fórmulas.
+ */
+export function escapeCsvValue(value, delimiter = ',') {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d[\d.,\s]*$/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (text.includes('"') || text.includes(delimiter) || text.includes('\n') || text.includes('\r')) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+export function formatCsvRow(values, delimiter = ',') {
+  return `${values.map(value => escapeCsvValue(value, delimiter)).join(delimiter)}\r\n`;
+}
+
+/**
+ * Línea NDJSON usando las cabeceras como claves
+ */
+export function formatNdjsonRow(row, columns) {
+  return `${JSON.stringify(Object.fromEntries(columns.map(column => [column.header, row[column.key]])))}\n`;
+}
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Filtros de contactos compartidos
+ *
+ * Traduce los parámetros de la lista de contactos (search, tag, status,
+ * timeRange, date_from, date_to...) a una cláusula WHERE parametrizada, para
+ * que la lista, la exportación y los segmentos filtren exactamente igual.
+ *
+ * Los campos personalizados se filtran con operadores tipados:
+ * `cf[score][gt]=50` o `cf[cumpleanos][anniversary_in_next_days]=7` en la
+ * query string, o `custom_fields: [{ field, operator, value }]` en los criterios.
+ */
+
+import { CustomFieldValidationError, buildCustomFieldCondition } from './customFieldTypes.js';
+
+const TIME_RANGES_MS = {
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+  '90d': 90 * 24 * 60 * 60 * 1000,
+  '1y': 365 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Normalizar los filtros de campos personalizados a [{ field, operator, value }]
+ */
+export function collectCustomFieldFilters(filters = {}) {
+  const collected = [];
+
+  if (filters.cf && typeof filters.cf === 'object') {
+    for (const [field, operators] of Object.entries(filters.cf)) {
+      if (operators && typeof operators === 'object' && !Array.isArray(operators)) {
+        for (const [operator, value] of Object.entries(operators)) {
+          collected.push({ field, operator, value });
+        }
+      } else {
+        collected.push({ field, operator: 'eq', value: operators });
+      }
+    }
+  }
+
+  if (Array.isArray(filters.custom_fields)) {
+    collected.push(...filters.custom_fields);
+  }
+
+  return collected;
+}
+
+/**
+ * Condición "el contacto tiene la etiqueta" (contacts.tags JSON y, si existe, contact_tags)
+ * @returns {{sql: string, params: Array}}
+ */
+export function buildTagCondition(tag, { contactTags = false } = {}) {
+  // Etiqueta exacta dentro del arreglo JSON de contacts.tags
+  const tagConditions = ['contacts.tags LIKE ?', 'contacts.tags LIKE ?'];
+  const params = [`%"${tag}"%`, `%'${tag}'%`];
+
+  if (contactTags) {
+    tagConditions.push(`EXISTS (
+        SELECT 1 FROM contact_tags ct JOIN tags t ON t.id = ct.tag_id
+        WHERE ct.contact_id = contacts.id AND t.name = ?
+      )`);
+    params.push(tag);
+  }
+
+  return { sql: `(${tagConditions.join(' OR ')})`, params };
+}
+
+function toDay(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
+/**
+ * Construir condiciones SQL a partir de los filtros
+ * @param {Object} filters - Parámetros de la lista de contactos
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Fecha de referencia para timeRange
+ * @param {boolean} [options.contactTags] - Buscar también en la tabla contact_tags
+ * @param {Array<Object>} [options.customFields] - Definiciones tipadas (parseFieldDefinition)
+ * @returns {{conditions: string[], params: Array}}
+ */
+export function buildContactFilters(filters = {}, { now = new Date(), contactTags = false, customFields = [] } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.search) {
+    const term = `%${filters.search}%`;
+    conditions.push('(contacts.name LIKE ? OR contacts.phone_number LIKE ? OR contacts.email LIKE ?)');
+    params.push(term, term, term);
+  }
+
+  for (const tag of [filters.tags, filters.tag].filter(Boolean)) {
+    const condition = buildTagCondition(tag, { contactTags });
+    conditions.push(condition.sql);
+    params.push(...condition.params);
+  }
+
+  if (filters.is_blocked !== undefined && filters.is_blocked !== '') {
+    conditions.push('contacts.status = ?');
+    params.push(String(filters.is_blocked) === 'true' ? 'blocked' : 'active');
+  }
+
+  if (filters.status) {
+    conditions.push('contacts.status = ?');
+    params.push(filters.status === 'blocked' ? 'blocked' : 'active');
+  }
+
+  if (TIME_RANGES_MS[filters.timeRange]) {
+    conditions.push('contacts.created_at >= ?');
+    params.push(new Date(now.getTime() - TIME_RANGES_MS[filters.timeRange]).toISOString());
+  }
+
+  const from = filters.date_from ? toDay(filters.date_from) : null;
+  if (from) {
+    conditions.push('contacts.created_at >= ?');
+    params.push(`${from} 00:00:00`);
+  }
+
+  const to = filters.date_to ? toDay(filters.date_to) : null;
+  if (to) {
+    conditions.push('contacts.created_at <= ?');
+    params.push(`${to} 23:59:59`);
+  }
+
+  for (const { field, operator, value } of collectCustomFieldFilters(filters)) {
+    const definition = customFields.find(candidate => candidate.id === field);
+    if (!definition) {
+      throw new CustomFieldValidationError(`Campo personalizado no encontrado: ${field}`, 'FIELD_NOT_FOUND');
+    }
+    const condition = buildCustomFieldCondition(definition, operator, value, { now });
+    conditions.push(condition.sql);
+    params.push(...condition.params);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Cláusula WHERE lista para concatenar ('' si no hay filtros)
+ */
+export function buildContactWhere(filters = {}, options = {}) {
+  const { conditions, params } = buildContactFilters(filters, options);
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
@@ -0,0 +1,312 @@
+/**
+ * @fileoverview Mapeo de columnas y reglas de importación de contactos
+ *
+ * Lógica pura (sin base de datos) para sugerir el mapeo columna → campo,
+ * validar cada fila y decidir qué hacer con los duplicados según la
+ * estrategia elegida (omitir, actualizar o combinar).
+ */
+
+import { normalizePhoneE164, DEFAULT_IMPORT_COUNTRY } from './phoneNormalizer.js';
+import { coerceFieldValue } from './customFieldTypes.js';
+
+export const IMPORT_TARGETS = Object.freeze({
+  PHONE: 'phone',
+  NAME: 'name',
+  FIRST_NAME: 'first_name',
+  LAST_NAME: 'last_name',
+  EMAIL: 'email',
+  TAGS: 'tags'
+});
+
+export const CUSTOM_FIELD_PREFIX = 'custom:';
+
+export const DUPLICATE_STRATEGIES = Object.freeze({
+  SKIP: 'skip',
+  UPDATE: 'update',
+  MERGE: 'merge'
+});
+
+export const IMPORT_ACTIONS = Object.freeze({
+  CREATE: 'create',
+  UPDATE: 'update',
+  SKIP: 'skip'
+});
+
+const HEADER_SYNONYMS = {
+  [IMPORT_TARGETS.PHONE]: [
+    'telefono', 'tel', 'celular', 'cel', 'movil', 'whatsapp', 'numero', 'numero de telefono',
+    'phone', 'phone number', 'mobile', 'telefone'
+  ],
+  [IMPORT_TARGETS.NAME]: ['nombre completo', 'nombre y apellido', 'contacto', 'name', 'full name'],
+  [IMPORT_TARGETS.FIRST_NAME]: ['nombre', 'nombres', 'primer nombre', 'first name', 'firstname', 'nome'],
+  [IMPORT_TARGETS.LAST_NAME]: ['apellido', 'apellidos', 'last name', 'lastname', 'surname', 'sobrenome'],
+  [IMPORT_TARGETS.EMAIL]: ['email', 'e mail', 'correo', 'correo electronico', 'mail'],
+  [IMPORT_TARGETS.TAGS]: ['etiquetas', 'etiqueta', 'tags', 'tag', 'grupos', 'grupo', 'segmento']
+};
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TAG_SEPARATOR = /[,;|]/;
+
+/**
+ * Normalizar una cabecera para compararla con los sinónimos
+ */
+export function normalizeHeader(header) {
+  return String(header ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[_\-.]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Hacer únicas las cabeceras del archivo (las vacías o repetidas rompen el mapeo)
+ */
+export function uniqueHeaders(headers = []) {
+  const seen = new Map();
+
+  return headers.map((header, index) => {
+    const base = String(header ?? '').trim() || `Columna ${index + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base} (${count})`;
+  });
+}
+
+/**
+ * Sugerir el campo destino de cada columna
+ * @param {string[]} headers - Cabeceras únicas del archivo
+ * @param {Array<{id: string, name: string}>} customFields - Definiciones activas
+ * @returns {Object<string, string|null>} cabecera → destino (null = no importar)
+ */
+export function suggestMapping(headers = [], customFields = []) {
+  const mapping = {};
+  const used = new Set();
+
+  for (const header of headers) {
+    const normalized = normalizeHeader(header);
+    let target = Object.keys(HEADER_SYNONYMS)
+      .find(candidate => !used.has(candidate) && HEADER_SYNONYMS[candidate].includes(normalized)) || null;
+
+    if (!target) {
+      const field = customFields.find(definition =>
+        normalizeHeader(definition.name) === normalized || normalizeHeader(definition.id) === normalized
+      );
+      target = field ? `${CUSTOM_FIELD_PREFIX}${field.id}` : null;
+    }
+
+    if (target && used.has(target)) {
+      target = null;
+    }
+    if (target) {
+      used.add(target);
+    }
+    mapping[header] = target;
+  }
+
+  return mapping;
+}
+
+/**
+ * Convertir el mapeo por índices que envía la pantalla de contactos
+ * ({ name, lastName, phone, email }) al mapeo por cabecera
+ */
+export function fromLegacyMapping(legacy = {}, headers = []) {
+  const mapping = Object.fromEntries(headers.map(header => [header, null]));
+  const assign = (index, target) => {
+    if (index !== null && index !== undefined && headers[index] !== undefined) {
+      mapping[headers[index]] = target;
+    }
+  };
+
+  const hasLastName = legacy.lastName !== null && legacy.lastName !== undefined;
+  assign(legacy.name, hasLastName ? IMPORT_TARGETS.FIRST_NAME : IMPORT_TARGETS.NAME);
+  assign(legacy.lastName, IMPORT_TARGETS.LAST_NAME);
+  assign(legacy.phone, IMPORT_TARGETS.PHONE);
+  assign(legacy.email, IMPORT_TARGETS.EMAIL);
+
+  return mapping;
+}
+
+/**
+ * Validar un mapeo contra las cabeceras y los campos personalizados
+ * @returns {string[]} Errores encontrados (vacío si es válido)
+ */
+export function validateMapping(mapping, headers = [], customFieldIds = []) {
+  const errors = [];
+  const standardTargets = Object.values(IMPORT_TARGETS);
+  const targets = [];
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return ['El mapeo de columnas debe ser un objeto { columna: campo }'];
+  }
+
+  for (const [header, target] of Object.entries(mapping)) {
+    if (!target) {
+      continue;
+    }
+    if (!headers.includes(header)) {
+      errors.push(`La columna "${header}" no existe en el archivo`);
+      continue;
+    }
+
+    if (target.startsWith(CUSTOM_FIELD_PREFIX)) {
+      if (!customFieldIds.includes(target.slice(CUSTOM_FIELD_PREFIX.length))) {
+        errors.push(`Campo personalizado desconocido: ${target.slice(CUSTOM_FIELD_PREFIX.length)}`);
+      }
+    } else if (!standardTargets.includes(target)) {
+      errors.push(`Campo destino desconocido: ${target}`);
+    }
+
+    if (targets.includes(target)) {
+      errors.push(`El campo ${target} está mapeado a más de una columna`);
+    }
+    targets.push(target);
+  }
+
+  if (!targets.includes(IMPORT_TARGETS.PHONE)) {
+    errors.push('Debe mapear una columna al teléfono');
+  }
+
+  return errors;
+}
+
+/**
+ * Aplicar el mapeo a una fila del archivo
+ * @returns {{phone: string, name: string, email: string, tags: string[], customFields: Object}}
+ */
+export function mapRecord(values = [], headers = [], mapping = {}) {
+  const record = { phone: '', name: '', email: '', tags: [], customFields: {} };
+  let firstName = '';
+  let lastName = '';
+
+  headers.forEach((header, index) => {
+    const target = mapping[header];
+    const value = String(values[index] ?? '').trim();
+    if (!target || !value) {
+      return;
+    }
+
+    if (target.startsWith(CUSTOM_FIELD_PREFIX)) {
+      record.customFields[target.slice(CUSTOM_FIELD_PREFIX.length)] = value;
+    } else if (target === IMPORT_TARGETS.FIRST_NAME) {
+      firstName = value;
+    } else if (target === IMPORT_TARGETS.LAST_NAME) {
+      lastName = value;
+    } else if (target === IMPORT_TARGETS.TAGS) {
+      record.tags = value.split(TAG_SEPARATOR).map(tag => tag.trim()).filter(Boolean);
+    } else {
+      record[target] = value;
+    }
+  });
+
+  if (!record.name) {
+    record.name = [firstName, lastName].filter(Boolean).join(' ');
+  }
+
+  return record;
+}
+
+/**
+ * Validar y normalizar una fila ya mapeada. Los valores de campos
+ * personalizados se convierten según el tipo de su definición.
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.customFields] - Definiciones tipadas (parseFieldDefinition)
+ * @returns {{contact: Object|null, errors: Array<{field: string, code: string, message: string}>}}
+ */
+export function validateRecord(record, { defaultCountry = DEFAULT_IMPORT_COUNTRY, customFields = [] } = {}) {
+  const errors = [];
+  const customValues = {};
+
+  const phone = normalizePhoneE164(record.phone, defaultCountry);
+  if (!phone.valid) {
+    errors.push({ field: IMPORT_TARGETS.PHONE, code: phone.error, message: phone.message });
+  }
+
+  if (record.email && !EMAIL_REGEX.test(record.email)) {
+    errors.push({ field: IMPORT_TARGETS.EMAIL, code: 'EMAIL_INVALID', message: `Email inválido: ${record.email}` });
+  }
+
+  for (const [fieldId, value] of Object.entries(record.customFields)) {
+    const definition = customFields.find(field => field.id === fieldId);
+    const result = definition ? coerceFieldValue(definition, value) : { ok: true, value };
+    if (!result.ok) {
+      errors.push({ field: `${CUSTOM_FIELD_PREFIX}${fieldId}`, code: result.code, message: result.message });
+    } else if (result.value !== null) {
+      customValues[fieldId] = result.value;
+    }
+  }
+
+  if (errors.length > 0) {
+    return { contact: null, errors };
+  }
+
+  return {
+    contact: {
+      phone: phone.digits,
+      e164: phone.e164,
+      name: record.name || null,
+      email: record.email ? record.email.toLowerCase() : null,
+      tags: [...new Set(record.tags)],
+      customFields: customValues
+    },
+    errors
+  };
+}
+
+const isEmpty = value => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * Decidir la escritura de una fila según la estrategia de duplicados
+ * @param {Object|null} existing - Contacto actual { name, email, tags, customFields }
+ * @param {Object} incoming - Contacto validado de la fila
+ * @param {string} strategy - skip | update | merge
+ * @returns {{action: string, fields: Object, customFields: Object, reason?: string}}
+ */
+export function planContactWrite(existing, incoming, strategy = DUPLICATE_STRATEGIES.SKIP) {
+  if (!existing) {
+    return {
+      action: IMPORT_ACTIONS.CREATE,
+      fields: { name: incoming.name, email: incoming.email, tags: incoming.tags },
+      customFields: { ...incoming.customFields }
+    };
+  }
+
+  if (strategy === DUPLICATE_STRATEGIES.SKIP) {
+    return { action: IMPORT_ACTIONS.SKIP, fields: {}, customFields: {}, reason: 'duplicate' };
+  }
+
+  const merge = strategy === DUPLICATE_STRATEGIES.MERGE;
+  const existingTags = existing.tags || [];
+  const existingCustom = existing.customFields || {};
+  const fields = {};
+  const customFields = {};
+
+  for (const key of ['name', 'email']) {
+    const replace = merge ? isEmpty(existing[key]) : true;
+    if (!isEmpty(incoming[key]) && replace && incoming[key] !== existing[key]) {
+      fields[key] = incoming[key];
+    }
+  }
+
+  if (incoming.tags.length > 0) {
+    const tags = merge ? [...new Set([...existingTags, ...incoming.tags])] : incoming.tags;
+    if (tags.length !== existingTags.length || tags.some(tag => !existingTags.includes(tag))) {
+      fields.tags = tags;
+    }
+  }
+
+  for (const [fieldId, value] of Object.entries(incoming.customFields)) {
+    const replace = merge ? isEmpty(existingCustom[fieldId]) : true;
+    if (replace && String(existingCustom[fieldId] ?? '') !== value) {
+      customFields[fieldId] = value;
+    }
+  }
+
+  if (Object.keys(fields).length === 0 && Object.keys(customFields).length === 0) {
+    return { action: IMPORT_ACTIONS.SKIP, fields, customFields, reason: 'unchanged' };
+  }
+
+  return { action: IMPORT_ACTIONS.UPDATE, fields, customFields };
+}
@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Parser CSV en streaming (RFC 4180)
+ *
+ * Procesa el archivo por fragmentos sin cargarlo completo en memoria.
+ * Soporta campos entre comillas con separadores, saltos de línea y comillas
+ * escapadas (""), finales de línea CRLF/LF/CR, BOM UTF-8 y detección del
+ * separador (",", ";" o tabulador) a partir de la primera línea, ya que
+ * Excel en español exporta con ";".
+ */
+
+import { StringDecoder } from 'string_decoder';
+
+const DELIMITER_CANDIDATES = [',', ';', '\t'];
+
+export class CsvParseError extends Error {
+  constructor(message, record = null) {
+    super(message);
+    this.name = 'CsvParseError';
+    this.code = 'CSV_PARSE_ERROR';
+    this.record = record;
+  }
+}
+
+/**
+ * Detectar el separador contando ocurrencias fuera de comillas en la primera línea
+ * @returns {string|null} null si aún no se ha recibido la primera línea completa
+ */
+export function detectDelimiter(text, { final = false } = {}) {
+  const counts = Object.fromEntries(DELIMITER_CANDIDATES.map(candidate => [candidate, 0]));
+  let inQuotes = false;
+  let complete = false;
+
+  for (const ch of text) {
+    if (ch === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (ch === '\n' || ch === '\r')) {
+      complete = true;
+      break;
+    } else if (!inQuotes && ch in counts) {
+      counts[ch]++;
+    }
+  }
+
+  if (!complete && !final) {
+    return null;
+  }
+
+  const [best] = DELIMITER_CANDIDATES.reduce((winner, candidate) =>
+    counts[candidate] > winner[1] ? [candidate, counts[candidate]] : winner
+  , [',', 0]);
+  return best;
+}
+
+export class CsvStreamParser {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.delimiter] - null para detectarlo automáticamente
+   */
+  constructor({ delimiter = null } = {}) {
+    this.delimiter = delimiter;
+    this.decoder = new StringDecoder('utf8');
+    this.pending = '';
+    this.started = false;
+    this.field = '';
+    this.row = [];
+    this.inQuotes = false;
+    this.fieldQuoted = false;
+    this.quotePending = false;
+    this.skipLF = false;
+    this.records = 0;
+  }
+
+  /**
+   * Procesar un fragmento (Buffer o string)
+   * @returns {string[][]} Registros completos encontrados en el fragmento
+   */
+  push(chunk) {
+    let text = typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+
+    if (!this.started && text.length > 0) {
+      this.started = true;
+      if (text.charCodeAt(0) === 0xFEFF) {
+        text = text.slice(1);
+      }
+    }
+
+    if (this.delimiter === null) {
+      this.pending += text;
+      const delimiter = detectDelimiter(this.pending);
+      if (!delimiter) {
+        return [];
+      }
+      this.delimiter = delimiter;
+      text = this.pending;
+      this.pending = '';
+    }
+
+    return this.consume(text);
+  }
+
+  /**
+   * Finalizar el archivo y devolver el último registro
+   * @returns {string[][]}
+   */
+  end() {
+    const rows = this.push(this.decoder.end());
+
+    if (this.delimiter === null) {
+      this.delimiter = detectDelimiter(this.pending, { final: true });
+      rows.push(...this.consume(this.pending));
+      this.pending = '';
+    }
+
+    if (this.inQuotes && !this.quotePending) {
+      throw new CsvParseError(`Comillas sin cerrar en el registro ${this.records + 1}`, this.records + 1);
+    }
+
+    if (this.field.length > 0 || this.row.length > 0 || this.fieldQuoted) {
+      this.inQuotes = false;
+      this.quotePending = false;
+      this.endRow(rows);
+    }
+
+    return rows;
+  }
+
+  consume(text) {
+    const rows = [];
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (this.skipLF) {
+        this.skipLF = false;
+        if (ch === '\n') {
+          continue;
+        }
+      }
+
+      if (this.inQuotes) {
+        if (this.quotePending) {
+          this.quotePending = false;
+          if (ch === '"') {
+            this.field += '"';
+            continue;
+          }
+          // La comilla anterior cerraba el campo; el carácter se procesa fuera de comillas
+          this.inQuotes = false;
+        } else if (ch === '"') {
+          this.quotePending = true;
+          continue;
+        } else {
+          this.field += ch;
+          continue;
+        }
+      }
+
+      if (ch === '"' && this.field.length === 0 && !this.fieldQuoted) {
+        this.inQuotes = true;
+        this.fieldQuoted = true;
+      } else if (ch === this.delimiter) {
+        this.endField();
+      } else if (ch === '\n' || ch === '\r') {
+        this.endRow(rows);
+        this.skipLF = ch === '\r';
+      } else {
+        // Modo tolerante: una comilla dentro de un campo sin comillas se conserva literal
+        this.field += ch;
+      }
+    }
+
+    return rows;
+  }
+
+  endField() {
+    this.row.push(this.field);
+    this.field = '';
+    this.fieldQuoted = false;
+  }
+
+  endRow(rows) {
+    const blank = this.row.length === 0 && this.field.length === 0 && !this.fieldQuoted;
+    this.endField();
+    const row = this.row;
+    this.row = [];
+
+    // Las líneas vacías no son registros
+    if (!blank) {
+      this.records++;
+      rows.push(row);
+    }
+  }
+}
+
+/**
+ * Leer registros CSV de un stream legible
+ * @param {AsyncIterable<Buffer|string>} stream
+ * @param {Object} [options] - Opciones de CsvStreamParser
+ * @yields {string[]} Un registro por iteración (incluida la cabecera)
+ */
+export async function* parseCsvStream(stream, options = {}) {
+  const parser = new CsvStreamParser(options);
+
+  for await (const chunk of stream) {
+    yield* parser.push(chunk);
+  }
+
+  yield* parser.end();
+}
+
+export default CsvStreamParser;
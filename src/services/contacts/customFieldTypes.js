@@ -0,0 +1,601 @@
+/**
+ * @fileoverview Sistema de tipos de campos personalizados
+ *
+ * Define los tipos soportados, valida las definiciones (opciones, requerido,
+ * único, patrón y mínimos/máximos), convierte los valores recibidos a su
+ * forma canónica antes de guardarlos y traduce operadores tipados
+ * ("score > 50", "cumpleaños en los próximos 7 días") a SQL para filtrar
+ * contactos. Los valores se guardan como TEXT en custom_field_values:
+ * números como texto decimal, fechas como YYYY-MM-DD, booleanos como
+ * 'true'/'false' y selecciones múltiples como arreglo JSON.
+ */
+
+export const FIELD_TYPES = Object.freeze({
+  TEXT: 'text',
+  TEXTAREA: 'textarea',
+  NUMBER: 'number',
+  DATE: 'date',
+  BOOLEAN: 'boolean',
+  SELECT: 'select',
+  MULTI_SELECT: 'multi_select',
+  URL: 'url',
+  EMAIL: 'email',
+  PHONE: 'phone'
+});
+
+const TYPE_ALIASES = {
+  multiselect: FIELD_TYPES.MULTI_SELECT,
+  'multi-select': FIELD_TYPES.MULTI_SELECT,
+  bool: FIELD_TYPES.BOOLEAN,
+  checkbox: FIELD_TYPES.BOOLEAN,
+  dropdown: FIELD_TYPES.SELECT
+};
+
+const TEXT_OPERATORS = ['eq', 'neq', 'contains', 'starts_with', 'ends_with', 'is_empty', 'is_not_empty'];
+
+export const FIELD_OPERATORS = Object.freeze({
+  [FIELD_TYPES.TEXT]: TEXT_OPERATORS,
+  [FIELD_TYPES.TEXTAREA]: TEXT_OPERATORS,
+  [FIELD_TYPES.URL]: TEXT_OPERATORS,
+  [FIELD_TYPES.EMAIL]: TEXT_OPERATORS,
+  [FIELD_TYPES.PHONE]: TEXT_OPERATORS,
+  [FIELD_TYPES.NUMBER]: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'between', 'is_empty', 'is_not_empty'],
+  [FIELD_TYPES.DATE]: [
+    'eq', 'before', 'after', 'between', 'in_next_days', 'in_last_days', 'anniversary_in_next_days',
+    'is_empty', 'is_not_empty'
+  ],
+  [FIELD_TYPES.BOOLEAN]: ['is_true', 'is_false', 'is_empty', 'is_not_empty'],
+  [FIELD_TYPES.SELECT]: ['eq', 'neq', 'in', 'not_in', 'is_empty', 'is_not_empty'],
+  [FIELD_TYPES.MULTI_SELECT]: ['contains', 'not_contains', 'contains_any', 'contains_all', 'is_empty', 'is_not_empty']
+});
+
+// Tipos sobre los que tiene sentido exigir valores únicos
+const UNIQUE_CAPABLE_TYPES = [
+  FIELD_TYPES.TEXT, FIELD_TYPES.NUMBER, FIELD_TYPES.DATE, FIELD_TYPES.URL, FIELD_TYPES.EMAIL, FIELD_TYPES.PHONE
+];
+const OPTION_TYPES = [FIELD_TYPES.SELECT, FIELD_TYPES.MULTI_SELECT];
+const LENGTH_TYPES = [FIELD_TYPES.TEXT, FIELD_TYPES.TEXTAREA, FIELD_TYPES.URL, FIELD_TYPES.EMAIL, FIELD_TYPES.PHONE];
+const MAX_RELATIVE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TRUE_VALUES = ['true', '1', 'si', 'sí', 's', 'yes', 'y', 'verdadero', 'x', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'n', 'falso', 'off'];
+const LIST_SEPARATOR = /[,;|]/;
+
+/**
+ * Error de validación de campos personalizados (definición, valor u operador)
+ */
+export class CustomFieldValidationError extends Error {
+  constructor(message, code = 'INVALID_VALUE', statusCode = 400, details = null) {
+    super(message);
+    this.name = 'CustomFieldValidationError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Normalizar el tipo guardado; los tipos desconocidos de versiones previas se tratan como texto
+ */
+export function normalizeFieldType(type) {
+  const normalized = String(type || FIELD_TYPES.TEXT).trim().toLowerCase();
+  if (Object.values(FIELD_TYPES).includes(normalized)) {
+    return normalized;
+  }
+  return TYPE_ALIASES[normalized] || null;
+}
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined || value === '') {
+    return fallback;
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Convertir una fila de custom_field_definitions en definición tipada
+ */
+export function parseFieldDefinition(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    ...row,
+    type: normalizeFieldType(row.type) || FIELD_TYPES.TEXT,
+    options: parseJson(row.options, []),
+    validation: parseJson(row.validation, {}),
+    is_required: row.is_required === 1 || row.is_required === true,
+    is_unique: row.is_unique === 1 || row.is_unique === true
+  };
+}
+
+export function parseNumber(raw) {
+  if (typeof raw === 'number') {
+    return Number.isFinite(raw) ? raw : null;
+  }
+
+  let text = String(raw ?? '').trim().replace(/\s/g, '');
+  if (/^-?\d+,\d+$/.test(text)) {
+    // Coma decimal: "12,5"
+    text = text.replace(',', '.');
+  } else if (/^-?\d{1,3}(\.\d{3})+(,\d+)?$/.test(text)) {
+    // Miles con punto y decimales con coma: "1.234,5"
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) {
+    // Miles con coma: "1,234.5"
+    text = text.replace(/,/g, '');
+  }
+
+  if (!/^-?(\d+\.?\d*|\.\d+)$/.test(text)) {
+    return null;
+  }
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parsear una fecha a YYYY-MM-DD. Acepta ISO (YYYY-MM-DD[THH:mm...]) y
+ * DD/MM/YYYY (formato habitual en Latinoamérica).
+ */
+export function parseDate(raw) {
+  if (raw instanceof Date) {
+    return Number.isNaN(raw.getTime()) ? null : raw.toISOString().slice(0, 10);
+  }
+
+  const text = String(raw ?? '').trim();
+  let year;
+  let month;
+  let day;
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/);
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else {
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (!match) {
+      return null;
+    }
+    [, day, month, year] = match.map(Number);
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+export function parseBoolean(raw) {
+  if (typeof raw === 'boolean') {
+    return raw;
+  }
+  const text = String(raw ?? '').trim().toLowerCase();
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  return null;
+}
+
+function toList(raw) {
+  if (Array.isArray(raw)) {
+    return raw.map(item => String(item).trim()).filter(Boolean);
+  }
+  const text = String(raw ?? '').trim();
+  if (text.startsWith('[')) {
+    const parsed = parseJson(text, null);
+    if (Array.isArray(parsed)) {
+      return parsed.map(item => String(item).trim()).filter(Boolean);
+    }
+  }
+  return text.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+}
+
+function findOption(options, value) {
+  const wanted = String(value).trim().toLowerCase();
+  return options.find(option => String(option).toLowerCase() === wanted);
+}
+
+function isEmptyInput(raw) {
+  return raw === null || raw === undefined || (typeof raw === 'string' && raw.trim() === '') ||
+    (Array.isArray(raw) && raw.length === 0);
+}
+
+/**
+ * Validar una definición de campo antes de guardarla
+ * @returns {string[]} Errores encontrados
+ */
+export function validateFieldDefinition(definition = {}) {
+  const errors = [];
+  const type = normalizeFieldType(definition.type);
+
+  if (!type) {
+    return [`Tipo de campo no soportado: ${definition.type}. Tipos válidos: ${Object.values(FIELD_TYPES).join(', ')}`];
+  }
+
+  const options = definition.options ?? [];
+  if (OPTION_TYPES.includes(type)) {
+    if (!Array.isArray(options) || options.length === 0) {
+      errors.push('Los campos de selección requieren una lista de opciones');
+    } else {
+      const normalized = options.map(option => String(option).trim().toLowerCase());
+      if (normalized.some(option => !option)) {
+        errors.push('Las opciones no pueden estar vacías');
+      }
+      if (new Set(normalized).size !== normalized.length) {
+        errors.push('Las opciones no pueden repetirse');
+      }
+    }
+  } else if (Array.isArray(options) && options.length > 0) {
+    errors.push(`El tipo ${type} no admite opciones`);
+  }
+
+  if (definition.is_unique && !UNIQUE_CAPABLE_TYPES.includes(type)) {
+    errors.push(`El tipo ${type} no admite valores únicos`);
+  }
+
+  const validation = definition.validation || {};
+  if (validation.pattern !== undefined && validation.pattern !== null && validation.pattern !== '') {
+    if (!LENGTH_TYPES.includes(type)) {
+      errors.push(`El tipo ${type} no admite patrón`);
+    } else {
+      try {
+        new RegExp(validation.pattern);
+      } catch (error) {
+        errors.push(`Patrón inválido: ${error.message}`);
+      }
+    }
+  }
+
+  const parseBound = type === FIELD_TYPES.DATE ? parseDate : parseNumber;
+  const bounds = {};
+  for (const key of ['min', 'max']) {
+    if (validation[key] === undefined || validation[key] === null || validation[key] === '') {
+      continue;
+    }
+    if (type === FIELD_TYPES.BOOLEAN || type === FIELD_TYPES.SELECT) {
+      errors.push(`El tipo ${type} no admite ${key}`);
+      continue;
+    }
+    bounds[key] = parseBound(validation[key]);
+    if (bounds[key] === null) {
+      errors.push(`Valor ${key} inválido: ${validation[key]}`);
+    }
+  }
+  if (bounds.min !== undefined && bounds.max !== undefined && bounds.min !== null && bounds.max !== null &&
+      bounds.min > bounds.max) {
+    errors.push('min no puede ser mayor que max');
+  }
+
+  return errors;
+}
+
+function invalid(definition, code, message) {
+  return { ok: false, code, message: `${definition.name || definition.id}: ${message}` };
+}
+
+/**
+ * Convertir un valor recibido a su forma canónica según el tipo del campo
+ * @param {Object} definition - Definición tipada (parseFieldDefinition)
+ * @param {*} raw - Valor recibido (texto de un formulario, celda de importación, etc.)
+ * @returns {{ok: true, value: string|null}|{ok: false, code: string, message: string}}
+ */
+export function coerceFieldValue(definition, raw) {
+  const { type, options = [], validation = {} } = definition;
+
+  if (isEmptyInput(raw)) {
+    return definition.is_required
+      ? invalid(definition, 'REQUIRED', 'el valor es requerido')
+      : { ok: true, value: null };
+  }
+
+  const min = validation.min ?? null;
+  const max = validation.max ?? null;
+
+  switch (type) {
+    case FIELD_TYPES.NUMBER: {
+      const number = parseNumber(raw);
+      if (number === null) {
+        return invalid(definition, 'INVALID_NUMBER', `"${raw}" no es un número`);
+      }
+      if (min !== null && number < parseNumber(min)) {
+        return invalid(definition, 'OUT_OF_RANGE', `debe ser mayor o igual a ${min}`);
+      }
+      if (max !== null && number > parseNumber(max)) {
+        return invalid(definition, 'OUT_OF_RANGE', `debe ser menor o igual a ${max}`);
+      }
+      return { ok: true, value: String(number) };
+    }
+
+    case FIELD_TYPES.DATE: {
+      const date = parseDate(raw);
+      if (!date) {
+        return invalid(definition, 'INVALID_DATE', `"${raw}" no es una fecha válida (YYYY-MM-DD o DD/MM/YYYY)`);
+      }
+      if (min !== null && date < parseDate(min)) {
+        return invalid(definition, 'OUT_OF_RANGE', `debe ser igual o posterior a ${parseDate(min)}`);
+      }
+      if (max !== null && date > parseDate(max)) {
+        return invalid(definition, 'OUT_OF_RANGE', `debe ser igual o anterior a ${parseDate(max)}`);
+      }
+      return { ok: true, value: date };
+    }
+
+    case FIELD_TYPES.BOOLEAN: {
+      const bool = parseBoolean(raw);
+      return bool === null
+        ? invalid(definition, 'INVALID_BOOLEAN', `"${raw}" no es un valor sí/no`)
+        : { ok: true, value: String(bool) };
+    }
+
+    case FIELD_TYPES.SELECT: {
+      const option = findOption(options, raw);
+      return option === undefined
+        ? invalid(definition, 'INVALID_OPTION', `"${raw}" no es una opción válida (${options.join(', ')})`)
+        : { ok: true, value: option };
+    }
+
+    case FIELD_TYPES.MULTI_SELECT: {
+      const selected = [];
+      for (const item of toList(raw)) {
+        const option = findOption(options, item);
+        if (option === undefined) {
+          return invalid(definition, 'INVALID_OPTION', `"${item}" no es una opción válida (${options.join(', ')})`);
+        }
+        if (!selected.includes(option)) {
+          selected.push(option);
+        }
+      }
+      if (selected.length === 0) {
+        return definition.is_required ? invalid(definition, 'REQUIRED', 'el valor es requerido') : { ok: true, value: null };
+      }
+      if (min !== null && selected.length < parseNumber(min)) {
+        return invalid(definition, 'OUT_OF_RANGE', `seleccione al menos ${min} opciones`);
+      }
+      if (max !== null && selected.length > parseNumber(max)) {
+        return invalid(definition, 'OUT_OF_RANGE', `seleccione como máximo ${max} opciones`);
+      }
+      return { ok: true, value: JSON.stringify(selected) };
+    }
+
+    default:
+      return coerceTextValue(definition, String(raw).trim());
+  }
+}
+
+function coerceTextValue(definition, text) {
+  const { type, validation = {} } = definition;
+  let value = text;
+
+  if (type === FIELD_TYPES.EMAIL) {
+    value = text.toLowerCase();
+    if (!EMAIL_REGEX.test(value)) {
+      return invalid(definition, 'INVALID_EMAIL', `"${text}" no es un email válido`);
+    }
+  } else if (type === FIELD_TYPES.URL) {
+    const candidate = /^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`;
+    try {
+      const url = new URL(candidate);
+      if (!['http:', 'https:'].includes(url.protocol) || !url.hostname.includes('.')) {
+        throw new Error('protocolo o dominio inválido');
+      }
+      value = url.toString();
+    } catch (error) {
+      return invalid(definition, 'INVALID_URL', `"${text}" no es una URL válida`);
+    }
+  } else if (type === FIELD_TYPES.PHONE) {
+    value = `${text.startsWith('+') ? '+' : ''}${text.replace(/\D/g, '')}`;
+    const digits = value.replace('+', '');
+    if (digits.length < 7 || digits.length > 15) {
+      return invalid(definition, 'INVALID_PHONE', `"${text}" no es un teléfono válido`);
+    }
+  }
+
+  if (validation.min !== undefined && validation.min !== null && value.length < parseNumber(validation.min)) {
+    return invalid(definition, 'TOO_SHORT', `debe tener al menos ${validation.min} caracteres`);
+  }
+  if (validation.max !== undefined && validation.max !== null && value.length > parseNumber(validation.max)) {
+    return invalid(definition, 'TOO_LONG', `debe tener como máximo ${validation.max} caracteres`);
+  }
+  if (validation.pattern && !new RegExp(validation.pattern).test(value)) {
+    return invalid(definition, 'PATTERN_MISMATCH', 'no cumple el formato requerido');
+  }
+
+  return { ok: true, value };
+}
+
+/**
+ * Convertir el valor guardado a su tipo JavaScript
+ */
+export function parseStoredValue(definition, stored) {
+  if (stored === null || stored === undefined || stored === '') {
+    return null;
+  }
+
+  switch (definition?.type) {
+    case FIELD_TYPES.NUMBER:
+      return parseNumber(stored);
+    case FIELD_TYPES.BOOLEAN:
+      return parseBoolean(stored);
+    case FIELD_TYPES.MULTI_SELECT: {
+      const parsed = parseJson(stored, null);
+      return Array.isArray(parsed) ? parsed : toList(stored);
+    }
+    default:
+      return stored;
+  }
+}
+
+function escapeLike(text) {
+  return String(text).replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+function toDays(operand) {
+  const days = parseInt(operand, 10);
+  if (!Number.isInteger(days) || days < 0 || days > MAX_RELATIVE_DAYS) {
+    throw new CustomFieldValidationError(`Número de días inválido: ${operand} (0-${MAX_RELATIVE_DAYS})`, 'INVALID_OPERAND');
+  }
+  return days;
+}
+
+function toPair(operand) {
+  const pair = Array.isArray(operand) ? operand : String(operand ?? '').split(',');
+  if (pair.length !== 2) {
+    throw new CustomFieldValidationError('El operador between requiere dos valores: desde,hasta', 'INVALID_OPERAND');
+  }
+  return pair;
+}
+
+/**
+ * Meses-días (MM-DD) desde hoy hasta dentro de N días, para aniversarios
+ */
+export function upcomingMonthDays(days, now = new Date()) {
+  const start = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const monthDays = new Set();
+
+  for (let offset = 0; offset <= days; offset++) {
+    const date = new Date(start + offset * DAY_MS);
+    const monthDay = date.toISOString().slice(5, 10);
+    monthDays.add(monthDay);
+    // En años no bisiestos, los nacidos el 29/02 celebran el 28/02
+    if (monthDay === '02-28' && new Date(Date.UTC(date.getUTCFullYear(), 1, 29)).getUTCMonth() !== 1) {
+      monthDays.add('02-29');
+    }
+  }
+
+  return [...monthDays];
+}
+
+/**
+ * Traducir una condición tipada a SQL sobre contacts (alias "contacts")
+ * @param {Object} definition - Definición tipada del campo
+ * @param {string} operator - Operador permitido para el tipo (FIELD_OPERATORS)
+ * @param {*} operand - Valor a comparar
+ * @returns {{sql: string, params: Array}}
+ */
+export function buildCustomFieldCondition(definition, operator, operand, { now = new Date() } = {}) {
+  const { type } = definition;
+  const allowed = FIELD_OPERATORS[type] || [];
+  if (!allowed.includes(operator)) {
+    throw new CustomFieldValidationError(
+      `Operador "${operator}" no válido para el campo ${definition.id} (${type}). Operadores: ${allowed.join(', ')}`,
+      'INVALID_OPERATOR'
+    );
+  }
+
+  const value = 'cfv.value';
+  const exists = (expr, params, negate = false) => ({
+    sql: `${negate ? 'NOT ' : ''}EXISTS (SELECT 1 FROM custom_field_values cfv WHERE cfv.contact_id = contacts.id AND cfv.field_id = ? AND ${expr})`,
+    params: [definition.id, ...params]
+  });
+  const coerceOperand = raw => {
+    const result = coerceFieldValue({ ...definition, is_required: false, validation: {} }, raw);
+    if (!result.ok || result.value === null) {
+      throw new CustomFieldValidationError(result.message || `Valor de comparación vacío para ${definition.id}`, 'INVALID_OPERAND');
+    }
+    return result.value;
+  };
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const shiftDays = days => new Date(today.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+  const notEmpty = `${value} IS NOT NULL AND ${value} != '' AND ${value} != '[]'`;
+
+  switch (operator) {
+    case 'is_empty':
+      return exists(notEmpty, [], true);
+    case 'is_not_empty':
+      return exists(notEmpty, []);
+    case 'is_true':
+      return exists(`${value} = 'true'`, []);
+    case 'is_false':
+      return exists(`${value} = 'false'`, []);
+
+    case 'eq':
+    case 'neq': {
+      const negate = operator === 'neq';
+      if (type === FIELD_TYPES.NUMBER) {
+        return exists(`CAST(${value} AS REAL) = ?`, [parseNumber(coerceOperand(operand))], negate);
+      }
+      if (type === FIELD_TYPES.DATE || type === FIELD_TYPES.SELECT) {
+        return exists(`${value} = ?`, [coerceOperand(operand)], negate);
+      }
+      return exists(`LOWER(${value}) = LOWER(?)`, [String(operand ?? '').trim()], negate);
+    }
+
+    case 'contains':
+    case 'not_contains':
+      if (type === FIELD_TYPES.MULTI_SELECT) {
+        const [option] = JSON.parse(coerceOperand(operand));
+        return exists(`EXISTS (SELECT 1 FROM json_each(${value}) WHERE json_each.value = ?)`, [option], operator === 'not_contains');
+      }
+      return exists(`${value} LIKE ? ESCAPE '\\'`, [`%${escapeLike(operand)}%`]);
+    case 'starts_with':
+      return exists(`${value} LIKE ? ESCAPE '\\'`, [`${escapeLike(operand)}%`]);
+    case 'ends_with':
+      return exists(`${value} LIKE ? ESCAPE '\\'`, [`%${escapeLike(operand)}`]);
+
+    case 'contains_any':
+    case 'contains_all': {
+      const options = JSON.parse(coerceOperand(operand));
+      if (operator === 'contains_any') {
+        return exists(
+          `EXISTS (SELECT 1 FROM json_each(${value}) WHERE json_each.value IN (${options.map(() => '?').join(', ')}))`,
+          options
+        );
+      }
+      return exists(
+        options.map(() => `EXISTS (SELECT 1 FROM json_each(${value}) WHERE json_each.value = ?)`).join(' AND '),
+        options
+      );
+    }
+
+    case 'in':
+    case 'not_in': {
+      const options = toList(operand).map(coerceOperand);
+      if (options.length === 0) {
+        throw new CustomFieldValidationError(`El operador ${operator} requiere al menos un valor`, 'INVALID_OPERAND');
+      }
+      return exists(`${value} IN (${options.map(() => '?').join(', ')})`, options, operator === 'not_in');
+    }
+
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte': {
+      const symbol = { gt: '>', gte: '>=', lt: '<', lte: '<=' }[operator];
+      return exists(`CAST(${value} AS REAL) ${symbol} ?`, [parseNumber(coerceOperand(operand))]);
+    }
+
+    case 'before':
+      return exists(`${value} < ?`, [coerceOperand(operand)]);
+    case 'after':
+      return exists(`${value} > ?`, [coerceOperand(operand)]);
+
+    case 'between': {
+      const [from, to] = toPair(operand).map(coerceOperand);
+      return type === FIELD_TYPES.NUMBER
+        ? exists(`CAST(${value} AS REAL) BETWEEN ? AND ?`, [parseNumber(from), parseNumber(to)])
+        : exists(`${value} BETWEEN ? AND ?`, [from, to]);
+    }
+
+    case 'in_next_days':
+      return exists(`${value} BETWEEN ? AND ?`, [shiftDays(0), shiftDays(toDays(operand))]);
+    case 'in_last_days':
+      return exists(`${value} BETWEEN ? AND ?`, [shiftDays(-toDays(operand)), shiftDays(0)]);
+
+    case 'anniversary_in_next_days': {
+      const monthDays = upcomingMonthDays(toDays(operand), now);
+      return exists(`substr(${value}, 6, 5) IN (${monthDays.map(() => '?').join(', ')})`, monthDays);
+    }
+
+    default:
+      throw new CustomFieldValidationError(`Operador no soportado: ${operator}`, 'INVALID_OPERATOR');
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Normalización de teléfonos a E.164
+ *
+ * Los números sin prefijo internacional se interpretan con el plan de
+ * numeración del país por defecto de la importación. En la base de datos se
+ * guardan solo los dígitos (sin "+"), igual que los envía 360Dialog.
+ */
+
+export const DEFAULT_IMPORT_COUNTRY = 'CO';
+
+/**
+ * Planes de numeración soportados: código de país, longitudes del número
+ * nacional (sin prefijo troncal) y prefijo troncal que se marca localmente.
+ */
+export const COUNTRY_DIALING_PLANS = Object.freeze({
+  CO: { code: '57', nationalLengths: [10] },
+  MX: { code: '52', nationalLengths: [10] },
+  US: { code: '1', nationalLengths: [10] },
+  CA: { code: '1', nationalLengths: [10] },
+  AR: { code: '54', nationalLengths: [10, 11], trunkPrefix: '0' },
+  BR: { code: '55', nationalLengths: [10, 11], trunkPrefix: '0' },
+  CL: { code: '56', nationalLengths: [9] },
+  PE: { code: '51', nationalLengths: [9] },
+  EC: { code: '593', nationalLengths: [9], trunkPrefix: '0' },
+  VE: { code: '58', nationalLengths: [10], trunkPrefix: '0' },
+  PA: { code: '507', nationalLengths: [7, 8] },
+  CR: { code: '506', nationalLengths: [8] },
+  GT: { code: '502', nationalLengths: [8] },
+  ES: { code: '34', nationalLengths: [9] }
+});
+
+const E164_MIN_DIGITS = 8;
+const E164_MAX_DIGITS = 15;
+
+function invalid(code, message) {
+  return { valid: false, error: code, message };
+}
+
+function valid(digits) {
+  return { valid: true, digits, e164: `+${digits}` };
+}
+
+/**
+ * Normalizar un teléfono a E.164
+ * @param {string|number} raw - Teléfono tal como viene en el archivo
+ * @param {string} [defaultCountry] - Código ISO del país para números nacionales
+ * @returns {{valid: true, digits: string, e164: string}|{valid: false, error: string, message: string}}
+ */
+export function normalizePhoneE164(raw, defaultCountry = DEFAULT_IMPORT_COUNTRY) {
+  const text = String(raw ?? '').trim();
+  if (!text) {
+    return invalid('PHONE_REQUIRED', 'El teléfono es requerido');
+  }
+
+  let digits = text.replace(/\D/g, '');
+  let international = text.startsWith('+');
+  if (!international && digits.startsWith('00')) {
+    digits = digits.slice(2);
+    international = true;
+  }
+
+  if (!digits) {
+    return invalid('PHONE_INVALID', `Teléfono inválido: ${text}`);
+  }
+
+  if (international) {
+    return digits.length >= E164_MIN_DIGITS && digits.length <= E164_MAX_DIGITS
+      ? valid(digits)
+      : invalid('PHONE_INVALID_LENGTH', `Longitud inválida para un número internacional: ${text}`);
+  }
+
+  const plan = COUNTRY_DIALING_PLANS[String(defaultCountry || '').toUpperCase()];
+  if (!plan) {
+    return invalid('COUNTRY_UNSUPPORTED', `País no soportado para normalizar teléfonos: ${defaultCountry}`);
+  }
+
+  if (plan.trunkPrefix && digits.startsWith(plan.trunkPrefix) &&
+      plan.nationalLengths.includes(digits.length - plan.trunkPrefix.length)) {
+    digits = digits.slice(plan.trunkPrefix.length);
+  }
+
+  if (plan.nationalLengths.includes(digits.length)) {
+    return valid(plan.code + digits);
+  }
+
+  // Número que ya incluye el código del país pero sin "+"
+  if (digits.startsWith(plan.code) && plan.nationalLengths.includes(digits.length - plan.code.length)) {
+    return valid(digits);
+  }
+
+  return invalid('PHONE_INVALID_LENGTH', `Teléfono inválido para ${String(defaultCountry).toUpperCase()}: ${text}`);
+}
+
+export default normalizePhoneE164;
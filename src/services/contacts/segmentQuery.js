@@ -0,0 +1,388 @@
+/**
+ * @fileoverview Lenguaje de consulta de segmentos
+ *
+ * Lógica pura usada por SegmentService y el envío de campañas: un segmento es
+ * un árbol JSON de grupos AND/OR con condiciones sobre el contacto (columnas,
+ * etiquetas, campos personalizados, último mensaje recibido/enviado,
+ * interacción con campañas y lista de supresión). El árbol se valida contra
+ * el esquema y se compila a SQL parametrizado sobre `contacts`; nunca se
+ * ejecuta SQL recibido del cliente.
+ *
+ *   {
+ *     "operator": "and",
+ *     "conditions": [
+ *       { "field": "tag", "operator": "has", "value": "vip" },
+ *       { "field": "last_inbound_at", "operator": "in_last_days", "value": 30 },
+ *       { "operator": "or", "conditions": [
+ *         { "field": "custom_field", "key": "ciudad", "operator": "eq", "value": "Bogotá" },
+ *         { "field": "campaign", "operator": "read", "campaignId": 12 }
+ *       ] }
+ *     ]
+ *   }
+ */
+
+import { FIELD_OPERATORS, buildCustomFieldCondition } from './customFieldTypes.js';
+import { buildTagCondition } from './contactFilters.js';
+
+export const SEGMENT_LIMITS = Object.freeze({
+  MAX_DEPTH: 4,
+  MAX_CONDITIONS: 50,
+  MAX_DAYS: 3650
+});
+
+const GROUP_OPERATORS = ['and', 'or'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const lastMessageAt = direction =>
+  `(SELECT MAX(m.created_at) FROM messages m WHERE m.contact_id = contacts.id AND m.direction = '${direction}')`;
+
+export const SEGMENT_FIELDS = Object.freeze({
+  name: { type: 'text', column: 'contacts.name', label: 'Nombre' },
+  phone: { type: 'text', column: 'contacts.phone_number', label: 'Teléfono' },
+  email: { type: 'text', column: 'contacts.email', label: 'Email' },
+  status: { type: 'enum', column: 'contacts.status', values: ['active', 'blocked'], label: 'Estado' },
+  created_at: { type: 'date', column: 'contacts.created_at', label: 'Fecha de alta' },
+  last_inbound_at: { type: 'date', column: lastMessageAt('inbound'), label: 'Último mensaje del contacto' },
+  last_outbound_at: { type: 'date', column: lastMessageAt('outbound'), label: 'Último mensaje enviado' },
+  tag: { type: 'tag', label: 'Etiqueta' },
+  custom_field: { type: 'custom_field', label: 'Campo personalizado' },
+  campaign: { type: 'campaign', label: 'Campaña' },
+  suppressed: { type: 'boolean', label: 'En la lista de supresión' }
+});
+
+export const SEGMENT_OPERATORS = Object.freeze({
+  text: ['eq', 'neq', 'contains', 'not_contains', 'starts_with', 'is_empty', 'is_not_empty'],
+  enum: ['eq', 'neq', 'in', 'not_in'],
+  date: ['before', 'after', 'between', 'in_last_days', 'not_in_last_days', 'is_empty', 'is_not_empty'],
+  tag: ['has', 'not_has', 'has_any', 'has_none'],
+  campaign: ['received', 'not_received', 'delivered', 'read', 'replied', 'failed'],
+  boolean: ['is_true', 'is_false']
+});
+
+// Estados de campaign_messages que cuentan para cada operador de campaña
+const CAMPAIGN_STATUSES = {
+  received: ['sent', 'delivered', 'read'],
+  not_received: ['sent', 'delivered', 'read'],
+  delivered: ['delivered', 'read'],
+  read: ['read'],
+  failed: ['failed']
+};
+
+const escapeLike = text => String(text).replace(/[\\%_]/g, match => `\\${match}`);
+const placeholders = list => list.map(() => '?').join(', ');
+const isDateOnly = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+/**
+ * ¿Los filtros guardados usan el lenguaje de segmentos (y no los filtros simples de la lista)?
+ */
+export function isSegmentQuery(filters) {
+  return Boolean(filters) && typeof filters === 'object' && Array.isArray(filters.conditions);
+}
+
+function toIsoDate(value, { endOfDay = false } = {}) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  // Una fecha sin hora como límite superior incluye todo el día
+  const date = new Date(isDateOnly(value) && endOfDay ? `${value}T23:59:59.999Z` : value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function compileText(column, operator, value) {
+  if (operator === 'is_empty') {
+    return { sql: `(${column} IS NULL OR ${column} = '')`, params: [] };
+  }
+  if (operator === 'is_not_empty') {
+    return { sql: `(${column} IS NOT NULL AND ${column} != '')`, params: [] };
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw new Error('value debe ser un texto');
+  }
+
+  const text = String(value).trim();
+  switch (operator) {
+    case 'eq':
+      return { sql: `LOWER(COALESCE(${column}, '')) = LOWER(?)`, params: [text] };
+    case 'neq':
+      return { sql: `LOWER(COALESCE(${column}, '')) != LOWER(?)`, params: [text] };
+    case 'contains':
+      return { sql: `${column} LIKE ? ESCAPE '\\'`, params: [`%${escapeLike(text)}%`] };
+    case 'not_contains':
+      return { sql: `COALESCE(${column}, '') NOT LIKE ? ESCAPE '\\'`, params: [`%${escapeLike(text)}%`] };
+    default:
+      return { sql: `${column} LIKE ? ESCAPE '\\'`, params: [`${escapeLike(text)}%`] };
+  }
+}
+
+function compileEnum(definition, operator, value) {
+  const values = operator === 'in' || operator === 'not_in' ? value : [value];
+  if (!Array.isArray(values) || values.length === 0 || values.some(item => !definition.values.includes(item))) {
+    throw new Error(`value debe ser ${operator === 'in' || operator === 'not_in' ? 'una lista con' : 'uno de'}: ${definition.values.join(', ')}`);
+  }
+
+  const negate = operator === 'neq' || operator === 'not_in';
+  return {
+    sql: `COALESCE(${definition.column}, '') ${negate ? 'NOT IN' : 'IN'} (${placeholders(values)})`,
+    params: values
+  };
+}
+
+function compileDate(column, operator, value, now) {
+  switch (operator) {
+    case 'is_empty':
+      return { sql: `${column} IS NULL`, params: [] };
+    case 'is_not_empty':
+      return { sql: `${column} IS NOT NULL`, params: [] };
+    case 'in_last_days':
+    case 'not_in_last_days': {
+      const days = Number(value);
+      if (!Number.isInteger(days) || days < 1 || days > SEGMENT_LIMITS.MAX_DAYS) {
+        throw new Error(`value debe ser un número de días entre 1 y ${SEGMENT_LIMITS.MAX_DAYS}`);
+      }
+      const since = new Date(now.getTime() - days * DAY_MS).toISOString();
+      return operator === 'in_last_days'
+        ? { sql: `datetime(${column}) >= datetime(?)`, params: [since] }
+        : { sql: `(${column} IS NULL OR datetime(${column}) < datetime(?))`, params: [since] };
+    }
+    case 'between': {
+      const [from, to] = Array.isArray(value) ? value : [];
+      const fromDate = toIsoDate(from);
+      const toDate = toIsoDate(to, { endOfDay: true });
+      if (!fromDate || !toDate || fromDate > toDate) {
+        throw new Error('value debe ser [desde, hasta] con fechas válidas');
+      }
+      return { sql: `datetime(${column}) BETWEEN datetime(?) AND datetime(?)`, params: [fromDate, toDate] };
+    }
+    default: {
+      const date = toIsoDate(value, { endOfDay: operator === 'after' });
+      if (!date) {
+        throw new Error('value debe ser una fecha válida');
+      }
+      return { sql: `datetime(${column}) ${operator === 'before' ? '<' : '>'} datetime(?)`, params: [date] };
+    }
+  }
+}
+
+function compileTag(operator, value, contactTags) {
+  const tags = operator === 'has_any' || operator === 'has_none' ? value : [value];
+  if (!Array.isArray(tags) || tags.length === 0 || tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+    throw new Error(operator === 'has_any' || operator === 'has_none'
+      ? 'value debe ser una lista de etiquetas'
+      : 'value debe ser el nombre de una etiqueta');
+  }
+
+  const built = tags.map(tag => buildTagCondition(tag.trim(), { contactTags }));
+  // contacts.tags puede ser NULL: sin COALESCE la negación excluiría esos contactos
+  const sql = `COALESCE(${built.map(condition => condition.sql).join(' OR ')}, 0)`;
+  const negate = operator === 'not_has' || operator === 'has_none';
+  return {
+    sql: negate ? `NOT ${sql}` : sql,
+    params: built.flatMap(condition => condition.params)
+  };
+}
+
+function compileCampaign(operator, node) {
+  const params = [];
+  let campaignFilter = '';
+  if (node.campaignId !== undefined && node.campaignId !== null) {
+    const campaignId = Number(node.campaignId);
+    if (!Number.isInteger(campaignId) || campaignId < 1) {
+      throw new Error('campaignId debe ser un número entero positivo');
+    }
+    campaignFilter = ' AND cm.campaign_id = ?';
+    params.push(campaignId);
+  }
+
+  if (operator === 'replied') {
+    return {
+      sql: `EXISTS (
+        SELECT 1 FROM campaign_messages cm
+        WHERE cm.contact_id = contacts.id${campaignFilter} AND cm.sent_at IS NOT NULL
+          AND EXISTS (
+            SELECT 1 FROM messages m
+            WHERE m.contact_id = contacts.id AND m.direction = 'inbound' AND datetime(m.created_at) >= datetime(cm.sent_at)
+          )
+      )`,
+      params
+    };
+  }
+
+  const statuses = CAMPAIGN_STATUSES[operator];
+  return {
+    sql: `${operator === 'not_received' ? 'NOT ' : ''}EXISTS (
+        SELECT 1 FROM campaign_messages cm
+        WHERE cm.contact_id = contacts.id${campaignFilter} AND cm.status IN (${placeholders(statuses)})
+      )`,
+    params: [...params, ...statuses]
+  };
+}
+
+// Dígitos del teléfono del contacto con las mismas reglas de prefijo móvil que
+// suppressionKey (México 521 -> 52, Argentina 549 -> 54)
+const CONTACT_PHONE_DIGITS = "REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(contacts.phone_number, '+', ''), ' ', ''), '-', ''), '(', ''), ')', ''), '.', '')";
+const CONTACT_PHONE_KEY = `(CASE
+          WHEN LENGTH(${CONTACT_PHONE_DIGITS}) = 13 AND SUBSTR(${CONTACT_PHONE_DIGITS}, 1, 3) = '521' THEN '52' || SUBSTR(${CONTACT_PHONE_DIGITS}, 4)
+          WHEN LENGTH(${CONTACT_PHONE_DIGITS}) = 13 AND SUBSTR(${CONTACT_PHONE_DIGITS}, 1, 3) = '549' THEN '54' || SUBSTR(${CONTACT_PHONE_DIGITS}, 4)
+          ELSE ${CONTACT_PHONE_DIGITS}
+        END)`;
+
+function compileSuppressed(operator) {
+  const sql = `EXISTS (
+        SELECT 1 FROM suppression_list s
+        WHERE s.is_active = 1
+          AND (s.contact_id = contacts.id OR s.phone = ${CONTACT_PHONE_KEY})
+      )`;
+  return { sql: operator === 'is_false' ? `NOT ${sql}` : sql, params: [] };
+}
+
+function compileCondition(node, { now, customFields, contactTags }) {
+  const definition = SEGMENT_FIELDS[node.field];
+  if (!definition) {
+    throw new Error(`Campo no soportado: ${node.field}. Campos: ${Object.keys(SEGMENT_FIELDS).join(', ')}`);
+  }
+
+  if (definition.type === 'custom_field') {
+    const field = customFields.find(candidate => candidate.id === node.key);
+    if (!field) {
+      throw new Error(`Campo personalizado no encontrado: ${node.key}`);
+    }
+    return buildCustomFieldCondition(field, node.operator, node.value, { now });
+  }
+
+  const allowed = SEGMENT_OPERATORS[definition.type];
+  if (!allowed.includes(node.operator)) {
+    throw new Error(`Operador "${node.operator}" no válido para ${node.field}. Operadores: ${allowed.join(', ')}`);
+  }
+
+  switch (definition.type) {
+    case 'text':
+      return compileText(definition.column, node.operator, node.value);
+    case 'enum':
+      return compileEnum(definition, node.operator, node.value);
+    case 'date':
+      return compileDate(definition.column, node.operator, node.value, now);
+    case 'tag':
+      return compileTag(node.operator, node.value, contactTags);
+    case 'campaign':
+      return compileCampaign(node.operator, node);
+    default:
+      return compileSuppressed(node.operator);
+  }
+}
+
+/**
+ * Validar y compilar un segmento a una condición SQL sobre `contacts`
+ * @param {Object} filters - Grupo raíz { operator: 'and'|'or', conditions: [...] }
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Fecha de referencia para los operadores relativos
+ * @param {Array<Object>} [options.customFields] - Definiciones tipadas (parseFieldDefinition)
+ * @param {boolean} [options.contactTags] - Buscar también en la tabla contact_tags
+ * @returns {{value: {sql: string, params: Array, conditionCount: number}|null, errors: string[]}}
+ */
+export function compileSegmentFilters(filters, { now = new Date(), customFields = [], contactTags = false } = {}) {
+  const errors = [];
+  let conditionCount = 0;
+
+  const compileNode = (node, path, depth) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      errors.push(`${path}: debe ser un grupo o una condición`);
+      return null;
+    }
+
+    if (Array.isArray(node.conditions)) {
+      const operator = node.operator || 'and';
+      if (!GROUP_OPERATORS.includes(operator)) {
+        errors.push(`${path}: operator del grupo debe ser "and" u "or"`);
+        return null;
+      }
+      if (depth > SEGMENT_LIMITS.MAX_DEPTH) {
+        errors.push(`${path}: los grupos no pueden anidarse más de ${SEGMENT_LIMITS.MAX_DEPTH} niveles`);
+        return null;
+      }
+      if (node.conditions.length === 0) {
+        // Grupo raíz vacío = todos los contactos
+        if (depth > 1) {
+          errors.push(`${path}: el grupo no tiene condiciones`);
+        }
+        return null;
+      }
+
+      const parts = node.conditions
+        .map((child, index) => compileNode(child, `${path}.conditions[${index}]`, depth + 1))
+        .filter(Boolean);
+      if (parts.length === 0) {
+        return null;
+      }
+      return {
+        sql: parts.length === 1 ? parts[0].sql : `(${parts.map(part => part.sql).join(` ${operator.toUpperCase()} `)})`,
+        params: parts.flatMap(part => part.params)
+      };
+    }
+
+    if (!node.field) {
+      errors.push(`${path}: falta field (condición) o conditions (grupo)`);
+      return null;
+    }
+
+    conditionCount += 1;
+    if (conditionCount > SEGMENT_LIMITS.MAX_CONDITIONS) {
+      if (conditionCount === SEGMENT_LIMITS.MAX_CONDITIONS + 1) {
+        errors.push(`Un segmento admite como máximo ${SEGMENT_LIMITS.MAX_CONDITIONS} condiciones`);
+      }
+      return null;
+    }
+
+    try {
+      return compileCondition(node, { now, customFields, contactTags });
+    } catch (error) {
+      errors.push(`${path} (${node.field}): ${error.message}`);
+      return null;
+    }
+  };
+
+  if (!isSegmentQuery(filters)) {
+    return { value: null, errors: ['filters debe ser un grupo { operator, conditions: [...] }'] };
+  }
+
+  const compiled = compileNode(filters, 'filters', 1);
+  if (errors.length > 0) {
+    return { value: null, errors };
+  }
+
+  return {
+    value: {
+      sql: compiled ? compiled.sql : '1 = 1',
+      params: compiled ? compiled.params : [],
+      conditionCount
+    },
+    errors
+  };
+}
+
+/**
+ * Campos y operadores disponibles, para construir el editor de segmentos
+ * @param {Array<Object>} customFields - Definiciones tipadas (parseFieldDefinition)
+ */
+export function describeSegmentSchema(customFields = []) {
+  return {
+    groupOperators: GROUP_OPERATORS,
+    limits: SEGMENT_LIMITS,
+    fields: Object.entries(SEGMENT_FIELDS)
+      .filter(([, definition]) => definition.type !== 'custom_field')
+      .map(([field, definition]) => ({
+        field,
+        label: definition.label,
+        type: definition.type,
+        operators: SEGMENT_OPERATORS[definition.type],
+        ...(definition.values && { values: definition.values })
+      })),
+    customFields: customFields.map(field => ({
+      field: 'custom_field',
+      key: field.id,
+      label: field.name,
+      type: field.type,
+      operators: FIELD_OPERATORS[field.type] || [],
+      ...(field.options?.length && { values: field.options })
+    }))
+  };
+}
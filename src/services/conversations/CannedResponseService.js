@@ -0,0 +1,415 @@
+/**
+ * @fileoverview Servicio de Respuestas Predefinidas (respuestas rápidas)
+ *
+ * Biblioteca de respuestas del chat en vivo organizadas en carpetas, de equipo
+ * (visibles para todos, las gestionan supervisores) o personales de cada
+ * agente, con atajo "/atajo" para expandirlas en el compositor, variables del
+ * contacto y sus campos personalizados, un adjunto opcional y el registro de
+ * cada uso para las estadísticas.
+ */
+
+import { getDatabaseService } from '../DatabaseService.js';
+import { createLogger } from '../core/core/logger.js';
+import { loadContactCustomFields } from '../../api/services/persistence/customFieldsPersistenceSQL.js';
+import {
+  CANNED_SCOPES,
+  normalizeShortcut,
+  extractVariables,
+  validateCannedResponse,
+  buildVariableValues,
+  renderCannedResponse
+} from './cannedResponses.js';
+
+const logger = createLogger('CANNED_RESPONSES');
+
+export class CannedResponseError extends Error {
+  constructor(message, code = 'CANNED_RESPONSE_ERROR', statusCode = 400) {
+    super(message);
+    this.name = 'CannedResponseError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const toResponse = row => ({
+  id: row.id,
+  title: row.title,
+  shortcut: row.shortcut,
+  body: row.body,
+  folder: row.folder,
+  scope: row.scope,
+  ownerId: row.owner_id,
+  media: row.media_url ? { type: row.media_type, url: row.media_url, filename: row.media_filename } : null,
+  variables: extractVariables(row.body),
+  usageCount: row.usage_count || 0,
+  lastUsedAt: row.last_used_at,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+class CannedResponseService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.isInitialized = false;
+  }
+
+  /**
+   * Inicializar esquema de respuestas predefinidas
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return this;
+    }
+
+    try {
+      await this.db.initialize();
+
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS canned_responses (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          title VARCHAR(100) NOT NULL,
+          shortcut VARCHAR(32),
+          body TEXT NOT NULL,
+          folder VARCHAR(50),
+          scope VARCHAR(20) NOT NULL DEFAULT 'personal',
+          owner_id INTEGER,
+          media_type VARCHAR(20),
+          media_url TEXT,
+          media_filename VARCHAR(255),
+          usage_count INTEGER NOT NULL DEFAULT 0,
+          last_used_at DATETIME,
+          created_by INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS canned_response_usage (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          response_id INTEGER NOT NULL,
+          agent_id INTEGER,
+          conversation_id INTEGER,
+          message_id INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (response_id) REFERENCES canned_responses(id) ON DELETE CASCADE
+        )
+      `);
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_canned_responses_scope ON canned_responses(scope, owner_id)');
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_canned_responses_shortcut ON canned_responses(shortcut)');
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_canned_usage_response ON canned_response_usage(response_id, created_at)');
+
+      this.isInitialized = true;
+      logger.info('✅ CannedResponseService inicializado');
+      return this;
+    } catch (error) {
+      logger.error('❌ Error inicializando CannedResponseService:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Respuestas visibles para un agente: las de equipo y las suyas
+   * @param {Object} filters
+   * @param {number} filters.userId - Agente que consulta
+   * @param {string} [filters.folder]
+   * @param {string} [filters.scope] - team | personal
+   * @param {string} [filters.search] - Texto en título, atajo o contenido
+   */
+  async list({ userId = null, folder, scope, search } = {}) {
+    await this.initialize();
+
+    const conditions = ['(scope = ? OR (scope = ? AND owner_id = ?))'];
+    const params = [CANNED_SCOPES.TEAM, CANNED_SCOPES.PERSONAL, userId];
+
+    if (folder) {
+      conditions.push('folder = ?');
+      params.push(folder);
+    }
+    if (scope) {
+      conditions.push('scope = ?');
+      params.push(scope);
+    }
+    if (search) {
+      const pattern = `%${String(search).toLowerCase()}%`;
+      conditions.push('(LOWER(title) LIKE ? OR LOWER(shortcut) LIKE ? OR LOWER(body) LIKE ?)');
+      params.push(pattern, pattern, pattern);
+    }
+
+    const rows = await this.db.all(
+      `SELECT * FROM canned_responses
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY COALESCE(folder, ''), usage_count DESC, title`,
+      params
+    );
+    return rows.map(toResponse);
+  }
+
+  /**
+   * Carpetas visibles para un agente con su número de respuestas
+   */
+  async listFolders({ userId = null } = {}) {
+    await this.initialize();
+    return this.db.all(
+      `SELECT folder AS name, COUNT(*) AS total FROM canned_responses
+       WHERE folder IS NOT NULL AND (scope = ? OR (scope = ? AND owner_id = ?))
+       GROUP BY folder
+       ORDER BY folder`,
+      [CANNED_SCOPES.TEAM, CANNED_SCOPES.PERSONAL, userId]
+    );
+  }
+
+  async get(id, { userId = null } = {}) {
+    return toResponse(await this.requireVisible(id, userId));
+  }
+
+  /**
+   * Respuesta asociada a un atajo; la personal del agente tiene prioridad
+   */
+  async findByShortcut(shortcut, { userId = null } = {}) {
+    await this.initialize();
+    const normalized = normalizeShortcut(shortcut);
+    if (!normalized) {
+      return null;
+    }
+
+    const row = await this.db.get(
+      `SELECT * FROM canned_responses
+       WHERE shortcut = ? AND (scope = ? OR (scope = ? AND owner_id = ?))
+       ORDER BY CASE scope WHEN ? THEN 0 ELSE 1 END
+       LIMIT 1`,
+      [normalized, CANNED_SCOPES.TEAM, CANNED_SCOPES.PERSONAL, userId, CANNED_SCOPES.PERSONAL]
+    );
+    return row ? toResponse(row) : null;
+  }
+
+  /**
+   * Crear una respuesta
+   * @param {Object} input - title, body, shortcut, folder, scope, media {type, url, filename}
+   * @param {Object} actor
+   * @param {number} actor.userId
+   * @param {boolean} actor.canManageTeam - Puede gestionar las respuestas de equipo
+   */
+  async create(input, { userId = null, canManageTeam = false } = {}) {
+    await this.initialize();
+
+    const { value, errors } = validateCannedResponse(input);
+    if (errors.length > 0) {
+      throw new CannedResponseError(errors.join('; '), 'VALIDATION_ERROR', 400);
+    }
+    this.assertCanWrite(value.scope, { canManageTeam });
+
+    const ownerId = value.scope === CANNED_SCOPES.PERSONAL ? userId : null;
+    await this.assertShortcutAvailable(value.shortcut, { scope: value.scope, ownerId });
+
+    const now = new Date().toISOString();
+    const result = await this.db.run(
+      `INSERT INTO canned_responses
+        (title, shortcut, body, folder, scope, owner_id, media_type, media_url, media_filename, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        value.title,
+        value.shortcut,
+        value.body,
+        value.folder,
+        value.scope,
+        ownerId,
+        value.media?.type || null,
+        value.media?.url || null,
+        value.media?.filename || null,
+        userId,
+        now,
+        now
+      ]
+    );
+
+    logger.info(`⚡ Respuesta predefinida creada: ${value.title} (${value.scope}${value.shortcut ? `, /${value.shortcut}` : ''})`);
+    return this.get(result.lastID, { userId });
+  }
+
+  /**
+   * Editar una respuesta (solo los campos enviados)
+   */
+  async update(id, input, { userId = null, canManageTeam = false } = {}) {
+    const current = await this.requireVisible(id, userId);
+    this.assertCanWrite(current.scope, { canManageTeam });
+
+    const { value, errors } = validateCannedResponse(input, { partial: true });
+    if (errors.length > 0) {
+      throw new CannedResponseError(errors.join('; '), 'VALIDATION_ERROR', 400);
+    }
+
+    const scope = value.scope ?? current.scope;
+    if (scope !== current.scope) {
+      this.assertCanWrite(scope, { canManageTeam });
+    }
+    const ownerId = scope === CANNED_SCOPES.PERSONAL ? (current.owner_id ?? userId) : null;
+    const shortcut = value.shortcut !== undefined ? value.shortcut : current.shortcut;
+    await this.assertShortcutAvailable(shortcut, { scope, ownerId, excludeId: current.id });
+
+    const media = value.media !== undefined
+      ? value.media
+      : current.media_url ? { type: current.media_type, url: current.media_url, filename: current.media_filename } : null;
+
+    await this.db.run(
+      `UPDATE canned_responses
+       SET title = ?, shortcut = ?, body = ?, folder = ?, scope = ?, owner_id = ?,
+           media_type = ?, media_url = ?, media_filename = ?, updated_at = ?
+       WHERE id = ?`,
+      [
+        value.title ?? current.title,
+        shortcut,
+        value.body ?? current.body,
+        value.folder !== undefined ? value.folder : current.folder,
+        scope,
+        ownerId,
+        media?.type || null,
+        media?.url || null,
+        media?.filename || null,
+        new Date().toISOString(),
+        current.id
+      ]
+    );
+
+    logger.info(`✏️ Respuesta predefinida ${current.id} actualizada`);
+    return this.get(current.id, { userId });
+  }
+
+  async remove(id, { userId = null, canManageTeam = false } = {}) {
+    const current = await this.requireVisible(id, userId);
+    this.assertCanWrite(current.scope, { canManageTeam });
+
+    await this.db.run('DELETE FROM canned_response_usage WHERE response_id = ?', [current.id]);
+    await this.db.run('DELETE FROM canned_responses WHERE id = ?', [current.id]);
+    logger.info(`🗑️ Respuesta predefinida ${current.id} eliminada`);
+    return { id: current.id, deleted: true };
+  }
+
+  /**
+   * Texto de la respuesta con las variables del contacto de la conversación
+   * @returns {Promise<{id: number, text: string, missing: string[], media: Object|null}>}
+   */
+  async render(id, { conversationId = null, userId = null } = {}) {
+    const response = await this.get(id, { userId });
+
+    let values = {};
+    if (conversationId) {
+      const conversation = await this.db.get('SELECT id, contact_id FROM conversations WHERE id = ?', [conversationId]);
+      if (!conversation) {
+        throw new CannedResponseError('Conversación no encontrada', 'CONVERSATION_NOT_FOUND', 404);
+      }
+      const contact = conversation.contact_id
+        ? await this.db.get('SELECT * FROM contacts WHERE id = ?', [conversation.contact_id])
+        : null;
+      const customFields = contact ? await loadContactCustomFields(contact.id) : [];
+      values = buildVariableValues(contact || {}, customFields);
+    }
+
+    const { text, missing } = renderCannedResponse(response.body, values);
+    return { id: response.id, title: response.title, text, missing, media: response.media };
+  }
+
+  /**
+   * Registrar que un agente envió la respuesta
+   */
+  async recordUsage(id, { agentId = null, conversationId = null, messageId = null } = {}) {
+    const response = await this.requireVisible(id, agentId);
+    const now = new Date().toISOString();
+
+    await this.db.run(
+      `INSERT INTO canned_response_usage (response_id, agent_id, conversation_id, message_id, created_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [response.id, agentId, conversationId, messageId, now]
+    );
+    await this.db.run(
+      'UPDATE canned_responses SET usage_count = usage_count + 1, last_used_at = ? WHERE id = ?',
+      [now, response.id]
+    );
+    return toResponse({ ...response, usage_count: (response.usage_count || 0) + 1, last_used_at: now });
+  }
+
+  /**
+   * Uso de cada respuesta en el periodo: envíos, agentes distintos y último uso
+   */
+  async getStats({ days = 30, agentId = null } = {}) {
+    await this.initialize();
+
+    const periodDays = Math.max(parseInt(days, 10) || 30, 1);
+    const since = new Date(Date.now() - periodDays * 24 * 60 * 60 * 1000).toISOString();
+    const agentFilter = agentId ? ' AND u.agent_id = ?' : '';
+    const params = agentId ? [since, agentId] : [since];
+
+    const rows = await this.db.all(
+      `SELECT r.id, r.title, r.shortcut, r.folder, r.scope, r.usage_count,
+              COUNT(u.id) AS uses, COUNT(DISTINCT u.agent_id) AS agents, MAX(u.created_at) AS last_used_at
+       FROM canned_responses r
+       LEFT JOIN canned_response_usage u ON u.response_id = r.id AND u.created_at >= ?${agentFilter}
+       GROUP BY r.id
+       ORDER BY uses DESC, r.title`,
+      params
+    );
+
+    return {
+      days: periodDays,
+      totalUses: rows.reduce((total, row) => total + row.uses, 0),
+      unused: rows.filter(row => row.uses === 0).length,
+      responses: rows.map(row => ({
+        id: row.id,
+        title: row.title,
+        shortcut: row.shortcut,
+        folder: row.folder,
+        scope: row.scope,
+        uses: row.uses,
+        agents: row.agents,
+        totalUses: row.usage_count || 0,
+        lastUsedAt: row.last_used_at
+      }))
+    };
+  }
+
+  /**
+   * Las de equipo solo las gestiona quien tiene permiso; las personales, su dueño
+   */
+  assertCanWrite(scope, { canManageTeam }) {
+    if (scope === CANNED_SCOPES.TEAM && !canManageTeam) {
+      throw new CannedResponseError('No tienes permiso para gestionar respuestas del equipo', 'FORBIDDEN', 403);
+    }
+  }
+
+  /**
+   * Un atajo de equipo es único; uno personal no puede repetir otro del mismo
+   * agente ni uno de equipo
+   */
+  async assertShortcutAvailable(shortcut, { scope, ownerId, excludeId = null }) {
+    if (!shortcut) {
+      return;
+    }
+
+    const conflict = scope === CANNED_SCOPES.TEAM
+      ? await this.db.get(
+        'SELECT id FROM canned_responses WHERE shortcut = ? AND scope = ? AND id != ?',
+        [shortcut, CANNED_SCOPES.TEAM, excludeId ?? 0]
+      )
+      : await this.db.get(
+        `SELECT id FROM canned_responses
+         WHERE shortcut = ? AND id != ? AND (scope = ? OR (scope = ? AND owner_id = ?))`,
+        [shortcut, excludeId ?? 0, CANNED_SCOPES.TEAM, CANNED_SCOPES.PERSONAL, ownerId]
+      );
+
+    if (conflict) {
+      throw new CannedResponseError(`El atajo /${shortcut} ya está en uso`, 'SHORTCUT_TAKEN', 409);
+    }
+  }
+
+  async requireVisible(id, userId) {
+    await this.initialize();
+    const row = await this.db.get('SELECT * FROM canned_responses WHERE id = ?', [id]);
+    if (!row || (row.scope === CANNED_SCOPES.PERSONAL && row.owner_id !== userId)) {
+      throw new CannedResponseError('Respuesta predefinida no encontrada', 'NOT_FOUND', 404);
+    }
+    return row;
+  }
+}
+
+export const cannedResponseService = new CannedResponseService();
+export default CannedResponseService;
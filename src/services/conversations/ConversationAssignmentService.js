@@ -0,0 +1,299 @@
+/**
+ * @fileoverview Servicio de Asignación de Conversaciones
+ *
+ * Gestiona qué agente es responsable de cada conversación del chat en vivo:
+ * asignación manual, liberación, transferencia entre agentes y enrutamiento
+ * automático de conversaciones entrantes (round-robin o menor carga).
+ * Cada cambio queda registrado en el historial y se notifica vía Socket.IO.
+ */
+
+import { getDatabaseService } from '../DatabaseService.js';
+import { createLogger } from '../core/core/logger.js';
+import { PERMISSIONS } from '../auth/permissions.js';
+import { emitToPermission } from '../auth/socketRooms.js';
+import { ROUTING_STRATEGIES, selectAgent } from './routingStrategies.js';
+
+const logger = createLogger('CONVERSATION_ASSIGNMENT');
+
+// Estados en los que una conversación ya no cuenta como carga del agente
+const CLOSED_STATUSES = ['resolved', 'closed', 'archived'];
+
+export class ConversationAssignmentError extends Error {
+  constructor(message, code = 'ASSIGNMENT_ERROR', statusCode = 400, details = null) {
+    super(message);
+    this.name = 'ConversationAssignmentError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+class ConversationAssignmentService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.io = null;
+    this.isInitialized = false;
+    this.strategy = process.env.CHAT_ROUTING_STRATEGY || ROUTING_STRATEGIES.ROUND_ROBIN;
+    this.agentRoles = (process.env.CHAT_ROUTING_ROLES || 'agent,supervisor')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean);
+    this.maxOpenPerAgent = parseInt(process.env.CHAT_ROUTING_MAX_OPEN || '0', 10);
+  }
+
+  /**
+   * Configurar Socket.IO
+   */
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  /**
+   * Inicializar esquema de asignaciones
+   */
+  async initialize(io = null) {
+    if (io) {
+      this.setSocketIO(io);
+    }
+
+    if (this.isInitialized) {
+      return this;
+    }
+
+    try {
+      await this.db.initialize();
+
+      await this.db.addColumnIfMissing('conversations', 'assigned_agent_id', 'INTEGER');
+      await this.db.addColumnIfMissing('conversations', 'assigned_at', 'DATETIME');
+
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS conversation_assignments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          conversation_id INTEGER NOT NULL,
+          action VARCHAR(20) NOT NULL,
+          agent_id INTEGER,
+          previous_agent_id INTEGER,
+          performed_by INTEGER,
+          strategy VARCHAR(20),
+          note TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+        )
+      `);
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_conversation_assignments_conversation ON conversation_assignments(conversation_id)');
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_conversation_assignments_agent ON conversation_assignments(agent_id, created_at)');
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_conversations_assigned_agent ON conversations(assigned_agent_id)');
+
+      this.isInitialized = true;
+      logger.info(`✅ ConversationAssignmentService inicializado (estrategia: ${this.strategy})`);
+      return this;
+    } catch (error) {
+      logger.error('❌ Error inicializando ConversationAssignmentService:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener conversación con su asignación actual
+   */
+  async getConversation(conversationId) {
+    await this.initialize();
+    return await this.db.get(
+      'SELECT id, contact_id, status, assigned_agent_id, assigned_at FROM conversations WHERE id = ?',
+      [conversationId]
+    );
+  }
+
+  /**
+   * Obtener agente activo por ID
+   */
+  async getAgent(agentId) {
+    await this.initialize();
+    return await this.db.get(
+      'SELECT id, username, email, role FROM users WHERE id = ? AND is_active = 1',
+      [agentId]
+    );
+  }
+
+  /**
+   * Obtener agentes enrutables con su carga de trabajo actual
+   */
+  async getAgentWorkloads() {
+    await this.initialize();
+
+    const rolePlaceholders = this.agentRoles.map(() => '?').join(', ');
+    const statusPlaceholders = CLOSED_STATUSES.map(() => '?').join(', ');
+
+    return await this.db.all(
+      `SELECT
+        u.id,
+        u.username,
+        u.email,
+        u.role,
+        (SELECT COUNT(*) FROM conversations c
+          WHERE c.assigned_agent_id = u.id
+          AND COALESCE(c.status, 'active') NOT IN (${statusPlaceholders})) AS open_conversations,
+        (SELECT MAX(a.created_at) FROM conversation_assignments a
+          WHERE a.agent_id = u.id
+          AND a.action IN ('assign', 'transfer', 'auto_assign')) AS last_assigned_at
+      FROM users u
+      WHERE u.is_active = 1 AND u.role IN (${rolePlaceholders})
+      ORDER BY u.id`,
+      [...CLOSED_STATUSES, ...this.agentRoles]
+    );
+  }
+
+  /**
+   * Asignar conversación a un agente
+   */
+  async assign(conversationId, agentId, { performedBy = null, action = 'assign', strategy = null, note = null } = {}) {
+    const conversation = await this.requireConversation(conversationId);
+    const agent = await this.getAgent(agentId);
+
+    if (!agent) {
+      throw new ConversationAssignmentError('Agente no encontrado o inactivo', 'AGENT_NOT_FOUND', 404);
+    }
+
+    return await this.applyAssignment(conversation, agent.id, { performedBy, action, strategy, note });
+  }
+
+  /**
+   * Liberar conversación (dejarla sin agente)
+   */
+  async unassign(conversationId, { performedBy = null, note = null } = {}) {
+    const conversation = await this.requireConversation(conversationId);
+
+    if (!conversation.assigned_agent_id) {
+      throw new ConversationAssignmentError('La conversación no está asignada', 'NOT_ASSIGNED', 409);
+    }
+
+    return await this.applyAssignment(conversation, null, { performedBy, action: 'unassign', note });
+  }
+
+  /**
+   * Transferir conversación a otro agente
+   */
+  async transfer(conversationId, toAgentId, { performedBy = null, note = null } = {}) {
+    const conversation = await this.requireConversation(conversationId);
+
+    if (Number(conversation.assigned_agent_id) === Number(toAgentId)) {
+      throw new ConversationAssignmentError('La conversación ya está asignada a este agente', 'SAME_AGENT', 409);
+    }
+
+    const agent = await this.getAgent(toAgentId);
+    if (!agent) {
+      throw new ConversationAssignmentError('Agente no encontrado o inactivo', 'AGENT_NOT_FOUND', 404);
+    }
+
+    return await this.applyAssignment(conversation, agent.id, { performedBy, action: 'transfer', note });
+  }
+
+  /**
+   * Enrutar automáticamente una conversación entrante.
+   * Mantiene la asignación existente si el agente sigue activo.
+   */
+  async routeConversation(conversationId) {
+    try {
+      if (this.strategy === ROUTING_STRATEGIES.MANUAL) {
+        return null;
+      }
+
+      const conversation = await this.getConversation(conversationId);
+      if (!conversation) {
+        return null;
+      }
+
+      if (conversation.assigned_agent_id) {
+        const currentAgent = await this.getAgent(conversation.assigned_agent_id);
+        if (currentAgent) {
+          return null;
+        }
+      }
+
+      const workloads = await this.getAgentWorkloads();
+      const agent = selectAgent(workloads, this.strategy, { maxOpenPerAgent: this.maxOpenPerAgent });
+
+      if (!agent) {
+        logger.warn(`⚠️ Sin agentes disponibles para la conversación ${conversationId}`);
+        return null;
+      }
+
+      return await this.applyAssignment(conversation, agent.id, {
+        action: 'auto_assign',
+        strategy: this.strategy
+      });
+    } catch (error) {
+      logger.error(`❌ Error enrutando conversación ${conversationId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Obtener historial de asignaciones de una conversación
+   */
+  async getHistory(conversationId) {
+    await this.initialize();
+    return await this.db.all(
+      `SELECT a.*, u.username AS agent_name, p.username AS previous_agent_name
+       FROM conversation_assignments a
+       LEFT JOIN users u ON u.id = a.agent_id
+       LEFT JOIN users p ON p.id = a.previous_agent_id
+       WHERE a.conversation_id = ?
+       ORDER BY a.created_at DESC, a.id DESC`,
+      [conversationId]
+    );
+  }
+
+  async requireConversation(conversationId) {
+    const conversation = await this.getConversation(conversationId);
+    if (!conversation) {
+      throw new ConversationAssignmentError('Conversación no encontrada', 'CONVERSATION_NOT_FOUND', 404);
+    }
+    return conversation;
+  }
+
+  /**
+   * Persistir asignación, registrar historial y notificar
+   */
+  async applyAssignment(conversation, agentId, { performedBy = null, action, strategy = null, note = null }) {
+    const now = new Date().toISOString();
+    const previousAgentId = conversation.assigned_agent_id || null;
+
+    await this.db.run(
+      'UPDATE conversations SET assigned_agent_id = ?, assigned_at = ?, updated_at = ? WHERE id = ?',
+      [agentId, agentId ? now : null, now, conversation.id]
+    );
+    await this.db.run(
+      `INSERT INTO conversation_assignments
+        (conversation_id, action, agent_id, previous_agent_id, performed_by, strategy, note, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [conversation.id, action, agentId, previousAgentId, performedBy, strategy, note, now]
+    );
+
+    const assignment = {
+      conversationId: conversation.id,
+      contactId: conversation.contact_id,
+      agentId,
+      previousAgentId,
+      action,
+      strategy,
+      performedBy,
+      assignedAt: agentId ? now : null
+    };
+
+    logger.info(`👤 Conversación ${conversation.id}: ${action} ${previousAgentId || '-'} → ${agentId || '-'}`);
+    this.emitAssignment(assignment);
+
+    return assignment;
+  }
+
+  emitAssignment(assignment) {
+    // Quien puede ver conversaciones actualiza su bandeja; los agentes afectados siempre lo reciben
+    emitToPermission(this.io, PERMISSIONS.CONVERSATIONS_READ, 'conversation_assigned', assignment, {
+      agentIds: [assignment.agentId, assignment.previousAgentId]
+    });
+  }
+}
+
+export const conversationAssignmentService = new ConversationAssignmentService();
+export default ConversationAssignmentService;
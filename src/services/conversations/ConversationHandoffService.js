@@ -0,0 +1,532 @@
+/**
+ * @fileoverview Servicio de Traspaso Bot → Agente Humano
+ *
+ * Cada conversación está en modo "bot" (responde la IA) o "human" (el bot
+ * está pausado y responde un agente). El traspaso se dispara cuando el
+ * contacto pide un agente, cuando la IA detecta frustración, cuando su
+ * respuesta es poco fiable o cae varias veces en la respuesta de respaldo,
+ * desde un paso "human_handoff" de un flujo o manualmente desde chat-live.
+ * Los traspasos pendientes forman la cola del chat en vivo junto con un
+ * resumen de la conversación generado por la IA.
+ */
+
+import { getDatabaseService } from '../DatabaseService.js';
+import { createLogger } from '../core/core/logger.js';
+import { PERMISSIONS } from '../auth/permissions.js';
+import { emitToPermission } from '../auth/socketRooms.js';
+import { messageUtils } from '../../shared/utils/helpers/helpers/MessageUtils.js';
+import { saveMessageToSQLite } from '../core/core/SQLiteMessageHelper.js';
+import { normalizePhone } from '../whatsapp/SuppressionService.js';
+import { parseKeywordList } from '../whatsapp/optOutKeywords.js';
+import { flowRuntimeService } from '../flows/FlowRuntimeService.js';
+import { conversationAssignmentService } from './ConversationAssignmentService.js';
+import { intelligentAI } from '../../../apps/api/src/services/IntelligentAIService.js';
+import {
+  BOT_MODES,
+  HANDOFF_STATUS,
+  OPEN_HANDOFF_STATUSES,
+  HANDOFF_REASONS,
+  DEFAULT_AGENT_REQUEST_KEYWORDS,
+  detectAgentRequest,
+  evaluateBotTurn,
+  parseHandoffThresholds,
+  buildFallbackSummary
+} from './handoffTriggers.js';
+
+const logger = createLogger('CONVERSATION_HANDOFF');
+
+const DEFAULT_CONTACT_MESSAGE = 'Te comunicamos con un agente de nuestro equipo, en breve te responderá. 🙌';
+const SUMMARY_MESSAGES_LIMIT = 20;
+const QUEUE_LIMIT = 100;
+
+export class ConversationHandoffError extends Error {
+  constructor(message, code = 'HANDOFF_ERROR', statusCode = 400) {
+    super(message);
+    this.name = 'ConversationHandoffError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+class ConversationHandoffService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.io = null;
+    this.isInitialized = false;
+    this.summarizer = intelligentAI;
+    this.keywords = parseKeywordList(process.env.HANDOFF_KEYWORDS, DEFAULT_AGENT_REQUEST_KEYWORDS);
+    this.thresholds = parseHandoffThresholds();
+    this.contactMessage = process.env.HANDOFF_CONTACT_MESSAGE ?? DEFAULT_CONTACT_MESSAGE;
+  }
+
+  /**
+   * Configurar Socket.IO
+   */
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  /**
+   * Inicializar esquema de traspasos y el paso "human_handoff" de los flujos
+   */
+  async initialize(io = null) {
+    if (io) {
+      this.setSocketIO(io);
+    }
+
+    if (this.isInitialized) {
+      return this;
+    }
+
+    try {
+      await this.db.initialize();
+
+      await this.db.addColumnIfMissing('conversations', 'bot_mode', `VARCHAR(10) DEFAULT '${BOT_MODES.BOT}'`);
+      await this.db.addColumnIfMissing('conversations', 'bot_fallback_count', 'INTEGER DEFAULT 0');
+
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS conversation_handoffs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          conversation_id INTEGER NOT NULL,
+          contact_id INTEGER,
+          reason VARCHAR(30) NOT NULL,
+          detail TEXT,
+          summary TEXT,
+          status VARCHAR(20) NOT NULL DEFAULT 'queued',
+          requested_by INTEGER,
+          requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          accepted_by INTEGER,
+          accepted_at DATETIME,
+          returned_by INTEGER,
+          returned_at DATETIME,
+          FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+        )
+      `);
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_conversation_handoffs_status ON conversation_handoffs(status, requested_at)');
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_conversation_handoffs_conversation ON conversation_handoffs(conversation_id)');
+
+      // Registrado aquí y no en FlowRuntimeService para evitar la dependencia circular
+      flowRuntimeService.registerStepHandler('human_handoff', async (step, run, { render }) => {
+        const conversation = await this.findConversationByPhone(run.phone);
+        if (!conversation) {
+          throw new Error('El contacto no tiene conversación en el chat en vivo');
+        }
+        await this.requestHandoff(conversation.id, {
+          reason: HANDOFF_REASONS.FLOW,
+          detail: { runId: run.id, note: step.note ? render(step.note) : null },
+          contactMessage: step.message ? render(step.message) : undefined
+        });
+      });
+
+      this.isInitialized = true;
+      logger.info('✅ ConversationHandoffService inicializado');
+      return this;
+    } catch (error) {
+      logger.error('❌ Error inicializando ConversationHandoffService:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener conversación con su modo de bot
+   */
+  async getConversation(conversationId) {
+    await this.initialize();
+    return await this.db.get(
+      `SELECT c.id, c.contact_id, c.bot_mode, c.bot_fallback_count, c.assigned_agent_id, ct.phone_number AS phone
+       FROM conversations c
+       LEFT JOIN contacts ct ON ct.id = c.contact_id
+       WHERE c.id = ?`,
+      [conversationId]
+    );
+  }
+
+  /**
+   * Obtener la conversación de un teléfono (una por contacto)
+   */
+  async findConversationByPhone(phone) {
+    await this.initialize();
+    return await this.db.get(
+      `SELECT c.id, c.contact_id, c.bot_mode, c.bot_fallback_count, c.assigned_agent_id, ct.phone_number AS phone
+       FROM conversations c
+       JOIN contacts ct ON ct.id = c.contact_id
+       WHERE ct.phone_number = ?
+       ORDER BY c.id
+       LIMIT 1`,
+      [normalizePhone(phone)]
+    );
+  }
+
+  async requireConversation(conversationId) {
+    const conversation = await this.getConversation(conversationId);
+    if (!conversation) {
+      throw new ConversationHandoffError('Conversación no encontrada', 'CONVERSATION_NOT_FOUND', 404);
+    }
+    return conversation;
+  }
+
+  /**
+   * Comprobar un mensaje entrante antes de pasarlo al bot
+   * @returns {Promise<{paused: boolean, handoff: Object|null}>}
+   */
+  async checkInbound(phone, text) {
+    const conversation = await this.findConversationByPhone(phone);
+    if (!conversation) {
+      return { paused: false, handoff: null };
+    }
+
+    if (conversation.bot_mode === BOT_MODES.HUMAN) {
+      return { paused: true, handoff: await this.getOpenHandoff(conversation.id) };
+    }
+
+    const keyword = detectAgentRequest(text, this.keywords);
+    if (!keyword) {
+      return { paused: false, handoff: null };
+    }
+
+    const handoff = await this.requestHandoff(conversation.id, {
+      reason: HANDOFF_REASONS.AGENT_REQUEST,
+      detail: { keyword }
+    });
+    return { paused: true, handoff };
+  }
+
+  /**
+   * Indica si el bot está pausado para un teléfono
+   */
+  async isBotPaused(phone) {
+    const conversation = await this.findConversationByPhone(phone);
+    return conversation?.bot_mode === BOT_MODES.HUMAN;
+  }
+
+  /**
+   * Evaluar el análisis de la IA antes de enviar su respuesta.
+   * Si dispara un traspaso, la respuesta del bot no debe enviarse.
+   * @returns {Promise<Object|null>} Traspaso creado
+   */
+  async evaluateBotTurn(phone, analysis) {
+    const conversation = await this.findConversationByPhone(phone);
+    if (!conversation || conversation.bot_mode === BOT_MODES.HUMAN) {
+      return null;
+    }
+
+    const fallbackCount = conversation.bot_fallback_count || 0;
+    const trigger = evaluateBotTurn(analysis, { fallbackCount }, this.thresholds);
+    if (trigger) {
+      return await this.requestHandoff(conversation.id, trigger);
+    }
+
+    await this.db.run(
+      'UPDATE conversations SET bot_fallback_count = ? WHERE id = ?',
+      [analysis.usoFallback ? fallbackCount + 1 : 0, conversation.id]
+    );
+    return null;
+  }
+
+  /**
+   * Pasar la conversación a un agente: pausa el bot y la pone en la cola
+   * @param {number} conversationId
+   * @param {Object} options
+   * @param {string} options.reason - Uno de HANDOFF_REASONS
+   * @param {Object} options.detail - Datos del disparador (palabra clave, puntuación...)
+   * @param {number} options.requestedBy - Agente que lo pidió (traspaso manual)
+   * @param {string} options.contactMessage - Aviso al contacto (por defecto HANDOFF_CONTACT_MESSAGE)
+   */
+  async requestHandoff(conversationId, { reason, detail = null, requestedBy = null, contactMessage } = {}) {
+    const conversation = await this.requireConversation(conversationId);
+
+    if (!Object.values(HANDOFF_REASONS).includes(reason)) {
+      throw new ConversationHandoffError(`Motivo de traspaso inválido: ${reason}`, 'INVALID_REASON', 400);
+    }
+
+    const open = await this.getOpenHandoff(conversation.id);
+    if (open) {
+      return open;
+    }
+
+    const summary = await this.summarize(conversation.id);
+    const now = new Date().toISOString();
+
+    await this.setBotMode(conversation, BOT_MODES.HUMAN, now);
+    const result = await this.db.run(
+      `INSERT INTO conversation_handoffs
+        (conversation_id, contact_id, reason, detail, summary, status, requested_by, requested_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        conversation.id,
+        conversation.contact_id,
+        reason,
+        detail ? JSON.stringify(detail) : null,
+        summary,
+        HANDOFF_STATUS.QUEUED,
+        requestedBy,
+        now
+      ]
+    );
+
+    // El agente toma el control: un flujo en curso ya no debe responder
+    if (reason !== HANDOFF_REASONS.FLOW && conversation.phone) {
+      await flowRuntimeService.cancelActiveRuns(conversation.phone, { reason: 'handoff' });
+    }
+
+    if (reason !== HANDOFF_REASONS.MANUAL) {
+      await this.notifyContact(conversation, contactMessage ?? this.contactMessage);
+    }
+
+    const handoff = await this.getHandoff(result.lastID);
+    logger.info(`🙋 Conversación ${conversation.id} traspasada a un agente (${reason})`);
+    this.emit('handoff_updated', handoff);
+    return handoff;
+  }
+
+  /**
+   * Aceptar un traspaso de la cola: asigna la conversación al agente
+   */
+  async acceptHandoff(handoffId, agentId, { performedBy = null } = {}) {
+    const handoff = await this.requireHandoff(handoffId);
+    if (handoff.status !== HANDOFF_STATUS.QUEUED) {
+      throw new ConversationHandoffError('El traspaso ya fue atendido', 'HANDOFF_NOT_QUEUED', 409);
+    }
+
+    await conversationAssignmentService.assign(handoff.conversationId, agentId, {
+      performedBy: performedBy ?? agentId,
+      note: 'Traspaso del bot'
+    });
+
+    await this.db.run(
+      'UPDATE conversation_handoffs SET status = ?, accepted_by = ?, accepted_at = ? WHERE id = ?',
+      [HANDOFF_STATUS.ACCEPTED, agentId, new Date().toISOString(), handoff.id]
+    );
+
+    const accepted = await this.getHandoff(handoff.id);
+    this.emit('handoff_updated', accepted);
+    return accepted;
+  }
+
+  /**
+   * Tomar la conversación manualmente (sin pasar por la cola)
+   */
+  async takeOver(conversationId, agentId) {
+    const handoff = await this.requestHandoff(conversationId, {
+      reason: HANDOFF_REASONS.MANUAL,
+      requestedBy: agentId
+    });
+
+    return handoff.status === HANDOFF_STATUS.QUEUED
+      ? await this.acceptHandoff(handoff.id, agentId)
+      : handoff;
+  }
+
+  /**
+   * Un agente que escribe en una conversación del bot la toma para que
+   * el bot no le conteste por encima (solo con la IA habilitada)
+   * @returns {Promise<Object|null>} Traspaso creado
+   */
+  async pauseForAgentReply(phone, agentId) {
+    if (process.env.AI_ENABLED !== 'true' || !agentId) {
+      return null;
+    }
+
+    try {
+      const conversation = await this.findConversationByPhone(phone);
+      if (!conversation || conversation.bot_mode === BOT_MODES.HUMAN) {
+        return null;
+      }
+      return await this.takeOver(conversation.id, agentId);
+    } catch (error) {
+      logger.warn(`⚠️ No se pudo pausar el bot para ${phone}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Devolver la conversación al bot y cerrar su traspaso abierto
+   */
+  async returnToBot(conversationId, { performedBy = null } = {}) {
+    const conversation = await this.requireConversation(conversationId);
+    if (conversation.bot_mode !== BOT_MODES.HUMAN) {
+      throw new ConversationHandoffError('El bot ya atiende esta conversación', 'ALREADY_BOT', 409);
+    }
+
+    const open = await this.getOpenHandoff(conversation.id);
+    const now = new Date().toISOString();
+
+    await this.setBotMode(conversation, BOT_MODES.BOT, now);
+    if (open) {
+      await this.db.run(
+        'UPDATE conversation_handoffs SET status = ?, returned_by = ?, returned_at = ? WHERE id = ?',
+        [HANDOFF_STATUS.RETURNED, performedBy, now, open.id]
+      );
+      this.emit('handoff_updated', await this.getHandoff(open.id));
+    }
+
+    logger.info(`🤖 Conversación ${conversation.id} devuelta al bot`);
+    return await this.getConversationMode(conversation.id);
+  }
+
+  /**
+   * Modo actual de una conversación y su traspaso abierto
+   */
+  async getConversationMode(conversationId) {
+    const conversation = await this.requireConversation(conversationId);
+    return {
+      conversationId: conversation.id,
+      botMode: conversation.bot_mode || BOT_MODES.BOT,
+      handoff: await this.getOpenHandoff(conversation.id)
+    };
+  }
+
+  /**
+   * Cola de traspasos para el chat en vivo
+   */
+  async listQueue({ status = HANDOFF_STATUS.QUEUED, limit = QUEUE_LIMIT } = {}) {
+    await this.initialize();
+
+    const statuses = status === 'open' ? OPEN_HANDOFF_STATUSES : [status];
+    const placeholders = statuses.map(() => '?').join(', ');
+    const rows = await this.db.all(
+      `${this.handoffSelect()}
+       WHERE h.status IN (${placeholders})
+       ORDER BY h.requested_at ASC, h.id ASC
+       LIMIT ?`,
+      [...statuses, Math.min(parseInt(limit, 10) || QUEUE_LIMIT, QUEUE_LIMIT)]
+    );
+    return rows.map(row => this.formatHandoff(row));
+  }
+
+  async getHandoff(handoffId) {
+    await this.initialize();
+    const row = await this.db.get(`${this.handoffSelect()} WHERE h.id = ?`, [handoffId]);
+    return row ? this.formatHandoff(row) : null;
+  }
+
+  async requireHandoff(handoffId) {
+    const handoff = await this.getHandoff(handoffId);
+    if (!handoff) {
+      throw new ConversationHandoffError('Traspaso no encontrado', 'HANDOFF_NOT_FOUND', 404);
+    }
+    return handoff;
+  }
+
+  async getOpenHandoff(conversationId) {
+    const placeholders = OPEN_HANDOFF_STATUSES.map(() => '?').join(', ');
+    const row = await this.db.get(
+      `${this.handoffSelect()}
+       WHERE h.conversation_id = ? AND h.status IN (${placeholders})
+       ORDER BY h.id DESC
+       LIMIT 1`,
+      [conversationId, ...OPEN_HANDOFF_STATUSES]
+    );
+    return row ? this.formatHandoff(row) : null;
+  }
+
+  /**
+   * Resumen para el agente: el de la IA si está disponible, si no los últimos mensajes
+   */
+  async summarize(conversationId) {
+    const rows = await this.db.all(
+      `SELECT direction, content FROM messages
+       WHERE conversation_id = ?
+       ORDER BY id DESC
+       LIMIT ${SUMMARY_MESSAGES_LIMIT}`,
+      [conversationId]
+    );
+    const messages = rows.reverse();
+
+    if (process.env.AI_ENABLED === 'true') {
+      const summary = await this.summarizer.resumirConversacion(messages);
+      if (summary) {
+        return summary;
+      }
+    }
+    return buildFallbackSummary(messages);
+  }
+
+  async setBotMode(conversation, botMode, now = new Date().toISOString()) {
+    await this.db.run(
+      'UPDATE conversations SET bot_mode = ?, bot_fallback_count = 0, updated_at = ? WHERE id = ?',
+      [botMode, now, conversation.id]
+    );
+
+    this.emit('conversation_bot_mode_updated', {
+      conversationId: conversation.id,
+      contactId: conversation.contact_id,
+      phone: conversation.phone,
+      botMode,
+      updatedAt: now
+    });
+  }
+
+  /**
+   * Avisar al contacto de que le atenderá una persona
+   */
+  async notifyContact(conversation, text) {
+    if (!text || !conversation.phone) {
+      return;
+    }
+
+    try {
+      const result = await messageUtils.sendTextMessage(conversation.phone, text);
+      if (!result.success) {
+        throw new Error(result.error || 'Error enviando mensaje');
+      }
+
+      await saveMessageToSQLite({
+        contact_id: conversation.contact_id,
+        conversation_id: conversation.id,
+        type: 'text',
+        direction: 'outbound',
+        content: text,
+        status: 'sent',
+        message_id: result.messageId || null
+      });
+    } catch (error) {
+      // El traspaso sigue adelante aunque el aviso no llegue
+      logger.warn(`⚠️ No se pudo avisar del traspaso a ${conversation.phone}: ${error.message}`);
+    }
+  }
+
+  handoffSelect() {
+    return `SELECT h.*, ct.name AS contact_name, ct.phone_number AS phone, u.username AS accepted_by_name
+       FROM conversation_handoffs h
+       LEFT JOIN contacts ct ON ct.id = h.contact_id
+       LEFT JOIN users u ON u.id = h.accepted_by`;
+  }
+
+  formatHandoff(row) {
+    let detail = null;
+    try {
+      detail = row.detail ? JSON.parse(row.detail) : null;
+    } catch {
+      detail = null;
+    }
+
+    return {
+      id: row.id,
+      conversationId: row.conversation_id,
+      contactId: row.contact_id,
+      contactName: row.contact_name || null,
+      phone: row.phone || null,
+      reason: row.reason,
+      detail,
+      summary: row.summary,
+      status: row.status,
+      requestedBy: row.requested_by,
+      requestedAt: row.requested_at,
+      acceptedBy: row.accepted_by,
+      acceptedByName: row.accepted_by_name || null,
+      acceptedAt: row.accepted_at,
+      returnedBy: row.returned_by,
+      returnedAt: row.returned_at
+    };
+  }
+
+  emit(event, payload) {
+    if (payload) {
+      emitToPermission(this.io, PERMISSIONS.CONVERSATIONS_READ, event, payload);
+    }
+  }
+}
+
+export const conversationHandoffService = new ConversationHandoffService();
+export default ConversationHandoffService;
@@ -0,0 +1,365 @@
+/**
+ * @fileoverview Servicio de Ciclo de Vida de Conversaciones
+ *
+ * Cada conversación está abierta, pendiente del cliente, pospuesta hasta una
+ * fecha o resuelta (con su motivo). Los agentes la mueven entre estados desde
+ * chat-live; un mensaje entrante la vuelve a abrir, los pospuestos vencidos se
+ * reabren solos y las conversaciones sin actividad se resuelven tras las horas
+ * configuradas. Cada transición queda en el historial con el tiempo de
+ * resolución para la analítica.
+ */
+
+import { getDatabaseService } from '../DatabaseService.js';
+import { createLogger } from '../core/core/logger.js';
+import { PERMISSIONS } from '../auth/permissions.js';
+import { emitToPermission } from '../auth/socketRooms.js';
+import {
+  CONVERSATION_STATUS,
+  LIFECYCLE_ACTIONS,
+  normalizeConversationStatus,
+  planTransition,
+  parseAutoResolveHours,
+  resolutionSeconds,
+  summarizeResolutions
+} from './conversationLifecycle.js';
+
+const logger = createLogger('CONVERSATION_LIFECYCLE');
+
+const DUE_BATCH = 100;
+const HISTORY_LIMIT = 100;
+
+export class ConversationLifecycleError extends Error {
+  constructor(message, code = 'LIFECYCLE_ERROR', statusCode = 400, details = null) {
+    super(message);
+    this.name = 'ConversationLifecycleError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const toState = row => ({
+  conversationId: row.id,
+  status: normalizeConversationStatus(row.status),
+  snoozedUntil: row.snoozed_until || null,
+  resolvedAt: row.resolved_at || null,
+  resolutionReason: row.resolution_reason || null,
+  statusChangedAt: row.status_changed_at || null
+});
+
+class ConversationLifecycleService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.io = null;
+    this.isInitialized = false;
+    this.pollTimer = null;
+    this.isPolling = false;
+    this.pollMs = parseInt(process.env.CONVERSATION_LIFECYCLE_POLL_MS, 10) || 60000;
+    this.autoResolveHours = parseAutoResolveHours();
+  }
+
+  /**
+   * Configurar Socket.IO
+   */
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  /**
+   * Inicializar esquema del ciclo de vida
+   */
+  async initialize(io = null) {
+    if (io) {
+      this.setSocketIO(io);
+    }
+
+    if (this.isInitialized) {
+      return this;
+    }
+
+    try {
+      await this.db.initialize();
+
+      await this.db.addColumnIfMissing('conversations', 'snoozed_until', 'DATETIME');
+      await this.db.addColumnIfMissing('conversations', 'resolved_at', 'DATETIME');
+      await this.db.addColumnIfMissing('conversations', 'resolution_reason', 'VARCHAR(40)');
+      await this.db.addColumnIfMissing('conversations', 'opened_at', 'DATETIME');
+      await this.db.addColumnIfMissing('conversations', 'status_changed_at', 'DATETIME');
+
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS conversation_status_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          conversation_id INTEGER NOT NULL,
+          from_status VARCHAR(20),
+          to_status VARCHAR(20) NOT NULL,
+          action VARCHAR(30) NOT NULL,
+          reason VARCHAR(40),
+          note TEXT,
+          snoozed_until DATETIME,
+          resolution_seconds INTEGER,
+          performed_by INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+        )
+      `);
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_conversation_status_events_conversation ON conversation_status_events(conversation_id, created_at)');
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_conversation_status_events_status ON conversation_status_events(to_status, created_at)');
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_conversations_snoozed ON conversations(status, snoozed_until)');
+
+      this.isInitialized = true;
+      logger.info(`✅ ConversationLifecycleService inicializado (resolución automática: ${this.autoResolveHours ? `${this.autoResolveHours}h` : 'desactivada'})`);
+      return this;
+    } catch (error) {
+      logger.error('❌ Error inicializando ConversationLifecycleService:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Arrancar la revisión periódica de pospuestos vencidos e inactividad
+   */
+  async start(io = null) {
+    await this.initialize(io);
+    await this.poll();
+
+    if (!this.pollTimer) {
+      this.pollTimer = setInterval(() => this.poll(), this.pollMs);
+      this.pollTimer.unref?.();
+    }
+  }
+
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  async getConversationRow(conversationId) {
+    await this.initialize();
+    return await this.db.get(
+      `SELECT id, status, snoozed_until, resolved_at, resolution_reason, opened_at, status_changed_at, created_at
+       FROM conversations WHERE id = ?`,
+      [conversationId]
+    );
+  }
+
+  /**
+   * Estado actual de una conversación
+   */
+  async getState(conversationId) {
+    const row = await this.getConversationRow(conversationId);
+    if (!row) {
+      throw new ConversationLifecycleError('Conversación no encontrada', 'CONVERSATION_NOT_FOUND', 404);
+    }
+    return toState(row);
+  }
+
+  /**
+   * Cambiar el estado de una conversación
+   * @param {number} conversationId
+   * @param {string} action - Una de LIFECYCLE_ACTIONS
+   * @param {Object} options
+   * @param {string} [options.reason] - Motivo de resolución
+   * @param {string} [options.note]
+   * @param {string} [options.snoozeUntil] - Fecha ISO hasta la que se pospone
+   * @param {number} [options.performedBy] - Agente (null = automático)
+   */
+  async transition(conversationId, action, { reason = null, note = null, snoozeUntil = null, performedBy = null } = {}) {
+    const row = await this.getConversationRow(conversationId);
+    if (!row) {
+      throw new ConversationLifecycleError('Conversación no encontrada', 'CONVERSATION_NOT_FOUND', 404);
+    }
+
+    const now = new Date();
+    const { value: plan, errors } = planTransition(row.status, action, { reason, snoozeUntil, now });
+    if (errors.length > 0) {
+      throw new ConversationLifecycleError(errors.join('; '), 'INVALID_TRANSITION', 409, errors);
+    }
+
+    const nowIso = now.toISOString();
+    const resolved = plan.to === CONVERSATION_STATUS.RESOLVED;
+    const reopened = plan.to === CONVERSATION_STATUS.OPEN && plan.from === CONVERSATION_STATUS.RESOLVED;
+    const seconds = resolved ? resolutionSeconds(row.opened_at || row.created_at, nowIso) : null;
+
+    await this.db.transaction(async () => {
+      await this.db.run(
+        `UPDATE conversations SET
+          status = ?,
+          snoozed_until = ?,
+          resolved_at = ?,
+          resolution_reason = ?,
+          opened_at = ?,
+          status_changed_at = ?,
+          updated_at = ?
+         WHERE id = ?`,
+        [
+          plan.to,
+          plan.snoozedUntil,
+          resolved ? nowIso : null,
+          resolved ? plan.reason : null,
+          reopened ? nowIso : (row.opened_at || row.created_at),
+          nowIso,
+          nowIso,
+          conversationId
+        ]
+      );
+      await this.db.run(
+        `INSERT INTO conversation_status_events
+          (conversation_id, from_status, to_status, action, reason, note, snoozed_until, resolution_seconds, performed_by, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [conversationId, plan.from, plan.to, action, plan.reason, note, plan.snoozedUntil, seconds, performedBy, nowIso]
+      );
+    });
+
+    const state = await this.getState(conversationId);
+    logger.info(`🔁 Conversación ${conversationId}: ${plan.from} → ${plan.to} (${action})`);
+
+    emitToPermission(this.io, PERMISSIONS.CONVERSATIONS_READ, 'conversation_status_updated', { ...state, action, performedBy });
+    return state;
+  }
+
+  /**
+   * Mensaje entrante: reabrir la conversación si estaba pendiente, pospuesta o resuelta
+   * @returns {Promise<Object|null>} Nuevo estado o null si ya estaba abierta
+   */
+  async handleInbound(conversationId) {
+    try {
+      const row = await this.getConversationRow(conversationId);
+      if (!row || normalizeConversationStatus(row.status) === CONVERSATION_STATUS.OPEN) {
+        return null;
+      }
+      return await this.transition(conversationId, LIFECYCLE_ACTIONS.INBOUND_REOPEN);
+    } catch (error) {
+      logger.error(`❌ Error reabriendo conversación ${conversationId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Reabrir pospuestos vencidos y resolver conversaciones inactivas
+   */
+  async poll() {
+    if (this.isPolling) {
+      return;
+    }
+    this.isPolling = true;
+
+    try {
+      const nowIso = new Date().toISOString();
+      const snoozed = await this.db.all(
+        `SELECT id FROM conversations
+         WHERE status = ? AND snoozed_until IS NOT NULL AND datetime(snoozed_until) <= datetime(?)
+         LIMIT ${DUE_BATCH}`,
+        [CONVERSATION_STATUS.SNOOZED, nowIso]
+      );
+      for (const { id } of snoozed) {
+        await this.transition(id, LIFECYCLE_ACTIONS.SNOOZE_EXPIRED).catch(error =>
+          logger.warn(`⚠️ No se pudo reabrir el pospuesto ${id}: ${error.message}`));
+      }
+
+      if (this.autoResolveHours > 0) {
+        const cutoff = new Date(Date.now() - this.autoResolveHours * 60 * 60 * 1000).toISOString();
+        const inactive = await this.db.all(
+          `SELECT c.id FROM conversations c
+           WHERE COALESCE(c.status, 'active') IN ('active', ?, ?)
+             AND datetime(COALESCE(
+               (SELECT MAX(m.created_at) FROM messages m WHERE m.conversation_id = c.id),
+               c.status_changed_at,
+               c.updated_at,
+               c.created_at
+             )) <= datetime(?)
+           LIMIT ${DUE_BATCH}`,
+          [CONVERSATION_STATUS.OPEN, CONVERSATION_STATUS.PENDING, cutoff]
+        );
+        for (const { id } of inactive) {
+          await this.transition(id, LIFECYCLE_ACTIONS.AUTO_RESOLVE, {
+            note: `Sin actividad en ${this.autoResolveHours} horas`
+          }).catch(error => logger.warn(`⚠️ No se pudo resolver la conversación inactiva ${id}: ${error.message}`));
+        }
+      }
+    } catch (error) {
+      logger.error('❌ Error revisando el ciclo de vida de conversaciones:', error.message);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Historial de transiciones de una conversación (más reciente primero)
+   */
+  async getHistory(conversationId) {
+    await this.getState(conversationId);
+
+    const rows = await this.db.all(
+      `SELECT e.*, u.username AS performed_by_name
+       FROM conversation_status_events e
+       LEFT JOIN users u ON u.id = e.performed_by
+       WHERE e.conversation_id = ?
+       ORDER BY e.created_at DESC, e.id DESC
+       LIMIT ${HISTORY_LIMIT}`,
+      [conversationId]
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      fromStatus: row.from_status,
+      toStatus: row.to_status,
+      action: row.action,
+      reason: row.reason,
+      note: row.note,
+      snoozedUntil: row.snoozed_until,
+      resolutionSeconds: row.resolution_seconds,
+      performedBy: row.performed_by,
+      performedByName: row.performed_by_name || null,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Tiempos de resolución del periodo
+   * @param {Object} filters
+   * @param {number} [filters.days] - Días hacia atrás (30 por defecto)
+   * @param {number} [filters.agentId] - Solo resoluciones hechas por este agente
+   */
+  async getResolutionStats({ days = 30, agentId = null } = {}) {
+    await this.initialize();
+
+    const periodDays = Math.min(Math.max(parseInt(days, 10) || 30, 1), 365);
+    const since = new Date(Date.now() - periodDays * 24 * 60 * 60 * 1000).toISOString();
+    const params = [CONVERSATION_STATUS.RESOLVED, since];
+    let agentFilter = '';
+    if (agentId) {
+      agentFilter = 'AND performed_by = ?';
+      params.push(agentId);
+    }
+
+    const events = await this.db.all(
+      `SELECT action, reason, resolution_seconds FROM conversation_status_events
+       WHERE to_status = ? AND created_at >= ? ${agentFilter}`,
+      params
+    );
+    const current = await this.db.all(
+      'SELECT COALESCE(status, \'active\') AS status, COUNT(*) AS total FROM conversations GROUP BY COALESCE(status, \'active\')'
+    );
+
+    const byStatus = {};
+    for (const row of current) {
+      const status = normalizeConversationStatus(row.status);
+      byStatus[status] = (byStatus[status] || 0) + row.total;
+    }
+
+    return {
+      days: periodDays,
+      ...summarizeResolutions(events),
+      reopened: (await this.db.get(
+        'SELECT COUNT(*) AS total FROM conversation_status_events WHERE from_status = ? AND to_status = ? AND created_at >= ?',
+        [CONVERSATION_STATUS.RESOLVED, CONVERSATION_STATUS.OPEN, since]
+      ))?.total || 0,
+      byStatus
+    };
+  }
+}
+
+export const conversationLifecycleService = new ConversationLifecycleService();
+export default ConversationLifecycleService;
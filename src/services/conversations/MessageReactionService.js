@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Servicio de Reacciones a Mensajes
+ *
+ * Guarda las reacciones (emoji) que los clientes ponen a los mensajes de la
+ * conversación, asociadas al WA.ID del mensaje al que reaccionan. Cada persona
+ * tiene como máximo una reacción por mensaje: una nueva la reemplaza y una
+ * reacción sin emoji la quita.
+ */
+
+import { getDatabaseService } from '../DatabaseService.js';
+import { createLogger } from '../core/core/logger.js';
+
+const logger = createLogger('MESSAGE_REACTIONS');
+
+class MessageReactionService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.isInitialized = false;
+  }
+
+  /**
+   * Inicializar esquema de reacciones
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return this;
+    }
+
+    try {
+      await this.db.initialize();
+
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS message_reactions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          message_id VARCHAR(255) NOT NULL,
+          reactor VARCHAR(50) NOT NULL,
+          direction VARCHAR(20) NOT NULL DEFAULT 'inbound',
+          emoji VARCHAR(20) NOT NULL,
+          reaction_message_id VARCHAR(255),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (message_id, reactor)
+        )
+      `);
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_message_reactions_message ON message_reactions(message_id)');
+
+      this.isInitialized = true;
+      logger.info('✅ MessageReactionService inicializado');
+      return this;
+    } catch (error) {
+      logger.error('❌ Error inicializando MessageReactionService:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar (o quitar) la reacción de una persona a un mensaje
+   * @param {Object} reaction
+   * @param {string} reaction.messageId - WA.ID del mensaje al que se reacciona
+   * @param {string} reaction.reactor - Teléfono del cliente
+   * @param {string|null} reaction.emoji - null/vacío quita la reacción
+   * @param {string} [reaction.direction] - inbound (cliente) | outbound (negocio)
+   * @param {string} [reaction.reactionMessageId] - WA.ID del propio mensaje de reacción
+   * @returns {Promise<{messageId: string, reactor: string, emoji: string|null, removed: boolean}>}
+   */
+  async recordReaction({ messageId, reactor, emoji, direction = 'inbound', reactionMessageId = null }) {
+    await this.initialize();
+
+    if (!emoji) {
+      await this.db.run('DELETE FROM message_reactions WHERE message_id = ? AND reactor = ?', [messageId, reactor]);
+      logger.info(`🗑️ Reacción quitada por ${reactor} en ${messageId}`);
+      return { messageId, reactor, emoji: null, removed: true };
+    }
+
+    await this.db.run(`
+      INSERT INTO message_reactions (message_id, reactor, direction, emoji, reaction_message_id)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (message_id, reactor) DO UPDATE SET
+        emoji = excluded.emoji,
+        reaction_message_id = excluded.reaction_message_id,
+        updated_at = CURRENT_TIMESTAMP
+    `, [messageId, reactor, direction, emoji, reactionMessageId]);
+
+    logger.info(`${emoji} Reacción de ${reactor} en ${messageId}`);
+    return { messageId, reactor, emoji, removed: false };
+  }
+
+  /**
+   * Reacciones de varios mensajes, agrupadas por WA.ID
+   * @param {string[]} messageIds
+   * @returns {Promise<Object<string, Array<{emoji: string, reactor: string, direction: string, updatedAt: string}>>>}
+   */
+  async listForMessages(messageIds = []) {
+    const ids = [...new Set(messageIds.filter(Boolean))];
+    if (ids.length === 0) {
+      return {};
+    }
+
+    await this.initialize();
+
+    const rows = await this.db.all(
+      `SELECT message_id, reactor, direction, emoji, updated_at
+       FROM message_reactions
+       WHERE message_id IN (${ids.map(() => '?').join(', ')})
+       ORDER BY updated_at ASC`,
+      ids
+    );
+
+    return rows.reduce((byMessage, row) => {
+      byMessage[row.message_id] = byMessage[row.message_id] || [];
+      byMessage[row.message_id].push({
+        emoji: row.emoji,
+        reactor: row.reactor,
+        direction: row.direction,
+        updatedAt: row.updated_at
+      });
+      return byMessage;
+    }, {});
+  }
+}
+
+export const messageReactionService = new MessageReactionService();
+export default MessageReactionService;
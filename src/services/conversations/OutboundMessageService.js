@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Servicio de Envío de Mensajes del Chat en Vivo
+ *
+ * Resuelve el archivo de los mensajes multimedia (subido por el agente,
+ * elegido de la biblioteca, enlace público o media ID de 360Dialog), lo deja
+ * disponible en /media para el timeline, envía el mensaje por 360Dialog y
+ * devuelve la forma en que se guarda en messages.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { createLogger } from '../core/core/logger.js';
+import {
+  MEDIA_TYPES,
+  mimeFromFilename,
+  mediaTypeFromMime,
+  buildOutboundPayload,
+  describeOutboundMessage
+} from './outboundMessages.js';
+
+const logger = createLogger('OUTBOUND_MESSAGES');
+
+// /media sirve data/media (SecureServer); los archivos de los agentes van aparte
+const MEDIA_ROOT = path.join(process.cwd(), 'data', 'media');
+const LIBRARY_FOLDER = 'outbound';
+const LIBRARY_LIMIT = 100;
+
+export class OutboundMessageError extends Error {
+  constructor(message, code = 'OUTBOUND_MESSAGE_ERROR', statusCode = 400) {
+    super(message);
+    this.name = 'OutboundMessageError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const safeFilename = filename => String(filename || 'archivo')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\w.-]+/g, '_')
+  .slice(-80);
+
+class OutboundMessageService {
+  constructor() {
+    this.mediaRoot = MEDIA_ROOT;
+    this.libraryDir = path.join(MEDIA_ROOT, LIBRARY_FOLDER);
+  }
+
+  /**
+   * Enviar un mensaje validado con validateOutboundMessage
+   * @param {Object} dialog360Service - Instancia de Unified360DialogService
+   * @param {string} phone - Teléfono del contacto
+   * @param {Object} value - Mensaje validado (value.type null = según el archivo subido)
+   * @param {Object} [file] - Archivo de multer (memoryStorage)
+   * @returns {Promise<{sentMessage: Object, stored: Object}>}
+   */
+  async send(dialog360Service, phone, value, file = null) {
+    const media = await this.resolveMedia(dialog360Service, value, file);
+    const payload = buildOutboundPayload(dialog360Service.normalizePhoneNumber(phone), value, media);
+
+    const sentMessage = await dialog360Service.sendMessage(payload, { useQueue: false });
+    logger.info(`📤 Mensaje ${value.type} enviado a ${phone}: ${sentMessage?.messageId}`);
+
+    return { sentMessage, stored: describeOutboundMessage(value, media) };
+  }
+
+  /**
+   * Archivo del mensaje: { id | link, localUrl, filename, mimeType } o null
+   */
+  async resolveMedia(dialog360Service, value, file) {
+    if (file) {
+      value.type = value.type || mediaTypeFromMime(file.mimetype);
+      this.assertMediaType(value.type);
+
+      const stored = await this.storeUpload(file);
+      const upload = await dialog360Service.uploadMedia(file.buffer, file.mimetype, file.originalname);
+      return { id: upload.mediaId, localUrl: stored.url, filename: file.originalname, mimeType: file.mimetype };
+    }
+
+    if (!MEDIA_TYPES.includes(value.type)) {
+      return null;
+    }
+
+    const { id, url, path: libraryPath, filename } = value.media;
+    if (libraryPath) {
+      const filePath = this.resolveLibraryPath(libraryPath);
+      const buffer = await fs.readFile(filePath).catch(() => {
+        throw new OutboundMessageError('El archivo de la biblioteca no existe', 'MEDIA_NOT_FOUND', 404);
+      });
+      const name = filename || path.basename(filePath);
+      const mimeType = mimeFromFilename(filePath);
+      const upload = await dialog360Service.uploadMedia(buffer, mimeType, name);
+      return { id: upload.mediaId, localUrl: libraryPath, filename: name, mimeType };
+    }
+    if (url) {
+      return { link: url, filename, mimeType: mimeFromFilename(new URL(url).pathname) };
+    }
+    return { id, filename };
+  }
+
+  /**
+   * Guardar el archivo subido en la biblioteca de los agentes
+   */
+  async storeUpload(file) {
+    await fs.mkdir(this.libraryDir, { recursive: true });
+
+    const filename = `${Date.now()}_${crypto.randomBytes(4).toString('hex')}_${safeFilename(file.originalname)}`;
+    await fs.writeFile(path.join(this.libraryDir, filename), file.buffer);
+
+    logger.info(`💾 Archivo del agente guardado: ${filename} (${file.size} bytes)`);
+    return { url: `/media/${LIBRARY_FOLDER}/${filename}` };
+  }
+
+  /**
+   * Archivos enviados antes por los agentes, del más reciente al más antiguo
+   * @param {Object} filters
+   * @param {string} [filters.type] - image | video | audio | document
+   * @param {number} [filters.limit]
+   */
+  async listLibrary({ type = null, limit = LIBRARY_LIMIT } = {}) {
+    if (type && !MEDIA_TYPES.includes(type)) {
+      throw new OutboundMessageError(`type debe ser uno de: ${MEDIA_TYPES.join(', ')}`, 'INVALID_TYPE', 400);
+    }
+
+    const names = await fs.readdir(this.libraryDir).catch(() => []);
+    const files = await Promise.all(names.map(async (name) => {
+      const stats = await fs.stat(path.join(this.libraryDir, name));
+      const mimeType = mimeFromFilename(name);
+      return {
+        path: `/media/${LIBRARY_FOLDER}/${name}`,
+        filename: name.replace(/^\d+_[0-9a-f]+_/, ''),
+        type: mediaTypeFromMime(mimeType),
+        mimeType,
+        size: stats.size,
+        createdAt: stats.mtime.toISOString()
+      };
+    }));
+
+    return files
+      .filter(file => !type || file.type === type)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, Math.min(parseInt(limit, 10) || LIBRARY_LIMIT, LIBRARY_LIMIT));
+  }
+
+  /**
+   * Ruta en disco de un archivo /media/..., sin salir de data/media
+   */
+  resolveLibraryPath(webPath) {
+    const filePath = path.resolve(this.mediaRoot, String(webPath).replace(/^\/media\//, ''));
+    if (!filePath.startsWith(this.mediaRoot + path.sep)) {
+      throw new OutboundMessageError('Ruta de archivo no válida', 'INVALID_MEDIA_PATH', 400);
+    }
+    return filePath;
+  }
+
+  assertMediaType(type) {
+    if (!MEDIA_TYPES.includes(type)) {
+      throw new OutboundMessageError(`Un archivo solo se puede enviar como ${MEDIA_TYPES.join(', ')}`, 'INVALID_TYPE', 400);
+    }
+  }
+}
+
+export const outboundMessageService = new OutboundMessageService();
+export default OutboundMessageService;
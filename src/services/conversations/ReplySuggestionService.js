@@ -0,0 +1,320 @@
+/**
+ * @fileoverview Servicio de Sugerencias de Respuesta para Agentes
+ *
+ * Genera con la IA (LM Studio) 2-3 borradores de respuesta ordenados a partir
+ * de los últimos mensajes de la conversación, los campos personalizados del
+ * contacto y sus pedidos, y resúmenes de la conversación bajo demanda.
+ * Cada borrador que el agente usa o descarta queda registrado con su
+ * distancia de edición para medir la utilidad de las sugerencias.
+ */
+
+import { getDatabaseService } from '../DatabaseService.js';
+import { createLogger } from '../core/core/logger.js';
+import { loadContactCustomFields } from '../../api/services/persistence/customFieldsPersistenceSQL.js';
+import { intelligentAI } from '../../../apps/api/src/services/IntelligentAIService.js';
+import { buildFallbackSummary } from './handoffTriggers.js';
+import {
+  SUGGESTION_OUTCOMES,
+  SUGGESTION_SYSTEM_PROMPT,
+  MIN_SUGGESTIONS,
+  MAX_SUGGESTIONS,
+  buildSuggestionPrompt,
+  parseSuggestions,
+  compareDraft
+} from './replySuggestions.js';
+
+const logger = createLogger('REPLY_SUGGESTIONS');
+
+const ORDERS_LIMIT = 5;
+
+export class ReplySuggestionError extends Error {
+  constructor(message, code = 'SUGGESTION_ERROR', statusCode = 400) {
+    super(message);
+    this.name = 'ReplySuggestionError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const parseJson = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+class ReplySuggestionService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.isInitialized = false;
+    this.ai = intelligentAI;
+    this.contextMessages = parseInt(process.env.SUGGESTION_CONTEXT_MESSAGES || '15', 10);
+  }
+
+  /**
+   * Inicializar esquema de sugerencias
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return this;
+    }
+
+    try {
+      await this.db.initialize();
+
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS reply_suggestions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          conversation_id INTEGER NOT NULL,
+          contact_id INTEGER,
+          agent_id INTEGER,
+          suggestions TEXT NOT NULL,
+          context_messages INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+        )
+      `);
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS reply_suggestion_feedback (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          suggestion_id INTEGER NOT NULL,
+          suggestion_index INTEGER,
+          outcome VARCHAR(20) NOT NULL,
+          sent_text TEXT,
+          edit_distance INTEGER,
+          similarity REAL,
+          agent_id INTEGER,
+          message_id VARCHAR(255),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (suggestion_id) REFERENCES reply_suggestions(id) ON DELETE CASCADE
+        )
+      `);
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_reply_suggestions_conversation ON reply_suggestions(conversation_id)');
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_reply_suggestion_feedback_suggestion ON reply_suggestion_feedback(suggestion_id)');
+
+      this.isInitialized = true;
+      logger.info('✅ ReplySuggestionService inicializado');
+      return this;
+    } catch (error) {
+      logger.error('❌ Error inicializando ReplySuggestionService:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generar borradores ordenados para la próxima respuesta del agente
+   * @returns {Promise<{id: number, conversationId: number, suggestions: Array<{rank: number, text: string}>, generatedAt: string}>}
+   */
+  async generateSuggestions(conversationId, { agentId = null, count = MAX_SUGGESTIONS } = {}) {
+    const context = await this.loadContext(conversationId);
+    if (context.messages.length === 0) {
+      throw new ReplySuggestionError('La conversación no tiene mensajes', 'NO_MESSAGES', 409);
+    }
+
+    const wanted = Math.min(Math.max(parseInt(count, 10) || MAX_SUGGESTIONS, MIN_SUGGESTIONS), MAX_SUGGESTIONS);
+    const output = await this.ai.completarChat(SUGGESTION_SYSTEM_PROMPT, buildSuggestionPrompt(context, wanted), {
+      maxTokens: 400,
+      temperature: 0.7
+    });
+    const drafts = parseSuggestions(output, wanted);
+
+    if (drafts.length === 0) {
+      throw new ReplySuggestionError('La IA no está disponible para sugerir respuestas', 'AI_UNAVAILABLE', 503);
+    }
+
+    const now = new Date().toISOString();
+    const result = await this.db.run(
+      `INSERT INTO reply_suggestions (conversation_id, contact_id, agent_id, suggestions, context_messages, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [context.conversation.id, context.conversation.contact_id, agentId, JSON.stringify(drafts), context.messages.length, now]
+    );
+
+    return {
+      id: result.lastID,
+      conversationId: context.conversation.id,
+      suggestions: drafts.map((text, index) => ({ rank: index + 1, text })),
+      generatedAt: now
+    };
+  }
+
+  /**
+   * Resumen de la conversación bajo demanda
+   * @returns {Promise<{conversationId: number, summary: string, source: 'ia'|'fallback'}>}
+   */
+  async summarizeConversation(conversationId) {
+    const conversation = await this.requireConversation(conversationId);
+    const messages = await this.loadMessages(conversation.id);
+    const summary = messages.length > 0 ? await this.ai.resumirConversacion(messages) : null;
+
+    return {
+      conversationId: conversation.id,
+      summary: summary || buildFallbackSummary(messages),
+      source: summary ? 'ia' : 'fallback',
+      messageCount: messages.length
+    };
+  }
+
+  /**
+   * Registrar el uso de un borrador al enviar el mensaje
+   * @param {number} suggestionId
+   * @param {Object} usage
+   * @param {number} usage.index - Posición del borrador usado (0 = el primero)
+   * @param {string} usage.sentText - Texto enviado finalmente
+   */
+  async recordUsage(suggestionId, { index = 0, sentText, agentId = null, messageId = null } = {}) {
+    const suggestion = await this.requireSuggestion(suggestionId);
+    const draft = suggestion.suggestions[index];
+    if (draft === undefined) {
+      throw new ReplySuggestionError('El borrador indicado no existe', 'INVALID_INDEX', 400);
+    }
+
+    const comparison = compareDraft(draft, sentText);
+    await this.insertFeedback(suggestion.id, {
+      index,
+      outcome: comparison.outcome,
+      sentText,
+      editDistance: comparison.editDistance,
+      similarity: comparison.similarity,
+      agentId,
+      messageId
+    });
+    return { suggestionId: suggestion.id, index, ...comparison };
+  }
+
+  /**
+   * Registrar que el agente descartó las sugerencias
+   */
+  async recordDismissal(suggestionId, { agentId = null } = {}) {
+    const suggestion = await this.requireSuggestion(suggestionId);
+    await this.insertFeedback(suggestion.id, { outcome: SUGGESTION_OUTCOMES.DISMISSED, agentId });
+    return { suggestionId: suggestion.id, outcome: SUGGESTION_OUTCOMES.DISMISSED };
+  }
+
+  /**
+   * Métricas de utilidad: cuántas sugerencias se usan y cuánto se editan
+   */
+  async getStats({ days = 30, agentId = null } = {}) {
+    await this.initialize();
+
+    const since = new Date(Date.now() - Math.max(parseInt(days, 10) || 30, 1) * 24 * 60 * 60 * 1000).toISOString();
+    const agentFilter = agentId ? ' AND s.agent_id = ?' : '';
+    const params = agentId ? [since, agentId] : [since];
+
+    const totals = await this.db.get(
+      `SELECT COUNT(*) AS generated FROM reply_suggestions s WHERE s.created_at >= ?${agentFilter}`,
+      params
+    );
+    const outcomes = await this.db.all(
+      `SELECT f.outcome, COUNT(*) AS total, AVG(f.similarity) AS avg_similarity, AVG(f.edit_distance) AS avg_edit_distance
+       FROM reply_suggestion_feedback f
+       JOIN reply_suggestions s ON s.id = f.suggestion_id
+       WHERE s.created_at >= ?${agentFilter}
+       GROUP BY f.outcome`,
+      params
+    );
+
+    const byOutcome = Object.fromEntries(outcomes.map(row => [row.outcome, row]));
+    const count = outcome => byOutcome[outcome]?.total || 0;
+    const used = count(SUGGESTION_OUTCOMES.ACCEPTED) + count(SUGGESTION_OUTCOMES.EDITED);
+    const edited = byOutcome[SUGGESTION_OUTCOMES.EDITED];
+
+    return {
+      days: parseInt(days, 10) || 30,
+      generated: totals?.generated || 0,
+      used,
+      accepted: count(SUGGESTION_OUTCOMES.ACCEPTED),
+      edited: count(SUGGESTION_OUTCOMES.EDITED),
+      dismissed: count(SUGGESTION_OUTCOMES.DISMISSED),
+      usageRate: totals?.generated ? Math.round((used / totals.generated) * 1000) / 1000 : 0,
+      avgEditedSimilarity: edited ? Math.round(edited.avg_similarity * 1000) / 1000 : null,
+      avgEditDistance: edited ? Math.round(edited.avg_edit_distance * 10) / 10 : null
+    };
+  }
+
+  /**
+   * Contexto de la conversación: mensajes, contacto, campos personalizados y pedidos
+   */
+  async loadContext(conversationId) {
+    const conversation = await this.requireConversation(conversationId);
+    const contact = await this.db.get(
+      'SELECT id, name, phone_number, email, tags FROM contacts WHERE id = ?',
+      [conversation.contact_id]
+    );
+    const customFields = contact ? await loadContactCustomFields(contact.id) : [];
+    const tags = parseJson(contact?.tags, []);
+
+    return {
+      conversation,
+      messages: await this.loadMessages(conversation.id),
+      contact: {
+        name: contact?.name || null,
+        phone: contact?.phone_number || null,
+        email: contact?.email || null,
+        tags: Array.isArray(tags) ? tags : []
+      },
+      customFields,
+      orders: contact ? await this.loadOrders(contact.id) : []
+    };
+  }
+
+  async loadMessages(conversationId) {
+    const rows = await this.db.all(
+      `SELECT direction, content FROM messages
+       WHERE conversation_id = ? AND type = 'text'
+       ORDER BY id DESC
+       LIMIT ?`,
+      [conversationId, this.contextMessages]
+    );
+    return rows.reverse();
+  }
+
+  /**
+   * Pedidos recientes del contacto (la tabla orders solo existe si se creó con initialize-db)
+   */
+  async loadOrders(contactId) {
+    try {
+      return await this.db.all(
+        `SELECT id, status, total_amount, items, created_at FROM orders
+         WHERE contact_id = ?
+         ORDER BY created_at DESC
+         LIMIT ${ORDERS_LIMIT}`,
+        [contactId]
+      );
+    } catch (error) {
+      logger.debug(`Sin historial de pedidos para el contacto ${contactId}: ${error.message}`);
+      return [];
+    }
+  }
+
+  async requireConversation(conversationId) {
+    await this.initialize();
+    const conversation = await this.db.get('SELECT id, contact_id FROM conversations WHERE id = ?', [conversationId]);
+    if (!conversation) {
+      throw new ReplySuggestionError('Conversación no encontrada', 'CONVERSATION_NOT_FOUND', 404);
+    }
+    return conversation;
+  }
+
+  async requireSuggestion(suggestionId) {
+    await this.initialize();
+    const row = await this.db.get('SELECT * FROM reply_suggestions WHERE id = ?', [suggestionId]);
+    if (!row) {
+      throw new ReplySuggestionError('Sugerencia no encontrada', 'SUGGESTION_NOT_FOUND', 404);
+    }
+    return { ...row, suggestions: parseJson(row.suggestions, []) };
+  }
+
+  async insertFeedback(suggestionId, { index = null, outcome, sentText = null, editDistance = null, similarity = null, agentId = null, messageId = null }) {
+    await this.db.run(
+      `INSERT INTO reply_suggestion_feedback
+        (suggestion_id, suggestion_index, outcome, sent_text, edit_distance, similarity, agent_id, message_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [suggestionId, index, outcome, sentText, editDistance, similarity, agentId, messageId, new Date().toISOString()]
+    );
+    logger.info(`💡 Sugerencia ${suggestionId}: ${outcome}${editDistance !== null ? ` (distancia ${editDistance})` : ''}`);
+  }
+}
+
+export const replySuggestionService = new ReplySuggestionService();
+export default ReplySuggestionService;
@@ -0,0 +1,114 @@
+/**
+ * Tests para la lógica pura de respuestas predefinidas
+ */
+
+import {
+  CANNED_SCOPES,
+  normalizeShortcut,
+  extractVariables,
+  validateCannedResponse,
+  buildVariableValues,
+  renderCannedResponse,
+  buildMediaMessage
+} from '../cannedResponses.js';
+
+describe('cannedResponses', () => {
+  describe('normalizeShortcut', () => {
+    test('debería aceptar el atajo con o sin barra y en minúsculas', () => {
+      expect(normalizeShortcut('/Saludo')).toBe('saludo');
+      expect(normalizeShortcut('envio-gratis')).toBe('envio-gratis');
+    });
+
+    test('debería rechazar atajos con espacios o demasiado largos', () => {
+      expect(normalizeShortcut('/hola mundo')).toBeNull();
+      expect(normalizeShortcut('a'.repeat(33))).toBeNull();
+      expect(normalizeShortcut('/')).toBeNull();
+    });
+  });
+
+  describe('validateCannedResponse', () => {
+    test('debería normalizar una respuesta válida como personal por defecto', () => {
+      const { value, errors } = validateCannedResponse({
+        title: ' Saludo ',
+        body: 'Hola {{name}}, tu ciudad es {{custom_field:ciudad}}',
+        shortcut: '/Hola',
+        folder: 'Ventas'
+      });
+
+      expect(errors).toEqual([]);
+      expect(value).toEqual({
+        title: 'Saludo',
+        body: 'Hola {{name}}, tu ciudad es {{custom_field:ciudad}}',
+        shortcut: 'hola',
+        folder: 'Ventas',
+        scope: CANNED_SCOPES.PERSONAL,
+        media: null
+      });
+    });
+
+    test('debería informar variables, ámbito y adjunto inválidos', () => {
+      const { errors } = validateCannedResponse({
+        title: 'X',
+        body: 'Hola {{apodo}}',
+        scope: 'global',
+        media: { type: 'sticker', url: 'ftp://archivo' }
+      });
+
+      expect(errors).toEqual([
+        'Variables desconocidas: {{apodo}}',
+        'scope debe ser uno de: team, personal',
+        'media.type debe ser uno de: image, video, audio, document',
+        'media.url debe ser una URL http(s)'
+      ]);
+    });
+
+    test('debería validar solo los campos enviados al editar', () => {
+      const { value, errors } = validateCannedResponse({ folder: '' }, { partial: true });
+
+      expect(errors).toEqual([]);
+      expect(value).toEqual({ folder: null });
+    });
+  });
+
+  describe('renderCannedResponse', () => {
+    const values = buildVariableValues(
+      { name: 'Ana', last_name: 'Ruiz', phone_number: '573001234567', email: '' },
+      [
+        { field_id: 'ciudad', typedValue: 'Bogotá' },
+        { field_id: 'intereses', typedValue: ['zapatos', 'bolsos'] }
+      ]
+    );
+
+    test('debería sustituir datos del contacto y campos personalizados', () => {
+      const result = renderCannedResponse(
+        'Hola {{name}} {{last_name}} de {{custom_field:ciudad}}: {{custom_field:intereses}} ({{phone}})',
+        values
+      );
+
+      expect(result).toEqual({
+        text: 'Hola Ana Ruiz de Bogotá: zapatos, bolsos (573001234567)',
+        missing: []
+      });
+    });
+
+    test('debería usar el valor por defecto o dejar visible la variable sin valor', () => {
+      const result = renderCannedResponse('Te escribimos a {{email|tu correo}}. Talla: {{custom_field:talla}}', values);
+
+      expect(result.text).toBe('Te escribimos a tu correo. Talla: {{custom_field:talla}}');
+      expect(result.missing).toEqual(['custom_field:talla']);
+      expect(extractVariables('{{ NAME }} {{name}} {{email|x}}')).toEqual(['name', 'email']);
+    });
+  });
+
+  describe('buildMediaMessage', () => {
+    test('debería armar el mensaje de documento con nombre de archivo', () => {
+      expect(buildMediaMessage('573001234567', { type: 'document', url: 'https://cdn/x.pdf', filename: 'catalogo.pdf' })).toEqual({
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: '573001234567',
+        type: 'document',
+        document: { link: 'https://cdn/x.pdf', filename: 'catalogo.pdf' }
+      });
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests para el ciclo de vida de las conversaciones
+ */
+
+import {
+  LIFECYCLE_ACTIONS,
+  normalizeConversationStatus,
+  planTransition,
+  parseAutoResolveHours,
+  resolutionSeconds,
+  summarizeResolutions
+} from '../conversationLifecycle.js';
+
+describe('conversationLifecycle', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+
+  describe('normalizeConversationStatus', () => {
+    test('debería traducir los estados anteriores al nuevo ciclo de vida', () => {
+      expect(normalizeConversationStatus('active')).toBe('open');
+      expect(normalizeConversationStatus('closed')).toBe('resolved');
+      expect(normalizeConversationStatus('snoozed')).toBe('snoozed');
+      expect(normalizeConversationStatus(null)).toBe('open');
+    });
+  });
+
+  describe('planTransition', () => {
+    test('debería resolver con el motivo indicado o "solved" por defecto', () => {
+      expect(planTransition('active', LIFECYCLE_ACTIONS.RESOLVE, { now }).value).toEqual({
+        from: 'open',
+        to: 'resolved',
+        action: 'resolve',
+        reason: 'solved',
+        snoozedUntil: null
+      });
+      expect(planTransition('pending', LIFECYCLE_ACTIONS.RESOLVE, { reason: 'spam', now }).value.reason).toBe('spam');
+      expect(planTransition('open', LIFECYCLE_ACTIONS.AUTO_RESOLVE, { now }).value.reason).toBe('inactivity');
+    });
+
+    test('debería rechazar transiciones no permitidas y motivos desconocidos', () => {
+      expect(planTransition('resolved', LIFECYCLE_ACTIONS.RESOLVE, { now }).errors)
+        .toEqual(['No se puede aplicar resolve a una conversación resolved']);
+      expect(planTransition('open', LIFECYCLE_ACTIONS.REOPEN, { now }).value).toBeNull();
+      expect(planTransition('open', LIFECYCLE_ACTIONS.RESOLVE, { reason: 'cansado', now }).errors[0])
+        .toMatch(/^reason debe ser uno de/);
+    });
+
+    test('debería exigir una fecha futura de hasta 30 días para posponer', () => {
+      const result = planTransition('open', LIFECYCLE_ACTIONS.SNOOZE, { snoozeUntil: '2026-03-11T09:00:00Z', now });
+      expect(result.value.snoozedUntil).toBe('2026-03-11T09:00:00.000Z');
+
+      expect(planTransition('open', LIFECYCLE_ACTIONS.SNOOZE, { now }).errors).toEqual(['snoozeUntil debe ser una fecha válida']);
+      expect(planTransition('open', LIFECYCLE_ACTIONS.SNOOZE, { snoozeUntil: '2026-03-09T00:00:00Z', now }).errors)
+        .toEqual(['snoozeUntil debe ser una fecha futura']);
+      expect(planTransition('open', LIFECYCLE_ACTIONS.SNOOZE, { snoozeUntil: '2026-05-01T00:00:00Z', now }).errors)
+        .toEqual(['Una conversación no se puede posponer más de 30 días']);
+    });
+
+    test('debería reabrir con un mensaje entrante y solo vencer pospuestos', () => {
+      expect(planTransition('resolved', LIFECYCLE_ACTIONS.INBOUND_REOPEN, { now }).value.to).toBe('open');
+      expect(planTransition('pending', LIFECYCLE_ACTIONS.SNOOZE_EXPIRED, { now }).value).toBeNull();
+    });
+  });
+
+  describe('parseAutoResolveHours', () => {
+    test('debería usar 72 horas por defecto y 0 para desactivar', () => {
+      expect(parseAutoResolveHours(undefined)).toBe(72);
+      expect(parseAutoResolveHours('24')).toBe(24);
+      expect(parseAutoResolveHours('0')).toBe(0);
+      expect(parseAutoResolveHours('nunca')).toBe(0);
+    });
+  });
+
+  describe('resumen de resoluciones', () => {
+    test('debería calcular segundos hasta resolver, leyendo las fechas de SQLite como UTC', () => {
+      expect(resolutionSeconds('2026-03-10 10:00:00', '2026-03-10T10:30:00.000Z')).toBe(1800);
+      expect(resolutionSeconds(null, '2026-03-10T10:30:00Z')).toBeNull();
+    });
+
+    test('debería promediar, calcular la mediana y agrupar por motivo', () => {
+      expect(summarizeResolutions([
+        { action: 'resolve', reason: 'solved', resolution_seconds: 600 },
+        { action: 'resolve', reason: 'solved', resolution_seconds: 1200 },
+        { action: 'auto_resolve', reason: 'inactivity', resolution_seconds: 3600 },
+        { action: 'resolve', reason: 'spam', resolution_seconds: null }
+      ])).toEqual({
+        resolved: 4,
+        automatic: 1,
+        averageMinutes: 30,
+        medianMinutes: 20,
+        byReason: { solved: 2, inactivity: 1, spam: 1 }
+      });
+      expect(summarizeResolutions([]).averageMinutes).toBeNull();
+    });
+  });
+});
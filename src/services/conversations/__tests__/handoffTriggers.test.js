@@ -0,0 +1,98 @@
+/**
+ * Tests para los disparadores de traspaso del bot a un agente
+ */
+
+import {
+  HANDOFF_REASONS,
+  DEFAULT_HANDOFF_THRESHOLDS,
+  detectAgentRequest,
+  evaluateBotTurn,
+  parseHandoffThresholds,
+  buildFallbackSummary
+} from '../handoffTriggers.js';
+
+describe('handoffTriggers', () => {
+  describe('detectAgentRequest', () => {
+    test('debería detectar peticiones de un agente sin importar tildes ni mayúsculas', () => {
+      expect(detectAgentRequest('Quiero hablar con un ASESOR por favor')).toBe('ASESOR');
+      expect(detectAgentRequest('necesito atención al cliente!!')).toBe('ATENCION AL CLIENTE');
+      expect(detectAgentRequest('Can I talk to a human?')).toBe('HUMAN');
+    });
+
+    test('debería exigir palabras completas', () => {
+      expect(detectAgentRequest('los agentes de tránsito')).toBeNull();
+      expect(detectAgentRequest('¿Cuánto cuesta el número?')).toBeNull();
+      expect(detectAgentRequest('')).toBeNull();
+    });
+
+    test('debería usar la lista de palabras configurada', () => {
+      expect(detectAgentRequest('pásame con soporte', ['SOPORTE'])).toBe('SOPORTE');
+      expect(detectAgentRequest('quiero un agente', ['SOPORTE'])).toBeNull();
+    });
+  });
+
+  describe('evaluateBotTurn', () => {
+    const confident = { sentimiento: { etiqueta: 'neutral', puntuacion: 0 }, confianzaRespuesta: 0.85, usoFallback: false };
+
+    test('debería dejar responder al bot si nada dispara el traspaso', () => {
+      expect(evaluateBotTurn(confident)).toBeNull();
+    });
+
+    test('debería traspasar ante un sentimiento negativo', () => {
+      const trigger = evaluateBotTurn({ ...confident, sentimiento: { etiqueta: 'negativo', puntuacion: -0.7 } });
+
+      expect(trigger).toEqual({
+        reason: HANDOFF_REASONS.NEGATIVE_SENTIMENT,
+        detail: { score: -0.7, label: 'negativo' }
+      });
+    });
+
+    test('debería traspasar cuando la respuesta es poco fiable', () => {
+      const trigger = evaluateBotTurn({ ...confident, confianzaRespuesta: 0.4 });
+      expect(trigger).toEqual({ reason: HANDOFF_REASONS.LOW_CONFIDENCE, detail: { confidence: 0.4 } });
+    });
+
+    test('debería traspasar al repetir la respuesta de respaldo', () => {
+      const fallback = { ...confident, confianzaRespuesta: 0.3, usoFallback: true };
+
+      expect(evaluateBotTurn(fallback, { fallbackCount: 0 })).toBeNull();
+      expect(evaluateBotTurn(fallback, { fallbackCount: 1 })).toEqual({
+        reason: HANDOFF_REASONS.REPEATED_FALLBACK,
+        detail: { fallbacks: 2 }
+      });
+    });
+
+    test('debería respetar los umbrales configurados', () => {
+      const thresholds = { ...DEFAULT_HANDOFF_THRESHOLDS, negativeSentiment: -0.9, minConfidence: 0.3 };
+      const analysis = { sentimiento: { puntuacion: -0.7 }, confianzaRespuesta: 0.4, usoFallback: false };
+
+      expect(evaluateBotTurn(analysis, {}, thresholds)).toBeNull();
+    });
+  });
+
+  describe('parseHandoffThresholds', () => {
+    test('debería leer los umbrales del entorno y usar los valores por defecto', () => {
+      expect(parseHandoffThresholds({ HANDOFF_MIN_CONFIDENCE: '0.7', HANDOFF_MAX_FALLBACKS: '0' })).toEqual({
+        negativeSentiment: -0.5,
+        minConfidence: 0.7,
+        maxFallbacks: 1
+      });
+    });
+  });
+
+  describe('buildFallbackSummary', () => {
+    test('debería resumir los últimos mensajes indicando quién habló', () => {
+      const summary = buildFallbackSummary([
+        { direction: 'inbound', content: 'Hola' },
+        { direction: 'outbound', content: '¡Hola! ¿En qué te ayudo?' },
+        { direction: 'inbound', content: 'Mi pago   no aparece' }
+      ], { maxMessages: 2 });
+
+      expect(summary).toBe('Bot: ¡Hola! ¿En qué te ayudo?\nCliente: Mi pago no aparece');
+    });
+
+    test('debería indicar cuando no hay mensajes', () => {
+      expect(buildFallbackSummary([])).toBe('Sin mensajes previos en la conversación.');
+    });
+  });
+});
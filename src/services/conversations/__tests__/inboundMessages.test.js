@@ -0,0 +1,85 @@
+/**
+ * Tests para los datos estructurados de los mensajes entrantes
+ */
+
+import {
+  parseSharedContacts,
+  parseReaction,
+  describeInboundMessage
+} from '../inboundMessages.js';
+
+describe('inboundMessages', () => {
+  describe('parseSharedContacts', () => {
+    test('debería preferir el wa_id y tomar el primer correo y la empresa', () => {
+      const [contact] = parseSharedContacts([{
+        name: { formatted_name: 'Ana Ruiz', first_name: 'Ana' },
+        phones: [{ phone: '+57 300 123 4567', wa_id: '573001234567', type: 'CELL' }],
+        emails: [{ email: 'ana@tienda.co', type: 'WORK' }],
+        org: { company: 'Tienda', title: 'Compras' }
+      }]);
+
+      expect(contact).toEqual({
+        name: 'Ana Ruiz',
+        phone: '573001234567',
+        waId: '573001234567',
+        email: 'ana@tienda.co',
+        organization: 'Tienda',
+        title: 'Compras',
+        phones: [{ phone: '+57 300 123 4567', waId: '573001234567', type: 'CELL' }],
+        emails: [{ email: 'ana@tienda.co', type: 'WORK' }]
+      });
+    });
+
+    test('debería armar el nombre y usar el número escrito si no tiene WhatsApp', () => {
+      const [contact] = parseSharedContacts([{
+        name: { first_name: 'Luis', last_name: 'Gómez' },
+        phones: [{ phone: '+57 310 000 0000' }]
+      }]);
+
+      expect(contact.name).toBe('Luis Gómez');
+      expect(contact.phone).toBe('+57 310 000 0000');
+      expect(contact.waId).toBeNull();
+      expect(parseSharedContacts(null)).toEqual([]);
+    });
+  });
+
+  describe('parseReaction', () => {
+    test('debería distinguir una reacción de una reacción quitada', () => {
+      expect(parseReaction({ message_id: 'wamid.A', emoji: '👍' })).toEqual({ messageId: 'wamid.A', emoji: '👍', removed: false });
+      expect(parseReaction({ message_id: 'wamid.A' })).toEqual({ messageId: 'wamid.A', emoji: null, removed: true });
+      expect(parseReaction({ emoji: '👍' })).toBeNull();
+    });
+  });
+
+  describe('describeInboundMessage', () => {
+    test('debería guardar la ubicación y el mensaje citado', () => {
+      expect(describeInboundMessage({
+        type: 'location',
+        location: { latitude: 4.6097, longitude: -74.0817, name: 'Oficina', address: 'Cra 7 # 12' },
+        context: { from: '573000000000', id: 'wamid.Q' }
+      })).toEqual({
+        content: '📍 Oficina - Cra 7 # 12',
+        metadata: {
+          replyTo: 'wamid.Q',
+          location: { latitude: 4.6097, longitude: -74.0817, name: 'Oficina', address: 'Cra 7 # 12', url: null }
+        }
+      });
+    });
+
+    test('debería resumir las tarjetas de contacto y marcar los reenviados', () => {
+      const result = describeInboundMessage({
+        type: 'contacts',
+        contacts: [{ name: { formatted_name: 'Ana' }, phones: [{ wa_id: '573001234567' }] }],
+        context: { forwarded: true }
+      });
+
+      expect(result.content).toBe('👤 Ana');
+      expect(result.metadata.forwarded).toBe(true);
+      expect(result.metadata.contacts).toHaveLength(1);
+    });
+
+    test('debería dejar el texto general para los mensajes sin datos estructurados', () => {
+      expect(describeInboundMessage({ type: 'text', text: { body: 'Hola' } })).toEqual({ content: null, metadata: null });
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests para la lógica pura de mensajes salientes del chat en vivo
+ */
+
+import {
+  parseOutboundBody,
+  validateOutboundMessage,
+  buildOutboundPayload,
+  describeOutboundMessage,
+  mediaTypeFromMime
+} from '../outboundMessages.js';
+
+describe('outboundMessages', () => {
+  describe('validateOutboundMessage', () => {
+    test('debería aceptar texto y rechazarlo vacío', () => {
+      expect(validateOutboundMessage({ text: ' Hola ' })).toEqual({
+        value: { type: 'text', text: 'Hola', replyTo: null },
+        errors: []
+      });
+      expect(validateOutboundMessage({ text: '  ' }).errors).toEqual(['El texto del mensaje es requerido']);
+    });
+
+    test('debería exigir una sola fuente para el archivo', () => {
+      expect(validateOutboundMessage({ type: 'image' }).errors)
+        .toEqual(['Adjunta un archivo o indica media.id, media.url o media.path']);
+      expect(validateOutboundMessage({ type: 'image', media: { id: '1', url: 'https://cdn/x.jpg' } }).errors)
+        .toEqual(['Indica una sola fuente para el archivo']);
+      expect(validateOutboundMessage({ type: 'document', media: { path: '/etc/passwd' } }).errors)
+        .toEqual(['media.path debe ser una ruta /media/ de la biblioteca']);
+    });
+
+    test('debería dejar el tipo de un archivo subido sin tipo para decidirlo por su MIME', () => {
+      const { value, errors } = validateOutboundMessage({ caption: 'Catálogo' }, { hasFile: true });
+
+      expect(errors).toEqual([]);
+      expect(value.type).toBeNull();
+      expect(value.caption).toBe('Catálogo');
+      expect(mediaTypeFromMime('application/pdf')).toBe('document');
+    });
+
+    test('debería validar botones, listas y plantillas', () => {
+      expect(validateOutboundMessage({
+        type: 'buttons',
+        text: 'Elige',
+        buttons: [{ title: 'Sí' }, { title: 'sí' }, { title: 'No' }, { title: 'Tal vez' }]
+      }).errors).toEqual(['buttons debe tener entre 1 y 3 botones', 'Los botones no pueden repetir título']);
+
+      expect(validateOutboundMessage({
+        type: 'list',
+        text: 'Menú',
+        list: { button: 'Ver', sections: [{ rows: [{ title: 'A' }] }, { rows: [{ title: 'B' }] }] }
+      }).errors).toEqual(['La sección 1 necesita título', 'La sección 2 necesita título']);
+
+      expect(validateOutboundMessage({
+        type: 'template',
+        template: { name: 'pedido', bodyParameters: ['Ana', ''] }
+      }).errors).toEqual(['Falta el valor de la variable {{2}} del cuerpo']);
+    });
+
+    test('debería leer los campos enviados como JSON en multipart', () => {
+      const body = parseOutboundBody({ type: 'location', location: '{"latitude": 4.6, "longitude": -74.08}' });
+
+      expect(validateOutboundMessage(body).value.location).toEqual({
+        latitude: 4.6,
+        longitude: -74.08,
+        name: null,
+        address: null
+      });
+      expect(() => parseOutboundBody({ buttons: '[{' })).toThrow(SyntaxError);
+    });
+  });
+
+  describe('buildOutboundPayload', () => {
+    test('debería citar el mensaje respondido con context.message_id', () => {
+      const { value } = validateOutboundMessage({ text: 'Claro', replyTo: 'wamid.ABC' });
+
+      expect(buildOutboundPayload('573001234567', value)).toEqual({
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: '573001234567',
+        context: { message_id: 'wamid.ABC' },
+        type: 'text',
+        text: { body: 'Claro', preview_url: false }
+      });
+    });
+
+    test('debería armar botones interactivos con IDs por defecto', () => {
+      const { value } = validateOutboundMessage({ type: 'buttons', text: '¿Confirmas?', buttons: ['Sí', 'No'] });
+      const payload = buildOutboundPayload('573001234567', value);
+
+      expect(payload.type).toBe('interactive');
+      expect(payload.interactive.action.buttons).toEqual([
+        { type: 'reply', reply: { id: 'btn_1', title: 'Sí' } },
+        { type: 'reply', reply: { id: 'btn_2', title: 'No' } }
+      ]);
+    });
+
+    test('debería enviar las variables de la plantilla como parámetros de texto', () => {
+      const { value } = validateOutboundMessage({
+        type: 'template',
+        template: { name: 'pedido', language: 'es', bodyParameters: ['Ana', '#123'] }
+      });
+
+      expect(buildOutboundPayload('573001234567', value).template).toEqual({
+        name: 'pedido',
+        language: { code: 'es' },
+        components: [{
+          type: 'body',
+          parameters: [{ type: 'text', text: 'Ana' }, { type: 'text', text: '#123' }]
+        }]
+      });
+    });
+  });
+
+  describe('describeOutboundMessage', () => {
+    test('debería guardar la plantilla con el texto ya completado', () => {
+      const { value } = validateOutboundMessage({
+        type: 'template',
+        template: { name: 'pedido', bodyParameters: ['Ana'], bodyText: 'Hola {{1}}, tu pedido salió' },
+        replyTo: 'wamid.XYZ'
+      });
+
+      expect(describeOutboundMessage(value)).toEqual({
+        type: 'template',
+        content: 'Hola Ana, tu pedido salió',
+        mediaUrl: null,
+        mediaType: null,
+        metadata: {
+          kind: 'template',
+          replyTo: 'wamid.XYZ',
+          template: { name: 'pedido', language: 'es', headerParameters: [], bodyParameters: ['Ana'] }
+        }
+      });
+    });
+
+    test('debería usar la copia local del archivo para el timeline', () => {
+      const { value } = validateOutboundMessage({ type: 'image', caption: 'Foto', media: { path: '/media/outbound/a.jpg' } });
+      const stored = describeOutboundMessage(value, {
+        id: 'media-1',
+        localUrl: '/media/outbound/a.jpg',
+        filename: 'a.jpg',
+        mimeType: 'image/jpeg'
+      });
+
+      expect(stored.type).toBe('image');
+      expect(stored.content).toBe('Foto');
+      expect(stored.mediaUrl).toBe('/media/outbound/a.jpg');
+      expect(stored.metadata.media).toEqual({ id: 'media-1', filename: 'a.jpg', mimeType: 'image/jpeg' });
+    });
+  });
+});
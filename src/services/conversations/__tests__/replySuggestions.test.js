@@ -0,0 +1,83 @@
+/**
+ * Tests para los borradores de respuesta sugeridos por la IA
+ */
+
+import {
+  SUGGESTION_OUTCOMES,
+  buildSuggestionPrompt,
+  parseSuggestions,
+  editDistance,
+  compareDraft
+} from '../replySuggestions.js';
+
+describe('replySuggestions', () => {
+  describe('buildSuggestionPrompt', () => {
+    test('debería incluir mensajes, campos personalizados y pedidos', () => {
+      const prompt = buildSuggestionPrompt({
+        messages: [
+          { direction: 'inbound', content: '¿Ya salió mi pedido?' },
+          { direction: 'outbound', content: 'Déjame revisar' }
+        ],
+        contact: { name: 'Laura', tags: ['vip'] },
+        customFields: [{ name: 'Ciudad', typedValue: 'Medellín' }],
+        orders: [{ id: 12, status: 'shipped', total_amount: 45000, created_at: '2026-10-01' }]
+      }, 2);
+
+      expect(prompt).toContain('- Nombre: Laura');
+      expect(prompt).toContain('- Etiquetas: vip');
+      expect(prompt).toContain('- Ciudad: Medellín');
+      expect(prompt).toContain('- #12 (2026-10-01): shipped, total 45000');
+      expect(prompt).toContain('Cliente: ¿Ya salió mi pedido?\nAgente: Déjame revisar');
+      expect(prompt).toContain('Redacta 2 borradores');
+    });
+
+    test('debería omitir las secciones sin datos', () => {
+      const prompt = buildSuggestionPrompt({ messages: [{ direction: 'inbound', content: 'Hola' }] });
+
+      expect(prompt).not.toContain('Campos personalizados');
+      expect(prompt).not.toContain('Pedidos recientes');
+    });
+  });
+
+  describe('parseSuggestions', () => {
+    test('debería leer un arreglo JSON aunque venga con texto alrededor', () => {
+      const output = 'Aquí tienes:\n["Claro, ya lo reviso", "Tu pedido salió ayer", "claro, ya lo reviso"]';
+      expect(parseSuggestions(output)).toEqual(['Claro, ya lo reviso', 'Tu pedido salió ayer']);
+    });
+
+    test('debería aceptar listas numeradas y limitar la cantidad', () => {
+      const output = '1. Primera opción\n2) "Segunda opción"\n- Tercera opción\n4. Cuarta opción';
+      expect(parseSuggestions(output, 3)).toEqual(['Primera opción', 'Segunda opción', 'Tercera opción']);
+    });
+
+    test('debería devolver una lista vacía sin respuesta de la IA', () => {
+      expect(parseSuggestions(null)).toEqual([]);
+    });
+  });
+
+  describe('editDistance', () => {
+    test('debería contar inserciones, borrados y sustituciones', () => {
+      expect(editDistance('hola', 'hola')).toBe(0);
+      expect(editDistance('', 'abc')).toBe(3);
+      expect(editDistance('kitten', 'sitting')).toBe(3);
+    });
+  });
+
+  describe('compareDraft', () => {
+    test('debería marcar como aceptado el borrador enviado sin cambios', () => {
+      expect(compareDraft('Tu pedido salió ayer', ' Tu pedido salió ayer ')).toEqual({
+        outcome: SUGGESTION_OUTCOMES.ACCEPTED,
+        editDistance: 0,
+        similarity: 1
+      });
+    });
+
+    test('debería medir la similitud del borrador editado', () => {
+      const result = compareDraft('Tu pedido salió ayer', 'Tu pedido salió hoy');
+
+      expect(result.outcome).toBe(SUGGESTION_OUTCOMES.EDITED);
+      expect(result.editDistance).toBe(4);
+      expect(result.similarity).toBe(0.8);
+    });
+  });
+});
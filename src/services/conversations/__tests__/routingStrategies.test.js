@@ -0,0 +1,51 @@
+/**
+ * Tests para las estrategias de enrutamiento de conversaciones
+ */
+
+import { selectAgent, ROUTING_STRATEGIES } from '../routingStrategies.js';
+
+describe('routingStrategies', () => {
+  const workloads = [
+    { id: 1, open_conversations: 3, last_assigned_at: '2025-01-01T10:05:00.000Z' },
+    { id: 2, open_conversations: 1, last_assigned_at: '2025-01-01T10:10:00.000Z' },
+    { id: 3, open_conversations: 1, last_assigned_at: '2025-01-01T10:00:00.000Z' }
+  ];
+
+  describe('round_robin', () => {
+    test('debería elegir al agente con la asignación más antigua', () => {
+      expect(selectAgent(workloads, ROUTING_STRATEGIES.ROUND_ROBIN).id).toBe(3);
+    });
+
+    test('debería priorizar agentes que nunca recibieron conversaciones', () => {
+      const agents = [...workloads, { id: 4, open_conversations: 0, last_assigned_at: null }];
+      expect(selectAgent(agents, ROUTING_STRATEGIES.ROUND_ROBIN).id).toBe(4);
+    });
+  });
+
+  describe('least_busy', () => {
+    test('debería elegir al agente con menos conversaciones abiertas', () => {
+      const agents = [
+        { id: 1, open_conversations: 4, last_assigned_at: null },
+        { id: 2, open_conversations: 0, last_assigned_at: '2025-01-01T10:00:00.000Z' }
+      ];
+      expect(selectAgent(agents, ROUTING_STRATEGIES.LEAST_BUSY).id).toBe(2);
+    });
+
+    test('debería desempatar por la asignación más antigua', () => {
+      expect(selectAgent(workloads, ROUTING_STRATEGIES.LEAST_BUSY).id).toBe(3);
+    });
+  });
+
+  test('debería respetar el máximo de conversaciones abiertas por agente', () => {
+    const result = selectAgent(workloads, ROUTING_STRATEGIES.LEAST_BUSY, { maxOpenPerAgent: 1 });
+    expect(result).toBeNull();
+  });
+
+  test('debería no asignar en modo manual', () => {
+    expect(selectAgent(workloads, ROUTING_STRATEGIES.MANUAL)).toBeNull();
+  });
+
+  test('debería devolver null sin agentes disponibles', () => {
+    expect(selectAgent([], ROUTING_STRATEGIES.ROUND_ROBIN)).toBeNull();
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Respuestas predefinidas (respuestas rápidas) del chat en vivo
+ *
+ * Lógica pura usada por CannedResponseService: validación de respuestas y
+ * atajos ("/saludo"), y sustitución de variables con los mismos datos que
+ * ofrece el mapeador de variables de plantillas (nombre, apellidos, teléfono,
+ * email y campos personalizados "custom_field:<id>").
+ */
+
+export const CANNED_SCOPES = Object.freeze({
+  TEAM: 'team',
+  PERSONAL: 'personal'
+});
+
+export const CANNED_MEDIA_TYPES = Object.freeze(['image', 'video', 'audio', 'document']);
+
+// Variables de contacto del mapeador de plantillas (client/js/template-variable-mapper.js)
+export const CONTACT_VARIABLES = Object.freeze([
+  { key: 'name', label: 'Nombre' },
+  { key: 'last_name', label: 'Apellidos' },
+  { key: 'phone', label: 'Teléfono' },
+  { key: 'email', label: 'Email' }
+]);
+
+export const CUSTOM_FIELD_PREFIX = 'custom_field:';
+
+const SHORTCUT_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+// {{name}}, {{custom_field:ciudad}} y {{name|cliente}} (valor por defecto)
+const VARIABLE_PATTERN = /\{\{\s*([a-z_]+(?::[\w-]+)?)\s*(?:\|([^}]*))?\}\}/gi;
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_BODY_LENGTH = 4096;
+const MAX_FOLDER_LENGTH = 50;
+
+/**
+ * Atajo normalizado ("/Saludo" → "saludo"); null si no es válido
+ */
+export function normalizeShortcut(shortcut) {
+  const value = String(shortcut ?? '').trim().replace(/^\//, '').toLowerCase();
+  return SHORTCUT_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * Claves de variables usadas en el texto, sin repetir
+ */
+export function extractVariables(body) {
+  const keys = [];
+  for (const [, key] of String(body ?? '').matchAll(VARIABLE_PATTERN)) {
+    const normalized = key.toLowerCase().startsWith(CUSTOM_FIELD_PREFIX)
+      ? `${CUSTOM_FIELD_PREFIX}${key.slice(CUSTOM_FIELD_PREFIX.length)}`
+      : key.toLowerCase();
+    if (!keys.includes(normalized)) {
+      keys.push(normalized);
+    }
+  }
+  return keys;
+}
+
+const isKnownVariable = key =>
+  CONTACT_VARIABLES.some(variable => variable.key === key) ||
+  (key.startsWith(CUSTOM_FIELD_PREFIX) && key.length > CUSTOM_FIELD_PREFIX.length);
+
+/**
+ * Validar y normalizar una respuesta (creación o edición parcial)
+ * @param {Object} input
+ * @param {Object} options
+ * @param {boolean} options.partial - Edición: solo se validan los campos presentes
+ * @returns {{value: Object, errors: string[]}}
+ */
+export function validateCannedResponse(input = {}, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+  const has = field => input[field] !== undefined;
+
+  if (!partial || has('title')) {
+    const title = String(input.title ?? '').trim();
+    if (!title) errors.push('title es requerido');
+    else if (title.length > MAX_TITLE_LENGTH) errors.push(`title no puede superar ${MAX_TITLE_LENGTH} caracteres`);
+    value.title = title;
+  }
+
+  if (!partial || has('body')) {
+    const body = String(input.body ?? '').trim();
+    if (!body) errors.push('body es requerido');
+    else if (body.length > MAX_BODY_LENGTH) errors.push(`body no puede superar ${MAX_BODY_LENGTH} caracteres`);
+
+    const unknown = extractVariables(body).filter(key => !isKnownVariable(key));
+    if (unknown.length > 0) {
+      errors.push(`Variables desconocidas: ${unknown.map(key => `{{${key}}}`).join(', ')}`);
+    }
+    value.body = body;
+  }
+
+  if (!partial || has('shortcut')) {
+    if (input.shortcut === null || input.shortcut === undefined || input.shortcut === '') {
+      value.shortcut = null;
+    } else {
+      value.shortcut = normalizeShortcut(input.shortcut);
+      if (!value.shortcut) {
+        errors.push('shortcut solo admite letras, números, "-" y "_" (máximo 32)');
+      }
+    }
+  }
+
+  if (!partial || has('folder')) {
+    const folder = String(input.folder ?? '').trim();
+    if (folder.length > MAX_FOLDER_LENGTH) errors.push(`folder no puede superar ${MAX_FOLDER_LENGTH} caracteres`);
+    value.folder = folder || null;
+  }
+
+  if (!partial || has('scope')) {
+    const scope = input.scope ?? CANNED_SCOPES.PERSONAL;
+    if (!Object.values(CANNED_SCOPES).includes(scope)) {
+      errors.push(`scope debe ser uno de: ${Object.values(CANNED_SCOPES).join(', ')}`);
+    }
+    value.scope = scope;
+  }
+
+  if (!partial || has('media')) {
+    const media = input.media || null;
+    if (media) {
+      if (!CANNED_MEDIA_TYPES.includes(media.type)) {
+        errors.push(`media.type debe ser uno de: ${CANNED_MEDIA_TYPES.join(', ')}`);
+      }
+      if (!/^https?:\/\//i.test(String(media.url || ''))) {
+        errors.push('media.url debe ser una URL http(s)');
+      }
+      value.media = { type: media.type, url: media.url, filename: media.filename || null };
+    } else {
+      value.media = null;
+    }
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Valores de las variables para un contacto
+ * @param {Object} contact - Fila de contacts
+ * @param {Array<{field_id: string, typedValue?: *, value?: *}>} customFields - loadContactCustomFields()
+ * @returns {Object<string, *>}
+ */
+export function buildVariableValues(contact = {}, customFields = []) {
+  const values = {
+    name: contact?.name || '',
+    last_name: contact?.last_name || '',
+    phone: contact?.phone_number || contact?.phone || '',
+    email: contact?.email || ''
+  };
+
+  for (const field of customFields) {
+    const fieldValue = field.typedValue ?? field.value;
+    values[`${CUSTOM_FIELD_PREFIX}${field.field_id}`] = Array.isArray(fieldValue) ? fieldValue.join(', ') : fieldValue;
+  }
+  return values;
+}
+
+/**
+ * Sustituir las variables de una respuesta
+ *
+ * Sin valor se usa el valor por defecto ({{name|cliente}}); si tampoco lo hay
+ * la variable queda visible para que el agente la complete antes de enviar.
+ * @returns {{text: string, missing: string[]}}
+ */
+export function renderCannedResponse(body, values = {}) {
+  const missing = [];
+
+  const text = String(body ?? '').replace(VARIABLE_PATTERN, (match, key, fallback) => {
+    const normalized = key.toLowerCase().startsWith(CUSTOM_FIELD_PREFIX)
+      ? `${CUSTOM_FIELD_PREFIX}${key.slice(CUSTOM_FIELD_PREFIX.length)}`
+      : key.toLowerCase();
+    const value = values[normalized];
+
+    if (value !== undefined && value !== null && value !== '') {
+      return String(value);
+    }
+    if (fallback !== undefined) {
+      return fallback.trim();
+    }
+    if (!missing.includes(normalized)) {
+      missing.push(normalized);
+    }
+    return match;
+  });
+
+  return { text, missing };
+}
+
+/**
+ * Mensaje de WhatsApp para el adjunto de una respuesta
+ */
+export function buildMediaMessage(to, media, caption = null) {
+  const content = { link: media.url };
+  if (caption && media.type !== 'audio') {
+    content.caption = caption;
+  }
+  if (media.type === 'document' && media.filename) {
+    content.filename = media.filename;
+  }
+
+  return {
+    messaging_product: 'whatsapp',
+    recipient_type: 'individual',
+    to,
+    type: media.type,
+    [media.type]: content
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Ciclo de vida de las conversaciones
+ *
+ * Lógica pura usada por ConversationLifecycleService: estados de una
+ * conversación (abierta, pendiente del cliente, pospuesta y resuelta), las
+ * transiciones permitidas entre ellos, los motivos de resolución y el resumen
+ * de tiempos de resolución para analítica.
+ */
+
+export const CONVERSATION_STATUS = Object.freeze({
+  OPEN: 'open',
+  PENDING: 'pending',
+  SNOOZED: 'snoozed',
+  RESOLVED: 'resolved'
+});
+
+// Estados anteriores de la columna conversations.status
+const LEGACY_STATUSES = {
+  active: CONVERSATION_STATUS.OPEN,
+  closed: CONVERSATION_STATUS.RESOLVED,
+  archived: CONVERSATION_STATUS.RESOLVED
+};
+
+export const LIFECYCLE_ACTIONS = Object.freeze({
+  RESOLVE: 'resolve',
+  SNOOZE: 'snooze',
+  MARK_PENDING: 'mark_pending',
+  REOPEN: 'reopen',
+  // Automáticas
+  INBOUND_REOPEN: 'inbound_reopen',
+  SNOOZE_EXPIRED: 'snooze_expired',
+  AUTO_RESOLVE: 'auto_resolve'
+});
+
+// Estado al que lleva cada acción y desde qué estados se permite
+const TRANSITIONS = {
+  [LIFECYCLE_ACTIONS.RESOLVE]: {
+    to: CONVERSATION_STATUS.RESOLVED,
+    from: [CONVERSATION_STATUS.OPEN, CONVERSATION_STATUS.PENDING, CONVERSATION_STATUS.SNOOZED]
+  },
+  [LIFECYCLE_ACTIONS.SNOOZE]: {
+    to: CONVERSATION_STATUS.SNOOZED,
+    from: [CONVERSATION_STATUS.OPEN, CONVERSATION_STATUS.PENDING, CONVERSATION_STATUS.SNOOZED]
+  },
+  [LIFECYCLE_ACTIONS.MARK_PENDING]: {
+    to: CONVERSATION_STATUS.PENDING,
+    from: [CONVERSATION_STATUS.OPEN, CONVERSATION_STATUS.SNOOZED]
+  },
+  [LIFECYCLE_ACTIONS.REOPEN]: {
+    to: CONVERSATION_STATUS.OPEN,
+    from: [CONVERSATION_STATUS.PENDING, CONVERSATION_STATUS.SNOOZED, CONVERSATION_STATUS.RESOLVED]
+  },
+  [LIFECYCLE_ACTIONS.INBOUND_REOPEN]: {
+    to: CONVERSATION_STATUS.OPEN,
+    from: [CONVERSATION_STATUS.PENDING, CONVERSATION_STATUS.SNOOZED, CONVERSATION_STATUS.RESOLVED]
+  },
+  [LIFECYCLE_ACTIONS.SNOOZE_EXPIRED]: {
+    to: CONVERSATION_STATUS.OPEN,
+    from: [CONVERSATION_STATUS.SNOOZED]
+  },
+  [LIFECYCLE_ACTIONS.AUTO_RESOLVE]: {
+    to: CONVERSATION_STATUS.RESOLVED,
+    from: [CONVERSATION_STATUS.OPEN, CONVERSATION_STATUS.PENDING]
+  }
+};
+
+export const RESOLUTION_REASONS = Object.freeze({
+  SOLVED: 'solved',
+  NO_RESPONSE: 'no_response',
+  DUPLICATE: 'duplicate',
+  SPAM: 'spam',
+  OTHER: 'other',
+  INACTIVITY: 'inactivity'
+});
+
+// Un pospuesto no puede pasar de 30 días
+const MAX_SNOOZE_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Estado del ciclo de vida a partir de conversations.status
+ */
+export function normalizeConversationStatus(status) {
+  const value = String(status || '').toLowerCase();
+  if (Object.values(CONVERSATION_STATUS).includes(value)) {
+    return value;
+  }
+  return LEGACY_STATUSES[value] || CONVERSATION_STATUS.OPEN;
+}
+
+/**
+ * Acción que lleva al estado pedido (PUT /conversations/:id con { status })
+ */
+export function actionForStatus(status) {
+  switch (status) {
+    case CONVERSATION_STATUS.RESOLVED:
+      return LIFECYCLE_ACTIONS.RESOLVE;
+    case CONVERSATION_STATUS.SNOOZED:
+      return LIFECYCLE_ACTIONS.SNOOZE;
+    case CONVERSATION_STATUS.PENDING:
+      return LIFECYCLE_ACTIONS.MARK_PENDING;
+    case CONVERSATION_STATUS.OPEN:
+      return LIFECYCLE_ACTIONS.REOPEN;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Calcular el cambio de estado de una acción
+ * @param {string} currentStatus - conversations.status actual
+ * @param {string} action - Una de LIFECYCLE_ACTIONS
+ * @param {Object} options
+ * @param {string} [options.reason] - Motivo de resolución
+ * @param {string|Date} [options.snoozeUntil] - Fin del pospuesto
+ * @param {Date} [options.now]
+ * @returns {{value: {from: string, to: string, action: string, reason: string|null, snoozedUntil: string|null}|null, errors: string[]}}
+ */
+export function planTransition(currentStatus, action, { reason = null, snoozeUntil = null, now = new Date() } = {}) {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    return { value: null, errors: [`Acción no soportada: ${action}`] };
+  }
+
+  const from = normalizeConversationStatus(currentStatus);
+  const errors = [];
+
+  if (!transition.from.includes(from)) {
+    errors.push(`No se puede aplicar ${action} a una conversación ${from}`);
+  }
+
+  let resolutionReason = null;
+  if (transition.to === CONVERSATION_STATUS.RESOLVED) {
+    resolutionReason = reason || (action === LIFECYCLE_ACTIONS.AUTO_RESOLVE ? RESOLUTION_REASONS.INACTIVITY : RESOLUTION_REASONS.SOLVED);
+    if (!Object.values(RESOLUTION_REASONS).includes(resolutionReason)) {
+      errors.push(`reason debe ser uno de: ${Object.values(RESOLUTION_REASONS).join(', ')}`);
+    }
+  }
+
+  let snoozedUntil = null;
+  if (transition.to === CONVERSATION_STATUS.SNOOZED) {
+    const until = snoozeUntil ? new Date(snoozeUntil) : null;
+    if (!until || Number.isNaN(until.getTime())) {
+      errors.push('snoozeUntil debe ser una fecha válida');
+    } else if (until <= now) {
+      errors.push('snoozeUntil debe ser una fecha futura');
+    } else if (until.getTime() - now.getTime() > MAX_SNOOZE_MS) {
+      errors.push('Una conversación no se puede posponer más de 30 días');
+    } else {
+      snoozedUntil = until.toISOString();
+    }
+  }
+
+  if (errors.length > 0) {
+    return { value: null, errors };
+  }
+
+  return {
+    value: { from, to: transition.to, action, reason: resolutionReason, snoozedUntil },
+    errors
+  };
+}
+
+/**
+ * Horas de inactividad antes de resolver automáticamente (0 = desactivado)
+ */
+export function parseAutoResolveHours(value = process.env.CONVERSATION_AUTO_RESOLVE_HOURS) {
+  if (value === undefined || value === null || value === '') {
+    return 72;
+  }
+  const hours = Number(value);
+  return Number.isFinite(hours) && hours > 0 ? hours : 0;
+}
+
+// CURRENT_TIMESTAMP de SQLite ("YYYY-MM-DD HH:MM:SS") está en UTC pero sin zona
+const toTime = (value) => {
+  if (!value) {
+    return NaN;
+  }
+  const text = String(value);
+  return new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text) ? `${text.replace(' ', 'T')}Z` : text).getTime();
+};
+
+/**
+ * Segundos entre la apertura y la resolución
+ */
+export function resolutionSeconds(openedAt, resolvedAt) {
+  const start = toTime(openedAt);
+  const end = toTime(resolvedAt);
+  if (Number.isNaN(start) || Number.isNaN(end) || end < start) {
+    return null;
+  }
+  return Math.round((end - start) / 1000);
+}
+
+/**
+ * Resumen de resoluciones del historial de transiciones
+ * @param {Array<{action: string, reason: string|null, resolution_seconds: number|null}>} events - Eventos que llevan a resolved
+ * @returns {{resolved: number, automatic: number, averageMinutes: number|null, medianMinutes: number|null, byReason: Object<string, number>}}
+ */
+export function summarizeResolutions(events = []) {
+  const durations = events
+    .map(event => event.resolution_seconds)
+    .filter(seconds => typeof seconds === 'number' && seconds >= 0)
+    .sort((a, b) => a - b);
+
+  const toMinutes = seconds => Math.round(seconds / 6) / 10;
+  const middle = Math.floor(durations.length / 2);
+  const median = durations.length === 0
+    ? null
+    : durations.length % 2 === 1 ? durations[middle] : (durations[middle - 1] + durations[middle]) / 2;
+
+  return {
+    resolved: events.length,
+    automatic: events.filter(event => event.action === LIFECYCLE_ACTIONS.AUTO_RESOLVE).length,
+    averageMinutes: durations.length
+      ? toMinutes(durations.reduce((sum, seconds) => sum + seconds, 0) / durations.length)
+      : null,
+    medianMinutes: median === null ? null : toMinutes(median),
+    byReason: events.reduce((acc, event) => {
+      const reason = event.reason || RESOLUTION_REASONS.OTHER;
+      acc[reason] = (acc[reason] || 0) + 1;
+      return acc;
+    }, {})
+  };
+}
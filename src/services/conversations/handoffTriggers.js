@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Disparadores de traspaso del bot a un agente humano
+ *
+ * Lógica pura usada por ConversationHandoffService: modos de la conversación,
+ * motivos de traspaso, detección de peticiones explícitas de un agente y
+ * evaluación del análisis de la IA (sentimiento, confianza y respuestas de
+ * respaldo repetidas).
+ */
+
+import { normalizeKeywordText } from '../whatsapp/optOutKeywords.js';
+
+export const BOT_MODES = Object.freeze({
+  BOT: 'bot',
+  HUMAN: 'human'
+});
+
+export const HANDOFF_STATUS = Object.freeze({
+  QUEUED: 'queued',
+  ACCEPTED: 'accepted',
+  RETURNED: 'returned'
+});
+
+// Traspasos que siguen abiertos (la conversación está en modo humano)
+export const OPEN_HANDOFF_STATUSES = [HANDOFF_STATUS.QUEUED, HANDOFF_STATUS.ACCEPTED];
+
+export const HANDOFF_REASONS = Object.freeze({
+  AGENT_REQUEST: 'agent_request',
+  NEGATIVE_SENTIMENT: 'negative_sentiment',
+  LOW_CONFIDENCE: 'low_confidence',
+  REPEATED_FALLBACK: 'repeated_fallback',
+  FLOW: 'flow',
+  MANUAL: 'manual'
+});
+
+export const DEFAULT_AGENT_REQUEST_KEYWORDS = [
+  // Español
+  'AGENTE', 'ASESOR', 'ASESORA', 'HUMANO', 'OPERADOR', 'OPERADORA', 'REPRESENTANTE',
+  'PERSONA REAL', 'HABLAR CON UNA PERSONA', 'HABLAR CON ALGUIEN', 'ATENCION AL CLIENTE',
+  // Inglés
+  'AGENT', 'HUMAN', 'REAL PERSON', 'CUSTOMER SERVICE',
+  // Portugués
+  'ATENDENTE', 'FALAR COM ALGUEM'
+];
+
+export const DEFAULT_HANDOFF_THRESHOLDS = Object.freeze({
+  // Puntuación de sentimiento (-1 a 1) a partir de la cual se traspasa
+  negativeSentiment: -0.5,
+  // Confianza mínima de la respuesta del bot (0 a 1)
+  minConfidence: 0.5,
+  // Respuestas de respaldo seguidas antes de traspasar
+  maxFallbacks: 2
+});
+
+/**
+ * Detectar si el contacto pide hablar con una persona
+ * @returns {string|null} Palabra clave encontrada
+ */
+export function detectAgentRequest(text, keywords = DEFAULT_AGENT_REQUEST_KEYWORDS) {
+  const normalized = normalizeKeywordText(text);
+  if (!normalized) {
+    return null;
+  }
+
+  // Coincidencia por palabras completas: "agente" sí, "agenteS de tránsito" no
+  const padded = ` ${normalized} `;
+  const match = keywords.find(keyword => padded.includes(` ${normalizeKeywordText(keyword)} `));
+  return match ? normalizeKeywordText(match) : null;
+}
+
+/**
+ * Evaluar el análisis de la IA de un turno del bot
+ * @param {{sentimiento?: {puntuacion: number}, confianzaRespuesta?: number, usoFallback?: boolean}} analysis
+ * @param {{fallbackCount: number}} state - Respuestas de respaldo seguidas antes de este turno
+ * @returns {{reason: string, detail: Object}|null}
+ */
+export function evaluateBotTurn(analysis = {}, { fallbackCount = 0 } = {}, thresholds = DEFAULT_HANDOFF_THRESHOLDS) {
+  const score = Number(analysis.sentimiento?.puntuacion);
+  if (Number.isFinite(score) && score <= thresholds.negativeSentiment) {
+    return {
+      reason: HANDOFF_REASONS.NEGATIVE_SENTIMENT,
+      detail: { score, label: analysis.sentimiento.etiqueta || null }
+    };
+  }
+
+  const fallbacks = analysis.usoFallback ? fallbackCount + 1 : 0;
+  if (fallbacks >= thresholds.maxFallbacks) {
+    return { reason: HANDOFF_REASONS.REPEATED_FALLBACK, detail: { fallbacks } };
+  }
+
+  const confidence = Number(analysis.confianzaRespuesta);
+  if (!analysis.usoFallback && Number.isFinite(confidence) && confidence < thresholds.minConfidence) {
+    return { reason: HANDOFF_REASONS.LOW_CONFIDENCE, detail: { confidence } };
+  }
+
+  return null;
+}
+
+/**
+ * Parsear umbrales desde variables de entorno
+ */
+export function parseHandoffThresholds(env = process.env) {
+  const number = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+  };
+
+  return {
+    negativeSentiment: number(env.HANDOFF_NEGATIVE_SENTIMENT, DEFAULT_HANDOFF_THRESHOLDS.negativeSentiment),
+    minConfidence: number(env.HANDOFF_MIN_CONFIDENCE, DEFAULT_HANDOFF_THRESHOLDS.minConfidence),
+    maxFallbacks: Math.max(1, Math.round(number(env.HANDOFF_MAX_FALLBACKS, DEFAULT_HANDOFF_THRESHOLDS.maxFallbacks)))
+  };
+}
+
+/**
+ * Resumen de respaldo (sin IA): los últimos mensajes del contacto y del bot
+ * @param {Array<{direction: string, content: string}>} messages - En orden cronológico
+ */
+export function buildFallbackSummary(messages = [], { maxMessages = 6, maxLength = 160 } = {}) {
+  const lines = messages
+    .filter(message => message.content && String(message.content).trim())
+    .slice(-maxMessages)
+    .map(message => {
+      const author = message.direction === 'inbound' ? 'Cliente' : 'Bot';
+      const text = String(message.content).trim().replace(/\s+/g, ' ');
+      return `${author}: ${text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text}`;
+    });
+
+  return lines.length > 0 ? lines.join('\n') : 'Sin mensajes previos en la conversación.';
+}
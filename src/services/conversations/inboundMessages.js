@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Mensajes entrantes con datos estructurados
+ *
+ * Lógica pura usada por UnifiedWebhookService para guardar ubicaciones,
+ * tarjetas de contacto (vCard), reacciones y el mensaje citado (context) de
+ * los mensajes que llegan de WhatsApp, con la misma forma que usa el chat en
+ * vivo para los mensajes salientes (metadata.location, metadata.contacts y
+ * metadata.replyTo).
+ */
+
+const firstValue = (list, field) => (Array.isArray(list) && list.length > 0 ? list[0][field] || null : null);
+
+/**
+ * Normalizar las tarjetas de contacto de un mensaje "contacts"
+ * @param {Array} contacts - message.contacts del webhook
+ * @returns {Array<{name: string, phone: string|null, waId: string|null, email: string|null, organization: string|null, phones: Array, emails: Array}>}
+ */
+export function parseSharedContacts(contacts = []) {
+  if (!Array.isArray(contacts)) {
+    return [];
+  }
+
+  return contacts.map((contact) => {
+    const phones = (contact.phones || [])
+      .filter(phone => phone.phone || phone.wa_id)
+      .map(phone => ({
+        phone: phone.phone || phone.wa_id,
+        waId: phone.wa_id || null,
+        type: phone.type || null
+      }));
+    const emails = (contact.emails || [])
+      .filter(email => email.email)
+      .map(email => ({ email: email.email, type: email.type || null }));
+    const name = contact.name?.formatted_name
+      || [contact.name?.first_name, contact.name?.last_name].filter(Boolean).join(' ')
+      || phones[0]?.phone
+      || 'Contacto';
+
+    return {
+      name,
+      // El wa_id ya viene normalizado; el número escrito puede tener espacios o "+"
+      phone: firstValue(phones, 'waId') || firstValue(phones, 'phone'),
+      waId: firstValue(phones, 'waId'),
+      email: firstValue(emails, 'email'),
+      organization: contact.org?.company || null,
+      title: contact.org?.title || null,
+      phones,
+      emails
+    };
+  });
+}
+
+/**
+ * Ubicación compartida por el cliente
+ */
+export function parseSharedLocation(location = {}) {
+  const latitude = Number(location.latitude);
+  const longitude = Number(location.longitude);
+  if (Number.isNaN(latitude) || Number.isNaN(longitude)) {
+    return null;
+  }
+
+  return {
+    latitude,
+    longitude,
+    name: location.name || null,
+    address: location.address || null,
+    url: location.url || null
+  };
+}
+
+/**
+ * Reacción a un mensaje; sin emoji significa que el cliente la quitó
+ * @returns {{messageId: string, emoji: string|null, removed: boolean}|null}
+ */
+export function parseReaction(reaction = {}) {
+  if (!reaction?.message_id) {
+    return null;
+  }
+
+  const emoji = reaction.emoji || null;
+  return { messageId: reaction.message_id, emoji, removed: !emoji };
+}
+
+/**
+ * Texto legible y metadata de un mensaje entrante
+ * @param {Object} message - Mensaje del webhook de WhatsApp
+ * @returns {{content: string|null, metadata: Object|null}} content null = usar el texto general
+ */
+export function describeInboundMessage(message = {}) {
+  const metadata = {};
+  let content = null;
+
+  if (message.context?.id) {
+    metadata.replyTo = message.context.id;
+  }
+  if (message.context?.forwarded || message.context?.frequently_forwarded) {
+    metadata.forwarded = true;
+  }
+
+  if (message.type === 'location') {
+    const location = parseSharedLocation(message.location);
+    if (location) {
+      metadata.location = location;
+      content = `📍 ${[location.name, location.address].filter(Boolean).join(' - ') || `${location.latitude}, ${location.longitude}`}`;
+    }
+  }
+
+  if (message.type === 'contacts') {
+    const contacts = parseSharedContacts(message.contacts);
+    if (contacts.length > 0) {
+      metadata.contacts = contacts;
+      content = `👤 ${contacts.map(contact => contact.name).join(', ')}`;
+    }
+  }
+
+  return {
+    content,
+    metadata: Object.keys(metadata).length > 0 ? metadata : null
+  };
+}
@@ -0,0 +1,502 @@
+/**
+ * @fileoverview Mensajes salientes del chat en vivo
+ *
+ * Lógica pura usada por OutboundMessageService y por la ruta de envío de
+ * chat-live: validación de cada tipo de mensaje que puede mandar un agente
+ * (texto, multimedia, botones, listas, plantillas, ubicación, tarjetas de
+ * contacto y respuestas a un mensaje concreto), construcción del mensaje de
+ * WhatsApp y la forma uniforme en que se guarda en la tabla messages.
+ */
+
+export const OUTBOUND_TYPES = Object.freeze({
+  TEXT: 'text',
+  IMAGE: 'image',
+  VIDEO: 'video',
+  AUDIO: 'audio',
+  DOCUMENT: 'document',
+  BUTTONS: 'buttons',
+  LIST: 'list',
+  TEMPLATE: 'template',
+  LOCATION: 'location',
+  LOCATION_REQUEST: 'location_request',
+  CONTACTS: 'contacts'
+});
+
+export const MEDIA_TYPES = Object.freeze(['image', 'video', 'audio', 'document']);
+
+// Tipos que WhatsApp envía como mensaje "interactive"
+const INTERACTIVE_TYPES = [OUTBOUND_TYPES.BUTTONS, OUTBOUND_TYPES.LIST, OUTBOUND_TYPES.LOCATION_REQUEST];
+
+// Límites de la API de WhatsApp Cloud
+export const OUTBOUND_LIMITS = Object.freeze({
+  text: 4096,
+  caption: 1024,
+  interactiveBody: 1024,
+  header: 60,
+  footer: 60,
+  buttons: 3,
+  buttonTitle: 20,
+  listButton: 20,
+  listSections: 10,
+  listRows: 10,
+  rowTitle: 24,
+  rowDescription: 72
+});
+
+const MIME_BY_EXTENSION = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  mp4: 'video/mp4',
+  '3gp': 'video/3gpp',
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  opus: 'audio/ogg',
+  aac: 'audio/aac',
+  m4a: 'audio/mp4',
+  amr: 'audio/amr',
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  txt: 'text/plain',
+  csv: 'text/csv'
+};
+
+// Campos que en multipart/form-data llegan como JSON en texto
+const JSON_FIELDS = ['media', 'buttons', 'list', 'template', 'location', 'contacts'];
+
+/**
+ * Tipo MIME según la extensión del archivo
+ */
+export function mimeFromFilename(filename) {
+  const extension = String(filename || '').split('.').pop().toLowerCase();
+  return MIME_BY_EXTENSION[extension] || 'application/octet-stream';
+}
+
+/**
+ * Tipo de mensaje de WhatsApp para un tipo MIME
+ */
+export function mediaTypeFromMime(mimeType) {
+  const mime = String(mimeType || '').toLowerCase();
+  if (mime.startsWith('image/')) return 'image';
+  if (mime.startsWith('video/')) return 'video';
+  if (mime.startsWith('audio/')) return 'audio';
+  return 'document';
+}
+
+/**
+ * Cuerpo de la petición de envío con los campos compuestos ya parseados
+ * @throws {SyntaxError} Si un campo JSON no es válido
+ */
+export function parseOutboundBody(body = {}) {
+  const parsed = { ...body };
+  for (const field of JSON_FIELDS) {
+    if (typeof parsed[field] === 'string' && parsed[field].trim()) {
+      parsed[field] = JSON.parse(parsed[field]);
+    }
+  }
+  return parsed;
+}
+
+const trimmed = value => (value === undefined || value === null ? '' : String(value).trim());
+
+function checkLength(errors, label, value, max, { required = false } = {}) {
+  if (!value) {
+    if (required) errors.push(`${label} es requerido`);
+    return;
+  }
+  if (value.length > max) {
+    errors.push(`${label} no puede superar ${max} caracteres`);
+  }
+}
+
+function validateMedia(input, value, errors, { hasFile }) {
+  const media = input.media || {};
+  const sources = [hasFile, media.id, media.url, media.path].filter(Boolean).length;
+
+  if (sources === 0) {
+    errors.push('Adjunta un archivo o indica media.id, media.url o media.path');
+  } else if (sources > 1) {
+    errors.push('Indica una sola fuente para el archivo');
+  }
+  if (media.url && !/^https?:\/\//i.test(media.url)) {
+    errors.push('media.url debe ser una URL http(s)');
+  }
+  if (media.path && !/^\/media\/[\w./-]+$/.test(media.path)) {
+    errors.push('media.path debe ser una ruta /media/ de la biblioteca');
+  }
+
+  value.media = {
+    id: media.id || null,
+    url: media.url || null,
+    path: media.path || null,
+    filename: trimmed(media.filename) || null
+  };
+
+  if (value.type === OUTBOUND_TYPES.AUDIO) {
+    return;
+  }
+  const caption = trimmed(input.caption ?? input.text);
+  checkLength(errors, 'caption', caption, OUTBOUND_LIMITS.caption);
+  value.caption = caption || null;
+}
+
+function validateButtons(input, value, errors) {
+  const buttons = Array.isArray(input.buttons) ? input.buttons : [];
+  if (buttons.length === 0 || buttons.length > OUTBOUND_LIMITS.buttons) {
+    errors.push(`buttons debe tener entre 1 y ${OUTBOUND_LIMITS.buttons} botones`);
+  }
+
+  value.buttons = buttons.map((button, index) => {
+    const title = trimmed(button?.title ?? button);
+    checkLength(errors, `El botón ${index + 1}`, title, OUTBOUND_LIMITS.buttonTitle, { required: true });
+    return { id: trimmed(button?.id) || `btn_${index + 1}`, title };
+  });
+
+  const titles = value.buttons.map(button => button.title.toLowerCase());
+  if (new Set(titles).size !== titles.length) {
+    errors.push('Los botones no pueden repetir título');
+  }
+}
+
+function validateList(input, value, errors) {
+  const list = input.list || {};
+  const button = trimmed(list.button);
+  checkLength(errors, 'list.button', button, OUTBOUND_LIMITS.listButton, { required: true });
+
+  const sections = Array.isArray(list.sections) ? list.sections : [];
+  if (sections.length === 0 || sections.length > OUTBOUND_LIMITS.listSections) {
+    errors.push(`list.sections debe tener entre 1 y ${OUTBOUND_LIMITS.listSections} secciones`);
+  }
+
+  let rowCount = 0;
+  value.list = {
+    button,
+    sections: sections.map((section, sectionIndex) => {
+      const rows = Array.isArray(section?.rows) ? section.rows : [];
+      if (rows.length === 0) {
+        errors.push(`La sección ${sectionIndex + 1} no tiene opciones`);
+      }
+      // Con varias secciones WhatsApp exige el título de cada una
+      const title = trimmed(section?.title);
+      if (sections.length > 1 && !title) {
+        errors.push(`La sección ${sectionIndex + 1} necesita título`);
+      }
+
+      return {
+        ...(title && { title }),
+        rows: rows.map(row => {
+          rowCount++;
+          const rowTitle = trimmed(row?.title);
+          const description = trimmed(row?.description);
+          checkLength(errors, `La opción ${rowCount}`, rowTitle, OUTBOUND_LIMITS.rowTitle, { required: true });
+          checkLength(errors, `La descripción de la opción ${rowCount}`, description, OUTBOUND_LIMITS.rowDescription);
+          return { id: trimmed(row?.id) || `row_${rowCount}`, title: rowTitle, ...(description && { description }) };
+        })
+      };
+    })
+  };
+
+  if (rowCount > OUTBOUND_LIMITS.listRows) {
+    errors.push(`Una lista admite como máximo ${OUTBOUND_LIMITS.listRows} opciones`);
+  }
+}
+
+function validateTemplate(input, value, errors) {
+  const template = input.template || {};
+  const name = trimmed(template.name);
+  if (!name) {
+    errors.push('template.name es requerido');
+  }
+
+  const toParameters = (list, label) => (Array.isArray(list) ? list : []).map((parameter, index) => {
+    const text = trimmed(parameter);
+    if (!text) errors.push(`Falta el valor de la variable {{${index + 1}}} del ${label}`);
+    return text;
+  });
+
+  value.template = {
+    name,
+    language: trimmed(template.language?.code ?? template.language) || 'es',
+    headerParameters: toParameters(template.headerParameters, 'encabezado'),
+    bodyParameters: toParameters(template.bodyParameters, 'cuerpo'),
+    bodyText: trimmed(template.bodyText) || null
+  };
+}
+
+function validateLocation(input, value, errors) {
+  const location = input.location || {};
+  const latitude = Number(location.latitude);
+  const longitude = Number(location.longitude);
+
+  if (location.latitude === undefined || location.latitude === '' || Number.isNaN(latitude) || latitude < -90 || latitude > 90) {
+    errors.push('location.latitude debe estar entre -90 y 90');
+  }
+  if (location.longitude === undefined || location.longitude === '' || Number.isNaN(longitude) || longitude < -180 || longitude > 180) {
+    errors.push('location.longitude debe estar entre -180 y 180');
+  }
+
+  value.location = {
+    latitude,
+    longitude,
+    name: trimmed(location.name) || null,
+    address: trimmed(location.address) || null
+  };
+}
+
+function validateContacts(input, value, errors) {
+  const contacts = Array.isArray(input.contacts) ? input.contacts : [];
+  if (contacts.length === 0) {
+    errors.push('contacts debe incluir al menos un contacto');
+  }
+
+  value.contacts = contacts.map((contact, index) => {
+    const name = trimmed(contact?.name);
+    const phone = trimmed(contact?.phone).replace(/[^\d+]/g, '');
+    if (!name) errors.push(`El contacto ${index + 1} necesita nombre`);
+    if (!phone) errors.push(`El contacto ${index + 1} necesita teléfono`);
+    return {
+      name,
+      phone,
+      email: trimmed(contact?.email) || null,
+      organization: trimmed(contact?.organization) || null
+    };
+  });
+}
+
+/**
+ * Validar y normalizar un mensaje saliente
+ * @param {Object} input - Cuerpo de la petición (ver parseOutboundBody)
+ * @param {Object} options
+ * @param {boolean} options.hasFile - Se subió un archivo con la petición
+ * @returns {{value: Object, errors: string[]}}
+ */
+export function validateOutboundMessage(input = {}, { hasFile = false } = {}) {
+  const errors = [];
+  const type = input.type || (hasFile ? 'media' : OUTBOUND_TYPES.TEXT);
+  const value = { type };
+
+  // Un archivo subido sin tipo se envía según su MIME (lo decide el servicio)
+  if (type === 'media' && hasFile) {
+    value.type = null;
+  } else if (!Object.values(OUTBOUND_TYPES).includes(type)) {
+    errors.push(`Tipo de mensaje no soportado: ${type}`);
+    return { value, errors };
+  }
+
+  if (value.type === null || MEDIA_TYPES.includes(type)) {
+    validateMedia(input, value, errors, { hasFile });
+  } else if (type === OUTBOUND_TYPES.TEXT) {
+    const text = trimmed(input.text);
+    checkLength(errors, 'El texto del mensaje', text, OUTBOUND_LIMITS.text, { required: true });
+    value.text = text;
+  } else if (INTERACTIVE_TYPES.includes(type)) {
+    const text = trimmed(input.text);
+    if (type === OUTBOUND_TYPES.LOCATION_REQUEST) {
+      value.text = text || 'Comparte tu ubicación';
+    } else {
+      checkLength(errors, 'El texto del mensaje', text, OUTBOUND_LIMITS.interactiveBody, { required: true });
+      value.text = text;
+      value.header = trimmed(input.header) || null;
+      value.footer = trimmed(input.footer) || null;
+      checkLength(errors, 'header', value.header, OUTBOUND_LIMITS.header);
+      checkLength(errors, 'footer', value.footer, OUTBOUND_LIMITS.footer);
+    }
+    if (type === OUTBOUND_TYPES.BUTTONS) validateButtons(input, value, errors);
+    if (type === OUTBOUND_TYPES.LIST) validateList(input, value, errors);
+  } else if (type === OUTBOUND_TYPES.TEMPLATE) {
+    validateTemplate(input, value, errors);
+  } else if (type === OUTBOUND_TYPES.LOCATION) {
+    validateLocation(input, value, errors);
+  } else if (type === OUTBOUND_TYPES.CONTACTS) {
+    validateContacts(input, value, errors);
+  }
+
+  const replyTo = trimmed(input.replyTo);
+  if (replyTo.length > 200) {
+    errors.push('replyTo no es un ID de mensaje válido');
+  }
+  value.replyTo = replyTo || null;
+
+  return { value, errors };
+}
+
+/**
+ * Sustituir {{1}}, {{2}}... del texto de una plantilla
+ */
+export function fillTemplateText(text, parameters = []) {
+  return String(text || '').replace(/\{\{\s*(\d+)\s*\}\}/g, (match, index) => parameters[index - 1] ?? match);
+}
+
+/**
+ * Tarjeta de contacto en el formato de WhatsApp
+ */
+function toWhatsAppContact(contact) {
+  const [firstName, ...rest] = contact.name.split(/\s+/);
+  return {
+    name: {
+      formatted_name: contact.name,
+      first_name: firstName,
+      ...(rest.length > 0 && { last_name: rest.join(' ') })
+    },
+    phones: [{ phone: contact.phone, type: 'CELL' }],
+    ...(contact.email && { emails: [{ email: contact.email, type: 'WORK' }] }),
+    ...(contact.organization && { org: { company: contact.organization } })
+  };
+}
+
+function buildInteractive(value) {
+  if (value.type === OUTBOUND_TYPES.LOCATION_REQUEST) {
+    return {
+      type: 'location_request_message',
+      body: { text: value.text },
+      action: { name: 'send_location' }
+    };
+  }
+
+  const interactive = {
+    type: value.type === OUTBOUND_TYPES.BUTTONS ? 'button' : 'list',
+    body: { text: value.text }
+  };
+  if (value.header) interactive.header = { type: 'text', text: value.header };
+  if (value.footer) interactive.footer = { text: value.footer };
+
+  interactive.action = value.type === OUTBOUND_TYPES.BUTTONS
+    ? { buttons: value.buttons.map(button => ({ type: 'reply', reply: button })) }
+    : { button: value.list.button, sections: value.list.sections };
+  return interactive;
+}
+
+function buildTemplate(template) {
+  const components = [];
+  const toText = parameters => parameters.map(text => ({ type: 'text', text }));
+
+  if (template.headerParameters.length > 0) {
+    components.push({ type: 'header', parameters: toText(template.headerParameters) });
+  }
+  if (template.bodyParameters.length > 0) {
+    components.push({ type: 'body', parameters: toText(template.bodyParameters) });
+  }
+
+  return {
+    name: template.name,
+    language: { code: template.language },
+    ...(components.length > 0 && { components })
+  };
+}
+
+/**
+ * Mensaje de WhatsApp listo para Unified360DialogService.sendMessage
+ * @param {string} to - Teléfono normalizado
+ * @param {Object} value - Resultado de validateOutboundMessage (con value.type resuelto)
+ * @param {Object} [media] - Archivo resuelto: { id } o { link }
+ */
+export function buildOutboundPayload(to, value, media = null) {
+  const payload = {
+    messaging_product: 'whatsapp',
+    recipient_type: 'individual',
+    to
+  };
+
+  if (value.replyTo) {
+    payload.context = { message_id: value.replyTo };
+  }
+
+  if (MEDIA_TYPES.includes(value.type)) {
+    const content = media?.id ? { id: media.id } : { link: media?.link };
+    if (value.caption && value.type !== OUTBOUND_TYPES.AUDIO) content.caption = value.caption;
+    if (value.type === OUTBOUND_TYPES.DOCUMENT && value.media.filename) content.filename = value.media.filename;
+    return { ...payload, type: value.type, [value.type]: content };
+  }
+
+  switch (value.type) {
+    case OUTBOUND_TYPES.TEXT:
+      return { ...payload, type: 'text', text: { body: value.text, preview_url: /https?:\/\//i.test(value.text) } };
+    case OUTBOUND_TYPES.TEMPLATE:
+      return { ...payload, type: 'template', template: buildTemplate(value.template) };
+    case OUTBOUND_TYPES.LOCATION:
+      return {
+        ...payload,
+        type: 'location',
+        location: {
+          latitude: value.location.latitude,
+          longitude: value.location.longitude,
+          ...(value.location.name && { name: value.location.name }),
+          ...(value.location.address && { address: value.location.address })
+        }
+      };
+    case OUTBOUND_TYPES.CONTACTS:
+      return { ...payload, type: 'contacts', contacts: value.contacts.map(toWhatsAppContact) };
+    default:
+      return { ...payload, type: 'interactive', interactive: buildInteractive(value) };
+  }
+}
+
+/**
+ * Texto legible del mensaje (timeline, vista previa y búsqueda)
+ */
+function describeContent(value) {
+  switch (value.type) {
+    case OUTBOUND_TYPES.TEXT:
+    case OUTBOUND_TYPES.BUTTONS:
+    case OUTBOUND_TYPES.LIST:
+    case OUTBOUND_TYPES.LOCATION_REQUEST:
+      return value.text;
+    case OUTBOUND_TYPES.TEMPLATE:
+      return value.template.bodyText
+        ? fillTemplateText(value.template.bodyText, value.template.bodyParameters)
+        : `📝 Plantilla ${value.template.name}`;
+    case OUTBOUND_TYPES.LOCATION:
+      return `📍 ${[value.location.name, value.location.address].filter(Boolean).join(' - ') || `${value.location.latitude}, ${value.location.longitude}`}`;
+    case OUTBOUND_TYPES.CONTACTS:
+      return `👤 ${value.contacts.map(contact => contact.name).join(', ')}`;
+    default:
+      return value.caption || value.media?.filename || '';
+  }
+}
+
+/**
+ * Forma en que se guarda el mensaje en la tabla messages
+ * @param {Object} value - Resultado de validateOutboundMessage (con value.type resuelto)
+ * @param {Object} [media] - { id, link, localUrl, filename, mimeType }
+ * @returns {{type: string, content: string, mediaUrl: string|null, mediaType: string|null, metadata: Object}}
+ */
+export function describeOutboundMessage(value, media = null) {
+  const metadata = { kind: value.type };
+
+  if (value.replyTo) metadata.replyTo = value.replyTo;
+  if (value.header) metadata.header = value.header;
+  if (value.footer) metadata.footer = value.footer;
+  if (value.buttons) metadata.buttons = value.buttons;
+  if (value.list) metadata.list = value.list;
+  if (value.location) metadata.location = value.location;
+  if (value.contacts) metadata.contacts = value.contacts;
+  if (value.template) {
+    metadata.template = {
+      name: value.template.name,
+      language: value.template.language,
+      headerParameters: value.template.headerParameters,
+      bodyParameters: value.template.bodyParameters
+    };
+  }
+  if (media) {
+    metadata.media = {
+      id: media.id || null,
+      filename: media.filename || value.media?.filename || null,
+      mimeType: media.mimeType || null
+    };
+  }
+
+  return {
+    type: INTERACTIVE_TYPES.includes(value.type) ? 'interactive' : value.type,
+    content: describeContent(value),
+    mediaUrl: media ? (media.localUrl || media.link || null) : null,
+    mediaType: media?.mimeType || null,
+    metadata
+  };
+}
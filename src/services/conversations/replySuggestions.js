@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Borradores de respuesta sugeridos por la IA
+ *
+ * Lógica pura usada por ReplySuggestionService: construcción del prompt con
+ * el contexto de la conversación (mensajes, campos personalizados y pedidos),
+ * lectura de los borradores que devuelve el modelo y distancia de edición
+ * entre el borrador y lo que el agente envió finalmente.
+ */
+
+export const SUGGESTION_OUTCOMES = Object.freeze({
+  ACCEPTED: 'accepted',
+  EDITED: 'edited',
+  DISMISSED: 'dismissed'
+});
+
+export const MIN_SUGGESTIONS = 2;
+export const MAX_SUGGESTIONS = 3;
+
+export const SUGGESTION_SYSTEM_PROMPT = `Eres un asistente que redacta borradores de respuesta para un agente de atención por WhatsApp.
+Propón respuestas distintas entre sí, ordenadas de la más a la menos adecuada, en el idioma del cliente,
+de 1 a 3 oraciones, sin inventar datos que no aparezcan en el contexto.
+Responde SOLO con un arreglo JSON de textos, por ejemplo: ["respuesta 1", "respuesta 2"]`;
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return '-';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Construir el prompt de sugerencias
+ * @param {Object} context
+ * @param {Array<{direction: string, content: string}>} context.messages - En orden cronológico
+ * @param {{name?: string, phone?: string, email?: string, tags?: string[]}} context.contact
+ * @param {Array<{name: string, typedValue?: *, value?: *}>} context.customFields
+ * @param {Array<{id: number, status: string, total_amount: number, items?: string, created_at: string}>} context.orders
+ * @param {number} count - Borradores pedidos
+ */
+export function buildSuggestionPrompt({ messages = [], contact = {}, customFields = [], orders = [] } = {}, count = MAX_SUGGESTIONS) {
+  const lines = [];
+
+  lines.push('Contacto:');
+  lines.push(`- Nombre: ${formatValue(contact.name)}`);
+  if (contact.email) {
+    lines.push(`- Email: ${contact.email}`);
+  }
+  if (Array.isArray(contact.tags) && contact.tags.length > 0) {
+    lines.push(`- Etiquetas: ${contact.tags.join(', ')}`);
+  }
+
+  if (customFields.length > 0) {
+    lines.push('', 'Campos personalizados:');
+    customFields.forEach(field => {
+      lines.push(`- ${field.name}: ${formatValue(field.typedValue ?? field.value)}`);
+    });
+  }
+
+  if (orders.length > 0) {
+    lines.push('', 'Pedidos recientes:');
+    orders.forEach(order => {
+      lines.push(`- #${order.id} (${order.created_at}): ${order.status}, total ${formatValue(order.total_amount)}${order.items ? `, ${order.items}` : ''}`);
+    });
+  }
+
+  lines.push('', 'Conversación:');
+  messages
+    .filter(message => message.content)
+    .forEach(message => {
+      lines.push(`${message.direction === 'inbound' ? 'Cliente' : 'Agente'}: ${message.content}`);
+    });
+
+  lines.push('', `Redacta ${count} borradores para la próxima respuesta del agente.`);
+  return lines.join('\n');
+}
+
+/**
+ * Leer los borradores devueltos por el modelo (arreglo JSON o lista numerada)
+ * @returns {string[]}
+ */
+export function parseSuggestions(text, max = MAX_SUGGESTIONS) {
+  if (!text) {
+    return [];
+  }
+
+  let candidates = null;
+  const jsonMatch = String(text).match(/\[[\s\S]*\]/);
+  if (jsonMatch) {
+    try {
+      const parsed = JSON.parse(jsonMatch[0]);
+      if (Array.isArray(parsed)) {
+        candidates = parsed.map(item => (typeof item === 'string' ? item : item?.text || item?.respuesta || ''));
+      }
+    } catch {
+      candidates = null;
+    }
+  }
+
+  if (!candidates) {
+    candidates = String(text)
+      .split('\n')
+      .map(line => line.replace(/^\s*(?:\d+[.)]|[-*•])\s*/, ''));
+  }
+
+  const unique = [];
+  for (const candidate of candidates) {
+    const cleaned = String(candidate).trim().replace(/^"(.*)"$/s, '$1').trim();
+    if (cleaned && !unique.some(existing => existing.toLowerCase() === cleaned.toLowerCase())) {
+      unique.push(cleaned);
+    }
+  }
+  return unique.slice(0, max);
+}
+
+/**
+ * Distancia de Levenshtein entre dos textos
+ */
+export function editDistance(a = '', b = '') {
+  const source = String(a);
+  const target = String(b);
+  if (source === target) {
+    return 0;
+  }
+
+  let previous = Array.from({ length: target.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= source.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= target.length; j++) {
+      const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[target.length];
+}
+
+/**
+ * Comparar el borrador con el texto enviado
+ * @returns {{outcome: string, editDistance: number, similarity: number}}
+ */
+export function compareDraft(draft, sentText) {
+  const original = String(draft || '').trim();
+  const sent = String(sentText || '').trim();
+  const distance = editDistance(original, sent);
+  const longest = Math.max(original.length, sent.length);
+
+  return {
+    outcome: distance === 0 ? SUGGESTION_OUTCOMES.ACCEPTED : SUGGESTION_OUTCOMES.EDITED,
+    editDistance: distance,
+    similarity: longest === 0 ? 1 : Math.round((1 - distance / longest) * 1000) / 1000
+  };
+}
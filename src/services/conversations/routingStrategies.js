@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Estrategias de enrutamiento de conversaciones
+ *
+ * Funciones puras que eligen el agente que debe atender una conversación
+ * a partir de la carga de trabajo actual de cada agente disponible.
+ */
+
+export const ROUTING_STRATEGIES = Object.freeze({
+  ROUND_ROBIN: 'round_robin',
+  LEAST_BUSY: 'least_busy',
+  MANUAL: 'manual'
+});
+
+/**
+ * Convertir fecha de última asignación a número comparable (null = nunca asignado)
+ */
+function lastAssignedValue(agent) {
+  if (!agent.last_assigned_at) {
+    return 0;
+  }
+  const time = new Date(agent.last_assigned_at).getTime();
+  return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Ordenar por asignación más antigua y, en empate, por ID
+ */
+function byLastAssigned(a, b) {
+  return lastAssignedValue(a) - lastAssignedValue(b) || a.id - b.id;
+}
+
+/**
+ * Seleccionar agente para una conversación
+ * @param {Array<Object>} workloads - Agentes con { id, open_conversations, last_assigned_at }
+ * @param {string} strategy - Estrategia de enrutamiento
+ * @param {Object} options - Opciones
+ * @param {number} options.maxOpenPerAgent - Máximo de conversaciones abiertas por agente (0 = sin límite)
+ * @returns {Object|null} Agente seleccionado o null si no hay ninguno elegible
+ */
+export function selectAgent(workloads, strategy, { maxOpenPerAgent = 0 } = {}) {
+  if (!Array.isArray(workloads) || strategy === ROUTING_STRATEGIES.MANUAL) {
+    return null;
+  }
+
+  const eligible = workloads.filter(agent =>
+    !maxOpenPerAgent || (agent.open_conversations || 0) < maxOpenPerAgent
+  );
+
+  if (eligible.length === 0) {
+    return null;
+  }
+
+  if (strategy === ROUTING_STRATEGIES.LEAST_BUSY) {
+    return [...eligible].sort((a, b) =>
+      (a.open_conversations || 0) - (b.open_conversations || 0) || byLastAssigned(a, b)
+    )[0];
+  }
+
+  if (strategy === ROUTING_STRATEGIES.ROUND_ROBIN) {
+    return [...eligible].sort(byLastAssigned)[0];
+  }
+
+  return null;
+}
+
+export default { ROUTING_STRATEGIES, selectAgent };
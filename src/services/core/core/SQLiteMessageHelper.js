@@ -19,7 +19,9 @@ const logger = createLogger('SQLITE_MESSAGE_HELPER');
  * @param {string} messageData.media_url - URL de media (opcional)
  * @param {string} messageData.status - Estado (received, sent, delivered, read, failed)
  * @param {string} messageData.message_id - ID del mensaje de WhatsApp
- * @returns {Promise<void>}
+ * @param {Object} messageData.metadata - Datos adicionales, p. ej. citas de la base de conocimiento (opcional)
+ * @param {number} messageData.channel_id - Canal de WhatsApp que recibió o envió el mensaje; la conversación queda en ese canal (opcional)
+ * @returns {Promise<{id: number, conversationId: number|null}>} IDs del mensaje y de la conversación (null si no se pudo obtener ni crear)
  */
 export async function saveMessageToSQLite(messageData) {
   return new Promise((resolve, reject) => {
@@ -34,9 +36,13 @@ export async function saveMessageToSQLite(messageData) {
       media_url,
       status,
       message_id,
-      conversation_id
+      conversation_id,
+      metadata,
+      channel_id
     } = messageData;
 
+    const hasChannel = channel_id !== undefined && channel_id !== null;
+
     const now = new Date().toISOString();
 
     // Si no hay conversation_id, obtenerlo del contact_id
@@ -74,8 +80,8 @@ export async function saveMessageToSQLite(messageData) {
     getConversationId((convId) => {
       const sql = `INSERT INTO messages (
         contact_id, conversation_id, type, direction, content, media_url, status, 
-        message_id, timestamp, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+        message_id, metadata, timestamp, created_at${hasChannel ? ', channel_id' : ''}
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?${hasChannel ? ', ?' : ''})`;
 
       const params = [
         contact_id,
@@ -86,9 +92,13 @@ export async function saveMessageToSQLite(messageData) {
         media_url || null,
         status,
         message_id,
+        metadata ? JSON.stringify(metadata) : null,
         now,
         now
       ];
+      if (hasChannel) {
+        params.push(channel_id);
+      }
 
       db.run(sql, params, function(err) {
         if (err) {
@@ -103,8 +113,24 @@ export async function saveMessageToSQLite(messageData) {
             status,
             messageId: message_id
           });
-          db.close();
-          resolve({ id: this.lastID });
+          const messageId = this.lastID;
+          const finish = () => {
+            db.close();
+            resolve({ id: messageId, conversationId: convId ?? null });
+          };
+
+          if (!hasChannel || !convId) {
+            finish();
+            return;
+          }
+
+          // La conversación sigue en el número por el que se habló por última vez
+          db.run('UPDATE conversations SET channel_id = ? WHERE id = ?', [channel_id, convId], (updateErr) => {
+            if (updateErr) {
+              logger.warn(`⚠️ No se pudo asignar el canal a la conversación ${convId}: ${updateErr.message}`);
+            }
+            finish();
+          });
         }
       });
     });
@@ -13,6 +13,13 @@ import { EventTypes } from './EventTypes.js';
 import { CONFIG } from '../../../../apps/api/src/core/config.js';
 import contextManager from '../../../managers/context_manager.js';
 import { intelligentAI } from '../../../../apps/api/src/services/IntelligentAIService.js';
+import {
+  messageWindowService,
+  MessageWindowClosedError,
+  WHATSAPP_REENGAGEMENT_ERROR_CODE
+} from '../../whatsapp/MessageWindowService.js';
+import { whatsAppChannelService, ChannelError } from '../../whatsapp/WhatsAppChannelService.js';
+import { resolveDialog360Url, getSimulatorUrl } from '../../../integrations/360dialog/dialog360Endpoints.js';
 
 /**
  * Clase de error personalizada para 360Dialog
@@ -34,11 +41,12 @@ class Dialog360Error extends Error {
 class Unified360DialogService {
   constructor() {
     // Configuración de API - Estandarizada
-    this.baseUrl = process.env.D360_API_BASE || 'https://waba-v2.360dialog.io';  // ✅ Usar waba-v2
+    this.baseUrl = resolveDialog360Url(process.env.D360_API_BASE || 'https://waba-v2.360dialog.io');  // ✅ Usar waba-v2 (o el simulador)
     this.apiKey = process.env.D360_API_KEY;
     this.phoneNumberId = process.env.D360_PHONE_NUMBER_ID;
     this.businessAccountId = process.env.D360_BUSINESS_ACCOUNT_ID;
     this.webhookUrl = process.env.D360_WEBHOOK_URL;
+    this.channel = null; // Canal registrado (null = credenciales D360_* del entorno)
         
     // Servicios internos
     this.logger = logger;
@@ -317,7 +325,7 @@ class Unified360DialogService {
      try {
        const config = {
          method: 'GET',
-         url: `https://waba-v2.360dialog.io/${mediaId}`,
+         url: `${this.baseUrl}/${mediaId}`,
          headers: {
            'D360-API-KEY': this.apiKey
          },
@@ -457,7 +465,7 @@ class Unified360DialogService {
       this.updateMetrics('error');
       logger.error(`❌ Failed to send text message to ${to}:`, error.message);
             
-      if (error instanceof Dialog360Error) {
+      if (error instanceof Dialog360Error || error instanceof MessageWindowClosedError) {
         throw error;
       }
             
@@ -624,6 +632,22 @@ Envíanos el comprobante una vez realices la transferencia.
   async sendMessage(messageData, options = {}) {
     try {
       const { useQueue = true, priority = 'normal', retryCount = 0 } = options;
+
+      // Sin canal fijado: el elegido, el de la conversación o el predeterminado
+      if (!this.channel && !options.channelResolved) {
+        const channel = await whatsAppChannelService.resolveOutboundChannel({
+          channelId: options.channelId,
+          phone: messageData.to
+        });
+        if (channel) {
+          return await this.withChannel(channel).sendMessage(messageData, options);
+        }
+      }
+
+      // Fuera de la ventana de 24h solo se permiten plantillas
+      if (messageData.type !== 'template' && !options.skipWindowCheck) {
+        await messageWindowService.assertWindowOpen(messageData.to);
+      }
             
       // Si se debe usar cola, agregar a la cola
       if (useQueue && !options.skipQueue) {
@@ -647,6 +671,7 @@ Envíanos el comprobante una vez realices la transferencia.
           success: true,
           messageId: message.id,
           status: message.message_status,
+          channelId: this.channel ? this.channel.id : null,
           data: response.data,
           timestamp: new Date().toISOString()
         };
@@ -657,9 +682,14 @@ Envíanos el comprobante una vez realices la transferencia.
     } catch (error) {
       this.updateMetrics('error');
             
-      if (error instanceof Dialog360Error) {
+      if (error instanceof Dialog360Error || error instanceof MessageWindowClosedError || error instanceof ChannelError) {
         throw error;
       }
+
+      // WhatsApp rechaza el mensaje libre por ventana cerrada
+      if (error.response?.data?.error?.code === WHATSAPP_REENGAGEMENT_ERROR_CODE) {
+        throw new MessageWindowClosedError(undefined, { phone: messageData.to });
+      }
             
       throw new Dialog360Error(
         `Failed to send message: ${error.message}`,
@@ -1140,10 +1170,16 @@ Envíanos el comprobante una vez realices la transferencia.
     while (this.isProcessingQueue) {
       try {
         if (this.messageQueue.length > 0) {
-          const { messageData, options, resolve, reject } = this.messageQueue.shift();
+          const { messageData, options, sender, resolve, reject } = this.messageQueue.shift();
                     
           try {
-            const result = await this.sendMessage(messageData, { ...options, skipQueue: true });
+            // La ventana de 24h y el canal ya se resolvieron al encolar
+            const result = await (sender || this).sendMessage(messageData, {
+              ...options,
+              skipQueue: true,
+              skipWindowCheck: true,
+              channelResolved: true
+            });
             resolve(result);
           } catch (error) {
             reject(error);
@@ -1250,6 +1286,7 @@ Envíanos el comprobante una vez realices la transferencia.
       this.messageQueue.push({
         messageData,
         options,
+        sender: this,
         resolve,
         reject,
         timestamp: Date.now()
@@ -1257,6 +1294,33 @@ Envíanos el comprobante una vez realices la transferencia.
     });
   }
 
+  /**
+     * Vista del servicio que envía con las credenciales de un canal registrado.
+     * Comparte cola, métricas y rate limiting con la instancia original.
+     * @param {Object|null} channel - Credenciales de WhatsAppChannelService.getCredentials
+     */
+  withChannel(channel) {
+    if (!channel) {
+      return this;
+    }
+
+    const view = Object.create(this);
+    view.channel = channel;
+    view.apiKey = channel.apiKey;
+    view.phoneNumberId = channel.phoneNumberId;
+    view.businessAccountId = channel.wabaId || this.businessAccountId;
+    view.baseUrl = getSimulatorUrl() || channel.baseUrl || this.baseUrl;
+    return view;
+  }
+
+  /**
+     * Vista del servicio para el canal de salida de un destinatario
+     * @param {Object} target - { channelId?, phone? } (ver WhatsAppChannelService.resolveOutboundChannel)
+     */
+  async forChannel(target = {}) {
+    return this.withChannel(await whatsAppChannelService.resolveOutboundChannel(target));
+  }
+
   /**
      * Detener el servicio
      */
@@ -8,6 +8,25 @@ import { unified360DialogService } from '../core/Unified360DialogService.js';
 import { messageUtils } from '../../../shared/utils/helpers/helpers/MessageUtils.js';
 import logger from './logger.js';
 import { Persuader } from '../../../../apps/api/src/ai/persuader.js';
+import { conversationAssignmentService } from '../../conversations/ConversationAssignmentService.js';
+import { messageWindowService } from '../../whatsapp/MessageWindowService.js';
+import { deliveryFailureService } from '../../whatsapp/DeliveryFailureService.js';
+import { suppressionService } from '../../whatsapp/SuppressionService.js';
+import { SUBSCRIPTION_ACTIONS } from '../../whatsapp/optOutKeywords.js';
+import { flowRuntimeService } from '../../flows/FlowRuntimeService.js';
+import { conversationHandoffService } from '../../conversations/ConversationHandoffService.js';
+import { intelligentAI } from '../../../../apps/api/src/services/IntelligentAIService.js';
+import { knowledgeBaseService } from '../../knowledge/KnowledgeBaseService.js';
+import { messageReactionService } from '../../conversations/MessageReactionService.js';
+import { campaignAbTestService } from '../../campaigns/CampaignAbTestService.js';
+import { conversationLifecycleService } from '../../conversations/ConversationLifecycleService.js';
+import { describeInboundMessage, parseReaction } from '../../conversations/inboundMessages.js';
+import { templateLifecycleService } from '../../whatsapp/TemplateLifecycleService.js';
+import { isTemplateWebhookField } from '../../whatsapp/templateLifecycle.js';
+import { whatsAppChannelService } from '../../whatsapp/WhatsAppChannelService.js';
+import { PERMISSIONS } from '../../auth/permissions.js';
+import { emitToPermission } from '../../auth/socketRooms.js';
+import { resolveDialog360Url } from '../../../integrations/360dialog/dialog360Endpoints.js';
 import crypto from 'crypto';
 import axios from 'axios';
 
@@ -122,7 +141,7 @@ export class UnifiedWebhookService {
         };
       }
             
-      // Webhook signature verification removed - no longer needed
+      // La firma HMAC se verifica en la capa de rutas (webhookSignature.middleware.js)
             
       // Verificar si ya está siendo procesado
       if (this.processingQueue.has(webhookId)) {
@@ -209,6 +228,12 @@ export class UnifiedWebhookService {
           const { value } = change;
                     
           if (!value) continue;
+
+          // Cambios de estado, categoría y calidad de plantillas
+          if (isTemplateWebhookField(change.field)) {
+            results.push(await templateLifecycleService.handleWebhookChange(change.field, value));
+            continue;
+          }
                     
           // Procesar mensajes entrantes (de usuarios)
           if (value.messages && Array.isArray(value.messages)) {
@@ -437,32 +462,51 @@ export class UnifiedWebhookService {
 
        logger.info(`📨 Processing incoming message from ${from}, type: ${type}`);
 
+      // Las reacciones no son mensajes nuevos: se asocian al mensaje al que reaccionan
+      if (type === 'reaction') {
+        return await this.processReaction(message);
+      }
+
+      // Respuestas y clics en botones de campañas con prueba A/B
+      campaignAbTestService.recordInboundResponse(message)
+        .catch(error => logger.error(`❌ Error atribuyendo respuesta de campaña de ${from}:`, error.message));
+
+      // Ubicación, tarjetas de contacto y mensaje citado (context) como datos estructurados
+      const inbound = describeInboundMessage(message);
+      const storedMetadata = interactive || inbound.metadata
+        ? { ...inbound.metadata, ...(interactive && { interactive }) }
+        : null;
+
       // Extraer contenido del mensaje una sola vez
       const messageContent = text?.body || text ||
                            interactive?.button_reply?.title ||
                            interactive?.list_reply?.title ||
                            button?.text ||
+                           inbound.content ||
                            (type === 'location' ? '📍 Ubicación compartida' : null) ||
                            (type === 'contacts' ? '👤 Contacto compartido' : null) ||
                            (type === 'document' ? '📄 Documento' : null) ||
                            '';
 
+      // Número que recibió el mensaje (null = número principal del .env)
+      const channel = await whatsAppChannelService.resolveInboundChannel(context?.metadata?.phone_number_id);
+
       // Extraer media ID y descargar automáticamente si es multimedia
       let mediaUrl = null;
       let mediaType = null;
 
       if (type === 'image' && message.image?.id) {
         mediaType = message.image.mime_type || 'image/jpeg';
-        mediaUrl = await this.downloadMediaFromId(message.image.id, mediaType, type);
+        mediaUrl = await this.downloadMediaFromId(message.image.id, mediaType, type, channel);
       } else if (type === 'video' && message.video?.id) {
         mediaType = message.video.mime_type || 'video/mp4';
-        mediaUrl = await this.downloadMediaFromId(message.video.id, mediaType, type);
+        mediaUrl = await this.downloadMediaFromId(message.video.id, mediaType, type, channel);
       } else if (type === 'audio' && message.audio?.id) {
         mediaType = message.audio.mime_type || 'audio/ogg';
-        mediaUrl = await this.downloadMediaFromId(message.audio.id, mediaType, type);
+        mediaUrl = await this.downloadMediaFromId(message.audio.id, mediaType, type, channel);
       } else if (type === 'document' && message.document?.id) {
         mediaType = message.document.mime_type || 'application/pdf';
-        mediaUrl = await this.downloadMediaFromId(message.document.id, mediaType, type);
+        mediaUrl = await this.downloadMediaFromId(message.document.id, mediaType, type, channel);
       }
 
       // Procesar mensajes interactivos
@@ -510,15 +554,36 @@ export class UnifiedWebhookService {
         const contactId = await createOrUpdateContact(from, message._profileName);
 
         // Guardar mensaje
-        await saveMessageToSQLite({
+        const savedMessage = await saveMessageToSQLite({
           contact_id: contactId,
           type,
           direction: 'inbound',
           content: messageContent,
           media_url: mediaUrl,
           status: 'received',
-          message_id: message.id
+          message_id: message.id,
+          metadata: storedMetadata,
+          channel_id: channel ? channel.id : null
+        });
+
+        // Abrir/renovar la ventana de atención de 24h
+        const receivedAt = message.timestamp ? new Date(Number(message.timestamp) * 1000) : new Date();
+        const windowState = await messageWindowService.recordInboundMessage(contactId, receivedAt);
+        emitToPermission(this.io, PERMISSIONS.CONVERSATIONS_READ, 'message_window_updated', {
+          phone: from,
+          contactId,
+          conversationId: savedMessage.conversationId,
+          ...windowState
         });
+
+        // Sin conversación propia (no se pudo obtener ni crear) no hay nada que reabrir ni enrutar
+        if (savedMessage.conversationId !== null) {
+          // Reabrir la conversación si estaba pendiente, pospuesta o resuelta
+          await conversationLifecycleService.handleInbound(savedMessage.conversationId);
+
+          // Enrutar la conversación a un agente si aún no tiene responsable
+          await conversationAssignmentService.routeConversation(savedMessage.conversationId);
+        }
       } catch (dbError) {
         logger.error('❌ Error saving message to SQLite:', dbError.message);
         logger.error('❌ Stack trace:', dbError.stack);
@@ -574,6 +639,12 @@ export class UnifiedWebhookService {
       case 'document':
         response = await this.processMediaMessage(from, message, context);
         break;
+
+      case 'location':
+      case 'contacts':
+        // Quedan guardados como datos estructurados para el agente
+        response = { type: `${type}_stored`, processed: true };
+        break;
                     
       default:
         logger.warn(`⚠️ Unsupported message type: ${type}`);
@@ -605,9 +676,12 @@ export class UnifiedWebhookService {
            longitude: type === 'location' ? message.location?.longitude : null,
            locationName: type === 'location' ? message.location?.name : null,
            locationAddress: type === 'location' ? message.location?.address : null,
+           // Mensaje citado y tarjetas de contacto
+           replyTo: inbound.metadata?.replyTo || null,
+           contacts: inbound.metadata?.contacts || null,
            // Incluir datos interactivos si existen
            interactive: interactive,
-           metadata: interactive ? { interactive: interactive } : {}
+           metadata: storedMetadata || {}
          };
 
          // Emitir a todos los clientes conectados
@@ -646,6 +720,39 @@ export class UnifiedWebhookService {
     }
   }
 
+  /**
+   * Procesar reacción de un cliente a un mensaje de la conversación
+   */
+  async processReaction(message) {
+    const { from } = message;
+    const reaction = parseReaction(message.reaction);
+    if (!reaction) {
+      logger.warn(`⚠️ Reacción sin mensaje de destino de ${from}`);
+      return { messageId: message.id, from, type: 'reaction', processed: false };
+    }
+
+    const saved = await messageReactionService.recordReaction({
+      messageId: reaction.messageId,
+      reactor: from,
+      emoji: reaction.emoji,
+      reactionMessageId: message.id
+    });
+
+    if (this.io) {
+      const payload = {
+        phone: from,
+        from,
+        messageId: saved.messageId,
+        emoji: saved.emoji,
+        removed: saved.removed,
+        timestamp: new Date().toISOString()
+      };
+      emitToPermission(this.io, PERMISSIONS.CONVERSATIONS_READ, 'message_reaction', payload);
+    }
+
+    return { messageId: message.id, from, type: 'reaction', processed: true, reaction: saved };
+  }
+
   /**
      * Procesar mensaje de texto con IA
      */
@@ -655,23 +762,80 @@ export class UnifiedWebhookService {
             
       logger.info(`💬 Processing text message: "${text.substring(0, 50)}..."`);
             
-      // Usar IA para generar respuesta si está disponible
-      if (this.persuader) {
-        try {
-          const aiResponse = await this.persuader.procesarMensaje(text, { from, context });
-                    
-          if (aiResponse && aiResponse.respuesta) {
-            await this.messageUtils.sendTextMessage(from, aiResponse.respuesta);
-                        
-            return {
-              type: 'ai_response',
-              message: aiResponse.respuesta,
-              confidence: aiResponse.confianza || 0.8,
-              intent: aiResponse.intencion
-            };
-          }
-        } catch (aiError) {
-          logger.warn('⚠️ AI processing failed, using fallback logic:', aiError.message);
+      // Palabras clave de baja/alta (STOP, BAJA, ALTA...): confirmar y no pasar a la IA.
+      // La baja queda ligada también al contacto, por si su teléfono se guardó de otra forma
+      const { getContactIdByPhone } = await import('./SQLiteMessageHelper.js');
+      const contactId = await getContactIdByPhone(from).catch(() => null);
+      const subscription = await suppressionService.handleInboundText(from, text, { contactId });
+      if (subscription) {
+        await this.messageUtils.sendTextMessage(from, subscription.confirmation);
+
+        // Quien se da de baja sale también del flujo en el que estuviera
+        if (subscription.action === SUBSCRIPTION_ACTIONS.OPT_OUT) {
+          await flowRuntimeService.cancelActiveRuns(from, { reason: 'opt_out' });
+        }
+
+        emitToPermission(this.io, PERMISSIONS.SUPPRESSION_READ, 'contact_subscription_updated', {
+          phone: from,
+          action: subscription.action,
+          keyword: subscription.keyword,
+          updatedAt: new Date().toISOString()
+        });
+
+        return {
+          type: subscription.action,
+          message: subscription.confirmation,
+          keyword: subscription.keyword
+        };
+      }
+
+      // Si un flujo espera la respuesta de este contacto, el mensaje es para el flujo
+      const flowResponse = await flowRuntimeService.handleInboundMessage(from, { kind: 'text', text });
+      if (flowResponse) {
+        return flowResponse;
+      }
+            
+      // Conversación atendida por un agente (o que acaba de pedir uno): el bot no responde
+      const handoffCheck = await conversationHandoffService.checkInbound(from, text);
+      if (handoffCheck.paused) {
+        return {
+          type: 'human_handoff',
+          handoffId: handoffCheck.handoff?.id ?? null,
+          reason: handoffCheck.handoff?.reason ?? null
+        };
+      }
+
+      // Usar IA (LM Studio) para generar respuesta si está habilitada; si no, el persuader.
+      // Fragmentos de la base de conocimiento y productos relacionados con la pregunta
+      const knowledge = process.env.AI_ENABLED === 'true' ? await this.retrieveKnowledge(text) : null;
+      const analysis = process.env.AI_ENABLED === 'true'
+        ? await intelligentAI.analizarMensaje(from, text, null, { conocimiento: knowledge?.context })
+        : await this.analyzeWithPersuader(from, text, context);
+
+      if (analysis) {
+        // Frustración, baja confianza o respaldos repetidos: pasar a un agente en lugar de responder
+        const handoff = await conversationHandoffService.evaluateBotTurn(from, analysis);
+        if (handoff) {
+          return { type: 'human_handoff', handoffId: handoff.id, reason: handoff.reason };
+        }
+
+        if (analysis.respuesta) {
+          const result = await this.messageUtils.sendTextMessage(from, analysis.respuesta);
+          await this.saveBotReply(
+            from,
+            analysis.respuesta,
+            result?.messageId,
+            knowledge ? { citations: knowledge.citations } : null
+          );
+
+          return {
+            type: 'ai_response',
+            message: analysis.respuesta,
+            confidence: analysis.confianzaRespuesta,
+            sentiment: analysis.sentimiento?.etiqueta,
+            ...(analysis.intencion !== undefined && { intent: analysis.intencion }),
+            citations: knowledge?.citations ?? null
+          };
         }
       }
             
@@ -697,14 +861,88 @@ export class UnifiedWebhookService {
     }
   }
 
+  /**
+     * Respuesta del persuader con el mismo formato que analizarMensaje, para que
+     * los disparadores de traspaso (sentimiento, confianza, respaldos) también
+     * se apliquen a sus respuestas. Sin respuesta del persuader cuenta como respaldo.
+     */
+  async analyzeWithPersuader(from, text, context) {
+    if (!this.persuader) {
+      return null;
+    }
+
+    let aiResponse = null;
+    try {
+      aiResponse = await this.persuader.procesarMensaje(text, { from, context });
+    } catch (aiError) {
+      logger.warn('⚠️ AI processing failed, using fallback logic:', aiError.message);
+    }
+
+    const respuesta = aiResponse?.respuesta || null;
+    return {
+      sentimiento: intelligentAI.detectarSentimiento(text),
+      respuesta,
+      usoFallback: !respuesta,
+      confianzaRespuesta: respuesta ? (aiResponse.confianza || 0.8) : 0,
+      intencion: aiResponse?.intencion
+    };
+  }
+
+  /**
+     * Contexto de la base de conocimiento para la respuesta del bot (null si no hay nada relacionado)
+     */
+  async retrieveKnowledge(text) {
+    try {
+      return await knowledgeBaseService.buildBotContext(text);
+    } catch (error) {
+      logger.warn(`⚠️ No se pudo consultar la base de conocimiento: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+     * Guardar la respuesta del bot en el historial del chat en vivo
+     */
+  async saveBotReply(from, text, messageId = null, metadata = null) {
+    try {
+      const { saveMessageToSQLite, getContactIdByPhone } = await import('./SQLiteMessageHelper.js');
+      const contactId = await getContactIdByPhone(from);
+      if (contactId) {
+        await saveMessageToSQLite({
+          contact_id: contactId,
+          type: 'text',
+          direction: 'outbound',
+          content: text,
+          status: 'sent',
+          message_id: messageId,
+          metadata
+        });
+      }
+    } catch (error) {
+      logger.warn(`⚠️ No se pudo guardar la respuesta del bot para ${from}: ${error.message}`);
+    }
+  }
+
   /**
      * Procesar respuesta de botón
      */
   async processButtonReply(from, buttonReply, context) {
     try {
-      const { id, title } = buttonReply;
+      // Los botones de plantilla llegan como { payload, text }
+      const id = buttonReply.id ?? buttonReply.payload;
+      const title = buttonReply.title ?? buttonReply.text;
             
       logger.info(`🔘 Processing button reply: ${id} - ${title}`);
+
+      const flowResponse = await flowRuntimeService.handleInboundMessage(from, { kind: 'button', id, text: title });
+      if (flowResponse) {
+        return flowResponse;
+      }
+
+      // Con un agente al mando el bot no contesta a botones ni listas
+      if (await conversationHandoffService.isBotPaused(from)) {
+        return { type: 'human_handoff', itemId: id };
+      }
             
       // Procesar según el ID del botón
       switch (id) {
@@ -748,6 +986,16 @@ export class UnifiedWebhookService {
       const { id, title, description } = listReply;
             
       logger.info(`📋 Processing list reply: ${id} - ${title}`);
+
+      const flowResponse = await flowRuntimeService.handleInboundMessage(from, { kind: 'button', id, text: title });
+      if (flowResponse) {
+        return flowResponse;
+      }
+
+      // Con un agente al mando el bot no contesta a botones ni listas
+      if (await conversationHandoffService.isBotPaused(from)) {
+        return { type: 'human_handoff', itemId: id };
+      }
             
       await this.messageUtils.sendTextMessage(from, 
         `Has seleccionado: ${title}. ${description ? description : ''} ¿Te gustaría más información?`);
@@ -861,7 +1109,7 @@ export class UnifiedWebhookService {
         logger.info(`👁️ Message ${id} read`);
         break;
       case 'failed':
-        logger.error(`❌ Message ${id} failed to send`);
+        logger.error(`❌ Message ${id} failed to send`, { errors: status.errors });
         break;
       }
       
@@ -873,12 +1121,23 @@ export class UnifiedWebhookService {
         // No fallar si el servicio de campañas no está disponible
         logger.debug('Campaign messaging service not available or message not from campaign');
       }
+
+      // Guardar códigos de error de WhatsApp para el análisis de fallos
+      let failure = null;
+      if (messageStatus === 'failed') {
+        try {
+          failure = await deliveryFailureService.recordFailure(id, status.errors, timestamp);
+        } catch (error) {
+          logger.error(`❌ Error guardando fallo de entrega de ${id}:`, error.message);
+        }
+      }
             
       return {
         messageId: id,
         status: messageStatus,
         timestamp,
         recipientId: recipient_id,
+        ...(failure && { error: { code: failure.code, title: failure.title, action: failure.action } }),
         processed: true
       };
             
@@ -1042,7 +1301,7 @@ export class UnifiedWebhookService {
       if (!mediaId) return null;
 
       const apiKey = process.env.D360_API_KEY;
-      const baseUrl = process.env.D360_API_BASE || 'https://waba.360dialog.io';
+      const baseUrl = resolveDialog360Url(process.env.D360_API_BASE || 'https://waba.360dialog.io');
 
       if (!apiKey) {
         logger.warn('D360_API_KEY not configured');
@@ -1196,15 +1455,18 @@ export class UnifiedWebhookService {
 
   /**
    * Descargar media desde Media ID (combina generación de URL y descarga)
+   * @param {Object|null} channel - Canal que recibió el mensaje (su API key descarga el media)
    */
-  async downloadMediaFromId(mediaId, mediaType, messageType) {
+  async downloadMediaFromId(mediaId, mediaType, messageType, channel = null) {
     try {
       if (!mediaId) return null;
 
+      const dialog360Service = this.dialog360Service.withChannel(channel);
+
       logger.info(`📥 Descargando media ${mediaId} de tipo ${messageType}`);
 
       // Paso 1: Generar URL fresca desde Media ID
-      const urlResult = await this.dialog360Service.generateMediaUrl(mediaId);
+      const urlResult = await dialog360Service.generateMediaUrl(mediaId);
       if (!urlResult.success) {
         logger.warn(`❌ Error generando URL para media ${mediaId}: ${urlResult.error}`);
         return null;
@@ -1231,7 +1493,7 @@ export class UnifiedWebhookService {
       const filepath = path.join(mediaDir, filename);
 
       // Descargar el archivo
-      const downloadResult = await this.dialog360Service.downloadMediaFromWebhook(freshMediaUrl, filepath);
+      const downloadResult = await dialog360Service.downloadMediaFromWebhook(freshMediaUrl, filepath);
 
       if (downloadResult.success) {
         // Retornar ruta web accesible
@@ -276,7 +276,7 @@ class EncryptionManager extends EventEmitter {
       }
             
       const iv = crypto.randomBytes(config.ivLength);
-      const cipher = crypto.createCipher(config.algorithm, encryptionKey, { iv });
+      const cipher = crypto.createCipheriv(config.algorithm, this._toKeyBuffer(encryptionKey, config.keyLength), iv);
             
       let encrypted = cipher.update(data, 'utf8', config.encoding);
       encrypted += cipher.final(config.encoding);
@@ -318,9 +318,11 @@ class EncryptionManager extends EventEmitter {
             
       const { encrypted, iv, authTag, algorithm } = encryptedData;
             
-      const decipher = crypto.createDecipher(algorithm || config.algorithm, decryptionKey, {
-        iv: Buffer.from(iv, config.encoding)
-      });
+      const decipher = crypto.createDecipheriv(
+        algorithm || config.algorithm,
+        this._toKeyBuffer(decryptionKey, config.keyLength),
+        Buffer.from(iv, config.encoding)
+      );
             
       decipher.setAuthTag(Buffer.from(authTag, config.encoding));
             
@@ -758,6 +760,21 @@ class EncryptionManager extends EventEmitter {
     }, 10 * 60 * 1000);
   }
     
+  /**
+     * Clave simétrica del tamaño requerido: Buffer, hex del tamaño exacto o
+     * frase de paso (se deriva con SHA-256)
+     */
+  _toKeyBuffer(key, length) {
+    if (Buffer.isBuffer(key) && key.length === length) {
+      return key;
+    }
+    const value = Buffer.isBuffer(key) ? key.toString('hex') : String(key);
+    if (value.length === length * 2 && /^[0-9a-f]+$/i.test(value)) {
+      return Buffer.from(value, 'hex');
+    }
+    return crypto.createHash('sha256').update(value).digest().subarray(0, length);
+  }
+    
   _generateDerivationCacheKey(password, salt, config) {
     const data = `${password}:${salt.toString('hex')}:${config.iterations}:${config.hashFunction}`;
     return crypto.createHash('sha256').update(data).digest('hex');
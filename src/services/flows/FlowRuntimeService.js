@@ -0,0 +1,844 @@
+/**
+ * @fileoverview Motor durable de flujos conversacionales
+ *
+ * Cada ejecución de un flujo para un contacto se guarda en SQLite con una
+ * copia de sus pasos, el paso actual y el contexto (respuestas recogidas).
+ * Los pasos "esperar respuesta" suspenden la ejecución hasta que
+ * UnifiedWebhookService entrega el siguiente mensaje del contacto, que se
+ * valida contra el tipo esperado (número, email, botón...). Un proceso
+ * periódico dispara la rama de timeout de las esperas vencidas y retoma los
+ * retrasos, de modo que los flujos sobreviven a reinicios del servidor.
+ */
+
+import { getDatabaseService } from '../DatabaseService.js';
+import { createLogger } from '../core/core/logger.js';
+import { PERMISSIONS } from '../auth/permissions.js';
+import { emitToPermission } from '../auth/socketRooms.js';
+import { messageUtils } from '../../shared/utils/helpers/helpers/MessageUtils.js';
+import { saveMessageToSQLite } from '../core/core/SQLiteMessageHelper.js';
+import { messageWindowService } from '../whatsapp/MessageWindowService.js';
+import {
+  loadContactCustomFields,
+  saveContactCustomField
+} from '../../api/services/persistence/customFieldsPersistenceSQL.js';
+import {
+  RUN_STATUS,
+  ACTIVE_RUN_STATUSES,
+  WAIT_STEP_TYPE,
+  CONDITION_STEP_TYPE,
+  DEFAULT_MAX_ATTEMPTS,
+  normalizeExpectedType,
+  computeTimeoutAt,
+  validateFlowSteps,
+  validateResponse,
+  replaceVariables,
+  evaluateCondition
+} from './flowRunStates.js';
+
+const logger = createLogger('FLOW_RUNTIME');
+
+const RECENT_RUNS_LIMIT = 5;
+const DUE_RUNS_BATCH = 100;
+
+/**
+ * Error de operaciones sobre ejecuciones de flujos
+ */
+export class FlowRuntimeError extends Error {
+  constructor(message, code, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'FlowRuntimeError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+function parseJson(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+const normalizePhone = phone => String(phone || '').replace(/\D/g, '');
+
+class FlowRuntimeService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.io = null;
+    this.isInitialized = false;
+    this.pollMs = parseInt(process.env.FLOW_RUNTIME_POLL_MS, 10) || 15000;
+    this.pollTimer = null;
+    this.isPolling = false;
+    this.flowResolver = null;
+    this.stepHandlers = new Map();
+
+    this.registerDefaultHandlers();
+  }
+
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  /**
+   * Resolver de definiciones de flujo por id (p. ej. el gestor de automatizaciones)
+   * @param {function(string): (Object|null|Promise<Object|null>)} resolver
+   */
+  setFlowResolver(resolver) {
+    this.flowResolver = resolver;
+  }
+
+  /**
+   * Registrar (o reemplazar) el ejecutor de un tipo de paso
+   * @param {string} type - Tipo de paso (send_message, add_tag...)
+   * @param {function(Object, Object): Promise<void>} handler - Recibe (paso, ejecución)
+   */
+  registerStepHandler(type, handler) {
+    this.stepHandlers.set(type, handler);
+  }
+
+  /**
+   * Crear tablas de ejecuciones y su historial de eventos
+   */
+  async initialize(io = null) {
+    if (io) {
+      this.setSocketIO(io);
+    }
+
+    if (this.isInitialized) {
+      return this;
+    }
+
+    try {
+      await this.db.initialize();
+
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS flow_runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          contact_id INTEGER,
+          phone VARCHAR(20) NOT NULL,
+          flow_id TEXT,
+          flow_name TEXT,
+          steps TEXT NOT NULL,
+          current_step INTEGER NOT NULL DEFAULT 0,
+          status VARCHAR(20) NOT NULL DEFAULT 'running',
+          context TEXT,
+          expected_type VARCHAR(20),
+          attempts INTEGER DEFAULT 0,
+          waiting_since DATETIME,
+          due_at DATETIME,
+          last_error TEXT,
+          started_by INTEGER,
+          started_at DATETIME NOT NULL,
+          completed_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE SET NULL
+        )
+      `);
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_flow_runs_due ON flow_runs(status, due_at)');
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_flow_runs_phone ON flow_runs(phone, status)');
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_flow_runs_contact ON flow_runs(contact_id)');
+
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS flow_run_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          run_id INTEGER NOT NULL,
+          step_index INTEGER,
+          step_type VARCHAR(40),
+          event VARCHAR(30) NOT NULL,
+          detail TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (run_id) REFERENCES flow_runs(id) ON DELETE CASCADE
+        )
+      `);
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_flow_run_events_run ON flow_run_events(run_id)');
+
+      this.isInitialized = true;
+      logger.info('✅ FlowRuntimeService inicializado');
+      return this;
+    } catch (error) {
+      logger.error('❌ Error inicializando FlowRuntimeService:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Arrancar el programador: retomar ejecuciones interrumpidas y vigilar timeouts
+   */
+  async start(io = null) {
+    await this.initialize(io);
+    await this.recoverInterrupted();
+    await this.poll();
+
+    if (!this.pollTimer) {
+      this.pollTimer = setInterval(() => this.poll(), this.pollMs);
+      this.pollTimer.unref?.();
+    }
+  }
+
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Iniciar un flujo para un contacto. Si el contacto ya estaba dentro de
+   * otro flujo, ese se cancela (un contacto solo sigue un flujo a la vez).
+   * @param {Object} options
+   * @param {string} [options.flowId] - Id del flujo (se resuelve con setFlowResolver si no llegan pasos)
+   * @param {string} [options.flowName]
+   * @param {Array<Object>} [options.steps] - Pasos del flujo
+   * @param {string} [options.phone]
+   * @param {number} [options.contactId]
+   * @param {Object} [options.context] - Variables iniciales
+   * @param {number} [options.startedBy] - Usuario que lo inicia
+   */
+  async startRun({ flowId = null, flowName = null, steps = null, phone = null, contactId = null, context = {}, startedBy = null } = {}) {
+    await this.initialize();
+
+    if (!steps && flowId && this.flowResolver) {
+      const flow = await this.flowResolver(flowId);
+      if (!flow) {
+        throw new FlowRuntimeError('Flujo no encontrado', 'FLOW_NOT_FOUND', 404);
+      }
+      steps = flow.steps;
+      flowName = flowName || flow.name || null;
+    }
+
+    const errors = validateFlowSteps(steps);
+    if (errors.length > 0) {
+      throw new FlowRuntimeError('El flujo no es válido', 'INVALID_FLOW', 400, errors);
+    }
+
+    const contact = await this.resolveContact({ phone, contactId });
+    const now = new Date().toISOString();
+
+    await this.cancelActiveRuns(contact.phone, { reason: 'replaced' });
+
+    const result = await this.db.run(
+      `INSERT INTO flow_runs (contact_id, phone, flow_id, flow_name, steps, current_step, status, context,
+                              started_by, started_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?)`,
+      [
+        contact.id, contact.phone, flowId !== null ? String(flowId) : null, flowName,
+        JSON.stringify(steps), RUN_STATUS.RUNNING, JSON.stringify(context || {}),
+        startedBy, now, now, now
+      ]
+    );
+
+    await this.recordEvent(result.lastID, null, null, 'started', { flowId, startedBy });
+    logger.info(`🚀 Flujo ${flowName || flowId || 'sin nombre'} iniciado para ${contact.phone} (ejecución ${result.lastID})`);
+
+    await this.advance(result.lastID);
+    return this.getRun(result.lastID);
+  }
+
+  /**
+   * Ejecutar pasos desde el paso actual hasta una espera, un retraso o el final
+   */
+  async advance(runId) {
+    let run = await this.loadRun(runId);
+
+    while (run && run.status === RUN_STATUS.RUNNING) {
+      const index = run.current_step;
+      const step = run.steps[index];
+
+      if (!step) {
+        await this.finish(run, RUN_STATUS.COMPLETED);
+        return;
+      }
+
+      if (step.type === WAIT_STEP_TYPE) {
+        await this.suspend(run, step);
+        return;
+      }
+
+      try {
+        await this.recordEvent(run.id, index, step.type, 'step_started');
+        await this.executeStep(step, run, await this.loadVariables(run));
+        await this.recordEvent(run.id, index, step.type, 'step_completed');
+      } catch (error) {
+        logger.error(`❌ Error en el paso ${index + 1} (${step.type}) de la ejecución ${run.id}:`, error.message);
+        await this.recordEvent(run.id, index, step.type, 'step_failed', { error: error.message });
+        await this.finish(run, RUN_STATUS.FAILED, error.message);
+        return;
+      }
+
+      const delaySeconds = Number(step.delay) || 0;
+      const now = new Date();
+      const delayed = delaySeconds > 0;
+      await this.db.run(
+        `UPDATE flow_runs SET current_step = ?, context = ?, status = ?, due_at = ?, updated_at = ?
+         WHERE id = ? AND status = ?`,
+        [
+          index + 1, JSON.stringify(run.context),
+          delayed ? RUN_STATUS.DELAYED : RUN_STATUS.RUNNING,
+          delayed ? new Date(now.getTime() + delaySeconds * 1000).toISOString() : null,
+          now.toISOString(), run.id, RUN_STATUS.RUNNING
+        ]
+      );
+
+      if (delayed) {
+        // El retraso lo retoma poll(), así sobrevive a un reinicio
+        this.emitRun(run.id);
+        return;
+      }
+
+      run = await this.loadRun(run.id);
+    }
+  }
+
+  /**
+   * Ejecutar un paso que no es de espera (las condiciones ejecutan su rama en línea)
+   */
+  async executeStep(step, run, variables) {
+    if (step.type === CONDITION_STEP_TYPE) {
+      const branch = evaluateCondition(step.condition, {
+        context: run.context,
+        tags: variables.tags,
+        customFields: variables.customFields
+      }) ? step.trueSteps : step.falseSteps;
+
+      for (const branchStep of branch || []) {
+        await this.executeStep(branchStep, run, variables);
+      }
+      return;
+    }
+
+    const handler = this.stepHandlers.get(step.type);
+    if (!handler) {
+      throw new Error(`Tipo de paso no soportado: ${step.type}`);
+    }
+
+    await handler(step, run, {
+      ...variables,
+      render: text => replaceVariables(text, { ...variables.values, ...run.context })
+    });
+  }
+
+  /**
+   * Suspender la ejecución en un paso "esperar respuesta"
+   */
+  async suspend(run, step) {
+    const now = new Date();
+    await this.db.run(
+      `UPDATE flow_runs SET status = ?, expected_type = ?, attempts = 0, waiting_since = ?, due_at = ?, updated_at = ?
+       WHERE id = ? AND status = ?`,
+      [
+        RUN_STATUS.WAITING, normalizeExpectedType(step.expectedType), now.toISOString(),
+        computeTimeoutAt(step, now), now.toISOString(), run.id, RUN_STATUS.RUNNING
+      ]
+    );
+
+    await this.recordEvent(run.id, run.current_step, step.type, 'waiting', {
+      expectedType: normalizeExpectedType(step.expectedType)
+    });
+    logger.info(`⏳ Ejecución ${run.id} esperando respuesta de ${run.phone}`);
+    this.emitRun(run.id);
+  }
+
+  /**
+   * Entregar al flujo el mensaje entrante de un contacto.
+   * @param {string} phone - Teléfono del contacto
+   * @param {{kind: 'text'|'button', text?: string, id?: string}} response
+   * @returns {Promise<Object|null>} null si el contacto no tenía un flujo esperando respuesta
+   */
+  async handleInboundMessage(phone, response) {
+    await this.initialize();
+
+    const waiting = await this.db.get(
+      'SELECT * FROM flow_runs WHERE phone = ? AND status = ? ORDER BY id DESC LIMIT 1',
+      [normalizePhone(phone), RUN_STATUS.WAITING]
+    );
+    if (!waiting || !await this.claim(waiting)) {
+      return null;
+    }
+
+    const run = this.parseRun(waiting);
+    const step = run.steps[run.current_step];
+    const result = validateResponse(step, response);
+
+    if (!result.ok) {
+      const attempts = (run.attempts || 0) + 1;
+      await this.recordEvent(run.id, run.current_step, step.type, 'invalid_response', {
+        code: result.code,
+        text: response.text ?? null,
+        id: response.id ?? null
+      });
+
+      const maxAttempts = Number(step.maxAttempts) || DEFAULT_MAX_ATTEMPTS;
+      if (attempts >= maxAttempts) {
+        await this.runTimeoutBranch(run, step, 'max_attempts');
+        return { type: 'flow_response', runId: run.id, valid: false, code: 'MAX_ATTEMPTS' };
+      }
+
+      await this.db.run(
+        'UPDATE flow_runs SET status = ?, attempts = ?, updated_at = ? WHERE id = ? AND status = ?',
+        [RUN_STATUS.WAITING, attempts, new Date().toISOString(), run.id, RUN_STATUS.RUNNING]
+      );
+      try {
+        await this.sendText(run, result.message);
+      } catch (error) {
+        logger.warn(`⚠️ No se pudo pedir de nuevo la respuesta a ${run.phone}: ${error.message}`);
+      }
+      this.emitRun(run.id);
+      return { type: 'flow_response', runId: run.id, valid: false, code: result.code, message: result.message };
+    }
+
+    const context = { ...run.context, lastResponse: result.value };
+    if (step.saveAs) {
+      context[step.saveAs] = result.value;
+    }
+    await this.recordEvent(run.id, run.current_step, step.type, 'response', { value: result.value });
+
+    if (step.customField && run.contact_id) {
+      try {
+        await saveContactCustomField(run.contact_id, step.customField, result.value);
+      } catch (error) {
+        logger.warn(`⚠️ No se pudo guardar la respuesta en el campo ${step.customField}: ${error.message}`);
+      }
+    }
+
+    await this.moveToNextStep(run, context);
+    await this.advance(run.id);
+
+    return { type: 'flow_response', runId: run.id, valid: true, value: result.value };
+  }
+
+  /**
+   * Disparar timeouts vencidos y retomar retrasos cumplidos
+   */
+  async poll() {
+    if (this.isPolling) {
+      return;
+    }
+    this.isPolling = true;
+
+    try {
+      const due = await this.db.all(
+        `SELECT * FROM flow_runs WHERE status IN (?, ?) AND due_at IS NOT NULL AND due_at <= ?
+         ORDER BY due_at ASC LIMIT ${DUE_RUNS_BATCH}`,
+        [RUN_STATUS.WAITING, RUN_STATUS.DELAYED, new Date().toISOString()]
+      );
+
+      for (const row of due) {
+        if (!await this.claim(row)) {
+          continue;
+        }
+
+        if (row.status === RUN_STATUS.DELAYED) {
+          await this.advance(row.id);
+        } else {
+          const run = this.parseRun(row);
+          await this.runTimeoutBranch(run, run.steps[run.current_step], 'timeout');
+        }
+      }
+    } catch (error) {
+      logger.error('❌ Error revisando esperas de flujos:', error.message);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Ejecutar la rama de timeout de una espera (sin respuesta o sin respuesta
+   * válida tras maxAttempts). Con onTimeout "continue" el flujo sigue en el
+   * siguiente paso; si no, termina como timed_out.
+   */
+  async runTimeoutBranch(run, step, reason) {
+    await this.recordEvent(run.id, run.current_step, step?.type || null, 'timeout', { reason });
+    logger.info(`⌛ Ejecución ${run.id}: sin respuesta válida de ${run.phone} (${reason})`);
+
+    try {
+      const variables = await this.loadVariables(run);
+      for (const timeoutStep of step?.timeoutSteps || []) {
+        await this.executeStep(timeoutStep, run, variables);
+      }
+    } catch (error) {
+      await this.finish(run, RUN_STATUS.FAILED, error.message);
+      return;
+    }
+
+    if (step?.onTimeout === 'continue') {
+      const context = { ...run.context, lastResponse: null };
+      if (step.saveAs) {
+        context[step.saveAs] = null;
+      }
+      await this.moveToNextStep(run, context);
+      await this.advance(run.id);
+      return;
+    }
+
+    await this.finish(run, RUN_STATUS.TIMED_OUT);
+  }
+
+  /**
+   * Reclamar una ejecución en espera o en retraso (solo gana un proceso o mensaje)
+   */
+  async claim(row) {
+    const result = await this.db.run(
+      'UPDATE flow_runs SET status = ?, updated_at = ? WHERE id = ? AND status = ?',
+      [RUN_STATUS.RUNNING, new Date().toISOString(), row.id, row.status]
+    );
+    return result.changes === 1;
+  }
+
+  async moveToNextStep(run, context) {
+    await this.db.run(
+      `UPDATE flow_runs SET current_step = ?, context = ?, expected_type = NULL, attempts = 0,
+                            waiting_since = NULL, due_at = NULL, updated_at = ?
+       WHERE id = ? AND status = ?`,
+      [run.current_step + 1, JSON.stringify(context), new Date().toISOString(), run.id, RUN_STATUS.RUNNING]
+    );
+  }
+
+  /**
+   * Retomar ejecuciones que quedaron a medias por un reinicio. Un paso que
+   * ya había empezado no se repite (pudo haber enviado el mensaje), igual que
+   * en los envíos de campañas.
+   */
+  async recoverInterrupted() {
+    const interrupted = await this.db.all('SELECT * FROM flow_runs WHERE status = ?', [RUN_STATUS.RUNNING]);
+
+    for (const row of interrupted) {
+      const lastEvent = await this.db.get(
+        'SELECT * FROM flow_run_events WHERE run_id = ? ORDER BY id DESC LIMIT 1',
+        [row.id]
+      );
+
+      if (lastEvent?.event === 'step_started' && lastEvent.step_index === row.current_step) {
+        await this.recordEvent(row.id, row.current_step, lastEvent.step_type, 'step_interrupted');
+        await this.db.run(
+          'UPDATE flow_runs SET current_step = ?, updated_at = ? WHERE id = ?',
+          [row.current_step + 1, new Date().toISOString(), row.id]
+        );
+      }
+
+      logger.info(`🔄 Retomando ejecución de flujo ${row.id} (${row.phone})`);
+      await this.advance(row.id);
+    }
+  }
+
+  /**
+   * Terminar una ejecución activa (no pisa una que ya terminó, p. ej. cancelada)
+   */
+  async finish(run, status, error = null, detail = null) {
+    const now = new Date().toISOString();
+    const placeholders = ACTIVE_RUN_STATUSES.map(() => '?').join(', ');
+    const result = await this.db.run(
+      `UPDATE flow_runs SET status = ?, last_error = ?, expected_type = NULL, due_at = NULL,
+                            completed_at = ?, updated_at = ?
+       WHERE id = ? AND status IN (${placeholders})`,
+      [status, error, now, now, run.id, ...ACTIVE_RUN_STATUSES]
+    );
+    if (result.changes !== 1) {
+      return;
+    }
+
+    await this.recordEvent(run.id, run.current_step, null, status, error ? { ...detail, error } : detail);
+    logger.info(`🏁 Ejecución ${run.id} de ${run.phone} terminada: ${status}`);
+    this.emitRun(run.id);
+  }
+
+  /**
+   * Cancelar una ejecución activa
+   */
+  async cancelRun(runId, { reason = 'manual', performedBy = null } = {}) {
+    await this.initialize();
+
+    const run = await this.loadRun(runId);
+    if (!run) {
+      throw new FlowRuntimeError('Ejecución no encontrada', 'RUN_NOT_FOUND', 404);
+    }
+    if (!ACTIVE_RUN_STATUSES.includes(run.status)) {
+      throw new FlowRuntimeError('La ejecución ya terminó', 'RUN_NOT_ACTIVE', 409);
+    }
+
+    await this.finish(run, RUN_STATUS.CANCELLED, null, { reason, performedBy });
+    return this.getRun(run.id);
+  }
+
+  /**
+   * Cancelar los flujos activos de un teléfono (nuevo flujo, baja del contacto...)
+   * @returns {Promise<number>} Ejecuciones canceladas
+   */
+  async cancelActiveRuns(phone, { reason = 'manual' } = {}) {
+    await this.initialize();
+
+    const placeholders = ACTIVE_RUN_STATUSES.map(() => '?').join(', ');
+    const active = await this.db.all(
+      `SELECT * FROM flow_runs WHERE phone = ? AND status IN (${placeholders})`,
+      [normalizePhone(phone), ...ACTIVE_RUN_STATUSES]
+    );
+
+    for (const row of active) {
+      await this.finish(this.parseRun(row), RUN_STATUS.CANCELLED, null, { reason });
+    }
+    return active.length;
+  }
+
+  /**
+   * Flujo actual y ejecuciones recientes de un contacto (panel de chat-live)
+   */
+  async getContactFlowState(phone) {
+    await this.initialize();
+
+    const rows = await this.db.all(
+      `SELECT * FROM flow_runs WHERE phone = ? ORDER BY id DESC LIMIT ${RECENT_RUNS_LIMIT}`,
+      [normalizePhone(phone)]
+    );
+    const runs = rows.map(row => this.formatRun(row));
+
+    return {
+      phone: normalizePhone(phone),
+      active: runs.find(run => ACTIVE_RUN_STATUSES.includes(run.status)) || null,
+      recent: runs
+    };
+  }
+
+  async listRuns({ status = null, contactId = null, phone = null, flowId = null, limit = 50, offset = 0 } = {}) {
+    await this.initialize();
+
+    const conditions = [];
+    const params = [];
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (contactId) {
+      conditions.push('contact_id = ?');
+      params.push(contactId);
+    }
+    if (phone) {
+      conditions.push('phone = ?');
+      params.push(normalizePhone(phone));
+    }
+    if (flowId) {
+      conditions.push('flow_id = ?');
+      params.push(String(flowId));
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = await this.db.all(
+      `SELECT * FROM flow_runs ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return rows.map(row => this.formatRun(row));
+  }
+
+  /**
+   * Ejecución con su historial de eventos
+   */
+  async getRun(runId) {
+    await this.initialize();
+
+    const row = await this.db.get('SELECT * FROM flow_runs WHERE id = ?', [runId]);
+    if (!row) {
+      throw new FlowRuntimeError('Ejecución no encontrada', 'RUN_NOT_FOUND', 404);
+    }
+
+    const events = await this.db.all(
+      'SELECT * FROM flow_run_events WHERE run_id = ? ORDER BY id ASC',
+      [row.id]
+    );
+
+    return {
+      ...this.formatRun(row),
+      events: events.map(event => ({
+        id: event.id,
+        stepIndex: event.step_index,
+        stepType: event.step_type,
+        event: event.event,
+        detail: parseJson(event.detail, null),
+        createdAt: event.created_at
+      }))
+    };
+  }
+
+  formatRun(row) {
+    const run = this.parseRun(row);
+    const step = run.steps[run.current_step] || null;
+
+    return {
+      id: run.id,
+      contactId: run.contact_id,
+      phone: run.phone,
+      flowId: run.flow_id,
+      flowName: run.flow_name,
+      status: run.status,
+      currentStep: run.current_step,
+      totalSteps: run.steps.length,
+      stepType: step?.type || null,
+      stepName: step?.name || null,
+      expectedType: run.expected_type,
+      attempts: run.attempts || 0,
+      waitingSince: run.waiting_since,
+      timeoutAt: run.status === RUN_STATUS.WAITING ? run.due_at : null,
+      resumeAt: run.status === RUN_STATUS.DELAYED ? run.due_at : null,
+      context: run.context,
+      lastError: run.last_error,
+      startedAt: run.started_at,
+      completedAt: run.completed_at
+    };
+  }
+
+  parseRun(row) {
+    return {
+      ...row,
+      steps: parseJson(row.steps, []),
+      context: parseJson(row.context, {})
+    };
+  }
+
+  async loadRun(runId) {
+    const row = await this.db.get('SELECT * FROM flow_runs WHERE id = ?', [runId]);
+    return row ? this.parseRun(row) : null;
+  }
+
+  /**
+   * Buscar el contacto por id o teléfono. Un teléfono sin contacto en SQLite
+   * se acepta (el contacto se crea al escribir).
+   */
+  async resolveContact({ phone = null, contactId = null }) {
+    if (contactId) {
+      const contact = await this.db.get('SELECT id, phone_number FROM contacts WHERE id = ?', [contactId]);
+      if (!contact) {
+        throw new FlowRuntimeError('Contacto no encontrado', 'CONTACT_NOT_FOUND', 404);
+      }
+      return { id: contact.id, phone: normalizePhone(contact.phone_number) };
+    }
+
+    const digits = normalizePhone(phone);
+    if (!digits) {
+      throw new FlowRuntimeError('phone o contactId es requerido', 'CONTACT_REQUIRED', 400);
+    }
+    const contact = await this.db.get('SELECT id FROM contacts WHERE phone_number = ?', [digits]);
+    return { id: contact?.id || null, phone: digits };
+  }
+
+  /**
+   * Variables disponibles para los pasos: datos del contacto, etiquetas y
+   * campos personalizados
+   */
+  async loadVariables(run) {
+    const contact = run.contact_id
+      ? await this.db.get('SELECT name, email, tags FROM contacts WHERE id = ?', [run.contact_id])
+      : null;
+    const fields = run.contact_id ? await loadContactCustomFields(run.contact_id) : [];
+
+    const customFields = {};
+    for (const field of fields) {
+      customFields[field.field_id] = field.typedValue ?? field.value;
+    }
+    const tags = parseJson(contact?.tags, []);
+
+    return {
+      tags: Array.isArray(tags) ? tags : [],
+      customFields,
+      values: {
+        phone: run.phone,
+        name: contact?.name || 'Usuario',
+        email: contact?.email || '',
+        ...customFields
+      }
+    };
+  }
+
+  /**
+   * Enviar un texto del flujo y guardarlo en el historial del chat
+   */
+  async sendText(run, text) {
+    await messageWindowService.assertWindowOpen(run.phone);
+
+    const result = await messageUtils.sendTextMessage(run.phone, text);
+    if (!result.success) {
+      throw new Error(result.error || 'Error enviando mensaje');
+    }
+
+    if (run.contact_id) {
+      await saveMessageToSQLite({
+        contact_id: run.contact_id,
+        type: 'text',
+        direction: 'outbound',
+        content: text,
+        status: 'sent',
+        message_id: result.messageId || null
+      });
+    }
+    return result;
+  }
+
+  async updateContactTags(run, update) {
+    if (!run.contact_id) {
+      throw new Error('El contacto no existe en la base de datos');
+    }
+
+    const contact = await this.db.get('SELECT tags FROM contacts WHERE id = ?', [run.contact_id]);
+    const current = parseJson(contact?.tags, []);
+    const tags = update(Array.isArray(current) ? current : []);
+    await this.db.run(
+      'UPDATE contacts SET tags = ?, updated_at = ? WHERE id = ?',
+      [JSON.stringify(tags), new Date().toISOString(), run.contact_id]
+    );
+  }
+
+  /**
+   * Ejecutores por defecto sobre SQLite; el gestor de automatizaciones puede
+   * reemplazarlos con registerStepHandler
+   */
+  registerDefaultHandlers() {
+    this.registerStepHandler('send_message', async (step, run, { render }) => {
+      await this.sendText(run, render(step.message));
+    });
+
+    this.registerStepHandler('add_tag', async (step, run, { render }) => {
+      const tag = render(step.tagName);
+      await this.updateContactTags(run, tags => (tags.includes(tag) ? tags : [...tags, tag]));
+    });
+
+    this.registerStepHandler('remove_tag', async (step, run, { render }) => {
+      const tag = render(step.tagName);
+      await this.updateContactTags(run, tags => tags.filter(current => current !== tag));
+    });
+
+    this.registerStepHandler('set_custom_field', async (step, run, { render }) => {
+      if (!run.contact_id) {
+        throw new Error('El contacto no existe en la base de datos');
+      }
+      await saveContactCustomField(run.contact_id, step.fieldName, render(step.fieldValue));
+    });
+  }
+
+  async recordEvent(runId, stepIndex, stepType, event, detail = null) {
+    await this.db.run(
+      `INSERT INTO flow_run_events (run_id, step_index, step_type, event, detail, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [runId, stepIndex, stepType, event, detail ? JSON.stringify(detail) : null, new Date().toISOString()]
+    );
+  }
+
+  async emitRun(runId) {
+    if (!this.io) {
+      return;
+    }
+
+    try {
+      const row = await this.db.get('SELECT * FROM flow_runs WHERE id = ?', [runId]);
+      if (row) {
+        emitToPermission(this.io, PERMISSIONS.FLOWS_READ, 'flow_run_updated', this.formatRun(row));
+      }
+    } catch (error) {
+      logger.warn(`⚠️ No se pudo notificar la ejecución ${runId}: ${error.message}`);
+    }
+  }
+}
+
+export const flowRuntimeService = new FlowRuntimeService();
+export default FlowRuntimeService;
@@ -0,0 +1,78 @@
+/**
+ * Tests para la validación de flujos y de respuestas esperadas
+ */
+
+import {
+  validateFlowSteps,
+  validateResponse,
+  computeTimeoutAt,
+  replaceVariables,
+  evaluateCondition
+} from '../flowRunStates.js';
+
+describe('flowRunStates', () => {
+  describe('validateFlowSteps', () => {
+    test('debería aceptar un flujo con pregunta, espera y condición', () => {
+      expect(validateFlowSteps([
+        { type: 'send_message', message: '¿Cuántos años tienes?' },
+        { type: 'wait_for_response', expectedType: 'number', saveAs: 'edad', timeout: 600 },
+        { type: 'condition', condition: { type: 'context_equals', field: 'edad', value: 18 }, trueSteps: [] }
+      ])).toEqual([]);
+    });
+
+    test('debería rechazar flujos vacíos, tipos desconocidos y esperas dentro de ramas', () => {
+      expect(validateFlowSteps([])).toEqual(['El flujo no tiene pasos']);
+      expect(validateFlowSteps([{ type: 'wait_for_response', expectedType: 'audio' }])[0])
+        .toMatch('tipo de respuesta no soportado');
+      expect(validateFlowSteps([
+        { type: 'condition', condition: { type: 'has_tag', value: 'vip' }, trueSteps: [{ type: 'wait_for_response' }] }
+      ])[0]).toMatch('no se puede esperar respuesta dentro de una rama');
+      expect(validateFlowSteps([{ type: 'wait_for_response', onTimeout: 'retry' }])).toHaveLength(1);
+    });
+  });
+
+  describe('validateResponse', () => {
+    test('debería convertir números y emails con el sistema de tipos', () => {
+      expect(validateResponse({ expectedType: 'number' }, { kind: 'text', text: '1.500,5' }))
+        .toEqual({ ok: true, value: 1500.5 });
+      expect(validateResponse({ expectedType: 'email' }, { kind: 'text', text: ' Ana@Mail.com ' }))
+        .toEqual({ ok: true, value: 'ana@mail.com' });
+      expect(validateResponse({ expectedType: 'number' }, { kind: 'text', text: 'muchos' }))
+        .toMatchObject({ ok: false, message: 'Por favor responde solo con un número.' });
+    });
+
+    test('debería aceptar botones por id o por el título escrito a mano', () => {
+      const step = {
+        expectedType: 'button',
+        options: [{ id: 'si', title: 'Sí, claro' }, { id: 'no', title: 'No' }],
+        invalidMessage: 'Toca uno de los botones'
+      };
+
+      expect(validateResponse(step, { kind: 'button', id: 'no', text: 'No' })).toEqual({ ok: true, value: 'no' });
+      expect(validateResponse(step, { kind: 'text', text: 'si, CLARO' })).toEqual({ ok: true, value: 'si' });
+      expect(validateResponse(step, { kind: 'button', id: 'otro' })).toEqual({
+        ok: false, code: 'INVALID_OPTION', message: 'Toca uno de los botones'
+      });
+    });
+
+    test('debería exigir texto cuando el tipo no es botón', () => {
+      expect(validateResponse({ expectedType: 'text' }, { kind: 'button', id: 'si', text: 'Sí' }).code)
+        .toBe('EXPECTED_TEXT');
+      expect(validateResponse({}, { kind: 'button', id: 'si', text: 'Sí' })).toEqual({ ok: true, value: 'Sí' });
+    });
+  });
+
+  test('debería calcular el vencimiento con 1 hora por defecto', () => {
+    const now = new Date('2026-10-19T10:00:00Z');
+    expect(computeTimeoutAt({}, now)).toBe('2026-10-19T11:00:00.000Z');
+    expect(computeTimeoutAt({ timeout: 90 }, now)).toBe('2026-10-19T10:01:30.000Z');
+  });
+
+  test('debería reemplazar variables y evaluar condiciones', () => {
+    expect(replaceVariables('Hola {{name}}, tu código es {{codigo}}', { name: 'Ana' }))
+      .toBe('Hola Ana, tu código es {{codigo}}');
+    expect(evaluateCondition({ type: 'context_equals', field: 'edad', value: '30' }, { context: { edad: 30 } }))
+      .toBe(true);
+    expect(evaluateCondition({ type: 'has_tag', value: 'vip' }, { tags: ['nuevo'] })).toBe(false);
+  });
+});
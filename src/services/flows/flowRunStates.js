@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Estados de las ejecuciones de flujos y validación de respuestas
+ *
+ * Lógica pura compartida por FlowRuntimeService y las rutas: estados de una
+ * ejecución, validación de los pasos de un flujo, validación de la respuesta
+ * del contacto en los pasos "esperar respuesta" y evaluación de condiciones.
+ */
+
+import { coerceFieldValue, parseStoredValue } from '../contacts/customFieldTypes.js';
+
+export const RUN_STATUS = Object.freeze({
+  RUNNING: 'running',
+  WAITING: 'waiting',
+  DELAYED: 'delayed',
+  COMPLETED: 'completed',
+  TIMED_OUT: 'timed_out',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+});
+
+// Estados en los que el contacto sigue dentro del flujo
+export const ACTIVE_RUN_STATUSES = [RUN_STATUS.RUNNING, RUN_STATUS.WAITING, RUN_STATUS.DELAYED];
+
+export const EXPECTED_TYPES = Object.freeze({
+  ANY: 'any',
+  TEXT: 'text',
+  NUMBER: 'number',
+  EMAIL: 'email',
+  PHONE: 'phone',
+  DATE: 'date',
+  BUTTON: 'button'
+});
+
+export const WAIT_STEP_TYPE = 'wait_for_response';
+export const CONDITION_STEP_TYPE = 'condition';
+export const DEFAULT_WAIT_TIMEOUT_SECONDS = 3600;
+export const DEFAULT_MAX_ATTEMPTS = 3;
+const MAX_WAIT_TIMEOUT_SECONDS = 30 * 24 * 60 * 60;
+
+// Tipos esperados que se validan con el sistema de tipos de campos personalizados
+const FIELD_BACKED_TYPES = [EXPECTED_TYPES.NUMBER, EXPECTED_TYPES.EMAIL, EXPECTED_TYPES.PHONE, EXPECTED_TYPES.DATE];
+
+const INVALID_RESPONSE_MESSAGES = {
+  [EXPECTED_TYPES.TEXT]: 'Por favor responde con un mensaje de texto.',
+  [EXPECTED_TYPES.NUMBER]: 'Por favor responde solo con un número.',
+  [EXPECTED_TYPES.EMAIL]: 'Ese correo no parece válido. Escríbelo de nuevo, por ejemplo nombre@correo.com',
+  [EXPECTED_TYPES.PHONE]: 'Ese teléfono no parece válido. Escríbelo con el código de país.',
+  [EXPECTED_TYPES.DATE]: 'Escribe la fecha en formato DD/MM/AAAA.',
+  [EXPECTED_TYPES.BUTTON]: 'Por favor elige una de las opciones.'
+};
+
+export function normalizeExpectedType(type) {
+  return String(type || EXPECTED_TYPES.ANY).trim().toLowerCase();
+}
+
+/**
+ * Segundos de espera de un paso (por defecto 1 hora, como el gestor anterior)
+ */
+export function waitTimeoutSeconds(step) {
+  const seconds = Number(step?.timeout ?? DEFAULT_WAIT_TIMEOUT_SECONDS);
+  return Number.isFinite(seconds) && seconds > 0 ? Math.min(seconds, MAX_WAIT_TIMEOUT_SECONDS) : DEFAULT_WAIT_TIMEOUT_SECONDS;
+}
+
+/**
+ * Momento en que vence la espera de un paso
+ */
+export function computeTimeoutAt(step, now = new Date()) {
+  return new Date(now.getTime() + waitTimeoutSeconds(step) * 1000).toISOString();
+}
+
+/**
+ * Validar los pasos de un flujo antes de ejecutarlo
+ * @returns {string[]} Errores encontrados (vacío si es válido)
+ */
+export function validateFlowSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return ['El flujo no tiene pasos'];
+  }
+
+  const errors = [];
+  const checkInline = (inlineSteps, path) => {
+    if (inlineSteps === undefined) return;
+    if (!Array.isArray(inlineSteps)) {
+      errors.push(`${path} debe ser una lista de pasos`);
+      return;
+    }
+    inlineSteps.forEach((inline, index) => {
+      if (!inline?.type) {
+        errors.push(`${path}[${index}] no tiene tipo`);
+      } else if (inline.type === WAIT_STEP_TYPE) {
+        // Las ramas se ejecutan de una vez; las esperas solo van en el flujo principal
+        errors.push(`${path}[${index}]: no se puede esperar respuesta dentro de una rama`);
+      }
+      checkInline(inline?.trueSteps, `${path}[${index}].trueSteps`);
+      checkInline(inline?.falseSteps, `${path}[${index}].falseSteps`);
+    });
+  };
+
+  steps.forEach((step, index) => {
+    if (!step?.type) {
+      errors.push(`Paso ${index + 1}: falta el tipo`);
+      return;
+    }
+    if (step.type === WAIT_STEP_TYPE) {
+      const expected = normalizeExpectedType(step.expectedType);
+      if (!Object.values(EXPECTED_TYPES).includes(expected)) {
+        errors.push(`Paso ${index + 1}: tipo de respuesta no soportado: ${step.expectedType}`);
+      }
+      if (step.onTimeout !== undefined && !['end', 'continue'].includes(step.onTimeout)) {
+        errors.push(`Paso ${index + 1}: onTimeout debe ser "end" o "continue"`);
+      }
+      checkInline(step.timeoutSteps, `Paso ${index + 1}.timeoutSteps`);
+    }
+    if (step.type === CONDITION_STEP_TYPE && !step.condition?.type) {
+      errors.push(`Paso ${index + 1}: la condición no tiene tipo`);
+    }
+    checkInline(step.trueSteps, `Paso ${index + 1}.trueSteps`);
+    checkInline(step.falseSteps, `Paso ${index + 1}.falseSteps`);
+  });
+
+  return errors;
+}
+
+const foldText = value => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .toLowerCase();
+
+function matchButtonOption(options, response) {
+  const normalized = options.map(option => (
+    typeof option === 'object' && option !== null
+      ? { id: String(option.id), title: option.title ?? option.text ?? option.id }
+      : { id: String(option), title: option }
+  ));
+
+  if (response.kind === 'button' && response.id !== undefined && response.id !== null) {
+    return normalized.find(option => option.id === String(response.id)) || null;
+  }
+
+  // Texto escrito a mano: aceptar el título o el id de la opción
+  const typed = foldText(response.text);
+  return normalized.find(option => foldText(option.title) === typed || foldText(option.id) === typed) || null;
+}
+
+/**
+ * Validar la respuesta de un contacto a un paso "esperar respuesta"
+ * @param {Object} step - Paso con expectedType y options opcionales
+ * @param {{kind: 'text'|'button', text?: string, id?: string}} response
+ * @returns {{ok: true, value: *}|{ok: false, code: string, message: string}}
+ */
+export function validateResponse(step, response = {}) {
+  const expected = normalizeExpectedType(step?.expectedType);
+  const text = typeof response.text === 'string' ? response.text.trim() : '';
+  const invalid = code => ({
+    ok: false,
+    code,
+    message: step?.invalidMessage || INVALID_RESPONSE_MESSAGES[expected] || INVALID_RESPONSE_MESSAGES[EXPECTED_TYPES.TEXT]
+  });
+
+  if (expected === EXPECTED_TYPES.BUTTON) {
+    const options = Array.isArray(step.options) ? step.options : [];
+    if (options.length === 0) {
+      return response.kind === 'button' && response.id ? { ok: true, value: String(response.id) } : invalid('EXPECTED_BUTTON');
+    }
+    const option = matchButtonOption(options, response);
+    return option ? { ok: true, value: option.id } : invalid('INVALID_OPTION');
+  }
+
+  if (expected === EXPECTED_TYPES.ANY) {
+    const value = text || (response.id ? String(response.id) : '');
+    return value ? { ok: true, value } : invalid('EMPTY_RESPONSE');
+  }
+
+  // El resto de tipos se responden escribiendo
+  if (response.kind !== 'text' || !text) {
+    return invalid('EXPECTED_TEXT');
+  }
+  if (expected === EXPECTED_TYPES.TEXT) {
+    return { ok: true, value: text };
+  }
+
+  if (FIELD_BACKED_TYPES.includes(expected)) {
+    const definition = { type: expected, options: [], validation: step.validation || {} };
+    const coerced = coerceFieldValue(definition, text);
+    if (!coerced.ok || coerced.value === null) {
+      return invalid(coerced.code || 'INVALID_VALUE');
+    }
+    return { ok: true, value: parseStoredValue(definition, coerced.value) };
+  }
+
+  return invalid('UNSUPPORTED_TYPE');
+}
+
+/**
+ * Reemplazar {{variable}} en un texto; las variables desconocidas se dejan igual
+ */
+export function replaceVariables(text, variables = {}) {
+  if (!text) return text;
+
+  return String(text).replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    const value = variables[name];
+    return value === undefined || value === null || value === '' ? match : String(value);
+  });
+}
+
+/**
+ * Evaluar la condición de un paso "condition"
+ * @param {{type: string, field?: string, value?: *}} condition
+ * @param {{context: Object, tags: string[], customFields: Object}} state
+ */
+export function evaluateCondition(condition, { context = {}, tags = [], customFields = {} } = {}) {
+  switch (condition?.type) {
+    case 'has_tag':
+      return tags.includes(condition.value);
+    case 'custom_field_equals':
+      return customFields[condition.field] !== undefined &&
+        String(customFields[condition.field]) === String(condition.value);
+    case 'context_equals':
+      return context[condition.field] !== undefined &&
+        String(context[condition.field]) === String(condition.value);
+    default:
+      return false;
+  }
+}
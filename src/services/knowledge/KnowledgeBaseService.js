@@ -0,0 +1,415 @@
+/**
+ * @fileoverview Servicio de Base de Conocimiento del Bot
+ *
+ * Indexa documentos (Markdown, texto, PDF y FAQ en CSV) en fragmentos con un
+ * índice invertido BM25 guardado en SQLite, y recupera para cada pregunta los
+ * fragmentos y productos del catálogo (CommerceService) más relevantes. Con
+ * ellos la IA responde sin inventar datos y las citas quedan guardadas junto
+ * al mensaje del bot.
+ */
+
+import { Readable } from 'stream';
+import { getDatabaseService } from '../DatabaseService.js';
+import { createLogger } from '../core/core/logger.js';
+import { parseCsvStream } from '../contacts/csvStreamParser.js';
+import { intelligentAI } from '../../../apps/api/src/services/IntelligentAIService.js';
+import CommerceService from '../../../apps/api/src/services/CommerceService.js';
+import {
+  SOURCE_TYPES,
+  KNOWLEDGE_SYSTEM_PROMPT,
+  tokenize,
+  termFrequencies,
+  detectSourceType,
+  chunkText,
+  faqRowsToChunks,
+  chunkIndexText,
+  rankBm25,
+  rankProducts,
+  formatKnowledgeContext,
+  buildAnswerPrompt,
+  buildCitations
+} from './knowledgeIndex.js';
+
+const logger = createLogger('KNOWLEDGE_BASE');
+
+// Cuántos términos de la pregunta se consultan como máximo en el índice
+const MAX_QUERY_TERMS = 20;
+const FALLBACK_ANSWER_CHARS = 600;
+
+export class KnowledgeBaseError extends Error {
+  constructor(message, code = 'KNOWLEDGE_BASE_ERROR', statusCode = 400) {
+    super(message);
+    this.name = 'KnowledgeBaseError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+class KnowledgeBaseService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.isInitialized = false;
+    this.ai = intelligentAI;
+    this.commerce = null;
+    this.topPassages = parseInt(process.env.KB_TOP_PASSAGES || '4', 10);
+    this.topProducts = parseInt(process.env.KB_TOP_PRODUCTS || '3', 10);
+    this.minScore = parseFloat(process.env.KB_MIN_SCORE || '0.5');
+    this.chunkChars = parseInt(process.env.KB_CHUNK_CHARS || '900', 10);
+  }
+
+  /**
+   * Inicializar esquema de la base de conocimiento
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return this;
+    }
+
+    try {
+      await this.db.initialize();
+
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS kb_documents (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          title VARCHAR(255) NOT NULL,
+          source_type VARCHAR(20) NOT NULL,
+          filename VARCHAR(255),
+          chunk_count INTEGER DEFAULT 0,
+          created_by INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS kb_chunks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          document_id INTEGER NOT NULL,
+          position INTEGER NOT NULL,
+          title TEXT,
+          content TEXT NOT NULL,
+          token_count INTEGER NOT NULL DEFAULT 0,
+          FOREIGN KEY (document_id) REFERENCES kb_documents(id) ON DELETE CASCADE
+        )
+      `);
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS kb_terms (
+          chunk_id INTEGER NOT NULL,
+          term VARCHAR(100) NOT NULL,
+          tf INTEGER NOT NULL,
+          PRIMARY KEY (chunk_id, term),
+          FOREIGN KEY (chunk_id) REFERENCES kb_chunks(id) ON DELETE CASCADE
+        )
+      `);
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_kb_chunks_document ON kb_chunks(document_id)');
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_kb_terms_term ON kb_terms(term)');
+
+      this.isInitialized = true;
+      logger.info('✅ KnowledgeBaseService inicializado');
+      return this;
+    } catch (error) {
+      logger.error('❌ Error inicializando KnowledgeBaseService:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Indexar un documento
+   * @param {Object} input
+   * @param {string} input.title - Título visible en las citas (por defecto el nombre del archivo)
+   * @param {string} [input.sourceType] - markdown | text | pdf | faq_csv (por defecto según la extensión)
+   * @param {string} [input.filename]
+   * @param {Buffer} [input.buffer] - Contenido del archivo subido
+   * @param {string} [input.content] - Texto pegado directamente
+   * @param {number} [input.createdBy]
+   */
+  async ingestDocument({ title, sourceType, filename = null, buffer = null, content = null, createdBy = null } = {}) {
+    await this.initialize();
+
+    const type = sourceType || detectSourceType(filename) || (content ? SOURCE_TYPES.MARKDOWN : null);
+    if (!Object.values(SOURCE_TYPES).includes(type)) {
+      throw new KnowledgeBaseError(
+        `Tipo de documento no soportado. Usa: ${Object.values(SOURCE_TYPES).join(', ')}`,
+        'UNSUPPORTED_TYPE',
+        415
+      );
+    }
+
+    const documentTitle = String(title || filename || '').trim();
+    if (!documentTitle) {
+      throw new KnowledgeBaseError('El documento necesita un título', 'TITLE_REQUIRED', 400);
+    }
+
+    const chunks = await this.extractChunks(type, { buffer, content });
+    if (chunks.length === 0) {
+      throw new KnowledgeBaseError('El documento no tiene texto para indexar', 'EMPTY_DOCUMENT', 422);
+    }
+
+    const now = new Date().toISOString();
+    const documentId = await this.db.transaction(async (db) => {
+      const result = await db.run(
+        `INSERT INTO kb_documents (title, source_type, filename, chunk_count, created_by, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [documentTitle, type, filename, chunks.length, createdBy, now, now]
+      );
+
+      for (const [position, chunk] of chunks.entries()) {
+        const terms = tokenize(chunkIndexText(chunk));
+        const inserted = await db.run(
+          'INSERT INTO kb_chunks (document_id, position, title, content, token_count) VALUES (?, ?, ?, ?, ?)',
+          [result.lastID, position, chunk.title, chunk.content, terms.length]
+        );
+        for (const [term, tf] of Object.entries(termFrequencies(terms))) {
+          await db.run('INSERT INTO kb_terms (chunk_id, term, tf) VALUES (?, ?, ?)', [inserted.lastID, term, tf]);
+        }
+      }
+      return result.lastID;
+    });
+
+    logger.info(`📚 Documento indexado: "${documentTitle}" (${type}, ${chunks.length} fragmentos)`);
+    return this.getDocument(documentId);
+  }
+
+  /**
+   * Fragmentos de un documento según su tipo
+   */
+  async extractChunks(type, { buffer, content }) {
+    if (type === SOURCE_TYPES.FAQ_CSV) {
+      const rows = [];
+      const source = buffer ? Readable.from([buffer]) : Readable.from([String(content || '')]);
+      for await (const row of parseCsvStream(source)) {
+        rows.push(row);
+      }
+      return faqRowsToChunks(rows);
+    }
+
+    const text = type === SOURCE_TYPES.PDF
+      ? await this.extractPdfText(buffer)
+      : (content ?? buffer?.toString('utf8') ?? '');
+    return chunkText(text, { maxChars: this.chunkChars });
+  }
+
+  /**
+   * Texto de un PDF con pdf-parse (dependencia opcional)
+   */
+  async extractPdfText(buffer) {
+    if (!buffer) {
+      throw new KnowledgeBaseError('Sube el archivo PDF', 'FILE_REQUIRED', 400);
+    }
+
+    let pdfParse;
+    try {
+      // Se importa el módulo interno: el index de pdf-parse ejecuta un ejemplo al cargarse como ESM
+      ({ default: pdfParse } = await import('pdf-parse/lib/pdf-parse.js'));
+    } catch (error) {
+      logger.warn(`⚠️ pdf-parse no disponible: ${error.message}`);
+      throw new KnowledgeBaseError(
+        'La lectura de PDF requiere el paquete pdf-parse (npm install pdf-parse); sube el contenido como Markdown o texto',
+        'PDF_UNSUPPORTED',
+        415
+      );
+    }
+
+    try {
+      const { text } = await pdfParse(buffer);
+      return text;
+    } catch (error) {
+      throw new KnowledgeBaseError(`No se pudo leer el PDF: ${error.message}`, 'INVALID_PDF', 422);
+    }
+  }
+
+  async listDocuments() {
+    await this.initialize();
+    return this.db.all(
+      `SELECT id, title, source_type, filename, chunk_count, created_by, created_at, updated_at
+       FROM kb_documents
+       ORDER BY created_at DESC, id DESC`
+    );
+  }
+
+  /**
+   * Documento con sus fragmentos
+   */
+  async getDocument(documentId) {
+    await this.initialize();
+    const document = await this.db.get('SELECT * FROM kb_documents WHERE id = ?', [documentId]);
+    if (!document) {
+      throw new KnowledgeBaseError('Documento no encontrado', 'DOCUMENT_NOT_FOUND', 404);
+    }
+
+    const chunks = await this.db.all(
+      'SELECT id, position, title, content, token_count FROM kb_chunks WHERE document_id = ? ORDER BY position',
+      [document.id]
+    );
+    return { ...document, chunks };
+  }
+
+  async deleteDocument(documentId) {
+    const document = await this.getDocument(documentId);
+
+    // Borrado explícito: las claves foráneas de SQLite pueden estar desactivadas
+    await this.db.transaction(async (db) => {
+      await db.run('DELETE FROM kb_terms WHERE chunk_id IN (SELECT id FROM kb_chunks WHERE document_id = ?)', [document.id]);
+      await db.run('DELETE FROM kb_chunks WHERE document_id = ?', [document.id]);
+      await db.run('DELETE FROM kb_documents WHERE id = ?', [document.id]);
+    });
+
+    logger.info(`🗑️ Documento eliminado de la base de conocimiento: "${document.title}"`);
+    return { id: document.id, title: document.title, chunks: document.chunks.length };
+  }
+
+  /**
+   * Fragmentos y productos más relevantes para una pregunta
+   * @returns {Promise<{question: string, terms: string[], passages: Array, products: Array}>}
+   */
+  async retrieve(question, { limit = this.topPassages, productLimit = this.topProducts } = {}) {
+    const terms = [...new Set(tokenize(question))].slice(0, MAX_QUERY_TERMS);
+    if (terms.length === 0) {
+      return { question, terms, passages: [], products: [] };
+    }
+
+    const [passages, products] = await Promise.all([
+      this.searchPassages(terms, limit),
+      this.searchProducts(question, productLimit)
+    ]);
+    return { question, terms, passages, products };
+  }
+
+  /**
+   * Búsqueda BM25 en el índice invertido
+   */
+  async searchPassages(terms, limit) {
+    await this.initialize();
+    const placeholders = terms.map(() => '?').join(', ');
+
+    const stats = await this.db.get('SELECT COUNT(*) AS total, AVG(token_count) AS avg_length FROM kb_chunks');
+    if (!stats?.total) {
+      return [];
+    }
+
+    const frequencies = await this.db.all(
+      `SELECT term, COUNT(*) AS df FROM kb_terms WHERE term IN (${placeholders}) GROUP BY term`,
+      terms
+    );
+    const postings = await this.db.all(
+      `SELECT t.chunk_id, t.term, t.tf, c.token_count
+       FROM kb_terms t
+       JOIN kb_chunks c ON c.id = t.chunk_id
+       WHERE t.term IN (${placeholders})`,
+      terms
+    );
+
+    const documents = new Map();
+    for (const posting of postings) {
+      if (!documents.has(posting.chunk_id)) {
+        documents.set(posting.chunk_id, { id: posting.chunk_id, length: posting.token_count, tf: {} });
+      }
+      documents.get(posting.chunk_id).tf[posting.term] = posting.tf;
+    }
+
+    const ranked = rankBm25(terms, [...documents.values()], {
+      totalDocuments: stats.total,
+      avgLength: stats.avg_length,
+      documentFrequency: Object.fromEntries(frequencies.map(row => [row.term, row.df]))
+    })
+      .filter(result => result.score >= this.minScore)
+      .slice(0, limit);
+
+    if (ranked.length === 0) {
+      return [];
+    }
+
+    const rows = await this.db.all(
+      `SELECT c.id, c.document_id, c.title, c.content, d.title AS document_title
+       FROM kb_chunks c
+       JOIN kb_documents d ON d.id = c.document_id
+       WHERE c.id IN (${ranked.map(() => '?').join(', ')})`,
+      ranked.map(result => result.id)
+    );
+    const byId = new Map(rows.map(row => [row.id, row]));
+
+    return ranked
+      .filter(result => byId.has(result.id))
+      .map(result => {
+        const row = byId.get(result.id);
+        return {
+          chunkId: row.id,
+          documentId: row.document_id,
+          documentTitle: row.document_title,
+          title: row.title,
+          content: row.content,
+          score: result.score,
+          matchedTerms: result.matchedTerms
+        };
+      });
+  }
+
+  /**
+   * Productos activos del catálogo relacionados con la pregunta
+   */
+  async searchProducts(question, limit) {
+    if (limit <= 0) {
+      return [];
+    }
+
+    try {
+      if (!this.commerce) {
+        this.commerce = new CommerceService();
+      }
+      const products = await this.commerce.listProducts({ status: 'active' });
+      return rankProducts(question, products, { limit, minScore: this.minScore })
+        .map(({ product, score }) => ({ ...product, score }));
+    } catch (error) {
+      logger.warn(`⚠️ No se pudo consultar el catálogo: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Contexto para el prompt del bot; null si la base no tiene nada relacionado
+   * @returns {Promise<{context: string, citations: Object}|null>}
+   */
+  async buildBotContext(question) {
+    const { passages, products } = await this.retrieve(question);
+    if (passages.length === 0 && products.length === 0) {
+      return null;
+    }
+    return {
+      context: formatKnowledgeContext(passages, products),
+      citations: buildCitations(passages, products)
+    };
+  }
+
+  /**
+   * Responder una pregunta solo con la información recuperada
+   * @returns {Promise<{question: string, answer: string|null, source: 'ia'|'fallback'|'none', terms: string[], passages: Array, products: Array, citations: Object}>}
+   */
+  async answer(question) {
+    const retrieval = await this.retrieve(question);
+    const { passages, products } = retrieval;
+    const citations = buildCitations(passages, products);
+
+    if (passages.length === 0 && products.length === 0) {
+      return { ...retrieval, answer: null, source: 'none', citations };
+    }
+
+    const answer = await this.ai.completarChat(KNOWLEDGE_SYSTEM_PROMPT, buildAnswerPrompt(question, passages, products), {
+      maxTokens: 300,
+      temperature: 0.2
+    });
+    if (answer) {
+      return { ...retrieval, answer, source: 'ia', citations };
+    }
+
+    // Sin IA: el fragmento mejor puntuado (en una FAQ es la respuesta tal cual)
+    const best = passages[0];
+    return {
+      ...retrieval,
+      answer: best ? best.content.slice(0, FALLBACK_ANSWER_CHARS) : null,
+      source: best ? 'fallback' : 'none',
+      citations: best ? buildCitations([best], []) : citations
+    };
+  }
+}
+
+export const knowledgeBaseService = new KnowledgeBaseService();
+export default KnowledgeBaseService;
@@ -0,0 +1,133 @@
+/**
+ * Tests para el índice de la base de conocimiento del bot
+ */
+
+import {
+  SOURCE_TYPES,
+  tokenize,
+  detectSourceType,
+  chunkText,
+  faqRowsToChunks,
+  rankBm25,
+  rankProducts,
+  formatKnowledgeContext,
+  buildCitations
+} from '../knowledgeIndex.js';
+
+describe('knowledgeIndex', () => {
+  describe('tokenize', () => {
+    test('debería quitar tildes, mayúsculas y palabras vacías', () => {
+      expect(tokenize('¿Cuánto tarda el ENVÍO a Medellín?')).toEqual(['tarda', 'envio', 'medellin']);
+    });
+  });
+
+  describe('detectSourceType', () => {
+    test('debería reconocer el tipo por la extensión', () => {
+      expect(detectSourceType('Politicas.MD')).toBe(SOURCE_TYPES.MARKDOWN);
+      expect(detectSourceType('faq.csv')).toBe(SOURCE_TYPES.FAQ_CSV);
+      expect(detectSourceType('manual.pdf')).toBe(SOURCE_TYPES.PDF);
+      expect(detectSourceType('foto.png')).toBeNull();
+    });
+  });
+
+  describe('chunkText', () => {
+    test('debería abrir un fragmento por encabezado y guardar su ruta como título', () => {
+      const chunks = chunkText('Intro general\n\n# Envíos\n\n## Plazos\nDe 2 a 5 días hábiles.\n\n# Devoluciones\nTienes 30 días.');
+
+      expect(chunks).toEqual([
+        { title: null, content: 'Intro general' },
+        { title: 'Envíos > Plazos', content: 'De 2 a 5 días hábiles.' },
+        { title: 'Devoluciones', content: 'Tienes 30 días.' }
+      ]);
+    });
+
+    test('debería agrupar párrafos sin superar el tamaño máximo', () => {
+      const text = ['Primera oración.', 'Segunda oración.', 'Tercera oración muy larga. Con otra más.'].join('\n\n');
+      const chunks = chunkText(text, { maxChars: 35 });
+
+      expect(chunks.map(chunk => chunk.content)).toEqual([
+        'Primera oración.\n\nSegunda oración.',
+        'Tercera oración muy larga.',
+        'Con otra más.'
+      ]);
+      chunks.forEach(chunk => expect(chunk.content.length).toBeLessThanOrEqual(35));
+    });
+  });
+
+  describe('faqRowsToChunks', () => {
+    test('debería usar las columnas pregunta y respuesta', () => {
+      const rows = [
+        ['id', 'Respuesta', 'Pregunta'],
+        ['1', 'Aceptamos tarjeta y transferencia.', '¿Qué medios de pago aceptan?'],
+        ['2', '', 'Fila incompleta']
+      ];
+
+      expect(faqRowsToChunks(rows)).toEqual([
+        { title: '¿Qué medios de pago aceptan?', content: 'Aceptamos tarjeta y transferencia.' }
+      ]);
+    });
+
+    test('debería usar las dos primeras columnas si la cabecera no las nombra', () => {
+      expect(faqRowsToChunks([['p', 'r'], ['¿Horario?', 'De 8 a 18 h.']])).toEqual([
+        { title: '¿Horario?', content: 'De 8 a 18 h.' }
+      ]);
+    });
+  });
+
+  describe('rankBm25', () => {
+    test('debería favorecer los términos poco frecuentes y los documentos cortos', () => {
+      const documents = [
+        { id: 'a', length: 10, tf: { envio: 1, devolucion: 1 } },
+        { id: 'b', length: 4, tf: { envio: 1 } },
+        { id: 'c', length: 10, tf: { pago: 2 } }
+      ];
+      const ranked = rankBm25(['envio', 'devolucion'], documents, {
+        totalDocuments: 3,
+        avgLength: 8,
+        documentFrequency: { envio: 2, devolucion: 1, pago: 1 }
+      });
+
+      expect(ranked.map(result => result.id)).toEqual(['a', 'b']);
+      expect(ranked[0].matchedTerms).toEqual(['envio', 'devolucion']);
+      expect(ranked[0].score).toBeGreaterThan(ranked[1].score);
+    });
+  });
+
+  describe('rankProducts', () => {
+    const products = [
+      { id: 'p1', name: 'Camiseta deportiva', tags: ['ropa'], description: 'Tela transpirable', price: 50000, currency: 'COP' },
+      { id: 'p2', name: 'Termo acero', tags: ['hogar'], description: 'Mantiene la bebida fría', price: 30000, currency: 'COP' }
+    ];
+
+    test('debería devolver los productos relacionados con la pregunta', () => {
+      const ranked = rankProducts('¿Tienen camisetas? quiero una camiseta deportiva', products);
+
+      expect(ranked).toHaveLength(1);
+      expect(ranked[0].product.id).toBe('p1');
+    });
+
+    test('debería devolver una lista vacía sin términos útiles', () => {
+      expect(rankProducts('hola, gracias', products)).toEqual([]);
+    });
+  });
+
+  describe('formatKnowledgeContext y buildCitations', () => {
+    const passages = [
+      { chunkId: 7, documentId: 2, documentTitle: 'Políticas', title: 'Envíos', content: 'De 2 a 5 días.', score: 2.1 }
+    ];
+    const products = [{ id: 'p1', sku: 'CAM-1', name: 'Camiseta', price: 50000, currency: 'COP', inStock: false }];
+
+    test('debería numerar los fragmentos e incluir los productos', () => {
+      expect(formatKnowledgeContext(passages, products)).toBe(
+        '[1] Políticas - Envíos:\nDe 2 a 5 días.\n\nProductos del catálogo:\n- Camiseta (CAM-1): 50000 COP, agotado'
+      );
+    });
+
+    test('debería citar fragmentos y productos usados', () => {
+      expect(buildCitations(passages, products)).toEqual({
+        passages: [{ source: 1, chunkId: 7, documentId: 2, documentTitle: 'Políticas', title: 'Envíos', score: 2.1 }],
+        products: [{ id: 'p1', sku: 'CAM-1', name: 'Camiseta' }]
+      });
+    });
+  });
+});
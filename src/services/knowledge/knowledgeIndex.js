@@ -0,0 +1,338 @@
+/**
+ * @fileoverview Índice de la base de conocimiento del bot
+ *
+ * Lógica pura usada por KnowledgeBaseService: normalización y tokenización
+ * (sin tildes ni palabras vacías), fragmentación de Markdown/texto y de FAQ
+ * en CSV, puntuación BM25 de fragmentos y productos del catálogo, y armado
+ * del contexto y las citas que acompañan la respuesta del bot.
+ */
+
+export const SOURCE_TYPES = Object.freeze({
+  MARKDOWN: 'markdown',
+  TEXT: 'text',
+  PDF: 'pdf',
+  FAQ_CSV: 'faq_csv'
+});
+
+export const SOURCE_EXTENSIONS = Object.freeze({
+  '.md': SOURCE_TYPES.MARKDOWN,
+  '.markdown': SOURCE_TYPES.MARKDOWN,
+  '.txt': SOURCE_TYPES.TEXT,
+  '.pdf': SOURCE_TYPES.PDF,
+  '.csv': SOURCE_TYPES.FAQ_CSV
+});
+
+export const DEFAULT_CHUNK_CHARS = 900;
+export const BM25_DEFAULTS = Object.freeze({ k1: 1.2, b: 0.75 });
+
+export const KNOWLEDGE_SYSTEM_PROMPT = `Eres el asistente de atención por WhatsApp de la empresa.
+Responde SOLO con la información de referencia; si no alcanza para responder, dilo y ofrece pasar con un asesor.
+No inventes precios, plazos ni políticas. Responde en el idioma del cliente, en 1 a 4 oraciones.
+Al final indica entre corchetes los números de las fuentes usadas, por ejemplo [1] o [1][3].`;
+
+const STOPWORDS = new Set([
+  // Español
+  'a', 'al', 'algo', 'como', 'con', 'cual', 'cuando', 'de', 'del', 'donde', 'el', 'ella', 'en', 'es', 'esa',
+  'ese', 'eso', 'esta', 'este', 'esto', 'fue', 'ha', 'hay', 'la', 'las', 'le', 'les', 'lo', 'los', 'me', 'mi',
+  'mis', 'muy', 'ni', 'no', 'nos', 'o', 'para', 'pero', 'por', 'que', 'quiero', 'se', 'si', 'sin', 'sobre',
+  'son', 'su', 'sus', 'te', 'tengo', 'ti', 'tu', 'tus', 'un', 'una', 'unas', 'uno', 'unos', 'y', 'ya', 'yo',
+  'hola', 'gracias', 'favor', 'puedo', 'puede', 'pueden', 'saber', 'cuanto', 'cuantos', 'cuanta', 'cuantas',
+  // Inglés
+  'an', 'and', 'are', 'be', 'can', 'do', 'does', 'for', 'from', 'have', 'how', 'i', 'in', 'is', 'it', 'my',
+  'of', 'on', 'or', 'the', 'to', 'what', 'when', 'where', 'which', 'with', 'you', 'your'
+]);
+
+/**
+ * Texto en minúsculas y sin tildes
+ */
+export function normalizeText(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Términos indexables de un texto (sin palabras vacías ni términos de una letra)
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return normalizeText(text)
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1 && !STOPWORDS.has(term));
+}
+
+/**
+ * Frecuencia de cada término
+ * @returns {Object<string, number>}
+ */
+export function termFrequencies(terms) {
+  const frequencies = {};
+  for (const term of terms) {
+    frequencies[term] = (frequencies[term] || 0) + 1;
+  }
+  return frequencies;
+}
+
+/**
+ * Tipo de fuente a partir de la extensión del archivo
+ * @returns {string|null}
+ */
+export function detectSourceType(filename = '') {
+  const match = String(filename).toLowerCase().match(/\.[a-z]+$/);
+  return (match && SOURCE_EXTENSIONS[match[0]]) || null;
+}
+
+/**
+ * Dividir un párrafo largo por oraciones sin superar el máximo
+ */
+function splitLongParagraph(paragraph, maxChars) {
+  if (paragraph.length <= maxChars) {
+    return [paragraph];
+  }
+
+  const pieces = [];
+  let current = '';
+  for (const sentence of paragraph.match(/[^.!?\n]+[.!?]*\s*/g) || [paragraph]) {
+    if (current && current.length + sentence.length > maxChars) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    // Oraciones más largas que el máximo se cortan en seco
+    for (let start = 0; start < sentence.length; start += maxChars) {
+      const slice = sentence.slice(start, start + maxChars);
+      if (current.length + slice.length > maxChars) {
+        pieces.push(current.trim());
+        current = '';
+      }
+      current += slice;
+    }
+  }
+  if (current.trim()) {
+    pieces.push(current.trim());
+  }
+  return pieces.filter(Boolean);
+}
+
+/**
+ * Fragmentar Markdown o texto plano
+ *
+ * Cada encabezado abre un fragmento nuevo y su ruta ("Envíos > Plazos") queda
+ * como título; los párrafos se agrupan hasta `maxChars`.
+ * @returns {Array<{title: string|null, content: string}>}
+ */
+export function chunkText(text, { maxChars = DEFAULT_CHUNK_CHARS } = {}) {
+  const chunks = [];
+  const headings = [];
+  let paragraphs = [];
+
+  const currentTitle = () => (headings.length > 0 ? headings.filter(Boolean).join(' > ') : null);
+
+  const flush = () => {
+    let buffer = '';
+    const title = currentTitle();
+    for (const paragraph of paragraphs.flatMap(item => splitLongParagraph(item, maxChars))) {
+      if (buffer && buffer.length + paragraph.length + 2 > maxChars) {
+        chunks.push({ title, content: buffer });
+        buffer = '';
+      }
+      buffer = buffer ? `${buffer}\n\n${paragraph}` : paragraph;
+    }
+    if (buffer) {
+      chunks.push({ title, content: buffer });
+    }
+    paragraphs = [];
+  };
+
+  let paragraph = [];
+  const endParagraph = () => {
+    const joined = paragraph.join('\n').trim();
+    if (joined) {
+      paragraphs.push(joined);
+    }
+    paragraph = [];
+  };
+
+  for (const line of String(text ?? '').replace(/\r\n?/g, '\n').split('\n')) {
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      endParagraph();
+      flush();
+      const level = heading[1].length;
+      headings.length = level - 1;
+      headings[level - 1] = heading[2].trim();
+    } else if (line.trim() === '') {
+      endParagraph();
+    } else {
+      paragraph.push(line.trim());
+    }
+  }
+  endParagraph();
+  flush();
+
+  return chunks;
+}
+
+const FAQ_QUESTION_COLUMNS = ['pregunta', 'question', 'q'];
+const FAQ_ANSWER_COLUMNS = ['respuesta', 'answer', 'a'];
+
+/**
+ * Fragmentos de una FAQ en CSV (un fragmento por pregunta)
+ *
+ * Las columnas se buscan por nombre (pregunta/question, respuesta/answer);
+ * si la cabecera no las nombra se usan las dos primeras.
+ * @param {string[][]} rows - Filas del CSV, incluida la cabecera
+ * @returns {Array<{title: string, content: string}>}
+ */
+export function faqRowsToChunks(rows = []) {
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0].map(cell => normalizeText(cell).trim());
+  const questionIndex = header.findIndex(cell => FAQ_QUESTION_COLUMNS.includes(cell));
+  const answerIndex = header.findIndex(cell => FAQ_ANSWER_COLUMNS.includes(cell));
+  const named = questionIndex !== -1 && answerIndex !== -1;
+  const columns = named ? [questionIndex, answerIndex] : [0, 1];
+
+  return rows
+    .slice(1)
+    .map(row => ({
+      title: String(row[columns[0]] ?? '').trim(),
+      content: String(row[columns[1]] ?? '').trim()
+    }))
+    .filter(chunk => chunk.title && chunk.content);
+}
+
+/**
+ * Texto indexado de un fragmento (el título también cuenta)
+ */
+export function chunkIndexText(chunk) {
+  return chunk.title ? `${chunk.title}\n${chunk.content}` : chunk.content;
+}
+
+/**
+ * Puntuación BM25
+ * @param {string[]} queryTerms - Términos de la pregunta
+ * @param {Array<{id: *, length: number, tf: Object<string, number>}>} documents - Documentos con algún término
+ * @param {Object} stats
+ * @param {number} stats.totalDocuments - Documentos del índice completo
+ * @param {number} stats.avgLength - Longitud media (en términos)
+ * @param {Object<string, number>} stats.documentFrequency - Documentos que contienen cada término
+ * @returns {Array<{id: *, score: number, matchedTerms: string[]}>} Ordenados de mayor a menor puntuación
+ */
+export function rankBm25(queryTerms, documents, { totalDocuments, avgLength, documentFrequency }, { k1, b } = BM25_DEFAULTS) {
+  const terms = [...new Set(queryTerms)];
+  const averageLength = avgLength || 1;
+
+  return documents
+    .map(document => {
+      let score = 0;
+      const matchedTerms = [];
+      for (const term of terms) {
+        const frequency = document.tf[term] || 0;
+        if (frequency === 0) continue;
+
+        const df = documentFrequency[term] || 0;
+        const idf = Math.log(1 + (totalDocuments - df + 0.5) / (df + 0.5));
+        score += idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * (document.length / averageLength)));
+        matchedTerms.push(term);
+      }
+      return { id: document.id, score: Math.round(score * 1000) / 1000, matchedTerms };
+    })
+    .filter(result => result.score > 0)
+    .sort((left, right) => right.score - left.score);
+}
+
+/**
+ * Productos del catálogo más relacionados con la pregunta (BM25 sobre nombre, etiquetas y descripción)
+ * @returns {Array<{product: Object, score: number, matchedTerms: string[]}>}
+ */
+export function rankProducts(question, products = [], { limit = 3, minScore = 0 } = {}) {
+  const queryTerms = tokenize(question);
+  if (queryTerms.length === 0 || products.length === 0) {
+    return [];
+  }
+
+  // El nombre pesa el doble que la descripción
+  const documents = products.map((product, index) => {
+    const terms = tokenize([
+      product.name,
+      product.name,
+      product.sku,
+      ...(Array.isArray(product.tags) ? product.tags : []),
+      product.shortDescription,
+      product.description
+    ].filter(Boolean).join(' '));
+    return { id: index, length: terms.length, tf: termFrequencies(terms) };
+  });
+
+  const documentFrequency = {};
+  for (const document of documents) {
+    for (const term of Object.keys(document.tf)) {
+      documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+    }
+  }
+  const avgLength = documents.reduce((total, document) => total + document.length, 0) / documents.length;
+
+  return rankBm25(queryTerms, documents, { totalDocuments: documents.length, avgLength, documentFrequency })
+    .filter(result => result.score >= minScore)
+    .slice(0, limit)
+    .map(result => ({ product: products[result.id], score: result.score, matchedTerms: result.matchedTerms }));
+}
+
+const formatPrice = (product) => {
+  const price = product.price !== undefined && product.price !== null ? `${product.price} ${product.currency || ''}`.trim() : 'sin precio';
+  const stock = product.inStock === false ? ', agotado' : '';
+  return `${price}${stock}`;
+};
+
+/**
+ * Información de referencia para el prompt: fragmentos numerados y productos
+ * @param {Array<{documentTitle: string, title: string|null, content: string}>} passages
+ * @param {Array<Object>} products - Productos de CommerceService
+ */
+export function formatKnowledgeContext(passages = [], products = []) {
+  const sections = passages.map((passage, index) => {
+    const source = passage.title ? `${passage.documentTitle} - ${passage.title}` : passage.documentTitle;
+    return `[${index + 1}] ${source}:\n${passage.content}`;
+  });
+
+  if (products.length > 0) {
+    const lines = products.map(product => {
+      const description = product.shortDescription || product.description;
+      return `- ${product.name}${product.sku ? ` (${product.sku})` : ''}: ${formatPrice(product)}${description ? `. ${description}` : ''}`;
+    });
+    sections.push(`Productos del catálogo:\n${lines.join('\n')}`);
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Prompt de usuario para responder una pregunta con la información recuperada
+ */
+export function buildAnswerPrompt(question, passages = [], products = []) {
+  return `Información de referencia:\n\n${formatKnowledgeContext(passages, products)}\n\nPregunta del cliente: "${question}"`;
+}
+
+/**
+ * Citas que se guardan con la respuesta del bot
+ */
+export function buildCitations(passages = [], products = []) {
+  return {
+    passages: passages.map((passage, index) => ({
+      source: index + 1,
+      chunkId: passage.chunkId,
+      documentId: passage.documentId,
+      documentTitle: passage.documentTitle,
+      title: passage.title,
+      score: passage.score
+    })),
+    products: products.map(product => ({
+      id: product.id,
+      sku: product.sku || null,
+      name: product.name
+    }))
+  };
+}
@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Servicio de Fallos de Entrega de WhatsApp
+ *
+ * Persiste el array `errors[]` que WhatsApp envía con los estados `failed`
+ * en `messages` y `campaign_messages`, y genera el análisis de fallos por
+ * código de error, plantilla y campaña en un rango de fechas.
+ */
+
+import { getDatabaseService } from '../DatabaseService.js';
+import { createLogger } from '../core/core/logger.js';
+import { describeDeliveryError, normalizeStatusErrors } from './deliveryErrorCatalog.js';
+
+const logger = createLogger('DELIVERY_FAILURES');
+
+const DEFAULT_RANGE_DAYS = 30;
+
+// Fallos de mensajes del chat y de campañas en una sola vista.
+// Los mensajes que también existen en campaign_messages se cuentan solo como campaña.
+const FAILURES_SQL = `
+  SELECT 'message' AS source, m.message_id, m.error_code, m.error_title,
+         CASE WHEN m.type = 'template' THEN m.content END AS template,
+         NULL AS campaign_id, NULL AS campaign_name,
+         COALESCE(m.failed_at, m.created_at) AS failed_at
+  FROM messages m
+  WHERE m.status = 'failed'
+    AND (m.message_id IS NULL OR m.message_id NOT IN (
+      SELECT message_id FROM campaign_messages WHERE message_id IS NOT NULL
+    ))
+  UNION ALL
+  SELECT 'campaign' AS source, cm.message_id, cm.error_code, cm.error_title,
+         c.template_id AS template,
+         cm.campaign_id, c.name AS campaign_name,
+         COALESCE(cm.failed_at, cm.created_at) AS failed_at
+  FROM campaign_messages cm
+  LEFT JOIN campaigns c ON c.id = cm.campaign_id
+  WHERE cm.status = 'failed'
+`;
+
+/**
+ * Error de validación del análisis de fallos
+ */
+export class DeliveryFailureError extends Error {
+  constructor(message, code = 'INVALID_RANGE', statusCode = 400) {
+    super(message);
+    this.name = 'DeliveryFailureError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+class DeliveryFailureService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.isInitialized = false;
+  }
+
+  /**
+   * Agregar columnas de error a messages y campaign_messages
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return this;
+    }
+
+    try {
+      await this.db.initialize();
+
+      await this.db.addColumnIfMissing('messages', 'error_code', 'INTEGER');
+      await this.db.addColumnIfMissing('messages', 'error_title', 'TEXT');
+      await this.db.addColumnIfMissing('messages', 'error_details', 'TEXT');
+      await this.db.addColumnIfMissing('messages', 'failed_at', 'DATETIME');
+
+      await this.db.addColumnIfMissing('campaign_messages', 'error_code', 'INTEGER');
+      await this.db.addColumnIfMissing('campaign_messages', 'error_title', 'TEXT');
+      await this.db.addColumnIfMissing('campaign_messages', 'error_details', 'TEXT');
+      await this.db.addColumnIfMissing('campaign_messages', 'error_message', 'TEXT');
+      await this.db.addColumnIfMissing('campaign_messages', 'failed_at', 'DATETIME');
+
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_messages_error_code ON messages(error_code)');
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_campaign_messages_error_code ON campaign_messages(error_code)');
+
+      this.isInitialized = true;
+      logger.info('✅ DeliveryFailureService inicializado');
+      return this;
+    } catch (error) {
+      logger.error('❌ Error inicializando DeliveryFailureService:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar un estado `failed` con sus errores
+   * @param {string} messageId - ID de WhatsApp (wamid)
+   * @param {Array} errors - Array `errors` del estado
+   * @param {string|number} timestamp - Timestamp Unix del estado
+   */
+  async recordFailure(messageId, errors, timestamp = null) {
+    await this.initialize();
+
+    const normalized = normalizeStatusErrors(errors);
+    const failedAt = timestamp
+      ? new Date(parseInt(timestamp, 10) * 1000).toISOString()
+      : new Date().toISOString();
+
+    const code = normalized?.code ?? null;
+    const title = normalized?.title || normalized?.message || null;
+    const details = normalized ? JSON.stringify(normalized.errors) : null;
+    const errorMessage = normalized
+      ? [title, normalized.details].filter(Boolean).join(': ')
+      : null;
+
+    await this.db.run(
+      `UPDATE messages
+       SET status = 'failed', error_code = ?, error_title = ?, error_details = ?, failed_at = ?
+       WHERE message_id = ?`,
+      [code, title, details, failedAt, messageId]
+    );
+
+    await this.db.run(
+      `UPDATE campaign_messages
+       SET status = 'failed', error_code = ?, error_title = ?, error_details = ?,
+           error_message = COALESCE(?, error_message), failed_at = ?
+       WHERE message_id = ?`,
+      [code, title, details, errorMessage, failedAt, messageId]
+    );
+
+    const description = describeDeliveryError(code);
+    logger.warn(`❌ Mensaje ${messageId} fallido [${code ?? 'sin código'}] ${description.title}`);
+
+    return { messageId, failedAt, ...description, details: normalized?.details || null };
+  }
+
+  /**
+   * Resolver y validar el rango de fechas
+   */
+  resolveRange({ from, to } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from
+      ? new Date(from)
+      : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw new DeliveryFailureError('Las fechas "from" y "to" deben tener formato ISO 8601');
+    }
+    if (start > end) {
+      throw new DeliveryFailureError('"from" debe ser anterior a "to"');
+    }
+
+    return { from: start.toISOString(), to: end.toISOString() };
+  }
+
+  /**
+   * Análisis de fallos agrupado por código, plantilla y campaña
+   * @param {Object} filters - { from, to, campaignId }
+   */
+  async getFailureAnalytics(filters = {}) {
+    await this.initialize();
+
+    const range = this.resolveRange(filters);
+    const conditions = ['datetime(failed_at) >= datetime(?)', 'datetime(failed_at) <= datetime(?)'];
+    const params = [range.from, range.to];
+
+    if (filters.campaignId) {
+      conditions.push('campaign_id = ?');
+      params.push(filters.campaignId);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    const [byCodeRows, byTemplateRows, byCampaignRows] = await Promise.all([
+      this.db.all(
+        `SELECT error_code, MAX(error_title) AS error_title, COUNT(*) AS total
+         FROM (${FAILURES_SQL}) ${where}
+         GROUP BY error_code
+         ORDER BY total DESC`,
+        params
+      ),
+      this.db.all(
+        `SELECT template, error_code, COUNT(*) AS total
+         FROM (${FAILURES_SQL}) ${where} AND template IS NOT NULL
+         GROUP BY template, error_code`,
+        params
+      ),
+      this.db.all(
+        `SELECT campaign_id, campaign_name, error_code, COUNT(*) AS total
+         FROM (${FAILURES_SQL}) ${where} AND campaign_id IS NOT NULL
+         GROUP BY campaign_id, error_code`,
+        params
+      )
+    ]);
+
+    const byCode = byCodeRows.map(row => {
+      const description = describeDeliveryError(row.error_code);
+      return {
+        ...description,
+        code: row.error_code ?? null,
+        reportedTitle: row.error_title || null,
+        total: row.total
+      };
+    });
+
+    return {
+      range,
+      total: byCode.reduce((sum, row) => sum + row.total, 0),
+      byCode,
+      byTemplate: this.groupByKey(byTemplateRows, row => row.template, row => ({ template: row.template })),
+      byCampaign: this.groupByKey(byCampaignRows, row => row.campaign_id, row => ({
+        campaignId: row.campaign_id,
+        campaignName: row.campaign_name
+      }))
+    };
+  }
+
+  /**
+   * Colapsar filas (clave, código) en { ...clave, total, codes: [{ code, total }] }
+   */
+  groupByKey(rows, keyOf, describeKey) {
+    const groups = new Map();
+
+    for (const row of rows) {
+      const key = keyOf(row);
+      if (!groups.has(key)) {
+        groups.set(key, { ...describeKey(row), total: 0, codes: [] });
+      }
+      const group = groups.get(key);
+      group.total += row.total;
+      group.codes.push({ code: row.error_code ?? null, title: describeDeliveryError(row.error_code).title, total: row.total });
+    }
+
+    return [...groups.values()]
+      .map(group => ({ ...group, codes: group.codes.sort((a, b) => b.total - a.total) }))
+      .sort((a, b) => b.total - a.total);
+  }
+}
+
+export const deliveryFailureService = new DeliveryFailureService();
+export default DeliveryFailureService;
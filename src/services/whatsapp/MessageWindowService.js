@@ -0,0 +1,273 @@
+/**
+ * @fileoverview Servicio de Ventana de Atención de WhatsApp (24h)
+ *
+ * WhatsApp solo permite mensajes libres (texto, media, interactivos) dentro de
+ * las 24 horas siguientes al último mensaje del cliente; fuera de esa ventana
+ * únicamente se pueden enviar plantillas aprobadas. Este servicio registra la
+ * ventana a partir de los mensajes entrantes y valida cada envío no-plantilla.
+ */
+
+import { getDatabaseService } from '../DatabaseService.js';
+import { createLogger } from '../core/core/logger.js';
+import { phoneMatchKey } from '../contacts/contactDuplicates.js';
+
+const logger = createLogger('MESSAGE_WINDOW');
+
+// Teléfono del contacto sin los separadores habituales, para preseleccionar candidatos en SQL
+const STORED_PHONE_DIGITS_SQL = `REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(
+  contacts.phone_number, '+', ''), ' ', ''), '-', ''), '(', ''), ')', ''), '.', '')`;
+// Dígitos finales que comparten todas las formas de escribir un mismo número
+const PHONE_SUFFIX_DIGITS = 7;
+
+export const CUSTOMER_SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Código de error de WhatsApp cuando se intenta re-contactar fuera de la ventana
+export const WHATSAPP_REENGAGEMENT_ERROR_CODE = 131047;
+
+/**
+ * Error estructurado para envíos fuera de la ventana de 24h
+ */
+export class MessageWindowClosedError extends Error {
+  constructor(message = 'La ventana de atención de 24h está cerrada; solo se pueden enviar plantillas', details = {}) {
+    super(message);
+    this.name = 'MessageWindowClosedError';
+    this.code = 'window_closed';
+    this.statusCode = 422;
+    this.expiresAt = details.expiresAt || null;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      success: false,
+      error: 'window_closed',
+      message: this.message,
+      expiresAt: this.expiresAt,
+      lastInboundAt: this.details.lastInboundAt || null,
+      requiresTemplate: true
+    };
+  }
+}
+
+/**
+ * Convertir una fecha guardada en SQLite a Date. CURRENT_TIMESTAMP y datetime()
+ * guardan 'YYYY-MM-DD HH:MM:SS' en UTC sin zona, que new Date() leería como hora local.
+ */
+export function parseStoredTimestamp(value) {
+  if (value instanceof Date) {
+    return value;
+  }
+  const text = String(value);
+  return new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d+)?$/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+}
+
+/**
+ * Calcular el estado de la ventana a partir del último mensaje entrante
+ */
+export function computeWindowState(lastInboundAt, now = new Date()) {
+  if (!lastInboundAt) {
+    return {
+      isOpen: false,
+      lastInboundAt: null,
+      expiresAt: null,
+      remainingMs: 0,
+      requiresTemplate: true
+    };
+  }
+
+  const receivedAt = parseStoredTimestamp(lastInboundAt);
+  const expiresAt = new Date(receivedAt.getTime() + CUSTOMER_SERVICE_WINDOW_MS);
+  const remainingMs = Math.max(0, expiresAt.getTime() - now.getTime());
+
+  return {
+    isOpen: remainingMs > 0,
+    lastInboundAt: receivedAt.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+    remainingMs,
+    requiresTemplate: remainingMs === 0
+  };
+}
+
+class MessageWindowService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.isInitialized = false;
+    this.enforce = process.env.WHATSAPP_WINDOW_ENFORCEMENT !== 'false';
+  }
+
+  /**
+   * Inicializar tabla de ventanas y poblarla con el historial existente
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return this;
+    }
+
+    try {
+      await this.db.initialize();
+
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS message_windows (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          contact_id INTEGER NOT NULL,
+          last_user_message_at DATETIME NOT NULL,
+          window_expires_at DATETIME NOT NULL,
+          is_active BOOLEAN DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
+        )
+      `);
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_message_windows_contact ON message_windows(contact_id, is_active)');
+
+      // Contactos con mensajes entrantes previos a la creación de la tabla
+      await this.db.run(`
+        INSERT INTO message_windows (contact_id, last_user_message_at, window_expires_at, is_active)
+        SELECT m.contact_id, MAX(m.created_at), strftime('%Y-%m-%dT%H:%M:%fZ', MAX(m.created_at), '+24 hours'), 1
+        FROM messages m
+        WHERE m.direction = 'inbound'
+          AND m.contact_id IS NOT NULL
+          AND m.contact_id NOT IN (SELECT contact_id FROM message_windows)
+        GROUP BY m.contact_id
+      `);
+
+      this.isInitialized = true;
+      logger.info('✅ MessageWindowService inicializado');
+      return this;
+    } catch (error) {
+      logger.error('❌ Error inicializando MessageWindowService:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar mensaje entrante del cliente (abre o renueva la ventana)
+   */
+  async recordInboundMessage(contactId, receivedAt = new Date()) {
+    await this.initialize();
+
+    const state = computeWindowState(receivedAt);
+    const now = new Date().toISOString();
+
+    const result = await this.db.run(
+      `UPDATE message_windows
+       SET last_user_message_at = ?, window_expires_at = ?, updated_at = ?
+       WHERE contact_id = ? AND is_active = 1`,
+      [state.lastInboundAt, state.expiresAt, now, contactId]
+    );
+
+    if (result.changes === 0) {
+      await this.db.run(
+        `INSERT INTO message_windows (contact_id, last_user_message_at, window_expires_at, is_active, created_at, updated_at)
+         VALUES (?, ?, ?, 1, ?, ?)`,
+        [contactId, state.lastInboundAt, state.expiresAt, now, now]
+      );
+    }
+
+    return state;
+  }
+
+  /**
+   * Obtener estado de la ventana de un contacto
+   */
+  async getWindowState(contactId) {
+    await this.initialize();
+
+    const row = await this.db.get(
+      `SELECT last_user_message_at FROM message_windows
+       WHERE contact_id = ? AND is_active = 1
+       ORDER BY datetime(last_user_message_at) DESC
+       LIMIT 1`,
+      [contactId]
+    );
+
+    return { contactId, ...computeWindowState(row?.last_user_message_at) };
+  }
+
+  /**
+   * Obtener estado de la ventana por número de teléfono
+   * Se compara con la misma clave que la detección de duplicados (phoneMatchKey),
+   * así coinciden números guardados con separadores, sin prefijo de país o con
+   * los prefijos móviles de México (521) y Argentina (549).
+   */
+  async getWindowStateByPhone(phone) {
+    await this.initialize();
+
+    const key = phoneMatchKey(phone);
+    const candidates = key
+      ? await this.db.all(
+        `SELECT id, phone_number FROM contacts WHERE ${STORED_PHONE_DIGITS_SQL} LIKE ?`,
+        [`%${key.slice(-PHONE_SUFFIX_DIGITS)}`]
+      )
+      : [];
+    const contactIds = candidates
+      .filter(contact => phoneMatchKey(contact.phone_number) === key)
+      .map(contact => contact.id);
+
+    if (contactIds.length === 0) {
+      return { contactId: null, ...computeWindowState(null) };
+    }
+
+    // Con contactos duplicados vale la ventana más reciente de cualquiera de ellos
+    const row = await this.db.get(
+      `SELECT contact_id FROM message_windows
+       WHERE contact_id IN (${contactIds.map(() => '?').join(', ')}) AND is_active = 1
+       ORDER BY datetime(last_user_message_at) DESC
+       LIMIT 1`,
+      contactIds
+    );
+
+    return await this.getWindowState(row ? row.contact_id : contactIds[0]);
+  }
+
+  /**
+   * Obtener estado de la ventana de una conversación
+   */
+  async getWindowStateByConversation(conversationId) {
+    await this.initialize();
+
+    const conversation = await this.db.get(
+      'SELECT contact_id FROM conversations WHERE id = ?',
+      [conversationId]
+    );
+
+    if (!conversation) {
+      return null;
+    }
+
+    return { conversationId: Number(conversationId), ...(await this.getWindowState(conversation.contact_id)) };
+  }
+
+  /**
+   * Verificar que se puede enviar un mensaje libre al teléfono indicado.
+   * Lanza MessageWindowClosedError si la ventana está cerrada.
+   */
+  async assertWindowOpen(phone) {
+    if (!this.enforce) {
+      return null;
+    }
+
+    let state;
+    try {
+      state = await this.getWindowStateByPhone(phone);
+    } catch (error) {
+      // Si no se puede consultar la ventana, no bloquear el envío
+      logger.warn(`⚠️ No se pudo verificar la ventana de 24h para ${phone}: ${error.message}`);
+      return null;
+    }
+
+    if (!state.isOpen) {
+      throw new MessageWindowClosedError(undefined, {
+        phone,
+        contactId: state.contactId,
+        expiresAt: state.expiresAt,
+        lastInboundAt: state.lastInboundAt
+      });
+    }
+
+    return state;
+  }
+}
+
+export const messageWindowService = new MessageWindowService();
+export default MessageWindowService;
@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Servicio de Lista de Supresión (opt-out)
+ *
+ * Registra las bajas de los contactos (por palabra clave STOP/BAJA, manuales
+ * o por importación) y permite a campañas, envíos masivos y mensajes
+ * programados excluir a quienes no quieren recibir mensajes de marketing.
+ */
+
+import { getDatabaseService } from '../DatabaseService.js';
+import { createLogger } from '../core/core/logger.js';
+import {
+  SUBSCRIPTION_ACTIONS,
+  DEFAULT_OPT_OUT_KEYWORDS,
+  DEFAULT_OPT_IN_KEYWORDS,
+  detectSubscriptionKeyword,
+  parseKeywordList
+} from './optOutKeywords.js';
+import { phoneMatchKey } from '../contacts/contactDuplicates.js';
+
+const logger = createLogger('SUPPRESSION');
+
+export const SUPPRESSION_SOURCES = Object.freeze({
+  KEYWORD: 'keyword',
+  MANUAL: 'manual',
+  IMPORT: 'import',
+  API: 'api'
+});
+
+const DEFAULT_OPT_OUT_CONFIRMATION = 'Has sido dado de baja y no recibirás más mensajes promocionales. Si deseas volver a suscribirte, responde ALTA.';
+const DEFAULT_OPT_IN_CONFIRMATION = '¡Listo! Te has suscrito nuevamente y volverás a recibir nuestros mensajes. Para darte de baja, responde BAJA.';
+
+/**
+ * Normalizar teléfono a solo dígitos
+ */
+export function normalizePhone(phone) {
+  return String(phone || '').replace(/\D/g, '');
+}
+
+/**
+ * Clave de la lista: la misma que la detección de duplicados (phoneMatchKey),
+ * así la baja del wa_id 5215512345678 alcanza al contacto guardado como
+ * +52 55 1234 5678 (y lo mismo con el 549 de Argentina)
+ */
+export function suppressionKey(phone) {
+  return phoneMatchKey(phone) || '';
+}
+
+class SuppressionService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.isInitialized = false;
+    this.keywords = {
+      optOut: parseKeywordList(process.env.OPT_OUT_KEYWORDS, DEFAULT_OPT_OUT_KEYWORDS),
+      optIn: parseKeywordList(process.env.OPT_IN_KEYWORDS, DEFAULT_OPT_IN_KEYWORDS)
+    };
+    this.confirmations = {
+      [SUBSCRIPTION_ACTIONS.OPT_OUT]: process.env.OPT_OUT_CONFIRMATION_MESSAGE || DEFAULT_OPT_OUT_CONFIRMATION,
+      [SUBSCRIPTION_ACTIONS.OPT_IN]: process.env.OPT_IN_CONFIRMATION_MESSAGE || DEFAULT_OPT_IN_CONFIRMATION
+    };
+  }
+
+  /**
+   * Crear tabla de supresión
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return this;
+    }
+
+    try {
+      await this.db.initialize();
+
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS suppression_list (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          phone VARCHAR(20) NOT NULL UNIQUE,
+          contact_id INTEGER,
+          reason TEXT,
+          source VARCHAR(20) NOT NULL DEFAULT 'manual',
+          keyword VARCHAR(50),
+          is_active BOOLEAN DEFAULT 1,
+          suppressed_at DATETIME NOT NULL,
+          resubscribed_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE SET NULL
+        )
+      `);
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_suppression_list_active ON suppression_list(is_active, phone)');
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_suppression_list_contact ON suppression_list(contact_id)');
+      await this.rekeyEntries();
+
+      this.isInitialized = true;
+      logger.info('✅ SuppressionService inicializado');
+      return this;
+    } catch (error) {
+      logger.error('❌ Error inicializando SuppressionService:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pasar a suppressionKey las entradas guardadas solo con dígitos. Si dos
+   * entradas acaban con la misma clave se conserva una, activa si alguna lo era.
+   */
+  async rekeyEntries() {
+    const rows = await this.db.all('SELECT id, phone, contact_id, is_active FROM suppression_list ORDER BY id');
+    for (const row of rows) {
+      const key = suppressionKey(row.phone);
+      if (!key || key === row.phone) {
+        continue;
+      }
+
+      const existing = await this.db.get('SELECT id FROM suppression_list WHERE phone = ?', [key]);
+      if (!existing) {
+        await this.db.run('UPDATE suppression_list SET phone = ? WHERE id = ?', [key, row.id]);
+        continue;
+      }
+
+      if (row.is_active) {
+        await this.db.run(
+          `UPDATE suppression_list
+           SET is_active = 1, resubscribed_at = NULL, contact_id = COALESCE(contact_id, ?)
+           WHERE id = ?`,
+          [row.contact_id, existing.id]
+        );
+      }
+      await this.db.run('DELETE FROM suppression_list WHERE id = ?', [row.id]);
+    }
+  }
+
+  /**
+   * Procesar un mensaje entrante de texto. Si es una palabra clave de baja o
+   * alta, actualiza la lista y devuelve la confirmación a enviar.
+   * @returns {Promise<{action: string, keyword: string, confirmation: string}|null>}
+   */
+  async handleInboundText(phone, text, { contactId = null } = {}) {
+    const match = detectSubscriptionKeyword(text, this.keywords);
+    if (!match) {
+      return null;
+    }
+
+    if (match.action === SUBSCRIPTION_ACTIONS.OPT_OUT) {
+      await this.suppress(phone, {
+        contactId,
+        reason: 'Solicitud del contacto por WhatsApp',
+        source: SUPPRESSION_SOURCES.KEYWORD,
+        keyword: match.keyword
+      });
+    } else {
+      const wasSuppressed = await this.isSuppressed(phone, { contactId });
+      if (!wasSuppressed) {
+        // Nada que reactivar: no responder a un "START" de alguien que ya está suscrito
+        return null;
+      }
+      await this.resubscribe(phone, { source: SUPPRESSION_SOURCES.KEYWORD, keyword: match.keyword });
+    }
+
+    return { ...match, confirmation: this.confirmations[match.action] };
+  }
+
+  /**
+   * Agregar (o reactivar) un teléfono en la lista de supresión
+   */
+  async suppress(phone, { contactId = null, reason = null, source = SUPPRESSION_SOURCES.MANUAL, keyword = null } = {}) {
+    await this.initialize();
+
+    const normalized = suppressionKey(phone);
+    if (!normalized) {
+      throw new Error('Teléfono inválido para la lista de supresión');
+    }
+
+    const now = new Date().toISOString();
+    await this.db.run(
+      `INSERT INTO suppression_list (phone, contact_id, reason, source, keyword, is_active, suppressed_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, 1, ?, ?, ?)
+       ON CONFLICT(phone) DO UPDATE SET
+         contact_id = COALESCE(excluded.contact_id, suppression_list.contact_id),
+         reason = excluded.reason,
+         source = excluded.source,
+         keyword = excluded.keyword,
+         is_active = 1,
+         suppressed_at = excluded.suppressed_at,
+         resubscribed_at = NULL,
+         updated_at = excluded.updated_at`,
+      [normalized, contactId, reason, source, keyword, now, now, now]
+    );
+
+    logger.info(`🚫 ${normalized} agregado a la lista de supresión (${source}${keyword ? `: ${keyword}` : ''})`);
+    return await this.getEntry(normalized);
+  }
+
+  /**
+   * Quitar un teléfono de la lista (re-suscripción); se conserva el historial
+   */
+  async resubscribe(phone, { source = SUPPRESSION_SOURCES.MANUAL, keyword = null } = {}) {
+    await this.initialize();
+
+    const normalized = suppressionKey(phone);
+    const now = new Date().toISOString();
+    const result = await this.db.run(
+      `UPDATE suppression_list
+       SET is_active = 0, resubscribed_at = ?, source = ?, keyword = ?, updated_at = ?
+       WHERE phone = ? AND is_active = 1`,
+      [now, source, keyword, now, normalized]
+    );
+
+    if (result.changes > 0) {
+      logger.info(`✅ ${normalized} re-suscrito (${source}${keyword ? `: ${keyword}` : ''})`);
+    }
+    return result.changes > 0;
+  }
+
+  /**
+   * Verificar si un teléfono (o el contacto indicado) está suprimido
+   * @param {string} phone
+   * @param {Object} [options]
+   * @param {number} [options.contactId] - Contacto del envío; cuenta aunque su teléfono haya cambiado
+   */
+  async isSuppressed(phone, { contactId = null } = {}) {
+    await this.initialize();
+
+    const row = await this.db.get(
+      `SELECT 1 AS suppressed FROM suppression_list
+       WHERE is_active = 1 AND (phone = ? OR (? IS NOT NULL AND contact_id = ?))
+       LIMIT 1`,
+      [suppressionKey(phone), contactId, contactId]
+    );
+    return !!row;
+  }
+
+  /**
+   * Obtener el subconjunto suprimido de una lista de teléfonos
+   * @returns {Promise<Set<string>>} Claves (suppressionKey) de los teléfonos suprimidos
+   */
+  async getSuppressedSet(phones = []) {
+    await this.initialize();
+
+    const normalized = [...new Set(phones.map(suppressionKey).filter(Boolean))];
+    const suppressed = new Set();
+
+    // SQLite limita el número de parámetros por consulta
+    for (let i = 0; i < normalized.length; i += 500) {
+      const chunk = normalized.slice(i, i + 500);
+      const rows = await this.db.all(
+        `SELECT phone FROM suppression_list WHERE is_active = 1 AND phone IN (${chunk.map(() => '?').join(', ')})`,
+        chunk
+      );
+      rows.forEach(row => suppressed.add(row.phone));
+    }
+
+    return suppressed;
+  }
+
+  async getEntry(phone) {
+    await this.initialize();
+    return await this.db.get('SELECT * FROM suppression_list WHERE phone = ?', [suppressionKey(phone)]);
+  }
+
+  /**
+   * Listar entradas de la lista de supresión
+   */
+  async list({ includeInactive = false, limit = 50, offset = 0 } = {}) {
+    await this.initialize();
+
+    const where = includeInactive ? '' : 'WHERE is_active = 1';
+    const [rows, count] = await Promise.all([
+      this.db.all(
+        `SELECT * FROM suppression_list ${where} ORDER BY suppressed_at DESC LIMIT ? OFFSET ?`,
+        [limit, offset]
+      ),
+      this.db.get(`SELECT COUNT(*) AS total FROM suppression_list ${where}`)
+    ]);
+
+    return { entries: rows, total: count?.total || 0, limit, offset };
+  }
+}
+
+export const suppressionService = new SuppressionService();
+export default SuppressionService;
@@ -0,0 +1,345 @@
+/**
+ * @fileoverview Servicio del Ciclo de Vida de Plantillas
+ *
+ * Aplica en tiempo real los cambios de estado, categoría y calidad que Meta
+ * notifica por webhook: actualiza `templates` y `template_approvals`, guarda
+ * cada evento en el historial, avisa a la página de aprobación de plantillas
+ * por Socket.IO y pausa las campañas programadas o en envío cuya plantilla
+ * queda pausada, desactivada o rechazada.
+ */
+
+import { getDatabaseService } from '../DatabaseService.js';
+import { createLogger } from '../core/core/logger.js';
+import { PERMISSIONS } from '../auth/permissions.js';
+import { emitToPermission } from '../auth/socketRooms.js';
+import { campaignJobService } from '../campaigns/CampaignJobService.js';
+import { JOB_STATUS } from '../campaigns/campaignJobStates.js';
+import { campaignAbTestService } from '../campaigns/CampaignAbTestService.js';
+import { templateStatusService } from '../../../apps/api/src/services/TemplateStatusService.js';
+import { VALID_TEMPLATE_STATUSES } from '../../../apps/api/src/utils/templateValidation.js';
+import {
+  TEMPLATE_EVENT_TYPES,
+  parseTemplateEvent,
+  templateUpdateFor,
+  shouldPauseCampaigns,
+  describeTemplateEvent,
+  isBlockingTemplateStatus
+} from './templateLifecycle.js';
+
+const logger = createLogger('TEMPLATE_LIFECYCLE');
+
+const HISTORY_LIMIT = 100;
+const PAUSABLE_CAMPAIGN_STATUSES = ['scheduled', 'sending'];
+
+export class TemplateLifecycleError extends Error {
+  constructor(message, code = 'TEMPLATE_LIFECYCLE_ERROR', statusCode = 400, details = null) {
+    super(message);
+    this.name = 'TemplateLifecycleError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const parseJson = (raw, fallback) => {
+  try {
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (_) {
+    return fallback;
+  }
+};
+
+const toEvent = row => ({
+  id: row.id,
+  type: row.event_type,
+  templateName: row.template_name,
+  templateLanguage: row.template_language || null,
+  templateId: row.external_template_id || null,
+  previousValue: row.previous_value || null,
+  newValue: row.new_value,
+  reason: row.reason || null,
+  details: parseJson(row.details, null),
+  pausedCampaigns: parseJson(row.paused_campaigns, []),
+  createdAt: row.created_at
+});
+
+// Valor anterior y nuevo del atributo que cambia el evento
+const previousAndNew = (event, template) => {
+  if (event.type === TEMPLATE_EVENT_TYPES.STATUS) {
+    return [template?.status || null, event.status];
+  }
+  if (event.type === TEMPLATE_EVENT_TYPES.CATEGORY) {
+    return [event.previousCategory || template?.category || null, event.category];
+  }
+  return [event.previousQuality || template?.quality_score || null, event.quality];
+};
+
+class TemplateLifecycleService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.io = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Configurar Socket.IO
+   */
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  /**
+   * Inicializar historial de eventos y columnas de estado de plantillas
+   */
+  async initialize(io = null) {
+    if (io) {
+      this.setSocketIO(io);
+    }
+
+    if (this.isInitialized) {
+      return this;
+    }
+
+    try {
+      await this.db.initialize();
+
+      await this.db.addColumnIfMissing('templates', 'external_template_id', 'TEXT');
+      await this.db.addColumnIfMissing('templates', 'quality_score', 'VARCHAR(20)');
+      await this.db.addColumnIfMissing('templates', 'status_reason', 'TEXT');
+      await this.db.addColumnIfMissing('templates', 'status_updated_at', 'DATETIME');
+
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS template_status_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          template_name VARCHAR(255),
+          template_language VARCHAR(20),
+          external_template_id TEXT,
+          event_type VARCHAR(20) NOT NULL,
+          previous_value VARCHAR(40),
+          new_value VARCHAR(40) NOT NULL,
+          reason TEXT,
+          details TEXT,
+          paused_campaigns TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_template_status_events_template ON template_status_events(template_name, created_at)');
+
+      this.isInitialized = true;
+      logger.info('✅ TemplateLifecycleService inicializado');
+      return this;
+    } catch (error) {
+      logger.error('❌ Error inicializando TemplateLifecycleService:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Procesar un cambio de plantilla recibido por el webhook
+   * @param {string} field - `change.field` (message_template_status_update, ...)
+   * @param {Object} value - `change.value`
+   */
+  async handleWebhookChange(field, value) {
+    await this.initialize();
+
+    const { value: event, errors } = parseTemplateEvent(field, value);
+    if (errors.length > 0) {
+      logger.warn(`⚠️ Evento de plantilla ignorado (${field}): ${errors.join('; ')}`);
+      return { type: 'template_event', ignored: true, errors };
+    }
+
+    const template = await this.findTemplate(event.name, event.templateId);
+    const [previousValue, newValue] = previousAndNew(event, template);
+
+    await this.applyToTemplates(event, template);
+    await this.applyToApprovals(event);
+
+    const pausedCampaigns = shouldPauseCampaigns(event)
+      ? await this.pauseCampaignsForTemplate(event)
+      : [];
+
+    const result = await this.db.run(
+      `INSERT INTO template_status_events (
+        template_name, template_language, external_template_id, event_type,
+        previous_value, new_value, reason, details, paused_campaigns, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        event.name || template?.name || null,
+        event.language,
+        event.templateId,
+        event.type,
+        previousValue,
+        newValue,
+        event.reason,
+        event.details ? JSON.stringify(event.details) : null,
+        JSON.stringify(pausedCampaigns),
+        new Date().toISOString()
+      ]
+    );
+
+    const message = describeTemplateEvent(event);
+    logger.info(`📋 ${message}${pausedCampaigns.length > 0 ? ` — campañas pausadas: ${pausedCampaigns.join(', ')}` : ''}`);
+
+    const saved = toEvent(await this.db.get('SELECT * FROM template_status_events WHERE id = ?', [result.lastID]));
+    emitToPermission(this.io, PERMISSIONS.TEMPLATES_READ, 'template_status_updated', { ...saved, message });
+
+    return { type: 'template_event', ...saved, message };
+  }
+
+  async findTemplate(name, externalId) {
+    return await this.db.get(
+      `SELECT * FROM templates
+       WHERE name = ? OR (external_template_id IS NOT NULL AND external_template_id = ?)
+       ORDER BY updated_at DESC, id DESC
+       LIMIT 1`,
+      [name, externalId]
+    );
+  }
+
+  /**
+   * Actualizar la plantilla local (si existe) con el nuevo estado, categoría o calidad
+   */
+  async applyToTemplates(event, template) {
+    if (!template) {
+      logger.warn(`⚠️ Plantilla ${event.name || event.templateId} no existe en la tabla templates; solo se guarda el evento`);
+      return;
+    }
+
+    const update = templateUpdateFor(event);
+    const columns = Object.keys(update);
+    const now = new Date().toISOString();
+
+    await this.db.run(
+      `UPDATE templates
+       SET ${columns.map(column => `${column} = ?`).join(', ')},
+           external_template_id = COALESCE(external_template_id, ?),
+           status_updated_at = ?, updated_at = ?
+       WHERE id = ?`,
+      [...columns.map(column => update[column]), event.templateId, now, now, template.id]
+    );
+
+    // El registro en archivo de TemplateStatusService solo conoce estados
+    if (event.type === TEMPLATE_EVENT_TYPES.STATUS && VALID_TEMPLATE_STATUSES.includes(event.status) && event.name) {
+      try {
+        await templateStatusService.updateTemplateStatus(event.name, event.status, update.status_reason || '');
+      } catch (error) {
+        logger.warn(`⚠️ No se pudo actualizar TemplateStatusService para ${event.name}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Reflejar el estado de Meta en las solicitudes de aprobación enviadas a 360Dialog
+   */
+  async applyToApprovals(event) {
+    if (event.type !== TEMPLATE_EVENT_TYPES.STATUS) {
+      return;
+    }
+
+    try {
+      await this.db.run(
+        `UPDATE template_approvals
+         SET dialog360_status = ?,
+             rejection_reason = CASE WHEN ? = 'REJECTED' THEN ? ELSE rejection_reason END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE (dialog360_id IS NOT NULL AND dialog360_id = ?) OR template_name = ?`,
+        [event.status, event.status, event.reason, event.templateId, event.name]
+      );
+    } catch (error) {
+      // Instalaciones antiguas sin las columnas de 360Dialog en template_approvals
+      logger.warn(`⚠️ No se pudo actualizar template_approvals: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pausar las campañas programadas o en envío que usan la plantilla, ya sea
+   * como plantilla principal o en cualquier variante de su prueba A/B
+   * @returns {Promise<number[]>} IDs de las campañas pausadas
+   */
+  async pauseCampaignsForTemplate(event) {
+    await campaignAbTestService.initialize();
+
+    const references = [event.name, event.templateId].filter(Boolean);
+    const referenceList = references.map(() => '?').join(', ');
+    const campaigns = await this.db.all(
+      `SELECT id, name, status FROM campaigns
+       WHERE (
+           CAST(template_id AS TEXT) IN (${referenceList})
+           OR EXISTS (
+             SELECT 1 FROM campaign_ab_tests, json_each(campaign_ab_tests.variants) AS variant
+             WHERE campaign_ab_tests.campaign_id = campaigns.id
+               AND CAST(json_extract(variant.value, '$.template_id') AS TEXT) IN (${referenceList})
+           )
+         )
+         AND status IN (${PAUSABLE_CAMPAIGN_STATUSES.map(() => '?').join(', ')})`,
+      [...references, ...references, ...PAUSABLE_CAMPAIGN_STATUSES]
+    );
+
+    const paused = [];
+    for (const campaign of campaigns) {
+      try {
+        const job = await campaignJobService.getActiveJob(campaign.id);
+        if (job && job.status !== JOB_STATUS.PAUSED) {
+          await campaignJobService.pause(campaign.id);
+        } else {
+          await this.db.run('UPDATE campaigns SET status = ? WHERE id = ?', ['paused', campaign.id]);
+        }
+        paused.push(campaign.id);
+        logger.warn(`⏸️ Campaña ${campaign.id} (${campaign.name}) pausada: plantilla ${event.name || event.templateId} ${event.status}`);
+      } catch (error) {
+        logger.error(`❌ No se pudo pausar la campaña ${campaign.id}:`, error);
+      }
+    }
+
+    return paused;
+  }
+
+  /**
+   * Impedir enviar o reanudar una campaña cuya plantilla (o la de alguna
+   * variante A/B) no puede enviarse
+   */
+  async assertCampaignSendable(campaignId) {
+    await this.initialize();
+
+    const campaign = await this.db.get('SELECT template_id FROM campaigns WHERE id = ?', [campaignId]);
+    const abTest = await campaignAbTestService.get(campaignId);
+    const references = new Set([
+      campaign?.template_id,
+      ...(abTest ? abTest.variants.map(variant => variant.template_id) : [])
+    ].filter(Boolean).map(String));
+
+    for (const reference of references) {
+      const template = await this.findTemplate(reference, reference);
+      if (template && isBlockingTemplateStatus(template.status)) {
+        throw new TemplateLifecycleError(
+          `La plantilla ${template.name} está ${String(template.status).toUpperCase()}${template.status_reason ? ` (${template.status_reason})` : ''}; la campaña no puede enviarse`,
+          'TEMPLATE_NOT_SENDABLE',
+          409
+        );
+      }
+    }
+  }
+
+  /**
+   * Historial de eventos de plantillas, del más reciente al más antiguo
+   */
+  async getHistory({ templateName = null, limit = HISTORY_LIMIT } = {}) {
+    await this.initialize();
+
+    const rowLimit = Math.min(Math.max(parseInt(limit, 10) || HISTORY_LIMIT, 1), HISTORY_LIMIT);
+    const rows = templateName
+      ? await this.db.all(
+        'SELECT * FROM template_status_events WHERE template_name = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+        [templateName, rowLimit]
+      )
+      : await this.db.all(
+        'SELECT * FROM template_status_events ORDER BY created_at DESC, id DESC LIMIT ?',
+        [rowLimit]
+      );
+
+    return rows.map(toEvent);
+  }
+}
+
+export const templateLifecycleService = new TemplateLifecycleService();
+export default TemplateLifecycleService;
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Verificador de Firmas de Webhooks de 360Dialog
+ *
+ * Calcula el HMAC-SHA256 del cuerpo crudo de cada entrega y lo compara con la
+ * firma recibida en cabecera. Admite dos secretos activos a la vez (actual y
+ * anterior) para rotar la clave sin perder entregas, y un modo por canal:
+ * - strict: las entregas sin firma válida se rechazan
+ * - permissive: se aceptan pero se registran en métricas y logs
+ */
+
+import crypto from 'crypto';
+import { createLogger } from '../core/core/logger.js';
+
+const logger = createLogger('WEBHOOK_SIGNATURE');
+
+export const SIGNATURE_MODES = Object.freeze({
+  STRICT: 'strict',
+  PERMISSIVE: 'permissive'
+});
+
+export const SIGNATURE_HEADERS = ['x-hub-signature-256', 'x-360dialog-signature'];
+
+/**
+ * Parsear modos por canal con formato "phoneNumberId:modo,otroId:modo"
+ */
+export function parseChannelModes(value) {
+  const modes = {};
+  if (!value) {
+    return modes;
+  }
+
+  for (const pair of String(value).split(',')) {
+    const [channelId, mode] = pair.split(':').map(part => part?.trim());
+    if (channelId && Object.values(SIGNATURE_MODES).includes(mode)) {
+      modes[channelId] = mode;
+    }
+  }
+  return modes;
+}
+
+/**
+ * Obtener el phone_number_id del canal que origina el webhook
+ */
+export function extractChannelId(payload) {
+  return payload?.entry?.[0]?.changes?.[0]?.value?.metadata?.phone_number_id || null;
+}
+
+export class WebhookSignatureVerifier {
+  constructor(config = {}) {
+    this.secrets = (config.secrets || [
+      process.env.D360_WEBHOOK_SECRET,
+      process.env.D360_WEBHOOK_SECRET_PREVIOUS
+    ]).filter(Boolean);
+
+    this.defaultMode = config.defaultMode
+      || process.env.D360_WEBHOOK_SIGNATURE_MODE
+      || (this.secrets.length > 0 ? SIGNATURE_MODES.STRICT : SIGNATURE_MODES.PERMISSIVE);
+
+    this.channelModes = config.channelModes
+      || parseChannelModes(process.env.D360_WEBHOOK_SIGNATURE_CHANNEL_MODES);
+
+    this.resetMetrics();
+  }
+
+  /**
+   * Calcular firma HMAC-SHA256 en hexadecimal
+   */
+  computeSignature(rawBody, secret) {
+    return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  }
+
+  /**
+   * Modo aplicable a un canal
+   */
+  getMode(channelId = null) {
+    return (channelId && this.channelModes[channelId]) || this.defaultMode;
+  }
+
+  /**
+   * Verificar firma contra los secretos activos
+   * @param {Buffer|string} rawBody - Cuerpo crudo de la petición
+   * @param {string} signature - Firma recibida ("sha256=<hex>" o "<hex>")
+   * @returns {{valid: boolean, reason: string|null, secretIndex: number|null}}
+   */
+  verify(rawBody, signature) {
+    if (this.secrets.length === 0) {
+      return { valid: false, reason: 'no_secret_configured', secretIndex: null };
+    }
+    if (!signature) {
+      return { valid: false, reason: 'missing_signature', secretIndex: null };
+    }
+    if (rawBody === undefined || rawBody === null) {
+      return { valid: false, reason: 'missing_raw_body', secretIndex: null };
+    }
+
+    const received = String(signature).trim().replace(/^sha256=/i, '');
+    if (!/^[a-f0-9]{64}$/i.test(received)) {
+      return { valid: false, reason: 'malformed_signature', secretIndex: null };
+    }
+
+    const receivedBuffer = Buffer.from(received.toLowerCase(), 'hex');
+
+    for (let index = 0; index < this.secrets.length; index++) {
+      const expectedBuffer = Buffer.from(this.computeSignature(rawBody, this.secrets[index]), 'hex');
+      if (crypto.timingSafeEqual(expectedBuffer, receivedBuffer)) {
+        return { valid: true, reason: null, secretIndex: index };
+      }
+    }
+
+    return { valid: false, reason: 'invalid_signature', secretIndex: null };
+  }
+
+  /**
+   * Decidir si una entrega se acepta según la firma y el modo del canal
+   */
+  evaluate({ rawBody, signature, channelId = null }) {
+    const mode = this.getMode(channelId);
+    const result = this.verify(rawBody, signature);
+    const accepted = result.valid || mode === SIGNATURE_MODES.PERMISSIVE;
+
+    this.recordMetrics({ ...result, accepted, channelId });
+
+    if (!result.valid) {
+      const logMessage = `Firma de webhook no válida (${result.reason}) canal=${channelId || 'desconocido'} modo=${mode}`;
+      if (accepted) {
+        logger.warn(`⚠️ ${logMessage} - aceptado en modo permisivo`);
+      } else {
+        logger.error(`🚫 ${logMessage} - rechazado`);
+      }
+    } else if (result.secretIndex > 0) {
+      logger.info('🔑 Webhook firmado con el secreto anterior; completar la rotación de clave');
+    }
+
+    return { ...result, accepted, mode, channelId };
+  }
+
+  recordMetrics({ valid, reason, accepted, channelId }) {
+    const channelKey = channelId || 'unknown';
+    const channel = this.metrics.byChannel[channelKey] || { verified: 0, rejected: 0, acceptedUnverified: 0 };
+
+    if (valid) {
+      this.metrics.verified++;
+      channel.verified++;
+    } else if (accepted) {
+      this.metrics.acceptedUnverified++;
+      channel.acceptedUnverified++;
+      this.metrics.byReason[reason] = (this.metrics.byReason[reason] || 0) + 1;
+    } else {
+      this.metrics.rejected++;
+      channel.rejected++;
+      this.metrics.byReason[reason] = (this.metrics.byReason[reason] || 0) + 1;
+      this.metrics.lastRejectedAt = new Date().toISOString();
+    }
+
+    this.metrics.byChannel[channelKey] = channel;
+  }
+
+  getMetrics() {
+    return {
+      ...this.metrics,
+      byReason: { ...this.metrics.byReason },
+      byChannel: { ...this.metrics.byChannel },
+      activeSecrets: this.secrets.length,
+      defaultMode: this.defaultMode,
+      channelModes: { ...this.channelModes }
+    };
+  }
+
+  resetMetrics() {
+    this.metrics = {
+      verified: 0,
+      rejected: 0,
+      acceptedUnverified: 0,
+      byReason: {},
+      byChannel: {},
+      lastRejectedAt: null
+    };
+  }
+}
+
+export const webhookSignatureVerifier = new WebhookSignatureVerifier();
+export default WebhookSignatureVerifier;
@@ -0,0 +1,411 @@
+/**
+ * @fileoverview Servicio de Canales de WhatsApp (varios números y WABA)
+ *
+ * Registro en base de datos de los números de WhatsApp conectados por
+ * 360Dialog, con la API key de cada uno cifrada con AES-256-GCM. Los
+ * mensajes entrantes se atribuyen al número que los recibe
+ * (`metadata.phone_number_id`), cada conversación conserva su número y las
+ * respuestas, campañas y envíos del chat en vivo salen por el canal elegido o
+ * por el de la conversación. Sin canales registrados se sigue usando
+ * D360_API_KEY / D360_PHONE_NUMBER_ID.
+ */
+
+import { getDatabaseService } from '../DatabaseService.js';
+import { createLogger } from '../core/core/logger.js';
+import { encryptSecret, decryptSecret } from './channelSecrets.js';
+import {
+  validateChannelInput,
+  chooseOutboundChannel,
+  buildChannelStats,
+  normalizeChannelPhone,
+  maskApiKey
+} from './channelRegistry.js';
+
+const logger = createLogger('WHATSAPP_CHANNELS');
+
+const DEFAULT_STATS_DAYS = 30;
+const MAX_STATS_DAYS = 365;
+
+export class ChannelError extends Error {
+  constructor(message, code = 'CHANNEL_ERROR', statusCode = 400, details = null) {
+    super(message);
+    this.name = 'ChannelError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const toChannel = row => ({
+  id: row.id,
+  name: row.name,
+  phoneNumber: row.phone_number,
+  phoneNumberId: row.phone_number_id,
+  wabaId: row.waba_id || null,
+  baseUrl: row.base_url || null,
+  apiKey: row.api_key_hint || null,
+  isDefault: !!row.is_default,
+  isActive: !!row.is_active,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+class WhatsAppChannelService {
+  constructor() {
+    this.db = getDatabaseService();
+    this.isInitialized = false;
+    this.credentialsCache = new Map();
+  }
+
+  /**
+   * Crear registro de canales y columnas de canal en conversaciones, mensajes y campañas
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return this;
+    }
+
+    try {
+      await this.db.initialize();
+
+      await this.db.run(`
+        CREATE TABLE IF NOT EXISTS whatsapp_channels (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name VARCHAR(100) NOT NULL,
+          phone_number VARCHAR(20) NOT NULL,
+          phone_number_id VARCHAR(64) NOT NULL UNIQUE,
+          waba_id VARCHAR(64),
+          api_key_encrypted TEXT NOT NULL,
+          api_key_hint VARCHAR(12),
+          base_url TEXT,
+          is_default BOOLEAN DEFAULT 0,
+          is_active BOOLEAN DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await this.db.addColumnIfMissing('conversations', 'channel_id', 'INTEGER');
+      await this.db.addColumnIfMissing('messages', 'channel_id', 'INTEGER');
+      await this.db.addColumnIfMissing('campaigns', 'channel_id', 'INTEGER');
+      await this.db.addColumnIfMissing('campaign_messages', 'channel_id', 'INTEGER');
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_messages_channel ON messages(channel_id, direction, created_at)');
+      await this.db.run('CREATE INDEX IF NOT EXISTS idx_conversations_channel ON conversations(channel_id)');
+
+      this.isInitialized = true;
+      const { total } = await this.db.get('SELECT COUNT(*) AS total FROM whatsapp_channels WHERE is_active = 1');
+      logger.info(`✅ WhatsAppChannelService inicializado (${total ? `${total} canal(es)` : 'sin canales: se usan las variables D360_*'})`);
+      return this;
+    } catch (error) {
+      logger.error('❌ Error inicializando WhatsAppChannelService:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cifrador de las API keys (CHANNEL_ENCRYPTION_KEY)
+   */
+  getEncryptionKey() {
+    const key = process.env.CHANNEL_ENCRYPTION_KEY;
+    if (!key) {
+      throw new ChannelError(
+        'CHANNEL_ENCRYPTION_KEY no está configurada: no se pueden guardar ni leer API keys de canales',
+        'ENCRYPTION_KEY_MISSING',
+        500
+      );
+    }
+    return key;
+  }
+
+  encryptApiKey(apiKey) {
+    return JSON.stringify(encryptSecret(apiKey, this.getEncryptionKey()));
+  }
+
+  decryptApiKey(stored) {
+    const key = this.getEncryptionKey();
+    try {
+      return decryptSecret(JSON.parse(stored), key);
+    } catch (error) {
+      throw new ChannelError('No se pudo descifrar la API key del canal (¿cambió CHANNEL_ENCRYPTION_KEY?)', 'DECRYPTION_FAILED', 500);
+    }
+  }
+
+  /**
+   * Listar canales (API keys enmascaradas)
+   */
+  async list({ activeOnly = false } = {}) {
+    await this.initialize();
+    const rows = await this.db.all(
+      `SELECT * FROM whatsapp_channels
+       ${activeOnly ? 'WHERE is_active = 1' : ''}
+       ORDER BY is_default DESC, name COLLATE NOCASE`
+    );
+    return rows.map(toChannel);
+  }
+
+  async getRow(channelId) {
+    await this.initialize();
+    const row = await this.db.get('SELECT * FROM whatsapp_channels WHERE id = ?', [channelId]);
+    if (!row) {
+      throw new ChannelError('Canal no encontrado', 'CHANNEL_NOT_FOUND', 404);
+    }
+    return row;
+  }
+
+  async get(channelId) {
+    return toChannel(await this.getRow(channelId));
+  }
+
+  /**
+   * Registrar un número (el primero queda como predeterminado)
+   */
+  async create(input) {
+    await this.initialize();
+
+    const { value, errors } = validateChannelInput(input);
+    if (errors.length > 0) {
+      throw new ChannelError('Datos del canal inválidos', 'INVALID_CHANNEL', 400, errors);
+    }
+
+    const existing = await this.db.get('SELECT id FROM whatsapp_channels WHERE phone_number_id = ?', [value.phoneNumberId]);
+    if (existing) {
+      throw new ChannelError('Ya existe un canal con ese phoneNumberId', 'CHANNEL_EXISTS', 409);
+    }
+
+    const encrypted = this.encryptApiKey(value.apiKey);
+    const { total } = await this.db.get('SELECT COUNT(*) AS total FROM whatsapp_channels WHERE is_active = 1');
+    const isDefault = value.isDefault || total === 0;
+    const now = new Date().toISOString();
+
+    const channelId = await this.db.transaction(async (db) => {
+      if (isDefault) {
+        await db.run('UPDATE whatsapp_channels SET is_default = 0, updated_at = ? WHERE is_default = 1', [now]);
+      }
+      const result = await db.run(
+        `INSERT INTO whatsapp_channels (
+          name, phone_number, phone_number_id, waba_id, api_key_encrypted, api_key_hint,
+          base_url, is_default, is_active, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?)`,
+        [
+          value.name,
+          value.phoneNumber,
+          value.phoneNumberId,
+          value.wabaId || null,
+          encrypted,
+          maskApiKey(value.apiKey),
+          value.baseUrl || null,
+          isDefault ? 1 : 0,
+          now,
+          now
+        ]
+      );
+      return result.lastID;
+    });
+
+    logger.info(`📱 Canal registrado: ${value.name} (+${value.phoneNumber})${isDefault ? ' [predeterminado]' : ''}`);
+    return await this.get(channelId);
+  }
+
+  /**
+   * Actualizar datos de un canal (la API key solo si se envía)
+   */
+  async update(channelId, input) {
+    const row = await this.getRow(channelId);
+
+    const { value, errors } = validateChannelInput(input, { partial: true });
+    if (errors.length > 0) {
+      throw new ChannelError('Datos del canal inválidos', 'INVALID_CHANNEL', 400, errors);
+    }
+
+    if (value.phoneNumberId && value.phoneNumberId !== row.phone_number_id) {
+      const existing = await this.db.get(
+        'SELECT id FROM whatsapp_channels WHERE phone_number_id = ? AND id != ?',
+        [value.phoneNumberId, row.id]
+      );
+      if (existing) {
+        throw new ChannelError('Ya existe un canal con ese phoneNumberId', 'CHANNEL_EXISTS', 409);
+      }
+    }
+
+    const now = new Date().toISOString();
+    await this.db.transaction(async (db) => {
+      if (value.isDefault) {
+        await db.run('UPDATE whatsapp_channels SET is_default = 0, updated_at = ? WHERE is_default = 1 AND id != ?', [now, row.id]);
+      }
+      await db.run(
+        `UPDATE whatsapp_channels
+         SET name = ?, phone_number = ?, phone_number_id = ?, waba_id = ?, base_url = ?,
+             api_key_encrypted = ?, api_key_hint = ?, is_default = ?, updated_at = ?
+         WHERE id = ?`,
+        [
+          value.name !== undefined ? value.name : row.name,
+          value.phoneNumber !== undefined ? value.phoneNumber : row.phone_number,
+          value.phoneNumberId !== undefined ? value.phoneNumberId : row.phone_number_id,
+          value.wabaId !== undefined ? value.wabaId : row.waba_id,
+          value.baseUrl !== undefined ? value.baseUrl : row.base_url,
+          value.apiKey !== undefined ? this.encryptApiKey(value.apiKey) : row.api_key_encrypted,
+          value.apiKey !== undefined ? maskApiKey(value.apiKey) : row.api_key_hint,
+          value.isDefault !== undefined ? (value.isDefault ? 1 : 0) : row.is_default,
+          now,
+          row.id
+        ]
+      );
+    });
+
+    this.credentialsCache.delete(row.id);
+    return await this.get(row.id);
+  }
+
+  /**
+   * Marcar un canal activo como predeterminado
+   */
+  async setDefault(channelId) {
+    const row = await this.getRow(channelId);
+    if (!row.is_active) {
+      throw new ChannelError('Un canal inactivo no puede ser el predeterminado', 'CHANNEL_INACTIVE', 409);
+    }
+    return await this.update(row.id, { isDefault: true });
+  }
+
+  /**
+   * Desactivar un canal: deja de usarse para enviar; su historial se conserva
+   */
+  async deactivate(channelId) {
+    const row = await this.getRow(channelId);
+    await this.db.run(
+      'UPDATE whatsapp_channels SET is_active = 0, is_default = 0, updated_at = ? WHERE id = ?',
+      [new Date().toISOString(), row.id]
+    );
+    this.credentialsCache.delete(row.id);
+    logger.info(`📴 Canal desactivado: ${row.name}`);
+    return await this.get(row.id);
+  }
+
+  /**
+   * Credenciales descifradas de un canal (en caché hasta que se modifique)
+   */
+  async getCredentials(channelId) {
+    const id = Number(channelId);
+    if (this.credentialsCache.has(id)) {
+      return this.credentialsCache.get(id);
+    }
+
+    const row = await this.getRow(id);
+    const credentials = {
+      ...toChannel(row),
+      apiKey: this.decryptApiKey(row.api_key_encrypted)
+    };
+    this.credentialsCache.set(id, credentials);
+    return credentials;
+  }
+
+  /**
+   * Canal que recibió un mensaje (null = número de las variables de entorno)
+   * @param {string} phoneNumberId - `metadata.phone_number_id` del webhook
+   */
+  async resolveInboundChannel(phoneNumberId) {
+    if (!phoneNumberId) {
+      return null;
+    }
+
+    try {
+      await this.initialize();
+      const row = await this.db.get(
+        'SELECT id FROM whatsapp_channels WHERE phone_number_id = ?',
+        [String(phoneNumberId)]
+      );
+      if (!row) {
+        logger.debug(`📱 phone_number_id ${phoneNumberId} no registrado: se atribuye al número principal`);
+        return null;
+      }
+      return await this.getCredentials(row.id);
+    } catch (error) {
+      logger.warn(`⚠️ No se pudo resolver el canal de ${phoneNumberId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Canal de salida de un mensaje: el pedido, el de la conversación del
+   * teléfono o el predeterminado (null = variables de entorno)
+   * @param {Object} target
+   * @param {number} [target.channelId] - Canal elegido explícitamente
+   * @param {string} [target.phone] - Destinatario (para la conversación)
+   */
+  async resolveOutboundChannel({ channelId = null, phone = null } = {}) {
+    if (channelId) {
+      const requested = await this.getCredentials(channelId);
+      if (!requested.isActive) {
+        throw new ChannelError(`El canal ${requested.name} está desactivado`, 'CHANNEL_INACTIVE', 409);
+      }
+      return chooseOutboundChannel({ requested }).channel;
+    }
+
+    try {
+      await this.initialize();
+
+      let conversation = null;
+      const digits = normalizeChannelPhone(phone);
+      if (digits) {
+        const row = await this.db.get(
+          `SELECT conv.channel_id FROM conversations conv
+           JOIN contacts c ON c.id = conv.contact_id
+           WHERE c.phone_number IN (?, ?) AND conv.channel_id IS NOT NULL
+           ORDER BY conv.updated_at DESC
+           LIMIT 1`,
+          [digits, `+${digits}`]
+        );
+        conversation = row ? await this.getCredentials(row.channel_id) : null;
+      }
+
+      const fallbackRow = await this.db.get('SELECT id FROM whatsapp_channels WHERE is_default = 1 AND is_active = 1 LIMIT 1');
+      const fallback = fallbackRow ? await this.getCredentials(fallbackRow.id) : null;
+
+      return chooseOutboundChannel({ conversation, fallback }).channel;
+    } catch (error) {
+      logger.warn(`⚠️ No se pudo resolver el canal de salida para ${phone}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Mensajes, conversaciones y envíos de campañas por canal
+   */
+  async getStats({ days = DEFAULT_STATS_DAYS } = {}) {
+    await this.initialize();
+
+    const windowDays = Math.min(Math.max(parseInt(days, 10) || DEFAULT_STATS_DAYS, 1), MAX_STATS_DAYS);
+    const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString();
+
+    const channels = await this.list();
+    const messages = await this.db.all(
+      `SELECT channel_id, direction, COUNT(*) AS total, MAX(created_at) AS last_at
+       FROM messages
+       WHERE datetime(created_at) >= datetime(?)
+       GROUP BY channel_id, direction`,
+      [since]
+    );
+    const conversations = await this.db.all(
+      `SELECT channel_id, COUNT(*) AS total
+       FROM conversations
+       WHERE datetime(updated_at) >= datetime(?)
+       GROUP BY channel_id`,
+      [since]
+    );
+    const campaignMessages = await this.db.all(
+      `SELECT channel_id, status, COUNT(*) AS total
+       FROM campaign_messages
+       WHERE datetime(sent_at) >= datetime(?)
+       GROUP BY channel_id, status`,
+      [since]
+    );
+
+    return {
+      days: windowDays,
+      channels: buildChannelStats(channels, { messages, conversations, campaignMessages })
+    };
+  }
+}
+
+export const whatsAppChannelService = new WhatsAppChannelService();
+export default WhatsAppChannelService;
@@ -0,0 +1,98 @@
+/**
+ * Tests para el registro de canales (varios números de WhatsApp)
+ */
+
+import {
+  CHANNEL_SOURCES,
+  ENVIRONMENT_CHANNEL_NAME,
+  maskApiKey,
+  validateChannelInput,
+  chooseOutboundChannel,
+  buildChannelStats
+} from '../channelRegistry.js';
+
+const ventas = { id: 1, name: 'Ventas', phoneNumber: '573001112233', isActive: true };
+const soporte = { id: 2, name: 'Soporte', phoneNumber: '573004445566', isActive: true };
+
+describe('channelRegistry', () => {
+  test('debería validar y normalizar un canal nuevo', () => {
+    const { value, errors } = validateChannelInput({
+      name: ' Ventas ',
+      phoneNumber: '+57 300 111 2233',
+      phoneNumberId: '1098765432',
+      wabaId: '55501',
+      apiKey: 'abcdefghij1234',
+      baseUrl: 'https://waba-v2.360dialog.io/',
+      isDefault: 'true'
+    });
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({
+      name: 'Ventas',
+      phoneNumber: '573001112233',
+      phoneNumberId: '1098765432',
+      wabaId: '55501',
+      apiKey: 'abcdefghij1234',
+      baseUrl: 'https://waba-v2.360dialog.io',
+      isDefault: true
+    });
+  });
+
+  test('debería rechazar datos incompletos y validar solo lo enviado al actualizar', () => {
+    expect(validateChannelInput({ name: '', phoneNumber: '123', phoneNumberId: 'id con espacios', apiKey: 'corta' }).errors)
+      .toEqual([
+        'name es requerido',
+        'phoneNumber debe tener entre 8 y 15 dígitos (con indicativo de país)',
+        'phoneNumberId es requerido (metadata.phone_number_id del webhook)',
+        'apiKey es requerida (API key de 360Dialog del número)'
+      ]);
+
+    expect(validateChannelInput({ name: 'Soporte' }, { partial: true })).toEqual({ value: { name: 'Soporte' }, errors: [] });
+    expect(validateChannelInput({ baseUrl: 'ftp://x' }, { partial: true }).errors).toEqual(['baseUrl debe ser una URL http(s)']);
+  });
+
+  test('debería enmascarar la API key', () => {
+    expect(maskApiKey('abcdefghij1234')).toBe('••••1234');
+    expect(maskApiKey('abc')).toBe('••••');
+    expect(maskApiKey(null)).toBeNull();
+  });
+
+  test('debería elegir el canal pedido, luego el de la conversación y luego el predeterminado', () => {
+    expect(chooseOutboundChannel({ requested: soporte, conversation: ventas, fallback: ventas }))
+      .toEqual({ channel: soporte, source: CHANNEL_SOURCES.REQUESTED });
+    expect(chooseOutboundChannel({ conversation: soporte, fallback: ventas }))
+      .toEqual({ channel: soporte, source: CHANNEL_SOURCES.CONVERSATION });
+    expect(chooseOutboundChannel({ conversation: { ...soporte, isActive: false }, fallback: ventas }))
+      .toEqual({ channel: ventas, source: CHANNEL_SOURCES.DEFAULT });
+    expect(chooseOutboundChannel({}))
+      .toEqual({ channel: null, source: CHANNEL_SOURCES.ENVIRONMENT });
+  });
+
+  test('debería armar las estadísticas por canal, incluido el número del .env', () => {
+    const stats = buildChannelStats([ventas, soporte], {
+      messages: [
+        { channel_id: 1, direction: 'inbound', total: 5, last_at: '2026-10-18T10:00:00.000Z' },
+        { channel_id: 1, direction: 'outbound', total: 3 },
+        { channel_id: null, direction: 'inbound', total: 2, last_at: '2026-10-17T08:00:00.000Z' }
+      ],
+      conversations: [{ channel_id: 1, total: 4 }, { channel_id: null, total: 1 }],
+      campaignMessages: [
+        { channel_id: 2, status: 'delivered', total: 10 },
+        { channel_id: 2, status: 'failed', total: 1 },
+        { channel_id: 2, status: 'pending', total: 7 }
+      ]
+    });
+
+    expect(stats).toHaveLength(3);
+    expect(stats[0]).toMatchObject({
+      channelId: 1,
+      name: 'Ventas',
+      inbound: 5,
+      outbound: 3,
+      lastInboundAt: '2026-10-18T10:00:00.000Z',
+      conversations: 4
+    });
+    expect(stats[1].campaign).toEqual({ sent: 0, delivered: 10, read: 0, failed: 1 });
+    expect(stats[2]).toMatchObject({ channelId: null, name: ENVIRONMENT_CHANNEL_NAME, inbound: 2, conversations: 1 });
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Tests para el cifrado de las API keys de los canales
+ */
+
+import { encryptSecret, decryptSecret } from '../channelSecrets.js';
+
+const PASSPHRASE = 'frase de pruebas del canal';
+const HEX_KEY = 'a'.repeat(64);
+
+describe('channelSecrets', () => {
+  test('debería cifrar y descifrar con frase de paso o clave hex', () => {
+    for (const key of [PASSPHRASE, HEX_KEY]) {
+      const payload = encryptSecret('d360-key-123', key);
+
+      expect(payload).toMatchObject({ algorithm: 'aes-256-gcm' });
+      expect(payload.iv).toHaveLength(32);
+      expect(payload.encrypted).not.toContain('d360');
+      expect(decryptSecret(payload, key)).toBe('d360-key-123');
+    }
+  });
+
+  test('debería descifrar las API keys guardadas con EncryptionManager', () => {
+    const stored = {
+      encrypted: '3d5582d2af2bba2df7c5ca92',
+      iv: 'be02d4b6f1169fc15b3fdbdc2a91121f',
+      authTag: '1016d495edcd2fb21ed7267072a40b80',
+      algorithm: 'aes-256-gcm'
+    };
+
+    expect(decryptSecret(stored, PASSPHRASE)).toBe('d360-key-123');
+  });
+
+  test('debería fallar con otra clave o contenido alterado', () => {
+    const payload = encryptSecret('d360-key-123', PASSPHRASE);
+
+    expect(() => decryptSecret(payload, 'otra clave')).toThrow();
+    expect(() => decryptSecret({ ...payload, encrypted: `00${payload.encrypted.slice(2)}` }, PASSPHRASE)).toThrow();
+  });
+});
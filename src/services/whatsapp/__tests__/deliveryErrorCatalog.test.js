@@ -0,0 +1,56 @@
+/**
+ * Tests para el catálogo de errores de entrega de WhatsApp
+ */
+
+import {
+  DELIVERY_ERROR_CATALOG,
+  DELIVERY_ERROR_CATEGORIES,
+  describeDeliveryError,
+  normalizeStatusErrors
+} from '../deliveryErrorCatalog.js';
+
+describe('deliveryErrorCatalog', () => {
+  test('debería distinguir usuario sin WhatsApp, ventana cerrada y límite de velocidad', () => {
+    expect(describeDeliveryError(131026).category).toBe(DELIVERY_ERROR_CATEGORIES.RECIPIENT);
+    expect(describeDeliveryError(131047).category).toBe(DELIVERY_ERROR_CATEGORIES.WINDOW);
+    expect(describeDeliveryError('130429').category).toBe(DELIVERY_ERROR_CATEGORIES.RATE_LIMIT);
+    expect(describeDeliveryError(130429).retryable).toBe(true);
+  });
+
+  test('debería devolver un fallback para códigos no catalogados', () => {
+    const description = describeDeliveryError(999999);
+
+    expect(description.known).toBe(false);
+    expect(description.code).toBe(999999);
+    expect(description.action).toBeTruthy();
+  });
+
+  test('debería incluir explicación y acción en todas las entradas', () => {
+    for (const entry of Object.values(DELIVERY_ERROR_CATALOG)) {
+      expect(entry.explanation).toBeTruthy();
+      expect(entry.action).toBeTruthy();
+      expect(Object.values(DELIVERY_ERROR_CATEGORIES)).toContain(entry.category);
+    }
+  });
+
+  test('debería normalizar el array errors de un estado fallido', () => {
+    const normalized = normalizeStatusErrors([
+      {
+        code: 131047,
+        title: 'Re-engagement message',
+        message: 'Re-engagement message',
+        error_data: { details: 'Message failed to send because more than 24 hours have passed since the customer last replied to this number.' }
+      }
+    ]);
+
+    expect(normalized.code).toBe(131047);
+    expect(normalized.title).toBe('Re-engagement message');
+    expect(normalized.details).toMatch(/24 hours/);
+    expect(normalized.errors).toHaveLength(1);
+  });
+
+  test('debería devolver null si el estado no trae errores', () => {
+    expect(normalizeStatusErrors(undefined)).toBeNull();
+    expect(normalizeStatusErrors([])).toBeNull();
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests para la detección de palabras clave de baja/alta
+ */
+
+import {
+  SUBSCRIPTION_ACTIONS,
+  detectSubscriptionKeyword,
+  normalizeKeywordText,
+  parseKeywordList
+} from '../optOutKeywords.js';
+
+describe('optOutKeywords', () => {
+  test('debería detectar palabras clave de baja en varios idiomas', () => {
+    for (const text of ['STOP', 'baja', 'Dar de baja', 'unsubscribe', 'Sair']) {
+      expect(detectSubscriptionKeyword(text)).toEqual(
+        expect.objectContaining({ action: SUBSCRIPTION_ACTIONS.OPT_OUT })
+      );
+    }
+  });
+
+  test('debería ignorar tildes, mayúsculas y signos de puntuación', () => {
+    expect(normalizeKeywordText('  ¡No más!  ')).toBe('NO MAS');
+    expect(detectSubscriptionKeyword('¡No más!')).toEqual({
+      action: SUBSCRIPTION_ACTIONS.OPT_OUT,
+      keyword: 'NO MAS'
+    });
+    expect(detectSubscriptionKeyword('Stop.')).toEqual({
+      action: SUBSCRIPTION_ACTIONS.OPT_OUT,
+      keyword: 'STOP'
+    });
+  });
+
+  test('no debería dar de baja cuando la palabra es parte de una frase', () => {
+    expect(detectSubscriptionKeyword('quiero cancelar mi pedido')).toBeNull();
+    expect(detectSubscriptionKeyword('no pares de enviarme ofertas')).toBeNull();
+    expect(detectSubscriptionKeyword('')).toBeNull();
+  });
+
+  test('debería detectar palabras clave de alta', () => {
+    expect(detectSubscriptionKeyword('START')).toEqual({
+      action: SUBSCRIPTION_ACTIONS.OPT_IN,
+      keyword: 'START'
+    });
+    expect(detectSubscriptionKeyword('alta')).toEqual(
+      expect.objectContaining({ action: SUBSCRIPTION_ACTIONS.OPT_IN })
+    );
+  });
+
+  test('debería usar listas personalizadas desde variables de entorno', () => {
+    const optOut = parseKeywordList('salir, no gracias', []);
+
+    expect(optOut).toEqual(['SALIR', 'NO GRACIAS']);
+    expect(detectSubscriptionKeyword('No, gracias', { optOut, optIn: [] })).toEqual({
+      action: SUBSCRIPTION_ACTIONS.OPT_OUT,
+      keyword: 'NO GRACIAS'
+    });
+    expect(detectSubscriptionKeyword('STOP', { optOut, optIn: [] })).toBeNull();
+    expect(parseKeywordList('', ['STOP'])).toEqual(['STOP']);
+  });
+});
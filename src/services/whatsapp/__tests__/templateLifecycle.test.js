@@ -0,0 +1,84 @@
+/**
+ * Tests para los eventos del ciclo de vida de plantillas
+ */
+
+import {
+  TEMPLATE_WEBHOOK_FIELDS,
+  isTemplateWebhookField,
+  parseTemplateEvent,
+  templateUpdateFor,
+  shouldPauseCampaigns,
+  describeTemplateEvent
+} from '../templateLifecycle.js';
+
+describe('templateLifecycle', () => {
+  test('debería reconocer solo los campos de plantillas del webhook', () => {
+    expect(isTemplateWebhookField('message_template_status_update')).toBe(true);
+    expect(isTemplateWebhookField('template_category_update')).toBe(true);
+    expect(isTemplateWebhookField('message_template_quality_update')).toBe(true);
+    expect(isTemplateWebhookField('messages')).toBe(false);
+    expect(isTemplateWebhookField(undefined)).toBe(false);
+  });
+
+  test('debería interpretar una pausa de plantilla y pausar sus campañas', () => {
+    const { value, errors } = parseTemplateEvent(TEMPLATE_WEBHOOK_FIELDS.STATUS, {
+      event: 'PAUSED',
+      message_template_id: 987654321,
+      message_template_name: 'promo_octubre',
+      message_template_language: 'es',
+      reason: 'NONE',
+      other_info: { title: 'FIRST_PAUSE', description: 'Pausada por baja calidad' }
+    });
+
+    expect(errors).toEqual([]);
+    expect(value).toMatchObject({
+      type: 'status',
+      templateId: '987654321',
+      name: 'promo_octubre',
+      status: 'PAUSED',
+      reason: null,
+      details: { title: 'FIRST_PAUSE', description: 'Pausada por baja calidad' }
+    });
+    expect(templateUpdateFor(value)).toEqual({ status: 'PAUSED', status_reason: 'FIRST_PAUSE' });
+    expect(shouldPauseCampaigns(value)).toBe(true);
+    expect(describeTemplateEvent(value)).toBe('La plantilla promo_octubre fue pausada (FIRST_PAUSE)');
+  });
+
+  test('debería no pausar campañas cuando la plantilla se aprueba', () => {
+    const { value } = parseTemplateEvent(TEMPLATE_WEBHOOK_FIELDS.STATUS, {
+      event: 'approved',
+      message_template_name: 'bienvenida'
+    });
+
+    expect(value.status).toBe('APPROVED');
+    expect(shouldPauseCampaigns(value)).toBe(false);
+  });
+
+  test('debería interpretar cambios de categoría y de calidad', () => {
+    const category = parseTemplateEvent(TEMPLATE_WEBHOOK_FIELDS.CATEGORY, {
+      message_template_name: 'recordatorio_pago',
+      previous_category: 'UTILITY',
+      new_category: 'MARKETING'
+    }).value;
+    expect(templateUpdateFor(category)).toEqual({ category: 'MARKETING' });
+    expect(shouldPauseCampaigns(category)).toBe(false);
+    expect(describeTemplateEvent(category)).toBe('La plantilla recordatorio_pago cambió de categoría de UTILITY a MARKETING');
+
+    const quality = parseTemplateEvent(TEMPLATE_WEBHOOK_FIELDS.QUALITY, {
+      message_template_name: 'promo_octubre',
+      previous_quality_score: 'GREEN',
+      new_quality_score: 'RED'
+    }).value;
+    expect(templateUpdateFor(quality)).toEqual({ quality_score: 'RED' });
+    expect(describeTemplateEvent(quality)).toBe('La calidad de la plantilla promo_octubre pasó de alta a baja');
+  });
+
+  test('debería rechazar eventos sin plantilla o con valores desconocidos', () => {
+    expect(parseTemplateEvent(TEMPLATE_WEBHOOK_FIELDS.STATUS, { event: 'PAUSED' }).errors)
+      .toEqual(['El evento no identifica la plantilla (message_template_name o message_template_id)']);
+    expect(parseTemplateEvent(TEMPLATE_WEBHOOK_FIELDS.STATUS, { event: 'ARCHIVADA', message_template_name: 'x' }).errors)
+      .toEqual(['Estado de plantilla desconocido: ARCHIVADA']);
+    expect(parseTemplateEvent(TEMPLATE_WEBHOOK_FIELDS.QUALITY, { message_template_name: 'x' }).value).toBeNull();
+    expect(parseTemplateEvent('statuses', {}).errors).toEqual(['Campo de webhook no soportado: statuses']);
+  });
+});
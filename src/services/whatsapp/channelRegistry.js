@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Registro de Canales de WhatsApp
+ *
+ * Lógica pura de los canales (números de WhatsApp de una o varias WABA):
+ * validación de los datos de un canal, elección del número de salida de un
+ * mensaje (el elegido, el de la conversación, el predeterminado o el de las
+ * variables de entorno) y armado de las estadísticas por canal.
+ */
+
+export const CHANNEL_SOURCES = Object.freeze({
+  REQUESTED: 'requested',
+  CONVERSATION: 'conversation',
+  DEFAULT: 'default',
+  ENVIRONMENT: 'environment'
+});
+
+// Canal implícito de D360_API_KEY / D360_PHONE_NUMBER_ID cuando no hay canales registrados
+export const ENVIRONMENT_CHANNEL_NAME = 'Número principal (.env)';
+
+const NAME_MAX_LENGTH = 100;
+const API_KEY_MIN_LENGTH = 10;
+
+const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Dejar solo los dígitos de un número de teléfono
+ */
+export function normalizeChannelPhone(phone) {
+  return String(phone || '').replace(/\D/g, '');
+}
+
+/**
+ * Mostrar solo los últimos 4 caracteres de una API key
+ */
+export function maskApiKey(apiKey) {
+  if (!apiKey) {
+    return null;
+  }
+  const value = String(apiKey);
+  return value.length <= 4 ? '••••' : `••••${value.slice(-4)}`;
+}
+
+/**
+ * Validar y normalizar los datos de un canal
+ * @param {Object} input - { name, phoneNumber, phoneNumberId, wabaId?, apiKey, baseUrl?, isDefault? }
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Actualización: solo se validan los campos presentes
+ * @returns {{value: Object|null, errors: string[]}}
+ */
+export function validateChannelInput(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object') {
+    return { value: null, errors: ['Los datos del canal son requeridos'] };
+  }
+
+  const errors = [];
+  const value = {};
+  const has = field => !partial || input[field] !== undefined;
+
+  if (has('name')) {
+    const name = String(input.name || '').trim();
+    if (!name) {
+      errors.push('name es requerido');
+    } else if (name.length > NAME_MAX_LENGTH) {
+      errors.push(`name no puede superar ${NAME_MAX_LENGTH} caracteres`);
+    }
+    value.name = name;
+  }
+
+  if (has('phoneNumber')) {
+    const phoneNumber = normalizeChannelPhone(input.phoneNumber);
+    if (phoneNumber.length < 8 || phoneNumber.length > 15) {
+      errors.push('phoneNumber debe tener entre 8 y 15 dígitos (con indicativo de país)');
+    }
+    value.phoneNumber = phoneNumber;
+  }
+
+  if (has('phoneNumberId')) {
+    const phoneNumberId = String(input.phoneNumberId || '').trim();
+    if (!/^[A-Za-z0-9_-]+$/.test(phoneNumberId)) {
+      errors.push('phoneNumberId es requerido (metadata.phone_number_id del webhook)');
+    }
+    value.phoneNumberId = phoneNumberId;
+  }
+
+  if (input.wabaId !== undefined) {
+    value.wabaId = isBlank(input.wabaId) ? null : String(input.wabaId).trim();
+  }
+
+  if (has('apiKey')) {
+    const apiKey = String(input.apiKey || '').trim();
+    if (apiKey.length < API_KEY_MIN_LENGTH) {
+      errors.push('apiKey es requerida (API key de 360Dialog del número)');
+    }
+    value.apiKey = apiKey;
+  }
+
+  if (input.baseUrl !== undefined) {
+    if (isBlank(input.baseUrl)) {
+      value.baseUrl = null;
+    } else if (!/^https?:\/\/[^\s]+$/i.test(String(input.baseUrl).trim())) {
+      errors.push('baseUrl debe ser una URL http(s)');
+    } else {
+      value.baseUrl = String(input.baseUrl).trim().replace(/\/+$/, '');
+    }
+  }
+
+  if (input.isDefault !== undefined) {
+    value.isDefault = input.isDefault === true || input.isDefault === 'true' || input.isDefault === 1;
+  }
+
+  return errors.length > 0 ? { value: null, errors } : { value, errors: [] };
+}
+
+/**
+ * Elegir el canal de salida de un mensaje
+ *
+ * Prioridad: canal pedido explícitamente > canal de la conversación (el número
+ * al que escribió el cliente) > canal predeterminado > variables de entorno.
+ * Un canal inactivo no se usa salvo que se pida explícitamente (en ese caso
+ * se devuelve para que quien llama informe el error).
+ *
+ * @param {Object} candidates
+ * @param {Object|null} [candidates.requested]
+ * @param {Object|null} [candidates.conversation]
+ * @param {Object|null} [candidates.fallback] - Canal predeterminado
+ * @returns {{channel: Object|null, source: string}}
+ */
+export function chooseOutboundChannel({ requested = null, conversation = null, fallback = null } = {}) {
+  if (requested) {
+    return { channel: requested, source: CHANNEL_SOURCES.REQUESTED };
+  }
+  if (conversation && conversation.isActive) {
+    return { channel: conversation, source: CHANNEL_SOURCES.CONVERSATION };
+  }
+  if (fallback && fallback.isActive) {
+    return { channel: fallback, source: CHANNEL_SOURCES.DEFAULT };
+  }
+  return { channel: null, source: CHANNEL_SOURCES.ENVIRONMENT };
+}
+
+/**
+ * Estadísticas por canal a partir de los conteos agrupados por channel_id
+ * @param {Array<{id: number, name: string, phoneNumber: string}>} channels
+ * @param {Object} counts
+ * @param {Array<{channel_id, direction, total, last_at}>} counts.messages
+ * @param {Array<{channel_id, total}>} counts.conversations
+ * @param {Array<{channel_id, status, total}>} counts.campaignMessages
+ */
+export function buildChannelStats(channels, { messages = [], conversations = [], campaignMessages = [] } = {}) {
+  const stats = new Map();
+  const bucket = (channelId) => {
+    const key = channelId === undefined || channelId === null ? null : Number(channelId);
+    if (!stats.has(key)) {
+      const channel = channels.find(item => item.id === key);
+      stats.set(key, {
+        channelId: key,
+        name: channel ? channel.name : ENVIRONMENT_CHANNEL_NAME,
+        phoneNumber: channel ? channel.phoneNumber : null,
+        inbound: 0,
+        outbound: 0,
+        lastInboundAt: null,
+        conversations: 0,
+        campaign: { sent: 0, delivered: 0, read: 0, failed: 0 }
+      });
+    }
+    return stats.get(key);
+  };
+
+  channels.forEach(channel => bucket(channel.id));
+
+  for (const row of messages) {
+    const entry = bucket(row.channel_id);
+    if (row.direction === 'inbound') {
+      entry.inbound += row.total;
+      entry.lastInboundAt = row.last_at || entry.lastInboundAt;
+    } else if (row.direction === 'outbound') {
+      entry.outbound += row.total;
+    }
+  }
+
+  for (const row of conversations) {
+    bucket(row.channel_id).conversations += row.total;
+  }
+
+  for (const row of campaignMessages) {
+    const entry = bucket(row.channel_id);
+    if (Object.prototype.hasOwnProperty.call(entry.campaign, row.status)) {
+      entry.campaign[row.status] += row.total;
+    }
+  }
+
+  return [...stats.values()];
+}
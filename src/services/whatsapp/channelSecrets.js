@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Cifrado de las API keys de los canales de WhatsApp
+ *
+ * AES-256-GCM con el mismo formato que EncryptionManager.encrypt
+ * ({ encrypted, iv, authTag, algorithm } en hex), así las API keys ya
+ * guardadas se siguen descifrando. No mantiene estado ni temporizadores.
+ */
+
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 16;
+const ENCODING = 'hex';
+
+/**
+ * Clave de 32 bytes: hex de 64 caracteres o frase de paso (se deriva con SHA-256)
+ */
+export function toKeyBuffer(key) {
+  const value = String(key);
+  if (value.length === KEY_LENGTH * 2 && /^[0-9a-f]+$/i.test(value)) {
+    return Buffer.from(value, 'hex');
+  }
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Cifrar un texto
+ * @returns {{encrypted: string, iv: string, authTag: string, algorithm: string}}
+ */
+export function encryptSecret(plaintext, key) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, toKeyBuffer(key), iv);
+  const encrypted = cipher.update(String(plaintext), 'utf8', ENCODING) + cipher.final(ENCODING);
+
+  return {
+    encrypted,
+    iv: iv.toString(ENCODING),
+    authTag: cipher.getAuthTag().toString(ENCODING),
+    algorithm: ALGORITHM
+  };
+}
+
+/**
+ * Descifrar un texto cifrado con encryptSecret
+ * @throws {Error} Si la clave no corresponde o el contenido fue alterado
+ */
+export function decryptSecret({ encrypted, iv, authTag, algorithm = ALGORITHM }, key) {
+  const decipher = crypto.createDecipheriv(algorithm, toKeyBuffer(key), Buffer.from(iv, ENCODING));
+  decipher.setAuthTag(Buffer.from(authTag, ENCODING));
+  return decipher.update(encrypted, ENCODING, 'utf8') + decipher.final('utf8');
+}
@@ -0,0 +1,270 @@
+/**
+ * @fileoverview Catálogo de Errores de Entrega de WhatsApp
+ *
+ * Traduce los códigos que llegan en `statuses[].errors[]` (estado `failed`)
+ * a una explicación legible y una acción recomendada, para distinguir por
+ * ejemplo "el usuario no tiene WhatsApp" de "se requiere plantilla" o
+ * "límite de velocidad alcanzado".
+ */
+
+export const DELIVERY_ERROR_CATEGORIES = Object.freeze({
+  RECIPIENT: 'recipient',
+  WINDOW: 'window',
+  RATE_LIMIT: 'rate_limit',
+  TEMPLATE: 'template',
+  MEDIA: 'media',
+  ACCOUNT: 'account',
+  POLICY: 'policy',
+  REQUEST: 'request',
+  PLATFORM: 'platform'
+});
+
+const C = DELIVERY_ERROR_CATEGORIES;
+
+export const DELIVERY_ERROR_CATALOG = Object.freeze({
+  368: {
+    title: 'Bloqueado temporalmente por infracción de políticas',
+    explanation: 'La cuenta fue restringida temporalmente por incumplir las políticas de WhatsApp Business.',
+    action: 'Revisar la calidad de la cuenta en el Business Manager y pausar los envíos masivos hasta que se levante la restricción.',
+    category: C.POLICY,
+    retryable: false
+  },
+  130429: {
+    title: 'Límite de velocidad alcanzado',
+    explanation: 'Se superó el número de mensajes por segundo permitido para el número emisor.',
+    action: 'Reducir la velocidad de envío y reintentar más tarde.',
+    category: C.RATE_LIMIT,
+    retryable: true
+  },
+  130472: {
+    title: 'Número incluido en un experimento de Meta',
+    explanation: 'El destinatario forma parte de un experimento de Meta que limita los mensajes de marketing.',
+    action: 'No reintentar; usar otro canal de contacto si el mensaje es importante.',
+    category: C.POLICY,
+    retryable: false
+  },
+  131000: {
+    title: 'Error desconocido',
+    explanation: 'WhatsApp no pudo enviar el mensaje por un error interno no especificado.',
+    action: 'Reintentar; si persiste, contactar al soporte de 360Dialog con el ID del mensaje.',
+    category: C.PLATFORM,
+    retryable: true
+  },
+  131005: {
+    title: 'Acceso denegado',
+    explanation: 'La API key o el canal no tienen permiso para realizar el envío.',
+    action: 'Verificar la API key de 360Dialog y los permisos del canal.',
+    category: C.ACCOUNT,
+    retryable: false
+  },
+  131008: {
+    title: 'Falta un parámetro obligatorio',
+    explanation: 'La petición de envío no incluía un parámetro requerido.',
+    action: 'Revisar el payload del mensaje enviado.',
+    category: C.REQUEST,
+    retryable: false
+  },
+  131009: {
+    title: 'Valor de parámetro inválido',
+    explanation: 'Uno de los parámetros del mensaje tiene un valor no válido (por ejemplo, un número mal formado).',
+    action: 'Revisar el formato del número y de los parámetros del mensaje.',
+    category: C.REQUEST,
+    retryable: false
+  },
+  131016: {
+    title: 'Servicio no disponible',
+    explanation: 'WhatsApp no estaba disponible temporalmente.',
+    action: 'Reintentar más tarde.',
+    category: C.PLATFORM,
+    retryable: true
+  },
+  131021: {
+    title: 'El destinatario es el mismo número emisor',
+    explanation: 'Se intentó enviar un mensaje al propio número de la empresa.',
+    action: 'Corregir el número de destino.',
+    category: C.REQUEST,
+    retryable: false
+  },
+  131026: {
+    title: 'Mensaje no entregable',
+    explanation: 'El número no tiene WhatsApp, no aceptó los términos recientes o usa una versión antigua de la app.',
+    action: 'Verificar que el contacto use WhatsApp; contactarlo por otro canal.',
+    category: C.RECIPIENT,
+    retryable: false
+  },
+  131031: {
+    title: 'Cuenta bloqueada',
+    explanation: 'La cuenta de WhatsApp Business fue bloqueada.',
+    action: 'Revisar el estado de la cuenta y las notificaciones de Meta en el Business Manager.',
+    category: C.ACCOUNT,
+    retryable: false
+  },
+  131042: {
+    title: 'Problema con el método de pago',
+    explanation: 'La cuenta no tiene un método de pago válido o tiene pagos pendientes.',
+    action: 'Actualizar el método de pago de la cuenta de WhatsApp Business.',
+    category: C.ACCOUNT,
+    retryable: false
+  },
+  131047: {
+    title: 'Se requiere reactivar la conversación',
+    explanation: 'Pasaron más de 24 horas desde el último mensaje del cliente; solo se pueden enviar plantillas.',
+    action: 'Enviar una plantilla aprobada para reabrir la conversación.',
+    category: C.WINDOW,
+    retryable: false
+  },
+  131048: {
+    title: 'Límite de spam alcanzado',
+    explanation: 'Demasiados mensajes del número fueron bloqueados o reportados por los usuarios.',
+    action: 'Pausar envíos, revisar la calidad del contenido y la segmentación de la audiencia.',
+    category: C.RATE_LIMIT,
+    retryable: false
+  },
+  131049: {
+    title: 'Meta decidió no entregar el mensaje',
+    explanation: 'El usuario ya recibió demasiados mensajes de marketing recientemente.',
+    action: 'No reintentar de inmediato; espaciar los mensajes de marketing para este contacto.',
+    category: C.POLICY,
+    retryable: true
+  },
+  131050: {
+    title: 'El usuario dejó de recibir marketing',
+    explanation: 'El destinatario desactivó los mensajes de marketing de la empresa.',
+    action: 'Excluir al contacto de campañas de marketing.',
+    category: C.RECIPIENT,
+    retryable: false
+  },
+  131051: {
+    title: 'Tipo de mensaje no soportado',
+    explanation: 'El tipo de mensaje enviado no es compatible.',
+    action: 'Usar un tipo de mensaje soportado por la API de WhatsApp.',
+    category: C.REQUEST,
+    retryable: false
+  },
+  131052: {
+    title: 'Error descargando el archivo multimedia',
+    explanation: 'No se pudo descargar el archivo multimedia del mensaje.',
+    action: 'Verificar que la URL del archivo sea pública y accesible.',
+    category: C.MEDIA,
+    retryable: true
+  },
+  131053: {
+    title: 'Error subiendo el archivo multimedia',
+    explanation: 'El archivo multimedia no pudo procesarse (formato o tamaño no soportado).',
+    action: 'Revisar el formato y el tamaño del archivo.',
+    category: C.MEDIA,
+    retryable: false
+  },
+  131056: {
+    title: 'Límite de mensajes entre el par de números',
+    explanation: 'Se enviaron demasiados mensajes al mismo destinatario en poco tiempo.',
+    action: 'Esperar antes de volver a escribir a este contacto.',
+    category: C.RATE_LIMIT,
+    retryable: true
+  },
+  131057: {
+    title: 'Cuenta en mantenimiento',
+    explanation: 'La cuenta de WhatsApp Business está en modo mantenimiento.',
+    action: 'Reintentar cuando finalice el mantenimiento.',
+    category: C.PLATFORM,
+    retryable: true
+  },
+  132000: {
+    title: 'Número de parámetros de plantilla incorrecto',
+    explanation: 'La cantidad de variables enviadas no coincide con la plantilla.',
+    action: 'Revisar el mapeo de variables de la plantilla.',
+    category: C.TEMPLATE,
+    retryable: false
+  },
+  132001: {
+    title: 'La plantilla no existe',
+    explanation: 'La plantilla no existe en el idioma indicado o aún no está aprobada.',
+    action: 'Verificar el nombre, el idioma y el estado de aprobación de la plantilla.',
+    category: C.TEMPLATE,
+    retryable: false
+  },
+  132005: {
+    title: 'Texto traducido demasiado largo',
+    explanation: 'El texto de la plantilla con las variables supera la longitud permitida.',
+    action: 'Acortar los valores de las variables.',
+    category: C.TEMPLATE,
+    retryable: false
+  },
+  132007: {
+    title: 'Formato de plantilla no permitido',
+    explanation: 'El contenido infringe las políticas de formato de la plantilla.',
+    action: 'Revisar los valores de las variables (saltos de línea, emojis, longitud).',
+    category: C.TEMPLATE,
+    retryable: false
+  },
+  132012: {
+    title: 'Formato de parámetro incorrecto',
+    explanation: 'Un parámetro de la plantilla no tiene el formato esperado.',
+    action: 'Revisar el tipo de cada variable (texto, moneda, fecha, media).',
+    category: C.TEMPLATE,
+    retryable: false
+  },
+  132015: {
+    title: 'Plantilla pausada',
+    explanation: 'La plantilla fue pausada por baja calidad.',
+    action: 'Editar la plantilla o usar otra aprobada.',
+    category: C.TEMPLATE,
+    retryable: false
+  },
+  132016: {
+    title: 'Plantilla deshabilitada',
+    explanation: 'La plantilla fue deshabilitada permanentemente por baja calidad.',
+    action: 'Crear una nueva plantilla.',
+    category: C.TEMPLATE,
+    retryable: false
+  },
+  133010: {
+    title: 'Número emisor no registrado',
+    explanation: 'El número de la empresa no está registrado en la API de WhatsApp.',
+    action: 'Completar el registro del número en 360Dialog.',
+    category: C.ACCOUNT,
+    retryable: false
+  }
+});
+
+/**
+ * Obtener la descripción de un código de error (con fallback genérico)
+ */
+export function describeDeliveryError(code) {
+  const numericCode = Number(code);
+  const entry = DELIVERY_ERROR_CATALOG[numericCode];
+
+  if (!entry) {
+    return {
+      code: Number.isFinite(numericCode) ? numericCode : null,
+      title: 'Error de entrega no catalogado',
+      explanation: 'WhatsApp reportó un error que no está en el catálogo.',
+      action: 'Consultar la documentación de códigos de error de WhatsApp Cloud API.',
+      category: C.PLATFORM,
+      retryable: false,
+      known: false
+    };
+  }
+
+  return { code: numericCode, ...entry, known: true };
+}
+
+/**
+ * Normalizar el array `errors` de un estado fallido de WhatsApp
+ * @param {Array} errors - [{ code, title, message, error_data: { details } }]
+ * @returns {{code: number|null, title: string|null, message: string|null, details: string|null, errors: Array}|null}
+ */
+export function normalizeStatusErrors(errors) {
+  if (!Array.isArray(errors) || errors.length === 0) {
+    return null;
+  }
+
+  const normalized = errors.map(error => ({
+    code: Number.isFinite(Number(error?.code)) ? Number(error.code) : null,
+    title: error?.title || null,
+    message: error?.message || null,
+    details: error?.error_data?.details || null
+  }));
+
+  return { ...normalized[0], errors: normalized };
+}
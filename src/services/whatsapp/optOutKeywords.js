@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Palabras clave de baja (opt-out) y alta (opt-in)
+ *
+ * La detección compara el mensaje completo normalizado (sin tildes, signos
+ * ni mayúsculas) contra la lista, para no dar de baja a quien escribe
+ * "quiero cancelar mi pedido".
+ */
+
+export const SUBSCRIPTION_ACTIONS = Object.freeze({
+  OPT_OUT: 'opt_out',
+  OPT_IN: 'opt_in'
+});
+
+export const DEFAULT_OPT_OUT_KEYWORDS = [
+  // Español
+  'BAJA', 'DAR DE BAJA', 'CANCELAR', 'CANCELAR SUSCRIPCION', 'DETENER', 'PARAR', 'ALTO',
+  'NO MAS', 'NO ENVIAR', 'NO MOLESTAR', 'DESUSCRIBIR', 'DESUSCRIBIRME',
+  // Inglés
+  'STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'OPT OUT',
+  // Portugués
+  'SAIR', 'PARE', 'PARAR ENVIO', 'DESCADASTRAR',
+  // Francés
+  'ARRET', 'ARRETER', 'DESABONNER'
+];
+
+export const DEFAULT_OPT_IN_KEYWORDS = [
+  // Español
+  'ALTA', 'DAR DE ALTA', 'SUSCRIBIR', 'SUSCRIBIRME', 'REACTIVAR',
+  // Inglés
+  'START', 'UNSTOP', 'SUBSCRIBE', 'OPTIN', 'OPT IN',
+  // Portugués
+  'VOLTAR', 'ASSINAR',
+  // Francés
+  'ABONNER'
+];
+
+/**
+ * Normalizar texto para comparar con las palabras clave
+ */
+export function normalizeKeywordText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9 ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parsear lista de palabras clave separadas por comas (variables de entorno)
+ */
+export function parseKeywordList(value, fallback = []) {
+  if (!value) {
+    return fallback;
+  }
+  const keywords = String(value).split(',').map(normalizeKeywordText).filter(Boolean);
+  return keywords.length > 0 ? keywords : fallback;
+}
+
+/**
+ * Detectar si un mensaje es una solicitud de baja o de alta
+ * @returns {{action: string, keyword: string}|null}
+ */
+export function detectSubscriptionKeyword(text, {
+  optOut = DEFAULT_OPT_OUT_KEYWORDS,
+  optIn = DEFAULT_OPT_IN_KEYWORDS
+} = {}) {
+  const normalized = normalizeKeywordText(text);
+  if (!normalized) {
+    return null;
+  }
+
+  if (optOut.some(keyword => normalizeKeywordText(keyword) === normalized)) {
+    return { action: SUBSCRIPTION_ACTIONS.OPT_OUT, keyword: normalized };
+  }
+  if (optIn.some(keyword => normalizeKeywordText(keyword) === normalized)) {
+    return { action: SUBSCRIPTION_ACTIONS.OPT_IN, keyword: normalized };
+  }
+
+  return null;
+}
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Eventos del Ciclo de Vida de Plantillas de WhatsApp
+ *
+ * Interpreta los cambios `message_template_status_update`,
+ * `template_category_update` y `message_template_quality_update` que Meta
+ * envía por el webhook de 360Dialog: qué columnas de `templates` actualizar,
+ * si las campañas que usan la plantilla deben pausarse y el texto de la
+ * notificación para la página de aprobación de plantillas.
+ */
+
+export const TEMPLATE_WEBHOOK_FIELDS = Object.freeze({
+  STATUS: 'message_template_status_update',
+  CATEGORY: 'template_category_update',
+  QUALITY: 'message_template_quality_update'
+});
+
+export const TEMPLATE_EVENT_TYPES = Object.freeze({
+  STATUS: 'status',
+  CATEGORY: 'category',
+  QUALITY: 'quality'
+});
+
+const EVENT_TYPE_BY_FIELD = {
+  [TEMPLATE_WEBHOOK_FIELDS.STATUS]: TEMPLATE_EVENT_TYPES.STATUS,
+  [TEMPLATE_WEBHOOK_FIELDS.CATEGORY]: TEMPLATE_EVENT_TYPES.CATEGORY,
+  [TEMPLATE_WEBHOOK_FIELDS.QUALITY]: TEMPLATE_EVENT_TYPES.QUALITY
+};
+
+export const TEMPLATE_STATUSES = Object.freeze([
+  'APPROVED',
+  'PENDING',
+  'REJECTED',
+  'PAUSED',
+  'DISABLED',
+  'FLAGGED',
+  'IN_APPEAL',
+  'REINSTATED',
+  'LIMIT_EXCEEDED',
+  'PENDING_DELETION',
+  'DELETED'
+]);
+
+// Estados con los que Meta deja de entregar la plantilla: las campañas que la usan se pausan
+export const BLOCKING_TEMPLATE_STATUSES = Object.freeze(['PAUSED', 'DISABLED', 'REJECTED']);
+
+export const TEMPLATE_CATEGORIES = Object.freeze(['MARKETING', 'UTILITY', 'AUTHENTICATION']);
+
+export const TEMPLATE_QUALITY_SCORES = Object.freeze(['GREEN', 'YELLOW', 'RED', 'UNKNOWN']);
+
+const STATUS_LABELS = {
+  APPROVED: 'aprobada',
+  PENDING: 'en revisión',
+  REJECTED: 'rechazada',
+  PAUSED: 'pausada',
+  DISABLED: 'desactivada',
+  FLAGGED: 'marcada por baja calidad',
+  IN_APPEAL: 'en apelación',
+  REINSTATED: 'restablecida',
+  LIMIT_EXCEEDED: 'con límite de plantillas excedido',
+  PENDING_DELETION: 'pendiente de eliminación',
+  DELETED: 'eliminada'
+};
+
+const QUALITY_LABELS = {
+  GREEN: 'alta',
+  YELLOW: 'media',
+  RED: 'baja',
+  UNKNOWN: 'desconocida'
+};
+
+const upper = value => (value === undefined || value === null ? '' : String(value).trim().toUpperCase());
+
+// Meta envía reason "NONE" cuando no hay motivo
+const cleanReason = (value) => {
+  const reason = value === undefined || value === null ? '' : String(value).trim();
+  return reason && reason.toUpperCase() !== 'NONE' ? reason : null;
+};
+
+/**
+ * Saber si un cambio del webhook corresponde a una plantilla
+ */
+export function isTemplateWebhookField(field) {
+  return Object.prototype.hasOwnProperty.call(EVENT_TYPE_BY_FIELD, field);
+}
+
+/**
+ * Saber si un estado impide enviar la plantilla
+ */
+export function isBlockingTemplateStatus(status) {
+  return BLOCKING_TEMPLATE_STATUSES.includes(upper(status));
+}
+
+/**
+ * Normalizar el `value` de un cambio de plantilla del webhook
+ * @param {string} field - `change.field` del webhook
+ * @param {Object} value - `change.value` del webhook
+ * @returns {{value: Object|null, errors: string[]}}
+ */
+export function parseTemplateEvent(field, value) {
+  const type = EVENT_TYPE_BY_FIELD[field];
+  if (!type) {
+    return { value: null, errors: [`Campo de webhook no soportado: ${field}`] };
+  }
+  if (!value || typeof value !== 'object') {
+    return { value: null, errors: ['value debe ser un objeto'] };
+  }
+
+  const errors = [];
+  const name = value.message_template_name ? String(value.message_template_name).trim() : '';
+  const templateId = value.message_template_id !== undefined && value.message_template_id !== null
+    ? String(value.message_template_id)
+    : null;
+
+  if (!name && !templateId) {
+    errors.push('El evento no identifica la plantilla (message_template_name o message_template_id)');
+  }
+
+  const event = {
+    type,
+    field,
+    templateId,
+    name: name || null,
+    language: value.message_template_language || null,
+    status: null,
+    category: null,
+    previousCategory: null,
+    quality: null,
+    previousQuality: null,
+    reason: null,
+    details: null
+  };
+
+  if (type === TEMPLATE_EVENT_TYPES.STATUS) {
+    event.status = upper(value.event);
+    if (!TEMPLATE_STATUSES.includes(event.status)) {
+      errors.push(`Estado de plantilla desconocido: ${value.event}`);
+    }
+    event.reason = cleanReason(value.reason);
+
+    const details = {};
+    if (value.other_info?.title) details.title = value.other_info.title;
+    if (value.other_info?.description) details.description = value.other_info.description;
+    if (value.disable_info?.disable_date) details.disableDate = value.disable_info.disable_date;
+    event.details = Object.keys(details).length > 0 ? details : null;
+  } else if (type === TEMPLATE_EVENT_TYPES.CATEGORY) {
+    // `correct_category` llega cuando Meta recategoriza una plantilla ya aprobada
+    event.category = upper(value.new_category || value.correct_category);
+    event.previousCategory = upper(value.previous_category) || null;
+    if (!TEMPLATE_CATEGORIES.includes(event.category)) {
+      errors.push(`Categoría de plantilla desconocida: ${value.new_category || value.correct_category}`);
+    }
+  } else {
+    event.quality = upper(value.new_quality_score);
+    event.previousQuality = upper(value.previous_quality_score) || null;
+    if (!TEMPLATE_QUALITY_SCORES.includes(event.quality)) {
+      errors.push(`Calidad de plantilla desconocida: ${value.new_quality_score}`);
+    }
+  }
+
+  return errors.length > 0 ? { value: null, errors } : { value: event, errors: [] };
+}
+
+/**
+ * Columnas de `templates` que cambia un evento
+ */
+export function templateUpdateFor(event) {
+  if (event.type === TEMPLATE_EVENT_TYPES.STATUS) {
+    return { status: event.status, status_reason: event.reason || event.details?.title || null };
+  }
+  if (event.type === TEMPLATE_EVENT_TYPES.CATEGORY) {
+    return { category: event.category };
+  }
+  return { quality_score: event.quality };
+}
+
+/**
+ * Las campañas programadas o en envío se pausan si la plantilla deja de poder enviarse
+ */
+export function shouldPauseCampaigns(event) {
+  return event.type === TEMPLATE_EVENT_TYPES.STATUS && isBlockingTemplateStatus(event.status);
+}
+
+/**
+ * Texto de la notificación de un evento
+ */
+export function describeTemplateEvent(event) {
+  const name = event.name || event.templateId;
+
+  if (event.type === TEMPLATE_EVENT_TYPES.STATUS) {
+    const label = STATUS_LABELS[event.status] || event.status;
+    const reason = event.reason || event.details?.title;
+    return `La plantilla ${name} fue ${label}${reason ? ` (${reason})` : ''}`;
+  }
+  if (event.type === TEMPLATE_EVENT_TYPES.CATEGORY) {
+    return `La plantilla ${name} cambió de categoría${event.previousCategory ? ` de ${event.previousCategory}` : ''} a ${event.category}`;
+  }
+  return `La calidad de la plantilla ${name} pasó${event.previousQuality ? ` de ${QUALITY_LABELS[event.previousQuality] || event.previousQuality}` : ''} a ${QUALITY_LABELS[event.quality] || event.quality}`;
+}